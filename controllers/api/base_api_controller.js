@@ -80,7 +80,9 @@ module.exports = function(pb) {
      * return</li>
      * <li>$offset - An integer representing the number of items to skip before
      * returning results</li>
-     * <li>$where - Currently not supported</li>
+     * <li>$where - An expression that filters the results by the fields that
+     * the service allows.  See WhereParser for the grammar.
+     * $where=headline contains 'news' and publish_date ge '2016-01-01'</li>
      * </ul>
      * @method getAll
      * @param {Function} cb
@@ -117,17 +119,18 @@ module.exports = function(pb) {
 
         //process where
         var whereResult = this.processWhere(q);
+        var filterResult = this.processWhereStatement(q.$where);
 
         //when failures occur combine them into a one big error and throw it to
         //stop execution
-        var failures = selectResult.failures.concat(orderResult.failures).concat(whereResult.failures);
+        var failures = selectResult.failures.concat(orderResult.failures).concat(whereResult.failures).concat(filterResult.failures);
         if (failures.length > 0) {
             throw pb.BaseObjectService.validationError(failures);
         }
 
         return {
             select: selectResult.select,
-            where: whereResult.where,
+            where: BaseApiController.mergeWhere(whereResult.where, filterResult.where),
             order: orderResult.order,
             limit: limit,
             offset: offset
@@ -135,7 +138,8 @@ module.exports = function(pb) {
     };
 
     /**
-     * Processes the query string to develop the where clause for the query request
+     * Processes the query string to develop the where clause for the query request.  Controllers override the
+     * function to support parameters specific to their resource.  It is combined with the $where expression.
      * @method processWhere
      * @param {Object} q The hash of all query parameters from the request
      * @return {Object}
@@ -144,13 +148,41 @@ module.exports = function(pb) {
         var where = null;
         var failures = [];
 
-        //TODO provide a default implementation
         return {
             where: where,
             failures: failures
         };
     };
 
+    /**
+     * Processes the value of a $where query string variable.  Only the fields
+     * provided by getFilterFields can be filtered.
+     * @method processWhereStatement
+     * @param {String} rawWhere
+     * @return {Object} Contains the where clause and an array of failures
+     */
+    BaseApiController.prototype.processWhereStatement = function(rawWhere) {
+        if (!pb.ValidationService.isNonEmptyStr(rawWhere, true)) {
+            return {
+                where: null,
+                failures: []
+            };
+        }
+
+        var parser = new pb.WhereParser(this.getFilterFields());
+        return parser.parse(rawWhere);
+    };
+
+    /**
+     * Provides the fields that can be filtered with the $where query string
+     * variable.  Defaults to the fields allowed by the service.
+     * @method getFilterFields
+     * @return {Object} The field names mapped to their type
+     */
+    BaseApiController.prototype.getFilterFields = function() {
+        return this.service && util.isFunction(this.service.getFilterFields) ? this.service.getFilterFields() : {};
+    };
+
     /**
      * Processes the value of a $order query string variable
      * @method processOrder
@@ -225,6 +257,26 @@ module.exports = function(pb) {
         };
     };
 
+    /**
+     * Combines the where clause built from the controller's query parameters
+     * with the clause parsed from the $where expression.  The expression is
+     * nested in an $and so that services can add their own conditions to the
+     * result without replacing it.
+     * @static
+     * @method mergeWhere
+     * @param {Object} where
+     * @param {Object} filter
+     * @return {Object}
+     */
+    BaseApiController.mergeWhere = function(where, filter) {
+        if (!util.isObject(filter)) {
+            return where;
+        }
+        return {
+            $and: util.isObject(where) && Object.keys(where).length > 0 ? [where, filter] : [filter]
+        };
+    };
+
     /**
      * Creates a resource
      * @method post
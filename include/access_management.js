@@ -213,25 +213,40 @@ module.exports = function(pb) {
                     return cb(err, user);
                 }
 
-                //remove password from data to be cached
-                delete user.password;
-
-                //build out session object
-                user.permissions                   = pb.PluginService.getPermissionsForRole(user.admin);
-                session.authentication.user        = user;
-                session.authentication.user_id     = user[pb.DAO.getIdField()].toString();
-                session.authentication.admin_level = user.admin;
-
-                //set locale if no preference already indicated for the session
-                if (!session.locale) {
-                    session.locale = user.locale;
-                }
+                SecurityService.setAuthenticatedUser(session, user);
                 cb(null, user);
             });
         };
         doAuthentication(session, options, authenticator, cb);
     };
 
+    /**
+     * Marks the session as belonging to a user that has already been
+     * authenticated.  Sensitive fields are removed from the user before it is
+     * cached in the session.
+     * @static
+     * @method setAuthenticatedUser
+     * @param {Object} session
+     * @param {Object} user
+     */
+    SecurityService.setAuthenticatedUser = function(session, user) {
+
+        //remove password and second factor from data to be cached
+        delete user.password;
+        delete user.two_factor;
+
+        //build out session object
+        user.permissions                   = pb.PluginService.getPermissionsForRole(user.admin);
+        session.authentication.user        = user;
+        session.authentication.user_id     = user[pb.DAO.getIdField()].toString();
+        session.authentication.admin_level = user.admin;
+
+        //set locale if no preference already indicated for the session
+        if (!session.locale) {
+            session.locale = user.locale;
+        }
+    };
+
     /**
      * Check to see if a user meets security requirements
      * @static
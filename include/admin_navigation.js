@@ -128,6 +128,13 @@ module.exports = function AdminNavigationModule(pb) {
                 href: '/admin/content/comments',
                 access: SecurityService.ACCESS_EDITOR
             },
+            {
+                id: 'redirects',
+                title: 'admin.REDIRECTS',
+                icon: 'share',
+                href: '/admin/content/redirects',
+                access: SecurityService.ACCESS_EDITOR
+            },
             {
                 id: 'custom_objects',
                 title: 'admin.CUSTOM_OBJECTS',
@@ -229,6 +236,13 @@ module.exports = function AdminNavigationModule(pb) {
                     icon: 'envelope',
                     href: '/admin/site_settings/email',
                     access: SecurityService.ACCESS_ADMINISTRATOR
+                },
+                {
+                    id: 'webhook_settings',
+                    title: 'webhooks.WEBHOOKS',
+                    icon: 'bolt',
+                    href: '/admin/site_settings/webhooks',
+                    access: SecurityService.ACCESS_ADMINISTRATOR
                 }
             ]
         };
@@ -192,11 +192,73 @@ Configuration.getBaseConfig = function(multisite) {
             //auth_pass: "password here"
         },
 
-        //PB supports two session stores out of the box: mongo & redis.  The
+        //Full page caching of the responses served to visitors that have not
+        //logged in.  Routes opt in by providing the number of seconds that their
+        //responses are cached for as "cache_ttl" in their descriptor.  Requests
+        //with query parameters are only cached when the route lists them as
+        //"cache_query".  The responses of a site are flushed on every node when
+        //its content is saved or deleted.  A fake cache is local to each process.
+        response_cache: {
+            enabled: false
+        },
+
+        //Sliding window rate limiting of requests.  Routes opt in by providing
+        //a "rate_limit" in their descriptor that is either the name of one of
+        //the policies below or a policy object.  A policy allows "max"
+        //requests in any window of "window" seconds.  The "key" property
+        //determines if the requests are counted per client IP ("ip") or per
+        //signed in user ("user").  Anonymous requests always fall back to the
+        //IP.  The "default_policy", when set, applies to every route that does
+        //not declare its own.  Counters are kept in pb.cache so that limits are
+        //shared by every node of the cluster.  See "server.trusted_proxies" for
+        //how the client IP is determined behind a proxy.
+        rate_limit: {
+            enabled: true,
+            default_policy: null,
+            policies: {
+                login: {
+                    max: 5,
+                    window: 300,
+                    key: 'ip'
+                },
+                form: {
+                    max: 10,
+                    window: 60,
+                    key: 'user'
+                },
+                lookup: {
+                    max: 30,
+                    window: 60,
+                    key: 'ip'
+                },
+                two_factor: {
+                    max: 5,
+                    window: 300,
+                    key: 'user'
+                }
+            }
+        },
+
+        //PB supports four session stores out of the box: mongo, redis, memory &
+        //cookie.  The memory store keeps the sessions in the process so it is
+        //only suitable for a single node with a single worker.  The cookie store
+        //is stateless.  The session is encrypted and sent to the client as the
+        //session cookie so that no store needs to be shared between nodes.  A
+        //session that would not fit in a 4 KB cookie is not written.  The
         //timeout value is in ms.
         session: {
             storage: "redis",
-            timeout: 2000000
+            timeout: 2000000,
+
+            //The keys used to encrypt and sign the session cookie when the
+            //"cookie" storage is used.  Each key must be at least 32 characters.
+            //New sessions are sealed with the first key while sessions sealed
+            //with any of the keys are accepted.  To rotate the keys add a new
+            //key to the front of the list and remove the oldest key once the
+            //session timeout has passed.
+            cookie: {
+                keys: []
+            }
         },
 
         //The logging settings.  The level property specifies at what level to log.
@@ -339,7 +401,14 @@ Configuration.getBaseConfig = function(multisite) {
             //when non-empty, a header (X-POWERED-BY) will be added to each outgoing
             //response with "PencilBlue".  Cheesy but it helps the BuiltWith tools
             //of the world kep track of who uses what
-            x_powered_by: "PencilBlue"
+            x_powered_by: "PencilBlue",
+
+            //The number of reverse proxies, such as a load balancer, that sit in
+            //front of PB and append the address of their peer to the
+            //X-Forwarded-For header.  The client IP is the address appended by
+            //the outermost trusted proxy.  Leave it at 0 when clients connect to
+            //PB directly.  Otherwise clients can choose their own IP.
+            trusted_proxies: 0
         },
 
         //PB uses a publish subscribe model to announce events to other members of
@@ -362,6 +431,8 @@ Configuration.getBaseConfig = function(multisite) {
         //support the distributed PencilBlue configuration although it is not
         //recommended for large scale use.  Systems that have larger or more
         //performant data needs should look at other plugins to support that need.
+        //The third provider, 's3', stores media in an S3 compatible object store
+        //and also supports the distributed configuration.
         media: {
 
             provider: 'fs',
@@ -374,7 +445,64 @@ Configuration.getBaseConfig = function(multisite) {
 
             //The maximum size of media files that can be uploaded to the server in
             //bytes
-            max_upload_size: 2 * 1024 * 1024
+            max_upload_size: 2 * 1024 * 1024,
+
+            //The settings for the 's3' provider.  It stores media in Amazon S3 or
+            //any storage service that is compatible with the S3 API.  The
+            //endpoint defaults to Amazon S3 for the region.  Use path style
+            //requests for services that do not support bucket sub-domains.
+            s3: {
+                bucket: null,
+                prefix: '',
+                region: 'us-east-1',
+                endpoint: null,
+                path_style: false,
+                access_key_id: null,
+                secret_access_key: null,
+
+                //Determines how media is served from '/media/*'.  The default,
+                //'proxy', streams the content through PencilBlue.  'signed'
+                //redirects to a pre-signed URL that expires after url_expiry
+                //seconds.  'public' redirects to the object's URL, or to
+                //public_url when the bucket is fronted by a CDN.
+                url_mode: 'proxy',
+                url_expiry: 900,
+                public_url: null,
+
+                //Streamed content is sent with a multipart upload in parts of
+                //this many bytes so that no more than one part is held in
+                //memory.  The object store requires at least 5 MiB per part.
+                part_size: 8 * 1024 * 1024,
+
+                //The number of milliseconds to wait for the storage service
+                timeout: 30000
+            },
+
+            //The settings for image derivatives: the resized copies of uploaded
+            //images created for the image sizes in the site's content settings.
+            //The default generation, 'lazy', creates a derivative the first
+            //time that '/media/[size]/...' is requested.  'upload' creates all
+            //of the derivatives when an image is uploaded.  The quality only
+            //applies to JPEG derivatives.
+            images: {
+                generation: 'lazy',
+                quality: 85
+            },
+
+            //The settings for resumable uploads made with the tus protocol
+            //through '/api/content/media/uploads'.  Chunks are appended to a
+            //file in temp_dir, which defaults to a directory in the OS temp
+            //directory, until the upload is complete.  When PencilBlue is
+            //clustered the directory must be shared by all of the nodes.  The
+            //max_size is in bytes.  Uploads that are not completed are removed
+            //after expiry seconds.  The lock_timeout is the number of seconds
+            //that a chunk may take to be received.
+            uploads: {
+                max_size: 1024 * 1024 * 1024,
+                temp_dir: null,
+                expiry: 86400,
+                lock_timeout: 300
+            }
         },
 
         //Contains all of the configuration for localization and internationalization.
@@ -397,7 +525,33 @@ Configuration.getBaseConfig = function(multisite) {
             provider: 'db',
 
             //The default amount of time that a lock will be persisted in seconds.
-            timeout: 30
+            timeout: 30,
+
+            //The number of milliseconds between attempts to acquire a lock when
+            //the caller is willing to wait for it.  Waiting processes acquire
+            //the lock in the order that they started waiting.
+            retry_interval: 500
+        },
+
+        //Configures the XML sitemaps.  The sitemap index at /sitemap.xml points
+        //to a paged sitemap for each type of content.
+        sitemap: {
+
+            //The maximum number of URLs in each sitemap.  Search engines do not
+            //accept more than 50,000.
+            page_size: 50000,
+
+            //When true, the images attached to articles are listed with them
+            images: true,
+
+            //The Google News sitemap at /sitemap-news.xml lists the articles
+            //published within the last "max_age" seconds.  Search engines do
+            //not accept more than 1,000 articles or articles older than 2 days.
+            news: {
+                enabled: true,
+                max_age: 2 * 24 * 60 * 60,
+                max_items: 1000
+            }
         },
 
         //Configures the AnalyticsManager
@@ -409,6 +563,228 @@ Configuration.getBaseConfig = function(multisite) {
             timeout: 50
         },
 
+        //Configures the editorial workflow for content.  Each state maps to the
+        //states that content may move to along with the minimum access level
+        //required to make the move (1 = writer, 2 = editor, 3 = managing
+        //editor, 4 = administrator).  Setting a transition to false removes
+        //it.  The "draft" and "published" states are always available and are
+        //kept in sync with the content's draft flag.
+        workflow: {
+
+            transitions: {
+                draft: {
+                    in_review: 1,
+                    published: 2
+                },
+                in_review: {
+                    draft: 1,
+                    approved: 2
+                },
+                approved: {
+                    draft: 2,
+                    published: 2
+                },
+                published: {
+                    draft: 2
+                }
+            }
+        },
+
+        //Configures comments
+        comments: {
+
+            //The maximum number of levels that a comment thread may have.  A
+            //value of 1 disables replies.
+            max_depth: 3,
+
+            //The number of seconds after a comment is created during which the
+            //commenter may edit it
+            edit_window: 15 * 60,
+
+            //The built in heuristic spam checker.  A comment that trips any of
+            //the checks is marked as spam and held for moderation.
+            spam: {
+
+                //The maximum number of links a comment may contain
+                max_links: 2,
+
+                //Words or phrases, matched without regard to case, that mark a
+                //comment as spam
+                blacklist: [],
+
+                //The maximum number of comments that may be submitted from a
+                //single IP address within the window (in seconds)
+                rate_limit: {
+                    max: 5,
+                    window: 10 * 60
+                }
+            }
+        },
+
+        //Configures how outbound email is delivered
+        email: {
+
+            //The transport used to deliver email.  Out of the box transports
+            //are "smtp", "sendmail", and "file".  The "file" transport writes
+            //each message to the outbox directory instead of sending it which
+            //is handy for development and testing.  Plugins may register
+            //additional transports with EmailService.registerTransport.  A
+            //site may override the transport through its email settings.
+            transport: 'smtp',
+
+            //The options for the sendmail transport
+            sendmail: {
+
+                //The path to the sendmail binary
+                path: 'sendmail'
+            },
+
+            //The options for the file transport
+            outbox: {
+
+                //The absolute path to the directory where messages are written
+                directory: path.join(Configuration.DOCUMENT_ROOT, 'outbox')
+            },
+
+            //When enabled, messages that fail to send are persisted and retried
+            //in the background with an exponential backoff
+            queue: {
+
+                enabled: true,
+
+                //The interval, in milliseconds, at which the queue is processed
+                interval: 60 * 1000,
+
+                //The maximum number of delivery attempts before a message is
+                //marked as failed
+                max_attempts: 5,
+
+                //The delay, in milliseconds, before the first retry.  The delay
+                //doubles with each subsequent attempt.
+                backoff: 60 * 1000,
+
+                //The maximum number of messages delivered per run
+                batch_size: 50
+            }
+        },
+
+        //Outbound HTTP notifications of content events.  Each site manages
+        //the webhooks that subscribe to its events.  Deliveries are queued and
+        //sent in the background by one process of the cluster at a time.
+        //Failed deliveries are retried with an exponential backoff.  The
+        //delivery log is kept for 30 days.
+        webhooks: {
+
+            enabled: true,
+
+            //The interval, in milliseconds, at which queued deliveries are sent
+            interval: 10 * 1000,
+
+            //The maximum number of delivery attempts before a delivery is
+            //marked as failed
+            max_attempts: 6,
+
+            //The delay, in milliseconds, before the first retry.  The delay
+            //doubles with each subsequent attempt.
+            backoff: 30 * 1000,
+
+            //The maximum number of deliveries sent per run
+            batch_size: 50,
+
+            //The number of milliseconds to wait for the receiver to respond
+            timeout: 10 * 1000,
+
+            //Webhooks may not be sent to private, loopback, link local or
+            //otherwise reserved addresses, whether they are in the URL or are
+            //what the host name resolves to.  Host names or IP addresses listed
+            //here are exempt, e.g. ["hooks.internal.example.com", "10.0.0.5"].
+            allowed_hosts: []
+        },
+
+        //Configures the authentication providers in addition to the built in
+        //username and password login.  Plugins may register additional
+        //providers with AuthenticationProviderService.registerProvider.
+        authentication: {
+
+            //OpenID Connect login using the authorization code flow with PKCE.
+            //When enabled, a sign in button is shown on the login pages.
+            oidc: {
+
+                enabled: false,
+
+                //The label of the sign in button
+                name: 'Single sign-on',
+
+                //The issuer identifier.  The provider configuration is
+                //discovered from "[issuer]/.well-known/openid-configuration".
+                issuer: null,
+
+                client_id: null,
+                client_secret: null,
+
+                scope: 'openid email profile',
+
+                //The URL the identity provider redirects back to.  Defaults to
+                //"[site root]/actions/login/oidc/callback".
+                redirect_uri: null,
+
+                //The claim that contains the user's roles or groups along
+                //with a map of role values to access levels (0 = reader,
+                //1 = writer, 2 = editor, 3 = managing editor,
+                //4 = administrator).  When the user has several roles the
+                //highest access level wins.  Users without a mapped role are
+                //given the default access level.  A default of null refuses
+                //them.
+                roles_claim: 'groups',
+                roles: {},
+                default_access_level: null,
+
+                //When TRUE a user is created the first time they sign in
+                provision: true,
+
+                //When TRUE an existing user with the same, verified, email
+                //address is linked to the identity on first sign in
+                link_by_email: true,
+
+                //The number of milliseconds to wait on the identity provider
+                timeout: 10 * 1000
+            },
+
+            //Time-based one-time password (TOTP) two-factor authentication.
+            //Users enroll from their account page.  Sites may require editors
+            //and above to enroll through the security site settings.
+            two_factor: {
+
+                //The issuer shown in the authenticator app.  Defaults to the
+                //site name.
+                issuer: null,
+
+                //The number of 30 second steps before and after the current
+                //time in which a code is still accepted to allow for clock
+                //drift
+                window: 1,
+
+                //The number of single use recovery codes issued on enrolment
+                recovery_codes: 10
+            },
+
+            //Personal API keys.  Users create keys from their account page and
+            //send them to the /api routes in an "Authorization: Bearer [key]"
+            //header instead of signing in.
+            api_keys: {
+
+                enabled: true,
+
+                //The maximum number of keys that a user may have
+                max_per_user: 10,
+
+                //The number of milliseconds that must pass before the time a
+                //key was last used is updated again.  Keeps busy keys from
+                //writing to the database on every request.
+                last_used_interval: 60 * 1000
+            }
+        },
+
         //Pulls in the package.json file for PB and extracts the version so it is
         //available in the configuration.
         version: require(path.join(Configuration.DOCUMENT_ROOT, 'package.json')).version
@@ -71,8 +71,14 @@ module.exports = function(pb) {
         display_author_position: 1,
         allow_comments: 1,
         default_comments: 1,
+        moderate_comments: 0,
         require_account: 0,
-        require_verification: 0
+        require_verification: 0,
+        image_sizes: [
+            {name: 'thumbnail', width: 150, height: 150, crop: true},
+            {name: 'medium', width: 640, height: 0, crop: false},
+            {name: 'large', width: 1280, height: 0, crop: false}
+        ]
     });
 
     /**
@@ -211,6 +211,32 @@ module.exports = function DAOModule(pb) {
         });
     };
 
+    /**
+     * Runs an aggregation pipeline against a collection
+     * @method aggregate
+     * @param {String} collection The collection to aggregate
+     * @param {Array} pipeline The stages of the pipeline (MongoDB syntax)
+     * @param {Function} cb (Error, Array) Provides the documents produced by
+     * the last stage
+     */
+    DAO.prototype.aggregate = function(collection, pipeline, cb) {
+        if (!util.isString(collection) || !util.isArray(pipeline)) {
+            return cb(new Error("The collection and pipeline parameters are required"));
+        }
+
+        var self = this;
+        this.getDb(function(err, db) {
+            if (util.isError(err)) {
+                return cb(err);
+            }
+
+            if(pb.config.db.query_logging){
+                pb.log.info(util.format("DAO: AGGREGATE %s.%s %j", self.dbName, collection, pipeline));
+            }
+            db.collection(collection).aggregate(pipeline, cb);
+        });
+    };
+
     /**
      * Queries the database. Added in the 0.2.5 release
      * @method q
@@ -65,6 +65,11 @@ module.exports = function IndicesModule(multisite) {
             spec: {admin: DESC},
             options: {}
         },
+        {
+            collection: 'user',
+            spec: {auth_provider: ASC, auth_subject: ASC},
+            options: {}
+        },
 
         //unverified user
         {
@@ -166,6 +171,54 @@ module.exports = function IndicesModule(multisite) {
             spec: {created: ASC},
             options: {}
         },
+        {
+            collection: 'media',
+            spec: multisite ? {media_folder: ASC, site: ASC} : {media_folder: ASC},
+            options: {}
+        },
+        {
+            collection: 'media',
+            spec: multisite ? {media_tags: ASC, site: ASC} : {media_tags: ASC},
+            options: {}
+        },
+
+        //media folder
+        {
+            collection: 'media_folder',
+            spec: multisite ? {parent: ASC, name: ASC, site: ASC} : {parent: ASC, name: ASC},
+            options: {}
+        },
+
+        //media usage
+        {
+            collection: 'media_usage',
+            spec: {content_id: ASC},
+            options: {unique: true}
+        },
+        {
+            collection: 'media_usage',
+            spec: multisite ? {media: ASC, site: ASC} : {media: ASC},
+            options: {}
+        },
+
+        //redirect
+        {
+            collection: 'redirect',
+            spec: multisite ? {source: ASC, match_type: ASC, site: ASC} : {source: ASC, match_type: ASC},
+            options: {}
+        },
+        {
+            collection: 'redirect',
+            spec: multisite ? {target: ASC, site: ASC} : {target: ASC},
+            options: {}
+        },
+
+        //media upload
+        {
+            collection: 'media_upload',
+            spec: {expires: ASC},
+            options: {}
+        },
 
         //job run
         //NOTHING YET
@@ -232,6 +285,11 @@ module.exports = function IndicesModule(multisite) {
             spec: {publish_date: DESC, draft: ASC},
             options: {}
         },
+        {
+            collection: 'article',
+            spec: {expiry_date: ASC},
+            options: {}
+        },
         {
             collection: 'article',
             spec: {author: ASC},
@@ -274,6 +332,21 @@ module.exports = function IndicesModule(multisite) {
             spec: {commenter: ASC},
             options: {}
         },
+        {
+            collection: 'comment',
+            spec: {article: ASC, status: ASC},
+            options: {}
+        },
+        {
+            collection: 'comment',
+            spec: {ip: ASC, created: ASC},
+            options: {}
+        },
+        {
+            collection: 'comment',
+            spec: {parent: ASC},
+            options: {}
+        },
 
         //topic
         {
@@ -308,6 +381,11 @@ module.exports = function IndicesModule(multisite) {
             spec: {publish_date: DESC, draft: ASC},
             options: {}
         },
+        {
+            collection: 'page',
+            spec: {expiry_date: ASC},
+            options: {}
+        },
         {
             collection: 'page',
             spec: {author: ASC},
@@ -334,6 +412,72 @@ module.exports = function IndicesModule(multisite) {
             options: {}
         },
 
+        //content revision
+        {
+            collection: 'content_revision',
+            spec: {content_type: ASC, content_id: ASC, revision: DESC},
+            options: {unique: true}
+        },
+
+        //workflow transition
+        {
+            collection: 'workflow_transition',
+            spec: {content_type: ASC, content_id: ASC, created: DESC},
+            options: {}
+        },
+
+        //email queue
+        {
+            collection: 'email_queue',
+            spec: {status: ASC, next_attempt: ASC},
+            options: {}
+        },
+
+        //webhook
+        {
+            collection: 'webhook',
+            spec: multisite ? {active: ASC, events: ASC, site: ASC} : {active: ASC, events: ASC},
+            options: {}
+        },
+        {
+            collection: 'webhook_delivery',
+            spec: {status: ASC, next_attempt: ASC},
+            options: {}
+        },
+        {
+            collection: 'webhook_delivery',
+            spec: {webhook_id: ASC, created: DESC},
+            options: {}
+        },
+        {
+            collection: 'webhook_delivery',
+            spec: {created: ASC},
+            options: {expireAfterSeconds: 2592000}
+        },
+
+        //search index
+        {
+            collection: 'search_index',
+            spec: {content_id: ASC},
+            options: {unique: true}
+        },
+
+        //the weights must match SearchService.FIELD_WEIGHTS
+        {
+            collection: 'search_index',
+            spec: {headline: 'text', subheading: 'text', keywords: 'text', topic_names: 'text', text: 'text'},
+            options: {
+                name: 'search_index_text',
+                default_language: 'none',
+                weights: {headline: 10, subheading: 5, keywords: 4, topic_names: 3, text: 1}
+            }
+        },
+        {
+            collection: 'search_index',
+            spec: multisite ? {content_type: ASC, site: ASC} : {content_type: ASC},
+            options: {}
+        },
+
         //lock
         {
             collection: 'lock',
@@ -345,6 +489,21 @@ module.exports = function IndicesModule(multisite) {
             spec: {timeout: ASC},
             options: {expireAfterSeconds: 0}
         },
+        {
+            collection: 'lock_queue',
+            spec: {name: ASC, token: ASC},
+            options: {unique: true}
+        },
+        {
+            collection: 'lock_queue',
+            spec: {name: ASC, created: ASC},
+            options: {}
+        },
+        {
+            collection: 'lock_queue',
+            spec: {expires: ASC},
+            options: {expireAfterSeconds: 0}
+        },
 
         //token
         {
@@ -356,6 +515,25 @@ module.exports = function IndicesModule(multisite) {
             collection: 'auth_token',
             spec: {created: ASC},
             options: {expireAfterSeconds: 25920000}
+        },
+
+        //api key
+        {
+            collection: 'api_key',
+            spec: {key_hash: ASC},
+            options: {unique: true}
+        },
+        {
+            collection: 'api_key',
+            spec: {user_id: ASC, created: DESC},
+            options: {}
+        },
+
+        //session
+        {
+            collection: 'session',
+            spec: {'authentication.user_id': ASC},
+            options: {}
         }
     ];
 };
@@ -65,7 +65,7 @@ module.exports = function(pb) {
         //to ensure that the index exists and then send the collection modification
         //command to change the TTL value.
         var indexName = null;
-        var acquiredLock = false;
+        var lockToken = null;
         var key = INDEX_MOD_KEY_PREFIX + collection;
         var dao = new pb.DAO();
         var tasks = [
@@ -93,17 +93,17 @@ module.exports = function(pb) {
 
             //drop index when lock is acquired.  If NULL, the expiry is fine.
             //If false assume that another process is handling it.
-            function(acquiredLock, callback) {
-                if (acquiredLock === null) {
+            function(reply, callback) {
+                if (reply === null) {
                     return callback(null, null);
                 }
-                else if (acquiredLock === false) {
+                else if (reply === false) {
                     pb.log.silly('TTLIndexHelper:[%s:%s] Failed to acquire index mod lock.  Assuming another PB instance is handling it', collection, indexName);
                     return callback(null, null);
                 }
 
                 pb.log.silly('TTLIndexHelper:[%s:%s] Lock acquired, dropping the index before recreating it', collection, indexName);
-                acquiredLock = true;
+                lockToken = reply;
                 dao.dropIndex(collection, indexName, callback);
             },
 
@@ -119,12 +119,12 @@ module.exports = function(pb) {
 
             //drop the lock
             function(indexName, callback) {
-                if (!acquiredLock) {
+                if (!lockToken) {
                     return callback(null, indexName);
                 }
 
                 pb.log.silly('TTLIndexHelper:[%s:%s] Dropping index modification lock', collection, indexName);
-                self.lockService.release(key, function(err, result) {
+                self.lockService.release(key, lockToken, function(err, result) {
                     callback(err, indexName);
                 });
             },
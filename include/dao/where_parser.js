@@ -0,0 +1,569 @@
+/*
+    Copyright (C) 2016  PencilBlue, LLC
+
+    This program is free software: you can redistribute it and/or modify
+    it under the terms of the GNU General Public License as published by
+    the Free Software Foundation, either version 3 of the License, or
+    (at your option) any later version.
+
+    This program is distributed in the hope that it will be useful,
+    but WITHOUT ANY WARRANTY; without even the implied warranty of
+    MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+    GNU General Public License for more details.
+
+    You should have received a copy of the GNU General Public License
+    along with this program.  If not, see <http://www.gnu.org/licenses/>.
+*/
+'use strict';
+
+//dependencies
+var util = require('../util.js');
+
+module.exports = function WhereParserModule(pb) {
+
+    /**
+     * Translates a filter expression into a where clause for the DAO.  The
+     * grammar is made up of conditions joined by "and" and "or" where "and"
+     * takes precedence.  Parentheses group conditions.  Each condition is a
+     * field, an operator and a value:
+     * <ul>
+     * <li>headline contains 'news'</li>
+     * <li>publish_date ge '2016-01-01' and author eq '507f1f77bcf86cd799439011'</li>
+     * <li>(views gt 100 or featured eq true) and media_type in ('image', 'video')</li>
+     * <li>subheading exists false</li>
+     * </ul>
+     * Strings are enclosed in single quotes.  A quote within a string is
+     * escaped by doubling it.  Only the fields provided to the parser can be
+     * filtered and each value must match the type of its field.
+     * @class WhereParser
+     * @constructor
+     * @param {Object} fields The fields that may be filtered mapped to their
+     * type.  See WhereParser.TYPES
+     */
+    function WhereParser(fields) {
+
+        /**
+         * @property fields
+         * @type {Object}
+         */
+        this.fields = fields || {};
+    }
+
+    /**
+     * The types of fields that can be filtered
+     * @static
+     * @readonly
+     * @property TYPES
+     * @type {Object}
+     */
+    WhereParser.TYPES = Object.freeze({
+        STRING: 'string',
+        NUMBER: 'number',
+        BOOLEAN: 'boolean',
+        DATE: 'date',
+        ID: 'id',
+        OBJECT_ID: 'objectid'
+    });
+
+    /**
+     * The supported operators
+     * @static
+     * @readonly
+     * @property OPERATORS
+     * @type {Object}
+     */
+    WhereParser.OPERATORS = Object.freeze({
+        EQ: 'eq',
+        NE: 'ne',
+        GT: 'gt',
+        GE: 'ge',
+        LT: 'lt',
+        LE: 'le',
+        IN: 'in',
+        CONTAINS: 'contains',
+        EXISTS: 'exists'
+    });
+
+    /**
+     * The maximum number of characters in an expression
+     * @static
+     * @readonly
+     * @property MAX_LENGTH
+     * @type {Integer}
+     */
+    WhereParser.MAX_LENGTH = 2000;
+
+    /**
+     * The maximum number of conditions in an expression
+     * @static
+     * @readonly
+     * @property MAX_CONDITIONS
+     * @type {Integer}
+     */
+    WhereParser.MAX_CONDITIONS = 20;
+
+    /**
+     * The maximum number of nested groups in an expression
+     * @static
+     * @readonly
+     * @property MAX_DEPTH
+     * @type {Integer}
+     */
+    WhereParser.MAX_DEPTH = 5;
+
+    /**
+     * The maximum number of values in the list of an "in" condition
+     * @static
+     * @readonly
+     * @property MAX_VALUES
+     * @type {Integer}
+     */
+    WhereParser.MAX_VALUES = 100;
+
+    /**
+     * The name of the field that failures are reported against
+     * @private
+     * @static
+     * @readonly
+     * @property FAILURE_FIELD
+     * @type {String}
+     */
+    var FAILURE_FIELD = '$where';
+
+    /**
+     * The kinds of tokens in an expression
+     * @private
+     * @static
+     * @readonly
+     * @property TOKENS
+     * @type {Object}
+     */
+    var TOKENS = Object.freeze({
+        OPEN: '(',
+        CLOSE: ')',
+        COMMA: ',',
+        STRING: 'string',
+        NUMBER: 'number',
+        WORD: 'word'
+    });
+
+    /**
+     * Matches the next token.  The groups are, in order: punctuation, a quoted
+     * string, a number and a word.
+     * @private
+     * @static
+     * @readonly
+     * @property TOKEN_PATTERN
+     * @type {RegExp}
+     */
+    var TOKEN_PATTERN = /^\s*(?:([(),])|'((?:[^']|'')*)'|(-?\d+(?:\.\d+)?)(?![\w.])|([A-Za-z_][\w.]*))/;
+
+    /**
+     * Words that cannot be used as field names
+     * @private
+     * @static
+     * @readonly
+     * @property KEYWORDS
+     * @type {Array}
+     */
+    var KEYWORDS = Object.freeze(['and', 'or', 'true', 'false', 'null']);
+
+    var O = WhereParser.OPERATORS;
+
+    /**
+     * The operators that can be applied to each type of field
+     * @private
+     * @static
+     * @readonly
+     * @property TYPE_OPERATORS
+     * @type {Object}
+     */
+    var TYPE_OPERATORS = Object.freeze({
+        string: [O.EQ, O.NE, O.GT, O.GE, O.LT, O.LE, O.IN, O.CONTAINS, O.EXISTS],
+        number: [O.EQ, O.NE, O.GT, O.GE, O.LT, O.LE, O.IN, O.EXISTS],
+        date: [O.EQ, O.NE, O.GT, O.GE, O.LT, O.LE, O.IN, O.EXISTS],
+        boolean: [O.EQ, O.NE, O.EXISTS],
+        id: [O.EQ, O.NE, O.IN, O.EXISTS],
+        objectid: [O.EQ, O.NE, O.IN, O.EXISTS]
+    });
+
+    /**
+     * The Mongo operators that the comparison operators translate to
+     * @private
+     * @static
+     * @readonly
+     * @property COMPARISONS
+     * @type {Object}
+     */
+    var COMPARISONS = Object.freeze({
+        ne: '$ne',
+        gt: '$gt',
+        ge: '$gte',
+        lt: '$lt',
+        le: '$lte'
+    });
+
+    /**
+     * Converts a value token to the type of a field.  Each function provides
+     * undefined when the token cannot be converted.
+     * @private
+     * @static
+     * @readonly
+     * @property CONVERTERS
+     * @type {Object}
+     */
+    var CONVERTERS = Object.freeze({
+        string: function(token) {
+            return token.type === TOKENS.STRING ? token.value : undefined;
+        },
+        number: function(token) {
+            return token.type === TOKENS.NUMBER ? parseFloat(token.value) : undefined;
+        },
+        date: function(token) {
+            var date = token.type === TOKENS.STRING ? pb.BaseObjectService.getDate(token.value) : null;
+            return date === null ? undefined : date;
+        },
+        boolean: function(token) {
+            return token.type === TOKENS.WORD && (token.value === 'true' || token.value === 'false') ? token.value === 'true' : undefined;
+        },
+        id: function(token) {
+            return token.type === TOKENS.STRING && pb.ValidationService.isIdStr(token.value, true) ? token.value : undefined;
+        },
+        objectid: function(token) {
+            return token.type === TOKENS.STRING && pb.ValidationService.isIdStr(token.value, true) ? pb.DAO.getObjectId(token.value) : undefined;
+        }
+    });
+
+    /**
+     * Parses an expression
+     * @method parse
+     * @param {String} expression
+     * @return {Object} Contains the where clause, NULL when the expression is
+     * empty or invalid, and an array of validation failures
+     */
+    WhereParser.prototype.parse = function(expression) {
+        var failures = [];
+        if (!util.isString(expression) || expression.trim().length === 0) {
+            return {where: null, failures: failures};
+        }
+        if (expression.length > WhereParser.MAX_LENGTH) {
+            failures.push(failure('The expression cannot be longer than %s characters', WhereParser.MAX_LENGTH));
+            return {where: null, failures: failures};
+        }
+
+        var where = null;
+        try {
+            var state = {
+                tokens: WhereParser.tokenize(expression),
+                pos: 0,
+                depth: 0,
+                conditions: 0,
+                fields: this.fields,
+                failures: failures
+            };
+            where = parseOr(state);
+            if (state.pos < state.tokens.length) {
+                throw failure('Unexpected "%s"', state.tokens[state.pos].raw);
+            }
+        }
+        catch(e) {
+            if (util.isError(e)) {
+                throw e;
+            }
+            failures.push(e);
+        }
+        return {
+            where: failures.length > 0 ? null : where,
+            failures: failures
+        };
+    };
+
+    /**
+     * Splits an expression into tokens
+     * @static
+     * @method tokenize
+     * @param {String} expression
+     * @return {Array} The tokens.  Each has a type, a value and the raw text
+     * that it was read from.
+     */
+    WhereParser.tokenize = function(expression) {
+        var tokens = [];
+        var rest = expression;
+        while (rest.trim().length > 0) {
+            var match = TOKEN_PATTERN.exec(rest);
+            if (match === null) {
+                throw failure('Unexpected "%s"', rest.trim().substring(0, 20));
+            }
+
+            var token = {raw: match[0].trim()};
+            if (match[1] !== undefined) {
+                token.type = token.value = match[1];
+            }
+            else if (match[2] !== undefined) {
+                token.type = TOKENS.STRING;
+                token.value = match[2].replace(/''/g, '\'');
+            }
+            else if (match[3] !== undefined) {
+                token.type = TOKENS.NUMBER;
+                token.value = match[3];
+            }
+            else {
+                token.type = TOKENS.WORD;
+                token.value = KEYWORDS.indexOf(match[4].toLowerCase()) >= 0 ? match[4].toLowerCase() : match[4];
+            }
+            tokens.push(token);
+            rest = rest.substring(match[0].length);
+        }
+        return tokens;
+    };
+
+    /**
+     * @private
+     * @static
+     * @method parseOr
+     * @param {Object} state
+     * @return {Object}
+     */
+    function parseOr(state) {
+        var clauses = [parseAnd(state)];
+        while (isWord(peek(state), 'or')) {
+            state.pos++;
+            clauses.push(parseAnd(state));
+        }
+        return clauses.length === 1 ? clauses[0] : {$or: clauses};
+    }
+
+    /**
+     * @private
+     * @static
+     * @method parseAnd
+     * @param {Object} state
+     * @return {Object}
+     */
+    function parseAnd(state) {
+        var clauses = [parseTerm(state)];
+        while (isWord(peek(state), 'and')) {
+            state.pos++;
+            clauses.push(parseTerm(state));
+        }
+        return clauses.length === 1 ? clauses[0] : {$and: clauses};
+    }
+
+    /**
+     * Parses a group of conditions in parentheses or a single condition
+     * @private
+     * @static
+     * @method parseTerm
+     * @param {Object} state
+     * @return {Object}
+     */
+    function parseTerm(state) {
+        var token = peek(state);
+        if (token === null || token.type !== TOKENS.OPEN) {
+            return parseCondition(state);
+        }
+
+        if (++state.depth > WhereParser.MAX_DEPTH) {
+            throw failure('Groups cannot be nested more than %s levels deep', WhereParser.MAX_DEPTH);
+        }
+        state.pos++;
+        var where = parseOr(state);
+        expect(state, TOKENS.CLOSE);
+        state.depth--;
+        return where;
+    }
+
+    /**
+     * Parses a single condition.  Conditions on fields that cannot be filtered
+     * or with values that do not match the type of the field are recorded as
+     * failures so that every problem with the expression is reported.
+     * @private
+     * @static
+     * @method parseCondition
+     * @param {Object} state
+     * @return {Object}
+     */
+    function parseCondition(state) {
+        var fieldToken = next(state);
+        if (fieldToken.type !== TOKENS.WORD || KEYWORDS.indexOf(fieldToken.value) >= 0) {
+            throw failure('A field was expected but "%s" was provided', fieldToken.raw);
+        }
+        if (++state.conditions > WhereParser.MAX_CONDITIONS) {
+            throw failure('The expression cannot contain more than %s conditions', WhereParser.MAX_CONDITIONS);
+        }
+
+        var opToken = next(state);
+        var op = opToken.type === TOKENS.WORD ? opToken.value.toLowerCase() : null;
+        if (!util.isString(op) || TYPE_OPERATORS.string.indexOf(op) < 0) {
+            throw failure('An operator was expected after "%s" but "%s" was provided', fieldToken.value, opToken.raw);
+        }
+
+        var valueTokens = op === O.IN ? parseList(state) : [next(state)];
+
+        var field = fieldToken.value;
+        var type = state.fields.hasOwnProperty(field) ? state.fields[field] : undefined;
+        if (!TYPE_OPERATORS.hasOwnProperty(type)) {
+            state.failures.push(failure('The field "%s" cannot be filtered', field));
+            return {};
+        }
+        if (TYPE_OPERATORS[type].indexOf(op) < 0) {
+            state.failures.push(failure('The "%s" operator cannot be used with the field "%s"', op, field));
+            return {};
+        }
+
+        var values = [];
+        for (var i = 0; i < valueTokens.length; i++) {
+            var value = convert(type, op, valueTokens[i]);
+            if (value === undefined) {
+                state.failures.push(failure('An invalid value was provided for the field "%s": %s', field, valueTokens[i].raw));
+                return {};
+            }
+            values.push(value);
+        }
+
+        var where = {};
+        if (op === O.EQ) {
+            where[field] = values[0];
+        }
+        else if (op === O.IN) {
+            where[field] = {$in: values};
+        }
+        else if (op === O.CONTAINS) {
+            where[field] = new RegExp(util.escapeRegExp(values[0]), 'i');
+        }
+        else if (op === O.EXISTS) {
+            where[field] = {$exists: values[0]};
+        }
+        else {
+            where[field] = {};
+            where[field][COMPARISONS[op]] = values[0];
+        }
+        return where;
+    }
+
+    /**
+     * Parses the parenthesized list of values of an "in" condition
+     * @private
+     * @static
+     * @method parseList
+     * @param {Object} state
+     * @return {Array} The value tokens
+     */
+    function parseList(state) {
+        expect(state, TOKENS.OPEN);
+        var tokens = [next(state)];
+        while (isPunctuation(peek(state), TOKENS.COMMA)) {
+            state.pos++;
+            tokens.push(next(state));
+        }
+        expect(state, TOKENS.CLOSE);
+
+        if (tokens.length > WhereParser.MAX_VALUES) {
+            throw failure('The "in" operator cannot be provided more than %s values', WhereParser.MAX_VALUES);
+        }
+        return tokens;
+    }
+
+    /**
+     * Converts a value token for a condition.  NULL may be compared with any
+     * type of field and "exists" always takes a boolean.
+     * @private
+     * @static
+     * @method convert
+     * @param {String} type
+     * @param {String} op
+     * @param {Object} token
+     * @return {*} undefined when the value is not valid
+     */
+    function convert(type, op, token) {
+        if (op === O.EXISTS) {
+            return CONVERTERS.boolean(token);
+        }
+        if (isWord(token, 'null')) {
+            return op === O.EQ || op === O.NE ? null : undefined;
+        }
+        return CONVERTERS[type](token);
+    }
+
+    /**
+     * @private
+     * @static
+     * @method peek
+     * @param {Object} state
+     * @return {Object} The next token or NULL at the end of the expression
+     */
+    function peek(state) {
+        return state.pos < state.tokens.length ? state.tokens[state.pos] : null;
+    }
+
+    /**
+     * Consumes the next token
+     * @private
+     * @static
+     * @method next
+     * @param {Object} state
+     * @return {Object}
+     */
+    function next(state) {
+        var token = peek(state);
+        if (token === null) {
+            throw failure('The expression ended unexpectedly');
+        }
+        state.pos++;
+        return token;
+    }
+
+    /**
+     * Consumes the next token when it is the expected punctuation
+     * @private
+     * @static
+     * @method expect
+     * @param {Object} state
+     * @param {String} punctuation
+     */
+    function expect(state, punctuation) {
+        var token = next(state);
+        if (!isPunctuation(token, punctuation)) {
+            throw failure('"%s" was expected but "%s" was provided', punctuation, token.raw);
+        }
+    }
+
+    /**
+     * @private
+     * @static
+     * @method isWord
+     * @param {Object} token
+     * @param {String} word A keyword
+     * @return {Boolean}
+     */
+    function isWord(token, word) {
+        return token !== null && token.type === TOKENS.WORD && token.value === word;
+    }
+
+    /**
+     * @private
+     * @static
+     * @method isPunctuation
+     * @param {Object} token
+     * @param {String} punctuation
+     * @return {Boolean}
+     */
+    function isPunctuation(token, punctuation) {
+        return token !== null && token.type === punctuation;
+    }
+
+    /**
+     * Creates a validation failure for the $where parameter
+     * @private
+     * @static
+     * @method failure
+     * @param {String} format
+     * @return {Object}
+     */
+    function failure(/*format, args...*/) {
+        return pb.BaseObjectService.validationFailure(FAILURE_FIELD, util.format.apply(util, arguments));
+    }
+
+    //exports
+    return WhereParser;
+};
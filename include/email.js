@@ -17,8 +17,7 @@
 'use strict';
 
 //dependencies
-var NodeMailer = require('nodemailer');
-var util       = require('./util.js');
+var util = require('./util.js');
 
 module.exports = function EmailServiceModule(pb) {
 
@@ -60,11 +59,34 @@ module.exports = function EmailServiceModule(pb) {
         password: ''
     });
 
+    /**
+     * The transports that are available to deliver email, keyed by name
+     * @private
+     * @static
+     * @property TRANSPORTS
+     * @type {Object}
+     */
+    var TRANSPORTS = {
+        smtp: pb.SmtpEmailTransport,
+        sendmail: pb.SendmailEmailTransport,
+        file: pb.FileEmailTransport
+    };
+
+    /**
+     * The error code provided when the selected transport is not registered
+     * @static
+     * @readonly
+     * @property ERR_NO_TRANSPORT
+     * @type {String}
+     */
+    EmailService.ERR_NO_TRANSPORT = 'ERR_NO_TRANSPORT';
+
     /**
      * Retrieves a template and sends it as an email
      *
      * @method sendFromTemplate
      * @param {Object}   options Object containing the email settings and template name
+     * @param {Boolean}  [options.queue=true] When FALSE a failed delivery is not queued for retry
      * @param {Function} cb      Callback function
      */
     EmailService.prototype.sendFromTemplate = function(options, cb){
@@ -80,7 +102,7 @@ module.exports = function EmailServiceModule(pb) {
         ts.load(options.template, function(err, data) {
 
             var body = '' + data;
-            self.send(options.from, options.to, options.subject, body, cb);
+            self.send(options.from, options.to, options.subject, body, {queue: options.queue}, cb);
         });
     };
 
@@ -89,6 +111,7 @@ module.exports = function EmailServiceModule(pb) {
     *
     * @method sendFromLayout
     * @param {Object}   options Object containing the email settings and layout
+    * @param {Boolean}  [options.queue=true] When FALSE a failed delivery is not queued for retry
     * @param {Function} cb      Callback function
     */
     EmailService.prototype.sendFromLayout = function(options, cb){
@@ -99,24 +122,69 @@ module.exports = function EmailServiceModule(pb) {
                 layout.split('^' + key + '^').join(options.replacements[key]);
             }
         }
-        self.send(options.from, options.to, options.subject, layout, cb);
+        self.send(options.from, options.to, options.subject, layout, {queue: options.queue}, cb);
     };
 
     /**
-     * Sends an email
+     * Sends an email.  When delivery fails and the outbound queue is enabled the
+     * message is persisted and retried in the background.  In that case the
+     * callback receives a result with a "queued" property set to TRUE instead
+     * of the error.
      *
      * @method send
      * @param  {String}   from    From name
      * @param  {String}   to      To email address
      * @param  {String}   subject Email subject
      * @param  {String}   body    Email content
+     * @param  {Object}   [options]
+     * @param  {Boolean}  [options.queue=true] When FALSE a failed delivery is
+     * reported to the caller instead of being queued for retry
      * @param  {Function} cb      Callback function
      */
-    EmailService.prototype.send = function(from, to, subject, body, cb) {
+    EmailService.prototype.send = function(from, to, subject, body, options, cb) {
+        if (util.isFunction(options)) {
+            cb = options;
+            options = {};
+        }
+        options = options || {};
+
+        var self = this;
+        var message = {
+            from: from,
+            to: to,
+            subject: subject,
+            html: body
+        };
+        this.deliver(message, function(err, response) {
+            if (!util.isError(err) || options.queue === false || !pb.EmailQueueService.isEnabled() || err.code === EmailService.ERR_NO_TRANSPORT) {
+                return cb(err, response);
+            }
+
+            var queueService = new pb.EmailQueueService();
+            queueService.enqueue(message, self.site, err, function(queueErr, item) {
+                if (util.isError(queueErr)) {
+                    pb.log.error('EmailService: Failed to queue email for retry: %s', queueErr.stack);
+                    return cb(err, response);
+                }
+                pb.log.info('EmailService: Queued email to %s for retry', to);
+                cb(null, {queued: true, id: item[pb.DAO.getIdField()]});
+            });
+        });
+    };
 
+    /**
+     * Delivers a message through the transport configured for the site.  The
+     * message is not queued when delivery fails.
+     *
+     * @method deliver
+     * @param {Object} message The nodemailer mail options: from, to, subject, html.
+     * When the "from" property is not provided it is set from the email settings.
+     * @param {Function} cb A callback that takes two parameters: cb(Error, Object)
+     */
+    EmailService.prototype.deliver = function(message, cb) {
         this.getSettings(function(err, emailSettings) {
             if (util.isError(err)) {
-                throw err;
+                return cb(err);
             }
             else if (!emailSettings) {
                 err = new Error('No Email settings available.  Go to the admin settings and put in SMTP settings');
@@ -124,34 +192,19 @@ module.exports = function EmailServiceModule(pb) {
                 return cb(err);
             }
 
-            var options = {
-                service: emailSettings.service,
-                auth:
-                {
-                    user: emailSettings.username,
-                    pass: emailSettings.password
-                }
-            };
-            if (emailSettings.service == 'custom') {
-                options.host = emailSettings.host,
-                options.secureConnection = emailSettings.secure_connection,
-                options.port = emailSettings.port;
+            var transport = EmailService.getTransport(emailSettings);
+            if (!transport) {
+                err = new Error('No email transport is registered with the name: ' + EmailService.getTransportName(emailSettings));
+                err.code = EmailService.ERR_NO_TRANSPORT;
+                pb.log.error(err.stack);
+                return cb(err);
             }
-            var smtpTransport = NodeMailer.createTransport("SMTP", options);
 
-            var mailOptions = {
-                from: from || (emailSettings.from_name + '<' + emailSettings.from_address + '>'),
-                to: to,
-                subject: subject,
-                html: body
-            };
-
-            smtpTransport.sendMail(mailOptions, function(err, response) {
+            message.from = message.from || (emailSettings.from_name + '<' + emailSettings.from_address + '>');
+            transport.send(message, function(err, response) {
                 if (util.isError(err)) {
                     pb.log.error("EmailService: Failed to send email: ", err.stack);
                 }
-                smtpTransport.close();
-
                 cb(err, response);
             });
         });
@@ -181,6 +234,70 @@ module.exports = function EmailServiceModule(pb) {
         return DEFAULT_SETTINGS;
     };
 
+    /**
+     * Registers a transport that can be used to deliver email.  The transport
+     * prototype is instantiated with the site's email settings and must provide
+     * a "send" function that takes two parameters: the nodemailer mail options
+     * and a callback: send(message, cb).  Registering a transport with the name
+     * of an existing transport replaces it.
+     *
+     * @static
+     * @method registerTransport
+     * @param {String} name The name used to select the transport
+     * @param {Function} TransportPrototype
+     * @return {Boolean} TRUE when registered
+     */
+    EmailService.registerTransport = function(name, TransportPrototype) {
+        if (!util.isString(name) || !util.isFunction(TransportPrototype)) {
+            return false;
+        }
+        TRANSPORTS[name] = TransportPrototype;
+        return true;
+    };
+
+    /**
+     * Removes a transport from the registry
+     *
+     * @static
+     * @method unregisterTransport
+     * @param {String} name
+     * @return {Boolean} TRUE when the transport was registered
+     */
+    EmailService.unregisterTransport = function(name) {
+        if (TRANSPORTS[name] === undefined) {
+            return false;
+        }
+        delete TRANSPORTS[name];
+        return true;
+    };
+
+    /**
+     * Determines the name of the transport to use.  The site's email settings
+     * may override the configured transport.
+     *
+     * @static
+     * @method getTransportName
+     * @param {Object} [settings] The email settings
+     * @return {String}
+     */
+    EmailService.getTransportName = function(settings) {
+        return settings && settings.transport ? settings.transport : pb.config.email.transport;
+    };
+
+    /**
+     * Creates an instance of the transport selected by the email settings
+     *
+     * @static
+     * @method getTransport
+     * @param {Object} settings The email settings
+     * @return {Object} The transport or NULL when no transport is registered
+     * with the selected name
+     */
+    EmailService.getTransport = function(settings) {
+        var TransportPrototype = TRANSPORTS[EmailService.getTransportName(settings)];
+        return TransportPrototype ? new TransportPrototype(settings) : null;
+    };
+
     //exports
     return EmailService;
 };
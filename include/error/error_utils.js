@@ -74,6 +74,17 @@ class ErrorUtils {
         return err;
     }
 
+    /**
+     * Creates an error that represents a client that made too many requests (429)
+     * @static
+     * @method tooManyRequests
+     * @param {string} [message]
+     * @returns {Error}
+     */
+    static tooManyRequests (message) {
+        return ErrorUtils.custom(message, HttpStatusCodes.TOO_MANY_REQUESTS);
+    }
+
     /**
      * Creates an error that represents an internal server error (500)
      * @static
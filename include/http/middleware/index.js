@@ -104,6 +104,13 @@ module.exports = function(pb) {
          */
         static principal (req, res, next) {
 
+            //API keys take the place of the session cookie on the API.  Elsewhere the Authorization header may have
+            //been added by a proxy or SSO layer in front of PB so it is ignored.
+            var apiKey = Middleware.getBearerToken(req);
+            if (apiKey !== null && Middleware.acceptsApiKeys(req)) {
+                return Middleware.apiKeyPrincipal(req, apiKey, next);
+            }
+
             //check for session cookie
             var cookies = RequestHandler.parseCookies(req);
             req.headers[pb.SessionHandler.COOKIE_HEADER] = cookies;
@@ -117,10 +124,10 @@ module.exports = function(pb) {
                     return next(new Error("The session object was not valid.  Unable to generate a session object based on request."));
                 }
                 //set the session id when no session has started or the current one has
-                //expired.
+                //expired.  A stateless session is written back on every request.
                 var sc = Object.keys(cookies).length === 0;
                 var se = !sc && cookies.session_id !== session.uid;
-                req.handler.setSessionCookie = req.setSessionCookie = sc || se;
+                req.handler.setSessionCookie = req.setSessionCookie = sc || se || pb.session.isStateless();
                 if (pb.log.isSilly()) {
                     pb.log.silly("RequestHandler: Session ID [%s] Cookie SID [%s] Created [%s] Expired [%s]", session.uid, cookies.session_id, sc, se);
                 }
@@ -131,6 +138,65 @@ module.exports = function(pb) {
             });
         }
 
+        /**
+         * Authenticates the request with a personal API key.  A session that
+         * lasts only for the request is created for the key's user.  When the
+         * key is not accepted a 401 NOT AUTHORIZED is thrown.
+         * @static
+         * @method apiKeyPrincipal
+         * @param {Request} req The current request to process
+         * @param {String} apiKey The key sent with the request
+         * @param {function} next (Error) Callback function that takes a single parameter, an error if it occurred
+         */
+        static apiKeyPrincipal (req, apiKey, next) {
+            var siteObj = RequestHandler.sites[req.handler.hostname];
+            var service = new pb.ApiKeyService({site: siteObj ? siteObj.uid : null});
+            var options = {
+                method: req.method,
+                ip: RequestHandler.getClientIp(req)
+            };
+            service.authenticate(apiKey, options, function(err, result) {
+                if (util.isError(err)) {
+                    return next(err);
+                }
+                if (result === null) {
+                    return next(ErrorUtils.notAuthorized());
+                }
+
+                var session = pb.session.create(req);
+                session.api_key = result.key[pb.DAO.getIdField()].toString();
+                pb.SecurityService.setAuthenticatedUser(session, result.user);
+
+                req.handler.setSessionCookie = req.setSessionCookie = false;
+                req.handler.session = req.session = session;
+                next();
+            });
+        }
+
+        /**
+         * API keys are only accepted by the /api routes and only when they are enabled
+         * @static
+         * @method acceptsApiKeys
+         * @param {Request} req
+         * @return {Boolean}
+         */
+        static acceptsApiKeys (req) {
+            return !!pb.config.authentication.api_keys.enabled && req.handler.url.pathname.indexOf('/api/') === 0;
+        }
+
+        /**
+         * Extracts the API key from the "Authorization: Bearer [key]" header
+         * @static
+         * @method getBearerToken
+         * @param {Request} req
+         * @return {String} NULL when the header is not present
+         */
+        static getBearerToken (req) {
+            var header = req.headers.authorization;
+            var match = util.isString(header) ? /^Bearer\s+(\S+)\s*$/i.exec(header) : null;
+            return match ? match[1] : null;
+        }
+
         /**
          * Derives the intended site based on hostname of the incoming request
          * @static
@@ -463,9 +529,9 @@ module.exports = function(pb) {
          */
         static writeSessionCookie (req, res, next) {
             var cookies = new Cookies(req, res);
-            if (req.setSessionCookie) {
+            if (req.setSessionCookie && !req.session.end) {
                 try {
-                    cookies.set(pb.SessionHandler.COOKIE_NAME, req.session.uid, pb.SessionHandler.getSessionCookie(req.session));
+                    cookies.set(pb.SessionHandler.COOKIE_NAME, pb.session.getCookieValue(req.session), pb.SessionHandler.getSessionCookie(req.session));
                 }
                 catch (e) {
                     pb.log.error('RequestHandler: Failed to set cookie: %s', e.stack);
@@ -528,8 +594,9 @@ module.exports = function(pb) {
 
             //close session after data sent
             //public content doesn't require a session so in order to not error out we
-            //check if the session exists first.
-            if (req.session) {
+            //check if the session exists first.  Sessions created for an API key
+            //only last for the request.
+            if (req.session && !req.session.api_key) {
                 pb.session.close(req.session, function (err/*, result*/) {
                     if (util.isError(err)) {
                         pb.log.warn('RequestHandler: Failed to close session [%s]', req.session.uid);
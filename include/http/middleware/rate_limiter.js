@@ -0,0 +1,277 @@
+/*
+ Copyright (C) 2016  PencilBlue, LLC
+
+ This program is free software: you can redistribute it and/or modify
+ it under the terms of the GNU General Public License as published by
+ the Free Software Foundation, either version 3 of the License, or
+ (at your option) any later version.
+
+ This program is distributed in the hope that it will be useful,
+ but WITHOUT ANY WARRANTY; without even the implied warranty of
+ MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ GNU General Public License for more details.
+
+ You should have received a copy of the GNU General Public License
+ along with this program.  If not, see <http://www.gnu.org/licenses/>.
+ */
+'use strict';
+
+//dependencies
+var ErrorUtils = require('../../error/error_utils');
+
+module.exports = function(pb) {
+
+    //pb dependencies
+    var util = pb.util;
+
+    /**
+     * The prefix of the keys that the counters are stored under
+     * @private
+     * @static
+     * @readonly
+     * @property KEY_PREFIX
+     * @type {String}
+     */
+    var KEY_PREFIX = 'pb_rate_limit:';
+
+    /**
+     * Limits the rate of requests made to the routes that opt in by providing
+     * a "rate_limit" policy with their descriptor.  Each client may make "max"
+     * requests to a route in any sliding window of "window" seconds.  The
+     * requests are counted per fixed window and the count of the previous
+     * window is weighted by how much of it still overlaps the sliding window.
+     * When the limit is reached the request is rejected with a 429 and a
+     * Retry-After header.  The counters are kept in pb.cache and are only
+     * changed with atomic increments so that the limits hold across
+     * concurrent requests and the cluster.  A sliding window is used rather
+     * than a token bucket because refilling a bucket atomically requires a
+     * cache script, which the fake cache does not support.  Unlike a bucket,
+     * the window does not allow a burst above "max".  When the cache cannot be
+     * reached requests are let through.
+     * @class RateLimiter
+     */
+    class RateLimiter {
+
+        /**
+         * Counts the request against the limit of the client for the route.  The X-RateLimit-* headers are set on the
+         * response when the route is limited.
+         * @static
+         * @method check
+         * @param {Request} req The current request to process
+         * @param {Response} res The response object that compliments the current request
+         * @param {function} next (Error) Callback function that takes a single parameter, an error if it occurred
+         */
+        static check (req, res, next) {
+            var policy = RateLimiter.getPolicy(req.themeRoute);
+            if (policy === null) {
+                return next();
+            }
+
+            var key = RateLimiter.getKey(req, policy);
+            RateLimiter.consume(key, policy, Date.now(), function(err, result) {
+                if (util.isError(err)) {
+                    pb.log.error('RateLimiter: Failed to check the limit [%s]: %s', key, err.stack);
+                    return next();
+                }
+
+                res.setHeader(RateLimiter.LIMIT_HEADER, policy.max);
+                res.setHeader(RateLimiter.REMAINING_HEADER, result.remaining);
+                if (result.allowed) {
+                    return next();
+                }
+
+                pb.log.debug('RateLimiter: Rejected a request to %s %s from [%s]', req.method, req.url, key);
+                res.setHeader('Retry-After', result.retryAfter);
+                next(ErrorUtils.tooManyRequests(req.localizationService ?
+                    req.localizationService.g('error.TOO_MANY_REQUESTS') : null));
+            });
+        }
+
+        /**
+         * Resolves the policy that applies to the route.  A route may provide the name of a configured policy, a
+         * policy object or FALSE to opt out of the default policy.
+         * @static
+         * @method getPolicy
+         * @param {Object} [themeRoute] The route descriptor
+         * @return {Object} The policy with a "max", "window" and "key".  NULL when the route is not limited.
+         */
+        static getPolicy (themeRoute) {
+            var config = pb.config.rate_limit;
+            if (!config || !config.enabled) {
+                return null;
+            }
+
+            var policy = themeRoute && themeRoute.rate_limit !== undefined ? themeRoute.rate_limit : config.default_policy;
+            if (util.isString(policy)) {
+                var name = policy;
+                policy = config.policies ? config.policies[name] : undefined;
+                if (!util.isObject(policy)) {
+                    pb.log.warn('RateLimiter: The policy [%s] is not configured', name);
+                    return null;
+                }
+            }
+            if (!util.isObject(policy)) {
+                return null;
+            }
+
+            var max = parseInt(policy.max);
+            var window = parseFloat(policy.window);
+            if (isNaN(max) || max < 1 || isNaN(window) || window <= 0) {
+                pb.log.warn('RateLimiter: Ignoring a policy without a positive max and window');
+                return null;
+            }
+            return {
+                max: max,
+                window: window,
+                key: policy.key === RateLimiter.KEY_USER ? RateLimiter.KEY_USER : RateLimiter.KEY_IP
+            };
+        }
+
+        /**
+         * Creates the key of the counters of the client for the route.  Requests are identified by the user when the
+         * policy asks for it and the user has signed in.  Otherwise they are identified by the client IP.
+         * @static
+         * @method getKey
+         * @param {Request} req
+         * @param {Object} policy
+         * @return {String}
+         */
+        static getKey (req, policy) {
+            var session = req.session || {};
+            var client = policy.key === RateLimiter.KEY_USER && session.authentication && session.authentication.user_id ?
+                'user=' + session.authentication.user_id :
+                'ip=' + (pb.RequestHandler.getClientIp(req) || '');
+
+            var route = req.themeRoute ? req.themeRoute.method + ' ' + req.themeRoute.path : req.method + ' ' + req.url;
+            return KEY_PREFIX + [pb.SiteService.getCurrentSite(req.site), route, client].join(':');
+        }
+
+        /**
+         * Counts a request in the window that "now" falls in and checks it against the limit.  The counter is
+         * incremented, and the count of the previous window read, in a single transaction so that concurrent
+         * requests each get their own count.  A rejected request is taken off the count again so that a client
+         * is not locked out for longer by retrying.
+         * @static
+         * @method consume
+         * @param {String} key
+         * @param {Object} policy
+         * @param {Integer} now The current time in milliseconds
+         * @param {Function} cb (Error, Object) Provides "allowed", "remaining" and "retryAfter" (seconds)
+         */
+        static consume (key, policy, now, cb) {
+            var windowMs = policy.window * util.TIME.MILLIS_PER_SEC;
+            var index = Math.floor(now / windowMs);
+            var currentKey = key + ':' + index;
+            pb.cache.multi()
+                .incr(currentKey)
+                .pexpire(currentKey, Math.ceil(windowMs * 2))
+                .get(key + ':' + (index - 1))
+                .exec(function(err, replies) {
+                    if (util.isError(err)) {
+                        return cb(err);
+                    }
+
+                    var count = parseInt(replies[0]);
+                    var previous = parseInt(replies[2]) || 0;
+                    var elapsed = (now - (index * windowMs)) / windowMs;
+                    var used = count + (previous * (1 - elapsed));
+                    if (used <= policy.max) {
+                        return cb(null, {
+                            allowed: true,
+                            remaining: Math.floor(policy.max - used),
+                            retryAfter: 0
+                        });
+                    }
+
+                    pb.cache.decr(currentKey, function(err) {
+                        if (util.isError(err)) {
+                            pb.log.warn('RateLimiter: Failed to uncount a rejected request [%s]: %s', currentKey, err.message);
+                        }
+                        cb(null, {
+                            allowed: false,
+                            remaining: 0,
+                            retryAfter: RateLimiter.getRetryAfter(count - 1, previous, elapsed, policy)
+                        });
+                    });
+                });
+        }
+
+        /**
+         * Calculates how long a client has to wait before its next request fits in the limit
+         * @static
+         * @method getRetryAfter
+         * @param {Integer} count The number of requests that were allowed in the current window
+         * @param {Integer} previous The number of requests that were allowed in the previous window
+         * @param {Number} elapsed The fraction of the current window that has passed
+         * @param {Object} policy
+         * @return {Integer} The number of seconds to wait
+         */
+        static getRetryAfter (count, previous, elapsed, policy) {
+            var wait;
+            if (count < policy.max && previous > 0) {
+
+                //the request fits once enough of the previous window slid out
+                wait = 1 - ((policy.max - count - 1) / previous) - elapsed;
+            }
+            else {
+
+                //the current window has to become the previous one and slide out far enough
+                wait = (1 - elapsed) + Math.max(0, 1 - ((policy.max - 1) / Math.max(1, count)));
+            }
+            return Math.max(1, Math.ceil(wait * policy.window));
+        }
+
+        /**
+         * Registers the middleware ahead of the instantiation of the controller so that rejected requests never
+         * reach it.  The function does nothing when rate limiting is disabled.
+         * @static
+         * @method init
+         * @return {Boolean} TRUE when rate limiting was enabled
+         */
+        static init () {
+            if (!pb.config.rate_limit || !pb.config.rate_limit.enabled) {
+                return false;
+            }
+            pb.Router.addMiddlewareBefore('instantiateController', {name: 'rateLimit', action: RateLimiter.check});
+            return true;
+        }
+    }
+
+    /**
+     * The header that provides the maximum number of requests in the window
+     * @static
+     * @readonly
+     * @property LIMIT_HEADER
+     * @type {String}
+     */
+    RateLimiter.LIMIT_HEADER = 'X-RateLimit-Limit';
+
+    /**
+     * The header that provides the number of requests left in the window
+     * @static
+     * @readonly
+     * @property REMAINING_HEADER
+     * @type {String}
+     */
+    RateLimiter.REMAINING_HEADER = 'X-RateLimit-Remaining';
+
+    /**
+     * Identifies the client of a request by its IP
+     * @static
+     * @readonly
+     * @property KEY_IP
+     * @type {String}
+     */
+    RateLimiter.KEY_IP = 'ip';
+
+    /**
+     * Identifies the client of a request by the signed in user
+     * @static
+     * @readonly
+     * @property KEY_USER
+     * @type {String}
+     */
+    RateLimiter.KEY_USER = 'user';
+
+    return RateLimiter;
+};
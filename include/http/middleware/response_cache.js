@@ -0,0 +1,377 @@
+/*
+ Copyright (C) 2016  PencilBlue, LLC
+
+ This program is free software: you can redistribute it and/or modify
+ it under the terms of the GNU General Public License as published by
+ the Free Software Foundation, either version 3 of the License, or
+ (at your option) any later version.
+
+ This program is distributed in the hope that it will be useful,
+ but WITHOUT ANY WARRANTY; without even the implied warranty of
+ MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ GNU General Public License for more details.
+
+ You should have received a copy of the GNU General Public License
+ along with this program.  If not, see <http://www.gnu.org/licenses/>.
+ */
+'use strict';
+
+module.exports = function(pb) {
+
+    //pb dependencies
+    var util = pb.util;
+    var BaseObjectService = pb.BaseObjectService;
+    var CustomObjectService = pb.CustomObjectService;
+
+    /**
+     * The prefix of the keys that cached responses are stored under
+     * @private
+     * @static
+     * @readonly
+     * @property KEY_PREFIX
+     * @type {String}
+     */
+    var KEY_PREFIX = 'pb_response_cache:';
+
+    /**
+     * The prefix of the sorted set that indexes the cached responses of a
+     * site.  Each key is scored by the time that it expires.
+     * @private
+     * @static
+     * @readonly
+     * @property INDEX_PREFIX
+     * @type {String}
+     */
+    var INDEX_PREFIX = 'pb_response_cache_index:';
+
+    /**
+     * The types of objects whose changes are published on the pages of a site
+     * @private
+     * @static
+     * @readonly
+     * @property CONTENT_TYPES
+     * @type {Array}
+     */
+    var CONTENT_TYPES = Object.freeze(['article', 'page', 'topic', 'media', 'comment']);
+
+    /**
+     * Caches the full response of the routes that opt in by providing a
+     * "cache_ttl", in seconds, with their descriptor.  Only GET requests made
+     * by visitors that have not logged in are served from and written to the
+     * cache.  Responses are kept in pb.cache keyed by the site, the locale and
+     * the URL.  Only the query parameters that the route lists in its
+     * "cache_query" descriptor property are part of the key.  Requests with
+     * any other parameter are not cached so that clients cannot fill the cache
+     * with variations of a URL.  The cached responses of a site are flushed whenever content is
+     * saved or deleted and the flush is relayed to the other processes in the
+     * cluster through the CommandService.
+     * @class ResponseCache
+     */
+    class ResponseCache {
+
+        /**
+         * Serves the response from the cache when available.  When the response is not cached the key is set on the
+         * request as "responseCacheKey" so that the rendered result can be stored.
+         * @static
+         * @method check
+         * @param {Request} req The current request to process
+         * @param {Response} res The response object that compliments the current request
+         * @param {function} next (Error) Callback function that takes a single parameter, an error if it occurred
+         */
+        static check (req, res, next) {
+            if (!ResponseCache.isCacheable(req)) {
+                return next();
+            }
+
+            var key = ResponseCache.getKey(req);
+            pb.cache.get(key, function(err, json) {
+                if (util.isError(err)) {
+                    pb.log.error('ResponseCache: Failed to retrieve [%s]: %s', key, err.stack);
+                    return next();
+                }
+
+                var data = ResponseCache.parse(json);
+                if (data === null) {
+                    req.responseCacheKey = key;
+                    return next();
+                }
+
+                data.headers[ResponseCache.HEADER] = 'HIT';
+                req.controllerResult = data;
+                req.router.continueAfter('render');
+            });
+        }
+
+        /**
+         * Writes the rendered result to the cache when the request was not served from it.  Only successful results
+         * with string content are stored.
+         * @static
+         * @method store
+         * @param {Request} req The current request to process
+         * @param {Response} res The response object that compliments the current request
+         * @param {function} next (Error) Callback function that takes a single parameter, an error if it occurred
+         */
+        static store (req, res, next) {
+            var data = req.controllerResult;
+            if (!req.responseCacheKey || !ResponseCache.isStorable(data)) {
+                return next();
+            }
+
+            data.headers = util.merge(data.headers || {}, {});
+            var ttl = ResponseCache.getTtl(req.themeRoute);
+            var json = JSON.stringify({
+                content: data.content,
+                content_type: data.content_type,
+                headers: data.headers
+            });
+            var indexKey = ResponseCache.getIndexKey(req.site);
+            pb.cache.multi()
+                .setex(req.responseCacheKey, ttl, json)
+                .zadd(indexKey, Date.now() + (ttl * util.TIME.MILLIS_PER_SEC), req.responseCacheKey)
+                .zremrangebyscore(indexKey, '-inf', Date.now())
+                .exec(function(err) {
+                    if (util.isError(err)) {
+                        pb.log.error('ResponseCache: Failed to store [%s]: %s', req.responseCacheKey, err.stack);
+                    }
+                });
+            data.headers[ResponseCache.HEADER] = 'MISS';
+            next();
+        }
+
+        /**
+         * Indicates if the response to the request may be served from the cache
+         * @static
+         * @method isCacheable
+         * @param {Request} req
+         * @return {Boolean}
+         */
+        static isCacheable (req) {
+            var session = req.session || {};
+            if (!pb.config.response_cache.enabled ||
+                req.method !== 'GET' ||
+                ResponseCache.getTtl(req.themeRoute) === 0 ||
+                (session.authentication && session.authentication.user_id)) {
+                return false;
+            }
+
+            var allowed = ResponseCache.getQueryParameters(req.themeRoute);
+            return Object.keys(req.handler.url.query || {}).every(function(name) {
+                return allowed.indexOf(name) >= 0;
+            });
+        }
+
+        /**
+         * Indicates if a controller result may be stored in the cache
+         * @static
+         * @method isStorable
+         * @param {Object} data
+         * @return {Boolean}
+         */
+        static isStorable (data) {
+            return util.isObject(data) &&
+                (data.code === undefined || data.code === pb.HttpStatus.OK) &&
+                data.redirect === undefined &&
+                util.isString(data.content);
+        }
+
+        /**
+         * @static
+         * @method getTtl
+         * @param {Object} [themeRoute] The route descriptor
+         * @return {Integer} The number of seconds that the response to the route is cached for.  0 when the route is
+         * not cached.
+         */
+        static getTtl (themeRoute) {
+            var ttl = themeRoute ? parseInt(themeRoute.cache_ttl) : NaN;
+            return isNaN(ttl) || ttl < 0 ? 0 : ttl;
+        }
+
+        /**
+         * @static
+         * @method getQueryParameters
+         * @param {Object} [themeRoute] The route descriptor
+         * @return {Array} The names of the query parameters that the responses to the route vary by
+         */
+        static getQueryParameters (themeRoute) {
+            return themeRoute && util.isArray(themeRoute.cache_query) ? themeRoute.cache_query : [];
+        }
+
+        /**
+         * Creates the key that the response to the request is cached under.  The query parameters that the route
+         * varies by are sorted so that their order does not create separate entries.
+         * @static
+         * @method getKey
+         * @param {Request} req
+         * @return {String}
+         */
+        static getKey (req) {
+            var locale = req.localizationService ? req.localizationService.language : '';
+            var query = req.handler.url.query || {};
+            var params = ResponseCache.getQueryParameters(req.themeRoute).filter(function(name) {
+                return query[name] !== undefined;
+            }).sort().map(function(name) {
+                return encodeURIComponent(name) + '=' + encodeURIComponent(query[name]);
+            });
+
+            var path = req.handler.url.pathname + (params.length ? '?' + params.join('&') : '');
+            return KEY_PREFIX + [req.site, locale, path].join(':');
+        }
+
+        /**
+         * @static
+         * @method getIndexKey
+         * @param {String} site
+         * @return {String} The key of the sorted set that indexes the cached responses of the site
+         */
+        static getIndexKey (site) {
+            return INDEX_PREFIX + pb.SiteService.getCurrentSite(site);
+        }
+
+        /**
+         * Parses a cached response
+         * @static
+         * @method parse
+         * @param {String} json
+         * @return {Object} NULL when the response is not cached or could not be parsed
+         */
+        static parse (json) {
+            if (!util.isString(json)) {
+                return null;
+            }
+            try {
+                var data = JSON.parse(json);
+                data.headers = data.headers || {};
+                return data;
+            }
+            catch(e) {
+                pb.log.warn('ResponseCache: Discarding a cached response that could not be parsed: %s', e.message);
+                return null;
+            }
+        }
+
+        /**
+         * Removes the cached responses of a site from this process's cache
+         * @static
+         * @method flush
+         * @param {String} site
+         * @param {Function} cb (Error, Integer) Provides the number of responses removed
+         */
+        static flush (site, cb) {
+            var indexKey = ResponseCache.getIndexKey(site);
+            pb.cache.zrange(indexKey, 0, -1, function(err, keys) {
+                if (util.isError(err) || !util.isArray(keys) || keys.length === 0) {
+                    return cb(err, 0);
+                }
+
+                pb.cache.multi()
+                    .del(keys)
+                    .del(indexKey)
+                    .exec(function(err, replies) {
+                        cb(err, util.isArray(replies) ? replies[0] : 0);
+                    });
+            });
+        }
+
+        /**
+         * Flushes the cached responses of a site and instructs the other processes in the cluster to do the same
+         * @static
+         * @method invalidate
+         * @param {String} site
+         * @param {Function} cb (Error, Integer) Provides the number of responses removed from this process's cache
+         */
+        static invalidate (site, cb) {
+            site = pb.SiteService.getCurrentSite(site);
+            var command = {
+                site: site,
+                ignoreme: true
+            };
+            pb.CommandService.getInstance().sendCommandToAllGetResponses(ResponseCache.FLUSH_COMMAND, command, util.cb);
+            ResponseCache.flush(site, cb);
+        }
+
+        /**
+         * Handles the command sent by another process when the content of a site changes
+         * @static
+         * @method onFlushCommand
+         * @param {Object} command
+         * @param {String} command.site
+         */
+        static onFlushCommand (command) {
+            ResponseCache.flush(command.site, function(err, count) {
+                if (util.isError(err)) {
+                    return pb.log.error('ResponseCache: Failed to flush the responses of site [%s]: %s', command.site, err.stack);
+                }
+                pb.log.silly('ResponseCache: Flushed %s responses of site [%s]', count, command.site);
+            });
+        }
+
+        /**
+         * Event handler that invalidates the cached responses of the site after content is saved or deleted.
+         * Failures are logged but do not interrupt the operation.
+         * @static
+         * @method onContentChanged
+         * @param {Object} context
+         * @param {Object} [context.data] The object that was persisted or deleted
+         * @param {String} [context.site]
+         * @param {Function} cb
+         */
+        static onContentChanged (context, cb) {
+            if (!pb.config.response_cache.enabled) {
+                return cb();
+            }
+
+            var site = context.data && context.data.site ? context.data.site : context.site;
+            ResponseCache.invalidate(site, function(err) {
+                if (util.isError(err)) {
+                    pb.log.error('ResponseCache: Failed to invalidate the responses of site [%s]: %s', site, err.stack);
+                }
+                cb();
+            });
+        }
+
+        /**
+         * Registers the middleware around the "render" middleware and starts listening for flush commands.  The
+         * function does nothing when the cache is disabled.
+         * @static
+         * @method init
+         * @return {Boolean} TRUE when the cache was enabled
+         */
+        static init () {
+            if (!pb.config.response_cache.enabled) {
+                return false;
+            }
+            pb.Router.addMiddlewareBefore('render', {name: 'responseCacheCheck', action: ResponseCache.check});
+            pb.Router.addMiddlewareAfter('render', {name: 'responseCacheStore', action: ResponseCache.store});
+            pb.CommandService.getInstance().registerForType(ResponseCache.FLUSH_COMMAND, ResponseCache.onFlushCommand);
+            return true;
+        }
+    }
+
+    /**
+     * The header that indicates if the response was served from the cache
+     * @static
+     * @readonly
+     * @property HEADER
+     * @type {String}
+     */
+    ResponseCache.HEADER = 'X-Response-Cache';
+
+    /**
+     * The type of command that instructs a process to flush the cached responses of a site
+     * @static
+     * @readonly
+     * @property FLUSH_COMMAND
+     * @type {String}
+     */
+    ResponseCache.FLUSH_COMMAND = 'response_cache_flush';
+
+    //Event Registries
+    CONTENT_TYPES.forEach(function(type) {
+        BaseObjectService.on(type + '.' + BaseObjectService.AFTER_SAVE, ResponseCache.onContentChanged);
+        BaseObjectService.on(type + '.' + BaseObjectService.AFTER_DELETE, ResponseCache.onContentChanged);
+    });
+    CustomObjectService.on(CustomObjectService.AFTER_SAVE, ResponseCache.onContentChanged);
+    CustomObjectService.on(CustomObjectService.AFTER_DELETE, ResponseCache.onContentChanged);
+
+    return ResponseCache;
+};
@@ -382,6 +382,12 @@ module.exports = function RequestHandlerModule(pb) {
      * request must have successfully authenticated against the system.
      * @param {String} [descriptor.content_type='text/html'] The content type header sent with the response
      * @param {Boolean} [descriptor.localization=false]
+     * @param {Integer} [descriptor.cache_ttl] The number of seconds that responses to anonymous GET requests are kept
+     * by the ResponseCache.  The responses are not cached when omitted.
+     * @param {Array} [descriptor.cache_query] The names of the query parameters that the cached responses vary by.
+     * Requests with any other query parameter are not cached.
+     * @param {String|Object|Boolean} [descriptor.rate_limit] The name of a policy configured in "rate_limit.policies"
+     * or a policy object that the RateLimiter applies to the route.  FALSE opts the route out of the default policy.
      * @param {String} theme The plugin/theme UID
      * @param {String} site The UID of site that owns the route
      * @return {Boolean} TRUE if the route was registered, FALSE if not
@@ -616,7 +622,7 @@ module.exports = function RequestHandlerModule(pb) {
             //expired.
             var sc = Object.keys(cookies).length === 0;
             var se = !sc && cookies.session_id !== session.uid;
-            self.setSessionCookie =  sc || se;
+            self.setSessionCookie =  sc || se || pb.session.isStateless();
             if (pb.log.isSilly()) {
                 pb.log.silly("RequestHandler: Session ID [%s] Cookie SID [%s] Created [%s] Expired [%s]", session.uid, cookies.session_id, sc, se);
             }
@@ -732,6 +738,61 @@ module.exports = function RequestHandlerModule(pb) {
         }
     };
 
+    /**
+     * Indicates if the redirect table of the site should be consulted before a
+     * 404 is served for the request
+     * @method canRedirect
+     * @return {Boolean}
+     */
+    RequestHandler.prototype.canRedirect = function() {
+        return !!this.siteObj && !!this.url && (this.req.method === 'GET' || this.req.method === 'HEAD');
+    };
+
+    /**
+     * Redirects the request when it matches a rule in the redirect table of the
+     * site.  Otherwise the error is served as usual.  The query string of the
+     * request is kept when the location does not provide its own.
+     * @method serveRedirect
+     * @param {Error} err The 404 that would otherwise be served
+     * @param {Object} options The options that were passed to serveError
+     * @return {Boolean} TRUE
+     */
+    RequestHandler.prototype.serveRedirect = function(err, options) {
+        var self = this;
+        var path;
+        try {
+            path = decodeURIComponent(this.url.pathname);
+        }
+        catch(e) {
+            path = this.url.pathname;
+        }
+
+        var service = new pb.RedirectService({site: this.siteObj.uid});
+        var opts = {
+            locales: Object.keys(this.siteObj.supportedLocales || {})
+        };
+        service.resolve(path, opts, function(error, redirect) {
+            if (util.isError(error)) {
+                pb.log.error('RequestHandler: Failed to consult the redirects for URL=%s: %s', self.url.href, error.stack);
+            }
+            if (!redirect) {
+                return self.serveError(err, util.merge(options, {redirectChecked: true}));
+            }
+
+            var location = redirect.location;
+            if (self.url.search && location.indexOf('?') < 0) {
+                location += self.url.search;
+            }
+            var data = {
+                redirect: location,
+                code: redirect.code,
+                statusCode: redirect.code
+            };
+            (options.handler || function(data) { self.onRenderComplete(data); })(data);
+        });
+        return true;
+    };
+
     /**
      * Serves up an error page.  The page is responsible for displaying an error page
      * @method serveError
@@ -746,6 +807,11 @@ module.exports = function RequestHandlerModule(pb) {
         //default the options object
         options = options || {};
 
+        //content that has moved is redirected instead of being reported as missing
+        if (err.code === pb.HttpStatus.NOT_FOUND && !options.redirectChecked && this.canRedirect()) {
+            return this.serveRedirect(err, options);
+        }
+
         //bump the error count so handlers will know if we are recursively trying to handle errors.
         this.errorCount++;
 
@@ -1247,9 +1313,9 @@ module.exports = function RequestHandlerModule(pb) {
 
         //set cookie
         var cookies = new Cookies(this.req, this.resp);
-        if (this.setSessionCookie) {
+        if (this.setSessionCookie && !this.session.end) {
             try{
-                cookies.set(pb.SessionHandler.COOKIE_NAME, this.session.uid, pb.SessionHandler.getSessionCookie(this.session));
+                cookies.set(pb.SessionHandler.COOKIE_NAME, pb.session.getCookieValue(this.session), pb.SessionHandler.getSessionCookie(this.session));
             }
             catch(e){
                 pb.log.error('RequestHandler: %s', e.stack);
@@ -1479,6 +1545,38 @@ module.exports = function RequestHandlerModule(pb) {
         return parsedCookies;
     };
 
+    /**
+     * Provides the IP of the client that made the request.  When the server
+     * sits behind "server.trusted_proxies" proxies the X-Forwarded-For header
+     * is walked from the right, skipping the address appended by each trusted
+     * proxy.  The entries to the left of those were provided by the client and
+     * cannot be trusted so they are never used.
+     * @static
+     * @method getClientIp
+     * @param {Request} [req]
+     * @return {String} NULL when the address is not known
+     */
+    RequestHandler.getClientIp = function(req) {
+        if (!req) {
+            return null;
+        }
+
+        var addresses = [req.connection ? req.connection.remoteAddress || null : null];
+        var hops = parseInt(pb.config.server.trusted_proxies) || 0;
+        var forwardedFor = req.headers ? req.headers['x-forwarded-for'] : null;
+        if (hops > 0 && util.isString(forwardedFor)) {
+            var forwarded = forwardedFor.split(',').map(function(address) {
+                return address.trim();
+            }).filter(function(address) {
+                return address.length > 0;
+            });
+            addresses = forwarded.concat(addresses);
+        }
+
+        //the last address is the peer.  Each trusted proxy appended the address it received the request from.
+        return addresses[Math.max(0, addresses.length - 1 - hops)];
+    };
+
     /**
      * Checks to see if the URL exists in the current context of the system
      * @static
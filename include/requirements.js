@@ -69,6 +69,7 @@ module.exports = function PB(config) {
 
     //setup system class types
     pb.DAO = require(config.docRoot+'/include/dao/dao')(pb);
+    pb.WhereParser = require(config.docRoot+'/include/dao/where_parser')(pb);
 
     //setup validation services
     var ValidationModule = require(path.join(config.docRoot, '/include/validation/validation_service.js'));
@@ -119,6 +120,10 @@ module.exports = function PB(config) {
     pb.UsernamePasswordAuthentication = Authentication.UsernamePasswordAuthentication;
     pb.FormAuthentication             = Authentication.FormAuthentication;
     pb.TokenAuthentication            = Authentication.TokenAuthentication;
+    pb.OpenIdConnectAuthentication    = require(path.join(config.docRoot, '/include/security/authentication/openid_connect_authentication.js'))(pb);
+    pb.AuthenticationProviderService  = require(path.join(config.docRoot, '/include/security/authentication/authentication_provider_service.js'))(pb);
+    pb.TwoFactorService               = require(path.join(config.docRoot, '/include/security/two_factor_service.js'))(pb);
+    pb.ApiKeyService                  = require(path.join(config.docRoot, '/include/security/api_key_service.js'))(pb);
 
     //setup user service
     pb.UserService       = require(path.join(config.docRoot, '/include/service/entities/user_service.js'))(pb);
@@ -145,6 +150,8 @@ module.exports = function PB(config) {
     pb.RequestHandler      = require(path.join(config.docRoot, '/include/http/request_handler.js'))(pb);
     pb.Middleware          = require(path.join(config.docRoot, '/include/http/middleware'))(pb);
     pb.Router              = require(path.join(config.docRoot, '/include/http/router.js'))(pb);
+    pb.ResponseCache       = require(path.join(config.docRoot, '/include/http/middleware/response_cache.js'))(pb);
+    pb.RateLimiter         = require(path.join(config.docRoot, '/include/http/middleware/rate_limiter.js'))(pb);
     pb.HttpStatus          = require('http-status-codes');
 
     //setup errors
@@ -185,7 +192,12 @@ module.exports = function PB(config) {
     pb.SiteCreateEditJob     = require(path.join(config.docRoot, '/include/service/jobs/sites/site_create_edit_job.js'))(pb);
 
     //Email settings and functions
-    pb.EmailService = require(path.join(config.docRoot, '/include/email'))(pb);
+    pb.SmtpEmailTransport     = require(path.join(config.docRoot, '/include/service/email/transports/smtp_email_transport.js'))(pb);
+    pb.SendmailEmailTransport = require(path.join(config.docRoot, '/include/service/email/transports/sendmail_email_transport.js'))(pb);
+    pb.FileEmailTransport     = require(path.join(config.docRoot, '/include/service/email/transports/file_email_transport.js'))(pb);
+    pb.EmailService           = require(path.join(config.docRoot, '/include/email'))(pb);
+    pb.EmailQueueService      = require(path.join(config.docRoot, '/include/service/email/email_queue_service.js'))(pb);
+    pb.EmailQueueJobRunner    = require(path.join(config.docRoot, '/include/service/jobs/email/email_queue_job_runner.js'))(pb);
 
     //system requires
     pb.DocumentCreator = require(config.docRoot+'/include/model/create_document.js')(pb);	// Document creation
@@ -239,7 +251,8 @@ module.exports = function PB(config) {
 
         providers: {
             FsMediaProvider: require(path.join(config.docRoot, '/include/service/media/fs_media_provider.js'))(pb),
-            MongoMediaProvider: require(path.join(config.docRoot, '/include/service/media/mongo_media_provider.js'))(pb)
+            MongoMediaProvider: require(path.join(config.docRoot, '/include/service/media/mongo_media_provider.js'))(pb),
+            S3MediaProvider: require(path.join(config.docRoot, '/include/service/media/s3_media_provider.js'))(pb)
         }
     };
     pb.media.renderers.ImageMediaRenderer = require(path.join(config.docRoot, '/include/service/media/renderers/image_media_renderer.js'))(pb);
@@ -258,6 +271,8 @@ module.exports = function PB(config) {
     //providers and service
     pb.MediaService = require(path.join(config.docRoot, '/include/service/entities/media_service.js'))(pb);
     pb.MediaServiceV2 = require(path.join(config.docRoot, '/include/service/entities/content/media_service_v2.js'))(pb);
+    pb.ImageDerivativeService = require(path.join(config.docRoot, '/include/service/media/image_derivative_service.js'))(pb);
+    pb.MediaUploadService = require(path.join(config.docRoot, '/include/service/media/media_upload_service.js'))(pb);
 
     //content services
     pb.SectionService = require(config.docRoot+'/include/service/entities/section_service.js')(pb);
@@ -270,13 +285,26 @@ module.exports = function PB(config) {
     pb.ArticleRenderer      = require(path.join(config.docRoot, '/include/service/entities/content/article_renderer.js'))(pb);
     pb.PageRenderer         = require(path.join(config.docRoot, '/include/service/entities/content/page_renderer.js'))(pb);
     pb.PageService          = require(path.join(config.docRoot, '/include/service/entities/content/page_service.js'))(pb);
+    pb.RevisionService      = require(path.join(config.docRoot, '/include/service/entities/content/revision_service.js'))(pb);
+    pb.WorkflowService      = require(path.join(config.docRoot, '/include/service/entities/content/workflow_service.js'))(pb);
     pb.ContentViewLoader    = require(path.join(config.docRoot, '/include/service/entities/content/content_view_loader.js'))(pb);
+    pb.MediaFolderService   = require(path.join(config.docRoot, '/include/service/entities/content/media_folder_service.js'))(pb);
+    pb.MediaUsageService    = require(path.join(config.docRoot, '/include/service/entities/content/media_usage_service.js'))(pb);
+    pb.RedirectService      = require(path.join(config.docRoot, '/include/service/entities/redirect_service.js'))(pb);
 
     pb.SiteMapService = require(path.join(config.docRoot, '/include/service/entities/site_map_service.js'))(pb);
+    pb.SearchService  = require(path.join(config.docRoot, '/include/service/entities/search_service.js'))(pb);
+    pb.OpenApiService = require(path.join(config.docRoot, '/include/service/entities/open_api_service.js'))(pb);
+
+    //webhooks
+    pb.WebhookService           = require(path.join(config.docRoot, '/include/service/webhooks/webhook_service.js'))(pb);
+    pb.WebhookDeliveryService   = require(path.join(config.docRoot, '/include/service/webhooks/webhook_delivery_service.js'))(pb);
+    pb.WebhookDeliveryJobRunner = require(path.join(config.docRoot, '/include/service/jobs/webhooks/webhook_delivery_job_runner.js'))(pb);
 
     var ArticleServiceModule = require(path.join(config.docRoot, '/include/service/entities/article_service.js'))(pb);
     pb.ArticleService        = ArticleServiceModule.ArticleService;
     pb.MediaLoader           = ArticleServiceModule.MediaLoader;
+    pb.HeuristicCommentSpamChecker = require(path.join(config.docRoot, '/include/service/entities/content/heuristic_comment_spam_checker.js'))(pb);
     pb.CommentService        = require(config.docRoot+'/include/theme/comments.js')(pb);
 
     pb.PluginValidationService = require(path.join(config.docRoot, '/include/service/entities/plugins/plugin_validation_service.js'))(pb);
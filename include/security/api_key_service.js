@@ -0,0 +1,493 @@
+/*
+	Copyright (C) 2016  PencilBlue, LLC
+
+	This program is free software: you can redistribute it and/or modify
+	it under the terms of the GNU General Public License as published by
+	the Free Software Foundation, either version 3 of the License, or
+	(at your option) any later version.
+
+	This program is distributed in the hope that it will be useful,
+	but WITHOUT ANY WARRANTY; without even the implied warranty of
+	MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+	GNU General Public License for more details.
+
+	You should have received a copy of the GNU General Public License
+	along with this program.  If not, see <http://www.gnu.org/licenses/>.
+*/
+'use strict';
+
+//dependencies
+var crypto = require('crypto');
+var util   = require('../util.js');
+
+module.exports = function ApiKeyServiceModule(pb) {
+
+    //pb dependencies
+    var DAO               = pb.DAO;
+    var BaseObjectService = pb.BaseObjectService;
+    var ValidationService = pb.ValidationService;
+
+    /**
+     * @private
+     * @static
+     * @readonly
+     * @property TYPE
+     * @type {String}
+     */
+    var TYPE = 'api_key';
+
+    /**
+     * Provides personal API keys.  A key lets scripts and applications call
+     * the /api routes as the user that created it by sending an
+     * "Authorization: Bearer [key]" header.  Only a hash of the key is
+     * persisted so the key itself is provided once, when it is created.  A
+     * key may be limited by "scopes" and may expire.  A key without scopes
+     * has all of the privileges of its user.
+     * @class ApiKeyService
+     * @extends BaseObjectService
+     * @constructor
+     * @param {Object} context
+     * @param {String} [context.site]
+     */
+    function ApiKeyService(context) {
+        if (!util.isObject(context)) {
+            context = {};
+        }
+
+        context.type = TYPE;
+        context.onlyThisSite = true;
+        ApiKeyService.super_.call(this, context);
+    }
+    util.inherits(ApiKeyService, BaseObjectService);
+
+    /**
+     * The scopes that a key may be limited to.  A key limited to "read" may
+     * only make GET, HEAD and OPTIONS requests.
+     * @static
+     * @readonly
+     * @property SCOPES
+     * @type {Object}
+     */
+    ApiKeyService.SCOPES = Object.freeze({
+        READ: 'read',
+        WRITE: 'write'
+    });
+
+    /**
+     * The prefix of every key.  Makes keys easy to recognize, for instance by
+     * secret scanners.
+     * @static
+     * @readonly
+     * @property KEY_PREFIX
+     * @type {String}
+     */
+    ApiKeyService.KEY_PREFIX = 'pbk_';
+
+    /**
+     * The HTTP methods that a key limited to the "read" scope may use
+     * @private
+     * @static
+     * @readonly
+     * @property READ_METHODS
+     * @type {Array}
+     */
+    var READ_METHODS = Object.freeze(['GET', 'HEAD', 'OPTIONS']);
+
+    /**
+     * The maximum length of the name of a key
+     * @private
+     * @static
+     * @readonly
+     * @property MAX_NAME_LENGTH
+     * @type {Integer}
+     */
+    var MAX_NAME_LENGTH = 100;
+
+    /**
+     * The fields that are never provided to callers
+     * @private
+     * @static
+     * @readonly
+     * @property HIDDEN_FIELDS
+     * @type {Object}
+     */
+    var HIDDEN_FIELDS = Object.freeze({
+        key_hash: 0
+    });
+
+    /**
+     * Describes an API key as it is accepted by the validate listener
+     * @private
+     * @static
+     * @readonly
+     * @property SCHEMA
+     * @type {Object}
+     */
+    var SCHEMA = Object.freeze({
+        type: 'object',
+        properties: {
+            name: {type: 'string', minLength: 1, maxLength: MAX_NAME_LENGTH},
+            scopes: {type: 'array', items: {type: 'string', enum: ['read', 'write']}},
+            expires: {type: 'string', format: 'date-time', nullable: true},
+            prefix: {type: 'string', readOnly: true},
+            last_used: {type: 'string', format: 'date-time', readOnly: true},
+            last_used_ip: {type: 'string', readOnly: true}
+        },
+        required: ['name']
+    });
+
+    /**
+     * Creates a key for a user
+     * @method create
+     * @param {String} userId
+     * @param {Object} dto
+     * @param {String} dto.name A description of what the key is used for
+     * @param {Array|String} [dto.scopes] The scopes that the key is limited to
+     * @param {Date|String} [dto.expires] When the key stops being accepted
+     * @param {Function} cb (Error, Object, String) Provides the key and the
+     * secret that is sent with requests.  The secret cannot be retrieved again.
+     */
+    ApiKeyService.prototype.create = function(userId, dto, cb) {
+        var secret = ApiKeyService.generateSecret();
+        var obj = {
+            name: dto.name,
+            scopes: dto.scopes,
+            expires: dto.expires,
+            user_id: userId,
+            key_hash: ApiKeyService.hash(secret),
+            prefix: secret.substring(0, ApiKeyService.KEY_PREFIX.length + 8)
+        };
+        this.add(obj, function(err, key) {
+            if (util.isError(err)) {
+                return cb(err);
+            }
+            cb(null, ApiKeyService.describe(key), secret);
+        });
+    };
+
+    /**
+     * Retrieves the keys of a user, newest first
+     * @method getAllForUser
+     * @param {String} userId
+     * @param {Function} cb (Error, Array)
+     */
+    ApiKeyService.prototype.getAllForUser = function(userId, cb) {
+        var opts = {
+            select: HIDDEN_FIELDS,
+            where: {user_id: userId},
+            order: [['created', DAO.DESC]]
+        };
+        this.getAll(opts, cb);
+    };
+
+    /**
+     * Deletes a key of a user
+     * @method revoke
+     * @param {String} userId
+     * @param {String} id The key ID
+     * @param {Function} cb (Error, Object) Provides the key that was deleted
+     * or NULL when the user has no such key
+     */
+    ApiKeyService.prototype.revoke = function(userId, id, cb) {
+        var where = DAO.getIdWhere(id);
+        where.user_id = userId;
+        this.deleteSingle({where: where}, function(err, key) {
+            cb(err, key ? ApiKeyService.describe(key) : null);
+        });
+    };
+
+    /**
+     * Deletes every key of a user
+     * @method revokeAllForUser
+     * @param {String} userId
+     * @param {Function} cb (Error, Integer) Provides the number of keys deleted
+     */
+    ApiKeyService.prototype.revokeAllForUser = function(userId, cb) {
+        this.dao.delete({user_id: userId}, TYPE, function(err, result) {
+            cb(err, result && result.result ? result.result.n : 0);
+        });
+    };
+
+    /**
+     * Finds the user that a key belongs to.  The key must not have expired,
+     * must belong to the site or to the global site and its scopes must allow
+     * the HTTP method.  The time the key was last used is recorded.
+     * @method authenticate
+     * @param {String} secret The key sent with the request
+     * @param {Object} [options]
+     * @param {String} [options.method='GET'] The HTTP method of the request
+     * @param {String} [options.ip] The address of the client
+     * @param {Function} cb (Error, Object) Provides the "key" and the "user"
+     * or NULL when the key is not accepted
+     */
+    ApiKeyService.prototype.authenticate = function(secret, options, cb) {
+        if (util.isFunction(options)) {
+            cb = options;
+            options = {};
+        }
+        if (!ApiKeyService.isValidSecret(secret)) {
+            return cb(null, null);
+        }
+
+        //keys are looked up across sites because the request's site is
+        //checked against the key below
+        var site = pb.SiteService.getCurrentSite(this.context.site);
+        var dao = new DAO();
+        dao.loadByValue('key_hash', ApiKeyService.hash(secret), TYPE, function(err, key) {
+            if (util.isError(err) || !key) {
+                return cb(err, null);
+            }
+            else if (key.site !== site && key.site !== pb.SiteService.GLOBAL_SITE) {
+                return cb(null, null);
+            }
+            else if (ApiKeyService.isExpired(key) || !ApiKeyService.allowsMethod(key, options.method || 'GET')) {
+                return cb(null, null);
+            }
+
+            dao.loadById(key.user_id, 'user', function(err, user) {
+                if (util.isError(err) || !user) {
+                    return cb(err, null);
+                }
+
+                ApiKeyService.recordUse(key, options.ip);
+                cb(null, {key: ApiKeyService.describe(key), user: user});
+            });
+        });
+    };
+
+    /**
+     * Records when and from where a key was used.  Updates are skipped when
+     * the key was used recently.  Failures are logged.
+     * @static
+     * @method recordUse
+     * @param {Object} key
+     * @param {String} [ip]
+     */
+    ApiKeyService.recordUse = function(key, ip) {
+        var now = new Date();
+        var interval = pb.config.authentication.api_keys.last_used_interval;
+        if (key.last_used && now.getTime() - new Date(key.last_used).getTime() < interval && key.last_used_ip === ip) {
+            return;
+        }
+
+        var updates = {
+            $set: {last_used: now, last_used_ip: ip || null}
+        };
+        new DAO().updateFields(TYPE, DAO.getIdWhere(key[DAO.getIdField()]), updates, function(err) {
+            if (util.isError(err)) {
+                pb.log.error('ApiKeyService: Failed to record the use of key %s: %s', key.prefix, err.stack);
+            }
+        });
+    };
+
+    /**
+     * Generates a new key
+     * @static
+     * @method generateSecret
+     * @return {String}
+     */
+    ApiKeyService.generateSecret = function() {
+        return ApiKeyService.KEY_PREFIX + crypto.randomBytes(24).toString('hex');
+    };
+
+    /**
+     * Hashes a key so that it can be stored and looked up.  The keys are
+     * random so a fast hash is sufficient.
+     * @static
+     * @method hash
+     * @param {String} secret
+     * @return {String}
+     */
+    ApiKeyService.hash = function(secret) {
+        return crypto.createHash('sha256').update(secret).digest('hex');
+    };
+
+    /**
+     * @static
+     * @method isValidSecret
+     * @param {String} secret
+     * @return {Boolean} TRUE when the value has the format of a key
+     */
+    ApiKeyService.isValidSecret = function(secret) {
+        return util.isString(secret) && secret.indexOf(ApiKeyService.KEY_PREFIX) === 0 && /^[0-9a-f]{48}$/.test(secret.substring(ApiKeyService.KEY_PREFIX.length));
+    };
+
+    /**
+     * @static
+     * @method isExpired
+     * @param {Object} key
+     * @return {Boolean}
+     */
+    ApiKeyService.isExpired = function(key) {
+        return !util.isNullOrUndefined(key.expires) && new Date(key.expires).getTime() <= Date.now();
+    };
+
+    /**
+     * Determines if the scopes of a key allow an HTTP method
+     * @static
+     * @method allowsMethod
+     * @param {Object} key
+     * @param {String} method
+     * @return {Boolean}
+     */
+    ApiKeyService.allowsMethod = function(key, method) {
+        var scopes = key.scopes || [];
+        if (scopes.length === 0 || scopes.indexOf(ApiKeyService.SCOPES.WRITE) >= 0) {
+            return true;
+        }
+        return scopes.indexOf(ApiKeyService.SCOPES.READ) >= 0 && READ_METHODS.indexOf(method.toUpperCase()) >= 0;
+    };
+
+    /**
+     * Creates a description of a key that is safe to display
+     * @static
+     * @method describe
+     * @param {Object} key
+     * @return {Object}
+     */
+    ApiKeyService.describe = function(key) {
+        return Object.keys(key).reduce(function(description, field) {
+            if (!HIDDEN_FIELDS.hasOwnProperty(field)) {
+                description[field] = key[field];
+            }
+            return description;
+        }, {});
+    };
+
+    /**
+     * @static
+     * @method getScopes
+     * @return {Array} The values of the supported scopes
+     */
+    ApiKeyService.getScopes = function() {
+        return Object.keys(ApiKeyService.SCOPES).map(function(key) {
+            return ApiKeyService.SCOPES[key];
+        });
+    };
+
+    /**
+     *
+     * @static
+     * @method format
+     * @param {Object} context
+     * @param {Object} context.data The incoming request body
+     * @param {ApiKeyService} context.service An instance of the service that triggered
+     * the event that called this handler
+     * @param {Function} cb A callback that takes a single parameter: an error if occurred
+     */
+    ApiKeyService.format = function(context, cb) {
+        var dto = context.data;
+        if (util.isString(dto.name)) {
+            dto.name = dto.name.trim();
+        }
+        if (util.isString(dto.scopes)) {
+            dto.scopes = dto.scopes.split(',');
+        }
+        if (util.isArray(dto.scopes)) {
+            dto.scopes = dto.scopes.map(function(scope) {
+                return util.isString(scope) ? scope.trim() : scope;
+            }).filter(function(scope, i, scopes) {
+                return scope !== '' && scopes.indexOf(scope) === i;
+            });
+        }
+        else if (util.isNullOrUndefined(dto.scopes)) {
+            dto.scopes = [];
+        }
+        if (util.isNullOrUndefined(dto.expires) || dto.expires === '') {
+            dto.expires = null;
+        }
+        else if (!(dto.expires instanceof Date)) {
+            dto.expires = BaseObjectService.getDate(dto.expires) || dto.expires;
+        }
+        cb(null);
+    };
+
+    /**
+     * Keys are never changed after they are created.  Only the fields that
+     * are set on creation are merged.
+     * @static
+     * @method merge
+     * @param {Object} context
+     * @param {Object} context.data The incoming request body
+     * @param {Object} context.object The object to be persisted
+     * @param {ApiKeyService} context.service An instance of the service that triggered
+     * the event that called this handler
+     * @param {Function} cb A callback that takes a single parameter: an error if occurred
+     */
+    ApiKeyService.merge = function(context, cb) {
+        if (!context.isCreate) {
+            return cb(BaseObjectService.validationError([BaseObjectService.validationFailure('id', 'API keys cannot be changed')]));
+        }
+
+        var obj = context.object;
+        var dto = context.data;
+        obj.name = dto.name;
+        obj.scopes = dto.scopes;
+        obj.expires = dto.expires;
+        obj.user_id = dto.user_id;
+        obj.key_hash = dto.key_hash;
+        obj.prefix = dto.prefix;
+        obj.last_used = null;
+        obj.last_used_ip = null;
+        cb(null);
+    };
+
+    /**
+     * Validates the key and ensures that the user has not reached the maximum
+     * number of keys
+     * @static
+     * @method validate
+     * @param {Object} context
+     * @param {Object} context.data The DTO that was provided for persistence
+     * @param {ApiKeyService} context.service An instance of the service that triggered
+     * the event that called this handler
+     * @param {Function} cb A callback that takes a single parameter: an error if occurred
+     */
+    ApiKeyService.validate = function(context, cb) {
+        var obj    = context.data;
+        var errors = context.validationErrors;
+
+        if (!ValidationService.isNonEmptyStr(obj.name, true)) {
+            errors.push(BaseObjectService.validationFailure('name', 'The name is required'));
+        }
+        else if (obj.name.length > MAX_NAME_LENGTH) {
+            errors.push(BaseObjectService.validationFailure('name', 'The name cannot be longer than ' + MAX_NAME_LENGTH + ' characters'));
+        }
+
+        var scopes = ApiKeyService.getScopes();
+        if (!util.isArray(obj.scopes) || !obj.scopes.every(function(scope) { return scopes.indexOf(scope) >= 0; })) {
+            errors.push(BaseObjectService.validationFailure('scopes', 'The scopes must be any of: ' + scopes.join(', ')));
+        }
+        if (obj.expires !== null && (!(obj.expires instanceof Date) || obj.expires.getTime() <= Date.now())) {
+            errors.push(BaseObjectService.validationFailure('expires', 'The expiry must be a date in the future'));
+        }
+        if (!ValidationService.isIdStr(obj.user_id, true)) {
+            errors.push(BaseObjectService.validationFailure('user_id', 'The user ID is required'));
+        }
+        if (errors.length > 0) {
+
+            //no need to check the DB.  Short circuit it here
+            return cb(null, errors);
+        }
+
+        var max = pb.config.authentication.api_keys.max_per_user;
+        context.service.dao.count(TYPE, {user_id: obj.user_id}, function(err, count) {
+            if (util.isError(err)) {
+                return cb(err);
+            }
+            else if (count >= max) {
+                errors.push(BaseObjectService.validationFailure('name', 'A user cannot have more than ' + max + ' API keys'));
+            }
+            cb(null, errors);
+        });
+    };
+
+    //Event Registries
+    BaseObjectService.on(TYPE + '.' + BaseObjectService.FORMAT, ApiKeyService.format);
+    BaseObjectService.on(TYPE + '.' + BaseObjectService.MERGE, ApiKeyService.merge);
+    BaseObjectService.on(TYPE + '.' + BaseObjectService.VALIDATE, ApiKeyService.validate);
+    BaseObjectService.registerSchema(TYPE, SCHEMA);
+
+    //exports
+    return ApiKeyService;
+};
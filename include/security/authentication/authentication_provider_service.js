@@ -0,0 +1,146 @@
+/*
+	Copyright (C) 2016  PencilBlue, LLC
+
+	This program is free software: you can redistribute it and/or modify
+	it under the terms of the GNU General Public License as published by
+	the Free Software Foundation, either version 3 of the License, or
+	(at your option) any later version.
+
+	This program is distributed in the hope that it will be useful,
+	but WITHOUT ANY WARRANTY; without even the implied warranty of
+	MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+	GNU General Public License for more details.
+
+	You should have received a copy of the GNU General Public License
+	along with this program.  If not, see <http://www.gnu.org/licenses/>.
+*/
+'use strict';
+
+//dependencies
+var util = require('../../util.js');
+
+module.exports = function AuthenticationProviderServiceModule(pb) {
+
+    /**
+     * Provides a registry of the authentication providers that users may sign
+     * in with.  A provider is a prototype that is instantiated with a context
+     * (site, onlyThisSite) and provides an "authenticate" function so that it
+     * can be passed to SecurityService.authenticateSession.  Providers that
+     * send the user to an external identity provider also implement
+     * "isEnabled", "getDisplayName" and "createAuthorizationRequest".
+     * @class AuthenticationProviderService
+     * @constructor
+     */
+    function AuthenticationProviderService() {}
+
+    /**
+     * The registered providers
+     * @private
+     * @static
+     * @readonly
+     * @property PROVIDERS
+     * @type {Object}
+     */
+    var PROVIDERS = {
+        form: pb.FormAuthentication,
+        token: pb.TokenAuthentication,
+        oidc: pb.OpenIdConnectAuthentication
+    };
+
+    /**
+     * Registers an authentication provider.  Registering a provider with the
+     * name of an existing provider replaces it.
+     * @static
+     * @method registerProvider
+     * @param {String} name
+     * @param {Function} ProviderPrototype
+     * @return {Boolean} TRUE when registered
+     */
+    AuthenticationProviderService.registerProvider = function(name, ProviderPrototype) {
+        if (!util.isString(name) || !util.isFunction(ProviderPrototype) || !util.isFunction(ProviderPrototype.prototype.authenticate)) {
+            return false;
+        }
+        PROVIDERS[name] = ProviderPrototype;
+        return true;
+    };
+
+    /**
+     * Removes an authentication provider
+     * @static
+     * @method unregisterProvider
+     * @param {String} name
+     * @return {Boolean} TRUE when the provider was registered
+     */
+    AuthenticationProviderService.unregisterProvider = function(name) {
+        if (PROVIDERS[name] === undefined) {
+            return false;
+        }
+        delete PROVIDERS[name];
+        return true;
+    };
+
+    /**
+     * @static
+     * @method isRegistered
+     * @param {String} name
+     * @return {Boolean}
+     */
+    AuthenticationProviderService.isRegistered = function(name) {
+        return util.isFunction(PROVIDERS[name]);
+    };
+
+    /**
+     * Creates an instance of the provider with the specified name.  The name
+     * is passed to the provider as part of the context.
+     * @static
+     * @method getProvider
+     * @param {String} name
+     * @param {Object} context
+     * @param {String} context.site
+     * @param {Boolean} context.onlyThisSite
+     * @return {Object} The provider or NULL when no provider is registered
+     * with the name
+     */
+    AuthenticationProviderService.getProvider = function(name, context) {
+        if (!AuthenticationProviderService.isRegistered(name)) {
+            return null;
+        }
+        return new PROVIDERS[name](util.merge(context || {}, {name: name}));
+    };
+
+    /**
+     * Determines if the provider sends the user to an external identity
+     * provider to sign in
+     * @static
+     * @method isExternal
+     * @param {Object} provider
+     * @return {Boolean}
+     */
+    AuthenticationProviderService.isExternal = function(provider) {
+        return util.isObject(provider) && util.isFunction(provider.createAuthorizationRequest);
+    };
+
+    /**
+     * Provides the external providers that are enabled so that sign in options
+     * can be shown on the login pages
+     * @static
+     * @method getExternalProviders
+     * @param {Object} context
+     * @return {Array} Objects with a "name" and a "display_name"
+     */
+    AuthenticationProviderService.getExternalProviders = function(context) {
+        return Object.keys(PROVIDERS).reduce(function(providers, name) {
+            var provider = AuthenticationProviderService.getProvider(name, context);
+            if (AuthenticationProviderService.isExternal(provider) && provider.isEnabled()) {
+                providers.push({
+                    name: name,
+                    display_name: provider.getDisplayName()
+                });
+            }
+            return providers;
+        }, []);
+    };
+
+    //exports
+    return AuthenticationProviderService;
+};
@@ -0,0 +1,622 @@
+/*
+	Copyright (C) 2016  PencilBlue, LLC
+
+	This program is free software: you can redistribute it and/or modify
+	it under the terms of the GNU General Public License as published by
+	the Free Software Foundation, either version 3 of the License, or
+	(at your option) any later version.
+
+	This program is distributed in the hope that it will be useful,
+	but WITHOUT ANY WARRANTY; without even the implied warranty of
+	MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+	GNU General Public License for more details.
+
+	You should have received a copy of the GNU General Public License
+	along with this program.  If not, see <http://www.gnu.org/licenses/>.
+*/
+'use strict';
+
+//dependencies
+var url         = require('url');
+var http        = require('http');
+var https       = require('https');
+var crypto      = require('crypto');
+var querystring = require('querystring');
+var util        = require('../../util.js');
+
+module.exports = function OpenIdConnectAuthenticationModule(pb) {
+
+    /**
+     * Authenticates users against an OpenID Connect identity provider using
+     * the authorization code flow with PKCE.  The user is first sent to the
+     * URL provided by "createAuthorizationRequest".  When the identity
+     * provider redirects back, the code is exchanged for the user's claims
+     * which are mapped onto a PencilBlue user.  Users are created the first
+     * time they sign in when provisioning is enabled.
+     * @class OpenIdConnectAuthentication
+     * @constructor
+     * @param {Object} [options]
+     * @param {String} [options.site]
+     * @param {String} [options.name='oidc'] The name the provider is registered
+     * under.  It is recorded on the users that sign in with the provider.
+     * @param {Object} [options.settings=pb.config.authentication.oidc]
+     */
+    function OpenIdConnectAuthentication(options) {
+        if (!util.isObject(options)) {
+            options = {};
+        }
+
+        /**
+         * @property site
+         * @type {String}
+         */
+        this.site = options.site || pb.SiteService.GLOBAL_SITE;
+
+        /**
+         * @property name
+         * @type {String}
+         */
+        this.name = options.name || DEFAULT_NAME;
+
+        /**
+         * @property settings
+         * @type {Object}
+         */
+        this.settings = options.settings || pb.config.authentication.oidc;
+    }
+
+    /**
+     * @private
+     * @static
+     * @readonly
+     * @property DEFAULT_NAME
+     * @type {String}
+     */
+    var DEFAULT_NAME = 'oidc';
+
+    /**
+     * The path, relative to the issuer, of the provider configuration
+     * @private
+     * @static
+     * @readonly
+     * @property DISCOVERY_PATH
+     * @type {String}
+     */
+    var DISCOVERY_PATH = '/.well-known/openid-configuration';
+
+    /**
+     * The discovered provider configurations keyed by issuer
+     * @private
+     * @static
+     * @property METADATA
+     * @type {Object}
+     */
+    var METADATA = {};
+
+    /**
+     * @method isEnabled
+     * @return {Boolean}
+     */
+    OpenIdConnectAuthentication.prototype.isEnabled = function() {
+        var settings = this.settings;
+        return !!(settings.enabled && settings.issuer && settings.client_id);
+    };
+
+    /**
+     * @method getDisplayName
+     * @return {String}
+     */
+    OpenIdConnectAuthentication.prototype.getDisplayName = function() {
+        return this.settings.name || this.name;
+    };
+
+    /**
+     * Provides the URL that the identity provider redirects back to
+     * @method getRedirectUri
+     * @param {String} [hostname=pb.config.siteRoot] The site root
+     * @return {String}
+     */
+    OpenIdConnectAuthentication.prototype.getRedirectUri = function(hostname) {
+        if (this.settings.redirect_uri) {
+            return this.settings.redirect_uri;
+        }
+        return pb.UrlService.urlJoin(hostname || pb.config.siteRoot, '/actions/login', this.name, 'callback');
+    };
+
+    /**
+     * Retrieves the identity provider's configuration.  The configuration is
+     * cached after the first retrieval.
+     * @method discover
+     * @param {Function} cb (Error, Object)
+     */
+    OpenIdConnectAuthentication.prototype.discover = function(cb) {
+        var issuer = this.settings.issuer;
+        if (!util.isString(issuer)) {
+            return cb(new Error('OpenIdConnectAuthentication: An issuer must be configured'));
+        }
+        if (METADATA[issuer]) {
+            return cb(null, METADATA[issuer]);
+        }
+
+        var discoveryUrl = issuer.replace(/\/$/, '') + DISCOVERY_PATH;
+        request({method: 'GET', url: discoveryUrl, timeout: this.settings.timeout}, function(err, metadata) {
+            if (util.isError(err)) {
+                return cb(err);
+            }
+            else if (metadata.issuer !== issuer) {
+                return cb(new Error('OpenIdConnectAuthentication: The discovered issuer '+metadata.issuer+' does not match the configured issuer '+issuer));
+            }
+            else if (!util.isString(metadata.authorization_endpoint) || !util.isString(metadata.token_endpoint)) {
+                return cb(new Error('OpenIdConnectAuthentication: The provider configuration for '+issuer+' does not provide the authorization and token endpoints'));
+            }
+            METADATA[issuer] = metadata;
+            cb(null, metadata);
+        });
+    };
+
+    /**
+     * Creates the request that sends the user to the identity provider.  The
+     * resulting state must be kept in the user's session and passed back to
+     * "authenticate" along with the parameters of the redirect.
+     * @method createAuthorizationRequest
+     * @param {Object} options
+     * @param {String} options.hostname The root of the site the user is
+     * signing in to
+     * @param {Function} cb (Error, Object) The result provides the "url" to
+     * redirect the user to and the "state" to keep
+     */
+    OpenIdConnectAuthentication.prototype.createAuthorizationRequest = function(options, cb) {
+        var settings    = this.settings;
+        var redirectUri = this.getRedirectUri(options.hostname);
+        this.discover(function(err, metadata) {
+            if (util.isError(err)) {
+                return cb(err);
+            }
+
+            var state = {
+                state: OpenIdConnectAuthentication.createRandomString(),
+                nonce: OpenIdConnectAuthentication.createRandomString(),
+                code_verifier: OpenIdConnectAuthentication.createRandomString(),
+                redirect_uri: redirectUri
+            };
+            var params = {
+                response_type: 'code',
+                client_id: settings.client_id,
+                redirect_uri: state.redirect_uri,
+                scope: settings.scope,
+                state: state.state,
+                nonce: state.nonce,
+                code_challenge: OpenIdConnectAuthentication.getCodeChallenge(state.code_verifier),
+                code_challenge_method: 'S256'
+            };
+            var endpoint = metadata.authorization_endpoint;
+            cb(null, {
+                url: endpoint + (endpoint.indexOf('?') >= 0 ? '&' : '?') + querystring.stringify(params),
+                state: state
+            });
+        });
+    };
+
+    /**
+     * Completes the sign in when the identity provider redirects back
+     * @method authenticate
+     * @param {Object} credentials
+     * @param {String} credentials.code The authorization code
+     * @param {String} credentials.state The state returned by the identity
+     * provider
+     * @param {Object} credentials.request The state created by
+     * "createAuthorizationRequest"
+     * @param {Integer} [credentials.access_level] The minimum access level
+     * the user must have
+     * @param {Function} cb (Error, Object) The user or NULL when the user is
+     * not permitted to sign in
+     */
+    OpenIdConnectAuthentication.prototype.authenticate = function(credentials, cb) {
+        if (!util.isObject(credentials) || !util.isObject(credentials.request) || !util.isString(credentials.code)) {
+            return cb(new Error('OpenIdConnectAuthentication: The authorization code and request must be passed as part of the credentials object'), null);
+        }
+        else if (credentials.state !== credentials.request.state) {
+            return cb(new Error('OpenIdConnectAuthentication: The state returned by the identity provider does not match the request'), null);
+        }
+
+        var self = this;
+        this.getClaims(credentials.code, credentials.request, function(err, claims) {
+            if (util.isError(err)) {
+                return cb(err, null);
+            }
+
+            var accessLevel = OpenIdConnectAuthentication.getAccessLevel(claims, self.settings);
+            if (accessLevel === null || (!isNaN(credentials.access_level) && accessLevel < credentials.access_level)) {
+                pb.log.info('OpenIdConnectAuthentication: %s was not permitted to sign in', claims.sub);
+                return cb(null, null);
+            }
+            self.findUser(claims, accessLevel, cb);
+        });
+    };
+
+    /**
+     * Exchanges the authorization code for the user's claims.  The ID token
+     * is retrieved directly from the token endpoint so, as permitted by the
+     * OpenID Connect specification, the transport is relied upon in place of
+     * verifying the token's signature.  The issuer, audience, expiry and
+     * nonce are verified.  The claims are supplemented by the user info
+     * endpoint when the identity provider has one.
+     * @method getClaims
+     * @param {String} code
+     * @param {Object} authorizationRequest
+     * @param {Function} cb (Error, Object)
+     */
+    OpenIdConnectAuthentication.prototype.getClaims = function(code, authorizationRequest, cb) {
+        var self     = this;
+        var settings = this.settings;
+        this.discover(function(err, metadata) {
+            if (util.isError(err)) {
+                return cb(err);
+            }
+
+            var headers = {};
+            var body = {
+                grant_type: 'authorization_code',
+                code: code,
+                redirect_uri: authorizationRequest.redirect_uri,
+                client_id: settings.client_id,
+                code_verifier: authorizationRequest.code_verifier
+            };
+            if (settings.client_secret) {
+                headers.Authorization = 'Basic ' + Buffer.from(encodeURIComponent(settings.client_id) + ':' + encodeURIComponent(settings.client_secret)).toString('base64');
+            }
+            request({method: 'POST', url: metadata.token_endpoint, headers: headers, form: body, timeout: settings.timeout}, function(err, tokens) {
+                if (util.isError(err)) {
+                    return cb(err);
+                }
+
+                var claims = OpenIdConnectAuthentication.decodeIdToken(tokens.id_token);
+                var failure = OpenIdConnectAuthentication.validateClaims(claims, settings, authorizationRequest.nonce);
+                if (failure !== null) {
+                    return cb(new Error('OpenIdConnectAuthentication: '+failure));
+                }
+                else if (!util.isString(metadata.userinfo_endpoint) || !util.isString(tokens.access_token)) {
+                    return cb(null, claims);
+                }
+
+                var opts = {
+                    method: 'GET',
+                    url: metadata.userinfo_endpoint,
+                    headers: {Authorization: 'Bearer ' + tokens.access_token},
+                    timeout: settings.timeout
+                };
+                request(opts, function(err, userInfo) {
+                    if (util.isError(err)) {
+                        return cb(err);
+                    }
+                    else if (userInfo.sub !== claims.sub) {
+                        return cb(new Error('OpenIdConnectAuthentication: The user info subject does not match the ID token'));
+                    }
+                    cb(null, util.merge(claims, userInfo));
+                });
+            });
+        });
+    };
+
+    /**
+     * Finds the user that the identity belongs to.  When no user has signed
+     * in with the identity before, a user with the same verified email
+     * address is linked to it or, failing that, a new user is provisioned.
+     * The user's access level is kept in sync with their claims.
+     * @method findUser
+     * @param {Object} claims
+     * @param {Integer} accessLevel
+     * @param {Function} cb (Error, Object)
+     */
+    OpenIdConnectAuthentication.prototype.findUser = function(claims, accessLevel, cb) {
+        var self     = this;
+        var settings = this.settings;
+        var dao      = new pb.SiteQueryService({site: this.site, onlyThisSite: false});
+        dao.loadByValues({auth_provider: this.name, auth_subject: claims.sub}, 'user', function(err, user) {
+            if (util.isError(err)) {
+                return cb(err, null);
+            }
+            else if (util.isObject(user)) {
+                return self.updateUser(user, {admin: accessLevel}, cb);
+            }
+
+            var email = util.isString(claims.email) ? claims.email.toLowerCase() : null;
+            if (!settings.link_by_email || !email || claims.email_verified !== true) {
+                return self.provisionUser(claims, accessLevel, cb);
+            }
+            dao.loadByValues({email: email}, 'user', function(err, user) {
+                if (util.isError(err)) {
+                    return cb(err, null);
+                }
+                else if (!util.isObject(user)) {
+                    return self.provisionUser(claims, accessLevel, cb);
+                }
+                self.updateUser(user, {admin: accessLevel, auth_provider: self.name, auth_subject: claims.sub}, cb);
+            });
+        });
+    };
+
+    /**
+     * Applies changes to a user that signed in
+     * @method updateUser
+     * @param {Object} user
+     * @param {Object} updates The fields to set
+     * @param {Function} cb (Error, Object) The updated user
+     */
+    OpenIdConnectAuthentication.prototype.updateUser = function(user, updates, cb) {
+        var changed = Object.keys(updates).some(function(field) {
+            return user[field] !== updates[field];
+        });
+        if (!changed) {
+            return cb(null, user);
+        }
+
+        var dao = new pb.DAO();
+        dao.updateFields('user', pb.DAO.getIdWhere(user[pb.DAO.getIdField()]), {$set: updates}, function(err) {
+            cb(err, util.isError(err) ? null : util.merge(updates, user));
+        });
+    };
+
+    /**
+     * Creates a user for an identity that has not signed in before
+     * @method provisionUser
+     * @param {Object} claims
+     * @param {Integer} accessLevel
+     * @param {Function} cb (Error, Object) The new user or NULL when
+     * provisioning is disabled
+     */
+    OpenIdConnectAuthentication.prototype.provisionUser = function(claims, accessLevel, cb) {
+        if (!this.settings.provision) {
+            pb.log.info('OpenIdConnectAuthentication: No user exists for %s and provisioning is disabled', claims.sub);
+            return cb(null, null);
+        }
+
+        //administrators and managing editors belong to all sites
+        var site = accessLevel >= pb.SecurityService.ACCESS_MANAGING_EDITOR ? pb.SiteService.GLOBAL_SITE : this.site;
+        var userService = new pb.UserService({site: site, onlyThisSite: true});
+
+        var self = this;
+        var username = OpenIdConnectAuthentication.getUsername(claims);
+        userService.isUsernameInUse(username, {}, function(err, isInUse) {
+            if (util.isError(err)) {
+                return cb(err, null);
+            }
+
+            var user = {
+                username: isInUse ? username + '-' + crypto.randomBytes(3).toString('hex') : username,
+                email: claims.email,
+                first_name: claims.given_name || '',
+                last_name: claims.family_name || '',
+                admin: accessLevel,
+                locale: claims.locale || pb.Localization.getDefaultLocale(),
+                password: crypto.randomBytes(24).toString('hex'),
+                auth_provider: self.name,
+                auth_subject: claims.sub
+            };
+            userService.add(user, function(err, user) {
+                if (util.isError(err)) {
+                    return cb(err, null);
+                }
+                pb.log.info('OpenIdConnectAuthentication: Provisioned user %s for %s', user.username, claims.sub);
+                cb(null, user);
+            });
+        });
+    };
+
+    /**
+     * Creates a random, URL safe, string suitable for the state, nonce and
+     * PKCE code verifier
+     * @static
+     * @method createRandomString
+     * @return {String}
+     */
+    OpenIdConnectAuthentication.createRandomString = function() {
+        return toBase64Url(crypto.randomBytes(32));
+    };
+
+    /**
+     * Creates the S256 PKCE code challenge for a code verifier
+     * @static
+     * @method getCodeChallenge
+     * @param {String} codeVerifier
+     * @return {String}
+     */
+    OpenIdConnectAuthentication.getCodeChallenge = function(codeVerifier) {
+        return toBase64Url(crypto.createHash('sha256').update(codeVerifier).digest());
+    };
+
+    /**
+     * Extracts the claims from an ID token
+     * @static
+     * @method decodeIdToken
+     * @param {String} idToken
+     * @return {Object} The claims or NULL when the token is malformed
+     */
+    OpenIdConnectAuthentication.decodeIdToken = function(idToken) {
+        var parts = util.isString(idToken) ? idToken.split('.') : [];
+        if (parts.length !== 3) {
+            return null;
+        }
+
+        try {
+            var payload = parts[1].replace(/-/g, '+').replace(/_/g, '/');
+            var claims = JSON.parse(Buffer.from(payload, 'base64').toString('utf8'));
+            return util.isObject(claims) ? claims : null;
+        }
+        catch(e) {
+            return null;
+        }
+    };
+
+    /**
+     * Verifies the claims of an ID token
+     * @static
+     * @method validateClaims
+     * @param {Object} claims
+     * @param {Object} settings
+     * @param {String} nonce The nonce sent with the authorization request
+     * @param {Date} [date=new Date()]
+     * @return {String} A description of the failure or NULL when the claims
+     * are valid
+     */
+    OpenIdConnectAuthentication.validateClaims = function(claims, settings, nonce, date) {
+        if (!util.isObject(claims)) {
+            return 'The ID token is malformed';
+        }
+        else if (claims.iss !== settings.issuer) {
+            return 'The ID token was not issued by '+settings.issuer;
+        }
+
+        var audience = util.isArray(claims.aud) ? claims.aud : [claims.aud];
+        if (audience.indexOf(settings.client_id) < 0) {
+            return 'The ID token was not issued to '+settings.client_id;
+        }
+        else if (isNaN(claims.exp) || claims.exp * 1000 <= (date || new Date()).getTime()) {
+            return 'The ID token has expired';
+        }
+        else if (claims.nonce !== nonce) {
+            return 'The ID token nonce does not match the request';
+        }
+        else if (!util.isString(claims.sub) || claims.sub.length === 0) {
+            return 'The ID token does not identify a subject';
+        }
+        return null;
+    };
+
+    /**
+     * Maps the user's roles onto an access level.  The highest access level
+     * of the user's mapped roles is used.
+     * @static
+     * @method getAccessLevel
+     * @param {Object} claims
+     * @param {Object} settings
+     * @param {String} settings.roles_claim
+     * @param {Object} settings.roles
+     * @param {Integer} settings.default_access_level
+     * @return {Integer} The access level or NULL when the user has no mapped
+     * role and there is no default
+     */
+    OpenIdConnectAuthentication.getAccessLevel = function(claims, settings) {
+        var roles = claims[settings.roles_claim];
+        if (util.isString(roles)) {
+            roles = [roles];
+        }
+
+        var mapping = settings.roles || {};
+        var accessLevel = util.isArray(roles) ? roles.reduce(function(level, role) {
+            var mapped = mapping[role];
+            return pb.validation.isInt(mapped, true, true) && (level === null || mapped > level) ? mapped : level;
+        }, null) : null;
+
+        if (accessLevel === null && pb.validation.isInt(settings.default_access_level, true, true)) {
+            accessLevel = settings.default_access_level;
+        }
+        return accessLevel === null ? null : Math.min(accessLevel, pb.SecurityService.ACCESS_ADMINISTRATOR);
+    };
+
+    /**
+     * Determines the username of a provisioned user
+     * @static
+     * @method getUsername
+     * @param {Object} claims
+     * @return {String}
+     */
+    OpenIdConnectAuthentication.getUsername = function(claims) {
+        if (util.isString(claims.preferred_username) && claims.preferred_username.length > 0) {
+            return claims.preferred_username;
+        }
+        else if (util.isString(claims.email) && claims.email.indexOf('@') > 0) {
+            return claims.email.substring(0, claims.email.indexOf('@'));
+        }
+        return claims.sub;
+    };
+
+    /**
+     * Clears the discovered provider configurations
+     * @static
+     * @method clearCache
+     */
+    OpenIdConnectAuthentication.clearCache = function() {
+        METADATA = {};
+    };
+
+    /**
+     * @private
+     * @static
+     * @method toBase64Url
+     * @param {Buffer} buffer
+     * @return {String}
+     */
+    function toBase64Url(buffer) {
+        return buffer.toString('base64').replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+    }
+
+    /**
+     * Makes a request to the identity provider and parses the JSON response
+     * @private
+     * @static
+     * @method request
+     * @param {Object} options
+     * @param {String} options.method
+     * @param {String} options.url
+     * @param {Object} [options.headers]
+     * @param {Object} [options.form] The URL encoded body
+     * @param {Integer} [options.timeout]
+     * @param {Function} cb (Error, Object)
+     */
+    function request(options, cb) {
+        var target  = url.parse(options.url);
+        var body    = options.form ? querystring.stringify(options.form) : null;
+        var headers = util.merge(options.headers || {}, {Accept: 'application/json'});
+        if (body !== null) {
+            headers['Content-Type'] = 'application/x-www-form-urlencoded';
+            headers['Content-Length'] = Buffer.byteLength(body);
+        }
+
+        var called = false;
+        var done = function(err, result) {
+            if (!called) {
+                called = true;
+                cb(err, result);
+            }
+        };
+
+        var transport = target.protocol === 'https:' ? https : http;
+        var req = transport.request({
+            method: options.method,
+            hostname: target.hostname,
+            port: target.port,
+            path: target.path,
+            headers: headers
+        }, function(res) {
+            var chunks = [];
+            res.on('data', function(chunk) {
+                chunks.push(chunk);
+            });
+            res.on('end', function() {
+                var result;
+                try {
+                    result = JSON.parse(Buffer.concat(chunks).toString('utf8'));
+                }
+                catch(e) {
+                    return done(new Error('OpenIdConnectAuthentication: '+options.url+' did not respond with JSON'));
+                }
+
+                if (res.statusCode !== 200 || !util.isObject(result)) {
+                    var description = util.isObject(result) && result.error ? result.error : res.statusCode;
+                    return done(new Error('OpenIdConnectAuthentication: '+options.url+' responded with an error: '+description));
+                }
+                done(null, result);
+            });
+        });
+        req.on('error', done);
+        req.setTimeout(options.timeout || 10000, function() {
+            req.abort();
+            done(new Error('OpenIdConnectAuthentication: '+options.url+' timed out'));
+        });
+        req.end(body);
+    }
+
+    //exports
+    return OpenIdConnectAuthentication;
+};
@@ -0,0 +1,499 @@
+/*
+	Copyright (C) 2016  PencilBlue, LLC
+
+	This program is free software: you can redistribute it and/or modify
+	it under the terms of the GNU General Public License as published by
+	the Free Software Foundation, either version 3 of the License, or
+	(at your option) any later version.
+
+	This program is distributed in the hope that it will be useful,
+	but WITHOUT ANY WARRANTY; without even the implied warranty of
+	MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+	GNU General Public License for more details.
+
+	You should have received a copy of the GNU General Public License
+	along with this program.  If not, see <http://www.gnu.org/licenses/>.
+*/
+'use strict';
+
+//dependencies
+var crypto = require('crypto');
+var util   = require('../util.js');
+
+module.exports = function TwoFactorServiceModule(pb) {
+
+    //pb dependencies
+    var BaseObjectService = pb.BaseObjectService;
+
+    /**
+     * Provides time-based one-time password (TOTP) two-factor authentication
+     * as described by RFC 6238.  The user's secret, their unused recovery
+     * codes and the last time step that was used are kept on the user under
+     * the "two_factor" property.
+     * @class TwoFactorService
+     * @constructor
+     * @param {Object} [context]
+     * @param {String} [context.site]
+     * @param {Boolean} [context.onlyThisSite=false]
+     */
+    function TwoFactorService(context) {
+        if (!util.isObject(context)) {
+            context = {};
+        }
+
+        /**
+         * @property site
+         * @type {String}
+         */
+        this.site = context.site || pb.SiteService.GLOBAL_SITE;
+
+        /**
+         * @property onlyThisSite
+         * @type {Boolean}
+         */
+        this.onlyThisSite = context.onlyThisSite || false;
+
+        /**
+         * @property dao
+         * @type {DAO}
+         */
+        this.dao = new pb.DAO();
+
+        /**
+         * @property settingService
+         * @type {SimpleLayeredService}
+         */
+        this.settingService = pb.SettingServiceFactory.getServiceBySite(this.site, this.onlyThisSite);
+    }
+
+    /**
+     * The key of the site's security settings
+     * @static
+     * @readonly
+     * @property SETTINGS_KEY
+     * @type {String}
+     */
+    TwoFactorService.SETTINGS_KEY = 'security_settings';
+
+    /**
+     * The minimum access level that is required to enroll when the site
+     * requires two-factor authentication
+     * @static
+     * @readonly
+     * @property REQUIRED_ACCESS
+     * @type {Integer}
+     */
+    TwoFactorService.REQUIRED_ACCESS = pb.SecurityService.ACCESS_EDITOR;
+
+    /**
+     * The number of seconds in a time step
+     * @private
+     * @static
+     * @readonly
+     * @property PERIOD
+     * @type {Integer}
+     */
+    var PERIOD = 30;
+
+    /**
+     * The number of digits in a code
+     * @private
+     * @static
+     * @readonly
+     * @property DIGITS
+     * @type {Integer}
+     */
+    var DIGITS = 6;
+
+    /**
+     * @private
+     * @static
+     * @readonly
+     * @property BASE32_CHARS
+     * @type {String}
+     */
+    var BASE32_CHARS = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+    /**
+     * @private
+     * @static
+     * @readonly
+     * @property DEFAULT_SETTINGS
+     * @type {Object}
+     */
+    var DEFAULT_SETTINGS = Object.freeze({
+        require_two_factor: false
+    });
+
+    /**
+     * Retrieves the site's security settings
+     * @method getSettings
+     * @param {Function} cb (Error, Object)
+     */
+    TwoFactorService.prototype.getSettings = function(cb) {
+        this.settingService.get(TwoFactorService.SETTINGS_KEY, function(err, settings) {
+            cb(err, util.merge(settings || {}, util.clone(DEFAULT_SETTINGS)));
+        });
+    };
+
+    /**
+     * Determines what is needed from the user before they may sign in
+     * @method getStatus
+     * @param {Object} user
+     * @param {Function} cb (Error, Object) The result indicates if the user is
+     * "enrolled" and if enrolment is "required"
+     */
+    TwoFactorService.prototype.getStatus = function(user, cb) {
+        this.getSettings(function(err, settings) {
+            if (util.isError(err)) {
+                return cb(err);
+            }
+            cb(null, {
+                enrolled: TwoFactorService.isEnrolled(user),
+                required: TwoFactorService.isRequired(user, settings)
+            });
+        });
+    };
+
+    /**
+     * Determines if a user whose first factor was accepted, whether by their
+     * password or by an external authentication provider, must still provide
+     * or set up their second factor before the session is authenticated.
+     * @method getPendingLogin
+     * @param {Object} user
+     * @param {Boolean} adminAttempt
+     * @param {Function} cb (Error, Object) Provides the state to keep as the
+     * "two_factor_login" of the session or NULL when the user may be signed
+     * in right away
+     */
+    TwoFactorService.prototype.getPendingLogin = function(user, adminAttempt, cb) {
+        this.getStatus(user, function(err, status) {
+            if (util.isError(err)) {
+                return cb(err);
+            }
+            if (!status.enrolled && !status.required) {
+                return cb(null, null);
+            }
+            cb(null, {
+                user_id: user[pb.DAO.getIdField()].toString(),
+                username: user.username,
+                admin_attempt: adminAttempt,
+                enrol: !status.enrolled,
+                attempts: 0
+            });
+        });
+    };
+
+    /**
+     * Creates a new secret for the user to add to their authenticator app.
+     * The secret is not persisted until the user proves that they have added
+     * it by calling "enrol" with a valid code.
+     * @method createEnrolment
+     * @param {Object} user
+     * @return {Object} The "secret" and the "uri" that can be shown as a QR
+     * code
+     */
+    TwoFactorService.prototype.createEnrolment = function(user) {
+        var secret = TwoFactorService.generateSecret();
+        var issuer = pb.config.authentication.two_factor.issuer || pb.config.siteName;
+        return {
+            secret: secret,
+            uri: TwoFactorService.getOtpAuthUri(secret, user.username, issuer)
+        };
+    };
+
+    /**
+     * Enables two-factor authentication for a user.  The code must be valid
+     * for the secret.
+     * @method enrol
+     * @param {Object} user
+     * @param {String} secret
+     * @param {String} code
+     * @param {Function} cb (Error, Array) Provides the recovery codes.  They
+     * are not retrievable afterwards.
+     */
+    TwoFactorService.prototype.enrol = function(user, secret, code, cb) {
+        var counter = TwoFactorService.verifyCode(secret, code);
+        if (counter === null) {
+            return cb(BaseObjectService.validationError([BaseObjectService.validationFailure('code', 'The code is invalid')]));
+        }
+
+        var recoveryCodes = TwoFactorService.generateRecoveryCodes(pb.config.authentication.two_factor.recovery_codes);
+        var twoFactor = {
+            enabled: true,
+            secret: secret,
+            recovery_codes: recoveryCodes.map(TwoFactorService.hashRecoveryCode),
+            last_counter: counter,
+            enrolled: new Date()
+        };
+        this.dao.updateFields('user', pb.DAO.getIdWhere(user[pb.DAO.getIdField()]), {$set: {two_factor: twoFactor}}, function(err) {
+            if (util.isError(err)) {
+                return cb(err);
+            }
+            user.two_factor = twoFactor;
+            cb(null, recoveryCodes);
+        });
+    };
+
+    /**
+     * Verifies a user's second factor.  The code may be the current TOTP code
+     * or one of the user's recovery codes.  Each code can only be used once.
+     * @method verify
+     * @param {Object} user
+     * @param {String} code
+     * @param {Function} cb (Error, Boolean)
+     */
+    TwoFactorService.prototype.verify = function(user, code, cb) {
+        if (!TwoFactorService.isEnrolled(user) || !util.isString(code)) {
+            return cb(null, false);
+        }
+
+        var where = pb.DAO.getIdWhere(user[pb.DAO.getIdField()]);
+        var twoFactor = user.two_factor;
+        var counter = TwoFactorService.verifyCode(twoFactor.secret, code, null, twoFactor.last_counter);
+        if (counter !== null) {
+
+            //the counter is only moved forward so that concurrent sign ins
+            //cannot both use the same code
+            where['two_factor.last_counter'] = {$lt: counter};
+            return this.dao.updateFields('user', where, {$set: {'two_factor.last_counter': counter}}, function(err, result) {
+                cb(err, !util.isError(err) && TwoFactorService.getUpdatedCount(result) > 0);
+            });
+        }
+
+        var hash = TwoFactorService.hashRecoveryCode(code);
+        if (!util.isArray(twoFactor.recovery_codes) || twoFactor.recovery_codes.indexOf(hash) < 0) {
+            return cb(null, false);
+        }
+
+        where['two_factor.recovery_codes'] = hash;
+        this.dao.updateFields('user', where, {$pull: {'two_factor.recovery_codes': hash}}, function(err, result) {
+            var used = !util.isError(err) && TwoFactorService.getUpdatedCount(result) > 0;
+            if (used) {
+                pb.log.info('TwoFactorService: User %s signed in with a recovery code', user.username);
+            }
+            cb(err, used);
+        });
+    };
+
+    /**
+     * Removes a user's second factor so that they may enroll again
+     * @method reset
+     * @param {String} userId
+     * @param {Function} cb (Error)
+     */
+    TwoFactorService.prototype.reset = function(userId, cb) {
+        this.dao.updateFields('user', pb.DAO.getIdWhere(userId), {$unset: {two_factor: ''}}, function(err) {
+            cb(err);
+        });
+    };
+
+    /**
+     * @static
+     * @method isEnrolled
+     * @param {Object} user
+     * @return {Boolean}
+     */
+    TwoFactorService.isEnrolled = function(user) {
+        return util.isObject(user) && util.isObject(user.two_factor) && user.two_factor.enabled === true;
+    };
+
+    /**
+     * Determines if the site's settings require the user to enroll
+     * @static
+     * @method isRequired
+     * @param {Object} user
+     * @param {Object} settings The site's security settings
+     * @return {Boolean}
+     */
+    TwoFactorService.isRequired = function(user, settings) {
+        return !!(util.isObject(settings) && settings.require_two_factor && util.isObject(user) && user.admin >= TwoFactorService.REQUIRED_ACCESS);
+    };
+
+    /**
+     * Creates a random base32 encoded secret
+     * @static
+     * @method generateSecret
+     * @return {String}
+     */
+    TwoFactorService.generateSecret = function() {
+        return TwoFactorService.base32Encode(crypto.randomBytes(20));
+    };
+
+    /**
+     * Creates the "otpauth" URI understood by authenticator apps
+     * @static
+     * @method getOtpAuthUri
+     * @param {String} secret
+     * @param {String} accountName
+     * @param {String} issuer
+     * @return {String}
+     */
+    TwoFactorService.getOtpAuthUri = function(secret, accountName, issuer) {
+        var label = encodeURIComponent(issuer) + ':' + encodeURIComponent(accountName);
+        return 'otpauth://totp/' + label + '?secret=' + secret + '&issuer=' + encodeURIComponent(issuer) +
+            '&algorithm=SHA1&digits=' + DIGITS + '&period=' + PERIOD;
+    };
+
+    /**
+     * Provides the time step for a date
+     * @static
+     * @method getCounter
+     * @param {Date} [date=new Date()]
+     * @return {Integer}
+     */
+    TwoFactorService.getCounter = function(date) {
+        return Math.floor((date || new Date()).getTime() / 1000 / PERIOD);
+    };
+
+    /**
+     * Generates the code for a time step as described by RFC 4226
+     * @static
+     * @method generateCode
+     * @param {String} secret The base32 encoded secret
+     * @param {Integer} counter
+     * @return {String}
+     */
+    TwoFactorService.generateCode = function(secret, counter) {
+        var buffer = Buffer.alloc(8);
+        buffer.writeUInt32BE(Math.floor(counter / 0x100000000), 0);
+        buffer.writeUInt32BE(counter % 0x100000000, 4);
+
+        var hmac = crypto.createHmac('sha1', TwoFactorService.base32Decode(secret)).update(buffer).digest();
+        var offset = hmac[hmac.length - 1] & 0xf;
+        var binary = ((hmac[offset] & 0x7f) << 24) | (hmac[offset + 1] << 16) | (hmac[offset + 2] << 8) | hmac[offset + 3];
+
+        var code = (binary % Math.pow(10, DIGITS)) + '';
+        while (code.length < DIGITS) {
+            code = '0' + code;
+        }
+        return code;
+    };
+
+    /**
+     * Verifies a code against the time steps within the configured window
+     * @static
+     * @method verifyCode
+     * @param {String} secret
+     * @param {String} code
+     * @param {Date} [date=new Date()]
+     * @param {Integer} [lastCounter] The last time step that was used.  Codes
+     * for it and earlier time steps are rejected.
+     * @return {Integer} The time step the code is for or NULL when the code
+     * is not valid
+     */
+    TwoFactorService.verifyCode = function(secret, code, date, lastCounter) {
+        if (!util.isString(secret) || !util.isString(code)) {
+            return null;
+        }
+        code = code.replace(/\s/g, '');
+        if (code.length !== DIGITS) {
+            return null;
+        }
+
+        var window = pb.config.authentication.two_factor.window;
+        var current = TwoFactorService.getCounter(date);
+        for (var counter = current - window; counter <= current + window; counter++) {
+            if ((isNaN(lastCounter) || counter > lastCounter) && TwoFactorService.generateCode(secret, counter) === code) {
+                return counter;
+            }
+        }
+        return null;
+    };
+
+    /**
+     * Creates single use recovery codes of the form "xxxxx-xxxxx"
+     * @static
+     * @method generateRecoveryCodes
+     * @param {Integer} count
+     * @return {Array}
+     */
+    TwoFactorService.generateRecoveryCodes = function(count) {
+        var codes = [];
+        while (codes.length < count) {
+            var code = crypto.randomBytes(5).toString('hex');
+            codes.push(code.substring(0, 5) + '-' + code.substring(5));
+        }
+        return codes;
+    };
+
+    /**
+     * Hashes a recovery code for storage.  Whitespace, dashes and case are
+     * ignored.
+     * @static
+     * @method hashRecoveryCode
+     * @param {String} code
+     * @return {String}
+     */
+    TwoFactorService.hashRecoveryCode = function(code) {
+        var normalized = code.replace(/[\s-]/g, '').toLowerCase();
+        return crypto.createHash('sha256').update(normalized).digest('hex');
+    };
+
+    /**
+     * @static
+     * @method base32Encode
+     * @param {Buffer} buffer
+     * @return {String}
+     */
+    TwoFactorService.base32Encode = function(buffer) {
+        var bits = 0;
+        var value = 0;
+        var output = '';
+        for (var i = 0; i < buffer.length; i++) {
+            value = (value << 8) | buffer[i];
+            bits += 8;
+            while (bits >= 5) {
+                output += BASE32_CHARS[(value >>> (bits - 5)) & 31];
+                bits -= 5;
+            }
+        }
+        if (bits > 0) {
+            output += BASE32_CHARS[(value << (5 - bits)) & 31];
+        }
+        return output;
+    };
+
+    /**
+     * @static
+     * @method base32Decode
+     * @param {String} str
+     * @return {Buffer}
+     */
+    TwoFactorService.base32Decode = function(str) {
+        var bits = 0;
+        var value = 0;
+        var bytes = [];
+        str = str.toUpperCase().replace(/[\s=]/g, '');
+        for (var i = 0; i < str.length; i++) {
+            var index = BASE32_CHARS.indexOf(str[i]);
+            if (index < 0) {
+                continue;
+            }
+            value = (value << 5) | index;
+            bits += 5;
+            if (bits >= 8) {
+                bytes.push((value >>> (bits - 8)) & 255);
+                bits -= 8;
+            }
+        }
+        return Buffer.from(bytes);
+    };
+
+    /**
+     * Provides the number of records changed by an update
+     * @static
+     * @method getUpdatedCount
+     * @param {Object} result The result of DAO.updateFields
+     * @return {Integer}
+     */
+    TwoFactorService.getUpdatedCount = function(result) {
+        if (util.isObject(result) && util.isObject(result.result)) {
+            return result.result.nModified || result.result.n || 0;
+        }
+        return 0;
+    };
+
+    //exports
+    return TwoFactorService;
+};
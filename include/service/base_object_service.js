@@ -28,6 +28,15 @@ module.exports = function(pb) {
     //pb Dependencies
     var events = new AsyncEventEmitter();
 
+    /**
+     * The JSON schemas that describe the objects of each type
+     * @private
+     * @static
+     * @property schemas
+     * @type {Object}
+     */
+    var schemas = {};
+
     /**
      * Provides functionality to perform CRUD operations on collections.  It
      * also allows for plugins to register for events in order to interact with
@@ -215,6 +224,18 @@ module.exports = function(pb) {
         return this.type;
     };
 
+    /**
+     * Provides the fields that API consumers may filter the objects by with
+     * the "$where" query parameter, mapped to their type.  See
+     * WhereParser.TYPES.  By default no fields can be filtered.  Services
+     * should only expose fields that are safe to query.
+     * @method getFilterFields
+     * @return {Object}
+     */
+    BaseObjectService.prototype.getFilterFields = function() {
+        return {};
+    };
+
     /**
      * Retrieves a context object to be passed to event listeners
      * @method getContext
@@ -1019,5 +1040,47 @@ module.exports = function(pb) {
         return events.listeners(event);
     };
 
+    /**
+     * Registers the JSON schema that describes the objects of a type.  The
+     * schema should reflect the rules applied by the type's validate listeners
+     * so that API consumers know what will be accepted.  When a schema is
+     * already registered for the type the properties and required fields are
+     * added to it so that plugins can describe the fields they validate.
+     * @static
+     * @method registerSchema
+     * @param {String} type The object type
+     * @param {Object} schema A JSON schema of type "object"
+     */
+    BaseObjectService.registerSchema = function(type, schema) {
+        if (!util.isString(type) || !util.isObject(schema)) {
+            throw new Error('The type and schema parameters are required');
+        }
+
+        var existing = schemas[type];
+        if (!existing) {
+            schemas[type] = util.clone(schema);
+            return;
+        }
+        existing.properties = existing.properties || {};
+        existing.required = existing.required || [];
+        util.merge(util.clone(schema.properties || {}), existing.properties);
+        (schema.required || []).forEach(function(field) {
+            if (existing.required.indexOf(field) < 0) {
+                existing.required.push(field);
+            }
+        });
+    };
+
+    /**
+     * Provides a copy of the JSON schema registered for an object type
+     * @static
+     * @method getSchema
+     * @param {String} type
+     * @return {Object} NULL when no schema has been registered
+     */
+    BaseObjectService.getSchema = function(type) {
+        return schemas.hasOwnProperty(type) ? util.clone(schemas[type]) : null;
+    };
+
     return BaseObjectService;
 };
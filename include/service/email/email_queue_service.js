@@ -0,0 +1,281 @@
+/*
+    Copyright (C) 2016  PencilBlue, LLC
+
+    This program is free software: you can redistribute it and/or modify
+    it under the terms of the GNU General Public License as published by
+    the Free Software Foundation, either version 3 of the License, or
+    (at your option) any later version.
+
+    This program is distributed in the hope that it will be useful,
+    but WITHOUT ANY WARRANTY; without even the implied warranty of
+    MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+    GNU General Public License for more details.
+
+    You should have received a copy of the GNU General Public License
+    along with this program.  If not, see <http://www.gnu.org/licenses/>.
+*/
+'use strict';
+
+//dependencies
+var util = require('../../util.js');
+
+module.exports = function EmailQueueServiceModule(pb) {
+
+    /**
+     * Persists outbound email that could not be delivered so that it can be
+     * retried in the background.  Each failed attempt pushes the next attempt
+     * out exponentially.  Once the configured maximum number of attempts has
+     * been reached the message is marked as failed and left in the queue for
+     * inspection.
+     * @class EmailQueueService
+     * @constructor
+     */
+    function EmailQueueService() {
+
+        /**
+         * @property dao
+         * @type {DAO}
+         */
+        this.dao = new pb.DAO();
+    }
+
+    /**
+     * The persistence entity that holds the queued messages
+     * @private
+     * @static
+     * @readonly
+     * @property TYPE
+     * @type {String}
+     */
+    var TYPE = 'email_queue';
+
+    /**
+     * The name of the lock that ensures only one process works the queue at a
+     * time
+     * @private
+     * @static
+     * @readonly
+     * @property LOCK_NAME
+     * @type {String}
+     */
+    var LOCK_NAME = 'EMAIL_QUEUE_LOCK';
+
+    /**
+     * The handle to the timer that processes the queue
+     * @private
+     * @static
+     * @property TIMER_HANDLE
+     * @type {Object}
+     */
+    var TIMER_HANDLE = null;
+
+    /**
+     * The status of a message that is waiting to be delivered
+     * @static
+     * @readonly
+     * @property STATUS_PENDING
+     * @type {String}
+     */
+    EmailQueueService.STATUS_PENDING = 'pending';
+
+    /**
+     * The status of a message that exhausted its delivery attempts
+     * @static
+     * @readonly
+     * @property STATUS_FAILED
+     * @type {String}
+     */
+    EmailQueueService.STATUS_FAILED = 'failed';
+
+    /**
+     * Adds a message to the queue after its first delivery attempt failed
+     * @method enqueue
+     * @param {Object} message The nodemailer mail options: from, to, subject, html
+     * @param {String} site The site the message was sent on behalf of
+     * @param {Error} err The error that caused the delivery to fail
+     * @param {Function} cb A callback that takes two parameters: cb(Error, Object)
+     */
+    EmailQueueService.prototype.enqueue = function(message, site, err, cb) {
+        var item = {
+            object_type: TYPE,
+            site: site,
+            message: {
+                from: message.from,
+                to: message.to,
+                subject: message.subject,
+                html: message.html
+            },
+            status: EmailQueueService.STATUS_PENDING,
+            attempts: 1,
+            next_attempt: EmailQueueService.getNextAttempt(1),
+            last_error: err ? err.message : null
+        };
+        this.dao.save(item, cb);
+    };
+
+    /**
+     * Retrieves the pending messages whose next attempt is due
+     * @method getDue
+     * @param {Integer} [limit] The maximum number of messages to retrieve
+     * @param {Function} cb A callback that takes two parameters: cb(Error, Array)
+     */
+    EmailQueueService.prototype.getDue = function(limit, cb) {
+        if (util.isFunction(limit)) {
+            cb = limit;
+            limit = pb.config.email.queue.batch_size;
+        }
+
+        var opts = {
+            where: {
+                status: EmailQueueService.STATUS_PENDING,
+                next_attempt: {$lte: new Date()}
+            },
+            order: {next_attempt: pb.DAO.ASC},
+            limit: limit
+        };
+        this.dao.q(TYPE, opts, cb);
+    };
+
+    /**
+     * Removes a message from the queue once it has been delivered
+     * @method onDelivered
+     * @param {Object} item The queued message
+     * @param {Function} cb A callback that takes two parameters: cb(Error, Object)
+     */
+    EmailQueueService.prototype.onDelivered = function(item, cb) {
+        this.dao.deleteById(item[pb.DAO.getIdField()], TYPE, cb);
+    };
+
+    /**
+     * Records a failed delivery attempt.  The next attempt is scheduled unless
+     * the maximum number of attempts has been reached in which case the message
+     * is marked as failed.
+     * @method onFailed
+     * @param {Object} item The queued message
+     * @param {Error} err The error that caused the delivery to fail
+     * @param {Function} cb A callback that takes two parameters: cb(Error, Object)
+     */
+    EmailQueueService.prototype.onFailed = function(item, err, cb) {
+        var updates = EmailQueueService.getFailureUpdates(item, err);
+        this.dao.updateFields(TYPE, pb.DAO.getIdWhere(item[pb.DAO.getIdField()]), {$set: updates}, cb);
+    };
+
+    /**
+     * Provides the fields to update when a delivery attempt fails
+     * @static
+     * @method getFailureUpdates
+     * @param {Object} item The queued message
+     * @param {Error} err The error that caused the delivery to fail
+     * @return {Object}
+     */
+    EmailQueueService.getFailureUpdates = function(item, err) {
+        var attempts = (item.attempts || 0) + 1;
+        var updates = {
+            attempts: attempts,
+            last_error: err ? err.message : null
+        };
+        if (attempts >= pb.config.email.queue.max_attempts) {
+            updates.status = EmailQueueService.STATUS_FAILED;
+        }
+        else {
+            updates.next_attempt = EmailQueueService.getNextAttempt(attempts);
+        }
+        return updates;
+    };
+
+    /**
+     * Calculates when the next delivery attempt should be made.  The delay
+     * doubles with each attempt.
+     * @static
+     * @method getNextAttempt
+     * @param {Integer} attempts The number of attempts made so far
+     * @param {Date} [date=new Date()] The date of the most recent attempt
+     * @return {Date}
+     */
+    EmailQueueService.getNextAttempt = function(attempts, date) {
+        date = date || new Date();
+
+        var delay = pb.config.email.queue.backoff * Math.pow(2, Math.max(attempts - 1, 0));
+        return new Date(date.getTime() + delay);
+    };
+
+    /**
+     * @static
+     * @method isEnabled
+     * @return {Boolean} TRUE when failed messages should be queued for retry
+     */
+    EmailQueueService.isEnabled = function() {
+        return !!pb.config.email.queue.enabled;
+    };
+
+    /**
+     * Processes the queue once.  A lock ensures that only one process in the
+     * cluster works the queue at a time.
+     * @static
+     * @method process
+     * @param {Function} cb A callback that takes two parameters: cb(Error, Object)
+     */
+    EmailQueueService.process = function(cb) {
+        var lockService = new pb.LockService();
+        lockService.acquire(LOCK_NAME, function(err, acquired) {
+            if (util.isError(err) || !acquired) {
+                return cb(err, null);
+            }
+
+            var job = new pb.EmailQueueJobRunner();
+            job.init();
+            job.run(function(err, result) {
+                lockService.release(LOCK_NAME, acquired, function(lockErr) {
+                    if (util.isError(lockErr)) {
+                        pb.log.error('EmailQueueService: Failed to release the queue lock: %s', lockErr.stack);
+                    }
+                    cb(err, result);
+                });
+            });
+        });
+    };
+
+    /**
+     * Should only be called once at startup.  Schedules the processing of the
+     * queue when it is enabled.
+     * @static
+     * @method init
+     * @param {Function} cb A callback that takes two parameters: cb(Error, Boolean)
+     */
+    EmailQueueService.init = function(cb) {
+        if (!EmailQueueService.isEnabled()) {
+            return cb(null, false);
+        }
+        else if (TIMER_HANDLE !== null) {
+            return cb(null, true);
+        }
+
+        TIMER_HANDLE = setInterval(function() {
+            EmailQueueService.process(function(err) {
+                if (util.isError(err)) {
+                    pb.log.error('EmailQueueService: Failed to process the queue: %s', err.stack);
+                }
+            });
+        }, pb.config.email.queue.interval);
+
+        pb.system.registerShutdownHook('EmailQueueService', EmailQueueService.shutdown);
+        cb(null, true);
+    };
+
+    /**
+     * Stops processing the queue
+     * @static
+     * @method shutdown
+     * @param {Function} cb A callback that takes two parameters: cb(Error, Boolean)
+     */
+    EmailQueueService.shutdown = function(cb) {
+        if (TIMER_HANDLE !== null) {
+            clearInterval(TIMER_HANDLE);
+            TIMER_HANDLE = null;
+        }
+        cb(null, true);
+    };
+
+    //exports
+    return EmailQueueService;
+};
@@ -0,0 +1,74 @@
+/*
+    Copyright (C) 2016  PencilBlue, LLC
+
+    This program is free software: you can redistribute it and/or modify
+    it under the terms of the GNU General Public License as published by
+    the Free Software Foundation, either version 3 of the License, or
+    (at your option) any later version.
+
+    This program is distributed in the hope that it will be useful,
+    but WITHOUT ANY WARRANTY; without even the implied warranty of
+    MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+    GNU General Public License for more details.
+
+    You should have received a copy of the GNU General Public License
+    along with this program.  If not, see <http://www.gnu.org/licenses/>.
+*/
+'use strict';
+
+//dependencies
+var NodeMailer = require('nodemailer');
+var util       = require('../../../util.js');
+
+module.exports = function FileEmailTransportModule(pb) {
+
+    /**
+     * Writes each message to the outbox directory as an .eml file instead of
+     * delivering it.  Intended for development and testing.  The directory is
+     * configured by "email.outbox.directory" and is created when it does not
+     * exist.
+     * @class FileEmailTransport
+     * @constructor
+     * @param {Object} settings The email settings
+     * @param {String} [settings.outbox] Overrides the configured outbox directory
+     */
+    function FileEmailTransport(settings) {
+
+        /**
+         * @property settings
+         * @type {Object}
+         */
+        this.settings = settings || {};
+
+        /**
+         * The absolute path to the directory where messages are written
+         * @property directory
+         * @type {String}
+         */
+        this.directory = this.settings.outbox || pb.config.email.outbox.directory;
+    }
+
+    /**
+     * Writes a message to the outbox
+     * @method send
+     * @param {Object} message The nodemailer mail options: from, to, subject, html
+     * @param {Function} cb A callback that takes two parameters: cb(Error, Object)
+     */
+    FileEmailTransport.prototype.send = function(message, cb) {
+        var directory = this.directory;
+        util.mkdirs(directory, false, function(err) {
+            if (util.isError(err)) {
+                return cb(err);
+            }
+
+            var transport = NodeMailer.createTransport('PICKUP', {directory: directory});
+            transport.sendMail(message, function(err, response) {
+                transport.close();
+                cb(err, response);
+            });
+        });
+    };
+
+    //exports
+    return FileEmailTransport;
+};
@@ -0,0 +1,56 @@
+/*
+    Copyright (C) 2016  PencilBlue, LLC
+
+    This program is free software: you can redistribute it and/or modify
+    it under the terms of the GNU General Public License as published by
+    the Free Software Foundation, either version 3 of the License, or
+    (at your option) any later version.
+
+    This program is distributed in the hope that it will be useful,
+    but WITHOUT ANY WARRANTY; without even the implied warranty of
+    MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+    GNU General Public License for more details.
+
+    You should have received a copy of the GNU General Public License
+    along with this program.  If not, see <http://www.gnu.org/licenses/>.
+*/
+'use strict';
+
+//dependencies
+var NodeMailer = require('nodemailer');
+
+module.exports = function SendmailEmailTransportModule(pb) {
+
+    /**
+     * Delivers email by piping it to the local sendmail binary.  The location of
+     * the binary is configured by "email.sendmail.path".
+     * @class SendmailEmailTransport
+     * @constructor
+     * @param {Object} settings The email settings
+     */
+    function SendmailEmailTransport(settings) {
+
+        /**
+         * @property settings
+         * @type {Object}
+         */
+        this.settings = settings || {};
+    }
+
+    /**
+     * Sends a message
+     * @method send
+     * @param {Object} message The nodemailer mail options: from, to, subject, html
+     * @param {Function} cb A callback that takes two parameters: cb(Error, Object)
+     */
+    SendmailEmailTransport.prototype.send = function(message, cb) {
+        var transport = NodeMailer.createTransport('sendmail', pb.config.email.sendmail);
+        transport.sendMail(message, function(err, response) {
+            transport.close();
+            cb(err, response);
+        });
+    };
+
+    //exports
+    return SendmailEmailTransport;
+};
@@ -0,0 +1,86 @@
+/*
+    Copyright (C) 2016  PencilBlue, LLC
+
+    This program is free software: you can redistribute it and/or modify
+    it under the terms of the GNU General Public License as published by
+    the Free Software Foundation, either version 3 of the License, or
+    (at your option) any later version.
+
+    This program is distributed in the hope that it will be useful,
+    but WITHOUT ANY WARRANTY; without even the implied warranty of
+    MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+    GNU General Public License for more details.
+
+    You should have received a copy of the GNU General Public License
+    along with this program.  If not, see <http://www.gnu.org/licenses/>.
+*/
+'use strict';
+
+//dependencies
+var NodeMailer = require('nodemailer');
+
+module.exports = function SmtpEmailTransportModule(pb) {
+
+    /**
+     * Delivers email through an SMTP server.  The server is described by the
+     * site's email settings.
+     * @class SmtpEmailTransport
+     * @constructor
+     * @param {Object} settings The email settings
+     * @param {String} settings.service The well known service name or "custom"
+     * @param {String} [settings.host] The SMTP host when the service is "custom"
+     * @param {Integer} [settings.port] The SMTP port when the service is "custom"
+     * @param {Integer} [settings.secure_connection]
+     * @param {String} [settings.username]
+     * @param {String} [settings.password]
+     */
+    function SmtpEmailTransport(settings) {
+
+        /**
+         * @property settings
+         * @type {Object}
+         */
+        this.settings = settings || {};
+    }
+
+    /**
+     * Sends a message
+     * @method send
+     * @param {Object} message The nodemailer mail options: from, to, subject, html
+     * @param {Function} cb A callback that takes two parameters: cb(Error, Object)
+     */
+    SmtpEmailTransport.prototype.send = function(message, cb) {
+        var transport = NodeMailer.createTransport('SMTP', SmtpEmailTransport.getOptions(this.settings));
+        transport.sendMail(message, function(err, response) {
+            transport.close();
+            cb(err, response);
+        });
+    };
+
+    /**
+     * Converts the email settings into the options expected by the nodemailer
+     * SMTP transport
+     * @static
+     * @method getOptions
+     * @param {Object} settings
+     * @return {Object}
+     */
+    SmtpEmailTransport.getOptions = function(settings) {
+        var options = {
+            service: settings.service,
+            auth: {
+                user: settings.username,
+                pass: settings.password
+            }
+        };
+        if (settings.service === 'custom') {
+            options.host = settings.host;
+            options.secureConnection = settings.secure_connection;
+            options.port = settings.port;
+        }
+        return options;
+    };
+
+    //exports
+    return SmtpEmailTransport;
+};
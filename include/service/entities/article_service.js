@@ -145,6 +145,7 @@ module.exports = function(pb) {
         //build out query
         if(!where.publish_date) {
             where.publish_date = {$lt: new Date()};
+            pb.ContentObjectService.setExpiryClause(where);
         }
         if(!where.draft) {
             where.draft = {$ne: 1};
@@ -350,9 +351,9 @@ module.exports = function(pb) {
             if (self.getContentType() === ARTICLE_TYPE && ArticleService.allowComments(contentSettings, article)) {
 
                 var opts = {
-                    where: {
+                    where: pb.CommentService.setApprovedClause({
                         article: article[pb.DAO.getIdField()].toString()
-                    },
+                    }),
                     order: [['created', pb.DAO.ASC]]
                 };
                 var dao   = new pb.DAO();
@@ -388,7 +389,8 @@ module.exports = function(pb) {
     };
 
     /**
-     * Retrieves the commenters for an array of comments
+     * Retrieves the commenters for an array of comments.  Comments that have
+     * not been approved are excluded.
      *
      * @method getCommenters
      * @param {Array}    comments        Array of comment objects
@@ -396,6 +398,7 @@ module.exports = function(pb) {
      * @param {Function} cb              Callback function
      */
     ArticleService.prototype.getCommenters = function(comments, contentSettings, cb) {
+        comments = comments.filter(pb.CommentService.isApproved);
 
         //callback for iteration to handle setting the commenter attributes
         var processComment = function(comment, commenter) {
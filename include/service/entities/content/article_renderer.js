@@ -232,9 +232,9 @@ module.exports = function(pb) {
         }
 
         var opts = {
-            where: {
+            where: pb.CommentService.setApprovedClause({
                 article: content[pb.DAO.getIdField()] + ''
-            },
+            }),
             order: [['created', pb.DAO.ASC]]
         };
         this.commentService.getAll(opts, function(err, comments) {
@@ -250,7 +250,8 @@ module.exports = function(pb) {
     };
 
     /**
-     * Retrieves the commenters for an array of comments
+     * Retrieves the commenters for an array of comments.  Comments that have
+     * not been approved are excluded.
      *
      * @method getCommenters
      * @param {Array} comments Array of comment objects
@@ -259,6 +260,7 @@ module.exports = function(pb) {
      */
     ArticleRenderer.prototype.getCommenters = function(comments, contentSettings, cb) {
         var self = this;
+        comments = comments.filter(pb.CommentService.isApproved);
 
         //callback for iteration to handle setting the commenter attributes
         var processComment = function(comment, commenter) {
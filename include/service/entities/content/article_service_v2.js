@@ -58,6 +58,69 @@ module.exports = function (pb) {
      */
     var TYPE = 'article';
 
+    /**
+     * The fields that articles can be filtered by mapped to their type.
+     * @private
+     * @static
+     * @readonly
+     * @property FILTER_FIELDS
+     * @type {Object}
+     */
+    var FILTER_FIELDS = Object.freeze({
+        headline: pb.WhereParser.TYPES.STRING,
+        subheading: pb.WhereParser.TYPES.STRING,
+        url: pb.WhereParser.TYPES.STRING,
+        author: pb.WhereParser.TYPES.ID,
+        article_topics: pb.WhereParser.TYPES.ID,
+        article_sections: pb.WhereParser.TYPES.ID,
+        publish_date: pb.WhereParser.TYPES.DATE,
+        created: pb.WhereParser.TYPES.DATE,
+        last_modified: pb.WhereParser.TYPES.DATE
+    });
+
+    /**
+     * Provides the fields that articles can be filtered by with the "$where"
+     * query parameter
+     * @method getFilterFields
+     * @return {Object}
+     */
+    ArticleServiceV2.prototype.getFilterFields = function() {
+        return FILTER_FIELDS;
+    };
+
+    /**
+     * Describes an article as it is accepted by the validate listener
+     * @private
+     * @static
+     * @readonly
+     * @property SCHEMA
+     * @type {Object}
+     */
+    var SCHEMA = Object.freeze({
+        type: 'object',
+        properties: {
+            author: {type: 'string', pattern: '^[0-9a-fA-F]{24}$'},
+            publish_date: {type: 'string', format: 'date-time'},
+            expiry_date: {type: 'string', format: 'date-time'},
+            meta_keywords: {type: 'array', items: {type: 'string', minLength: 1}},
+            article_media: {type: 'array', items: {type: 'string', pattern: '^[0-9a-fA-F]{24}$'}},
+            article_sections: {type: 'array', items: {type: 'string', pattern: '^[0-9a-fA-F]{24}$'}},
+            article_topics: {type: 'array', items: {type: 'string', pattern: '^[0-9a-fA-F]{24}$'}},
+            url: {type: 'string', minLength: 1},
+            template: {type: 'string', pattern: '^([^|]+\\|[^|]+)?$'},
+            headline: {type: 'string', minLength: 1},
+            subheading: {type: 'string'},
+            allow_comments: {type: 'boolean'},
+            focus_keyword: {type: 'string'},
+            seo_title: {type: 'string'},
+            meta_desc: {type: 'string'},
+            thumbnail: {type: 'string', pattern: '^[0-9a-fA-F]{24}$'},
+            draft: {type: 'integer', enum: [0, 1]},
+            article_layout: {type: 'string', minLength: 1}
+        },
+        required: ['author', 'publish_date', 'url', 'headline', 'allow_comments', 'draft', 'article_layout']
+    });
+
     /**
      * Provides the options for rendering
      * @method getRenderOptions
@@ -143,6 +206,7 @@ module.exports = function (pb) {
         dto.meta_desc = BaseObjectService.sanitize(dto.meta_desc);
         dto.url = BaseObjectService.sanitize(dto.url);
         dto.publish_date = BaseObjectService.getDate(dto.publish_date);
+        dto.expiry_date = BaseObjectService.getDate(dto.expiry_date);
 
         if (util.isArray(dto.meta_keywords)) {
             for (var i = 0; i < dto.meta_keywords.length; i++) {
@@ -168,6 +232,7 @@ module.exports = function (pb) {
 
         obj.author = dto.author;
         obj.publish_date = dto.publish_date;
+        obj.expiry_date = dto.expiry_date;
         obj.meta_keywords = dto.meta_keywords;
         obj.article_media = dto.article_media;
         obj.article_sections = dto.article_sections;
@@ -210,6 +275,13 @@ module.exports = function (pb) {
             errors.push(BaseObjectService.validationFailure('publish_date', 'Publish date is required'));
         }
 
+        if (!ValidationService.isDate(obj.expiry_date, false)) {
+            errors.push(BaseObjectService.validationFailure('expiry_date', 'An invalid expiry date was provided'));
+        }
+        else if (util.isDate(obj.expiry_date) && util.isDate(obj.publish_date) && obj.expiry_date <= obj.publish_date) {
+            errors.push(BaseObjectService.validationFailure('expiry_date', 'The expiry date must be after the publish date'));
+        }
+
         if (!util.isArray(obj.meta_keywords)) {
             if (!util.isNullOrUndefined(obj.meta_keywords)) {
                 errors.push(BaseObjectService.validationFailure('meta_keywords', 'Meta Keywords must be an array'));
@@ -342,6 +414,7 @@ module.exports = function (pb) {
     BaseObjectService.on(TYPE + '.' + BaseObjectService.FORMAT, ArticleServiceV2.format);
     BaseObjectService.on(TYPE + '.' + BaseObjectService.MERGE, ArticleServiceV2.merge);
     BaseObjectService.on(TYPE + '.' + BaseObjectService.VALIDATE, ArticleServiceV2.validate);
+    BaseObjectService.registerSchema(TYPE, SCHEMA);
 
     return ArticleServiceV2;
 };
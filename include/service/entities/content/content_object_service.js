@@ -524,12 +524,55 @@ module.exports = function(pb) {
      * @param {Object} where
      */
     ContentObjectService.setPublishedClause = function(where) {
+        var now = new Date();
         where.draft = {
             $nin: [1, true]
         };
         where.publish_date = {
-            $lte: new Date()
+            $lte: now
         };
+        ContentObjectService.setExpiryClause(where, now);
+    };
+
+    /**
+     * Adds the condition that excludes content whose expiry date has passed.
+     * Content without an expiry date never expires.  When the where clause
+     * already contains an $or condition the two are combined with $and so
+     * that neither is overwritten.
+     * @static
+     * @method setExpiryClause
+     * @param {Object} where
+     * @param {Date} [date=new Date()] The point in time to evaluate expiry against
+     */
+    ContentObjectService.setExpiryClause = function(where, date) {
+        var clause = [
+            { expiry_date: null },
+            { expiry_date: { $gt: date || new Date() } }
+        ];
+        if (!util.isArray(where.$or)) {
+            where.$or = clause;
+            return;
+        }
+
+        var and = util.isArray(where.$and) ? where.$and : [];
+        and.push({ $or: where.$or }, { $or: clause });
+        where.$and = and;
+        delete where.$or;
+    };
+
+    /**
+     * Indicates if the content's expiry date has passed
+     * @static
+     * @method isExpired
+     * @param {Object} content
+     * @param {Date} [date=new Date()] The point in time to evaluate expiry against
+     * @return {Boolean}
+     */
+    ContentObjectService.isExpired = function(content, date) {
+        if (!util.isObject(content) || !util.isDate(content.expiry_date)) {
+            return false;
+        }
+        return content.expiry_date <= (date || new Date());
     };
 
     return ContentObjectService;
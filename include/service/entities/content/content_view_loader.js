@@ -462,15 +462,12 @@ module.exports = function(pb) {
                 return cb(null, '');
             }
 
-            var tasks = util.getTasks(content.comments, function(comments, i) {
-                return function(callback) {
-
-                    var cts = ts.getChildInstance();
-                    self.renderComment(comments[i], cts, callback);
-                };
-            });
-            async.parallel(tasks, function(err, results) {
-                cb(err, new pb.TemplateValue(results.join(''), false));
+            var renderComment = function(comment, callback) {
+                var cts = ts.getChildInstance();
+                self.renderComment(comment, cts, callback);
+            };
+            pb.CommentService.renderThreads(content.comments, renderComment, function(err, result) {
+                cb(err, new pb.TemplateValue(result, false));
             });
         });
         ts.load(self.getDefaultCommentsTemplatePath(), cb);
@@ -489,18 +486,24 @@ module.exports = function(pb) {
      *
      * @method renderComment
      * @param {Object} comment
+     * @param {String} [comment.rendered_replies] The markup for the replies to the comment
      * @param {TemplateService} cts
      * @param {Function} cb
      */
     ContentViewLoader.prototype.renderComment = function(comment, cts, cb) {
+        var canReply = pb.security.isAuthenticated(this.session) && pb.CommentService.canReply(comment);
 
         cts.reprocess = false;
+        cts.registerLocal('comment_id', comment[pb.DAO.getIdField()] + '');
         cts.registerLocal('commenter_photo', comment.commenter_photo ? comment.commenter_photo : '');
         cts.registerLocal('display_photo', comment.commenter_photo ? 'block' : 'none');
         cts.registerLocal('commenter_name', comment.commenter_name);
         cts.registerLocal('commenter_position', comment.commenter_position ? ', ' + comment.commenter_position : '');
         cts.registerLocal('content', comment.content);
         cts.registerLocal('timestamp', comment.timestamp);
+        cts.registerLocal('display_edited', comment.edited ? 'inline' : 'none');
+        cts.registerLocal('display_reply', canReply ? 'inline' : 'none');
+        cts.registerLocal('comment_replies', new pb.TemplateValue(comment.rendered_replies || '', false));
         cts.load(this.getDefaultCommentTemplatePath(), cb);
     };
 
@@ -0,0 +1,134 @@
+/*
+    Copyright (C) 2016  PencilBlue, LLC
+
+    This program is free software: you can redistribute it and/or modify
+    it under the terms of the GNU General Public License as published by
+    the Free Software Foundation, either version 3 of the License, or
+    (at your option) any later version.
+
+    This program is distributed in the hope that it will be useful,
+    but WITHOUT ANY WARRANTY; without even the implied warranty of
+    MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+    GNU General Public License for more details.
+
+    You should have received a copy of the GNU General Public License
+    along with this program.  If not, see <http://www.gnu.org/licenses/>.
+*/
+'use strict';
+
+//dependencies
+var util = require('../../../util.js');
+
+module.exports = function(pb) {
+
+    /**
+     * The spam checker that ships with PencilBlue.  A comment is considered
+     * spam when it contains too many links, contains a blacklisted word or when
+     * too many comments have recently been submitted from the same IP address.
+     * The thresholds are configured by "comments.spam".
+     *
+     * @class HeuristicCommentSpamChecker
+     * @constructor
+     * @param {object} context
+     * @param {string} context.site
+     * @param {boolean} [context.onlyThisSite]
+     */
+    function HeuristicCommentSpamChecker(context) {
+
+        /**
+         * @property context
+         * @type {Object}
+         */
+        this.context = context || {};
+
+        /**
+         * @property dao
+         * @type {DAO}
+         */
+        this.dao = new pb.DAO();
+    }
+
+    /**
+     * Matches the start of a link
+     * @private
+     * @static
+     * @readonly
+     * @property LINK_PATTERN
+     * @type {RegExp}
+     */
+    var LINK_PATTERN = /(https?:\/\/|www\.)/gi;
+
+    /**
+     * Inspects a comment
+     * @method check
+     * @param {object} comment
+     * @param {string} comment.content
+     * @param {string} [comment.ip] The address the comment was submitted from
+     * @param {Function} cb A callback that takes two parameters: cb(Error, Object).
+     * The result provides a "spam" property that indicates if the comment is
+     * spam and a "reason" property that describes why.
+     */
+    HeuristicCommentSpamChecker.prototype.check = function(comment, cb) {
+        var reason = HeuristicCommentSpamChecker.checkContent(comment.content);
+        if (reason) {
+            return cb(null, {spam: true, reason: reason});
+        }
+
+        this.isRateExceeded(comment.ip, function(err, exceeded) {
+            cb(err, {spam: !!exceeded, reason: exceeded ? 'Too many comments from ' + comment.ip : null});
+        });
+    };
+
+    /**
+     * Determines if too many comments have recently been submitted from the
+     * provided IP address.  Comments across all sites are counted.
+     * @method isRateExceeded
+     * @param {string} ip
+     * @param {Function} cb A callback that takes two parameters: cb(Error, Boolean)
+     */
+    HeuristicCommentSpamChecker.prototype.isRateExceeded = function(ip, cb) {
+        var rateLimit = pb.config.comments.spam.rate_limit;
+        if (!util.isString(ip) || !rateLimit.max) {
+            return cb(null, false);
+        }
+
+        var where = {
+            ip: ip,
+            created: {$gte: new Date(Date.now() - rateLimit.window * 1000)}
+        };
+        this.dao.count('comment', where, function(err, count) {
+            cb(err, count >= rateLimit.max);
+        });
+    };
+
+    /**
+     * Inspects the content of a comment for links and blacklisted words
+     * @static
+     * @method checkContent
+     * @param {string} content
+     * @return {string} The reason the content is considered spam or NULL when
+     * it is not
+     */
+    HeuristicCommentSpamChecker.checkContent = function(content) {
+        if (!util.isString(content)) {
+            return null;
+        }
+
+        var settings = pb.config.comments.spam;
+        var links = content.match(LINK_PATTERN);
+        if (links && links.length > settings.max_links) {
+            return 'Too many links';
+        }
+
+        var lowerContent = content.toLowerCase();
+        for (var i = 0; i < settings.blacklist.length; i++) {
+            if (lowerContent.indexOf(('' + settings.blacklist[i]).toLowerCase()) >= 0) {
+                return 'Contains the blacklisted word: ' + settings.blacklist[i];
+            }
+        }
+        return null;
+    };
+
+    //exports
+    return HeuristicCommentSpamChecker;
+};
@@ -0,0 +1,353 @@
+/*
+    Copyright (C) 2016  PencilBlue, LLC
+
+    This program is free software: you can redistribute it and/or modify
+    it under the terms of the GNU General Public License as published by
+    the Free Software Foundation, either version 3 of the License, or
+    (at your option) any later version.
+
+    This program is distributed in the hope that it will be useful,
+    but WITHOUT ANY WARRANTY; without even the implied warranty of
+    MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+    GNU General Public License for more details.
+
+    You should have received a copy of the GNU General Public License
+    along with this program.  If not, see <http://www.gnu.org/licenses/>.
+*/
+'use strict';
+
+//dependencies
+var util = require('../../../util.js');
+
+module.exports = function MediaFolderServiceModule(pb) {
+
+    //pb dependencies
+    var DAO               = pb.DAO;
+    var BaseObjectService = pb.BaseObjectService;
+    var ValidationService = pb.ValidationService;
+
+    /**
+     * @private
+     * @static
+     * @readonly
+     * @property TYPE
+     * @type {String}
+     */
+    var TYPE = 'media_folder';
+
+    /**
+     * The maximum number of levels that folders can be nested
+     * @private
+     * @static
+     * @readonly
+     * @property MAX_DEPTH
+     * @type {Integer}
+     */
+    var MAX_DEPTH = 10;
+
+    /**
+     * Provides interactions with the folders that organize the media library.
+     * Folders can be nested by referencing a parent folder.  Media is placed
+     * in a folder through its "media_folder" property.
+     * @class MediaFolderService
+     * @extends BaseObjectService
+     * @constructor
+     * @param {Object} context
+     */
+    function MediaFolderService(context) {
+        if (!util.isObject(context)) {
+            context = {};
+        }
+
+        context.type = TYPE;
+        MediaFolderService.super_.call(this, context);
+    }
+    util.inherits(MediaFolderService, BaseObjectService);
+
+    /**
+     * The fields that media folders can be filtered by mapped to their type.
+     * @private
+     * @static
+     * @readonly
+     * @property FILTER_FIELDS
+     * @type {Object}
+     */
+    var FILTER_FIELDS = Object.freeze({
+        name: pb.WhereParser.TYPES.STRING,
+        parent: pb.WhereParser.TYPES.ID,
+        created: pb.WhereParser.TYPES.DATE,
+        last_modified: pb.WhereParser.TYPES.DATE
+    });
+
+    /**
+     * Provides the fields that media folders can be filtered by with the "$where"
+     * query parameter
+     * @method getFilterFields
+     * @return {Object}
+     */
+    MediaFolderService.prototype.getFilterFields = function() {
+        return FILTER_FIELDS;
+    };
+
+    /**
+     * Describes a media folder as it is accepted by the validate listener
+     * @private
+     * @static
+     * @readonly
+     * @property SCHEMA
+     * @type {Object}
+     */
+    var SCHEMA = Object.freeze({
+        type: 'object',
+        properties: {
+            name: {type: 'string', minLength: 1},
+            parent: {type: 'string', pattern: '^[0-9a-fA-F]{24}$', nullable: true}
+        },
+        required: ['name']
+    });
+
+    /**
+     * Retrieves all of the folders of the site as a tree.  Each folder is
+     * provided with a "children" array of its sub-folders.
+     * @method getTree
+     * @param {Function} cb (Error, Array) Provides the top level folders
+     */
+    MediaFolderService.prototype.getTree = function(cb) {
+        var opts = {
+            order: {name: DAO.ASC}
+        };
+        this.getAll(opts, function(err, folders) {
+            cb(err, util.isArray(folders) ? MediaFolderService.buildTree(folders) : null);
+        });
+    };
+
+    /**
+     * Retrieves the IDs of the folder's ancestors starting with the parent
+     * @method getAncestorIds
+     * @param {String} parentId The ID of the folder's parent
+     * @param {Function} cb (Error, Array) Provides NULL when the parent does
+     * not exist
+     */
+    MediaFolderService.prototype.getAncestorIds = function(parentId, cb) {
+        var self      = this;
+        var ancestors = [];
+        var next = function(id) {
+            if (util.isNullOrUndefined(id)) {
+                return cb(null, ancestors);
+            }
+            else if (ancestors.indexOf(id + '') >= 0 || ancestors.length > MAX_DEPTH) {
+
+                //the folders already contain a cycle so stop walking them
+                return cb(null, ancestors);
+            }
+
+            self.dao.loadById(id, TYPE, function(err, folder) {
+                if (util.isError(err) || !folder) {
+                    return cb(err, null);
+                }
+                ancestors.push(id + '');
+                next(folder.parent);
+            });
+        };
+        next(parentId);
+    };
+
+    /**
+     * Arranges a flat list of folders in to a tree
+     * @static
+     * @method buildTree
+     * @param {Array} folders
+     * @return {Array} The top level folders.  Folders whose parent does not
+     * exist are placed at the top level.
+     */
+    MediaFolderService.buildTree = function(folders) {
+        var map = {};
+        folders.forEach(function(folder) {
+            folder.children = [];
+            map[folder[DAO.getIdField()] + ''] = folder;
+        });
+
+        var roots = [];
+        folders.forEach(function(folder) {
+            var parent = folder.parent ? map[folder.parent + ''] : null;
+            (parent ? parent.children : roots).push(folder);
+        });
+        return roots;
+    };
+
+    /**
+     * Flattens a tree of folders in to a list ordered so that each folder is
+     * followed by its sub-folders.  Each folder is provided with its "depth".
+     * @static
+     * @method flattenTree
+     * @param {Array} tree The top level folders as provided by getTree
+     * @return {Array}
+     */
+    MediaFolderService.flattenTree = function(tree) {
+        var folders = [];
+        var visit = function(children, depth) {
+            children.forEach(function(folder) {
+                folder.depth = depth;
+                folders.push(folder);
+                visit(folder.children || [], depth + 1);
+            });
+        };
+        visit(tree, 0);
+        return folders;
+    };
+
+    /**
+     * Provides the folders as options for a select input with sub-folders
+     * indented beneath their parent
+     * @static
+     * @method getFolderOptions
+     * @param {Array} tree The top level folders as provided by getTree
+     * @return {Array} Objects with the "_id" and the indented "name"
+     */
+    MediaFolderService.getFolderOptions = function(tree) {
+        return MediaFolderService.flattenTree(tree).map(function(folder) {
+            return {
+                _id: folder[DAO.getIdField()] + '',
+                name: new Array(folder.depth + 1).join('\u2014 ') + folder.name
+            };
+        });
+    };
+
+    /**
+     *
+     * @static
+     * @method format
+     * @param {Object} context
+     * @param {Object} context.data The incoming request body
+     * @param {MediaFolderService} context.service An instance of the service that triggered
+     * the event that called this handler
+     * @param {Function} cb A callback that takes a single parameter: an error if occurred
+     */
+    MediaFolderService.format = function(context, cb) {
+        var dto = context.data;
+        dto.name = BaseObjectService.sanitize(dto.name);
+        if (util.isNullOrUndefined(dto.parent) || dto.parent === '') {
+            dto.parent = null;
+        }
+        cb(null);
+    };
+
+    /**
+     *
+     * @static
+     * @method merge
+     * @param {Object} context
+     * @param {Object} context.data The incoming request body
+     * @param {Object} context.object The object to be persisted
+     * @param {MediaFolderService} context.service An instance of the service that triggered
+     * the event that called this handler
+     * @param {Function} cb A callback that takes a single parameter: an error if occurred
+     */
+    MediaFolderService.merge = function(context, cb) {
+        context.object.name = context.data.name;
+        context.object.parent = context.data.parent;
+        cb(null);
+    };
+
+    /**
+     * Validates the name and ensures that the parent exists and that the
+     * folder is not nested within itself
+     * @static
+     * @method validate
+     * @param {Object} context
+     * @param {Object} context.data The DTO that was provided for persistence
+     * @param {MediaFolderService} context.service An instance of the service that triggered
+     * the event that called this handler
+     * @param {Function} cb A callback that takes a single parameter: an error if occurred
+     */
+    MediaFolderService.validate = function(context, cb) {
+        var obj    = context.data;
+        var errors = context.validationErrors;
+        var id     = obj[DAO.getIdField()];
+
+        if (!ValidationService.isNonEmptyStr(obj.name, true)) {
+            errors.push(BaseObjectService.validationFailure('name', 'Name is required'));
+        }
+        if (obj.parent !== null && !ValidationService.isIdStr(obj.parent, true)) {
+            errors.push(BaseObjectService.validationFailure('parent', 'The parent must be a valid folder ID'));
+        }
+        if (errors.length > 0) {
+
+            //no need to check the DB.  Short circuit it here
+            return cb(null, errors);
+        }
+
+        context.service.getAncestorIds(obj.parent, function(err, ancestors) {
+            if (util.isError(err)) {
+                return cb(err);
+            }
+            else if (ancestors === null) {
+                errors.push(BaseObjectService.validationFailure('parent', obj.parent + ' is not a valid reference'));
+                return cb(null, errors);
+            }
+            else if (id && ancestors.indexOf(id + '') >= 0) {
+                errors.push(BaseObjectService.validationFailure('parent', 'A folder cannot be placed within itself'));
+                return cb(null, errors);
+            }
+            else if (ancestors.length >= MAX_DEPTH) {
+                errors.push(BaseObjectService.validationFailure('parent', 'Folders cannot be nested more than ' + MAX_DEPTH + ' levels deep'));
+                return cb(null, errors);
+            }
+
+            //validate the name is not taken by a sibling
+            var where = DAO.getNotIdWhere(id);
+            where.parent = obj.parent;
+            where.name = new RegExp('^' + util.escapeRegExp(obj.name) + '$', 'i');
+            context.service.dao.exists(TYPE, where, function(err, exists) {
+                if (util.isError(err)) {
+                    return cb(err);
+                }
+                else if (exists) {
+                    errors.push(BaseObjectService.validationFailure('name', 'Name already exists'));
+                }
+                cb(null, errors);
+            });
+        });
+    };
+
+    /**
+     * Prevents folders that contain media or other folders from being deleted
+     * @static
+     * @method beforeDelete
+     * @param {Object} context
+     * @param {Object} context.data The folder to be deleted
+     * @param {MediaFolderService} context.service An instance of the service that triggered
+     * the event that called this handler
+     * @param {Function} cb A callback that takes a single parameter: an error if occurred
+     */
+    MediaFolderService.beforeDelete = function(context, cb) {
+        var id  = context.data[DAO.getIdField()] + '';
+        var dao = context.service.dao;
+        dao.exists(TYPE, {parent: id}, function(err, hasFolders) {
+            if (util.isError(err)) {
+                return cb(err);
+            }
+
+            dao.exists('media', {media_folder: id}, function(err, hasMedia) {
+                if (util.isError(err)) {
+                    return cb(err);
+                }
+                else if (hasFolders || hasMedia) {
+                    var failures = [BaseObjectService.validationFailure('id', 'The folder must be empty before it can be deleted')];
+                    return cb(BaseObjectService.validationError(failures));
+                }
+                cb(null);
+            });
+        });
+    };
+
+    //Event Registries
+    BaseObjectService.on(TYPE + '.' + BaseObjectService.FORMAT, MediaFolderService.format);
+    BaseObjectService.on(TYPE + '.' + BaseObjectService.MERGE, MediaFolderService.merge);
+    BaseObjectService.on(TYPE + '.' + BaseObjectService.VALIDATE, MediaFolderService.validate);
+    BaseObjectService.registerSchema(TYPE, SCHEMA);
+    BaseObjectService.on(TYPE + '.' + BaseObjectService.BEFORE_DELETE, MediaFolderService.beforeDelete);
+
+    //exports
+    return MediaFolderService;
+};
@@ -69,6 +69,60 @@ module.exports = function(pb) {
      */
     var TYPE = 'media';
 
+    /**
+     * The fields that media can be filtered by mapped to their type.
+     * @private
+     * @static
+     * @readonly
+     * @property FILTER_FIELDS
+     * @type {Object}
+     */
+    var FILTER_FIELDS = Object.freeze({
+        name: pb.WhereParser.TYPES.STRING,
+        caption: pb.WhereParser.TYPES.STRING,
+        media_type: pb.WhereParser.TYPES.STRING,
+        'meta.mime': pb.WhereParser.TYPES.STRING,
+        media_tags: pb.WhereParser.TYPES.STRING,
+        media_topics: pb.WhereParser.TYPES.ID,
+        media_folder: pb.WhereParser.TYPES.ID,
+        author: pb.WhereParser.TYPES.ID,
+        created: pb.WhereParser.TYPES.DATE,
+        last_modified: pb.WhereParser.TYPES.DATE
+    });
+
+    /**
+     * Provides the fields that media can be filtered by with the "$where"
+     * query parameter
+     * @method getFilterFields
+     * @return {Object}
+     */
+    MediaServiceV2.prototype.getFilterFields = function() {
+        return FILTER_FIELDS;
+    };
+
+    /**
+     * Describes a media item as it is accepted by the validate listener
+     * @private
+     * @static
+     * @readonly
+     * @property SCHEMA
+     * @type {Object}
+     */
+    var SCHEMA = Object.freeze({
+        type: 'object',
+        properties: {
+            name: {type: 'string', minLength: 1},
+            caption: {type: 'string'},
+            content: {type: 'string', description: 'The URL of the media.  Files are uploaded through the upload endpoints.'},
+            media_tags: {type: 'array', items: {type: 'string'}},
+            media_topics: {type: 'array', items: {type: 'string', pattern: '^[0-9a-fA-F]{24}$'}},
+            media_folder: {type: 'string', pattern: '^[0-9a-fA-F]{24}$', nullable: true},
+            media_type: {type: 'string', readOnly: true},
+            location: {type: 'string', readOnly: true}
+        },
+        required: ['name', 'content']
+    });
+
     /**
      * @private
      * @static
@@ -77,7 +131,8 @@ module.exports = function(pb) {
      */
     var MEDIA_PROVIDERS = Object.freeze({
         fs: pb.media.providers.FsMediaProvider,
-        mongo: pb.media.providers.MongoMediaProvider
+        mongo: pb.media.providers.MongoMediaProvider,
+        s3: pb.media.providers.S3MediaProvider
     });
 
     /**
@@ -112,6 +167,21 @@ module.exports = function(pb) {
         this.provider.getStream(mediaPath, cb);
     };
 
+    /**
+     * Provides the URL that the content should be served from when the
+     * provider serves media directly (such as a signed URL to an object
+     * store).  NULL is provided when the content should be streamed.
+     * @method getContentUrlByPath
+     * @param {String} mediaPath
+     * @param {Function} cb (Error, String)
+     */
+    MediaServiceV2.prototype.getContentUrlByPath = function(mediaPath, cb) {
+        if (!util.isFunction(this.provider.getUrl)) {
+            return cb(null, null);
+        }
+        this.provider.getUrl(mediaPath, cb);
+    };
+
     /**
      * @method getContentStreamById
      * @param {string} id
@@ -150,6 +220,8 @@ module.exports = function(pb) {
      * for (view, editor, post).  Any style options provided will override those
      * provided by the default style associated with the view.
      * @param {boolean} [options.isFile=false]
+     * @param {Object} [options.imageSizes] The image sizes keyed by name.
+     * Defaults to the site's image sizes for images.
      * @param {Function} cb A callback that provides two parameters.  An Error if
      * exists and the rendered HTML content for the media resource.
      */
@@ -166,7 +238,12 @@ module.exports = function(pb) {
             options.style = MediaServiceV2.getStyleForView(result.renderer, options.view, options.style);
         }
 
-        result.renderer.render(options, options, cb);
+        this.setImageSizes(result.type, options, function(err) {
+            if (util.isError(err)) {
+                return cb(err);
+            }
+            result.renderer.render(options, options, cb);
+        });
     };
 
     /**
@@ -225,7 +302,37 @@ module.exports = function(pb) {
         }
 
         //render media
-        result.renderer.render(media, options, cb);
+        this.setImageSizes(result.type, options, function(err) {
+            if (util.isError(err)) {
+                return cb(err);
+            }
+            result.renderer.render(media, options, cb);
+        });
+    };
+
+    /**
+     * Provides image renderers with the site's image sizes as
+     * "options.imageSizes" so that a srcset can be rendered for the
+     * image's derivatives
+     * @method setImageSizes
+     * @param {String} type The media type
+     * @param {Object} options The render options
+     * @param {Function} cb (Error)
+     */
+    MediaServiceV2.prototype.setImageSizes = function(type, options, cb) {
+        if (type !== 'image' || options.imageSizes) {
+            return cb(null);
+        }
+
+        var service = new pb.ImageDerivativeService({
+            site: this.context.site,
+            onlyThisSite: this.context.onlyThisSite,
+            provider: this.provider
+        });
+        service.getSizes(function(err, sizes) {
+            options.imageSizes = sizes;
+            cb(err);
+        });
     };
 
     /**
@@ -258,10 +365,16 @@ module.exports = function(pb) {
             errors.push(BaseObjectService.validationFailure('caption', 'Caption must be a valid string'));
         }
 
+        //validate the tags
+        if (!util.isArray(obj.media_tags) || !obj.media_tags.every(function(tag) { return ValidationService.isNonEmptyStr(tag, true); })) {
+            errors.push(BaseObjectService.validationFailure('media_tags', 'A valid array of tags must be provided'));
+        }
+
         //validate other stuff
         var tasks = [
             util.wrapTask(this, this.validateName, [context]),
-            util.wrapTask(this, this.validateTopicReferences, [context])
+            util.wrapTask(this, this.validateTopicReferences, [context]),
+            util.wrapTask(this, this.validateFolderReference, [context])
         ];
         async.series(tasks, cb);
     };
@@ -315,6 +428,38 @@ module.exports = function(pb) {
         });
     };
 
+    /**
+     * Validates that the folder the media is placed in exists
+     * @method validateFolderReference
+     * @param {object} context
+     * @param {object} context.data
+     * @param {string} context.data.media_folder
+     * @param {Array} context.validationErrors
+     * @param {function} cb (Error)
+     */
+    MediaServiceV2.prototype.validateFolderReference = function(context, cb) {
+        var obj = context.data;
+        var errors = context.validationErrors;
+
+        if (obj.media_folder === null) {
+            return cb();
+        }
+        else if (!ValidationService.isIdStr(obj.media_folder, true)) {
+            errors.push(BaseObjectService.validationFailure('media_folder', 'The folder must be a valid folder ID'));
+            return cb();
+        }
+
+        this.dao.exists('media_folder', DAO.getIdWhere(obj.media_folder), function(err, exists) {
+            if (util.isError(err)) {
+                return cb(err);
+            }
+            else if (!exists) {
+                errors.push(BaseObjectService.validationFailure('media_folder', obj.media_folder + ' is not a valid reference'));
+            }
+            cb();
+        });
+    };
+
     /**
      * @method validateName
      * @param {object} context
@@ -387,6 +532,12 @@ module.exports = function(pb) {
         else if (util.isNullOrUndefined(dto.media_topics) || dto.media_topics === '') {
             dto.media_topics = [];
         }
+
+        //tags may also be presented as a delimited string
+        dto.media_tags = MediaServiceV2.formatTags(dto.media_tags);
+        if (util.isNullOrUndefined(dto.media_folder) || dto.media_folder === '') {
+            dto.media_folder = null;
+        }
         cb(null);
     };
 
@@ -408,6 +559,13 @@ module.exports = function(pb) {
         obj.name = dto.name;
         obj.caption = dto.caption;
         obj.media_topics = dto.media_topics;
+        obj.media_tags = dto.media_tags;
+        obj.media_folder = dto.media_folder;
+
+        //keep track of who uploaded the media
+        if (context.isCreate && context.session && context.session.authentication && context.session.authentication.user_id) {
+            obj.author = context.session.authentication.user_id + '';
+        }
 
         if (!dto.content) {
             //no content was sent so we should rely on what is already available
@@ -497,6 +655,41 @@ module.exports = function(pb) {
         cb();
     };
 
+    /**
+     * Normalizes a list of tags.  Tags are trimmed, lower cased and
+     * de-duplicated.  A comma delimited string is also accepted.
+     * @static
+     * @method formatTags
+     * @param {Array|String} tags
+     * @return {Array} The tags or the original value when it is neither an
+     * array nor a string so that validation can reject it
+     */
+    MediaServiceV2.formatTags = function(tags) {
+        if (util.isNullOrUndefined(tags)) {
+            return [];
+        }
+        else if (util.isString(tags)) {
+            tags = tags.split(',');
+        }
+        else if (!util.isArray(tags)) {
+            return tags;
+        }
+
+        var result = [];
+        tags.forEach(function(tag) {
+            if (!util.isString(tag)) {
+                result.push(tag);
+                return;
+            }
+
+            tag = BaseObjectService.sanitize(tag.trim()).toLowerCase();
+            if (tag.length > 0 && result.indexOf(tag) < 0) {
+                result.push(tag);
+            }
+        });
+        return result;
+    };
+
     /**
      * Retrieves a media renderer for the specified URL
      * @static
@@ -918,6 +1111,7 @@ module.exports = function(pb) {
     BaseObjectService.on(TYPE + '.' + BaseObjectService.FORMAT, MediaServiceV2.onFormat);
     BaseObjectService.on(TYPE + '.' + BaseObjectService.MERGE, MediaServiceV2.onMerge);
     BaseObjectService.on(TYPE + '.' + BaseObjectService.VALIDATE, MediaServiceV2.onValidate);
+    BaseObjectService.registerSchema(TYPE, SCHEMA);
     BaseObjectService.on(TYPE + '.' + BaseObjectService.BEFORE_SAVE, MediaServiceV2.onBeforeSave);
 
     //exports
@@ -0,0 +1,367 @@
+/*
+    Copyright (C) 2016  PencilBlue, LLC
+
+    This program is free software: you can redistribute it and/or modify
+    it under the terms of the GNU General Public License as published by
+    the Free Software Foundation, either version 3 of the License, or
+    (at your option) any later version.
+
+    This program is distributed in the hope that it will be useful,
+    but WITHOUT ANY WARRANTY; without even the implied warranty of
+    MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+    GNU General Public License for more details.
+
+    You should have received a copy of the GNU General Public License
+    along with this program.  If not, see <http://www.gnu.org/licenses/>.
+*/
+'use strict';
+
+//dependencies
+var util  = require('../../../util.js');
+var async = require('async');
+
+module.exports = function MediaUsageServiceModule(pb) {
+
+    //pb dependencies
+    var DAO                 = pb.DAO;
+    var BaseObjectService   = pb.BaseObjectService;
+    var CustomObjectService = pb.CustomObjectService;
+
+    /**
+     * Maintains the "where used" index of the media library.  Content that
+     * embeds media through "^media_display_[id]^" flags or that lists it as
+     * related media is recorded in the media usage collection so that the
+     * references to a media item can be looked up before it is deleted.  The
+     * index is kept in sync by listening to the save and delete events of
+     * articles, pages and custom objects.
+     * @class MediaUsageService
+     * @constructor
+     * @param {Object} [context]
+     * @param {String} [context.site]
+     */
+    function MediaUsageService(context) {
+        if (!util.isObject(context)) {
+            context = {};
+        }
+
+        /**
+         * @property site
+         * @type {String}
+         */
+        this.site = pb.SiteService.getCurrentSite(context.site);
+
+        /**
+         * @property dao
+         * @type {SiteQueryService}
+         */
+        this.dao = new pb.SiteQueryService({site: this.site, onlyThisSite: true});
+    }
+
+    /**
+     * The collection that stores the index entries
+     * @private
+     * @static
+     * @readonly
+     * @property TYPE
+     * @type {String}
+     */
+    var TYPE = 'media_usage';
+
+    /**
+     * The number of objects that are loaded at a time when the index is
+     * rebuilt
+     * @private
+     * @static
+     * @readonly
+     * @property REBUILD_BATCH_SIZE
+     * @type {Integer}
+     */
+    var REBUILD_BATCH_SIZE = 100;
+
+    /**
+     * Matches the media flags within content and captures the media ID
+     * @private
+     * @static
+     * @readonly
+     * @property FLAG_PATTERN
+     * @type {RegExp}
+     */
+    var FLAG_PATTERN = /\^media_display_([^\/\^\s]+)/g;
+
+    /**
+     * Describes how to find the media references of each type of content.
+     * "headline" is the property that names the content and "media" is the
+     * property that lists related media, if any.
+     * @private
+     * @static
+     * @readonly
+     * @property CONTENT_TYPES
+     * @type {Object}
+     */
+    var CONTENT_TYPES = Object.freeze({
+        article: {headline: 'headline', media: 'article_media'},
+        page: {headline: 'headline', media: 'page_media'},
+        custom_object: {headline: 'name'}
+    });
+
+    /**
+     * Finds the IDs of the media referenced by a piece of content.  Every
+     * string property is scanned for media flags.
+     * @static
+     * @method getMediaIds
+     * @param {String} type The content type
+     * @param {Object} obj
+     * @return {Array} The unique media IDs
+     */
+    MediaUsageService.getMediaIds = function(type, obj) {
+        var ids = {};
+        var descriptor = CONTENT_TYPES[type] || {};
+        if (descriptor.media && util.isArray(obj[descriptor.media])) {
+            obj[descriptor.media].forEach(function(id) {
+                ids[id + ''] = true;
+            });
+        }
+
+        Object.keys(obj).forEach(function(key) {
+            if (!util.isString(obj[key])) {
+                return;
+            }
+
+            var match;
+            FLAG_PATTERN.lastIndex = 0;
+            while ((match = FLAG_PATTERN.exec(obj[key])) !== null) {
+                ids[match[1]] = true;
+            }
+        });
+        return Object.keys(ids);
+    };
+
+    /**
+     * Builds the index entry for a piece of content
+     * @static
+     * @method buildEntry
+     * @param {String} type The content type
+     * @param {Object} obj
+     * @return {Object} The entry or NULL when no media is referenced
+     */
+    MediaUsageService.buildEntry = function(type, obj) {
+        var media = MediaUsageService.getMediaIds(type, obj);
+        if (media.length === 0) {
+            return null;
+        }
+
+        var descriptor = CONTENT_TYPES[type] || {};
+        return {
+            content_id: obj[DAO.getIdField()] + '',
+            content_type: type,
+            custom_object_type: type === 'custom_object' ? obj.type : undefined,
+            headline: obj[descriptor.headline] || '',
+            url: obj.url,
+            media: media
+        };
+    };
+
+    /**
+     * Indicates if references are tracked for the content type
+     * @static
+     * @method isTracked
+     * @param {String} type
+     * @return {Boolean}
+     */
+    MediaUsageService.isTracked = function(type) {
+        return !!CONTENT_TYPES[type];
+    };
+
+    /**
+     * Retrieves the content that references the media item
+     * @method getUsage
+     * @param {String} mediaId
+     * @param {Function} cb (Error, Array) Provides the content ID, type,
+     * headline and URL of each reference
+     */
+    MediaUsageService.prototype.getUsage = function(mediaId, cb) {
+        var opts = {
+            select: {content_id: 1, content_type: 1, custom_object_type: 1, headline: 1, url: 1},
+            where: {media: mediaId + ''},
+            order: [['content_type', DAO.ASC], ['headline', DAO.ASC]]
+        };
+        this.dao.q(TYPE, opts, function(err, entries) {
+            if (util.isError(err)) {
+                return cb(err);
+            }
+
+            cb(null, entries.map(function(entry) {
+                delete entry[DAO.getIdField()];
+                return entry;
+            }));
+        });
+    };
+
+    /**
+     * Adds, replaces or removes the index entry for the provided content
+     * @method indexObject
+     * @param {String} type The content type of the object
+     * @param {Object} obj
+     * @param {Function} cb (Error, Object) Provides the persisted entry or
+     * NULL when the content does not reference any media
+     */
+    MediaUsageService.prototype.indexObject = function(type, obj, cb) {
+        if (!MediaUsageService.isTracked(type)) {
+            return cb(null, null);
+        }
+
+        var self  = this;
+        var entry = MediaUsageService.buildEntry(type, obj);
+        if (entry === null) {
+            return this.removeObject(obj[DAO.getIdField()], function(err) {
+                cb(err, null);
+            });
+        }
+
+        this.dao.loadByValues({content_id: entry.content_id}, TYPE, function(err, existing) {
+            if (util.isError(err)) {
+                return cb(err);
+            }
+
+            if (existing) {
+                entry[DAO.getIdField()] = existing[DAO.getIdField()];
+                entry.created = existing.created;
+            }
+            entry.object_type = TYPE;
+            self.dao.save(entry, cb);
+        });
+    };
+
+    /**
+     * Removes the index entry for the content with the provided ID
+     * @method removeObject
+     * @param {String} id
+     * @param {Function} cb (Error)
+     */
+    MediaUsageService.prototype.removeObject = function(id, cb) {
+        this.dao.delete({content_id: id + ''}, TYPE, cb);
+    };
+
+    /**
+     * Clears the index for the site and re-indexes all tracked content.
+     * @method rebuild
+     * @param {Function} cb (Error, Integer) Provides the number of objects that
+     * reference media
+     */
+    MediaUsageService.prototype.rebuild = function(cb) {
+        var self  = this;
+        var count = 0;
+        this.dao.delete({}, TYPE, function(err) {
+            if (util.isError(err)) {
+                return cb(err);
+            }
+
+            async.eachSeries(Object.keys(CONTENT_TYPES), function(type, typeCallback) {
+                self.indexAll(type, function(err, indexed) {
+                    count += indexed || 0;
+                    typeCallback(err);
+                });
+            }, function(err) {
+                cb(err, count);
+            });
+        });
+    };
+
+    /**
+     * Indexes every object of a type.  The objects are loaded in batches,
+     * ordered by ID, so that large collections are never held in memory at
+     * once.
+     * @method indexAll
+     * @param {String} type The content type
+     * @param {Function} cb (Error, Integer) Provides the number of objects that
+     * reference media
+     */
+    MediaUsageService.prototype.indexAll = function(type, cb) {
+        var self    = this;
+        var idField = DAO.getIdField();
+        var count   = 0;
+        var indexBatch = function(lastId) {
+            var opts = {
+                where: {},
+                order: [[idField, DAO.ASC]],
+                limit: REBUILD_BATCH_SIZE
+            };
+            if (lastId !== undefined) {
+                opts.where[idField] = {$gt: lastId};
+            }
+            self.dao.q(type, opts, function(err, objects) {
+                if (util.isError(err)) {
+                    return cb(err, count);
+                }
+
+                async.eachSeries(objects, function(obj, callback) {
+                    self.indexObject(type, obj, function(err, entry) {
+                        count += entry ? 1 : 0;
+                        callback(err);
+                    });
+                }, function(err) {
+                    if (util.isError(err) || objects.length < REBUILD_BATCH_SIZE) {
+                        return cb(err, count);
+                    }
+                    indexBatch(objects[objects.length - 1][idField]);
+                });
+            });
+        };
+        indexBatch();
+    };
+
+    /**
+     * Event handler that updates the index after content is saved.  Failures
+     * are logged but do not interrupt the save.
+     * @static
+     * @method onSave
+     * @param {Object} context
+     * @param {Object} context.data The object that was persisted
+     * @param {String} [context.site]
+     * @param {Function} cb
+     */
+    MediaUsageService.onSave = function(context, cb) {
+        var obj     = context.data;
+        var type    = obj.object_type;
+        var service = new MediaUsageService({site: obj.site || context.site});
+        service.indexObject(type, obj, function(err) {
+            if (util.isError(err)) {
+                pb.log.error('MediaUsageService: Failed to index the media used by %s [%s]: %s', type, obj[DAO.getIdField()], err.stack);
+            }
+            cb();
+        });
+    };
+
+    /**
+     * Event handler that removes the index entry after content is deleted.
+     * Failures are logged but do not interrupt the delete.
+     * @static
+     * @method onDelete
+     * @param {Object} context
+     * @param {Object} [context.data] The object that was deleted
+     * @param {String} [context.id] The ID of the object that was deleted
+     * @param {String} [context.site]
+     * @param {Function} cb
+     */
+    MediaUsageService.onDelete = function(context, cb) {
+        var id      = context.id || context.data[DAO.getIdField()];
+        var service = new MediaUsageService({site: context.site});
+        service.removeObject(id, function(err) {
+            if (util.isError(err)) {
+                pb.log.error('MediaUsageService: Failed to remove the media usage of [%s]: %s', id, err.stack);
+            }
+            cb();
+        });
+    };
+
+    //Event Registries
+    ['article', 'page'].forEach(function(type) {
+        BaseObjectService.on(type + '.' + BaseObjectService.AFTER_SAVE, MediaUsageService.onSave);
+        BaseObjectService.on(type + '.' + BaseObjectService.AFTER_DELETE, MediaUsageService.onDelete);
+    });
+    CustomObjectService.on(CustomObjectService.AFTER_SAVE, MediaUsageService.onSave);
+    CustomObjectService.on(CustomObjectService.AFTER_DELETE, MediaUsageService.onDelete);
+
+    //exports
+    return MediaUsageService;
+};
@@ -0,0 +1,450 @@
+/*
+	Copyright (C) 2016  PencilBlue, LLC
+
+	This program is free software: you can redistribute it and/or modify
+	it under the terms of the GNU General Public License as published by
+	the Free Software Foundation, either version 3 of the License, or
+	(at your option) any later version.
+
+	This program is distributed in the hope that it will be useful,
+	but WITHOUT ANY WARRANTY; without even the implied warranty of
+	MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+	GNU General Public License for more details.
+
+	You should have received a copy of the GNU General Public License
+	along with this program.  If not, see <http://www.gnu.org/licenses/>.
+*/
+'use strict';
+
+//dependencies
+var util  = require('../../../util.js');
+var async = require('async');
+
+module.exports = function(pb) {
+
+    //pb dependencies
+    var DAO               = pb.DAO;
+    var BaseObjectService = pb.BaseObjectService;
+    var ValidationService = pb.ValidationService;
+
+    /**
+     * Provides the revision history for content.  Each time a piece of
+     * content is saved through its object service an immutable revision is
+     * recorded that contains a snapshot of the content's fields.  Revisions
+     * can be listed, compared and restored.
+     *
+     * @class RevisionService
+     * @constructor
+     * @param {object} context
+     * @param {string} context.type The type of content that the revisions belong to
+     * @param {string} context.site
+     * @param {boolean} [context.onlyThisSite]
+     * @param {object} [context.session]
+     */
+    function RevisionService(context) {
+        if (!util.isObject(context)) {
+            throw new Error('The context parameter must be an object');
+        }
+        else if (!RevisionService.isTracked(context.type)) {
+            throw new Error('Revisions are not tracked for type: ' + context.type);
+        }
+
+        /**
+         * @property context
+         * @type {Object}
+         */
+        this.context = context;
+
+        /**
+         * The type of content that the revisions belong to
+         * @property type
+         * @type {String}
+         */
+        this.type = context.type;
+
+        /**
+         * @property dao
+         * @type {SiteQueryService}
+         */
+        this.dao = new pb.SiteQueryService({site: context.site, onlyThisSite: true});
+    }
+
+    /**
+     * The collection that stores the revisions
+     * @private
+     * @static
+     * @readonly
+     * @property TYPE
+     * @type {String}
+     */
+    var TYPE = 'content_revision';
+
+    /**
+     * The fields that are not part of a revision snapshot because they are
+     * managed by the persistence layer
+     * @private
+     * @static
+     * @readonly
+     * @property EXCLUDED_FIELDS
+     * @type {Object}
+     */
+    var EXCLUDED_FIELDS = Object.freeze(util.arrayToHash(['_id', 'id', 'object_type', 'site', 'created', 'last_modified']));
+
+    /**
+     * The error code provided when a revision number was already taken by a
+     * concurrent save of the same content
+     * @private
+     * @static
+     * @readonly
+     * @property DUPLICATE_KEY_ERROR_CODE
+     * @type {Integer}
+     */
+    var DUPLICATE_KEY_ERROR_CODE = 11000;
+
+    /**
+     * The number of times a revision number is allocated before giving up
+     * @private
+     * @static
+     * @readonly
+     * @property MAX_RECORD_ATTEMPTS
+     * @type {Integer}
+     */
+    var MAX_RECORD_ATTEMPTS = 5;
+
+    /**
+     * The object services, keyed by content type, that revisions are tracked for
+     * @private
+     * @static
+     * @property SERVICES
+     * @type {Object}
+     */
+    var SERVICES = {};
+
+    /**
+     * Starts tracking revisions for the specified type of content.  The
+     * service prototype is used to restore content to a prior revision.
+     * @static
+     * @method registerType
+     * @param {String} type
+     * @param {Function} ServicePrototype A prototype that extends BaseObjectService
+     * @return {Boolean} TRUE if the type was registered
+     */
+    RevisionService.registerType = function(type, ServicePrototype) {
+        if (!ValidationService.isNonEmptyStr(type, true) || !util.isFunction(ServicePrototype)) {
+            return false;
+        }
+        if (!SERVICES[type]) {
+            BaseObjectService.on(type + '.' + BaseObjectService.AFTER_SAVE, RevisionService.onAfterSave);
+        }
+        SERVICES[type] = ServicePrototype;
+        return true;
+    };
+
+    /**
+     * Stops tracking revisions for the specified type of content.  Existing
+     * revisions are not removed.
+     * @static
+     * @method unregisterType
+     * @param {String} type
+     * @return {Boolean} TRUE if the type was being tracked
+     */
+    RevisionService.unregisterType = function(type) {
+        var exists = !!SERVICES[type];
+        delete SERVICES[type];
+        BaseObjectService.removeListener(type + '.' + BaseObjectService.AFTER_SAVE, RevisionService.onAfterSave);
+        return exists;
+    };
+
+    /**
+     * Indicates if revisions are tracked for the type
+     * @static
+     * @method isTracked
+     * @param {String} type
+     * @return {Boolean}
+     */
+    RevisionService.isTracked = function(type) {
+        return util.isFunction(SERVICES[type]);
+    };
+
+    /**
+     * Retrieves the revisions for a piece of content, newest first.  The
+     * snapshots are not included.
+     * @method getAll
+     * @param {String} contentId
+     * @param {Object} [options]
+     * @param {Integer} [options.limit]
+     * @param {Integer} [options.offset]
+     * @param {Function} cb (Error, Object) Provides a paged result
+     */
+    RevisionService.prototype.getAll = function(contentId, options, cb) {
+        if (util.isFunction(options)) {
+            cb = options;
+            options = {};
+        }
+
+        var self  = this;
+        var where = this.getWhere(contentId);
+        var limit = BaseObjectService.getLimit(options.limit);
+        var tasks = {
+
+            data: function(callback) {
+                var opts = {
+                    where: where,
+                    select: {snapshot: 0},
+                    order: [['revision', DAO.DESC]],
+                    limit: limit,
+                    offset: options.offset
+                };
+                self.dao.q(TYPE, opts, callback);
+            },
+
+            total: util.wrapTask(this.dao, this.dao.count, [TYPE, where])
+        };
+        async.parallel(tasks, function(err, results) {
+            if (util.isError(err)) {
+                return cb(err);
+            }
+            cb(null, BaseObjectService.getPagedResult(results.data, results.total, limit, options.offset || 0));
+        });
+    };
+
+    /**
+     * Retrieves a single revision, including its snapshot
+     * @method get
+     * @param {String} contentId
+     * @param {String} revisionId
+     * @param {Function} cb (Error, Object|null)
+     */
+    RevisionService.prototype.get = function(contentId, revisionId, cb) {
+        if (!ValidationService.isIdStr(revisionId, true)) {
+            return cb(null, null);
+        }
+
+        var where = util.merge(this.getWhere(contentId), DAO.getIdWhere(revisionId));
+        this.dao.loadByValues(where, TYPE, cb);
+    };
+
+    /**
+     * Compares a revision to another revision or, when no other revision is
+     * specified, to the current state of the content.
+     * @method diff
+     * @param {String} contentId
+     * @param {String} revisionId
+     * @param {String} [toRevisionId]
+     * @param {Function} cb (Error, Object|null) Provides an object
+     * containing the "from" and "to" revisions along with the "changes"
+     */
+    RevisionService.prototype.diff = function(contentId, revisionId, toRevisionId, cb) {
+        if (util.isFunction(toRevisionId)) {
+            cb = toRevisionId;
+            toRevisionId = null;
+        }
+
+        var self  = this;
+        var tasks = {
+
+            from: util.wrapTask(this, this.get, [contentId, revisionId]),
+
+            to: function(callback) {
+                if (toRevisionId) {
+                    return self.get(contentId, toRevisionId, callback);
+                }
+                self.dao.loadById(contentId, self.type, function(err, content) {
+                    callback(err, content ? { snapshot: RevisionService.createSnapshot(content), current: true } : null);
+                });
+            }
+        };
+        async.parallel(tasks, function(err, results) {
+            if (util.isError(err) || !results.from || !results.to) {
+                return cb(err, null);
+            }
+
+            cb(null, {
+                from: results.from.revision,
+                to: results.to.current ? 'current' : results.to.revision,
+                changes: RevisionService.compare(results.from.snapshot, results.to.snapshot)
+            });
+        });
+    };
+
+    /**
+     * Restores a piece of content to the state captured by a revision.  The
+     * content is saved through its object service so the restore is recorded
+     * as a new revision.
+     * @method restore
+     * @param {String} contentId
+     * @param {String} revisionId
+     * @param {Function} cb (Error, Object|null) Provides the restored content
+     */
+    RevisionService.prototype.restore = function(contentId, revisionId, cb) {
+        var self = this;
+        this.get(contentId, revisionId, function(err, revision) {
+            if (util.isError(err) || !revision) {
+                return cb(err, null);
+            }
+
+            var dto = util.merge(revision.snapshot, {});
+            dto[DAO.getIdField()] = contentId;
+
+            var ServicePrototype = SERVICES[self.type];
+            var service = new ServicePrototype(util.merge(self.context, {}));
+            service.update(dto, cb);
+        });
+    };
+
+    /**
+     * Records a new revision of the provided object.  The unique index on the
+     * revision number rejects a number taken by a concurrent save of the same
+     * content so the next number is allocated and the save is retried.
+     * @method record
+     * @param {Object} obj The content as it was persisted
+     * @param {String} [author] The ID of the user that made the change
+     * @param {Function} cb (Error, Object) Provides the persisted revision
+     */
+    RevisionService.prototype.record = function(obj, author, cb) {
+        var self     = this;
+        var attempts = 0;
+        var onSave   = function(err, revision) {
+            attempts++;
+            if (util.isError(err) && err.code === DUPLICATE_KEY_ERROR_CODE && attempts < MAX_RECORD_ATTEMPTS) {
+                return self.recordNext(obj, author, onSave);
+            }
+            cb(err, revision);
+        };
+        this.recordNext(obj, author, onSave);
+    };
+
+    /**
+     * Saves the provided object as the revision that follows the latest one
+     * @method recordNext
+     * @param {Object} obj The content as it was persisted
+     * @param {String} [author] The ID of the user that made the change
+     * @param {Function} cb (Error, Object) Provides the persisted revision
+     */
+    RevisionService.prototype.recordNext = function(obj, author, cb) {
+        var self      = this;
+        var contentId = obj[DAO.getIdField()] + '';
+        var opts = {
+            where: this.getWhere(contentId),
+            select: {revision: 1},
+            order: [['revision', DAO.DESC]],
+            limit: 1
+        };
+        this.dao.q(TYPE, opts, function(err, latest) {
+            if (util.isError(err)) {
+                return cb(err);
+            }
+
+            var revision = {
+                object_type: TYPE,
+                content_type: self.type,
+                content_id: contentId,
+                revision: latest.length ? latest[0].revision + 1 : 1,
+                author: author || null,
+                snapshot: RevisionService.createSnapshot(obj)
+            };
+            self.dao.save(revision, cb);
+        });
+    };
+
+    /**
+     * Builds the where clause to find the revisions for a piece of content
+     * @method getWhere
+     * @param {String} contentId
+     * @return {Object}
+     */
+    RevisionService.prototype.getWhere = function(contentId) {
+        return {
+            content_type: this.type,
+            content_id: contentId + ''
+        };
+    };
+
+    /**
+     * Creates a copy of the content fields that make up a revision
+     * @static
+     * @method createSnapshot
+     * @param {Object} obj
+     * @return {Object}
+     */
+    RevisionService.createSnapshot = function(obj) {
+        var snapshot = {};
+        Object.keys(obj).forEach(function(field) {
+            if (!EXCLUDED_FIELDS[field] && obj[field] !== undefined) {
+                snapshot[field] = obj[field];
+            }
+        });
+        return snapshot;
+    };
+
+    /**
+     * Compares two snapshots field by field
+     * @static
+     * @method compare
+     * @param {Object} from
+     * @param {Object} to
+     * @return {Array} An array of objects describing each change.  Each
+     * change has the "field" along with the "from" and "to" values.
+     */
+    RevisionService.compare = function(from, to) {
+        from = from || {};
+        to   = to || {};
+
+        var fields = util.dedupeArray(Object.keys(from).concat(Object.keys(to))).sort();
+        return fields.reduce(function(changes, field) {
+            if (JSON.stringify(from[field]) !== JSON.stringify(to[field])) {
+                changes.push({
+                    field: field,
+                    from: from[field] === undefined ? null : from[field],
+                    to: to[field] === undefined ? null : to[field]
+                });
+            }
+            return changes;
+        }, []);
+    };
+
+    /**
+     * Extracts the ID of the user from the session of a service context
+     * @static
+     * @method getAuthor
+     * @param {Object} context
+     * @return {String|null}
+     */
+    RevisionService.getAuthor = function(context) {
+        var session = context && context.session;
+        if (util.isObject(session) && util.isObject(session.authentication) && session.authentication.user_id) {
+            return session.authentication.user_id + '';
+        }
+        return null;
+    };
+
+    /**
+     * Event handler that records a revision each time tracked content is
+     * saved.  Failures are logged but do not interrupt the save.
+     * @static
+     * @method onAfterSave
+     * @param {Object} context
+     * @param {Object} context.data The object that was persisted
+     * @param {BaseObjectService} context.service
+     * @param {Function} cb
+     */
+    RevisionService.onAfterSave = function(context, cb) {
+        var service = new RevisionService({
+            type: context.service.getType(),
+            site: context.data.site || context.site,
+            session: context.session
+        });
+        service.record(context.data, RevisionService.getAuthor(context), function(err) {
+            if (util.isError(err)) {
+                pb.log.error('RevisionService: Failed to record revision for %s [%s]: %s', service.type, context.data[DAO.getIdField()], err.stack);
+            }
+            cb();
+        });
+    };
+
+    //Event Registries
+    RevisionService.registerType('article', pb.ArticleServiceV2);
+    RevisionService.registerType('page', pb.PageService);
+
+    return RevisionService;
+};
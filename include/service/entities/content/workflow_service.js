@@ -0,0 +1,743 @@
+/*
+	Copyright (C) 2016  PencilBlue, LLC
+
+	This program is free software: you can redistribute it and/or modify
+	it under the terms of the GNU General Public License as published by
+	the Free Software Foundation, either version 3 of the License, or
+	(at your option) any later version.
+
+	This program is distributed in the hope that it will be useful,
+	but WITHOUT ANY WARRANTY; without even the implied warranty of
+	MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+	GNU General Public License for more details.
+
+	You should have received a copy of the GNU General Public License
+	along with this program.  If not, see <http://www.gnu.org/licenses/>.
+*/
+'use strict';
+
+//dependencies
+var util  = require('../../../util.js');
+var async = require('async');
+
+module.exports = function(pb) {
+
+    //pb dependencies
+    var DAO               = pb.DAO;
+    var BaseObjectService = pb.BaseObjectService;
+    var ValidationService = pb.ValidationService;
+    var SecurityService   = pb.SecurityService;
+    var SiteService       = pb.SiteService;
+    var UrlService        = pb.UrlService;
+
+    /**
+     * Moves content through the editorial workflow.  The states and the
+     * transitions between them are configured through the "workflow" section
+     * of the configuration.  Each transition requires a minimum access level.
+     * Every transition is recorded in an audit trail and the interested users
+     * are notified by email.
+     *
+     * @class WorkflowService
+     * @constructor
+     * @param {object} context
+     * @param {string} context.type The type of content that the workflow applies to
+     * @param {string} context.site
+     * @param {boolean} [context.onlyThisSite]
+     * @param {object} [context.session]
+     */
+    function WorkflowService(context) {
+        if (!util.isObject(context)) {
+            throw new Error('The context parameter must be an object');
+        }
+        else if (!WorkflowService.isManaged(context.type)) {
+            throw new Error('The workflow is not managed for type: ' + context.type);
+        }
+
+        /**
+         * @property context
+         * @type {Object}
+         */
+        this.context = context;
+
+        /**
+         * The type of content that the workflow applies to
+         * @property type
+         * @type {String}
+         */
+        this.type = context.type;
+
+        /**
+         * @property site
+         * @type {String}
+         */
+        this.site = context.site;
+
+        /**
+         * @property dao
+         * @type {SiteQueryService}
+         */
+        this.dao = new pb.SiteQueryService({site: context.site, onlyThisSite: true});
+    }
+
+    /**
+     * The collection that stores the audit trail of transitions
+     * @private
+     * @static
+     * @readonly
+     * @property TYPE
+     * @type {String}
+     */
+    var TYPE = 'workflow_transition';
+
+    /**
+     * The template used to notify users of a transition
+     * @private
+     * @static
+     * @readonly
+     * @property EMAIL_TEMPLATE
+     * @type {String}
+     */
+    var EMAIL_TEMPLATE = 'admin/elements/workflow_notification_email';
+
+    /**
+     * The content types, with their object service and admin path, that
+     * the workflow is managed for
+     * @private
+     * @static
+     * @property TYPES
+     * @type {Object}
+     */
+    var TYPES = {};
+
+    /**
+     * The state of content that is not visible to the public
+     * @static
+     * @readonly
+     * @property DRAFT
+     * @type {String}
+     */
+    WorkflowService.DRAFT = 'draft';
+
+    /**
+     * The state of content that is waiting on a reviewer
+     * @static
+     * @readonly
+     * @property IN_REVIEW
+     * @type {String}
+     */
+    WorkflowService.IN_REVIEW = 'in_review';
+
+    /**
+     * The state of content that is visible to the public
+     * @static
+     * @readonly
+     * @property PUBLISHED
+     * @type {String}
+     */
+    WorkflowService.PUBLISHED = 'published';
+
+    /**
+     * Starts managing the workflow for the specified type of content
+     * @static
+     * @method registerType
+     * @param {String} type
+     * @param {Function} ServicePrototype A prototype that extends BaseObjectService
+     * @param {String} adminPath The path of the admin page used to edit the
+     * content.  The content ID is appended to it.
+     * @return {Boolean} TRUE if the type was registered
+     */
+    WorkflowService.registerType = function(type, ServicePrototype, adminPath) {
+        if (!ValidationService.isNonEmptyStr(type, true) || !util.isFunction(ServicePrototype)) {
+            return false;
+        }
+        if (!TYPES[type]) {
+            BaseObjectService.on(type + '.' + BaseObjectService.MERGE, WorkflowService.onMerge);
+            BaseObjectService.on(type + '.' + BaseObjectService.VALIDATE, WorkflowService.onValidate);
+            BaseObjectService.on(type + '.' + BaseObjectService.BEFORE_SAVE, WorkflowService.onBeforeSave);
+            BaseObjectService.on(type + '.' + BaseObjectService.AFTER_SAVE, WorkflowService.onAfterSave);
+        }
+        TYPES[type] = {
+            service: ServicePrototype,
+            adminPath: adminPath
+        };
+        return true;
+    };
+
+    /**
+     * Stops managing the workflow for the specified type of content.  The
+     * audit trail is not removed.
+     * @static
+     * @method unregisterType
+     * @param {String} type
+     * @return {Boolean} TRUE if the workflow was managed for the type
+     */
+    WorkflowService.unregisterType = function(type) {
+        var exists = !!TYPES[type];
+        delete TYPES[type];
+        BaseObjectService.removeListener(type + '.' + BaseObjectService.MERGE, WorkflowService.onMerge);
+        BaseObjectService.removeListener(type + '.' + BaseObjectService.VALIDATE, WorkflowService.onValidate);
+        BaseObjectService.removeListener(type + '.' + BaseObjectService.BEFORE_SAVE, WorkflowService.onBeforeSave);
+        BaseObjectService.removeListener(type + '.' + BaseObjectService.AFTER_SAVE, WorkflowService.onAfterSave);
+        return exists;
+    };
+
+    /**
+     * Indicates if the workflow is managed for the type
+     * @static
+     * @method isManaged
+     * @param {String} type
+     * @return {Boolean}
+     */
+    WorkflowService.isManaged = function(type) {
+        return util.isObject(TYPES[type]);
+    };
+
+    /**
+     * Retrieves the configured transitions.  Each state maps to the states
+     * that it may move to along with the minimum access level required.
+     * @static
+     * @method getTransitions
+     * @return {Object}
+     */
+    WorkflowService.getTransitions = function() {
+        var config = pb.config.workflow || {};
+        return util.isObject(config.transitions) ? config.transitions : {};
+    };
+
+    /**
+     * Retrieves all of the states that content can be in
+     * @static
+     * @method getStates
+     * @return {Array}
+     */
+    WorkflowService.getStates = function() {
+        var transitions = WorkflowService.getTransitions();
+        var states = [WorkflowService.DRAFT, WorkflowService.PUBLISHED];
+        Object.keys(transitions).forEach(function(from) {
+            states.push(from);
+            if (util.isObject(transitions[from])) {
+                states.push.apply(states, Object.keys(transitions[from]));
+            }
+        });
+        return util.dedupeArray(states);
+    };
+
+    /**
+     * Indicates if the value is a known state
+     * @static
+     * @method isState
+     * @param {String} state
+     * @return {Boolean}
+     */
+    WorkflowService.isState = function(state) {
+        return WorkflowService.getStates().indexOf(state) >= 0;
+    };
+
+    /**
+     * Retrieves the minimum access level required to move content between
+     * two states
+     * @static
+     * @method getRequiredAccess
+     * @param {String} from
+     * @param {String} to
+     * @return {Integer|null} NULL when the transition does not exist
+     */
+    WorkflowService.getRequiredAccess = function(from, to) {
+        var targets = WorkflowService.getTransitions()[from];
+        if (!util.isObject(targets) || !ValidationService.isInt(targets[to], true, true)) {
+            return null;
+        }
+        return targets[to];
+    };
+
+    /**
+     * Indicates if the session is permitted to move content between two
+     * states.  Content cannot change state without an authenticated session.
+     * @static
+     * @method isAllowed
+     * @param {String} from
+     * @param {String} to
+     * @param {Object} [session]
+     * @return {Boolean}
+     */
+    WorkflowService.isAllowed = function(from, to, session) {
+        var access = WorkflowService.getRequiredAccess(from, to);
+        if (access === null) {
+            return false;
+        }
+        else if (!util.isObject(session) || !util.isObject(session.authentication) || !session.authentication.user_id) {
+            return false;
+        }
+
+        var requirements = {};
+        requirements[SecurityService.ADMIN_LEVEL] = access;
+        return SecurityService.isAuthorized(session, requirements);
+    };
+
+    /**
+     * Retrieves the states that the session is permitted to move content to
+     * @static
+     * @method getAvailableStates
+     * @param {String} from
+     * @param {Object} [session]
+     * @return {Array}
+     */
+    WorkflowService.getAvailableStates = function(from, session) {
+        var targets = WorkflowService.getTransitions()[from];
+        if (!util.isObject(targets)) {
+            return [];
+        }
+        return Object.keys(targets).filter(function(to) {
+            return WorkflowService.isAllowed(from, to, session);
+        });
+    };
+
+    /**
+     * Determines the access level of the users that review content.  It is the
+     * highest access level required to move content out of review.
+     * @static
+     * @method getReviewerAccess
+     * @return {Integer}
+     */
+    WorkflowService.getReviewerAccess = function() {
+        var targets = WorkflowService.getTransitions()[WorkflowService.IN_REVIEW];
+        var levels = util.isObject(targets) ? Object.keys(targets).map(function(to) {
+            return WorkflowService.getRequiredAccess(WorkflowService.IN_REVIEW, to) || 0;
+        }) : [];
+        return levels.length ? Math.max.apply(Math, levels) : SecurityService.ACCESS_EDITOR;
+    };
+
+    /**
+     * Determines the state of a piece of content.  Content that was created
+     * before the workflow was introduced takes the state implied by its draft
+     * flag.
+     * @static
+     * @method getState
+     * @param {Object} content
+     * @return {String}
+     */
+    WorkflowService.getState = function(content) {
+        if (WorkflowService.isState(content.workflow_state)) {
+            return content.workflow_state;
+        }
+        return WorkflowService.isDraft(content) ? WorkflowService.DRAFT : WorkflowService.PUBLISHED;
+    };
+
+    /**
+     * Determines the state that a save moves content to.  An explicitly
+     * requested state takes precedence.  Otherwise the state follows the
+     * draft flag: clearing it publishes the content and setting it on
+     * published content returns it to draft.
+     * @static
+     * @method getNextState
+     * @param {String} current The state of the content before the save
+     * @param {Object} content The content being saved
+     * @return {String}
+     */
+    WorkflowService.getNextState = function(current, content) {
+        if (content.workflow_state !== current && WorkflowService.isState(content.workflow_state)) {
+            return content.workflow_state;
+        }
+        else if (!WorkflowService.isDraft(content)) {
+            return WorkflowService.PUBLISHED;
+        }
+        return current === WorkflowService.PUBLISHED ? WorkflowService.DRAFT : current;
+    };
+
+    /**
+     * Moves content that is saved without its object service, such as by the
+     * deprecated article actions, to the state implied by the save.  The
+     * state and the draft flag of the content are updated when the session is
+     * permitted to make the transition.
+     * @static
+     * @method applyTransition
+     * @param {String} current The state of the content before the save
+     * @param {Object} content The content being saved
+     * @param {Object} session
+     * @return {Object} The transition with the "from" and "to" states or
+     * NULL when the session is not permitted to make it
+     */
+    WorkflowService.applyTransition = function(current, content, session) {
+        var next = WorkflowService.getNextState(current, content);
+        if (next !== current && !WorkflowService.isAllowed(current, next, session)) {
+            return null;
+        }
+
+        content.workflow_state = next;
+        content.draft = next === WorkflowService.PUBLISHED ? 0 : 1;
+        return {
+            from: current,
+            to: next
+        };
+    };
+
+    /**
+     * Indicates if the draft flag is set on a piece of content
+     * @static
+     * @method isDraft
+     * @param {Object} content
+     * @return {Boolean}
+     */
+    WorkflowService.isDraft = function(content) {
+        return content.draft === 1 || content.draft === true;
+    };
+
+    /**
+     * Provides a readable name for a state
+     * @static
+     * @method getStateName
+     * @param {String} state
+     * @return {String}
+     */
+    WorkflowService.getStateName = function(state) {
+        return (state + '').split('_').join(' ');
+    };
+
+    /**
+     * Retrieves the current state of a piece of content along with the
+     * states that the current user may move it to
+     * @method getStatus
+     * @param {String} contentId
+     * @param {Function} cb (Error, Object|null)
+     */
+    WorkflowService.prototype.getStatus = function(contentId, cb) {
+        var self = this;
+        this.dao.loadById(contentId, this.type, function(err, content) {
+            if (util.isError(err) || !content) {
+                return cb(err, null);
+            }
+
+            var state = WorkflowService.getState(content);
+            cb(null, {
+                state: state,
+                available: WorkflowService.getAvailableStates(state, self.context.session)
+            });
+        });
+    };
+
+    /**
+     * Retrieves the audit trail for a piece of content, newest first
+     * @method getHistory
+     * @param {String} contentId
+     * @param {Object} [options]
+     * @param {Integer} [options.limit]
+     * @param {Integer} [options.offset]
+     * @param {Function} cb (Error, Object) Provides a paged result
+     */
+    WorkflowService.prototype.getHistory = function(contentId, options, cb) {
+        if (util.isFunction(options)) {
+            cb = options;
+            options = {};
+        }
+
+        var self  = this;
+        var where = this.getWhere(contentId);
+        var limit = BaseObjectService.getLimit(options.limit);
+        var tasks = {
+
+            data: function(callback) {
+                var opts = {
+                    where: where,
+                    order: [['created', DAO.DESC]],
+                    limit: limit,
+                    offset: options.offset
+                };
+                self.dao.q(TYPE, opts, callback);
+            },
+
+            total: util.wrapTask(this.dao, this.dao.count, [TYPE, where])
+        };
+        async.parallel(tasks, function(err, results) {
+            if (util.isError(err)) {
+                return cb(err);
+            }
+            cb(null, BaseObjectService.getPagedResult(results.data, results.total, limit, options.offset || 0));
+        });
+    };
+
+    /**
+     * Moves a piece of content to a new state.  The content is saved through
+     * its object service so the change is validated against the transitions
+     * the current user is permitted to make.
+     * @method transition
+     * @param {String} contentId
+     * @param {String} state
+     * @param {Function} cb (Error, Object|null) Provides the updated content
+     */
+    WorkflowService.prototype.transition = function(contentId, state, cb) {
+        if (!WorkflowService.isState(state)) {
+            var error = BaseObjectService.validationError([
+                BaseObjectService.validationFailure('state', 'A valid workflow state is required')
+            ]);
+            return cb(error);
+        }
+
+        var ServicePrototype = TYPES[this.type].service;
+        var service = new ServicePrototype(util.merge(this.context, {}));
+        service.get(contentId, function(err, content) {
+            if (util.isError(err) || !content) {
+                return cb(err, null);
+            }
+
+            content.workflow_state = state;
+            service.update(content, cb);
+        });
+    };
+
+    /**
+     * Records the transition, if one occurred, and notifies the interested
+     * users.  Failures are logged but are not provided to the callback.
+     * @method complete
+     * @param {Object} content The content as it was persisted
+     * @param {Object} transition The "from" and "to" states
+     * @param {String} [user] The ID of the user that made the change
+     * @param {Function} cb
+     */
+    WorkflowService.prototype.complete = function(content, transition, user, cb) {
+        if (!util.isObject(transition) || transition.from === transition.to) {
+            return cb();
+        }
+
+        var self  = this;
+        var tasks = [
+            util.wrapTask(this, this.record, [content, transition.from, transition.to, user]),
+            util.wrapTask(this, this.notify, [content, transition.from, transition.to, user])
+        ];
+        async.series(tasks, function(err) {
+            if (util.isError(err)) {
+                pb.log.error('WorkflowService: Failed to process transition for %s [%s]: %s', self.type, content[DAO.getIdField()], err.stack);
+            }
+            cb();
+        });
+    };
+
+    /**
+     * Records a transition in the audit trail
+     * @method record
+     * @param {Object} content The content as it was persisted
+     * @param {String} from
+     * @param {String} to
+     * @param {String} [user] The ID of the user that made the change
+     * @param {Function} cb (Error, Object) Provides the persisted transition
+     */
+    WorkflowService.prototype.record = function(content, from, to, user, cb) {
+        var transition = {
+            object_type: TYPE,
+            content_type: this.type,
+            content_id: content[DAO.getIdField()] + '',
+            from: from,
+            to: to,
+            user: user || null
+        };
+        this.dao.save(transition, cb);
+    };
+
+    /**
+     * Emails the users that are interested in a transition.  The author of
+     * the content is always notified.  When content is submitted for review
+     * the users that are permitted to approve it are notified as well.  The
+     * user that made the change is never notified.
+     * @method notify
+     * @param {Object} content The content as it was persisted
+     * @param {String} from
+     * @param {String} to
+     * @param {String} [user] The ID of the user that made the change
+     * @param {Function} cb (Error)
+     */
+    WorkflowService.prototype.notify = function(content, from, to, user, cb) {
+        var self  = this;
+        var tasks = {
+
+            recipients: util.wrapTask(this, this.getRecipients, [content, to]),
+
+            siteInfo: function(callback) {
+                var siteService = new SiteService();
+                siteService.getByUid(self.site, callback);
+            }
+        };
+        async.parallel(tasks, function(err, results) {
+            if (util.isError(err)) {
+                return cb(err);
+            }
+
+            var root = SiteService.getHostWithProtocol(results.siteInfo.hostname);
+            var recipients = results.recipients.filter(function(recipient) {
+                return recipient[DAO.getIdField()] + '' !== user && ValidationService.isEmail(recipient.email, true);
+            });
+
+            var emailService = new pb.EmailService({site: self.site});
+            var notifications = recipients.map(function(recipient) {
+                return function(callback) {
+                    var options = {
+                        to: recipient.email,
+                        subject: util.format('%s "%s" is now %s', results.siteInfo.displayName, content.headline, WorkflowService.getStateName(to)),
+                        template: EMAIL_TEMPLATE,
+                        replacements: {
+                            'first_name': recipient.first_name,
+                            'last_name': recipient.last_name,
+                            'headline': content.headline,
+                            'from_state': WorkflowService.getStateName(from),
+                            'to_state': WorkflowService.getStateName(to),
+                            'content_url': UrlService.urlJoin(root, TYPES[self.type].adminPath, content[DAO.getIdField()] + '')
+                        }
+                    };
+                    emailService.sendFromTemplate(options, callback);
+                };
+            });
+            async.parallel(notifications, function(err) {
+                cb(err);
+            });
+        });
+    };
+
+    /**
+     * Retrieves the users that should be notified when content moves to a
+     * state
+     * @method getRecipients
+     * @param {Object} content
+     * @param {String} to
+     * @param {Function} cb (Error, Array)
+     */
+    WorkflowService.prototype.getRecipients = function(content, to, cb) {
+        var where = ValidationService.isIdStr(content.author, true) ? DAO.getIdWhere(content.author) : null;
+        if (to === WorkflowService.IN_REVIEW) {
+            var reviewers = { admin: { $gte: WorkflowService.getReviewerAccess() } };
+            where = where ? { $or: [where, reviewers] } : reviewers;
+        }
+        if (!where) {
+            return cb(null, []);
+        }
+
+        var opts = {
+            where: where,
+            select: { email: 1, first_name: 1, last_name: 1 }
+        };
+        var dao = new pb.SiteQueryService({site: this.site, onlyThisSite: false});
+        dao.q('user', opts, cb);
+    };
+
+    /**
+     * Builds the where clause to find the audit trail for a piece of content
+     * @method getWhere
+     * @param {String} contentId
+     * @return {Object}
+     */
+    WorkflowService.prototype.getWhere = function(contentId) {
+        return {
+            content_type: this.type,
+            content_id: contentId + ''
+        };
+    };
+
+    /**
+     * Event handler that carries a requested state from the DTO onto the
+     * object being saved
+     * @static
+     * @method onMerge
+     * @param {Object} context
+     * @param {Object} context.data The DTO
+     * @param {Object} context.object The object being saved
+     * @param {Function} cb
+     */
+    WorkflowService.onMerge = function(context, cb) {
+        if (!util.isNullOrUndefined(context.data.workflow_state)) {
+            context.object.workflow_state = context.data.workflow_state;
+        }
+        cb();
+    };
+
+    /**
+     * Event handler that determines the state a save moves content to and
+     * verifies that the user is permitted to make the transition
+     * @static
+     * @method onValidate
+     * @param {Object} context
+     * @param {Object} context.data The object being saved
+     * @param {Array} context.validationErrors
+     * @param {BaseObjectService} context.service
+     * @param {Function} cb
+     */
+    WorkflowService.onValidate = function(context, cb) {
+        var obj = context.data;
+
+        if (!util.isNullOrUndefined(obj.workflow_state) && !WorkflowService.isState(obj.workflow_state)) {
+            context.validationErrors.push(BaseObjectService.validationFailure('workflow_state', 'An invalid workflow state was provided'));
+            return cb();
+        }
+
+        var onCurrent = function(err, current) {
+            if (util.isError(err)) {
+                return cb(err);
+            }
+
+            var next = WorkflowService.getNextState(current, obj);
+            if (next !== current && !WorkflowService.isAllowed(current, next, context.session)) {
+                var msg = util.format('The content cannot be moved from %s to %s', WorkflowService.getStateName(current), WorkflowService.getStateName(next));
+                context.validationErrors.push(BaseObjectService.validationFailure('workflow_state', msg));
+                return cb();
+            }
+
+            context.workflow = {
+                from: current,
+                to: next
+            };
+            cb();
+        };
+
+        //new content always starts out as a draft
+        if (context.isCreate) {
+            return onCurrent(null, WorkflowService.DRAFT);
+        }
+        context.service.dao.loadById(obj[DAO.getIdField()], context.service.getType(), function(err, persisted) {
+            onCurrent(err, persisted ? WorkflowService.getState(persisted) : WorkflowService.DRAFT);
+        });
+    };
+
+    /**
+     * Event handler that applies the state determined during validation.  The
+     * draft flag is kept in sync with the state.
+     * @static
+     * @method onBeforeSave
+     * @param {Object} context
+     * @param {Object} context.data The object being saved
+     * @param {Function} cb
+     */
+    WorkflowService.onBeforeSave = function(context, cb) {
+        if (util.isObject(context.workflow)) {
+            context.data.workflow_state = context.workflow.to;
+            context.data.draft = context.workflow.to === WorkflowService.PUBLISHED ? 0 : 1;
+        }
+        cb();
+    };
+
+    /**
+     * Event handler that records the transition, if one occurred, and
+     * notifies the interested users.  Failures are logged but do not
+     * interrupt the save.
+     * @static
+     * @method onAfterSave
+     * @param {Object} context
+     * @param {Object} context.data The object that was persisted
+     * @param {BaseObjectService} context.service
+     * @param {Function} cb
+     */
+    WorkflowService.onAfterSave = function(context, cb) {
+        var transition = context.workflow;
+        if (!util.isObject(transition) || transition.from === transition.to) {
+            return cb();
+        }
+
+        var content = context.data;
+        var service = new WorkflowService({
+            type: context.service.getType(),
+            site: content.site || context.site,
+            session: context.session
+        });
+        service.complete(content, transition, pb.RevisionService.getAuthor(context), cb);
+    };
+
+    //Event Registries
+    WorkflowService.registerType('article', pb.ArticleServiceV2, '/admin/content/articles');
+
+    return WorkflowService;
+};
@@ -27,6 +27,7 @@ module.exports = function CustomObjectServiceModule(pb) {
      * Provides a service to do the heavy lifting of retrieving custom objects with
      * the ability to eagerly fetch the related objects.
      * @class CustomObjectService
+     * @extends AsyncEventEmitter
      * @constructor
      */
     function CustomObjectService(siteUid, onlyThisSite) {
@@ -36,6 +37,7 @@ module.exports = function CustomObjectServiceModule(pb) {
         this.site = pb.SiteService.getCurrentSite(siteUid);
         this.siteQueryService = new pb.SiteQueryService({site: this.site, onlyThisSite: onlyThisSite});
     }
+    pb.AsyncEventEmitter.extend(CustomObjectService);
 
     //statics
     /**
@@ -59,6 +61,26 @@ module.exports = function CustomObjectServiceModule(pb) {
      */
     CustomObjectService.CUST_OBJ_SORT_COLL = 'custom_object_sort';
 
+    /**
+     * The event that is triggered after a custom object is successfully
+     * persisted.  The context provides the object as "data" and the "site".
+     * @static
+     * @readonly
+     * @property AFTER_SAVE
+     * @type {String}
+     */
+    CustomObjectService.AFTER_SAVE = 'afterSave';
+
+    /**
+     * The event that is triggered after a custom object is successfully
+     * deleted.  The context provides the object's "id" and the "site".
+     * @static
+     * @readonly
+     * @property AFTER_DELETE
+     * @type {String}
+     */
+    CustomObjectService.AFTER_DELETE = 'afterDelete';
+
     //constants
     /**
      *
@@ -906,7 +928,16 @@ module.exports = function CustomObjectServiceModule(pb) {
             if (util.isError(err) || errors.length > 0) {
                 return cb(err, errors);
             }
-            self.siteQueryService.save(custObj, cb);
+            self.siteQueryService.save(custObj, function(err, result) {
+                if (util.isError(err)) {
+                    return cb(err, result);
+                }
+
+                var context = {data: custObj, site: self.site, service: self};
+                CustomObjectService.emit(CustomObjectService.AFTER_SAVE, context, function(err) {
+                    cb(err, result);
+                });
+            });
         });
     };
 
@@ -941,8 +972,18 @@ module.exports = function CustomObjectServiceModule(pb) {
      * @param {Function} cb (Error, *)
      */
     CustomObjectService.prototype.deleteById = function(id, cb) {
+        var self = this;
         var dao = new pb.DAO();
-        dao.deleteById(id, CustomObjectService.CUST_OBJ_COLL, cb);
+        dao.deleteById(id, CustomObjectService.CUST_OBJ_COLL, function(err, result) {
+            if (util.isError(err)) {
+                return cb(err, result);
+            }
+
+            var context = {id: id + '', site: self.site, service: self};
+            CustomObjectService.emit(CustomObjectService.AFTER_DELETE, context, function(err) {
+                cb(err, result);
+            });
+        });
     };
 
     /**
@@ -1021,6 +1062,41 @@ module.exports = function CustomObjectServiceModule(pb) {
         return Object.keys(AVAILABLE_FIELD_TYPES);
     };
 
+    /**
+     * Provides the fields of a custom object type that custom objects can be
+     * filtered by with the "$where" query parameter, mapped to their type.
+     * Date fields are not included because their values are not stored
+     * consistently.
+     * @static
+     * @method getFilterFields
+     * @param {Object} custObjType
+     * @return {Object}
+     */
+    CustomObjectService.getFilterFields = function(custObjType) {
+        var TYPES = pb.WhereParser.TYPES;
+        var typeMap = {
+            text: TYPES.STRING,
+            wysiwyg: TYPES.STRING,
+            number: TYPES.NUMBER,
+            boolean: TYPES.BOOLEAN
+        };
+        typeMap[PEER_OBJECT_TYPE] = TYPES.ID;
+        typeMap[CHILD_OBJECTS_TYPE] = TYPES.ID;
+
+        var fields = {
+            created: TYPES.DATE,
+            last_modified: TYPES.DATE
+        };
+        fields[NAME_FIELD] = TYPES.STRING;
+        Object.keys(custObjType.fields || {}).forEach(function(name) {
+            var type = typeMap[custObjType.fields[name].field_type];
+            if (type) {
+                fields[name] = type;
+            }
+        });
+        return fields;
+    };
+
     /**
      * Retrieves the objects types that can be referenced by custom objects
      * @static
@@ -0,0 +1,578 @@
+/*
+    Copyright (C) 2016  PencilBlue, LLC
+
+    This program is free software: you can redistribute it and/or modify
+    it under the terms of the GNU General Public License as published by
+    the Free Software Foundation, either version 3 of the License, or
+    (at your option) any later version.
+
+    This program is distributed in the hope that it will be useful,
+    but WITHOUT ANY WARRANTY; without even the implied warranty of
+    MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+    GNU General Public License for more details.
+
+    You should have received a copy of the GNU General Public License
+    along with this program.  If not, see <http://www.gnu.org/licenses/>.
+*/
+'use strict';
+
+//dependencies
+var util = require('../../util.js');
+
+module.exports = function(pb) {
+
+    //pb dependencies
+    var RequestHandler = pb.RequestHandler;
+    var BaseObjectService = pb.BaseObjectService;
+
+    /**
+     * Generates an OpenAPI 3 document that describes the API routes registered
+     * for a site by the core and by plugins.  A route is part of the API when
+     * its path starts with "/api/" or when it responds with JSON.  Routes
+     * handled by a BaseApiController are described in more detail: the
+     * paging, projection and filter query parameters are listed and the
+     * request and response bodies reference the schema that was registered for
+     * the controller's object type with BaseObjectService.registerSchema.
+     * @class OpenApiService
+     * @constructor
+     * @param {Object} context
+     * @param {String} context.site The site UID
+     * @param {String} [context.siteName]
+     * @param {String} [context.hostname] The root URL of the site
+     * @param {String} [context.activeTheme] The theme whose routes take
+     * precedence when more than one plugin registers the same route
+     * @param {Object} [context.session] The session of the caller.  Only the
+     * operations that the caller is permitted to use are described.
+     */
+    function OpenApiService(context) {
+        if (!util.isObject(context)) {
+            throw new Error('context parameter must be a valid object');
+        }
+
+        /**
+         * @property site
+         * @type {String}
+         */
+        this.site = pb.SiteService.getCurrentSite(context.site);
+
+        /**
+         * @property siteName
+         * @type {String}
+         */
+        this.siteName = context.siteName || pb.config.siteName;
+
+        /**
+         * @property hostname
+         * @type {String}
+         */
+        this.hostname = context.hostname || pb.config.siteRoot;
+
+        /**
+         * @property activeTheme
+         * @type {String}
+         */
+        this.activeTheme = context.activeTheme || RequestHandler.DEFAULT_THEME;
+
+        /**
+         * @property session
+         * @type {Object}
+         */
+        this.session = context.session || null;
+
+        /**
+         * The context that API controllers are initialized with to discover
+         * the type of object that they serve
+         * @property serviceContext
+         * @type {Object}
+         */
+        this.serviceContext = {
+            site: this.site,
+            onlyThisSite: true,
+            hostname: this.hostname,
+            activeTheme: this.activeTheme,
+            siteObj: context.siteObj
+        };
+    }
+
+    /**
+     * The version of the OpenAPI specification that the document conforms to
+     * @static
+     * @readonly
+     * @property VERSION
+     * @type {String}
+     */
+    OpenApiService.VERSION = '3.0.0';
+
+    /**
+     * The HTTP methods that can be described by an OpenAPI operation
+     * @private
+     * @static
+     * @readonly
+     * @property METHODS
+     * @type {Array}
+     */
+    var METHODS = Object.freeze(['GET', 'PUT', 'POST', 'DELETE', 'PATCH', 'HEAD', 'OPTIONS']);
+
+    /**
+     * The query parameters supported by BaseApiController.  See
+     * BaseApiController#getAll
+     * @private
+     * @static
+     * @readonly
+     * @property QUERY_PARAMETERS
+     * @type {Object}
+     */
+    var QUERY_PARAMETERS = Object.freeze({
+        select: {
+            name: '$select',
+            in: 'query',
+            description: 'A comma separated list of fields where 1 includes the field and 0 excludes it.  $select=name=1,description=0',
+            schema: {type: 'string'}
+        },
+        order: {
+            name: '$order',
+            in: 'query',
+            description: 'A comma separated list of fields where 1 sorts ascending and 0 or less sorts descending.  $order=name=1,created=0',
+            schema: {type: 'string'}
+        },
+        limit: {
+            name: '$limit',
+            in: 'query',
+            description: 'The maximum number of results to return',
+            schema: {type: 'integer', minimum: 1}
+        },
+        offset: {
+            name: '$offset',
+            in: 'query',
+            description: 'The number of results to skip',
+            schema: {type: 'integer', minimum: 0}
+        },
+        where: {
+            name: '$where',
+            in: 'query',
+            description: 'A filter expression such as: headline contains \'news\' and publish_date ge \'2016-01-01\'.  The supported operators are eq, ne, gt, ge, lt, le, in, contains and exists.  Conditions are joined with "and" and "or" and grouped with parentheses.',
+            schema: {type: 'string'}
+        }
+    });
+
+    /**
+     * Builds the OpenAPI document
+     * @method getDocument
+     * @return {Object}
+     */
+    OpenApiService.prototype.getDocument = function() {
+        var self = this;
+        var doc = {
+            openapi: OpenApiService.VERSION,
+            info: {
+                title: this.siteName + ' API',
+                version: pb.config.version
+            },
+            servers: [
+                {url: this.hostname}
+            ],
+            paths: {},
+            components: {
+                parameters: util.clone(QUERY_PARAMETERS),
+                schemas: {
+                    ValidationError: OpenApiService.getValidationErrorSchema()
+                },
+                securitySchemes: OpenApiService.getSecuritySchemes()
+            }
+        };
+
+        var types = {};
+        this.getRoutes().forEach(function(route) {
+            var path = OpenApiService.getPath(route.path);
+            var type = self.getObjectType(route.descriptor.controller, types);
+            if (type !== null && !doc.components.schemas[type]) {
+                doc.components.schemas[type] = BaseObjectService.getSchema(type);
+            }
+
+            doc.paths[path] = doc.paths[path] || {};
+            doc.paths[path][route.method.toLowerCase()] = OpenApiService.getOperation(route, type);
+        });
+        return doc;
+    };
+
+    /**
+     * Provides the API routes available to the site.  When more than one
+     * plugin registers a route the descriptor is chosen the same way that the
+     * RequestHandler chooses it for a request.  Localized copies of routes,
+     * routes with wildcards and routes that the caller is not permitted to use
+     * are left out.
+     * @method getRoutes
+     * @return {Array} Each item contains the path, the HTTP method, the path
+     * variables, the theme and the route descriptor
+     */
+    OpenApiService.prototype.getRoutes = function() {
+        var self = this;
+        var routes = Object.keys(RequestHandler.staticRoutes).map(function(path) {
+            return RequestHandler.staticRoutes[path];
+        }).concat(RequestHandler.storage);
+
+        var result = [];
+        routes.forEach(function(route) {
+            if (!OpenApiService.isDocumented(route)) {
+                return;
+            }
+
+            //routes registered without a method respond to all of them so
+            //they are described as GET when no plugin registers a GET
+            var methods = {};
+            var themesToCheck = self.getThemesToCheck(route);
+            METHODS.concat(['ALL']).forEach(function(method) {
+                for (var i = 0; i < themesToCheck.length; i++) {
+                    var descriptor = self.getDescriptor(route, themesToCheck[i], method);
+                    if (descriptor !== null) {
+                        if (method === 'ALL') {
+                            method = 'GET';
+                        }
+                        if (!methods[method] && OpenApiService.isApiRoute(descriptor) && self.isPermitted(descriptor)) {
+                            methods[method] = true;
+                            result.push({path: '/' + route.path, method: method, pathVars: route.path_vars, theme: themesToCheck[i], descriptor: descriptor});
+                        }
+                        return;
+                    }
+                }
+            });
+        });
+        return result.sort(function(a, b) {
+            return a.path < b.path ? -1 : (a.path > b.path ? 1 : 0);
+        });
+    };
+
+    /**
+     * Indicates if the caller meets the authentication and access level
+     * requirements of a route
+     * @method isPermitted
+     * @param {Object} descriptor
+     * @return {Boolean}
+     */
+    OpenApiService.prototype.isPermitted = function(descriptor) {
+        var accessLevel = parseInt(descriptor.access_level);
+        if (!descriptor.auth_required && (isNaN(accessLevel) || accessLevel <= pb.SecurityService.ACCESS_USER)) {
+            return true;
+        }
+        else if (!util.isObject(this.session) || !util.isObject(this.session.authentication)) {
+            return false;
+        }
+
+        var requirements = {};
+        requirements[pb.SecurityService.AUTHENTICATED] = true;
+        if (!isNaN(accessLevel)) {
+            requirements[pb.SecurityService.ADMIN_LEVEL] = accessLevel;
+        }
+        return pb.SecurityService.isAuthorized(this.session, requirements);
+    };
+
+    /**
+     * Provides the themes that may serve a route in the order of precedence
+     * @method getThemesToCheck
+     * @param {Object} route
+     * @return {Array}
+     */
+    OpenApiService.prototype.getThemesToCheck = function(route) {
+        var themes = [this.activeTheme, RequestHandler.DEFAULT_THEME];
+        [this.site, pb.SiteService.GLOBAL_SITE].forEach(function(site) {
+            Object.keys(route.themes[site] || {}).forEach(function(theme) {
+                if (theme !== 'size' && themes.indexOf(theme) < 0) {
+                    themes.push(theme);
+                }
+            });
+        });
+        return themes;
+    };
+
+    /**
+     * Provides the descriptor registered by a theme for a method of the route
+     * @method getDescriptor
+     * @param {Object} route
+     * @param {String} theme
+     * @param {String} method
+     * @return {Object} NULL when the theme does not provide the method
+     */
+    OpenApiService.prototype.getDescriptor = function(route, theme, method) {
+        if (RequestHandler.routeSupportsSiteTheme(route, theme, method, this.site)) {
+            return route.themes[this.site][theme][method];
+        }
+        else if (RequestHandler.routeSupportsGlobalTheme(route, theme, method)) {
+            return route.themes[pb.SiteService.GLOBAL_SITE][theme][method];
+        }
+        return null;
+    };
+
+    /**
+     * Determines the type of object served by an API controller by
+     * initializing an instance of it and inspecting its service
+     * @method getObjectType
+     * @param {Function} Controller The controller prototype
+     * @param {Object} [cache] The types already determined keyed by the
+     * controller's index in the cache
+     * @return {String} NULL when the controller does not serve a type that
+     * has a registered schema
+     */
+    OpenApiService.prototype.getObjectType = function(Controller, cache) {
+        if (!util.isFunction(Controller) || !(Controller.prototype instanceof pb.BaseApiController)) {
+            return null;
+        }
+
+        cache = cache || {};
+        cache.controllers = cache.controllers || [];
+        cache.types = cache.types || [];
+        var index = cache.controllers.indexOf(Controller);
+        if (index >= 0) {
+            return cache.types[index];
+        }
+
+        var type = null;
+        try {
+            var controller = new Controller();
+            controller.site = this.site;
+            controller.context = util.merge(this.serviceContext, {});
+            controller.session = {};
+            controller.query = {};
+            controller.pathVars = {};
+            controller.initSync({});
+
+            var service = controller.service;
+            if (service && util.isFunction(service.getType) && BaseObjectService.getSchema(service.getType()) !== null) {
+                type = service.getType();
+            }
+        }
+        catch(err) {
+            pb.log.silly('OpenApiService: Failed to determine the object type of an API controller: %s', err.message);
+        }
+        cache.controllers.push(Controller);
+        cache.types.push(type);
+        return type;
+    };
+
+    /**
+     * Builds the operation that describes a route
+     * @static
+     * @method getOperation
+     * @param {Object} route See OpenApiService#getRoutes
+     * @param {String} [type] The type of object served by the route's controller
+     * @return {Object}
+     */
+    OpenApiService.getOperation = function(route, type) {
+        var descriptor = route.descriptor;
+        var handler = descriptor.handler || 'render';
+        var isApi = util.isFunction(descriptor.controller) && descriptor.controller.prototype instanceof pb.BaseApiController;
+        var operation = {
+            tags: [route.theme],
+            operationId: route.theme + '.' + route.method.toLowerCase() + route.path.replace(/[^\w]+(\w)?/g, function(match, chr) {
+                return chr ? chr.toUpperCase() : '';
+            }),
+            parameters: Object.keys(route.pathVars || {}).map(function(name) {
+                return {name: name, in: 'path', required: true, schema: {type: 'string'}};
+            }),
+            responses: {}
+        };
+        if (util.isString(descriptor.description)) {
+            operation.description = descriptor.description;
+        }
+
+        //query parameters supported by the API controllers
+        if (isApi && handler === 'getAll') {
+            ['select', 'order', 'limit', 'offset', 'where'].forEach(function(name) {
+                operation.parameters.push({$ref: '#/components/parameters/' + name});
+            });
+        }
+        else if (isApi && handler === 'get') {
+            operation.parameters.push({$ref: '#/components/parameters/select'});
+        }
+
+        //request body
+        var contentTypes = OpenApiService.getRequestContentTypes(descriptor);
+        if (contentTypes.length > 0) {
+            var bodySchema = type && (handler === 'post' || handler === 'put') ? {$ref: '#/components/schemas/' + type} : {type: 'object'};
+            operation.requestBody = {content: {}};
+            contentTypes.forEach(function(contentType) {
+                operation.requestBody.content[contentType] = {schema: bodySchema};
+            });
+        }
+
+        //responses
+        var contentType = descriptor.content_type || 'text/html';
+        var content = {};
+        content[contentType] = {};
+        if (type && (handler === 'get' || handler === 'post' || handler === 'put')) {
+            content[contentType].schema = {$ref: '#/components/schemas/' + type};
+        }
+        else if (type && handler === 'getAll') {
+            content[contentType].schema = OpenApiService.getPagedSchema(type);
+        }
+
+        if (isApi && handler === 'delete') {
+            operation.responses['204'] = {description: 'The resource was deleted'};
+        }
+        else if (isApi && handler === 'post') {
+            operation.responses['201'] = {description: 'The resource was created', content: content};
+        }
+        else {
+            operation.responses['200'] = {description: 'The request succeeded', content: content};
+        }
+        if (isApi) {
+            operation.responses['400'] = {
+                description: 'The request failed validation',
+                content: {'application/json': {schema: {$ref: '#/components/schemas/ValidationError'}}}
+            };
+        }
+        if (Object.keys(route.pathVars || {}).length > 0) {
+            operation.responses['404'] = {description: 'The resource could not be found'};
+        }
+
+        //security
+        var accessLevel = parseInt(descriptor.access_level);
+        if (descriptor.auth_required || (!isNaN(accessLevel) && accessLevel > pb.SecurityService.ACCESS_USER)) {
+            operation.security = OpenApiService.getSecurityRequirements(descriptor);
+            operation.responses['401'] = {description: 'Authentication is required'};
+            if (!isNaN(accessLevel) && accessLevel > pb.SecurityService.ACCESS_USER) {
+                operation['x-access-level'] = pb.SecurityService.getRoleName(accessLevel);
+                operation.responses['403'] = {description: 'The ' + operation['x-access-level'] + ' role or higher is required'};
+            }
+        }
+        return operation;
+    };
+
+    /**
+     * Provides the MIME types that the request body of a route may be sent as
+     * @static
+     * @method getRequestContentTypes
+     * @param {Object} descriptor
+     * @return {Array}
+     */
+    OpenApiService.getRequestContentTypes = function(descriptor) {
+        if (util.isString(descriptor.request_body)) {
+            return [descriptor.request_body];
+        }
+        return util.isArray(descriptor.request_body) ? descriptor.request_body : [];
+    };
+
+    /**
+     * Provides the security requirements of an operation that requires
+     * authentication
+     * @static
+     * @method getSecurityRequirements
+     * @param {Object} descriptor
+     * @return {Array}
+     */
+    OpenApiService.getSecurityRequirements = function(descriptor) {
+        var requirements = [
+            {session: []}
+        ];
+        if (descriptor.path.indexOf('/api/') === 0 && pb.config.authentication.api_keys.enabled) {
+            requirements.push({apiKey: []});
+        }
+        return requirements;
+    };
+
+    /**
+     * Provides the security schemes that API consumers can authenticate with
+     * @static
+     * @method getSecuritySchemes
+     * @return {Object}
+     */
+    OpenApiService.getSecuritySchemes = function() {
+        return {
+            session: {
+                type: 'apiKey',
+                in: 'cookie',
+                name: pb.SessionHandler.COOKIE_NAME,
+                description: 'The session cookie issued when signing in'
+            },
+            apiKey: {
+                type: 'http',
+                scheme: 'bearer',
+                description: 'A personal API key created from the account page.  Keys limited to the "read" scope may only make GET, HEAD and OPTIONS requests.'
+            }
+        };
+    };
+
+    /**
+     * Provides the schema of a page of results.  See
+     * BaseObjectService.getPagedResult
+     * @static
+     * @method getPagedSchema
+     * @param {String} type
+     * @return {Object}
+     */
+    OpenApiService.getPagedSchema = function(type) {
+        return {
+            type: 'object',
+            properties: {
+                count: {type: 'integer'},
+                data: {type: 'array', items: {$ref: '#/components/schemas/' + type}},
+                total: {type: 'integer'},
+                limit: {type: 'integer'},
+                offset: {type: 'integer'}
+            }
+        };
+    };
+
+    /**
+     * Provides the schema of the body sent when a request fails validation
+     * @static
+     * @method getValidationErrorSchema
+     * @return {Object}
+     */
+    OpenApiService.getValidationErrorSchema = function() {
+        return {
+            type: 'object',
+            properties: {
+                code: {type: 'integer'},
+                message: {type: 'string'},
+                validationErrors: {
+                    type: 'array',
+                    items: {
+                        type: 'object',
+                        properties: {
+                            field: {type: 'string'},
+                            message: {type: 'string'},
+                            code: {type: 'string'}
+                        }
+                    }
+                }
+            }
+        };
+    };
+
+    /**
+     * Indicates if a route's path can be described.  Localized copies and
+     * paths with wildcards are not.
+     * @static
+     * @method isDocumented
+     * @param {Object} route
+     * @return {Boolean}
+     */
+    OpenApiService.isDocumented = function(route) {
+        return route.path.indexOf(':locale/') !== 0 && route.path.indexOf('*') < 0;
+    };
+
+    /**
+     * Indicates if a route is part of the API
+     * @static
+     * @method isApiRoute
+     * @param {Object} descriptor
+     * @return {Boolean}
+     */
+    OpenApiService.isApiRoute = function(descriptor) {
+        return descriptor.path.indexOf('/api/') === 0 || descriptor.content_type === 'application/json';
+    };
+
+    /**
+     * Converts the path of a route to an OpenAPI path template
+     * @static
+     * @method getPath
+     * @param {String} path "/api/content/articles/:id"
+     * @return {String} "/api/content/articles/{id}"
+     */
+    OpenApiService.getPath = function(path) {
+        return path.replace(/:(\w+)/g, '{$1}');
+    };
+
+    //exports
+    return OpenApiService;
+};
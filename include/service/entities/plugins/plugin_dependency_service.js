@@ -226,6 +226,11 @@ module.exports = function (pb) {
             interval: 1000
         };
         async.until(PluginDependencyService.getLockCondition(context), PluginDependencyService.getLockIteration(context), function(err) {
+
+            //installing dependencies can outlast the lock timeout so the lock is renewed until it is released
+            if (context.didLock) {
+                context.lockService.startHeartbeat(context.lockKey, context.lockToken);
+            }
             cb(err, context);
         });
     };
@@ -255,7 +260,7 @@ module.exports = function (pb) {
             if (!context || !context.didLock) {
                 return cb(err, result);
             }
-            context.lockService.release(context.lockKey, function(error, didRelease) {
+            context.lockService.release(context.lockKey, context.lockToken, function(error, didRelease) {
                 var e = (util.isError(err) ? err : null) || error;
                 cb(e, didRelease);
             });
@@ -281,7 +286,7 @@ module.exports = function (pb) {
     /**
      * Creates a task function who's responsibility is to acquire a semaphore for dependency installation.  The task
      * will attempt to create the lock.  On acquisition, the function will callback immediately after setting the
-     * didLock property on the context.  On failure, the function calls back immediately with the error.  When the lock
+     * didLock and lockToken properties on the context.  On failure, the function calls back immediately with the error.  When the lock
      * already exists the function will wait the specified interval provided in the context before calling back.
      * @static
      * @method getLockIteration
@@ -303,6 +308,7 @@ module.exports = function (pb) {
                 }
                 if (reply) {
                     context.didLock = true;
+                    context.lockToken = reply;
                     return callback();
                 }
 
@@ -0,0 +1,771 @@
+/*
+    Copyright (C) 2016  PencilBlue, LLC
+
+    This program is free software: you can redistribute it and/or modify
+    it under the terms of the GNU General Public License as published by
+    the Free Software Foundation, either version 3 of the License, or
+    (at your option) any later version.
+
+    This program is distributed in the hope that it will be useful,
+    but WITHOUT ANY WARRANTY; without even the implied warranty of
+    MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+    GNU General Public License for more details.
+
+    You should have received a copy of the GNU General Public License
+    along with this program.  If not, see <http://www.gnu.org/licenses/>.
+*/
+'use strict';
+
+//dependencies
+var util  = require('../../util.js');
+var async = require('async');
+
+module.exports = function RedirectServiceModule(pb) {
+
+    //pb dependencies
+    var DAO               = pb.DAO;
+    var BaseObjectService = pb.BaseObjectService;
+    var ValidationService = pb.ValidationService;
+
+    /**
+     * @private
+     * @static
+     * @readonly
+     * @property TYPE
+     * @type {String}
+     */
+    var TYPE = 'redirect';
+
+    /**
+     * The content types whose URLs are tracked.  The value is the prefix of
+     * the path that the content is served from.
+     * @private
+     * @static
+     * @readonly
+     * @property CONTENT_PREFIXES
+     * @type {Object}
+     */
+    var CONTENT_PREFIXES = Object.freeze({
+        article: '/article',
+        page: '/page'
+    });
+
+    /**
+     * The prefix of the cache key that holds the version of the pattern rules
+     * of a site.  The version changes each time a rule is saved or deleted so
+     * that every process reloads its compiled rules.
+     * @private
+     * @static
+     * @readonly
+     * @property VERSION_KEY_PREFIX
+     * @type {String}
+     */
+    var VERSION_KEY_PREFIX = 'redirect-rules-version-';
+
+    /**
+     * The compiled pattern rules of each site that were loaded by this
+     * process.  Each entry holds the "version" that the rules were loaded at
+     * and the "rules" along with their "pattern".
+     * @private
+     * @static
+     * @property PATTERN_RULES
+     * @type {Object}
+     */
+    var PATTERN_RULES = {};
+
+    /**
+     * The maximum number of characters in the source of a pattern rule
+     * @private
+     * @static
+     * @readonly
+     * @property MAX_PATTERN_LENGTH
+     * @type {Integer}
+     */
+    var MAX_PATTERN_LENGTH = 200;
+
+    /**
+     * The maximum number of unbounded repetitions ("*", "+" or "{n,}") in the
+     * source of a pattern rule.  Each one multiplies the work needed to find
+     * out that a path does not match.
+     * @private
+     * @static
+     * @readonly
+     * @property MAX_REPETITIONS
+     * @type {Integer}
+     */
+    var MAX_REPETITIONS = 3;
+
+    /**
+     * The longest path that pattern rules are matched against.  Longer paths
+     * are only matched against exact rules.
+     * @private
+     * @static
+     * @readonly
+     * @property MAX_PATH_LENGTH
+     * @type {Integer}
+     */
+    var MAX_PATH_LENGTH = 512;
+
+    /**
+     * Provides interactions with the redirect table of a site.  A redirect
+     * rule sends requests for a path that would otherwise not be found to
+     * another location.  Rules are created automatically when the URL of an
+     * article or page changes and may also be managed by hand.  The "source"
+     * of a rule is matched against the decoded path of the request based on
+     * the "match_type":
+     * <ul>
+     * <li>exact - The path must equal the source</li>
+     * <li>wildcard - Each "*" in the source matches any number of characters</li>
+     * <li>regex - The source is a regular expression</li>
+     * </ul>
+     * The characters captured by a wildcard or a regular expression are
+     * available to the "target" as $1, $2, etc.
+     * @class RedirectService
+     * @extends BaseObjectService
+     * @constructor
+     * @param {Object} context
+     * @param {String} [context.site]
+     */
+    function RedirectService(context) {
+        if (!util.isObject(context)) {
+            context = {};
+        }
+
+        context.type = TYPE;
+        context.onlyThisSite = true;
+        RedirectService.super_.call(this, context);
+    }
+    util.inherits(RedirectService, BaseObjectService);
+
+    /**
+     * The fields that redirects can be filtered by mapped to their type.
+     * @private
+     * @static
+     * @readonly
+     * @property FILTER_FIELDS
+     * @type {Object}
+     */
+    var FILTER_FIELDS = Object.freeze({
+        source: pb.WhereParser.TYPES.STRING,
+        target: pb.WhereParser.TYPES.STRING,
+        match_type: pb.WhereParser.TYPES.STRING,
+        code: pb.WhereParser.TYPES.NUMBER,
+        automatic: pb.WhereParser.TYPES.BOOLEAN,
+        created: pb.WhereParser.TYPES.DATE,
+        last_modified: pb.WhereParser.TYPES.DATE
+    });
+
+    /**
+     * Provides the fields that redirects can be filtered by with the "$where"
+     * query parameter
+     * @method getFilterFields
+     * @return {Object}
+     */
+    RedirectService.prototype.getFilterFields = function() {
+        return FILTER_FIELDS;
+    };
+
+    /**
+     * Describes a redirect as it is accepted by the validate listener
+     * @private
+     * @static
+     * @readonly
+     * @property SCHEMA
+     * @type {Object}
+     */
+    var SCHEMA = Object.freeze({
+        type: 'object',
+        properties: {
+            source: {type: 'string', minLength: 1},
+            target: {type: 'string', minLength: 1},
+            match_type: {type: 'string', enum: ['exact', 'wildcard', 'regex']},
+            code: {type: 'integer', enum: [301, 302]},
+            automatic: {type: 'boolean', readOnly: true}
+        },
+        required: ['source', 'target']
+    });
+
+    /**
+     * The supported ways of matching the source of a rule
+     * @static
+     * @readonly
+     * @property MATCH_TYPES
+     * @type {Object}
+     */
+    RedirectService.MATCH_TYPES = Object.freeze({
+        EXACT: 'exact',
+        WILDCARD: 'wildcard',
+        REGEX: 'regex'
+    });
+
+    /**
+     * The HTTP status codes that a rule may respond with
+     * @static
+     * @readonly
+     * @property CODES
+     * @type {Array}
+     */
+    RedirectService.CODES = Object.freeze([pb.HttpStatus.MOVED_PERMANENTLY, pb.HttpStatus.MOVED_TEMPORARILY]);
+
+    /**
+     * Finds the location that a path should be redirected to.  Exact rules
+     * take precedence over pattern rules, which are tried in the order they
+     * were created.  When the path starts with one of the locales the rules
+     * are also matched against the remainder of the path and the locale is
+     * kept in the location.
+     * @method resolve
+     * @param {String} path The decoded path of the request
+     * @param {Object} [options]
+     * @param {Array} [options.locales] The locales supported by the site
+     * @param {Function} cb (Error, Object) Provides the "location" and the
+     * "code" or NULL when no rule matches
+     */
+    RedirectService.prototype.resolve = function(path, options, cb) {
+        if (util.isFunction(options)) {
+            cb = options;
+            options = {};
+        }
+
+        var self = this;
+        path = RedirectService.normalizePath(path);
+        this.find(path, function(err, result) {
+            if (util.isError(err) || result !== null) {
+                return cb(err, result);
+            }
+
+            var parts = path.split('/');
+            if (parts.length < 3 || (options.locales || []).indexOf(parts[1]) < 0) {
+                return cb(null, null);
+            }
+
+            var locale = parts[1];
+            self.find('/' + parts.slice(2).join('/'), function(err, result) {
+                if (result && result.location.charAt(0) === '/') {
+                    result.location = pb.UrlService.urlJoin('/' + locale, result.location);
+                }
+                cb(err, result);
+            });
+        });
+    };
+
+    /**
+     * Finds the rule that matches the path
+     * @method find
+     * @param {String} path The normalized path of the request
+     * @param {Function} cb (Error, Object) Provides the "location" and the
+     * "code" or NULL when no rule matches
+     */
+    RedirectService.prototype.find = function(path, cb) {
+        var self = this;
+        var where = {
+            source: path,
+            match_type: RedirectService.MATCH_TYPES.EXACT
+        };
+        this.dao.loadByValues(where, TYPE, function(err, rule) {
+            if (util.isError(err) || rule !== null) {
+                return cb(err, rule ? {location: rule.target, code: rule.code} : null);
+            }
+
+            if (path.length > MAX_PATH_LENGTH) {
+                return cb(null, null);
+            }
+
+            self.getPatternRules(function(err, rules) {
+                if (util.isError(err)) {
+                    return cb(err);
+                }
+
+                for (var i = 0; i < rules.length; i++) {
+                    var location = RedirectService.getLocation(rules[i].rule, path, rules[i].pattern);
+                    if (location !== null) {
+                        return cb(null, {location: location, code: rules[i].rule.code});
+                    }
+                }
+                cb(null, null);
+            });
+        });
+    };
+
+    /**
+     * Provides the wildcard and regex rules of the site in the order they were
+     * created along with their compiled pattern.  The rules are kept in memory
+     * until a rule of the site is saved or deleted.  Rules whose source is not
+     * a valid or safe pattern are left out.
+     * @method getPatternRules
+     * @param {Function} cb (Error, Array) Provides objects with the "rule"
+     * and its "pattern"
+     */
+    RedirectService.prototype.getPatternRules = function(cb) {
+        var self = this;
+        var site = pb.SiteService.getCurrentSite(this.context.site);
+        pb.cache.get(VERSION_KEY_PREFIX + site, function(err, version) {
+            if (util.isError(err)) {
+                return cb(err);
+            }
+
+            version = version || '0';
+            var cached = PATTERN_RULES[site];
+            if (cached && cached.version === version) {
+                return cb(null, cached.rules);
+            }
+
+            var opts = {
+                where: {match_type: {$ne: RedirectService.MATCH_TYPES.EXACT}},
+                order: [['created', DAO.ASC]]
+            };
+            self.dao.q(TYPE, opts, function(err, rules) {
+                if (util.isError(err)) {
+                    return cb(err);
+                }
+
+                var compiled = [];
+                rules.forEach(function(rule) {
+                    var pattern = RedirectService.getPattern(rule);
+                    if (pattern !== null) {
+                        compiled.push({rule: rule, pattern: pattern});
+                    }
+                });
+                PATTERN_RULES[site] = {version: version, rules: compiled};
+                cb(null, compiled);
+            });
+        });
+    };
+
+    /**
+     * Records that content moved from one path to another.  Rules that pointed
+     * to the old path are pointed to the new path so that visitors are never
+     * sent through a chain of redirects, and rules for the new path are
+     * removed because the content is now found there.
+     * @method addAutomatic
+     * @param {String} fromPath The decoded path that the content was served from
+     * @param {String} toPath The decoded path that the content is now served from
+     * @param {Function} cb (Error, Object) Provides the rule for the old path
+     * or NULL when the paths are the same
+     */
+    RedirectService.prototype.addAutomatic = function(fromPath, toPath, cb) {
+        fromPath = RedirectService.normalizePath(fromPath);
+        toPath = RedirectService.normalizePath(toPath);
+        if (fromPath === toPath) {
+            return cb(null, null);
+        }
+
+        var self = this;
+        var target = RedirectService.encodePath(toPath);
+        var tasks = [
+
+            //the content now lives at the new path
+            function(callback) {
+                var opts = {
+                    select: {_id: 1},
+                    where: {source: toPath, match_type: RedirectService.MATCH_TYPES.EXACT}
+                };
+                self.dao.q(TYPE, opts, function(err, rules) {
+                    if (util.isError(err) || rules.length === 0) {
+                        return callback(err);
+                    }
+                    var ids = rules.map(function(rule) {
+                        return rule[DAO.getIdField()];
+                    });
+                    self.dao.delete(DAO.getIdInWhere(ids), TYPE, callback);
+                });
+            },
+
+            //avoid chains by sending the rules for the old path to the new one
+            function(callback) {
+                var opts = {
+                    where: {target: RedirectService.encodePath(fromPath), match_type: RedirectService.MATCH_TYPES.EXACT}
+                };
+                self.dao.q(TYPE, opts, function(err, rules) {
+                    if (util.isError(err)) {
+                        return callback(err);
+                    }
+                    async.eachSeries(rules, function(rule, next) {
+                        rule.target = target;
+                        self.dao.save(rule, next);
+                    }, callback);
+                });
+            },
+
+            //create or update the rule for the old path
+            function(callback) {
+                var where = {source: fromPath, match_type: RedirectService.MATCH_TYPES.EXACT};
+                self.dao.loadByValues(where, TYPE, function(err, rule) {
+                    if (util.isError(err)) {
+                        return callback(err);
+                    }
+
+                    var dto = {
+                        source: fromPath,
+                        target: target,
+                        code: pb.HttpStatus.MOVED_PERMANENTLY,
+                        match_type: RedirectService.MATCH_TYPES.EXACT,
+                        automatic: true
+                    };
+                    if (rule) {
+                        dto[DAO.getIdField()] = rule[DAO.getIdField()] + '';
+                    }
+                    self.save(dto, callback);
+                });
+            }
+        ];
+        async.series(tasks, function(err, results) {
+            cb(err, results ? results[2] : null);
+        });
+    };
+
+    /**
+     * @static
+     * @method getMatchTypes
+     * @return {Array} The values of the supported match types
+     */
+    RedirectService.getMatchTypes = function() {
+        return Object.keys(RedirectService.MATCH_TYPES).map(function(key) {
+            return RedirectService.MATCH_TYPES[key];
+        });
+    };
+
+    /**
+     * Creates the location of a rule for a path
+     * @static
+     * @method getLocation
+     * @param {Object} rule
+     * @param {String} path The normalized path of the request
+     * @param {RegExp} [pattern] The compiled source of the rule
+     * @return {String} NULL when the rule does not match the path
+     */
+    RedirectService.getLocation = function(rule, path, pattern) {
+        pattern = pattern || RedirectService.getPattern(rule);
+        var match = pattern ? pattern.exec(path) : null;
+        if (match === null) {
+            return null;
+        }
+        return rule.target.replace(/\$(\d)/g, function(placeholder, index) {
+            return match[index] === undefined ? '' : encodeURIComponent(match[index]).replace(/%2F/gi, '/');
+        });
+    };
+
+    /**
+     * Creates the regular expression that matches the source of a rule
+     * @static
+     * @method getPattern
+     * @param {Object} rule
+     * @return {RegExp} NULL when the source is not a valid or safe pattern
+     */
+    RedirectService.getPattern = function(rule) {
+        var source = rule.source;
+        if (!util.isString(source) || !RedirectService.isSafePattern(rule)) {
+            return null;
+        }
+
+        try {
+            switch (rule.match_type) {
+                case RedirectService.MATCH_TYPES.WILDCARD:
+                    return new RegExp('^' + source.split('*').map(util.escapeRegExp).join('(.*)') + '$');
+                case RedirectService.MATCH_TYPES.REGEX:
+                    return new RegExp(source);
+                default:
+                    return new RegExp('^' + util.escapeRegExp(source) + '$');
+            }
+        }
+        catch(e) {
+            return null;
+        }
+    };
+
+    /**
+     * Checks that matching the source of a rule against a path cannot take
+     * exponential time.  The source may not be longer than 200 characters or
+     * contain more than three unbounded repetitions.  Regular expressions may
+     * also not contain back references or repeat a group that contains a
+     * repetition or an alternation, such as "(a+)+" or "(a|ab)*".
+     * @static
+     * @method isSafePattern
+     * @param {Object} rule
+     * @return {Boolean}
+     */
+    RedirectService.isSafePattern = function(rule) {
+        var source = rule.source;
+        if (rule.match_type === RedirectService.MATCH_TYPES.EXACT) {
+            return true;
+        }
+        if (source.length > MAX_PATTERN_LENGTH) {
+            return false;
+        }
+        if (rule.match_type === RedirectService.MATCH_TYPES.WILDCARD) {
+            return source.split('*').length - 1 <= MAX_REPETITIONS;
+        }
+        if (/\\[1-9k]/.test(source)) {
+            return false;
+        }
+
+        //escaped characters and character classes cannot repeat on their own
+        source = source.replace(/\\./g, 'x').replace(/\[[^\]]*\]/g, 'x');
+
+        var repetitions = 0;
+        var groups = [];
+        for (var i = 0; i < source.length; i++) {
+            var c = source.charAt(i);
+            var unbounded = c === '*' || c === '+' || (c === '{' && /^\{\d*,\}/.test(source.substr(i)));
+            if (unbounded) {
+                repetitions++;
+            }
+            if (c === '(') {
+                groups.push(false);
+            }
+            else if (c === ')') {
+                var complex = groups.pop();
+                var next = source.charAt(i + 1);
+                if (complex && (next === '*' || next === '+' || next === '{')) {
+                    return false;
+                }
+                if (complex && groups.length > 0) {
+                    groups[groups.length - 1] = true;
+                }
+            }
+            else if (groups.length > 0 && (unbounded || c === '|')) {
+                groups[groups.length - 1] = true;
+            }
+        }
+        return repetitions <= MAX_REPETITIONS;
+    };
+
+    /**
+     * Creates the path that content is served from
+     * @static
+     * @method getContentPath
+     * @param {String} type The content type
+     * @param {String} url The custom URL of the content
+     * @return {String} NULL when URLs are not tracked for the content type
+     */
+    RedirectService.getContentPath = function(type, url) {
+        if (!CONTENT_PREFIXES[type] || !ValidationService.isNonEmptyStr(url, true)) {
+            return null;
+        }
+        return RedirectService.normalizePath(CONTENT_PREFIXES[type] + '/' + url.replace(/^\/+/, ''));
+    };
+
+    /**
+     * Removes the trailing slash from a path so that "/a" and "/a/" match the
+     * same rules
+     * @static
+     * @method normalizePath
+     * @param {String} path
+     * @return {String}
+     */
+    RedirectService.normalizePath = function(path) {
+        path = '/' + (path || '').replace(/^\/+/, '');
+        return path.length > 1 ? path.replace(/\/+$/, '') : path;
+    };
+
+    /**
+     * Percent encodes each segment of a decoded path so it can be sent as a
+     * location
+     * @static
+     * @method encodePath
+     * @param {String} path
+     * @return {String}
+     */
+    RedirectService.encodePath = function(path) {
+        return path.split('/').map(encodeURIComponent).join('/');
+    };
+
+    /**
+     *
+     * @static
+     * @method format
+     * @param {Object} context
+     * @param {Object} context.data The incoming request body
+     * @param {RedirectService} context.service An instance of the service that triggered
+     * the event that called this handler
+     * @param {Function} cb A callback that takes a single parameter: an error if occurred
+     */
+    RedirectService.format = function(context, cb) {
+        var dto = context.data;
+        dto.match_type = dto.match_type || RedirectService.MATCH_TYPES.EXACT;
+        if (util.isString(dto.source)) {
+            dto.source = dto.source.trim();
+            if (dto.match_type !== RedirectService.MATCH_TYPES.REGEX) {
+                dto.source = RedirectService.normalizePath(dto.source);
+            }
+        }
+        if (util.isString(dto.target)) {
+            dto.target = dto.target.trim();
+        }
+        dto.code = util.isNullOrUndefined(dto.code) || dto.code === '' ? pb.HttpStatus.MOVED_PERMANENTLY : parseInt(dto.code);
+        dto.automatic = dto.automatic === true;
+        cb(null);
+    };
+
+    /**
+     *
+     * @static
+     * @method merge
+     * @param {Object} context
+     * @param {Object} context.data The incoming request body
+     * @param {Object} context.object The object to be persisted
+     * @param {RedirectService} context.service An instance of the service that triggered
+     * the event that called this handler
+     * @param {Function} cb A callback that takes a single parameter: an error if occurred
+     */
+    RedirectService.merge = function(context, cb) {
+        var obj = context.object;
+        var dto = context.data;
+        obj.source = dto.source;
+        obj.target = dto.target;
+        obj.code = dto.code;
+        obj.match_type = dto.match_type;
+        obj.automatic = dto.automatic;
+        cb(null);
+    };
+
+    /**
+     * Validates the rule and ensures that only one exact rule exists for a path
+     * @static
+     * @method validate
+     * @param {Object} context
+     * @param {Object} context.data The DTO that was provided for persistence
+     * @param {RedirectService} context.service An instance of the service that triggered
+     * the event that called this handler
+     * @param {Function} cb A callback that takes a single parameter: an error if occurred
+     */
+    RedirectService.validate = function(context, cb) {
+        var obj    = context.data;
+        var errors = context.validationErrors;
+
+        var matchTypes = RedirectService.getMatchTypes();
+        if (matchTypes.indexOf(obj.match_type) < 0) {
+            errors.push(BaseObjectService.validationFailure('match_type', 'The match type must be one of: ' + matchTypes.join(', ')));
+        }
+        if (!ValidationService.isNonEmptyStr(obj.source, true)) {
+            errors.push(BaseObjectService.validationFailure('source', 'The source is required'));
+        }
+        else if (!RedirectService.isSafePattern(obj)) {
+            errors.push(BaseObjectService.validationFailure('source', 'The source must be at most ' + MAX_PATTERN_LENGTH + ' characters with at most ' + MAX_REPETITIONS + ' repetitions and may not repeat a group that repeats or alternates'));
+        }
+        else if (RedirectService.getPattern(obj) === null) {
+            errors.push(BaseObjectService.validationFailure('source', 'The source is not a valid pattern'));
+        }
+        if (!ValidationService.isNonEmptyStr(obj.target, true)) {
+            errors.push(BaseObjectService.validationFailure('target', 'The target is required'));
+        }
+        else if (obj.target.charAt(0) !== '/' && !/^https?:\/\/\S+$/i.test(obj.target)) {
+            errors.push(BaseObjectService.validationFailure('target', 'The target must be a path or an absolute URL'));
+        }
+        else if (obj.match_type === RedirectService.MATCH_TYPES.EXACT && RedirectService.normalizePath(obj.target.split('?')[0]) === obj.source) {
+            errors.push(BaseObjectService.validationFailure('target', 'A path cannot be redirected to itself'));
+        }
+        if (RedirectService.CODES.indexOf(obj.code) < 0) {
+            errors.push(BaseObjectService.validationFailure('code', 'The code must be one of: ' + RedirectService.CODES.join(', ')));
+        }
+        if (errors.length > 0 || obj.match_type !== RedirectService.MATCH_TYPES.EXACT) {
+
+            //no need to check the DB.  Short circuit it here
+            return cb(null, errors);
+        }
+
+        var where = DAO.getNotIdWhere(obj[DAO.getIdField()]);
+        where.source = obj.source;
+        where.match_type = RedirectService.MATCH_TYPES.EXACT;
+        context.service.dao.exists(TYPE, where, function(err, exists) {
+            if (util.isError(err)) {
+                return cb(err);
+            }
+            else if (exists) {
+                errors.push(BaseObjectService.validationFailure('source', 'A redirect already exists for ' + obj.source));
+            }
+            cb(null, errors);
+        });
+    };
+
+    /**
+     * Event handler that remembers the URL that content was served from before
+     * it is updated.  The URL is provided to the "afterSave" handler as the
+     * "previousUrl" of the context.
+     * @static
+     * @method onBeforeContentSave
+     * @param {Object} context
+     * @param {Object} context.data The object that is about to be persisted
+     * @param {Boolean} context.isUpdate
+     * @param {BaseObjectService} context.service
+     * @param {Function} cb
+     */
+    RedirectService.onBeforeContentSave = function(context, cb) {
+        if (!context.isUpdate) {
+            return cb();
+        }
+
+        var opts = {
+            select: {url: 1}
+        };
+        context.service.dao.loadById(context.data[DAO.getIdField()], context.service.type, opts, function(err, existing) {
+            if (util.isError(err)) {
+                pb.log.error('RedirectService: Failed to retrieve the URL of %s [%s]: %s', context.service.type, context.data[DAO.getIdField()], err.stack);
+            }
+            context.previousUrl = existing ? existing.url : null;
+            cb();
+        });
+    };
+
+    /**
+     * Event handler that creates a redirect when the URL of content changes.
+     * Failures are logged but do not interrupt the save.
+     * @static
+     * @method onAfterContentSave
+     * @param {Object} context
+     * @param {Object} context.data The object that was persisted
+     * @param {String} [context.previousUrl]
+     * @param {String} [context.site]
+     * @param {Function} cb
+     */
+    RedirectService.onAfterContentSave = function(context, cb) {
+        var obj = context.data;
+        if (!context.previousUrl || context.previousUrl === obj.url) {
+            return cb();
+        }
+
+        var type = obj.object_type || context.service.type;
+        var service = new RedirectService({site: obj.site || context.site});
+        service.addAutomatic(RedirectService.getContentPath(type, context.previousUrl), RedirectService.getContentPath(type, obj.url), function(err) {
+            if (util.isError(err)) {
+                pb.log.error('RedirectService: Failed to redirect the previous URL of %s [%s]: %s', type, obj[DAO.getIdField()], err.stack);
+            }
+            cb();
+        });
+    };
+
+    /**
+     * Event handler that makes every process reload the pattern rules of the
+     * site after a rule is saved or deleted
+     * @static
+     * @method onRuleChanged
+     * @param {Object} context
+     * @param {Object} context.data The rule that was persisted or deleted
+     * @param {RedirectService} context.service
+     * @param {Function} cb
+     */
+    RedirectService.onRuleChanged = function(context, cb) {
+        var site = pb.SiteService.getCurrentSite(context.data.site || context.service.context.site);
+        delete PATTERN_RULES[site];
+        pb.cache.incr(VERSION_KEY_PREFIX + site, function(err) {
+            if (util.isError(err)) {
+                pb.log.error('RedirectService: Failed to expire the redirect rules of site %s: %s', site, err.stack);
+            }
+            cb();
+        });
+    };
+
+    //Event Registries
+    BaseObjectService.on(TYPE + '.' + BaseObjectService.FORMAT, RedirectService.format);
+    BaseObjectService.on(TYPE + '.' + BaseObjectService.MERGE, RedirectService.merge);
+    BaseObjectService.on(TYPE + '.' + BaseObjectService.VALIDATE, RedirectService.validate);
+    BaseObjectService.on(TYPE + '.' + BaseObjectService.AFTER_SAVE, RedirectService.onRuleChanged);
+    BaseObjectService.on(TYPE + '.' + BaseObjectService.AFTER_DELETE, RedirectService.onRuleChanged);
+    BaseObjectService.registerSchema(TYPE, SCHEMA);
+    Object.keys(CONTENT_PREFIXES).forEach(function(type) {
+        BaseObjectService.on(type + '.' + BaseObjectService.BEFORE_SAVE, RedirectService.onBeforeContentSave);
+        BaseObjectService.on(type + '.' + BaseObjectService.AFTER_SAVE, RedirectService.onAfterContentSave);
+    });
+
+    //exports
+    return RedirectService;
+};
@@ -0,0 +1,697 @@
+/*
+    Copyright (C) 2016  PencilBlue, LLC
+
+    This program is free software: you can redistribute it and/or modify
+    it under the terms of the GNU General Public License as published by
+    the Free Software Foundation, either version 3 of the License, or
+    (at your option) any later version.
+
+    This program is distributed in the hope that it will be useful,
+    but WITHOUT ANY WARRANTY; without even the implied warranty of
+    MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+    GNU General Public License for more details.
+
+    You should have received a copy of the GNU General Public License
+    along with this program.  If not, see <http://www.gnu.org/licenses/>.
+*/
+'use strict';
+
+//dependencies
+var util        = require('../../util.js');
+var async       = require('async');
+var HtmlEncoder = require('htmlencode');
+
+module.exports = function SearchServiceModule(pb) {
+
+    //pb dependencies
+    var DAO                 = pb.DAO;
+    var BaseObjectService   = pb.BaseObjectService;
+    var CustomObjectService = pb.CustomObjectService;
+    var ValidationService   = pb.ValidationService;
+
+    /**
+     * Provides full-text search over the content of a site.  The searchable
+     * text of content is stored in the search index collection, which has a
+     * weighted text index.  Queries are ranked by relevance in the database,
+     * can be paged and are returned along with facets and highlighted
+     * snippets.  The index is kept
+     * in sync by listening to the save and delete events of the content
+     * services.
+     * @class SearchService
+     * @constructor
+     * @param {Object} [context]
+     * @param {String} [context.site]
+     */
+    function SearchService(context) {
+        if (!util.isObject(context)) {
+            context = {};
+        }
+
+        /**
+         * @property site
+         * @type {String}
+         */
+        this.site = pb.SiteService.getCurrentSite(context.site);
+
+        /**
+         * @property dao
+         * @type {SiteQueryService}
+         */
+        this.dao = new pb.SiteQueryService({site: this.site, onlyThisSite: true});
+    }
+
+    /**
+     * The collection that stores the index entries
+     * @private
+     * @static
+     * @readonly
+     * @property TYPE
+     * @type {String}
+     */
+    var TYPE = 'search_index';
+
+    /**
+     * The default number of results returned for a page of results
+     * @private
+     * @static
+     * @readonly
+     * @property DEFAULT_LIMIT
+     * @type {Integer}
+     */
+    var DEFAULT_LIMIT = 10;
+
+    /**
+     * The maximum number of results returned for a page of results
+     * @private
+     * @static
+     * @readonly
+     * @property MAX_LIMIT
+     * @type {Integer}
+     */
+    var MAX_LIMIT = 100;
+
+    /**
+     * The number of characters that make up a highlighted snippet
+     * @private
+     * @static
+     * @readonly
+     * @property SNIPPET_LENGTH
+     * @type {Integer}
+     */
+    var SNIPPET_LENGTH = 200;
+
+    /**
+     * Common words that are not worth indexing
+     * @private
+     * @static
+     * @readonly
+     * @property STOP_WORDS
+     * @type {Object}
+     */
+    var STOP_WORDS = Object.freeze(util.arrayToHash([
+        'a', 'an', 'and', 'are', 'as', 'at', 'be', 'but', 'by', 'for', 'if', 'in', 'into', 'is', 'it', 'no', 'not',
+        'of', 'on', 'or', 'such', 'that', 'the', 'their', 'then', 'there', 'these', 'they', 'this', 'to', 'was',
+        'will', 'with'
+    ]));
+
+    /**
+     * The weight of each field of an index entry when ranking results.  The
+     * weights are applied by the text index of the search index collection
+     * (see include/dao/indices.js) and must be kept in sync with it.
+     * @static
+     * @readonly
+     * @property FIELD_WEIGHTS
+     * @type {Object}
+     */
+    SearchService.FIELD_WEIGHTS = Object.freeze({
+        headline: 10,
+        subheading: 5,
+        keywords: 4,
+        topic_names: 3,
+        text: 1
+    });
+
+    /**
+     * The fields of an index entry that are counted to build the facets of a
+     * search mapped to the name of the facet
+     * @private
+     * @static
+     * @readonly
+     * @property FACET_FIELDS
+     * @type {Object}
+     */
+    var FACET_FIELDS = Object.freeze({
+        topics: 'topics',
+        sections: 'sections',
+        authors: 'author'
+    });
+
+    /**
+     * The content types that are searched when none are specified
+     * @static
+     * @readonly
+     * @property DEFAULT_TYPES
+     * @type {Array}
+     */
+    SearchService.DEFAULT_TYPES = Object.freeze(['article', 'page']);
+
+    /**
+     * The registered extractors keyed by content type.  Each extractor is a
+     * function that takes the object to be indexed and provides the
+     * searchable fields for it.
+     * @private
+     * @static
+     * @property EXTRACTORS
+     * @type {Object}
+     */
+    var EXTRACTORS = {
+
+        article: function(obj) {
+            return {
+                headline: obj.headline,
+                subheading: obj.subheading,
+                body: obj.article_layout,
+                keywords: obj.meta_keywords,
+                topics: obj.article_topics,
+                sections: obj.article_sections,
+                author: obj.author,
+                url: obj.url,
+                publish_date: obj.publish_date,
+                expiry_date: obj.expiry_date,
+                draft: obj.draft
+            };
+        },
+
+        page: function(obj) {
+            return {
+                headline: obj.headline,
+                subheading: obj.subheading,
+                body: obj.page_layout,
+                keywords: obj.meta_keywords,
+                topics: obj.page_topics,
+                author: obj.author,
+                url: obj.url,
+                publish_date: obj.publish_date,
+                expiry_date: obj.expiry_date,
+                draft: obj.draft
+            };
+        },
+
+        custom_object: function(obj) {
+            var body = [];
+            Object.keys(obj).forEach(function(key) {
+                if (key !== 'name' && key !== 'type' && key !== 'object_type' && key !== 'site' && util.isString(obj[key])) {
+                    body.push(obj[key]);
+                }
+            });
+            return {
+                headline: obj.name,
+                body: body.join(' '),
+                custom_object_type: obj.type
+            };
+        }
+    };
+
+    /**
+     * Registers a function that extracts the searchable fields from objects
+     * of the specified type.  This allows plugins to make their own content
+     * searchable.  The extractor should return an object with any of the
+     * properties: headline, subheading, body, keywords, topics, sections,
+     * author, url, publish_date, expiry_date, draft.  The index is kept in sync
+     * through the BaseObjectService events for the type.
+     * @static
+     * @method registerType
+     * @param {String} type
+     * @param {Function} extractor (Object) => Object
+     * @return {Boolean} TRUE if the extractor was registered
+     */
+    SearchService.registerType = function(type, extractor) {
+        if (!ValidationService.isNonEmptyStr(type, true) || !util.isFunction(extractor)) {
+            return false;
+        }
+        if (!EXTRACTORS[type]) {
+            BaseObjectService.on(type + '.' + BaseObjectService.AFTER_SAVE, SearchService.onSave);
+            BaseObjectService.on(type + '.' + BaseObjectService.AFTER_DELETE, SearchService.onDelete);
+        }
+        EXTRACTORS[type] = extractor;
+        return true;
+    };
+
+    /**
+     * Removes the extractor for the specified type
+     * @static
+     * @method unregisterType
+     * @param {String} type
+     * @return {Boolean} TRUE if an extractor was removed
+     */
+    SearchService.unregisterType = function(type) {
+        var exists = !!EXTRACTORS[type];
+        delete EXTRACTORS[type];
+        BaseObjectService.removeListener(type + '.' + BaseObjectService.AFTER_SAVE, SearchService.onSave);
+        BaseObjectService.removeListener(type + '.' + BaseObjectService.AFTER_DELETE, SearchService.onDelete);
+        return exists;
+    };
+
+    /**
+     * Indicates if objects of the specified type can be indexed
+     * @static
+     * @method isSearchable
+     * @param {String} type
+     * @return {Boolean}
+     */
+    SearchService.isSearchable = function(type) {
+        return util.isFunction(EXTRACTORS[type]);
+    };
+
+    /**
+     * Removes HTML tags and entities from the provided value
+     * @static
+     * @method stripHtml
+     * @param {String} value
+     * @return {String}
+     */
+    SearchService.stripHtml = function(value) {
+        if (!util.isString(value)) {
+            return '';
+        }
+        return HtmlEncoder.htmlDecode(value.replace(/<[^>]*>/g, ' ')).replace(/\s+/g, ' ').trim();
+    };
+
+    /**
+     * Breaks the provided text down into lower case terms.  Stop words and
+     * single characters are excluded.
+     * @static
+     * @method tokenize
+     * @param {String|Array} text
+     * @return {Array}
+     */
+    SearchService.tokenize = function(text) {
+        if (util.isArray(text)) {
+            text = text.join(' ');
+        }
+        if (!util.isString(text)) {
+            return [];
+        }
+
+        return text.toLowerCase().split(/[^a-z0-9\u00C0-\u024F]+/).filter(function(term) {
+            return term.length > 1 && !STOP_WORDS[term];
+        });
+    };
+
+    /**
+     * Builds the entry that will be persisted in the index for the provided
+     * object.
+     * @static
+     * @method buildEntry
+     * @param {String} type The content type of the object
+     * @param {Object} obj The object to index
+     * @param {Array} [topicNames] The names of the topics associated with the object
+     * @return {Object|null} The entry or NULL when the type is not searchable
+     */
+    SearchService.buildEntry = function(type, obj, topicNames) {
+        if (!SearchService.isSearchable(type) || !util.isObject(obj)) {
+            return null;
+        }
+
+        var fields = EXTRACTORS[type](obj) || {};
+        var text = {
+            headline: SearchService.stripHtml(fields.headline),
+            subheading: SearchService.stripHtml(fields.subheading),
+            keywords: util.isArray(fields.keywords) ? fields.keywords.join(' ') : '',
+            topics: util.isArray(topicNames) ? topicNames.join(' ') : '',
+            body: SearchService.stripHtml(fields.body)
+        };
+
+        return {
+            content_type: type,
+            content_id: obj[DAO.getIdField()] + '',
+            custom_object_type: fields.custom_object_type,
+            headline: text.headline,
+            url: fields.url,
+            author: fields.author,
+            topics: util.isArray(fields.topics) ? fields.topics : [],
+            sections: util.isArray(fields.sections) ? fields.sections : [],
+            publish_date: fields.publish_date,
+            expiry_date: fields.expiry_date || null,
+            draft: fields.draft ? 1 : 0,
+            subheading: text.subheading,
+            keywords: text.keywords,
+            topic_names: text.topics,
+            text: [text.subheading, text.body].join(' ').trim()
+        };
+    };
+
+    /**
+     * Creates an HTML safe excerpt of the text surrounding the first match of
+     * any of the terms.  Matches are wrapped in a "mark" element.
+     * @static
+     * @method highlight
+     * @param {String} text
+     * @param {Array} terms
+     * @param {Integer} [length=200]
+     * @return {String}
+     */
+    SearchService.highlight = function(text, terms, length) {
+        if (!util.isString(text) || text.length === 0) {
+            return '';
+        }
+        length = length || SNIPPET_LENGTH;
+
+        var pattern = null;
+        if (util.isArray(terms) && terms.length > 0) {
+            pattern = new RegExp('(' + terms.map(util.escapeRegExp).join('|') + ')', 'gi');
+        }
+
+        //center the snippet on the first match
+        var start = 0;
+        var match = pattern ? text.search(pattern) : -1;
+        if (match > length / 4) {
+            start = text.lastIndexOf(' ', match - Math.floor(length / 4)) + 1;
+        }
+        var snippet = text.substr(start, length);
+        var prefix  = start > 0 ? '&hellip;' : '';
+        var suffix  = start + length < text.length ? '&hellip;' : '';
+
+        snippet = HtmlEncoder.htmlEncode(snippet);
+        if (pattern) {
+            snippet = snippet.replace(pattern, '<mark>$1</mark>');
+        }
+        return prefix + snippet + suffix;
+    };
+
+    /**
+     * Converts the groups produced by counting a field of the matching index
+     * entries into the values of a facet.  Empty values are left out.
+     * @static
+     * @method formatFacet
+     * @param {Array} groups Objects with the value as the "_id" and the "count"
+     * @return {Array} Objects with the "value" and the "count" ordered by
+     * the count
+     */
+    SearchService.formatFacet = function(groups) {
+        return (groups || []).filter(function(group) {
+            return ValidationService.isNonEmptyStr(group._id, true);
+        }).map(function(group) {
+            return { value: group._id, count: group.count };
+        }).sort(function(a, b) {
+            return b.count - a.count;
+        });
+    };
+
+    /**
+     * Counts the index entries that match the where clause by topic, section,
+     * and author
+     * @method getFacets
+     * @param {Object} where
+     * @param {Function} cb (Error, Object) Provides the "topics", "sections"
+     * and "authors" facets
+     */
+    SearchService.prototype.getFacets = function(where, cb) {
+        var self  = this;
+        var tasks = {};
+        Object.keys(FACET_FIELDS).forEach(function(facet) {
+            var field = '$' + FACET_FIELDS[facet];
+            tasks[facet] = function(callback) {
+                var pipeline = [
+                    { $match: where },
+                    { $unwind: field },
+                    { $group: { _id: field, count: { $sum: 1 } } }
+                ];
+                self.dao.aggregate(TYPE, pipeline, function(err, groups) {
+                    callback(err, SearchService.formatFacet(groups));
+                });
+            };
+        });
+        async.parallel(tasks, cb);
+    };
+
+    /**
+     * Executes a search against the index for the current site.  Results are
+     * ranked by the text score of the index entries with the most recently
+     * published content first when the scores are equal.  The total and the
+     * facets cover every entry that matches.
+     * @method search
+     * @param {String} query
+     * @param {Object} [options]
+     * @param {Array} [options.types] The content types to search.  Defaults to articles and pages
+     * @param {String} [options.topic] Restricts results to content with the topic ID
+     * @param {String} [options.section] Restricts results to content in the section ID
+     * @param {String} [options.author] Restricts results to content by the author ID
+     * @param {Boolean} [options.published=false] Restricts results to published content
+     * @param {Integer} [options.limit=10]
+     * @param {Integer} [options.offset=0]
+     * @param {Function} cb (Error, Object) Provides a paged result that
+     * contains a "facets" property
+     */
+    SearchService.prototype.search = function(query, options, cb) {
+        if (util.isFunction(options)) {
+            cb = options;
+            options = {};
+        }
+
+        var terms = util.dedupeArray(SearchService.tokenize(query));
+        if (terms.length === 0) {
+            return cb(BaseObjectService.validationError([BaseObjectService.validationFailure('q', 'The search term must contain at least one searchable word')]));
+        }
+
+        var types  = util.isArray(options.types) && options.types.length ? options.types : SearchService.DEFAULT_TYPES;
+        var limit  = options.limit > 0 ? Math.min(options.limit, MAX_LIMIT) : DEFAULT_LIMIT;
+        var offset = options.offset > 0 ? options.offset : 0;
+        var where  = SearchService.getFilterWhere(types, options);
+        where.$text = { $search: terms.join(' ') };
+
+        var self  = this;
+        var tasks = {
+
+            total: util.wrapTask(this.dao, this.dao.count, [TYPE, where]),
+
+            entries: function(callback) {
+                var opts = {
+                    where: where,
+                    select: { text: 1, headline: 1, url: 1, content_type: 1, content_id: 1, custom_object_type: 1, publish_date: 1, score: { $meta: 'textScore' } },
+                    order: { score: { $meta: 'textScore' }, publish_date: DAO.DESC },
+                    limit: limit,
+                    offset: offset
+                };
+                self.dao.q(TYPE, opts, callback);
+            },
+
+            facets: util.wrapTask(this, this.getFacets, [where])
+        };
+        async.parallel(tasks, function(err, results) {
+            if (util.isError(err)) {
+                return cb(err);
+            }
+
+            var page = results.entries.map(function(entry) {
+                return SearchService.formatResult(entry, terms);
+            });
+            var pagedResult = BaseObjectService.getPagedResult(page, results.total, limit, offset);
+            pagedResult.facets = results.facets;
+            cb(null, pagedResult);
+        });
+    };
+
+    /**
+     * Builds the where clause that restricts the index entries that are
+     * considered for a search
+     * @static
+     * @method getFilterWhere
+     * @param {Array} types
+     * @param {Object} options See SearchService#search
+     * @return {Object}
+     */
+    SearchService.getFilterWhere = function(types, options) {
+        var where = {
+            content_type: { $in: types }
+        };
+        if (ValidationService.isIdStr(options.topic, true)) {
+            where.topics = options.topic;
+        }
+        if (ValidationService.isIdStr(options.section, true)) {
+            where.sections = options.section;
+        }
+        if (ValidationService.isIdStr(options.author, true)) {
+            where.author = options.author;
+        }
+        if (options.published) {
+            where.draft = 0;
+            where.publish_date = { $lte: new Date() };
+            pb.ContentObjectService.setExpiryClause(where);
+        }
+        return where;
+    };
+
+    /**
+     * Converts a scored index entry into the result that is returned to the
+     * caller
+     * @static
+     * @method formatResult
+     * @param {Object} entry
+     * @param {Array} terms
+     * @return {Object}
+     */
+    SearchService.formatResult = function(entry, terms) {
+        return {
+            id: entry.content_id,
+            type: entry.content_type,
+            custom_object_type: entry.custom_object_type,
+            headline: entry.headline,
+            display: entry.headline,
+            url: entry.url,
+            publish_date: entry.publish_date,
+            score: entry.score,
+            snippet: SearchService.highlight(entry.text, terms)
+        };
+    };
+
+    /**
+     * Adds or replaces the index entry for the provided object
+     * @method indexObject
+     * @param {String} type The content type of the object
+     * @param {Object} obj
+     * @param {Function} cb (Error, Object) Provides the persisted entry or
+     * NULL when the type is not searchable
+     */
+    SearchService.prototype.indexObject = function(type, obj, cb) {
+        if (!SearchService.isSearchable(type)) {
+            return cb(null, null);
+        }
+
+        var self  = this;
+        var tasks = {
+
+            topicNames: util.wrapTask(this, this.getTopicNames, [EXTRACTORS[type](obj).topics]),
+
+            existing: util.wrapTask(this.dao, this.dao.loadByValues, [{content_id: obj[DAO.getIdField()] + ''}, TYPE])
+        };
+        async.parallel(tasks, function(err, results) {
+            if (util.isError(err)) {
+                return cb(err);
+            }
+
+            var entry = SearchService.buildEntry(type, obj, results.topicNames);
+            if (results.existing) {
+                entry[DAO.getIdField()] = results.existing[DAO.getIdField()];
+                entry.created = results.existing.created;
+            }
+            entry.object_type = TYPE;
+            self.dao.save(entry, cb);
+        });
+    };
+
+    /**
+     * Retrieves the names of the topics with the provided IDs
+     * @method getTopicNames
+     * @param {Array} topicIds
+     * @param {Function} cb (Error, Array)
+     */
+    SearchService.prototype.getTopicNames = function(topicIds, cb) {
+        if (!util.isArray(topicIds) || topicIds.length === 0) {
+            return cb(null, []);
+        }
+
+        var opts = {
+            select: { name: 1 },
+            where: DAO.getIdInWhere(topicIds)
+        };
+        this.dao.q('topic', opts, function(err, topics) {
+            cb(err, util.isArray(topics) ? topics.map(function(topic) { return topic.name; }) : []);
+        });
+    };
+
+    /**
+     * Removes the index entry for the object with the provided ID
+     * @method removeObject
+     * @param {String} id
+     * @param {Function} cb (Error)
+     */
+    SearchService.prototype.removeObject = function(id, cb) {
+        this.dao.delete({content_id: id + ''}, TYPE, cb);
+    };
+
+    /**
+     * Clears the index for the site and re-indexes all searchable content.
+     * @method rebuild
+     * @param {Function} cb (Error, Integer) Provides the number of objects indexed
+     */
+    SearchService.prototype.rebuild = function(cb) {
+        var self  = this;
+        var count = 0;
+        this.dao.delete({}, TYPE, function(err) {
+            if (util.isError(err)) {
+                return cb(err);
+            }
+
+            async.eachSeries(Object.keys(EXTRACTORS), function(type, typeCallback) {
+                self.dao.q(type, {}, function(err, objects) {
+                    if (util.isError(err)) {
+                        return typeCallback(err);
+                    }
+
+                    async.eachSeries(objects, function(obj, callback) {
+                        count++;
+                        self.indexObject(type, obj, callback);
+                    }, typeCallback);
+                });
+            }, function(err) {
+                cb(err, count);
+            });
+        });
+    };
+
+    /**
+     * Event handler that updates the index after an object is saved.  Failures
+     * are logged but do not interrupt the save.
+     * @static
+     * @method onSave
+     * @param {Object} context
+     * @param {Object} context.data The object that was persisted
+     * @param {String} [context.site]
+     * @param {Function} cb
+     */
+    SearchService.onSave = function(context, cb) {
+        var obj     = context.data;
+        var type    = obj.object_type;
+        var service = new SearchService({site: obj.site || context.site});
+        service.indexObject(type, obj, function(err) {
+            if (util.isError(err)) {
+                pb.log.error('SearchService: Failed to index %s [%s]: %s', type, obj[DAO.getIdField()], err.stack);
+            }
+            cb();
+        });
+    };
+
+    /**
+     * Event handler that removes the index entry after an object is deleted.
+     * Failures are logged but do not interrupt the delete.
+     * @static
+     * @method onDelete
+     * @param {Object} context
+     * @param {Object} [context.data] The object that was deleted
+     * @param {String} [context.id] The ID of the object that was deleted
+     * @param {String} [context.site]
+     * @param {Function} cb
+     */
+    SearchService.onDelete = function(context, cb) {
+        var id      = context.id || context.data[DAO.getIdField()];
+        var service = new SearchService({site: context.site});
+        service.removeObject(id, function(err) {
+            if (util.isError(err)) {
+                pb.log.error('SearchService: Failed to remove index entry for [%s]: %s', id, err.stack);
+            }
+            cb();
+        });
+    };
+
+    //Event Registries
+    SearchService.DEFAULT_TYPES.forEach(function(type) {
+        BaseObjectService.on(type + '.' + BaseObjectService.AFTER_SAVE, SearchService.onSave);
+        BaseObjectService.on(type + '.' + BaseObjectService.AFTER_DELETE, SearchService.onDelete);
+    });
+    CustomObjectService.on(CustomObjectService.AFTER_SAVE, SearchService.onSave);
+    CustomObjectService.on(CustomObjectService.AFTER_DELETE, SearchService.onDelete);
+
+    //exports
+    return SearchService;
+};
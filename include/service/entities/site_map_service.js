@@ -36,6 +36,8 @@ module.exports = function(pb) {
      * @param {String} context.templatePath
      * @param {String} context.urlTemplatePath
      * @param {Array} [context.supportedLocales]
+     * @param {String} [context.hostname] The root URL of the site
+     * @param {Object} [context.siteObj] The site
      */
     function SiteMapService(context) {
         if (!util.isObject(context)) {
@@ -84,6 +86,20 @@ module.exports = function(pb) {
          */
         this.onlyThisSite = context.onlyThisSite;
 
+        /**
+         * The root URL of the site that the URLs are created for
+         * @property hostname
+         * @type {String}
+         */
+        this.hostname = context.hostname;
+
+        /**
+         * The name of the site as it is published in the news sitemap
+         * @property siteName
+         * @type {String}
+         */
+        this.siteName = context.siteObj && context.siteObj.displayName ? context.siteObj.displayName : pb.config.siteName;
+
         /**
          * @property templatePath
          * @type {String}
@@ -109,8 +125,25 @@ module.exports = function(pb) {
          * @type {Object}
          */
         this.siteMapRegistry = util.merge(SITE_MAP_REGISTRY, {});
+
+        /**
+         * The providers that can count and page the items of a type.  Initializes based off of the global
+         * configuration
+         * @property summaryRegistry
+         * @type {Object}
+         */
+        this.summaryRegistry = util.merge(SUMMARY_REGISTRY, {});
     }
 
+    /**
+     * The maximum number of URLs that search engines accept in a sitemap
+     * @static
+     * @readonly
+     * @property MAX_URLS
+     * @type {Integer}
+     */
+    SiteMapService.MAX_URLS = 50000;
+
     /**
      *
      * @private
@@ -129,6 +162,42 @@ module.exports = function(pb) {
      */
     var DEFAULT_URL_TEMPLATE = 'xml_feeds/sitemap/url';
 
+    /**
+     *
+     * @private
+     * @static
+     * @property INDEX_TEMPLATE
+     * @type {String}
+     */
+    var INDEX_TEMPLATE = 'xml_feeds/sitemap_index';
+
+    /**
+     *
+     * @private
+     * @static
+     * @property INDEX_ENTRY_TEMPLATE
+     * @type {String}
+     */
+    var INDEX_ENTRY_TEMPLATE = 'xml_feeds/sitemap_index/sitemap';
+
+    /**
+     *
+     * @private
+     * @static
+     * @property NEWS_TEMPLATE
+     * @type {String}
+     */
+    var NEWS_TEMPLATE = 'xml_feeds/news_sitemap';
+
+    /**
+     *
+     * @private
+     * @static
+     * @property NEWS_URL_TEMPLATE
+     * @type {String}
+     */
+    var NEWS_URL_TEMPLATE = 'xml_feeds/news_sitemap/url';
+
     /**
      *
      * @private
@@ -151,6 +220,31 @@ module.exports = function(pb) {
         }
     };
 
+    /**
+     * Provides the number of items and the date that the most recent item was
+     * modified for a type.  Types with a summary provider page their items
+     * themselves using the "offset" and "limit" of the context.  The items of
+     * other types are paged in memory.
+     * @private
+     * @static
+     * @property SUMMARY_REGISTRY
+     * @type {Object}
+     */
+    var SUMMARY_REGISTRY = {
+
+        article: function(context, cb) {
+            context.service.getSummary('article', SiteMapService.getPublishedWhere(), cb);
+        },
+
+        page: function(context, cb) {
+            context.service.getSummary('page', SiteMapService.getPublishedWhere(), cb);
+        },
+
+        section: function(context, cb) {
+            context.service.getSummary('section', SiteMapService.getSectionWhere(), cb);
+        }
+    };
+
     /**
      *
      * @method getAndSerialize
@@ -189,13 +283,7 @@ module.exports = function(pb) {
         }
 
         var self = this;
-        var context = Object.freeze({
-            service: this,
-            site: this.site,
-            onlyThisSite: this.onlyThisSite,
-            ts: this.ts,
-            hostname: this.hostname
-        });
+        var context = this.getProviderContext();
         var tasks = util.getTasks(Object.keys(self.siteMapRegistry), function(keys, i) {
             return function(callback) {
                 self.siteMapRegistry[keys[i]](context, callback);
@@ -204,6 +292,255 @@ module.exports = function(pb) {
         async.parallel(tasks, SiteMapService.formatGetResults(cb));
     };
 
+    /**
+     * Retrieves the entries of the sitemap index.  Each type of item is split
+     * into sitemaps of at most "config.sitemap.page_size" URLs.
+     * @method getIndex
+     * @param {Function} cb (Error, Array) Provides the "type", "page", "url"
+     * and "last_modified" of each sitemap
+     */
+    SiteMapService.prototype.getIndex = function(cb) {
+        var self = this;
+        var pageSize = SiteMapService.getPageSize();
+        var types = Object.keys(this.siteMapRegistry).sort();
+        var tasks = util.getTasks(types, function(types, i) {
+            return function(callback) {
+                self.getTypeSummary(types[i], callback);
+            };
+        });
+        async.parallel(tasks, function(err, summaries) {
+            if (util.isError(err)) {
+                return cb(err);
+            }
+
+            var entries = [];
+            summaries.forEach(function(summary, i) {
+                var pages = Math.ceil(summary.count / pageSize);
+                for (var page = 1; page <= pages; page++) {
+                    entries.push({
+                        type: types[i],
+                        page: page,
+                        url: pb.UrlService.createSystemUrl(SiteMapService.getPagePath(types[i], page), {hostname: self.hostname}),
+                        last_modified: summary.last_modified
+                    });
+                }
+            });
+            cb(null, entries);
+        });
+    };
+
+    /**
+     * Retrieves the number of items of a type and the date the most recent item
+     * was modified
+     * @method getTypeSummary
+     * @param {String} type
+     * @param {Function} cb (Error, Object) Provides the "count" and the
+     * "last_modified" date, which is NULL when unknown
+     */
+    SiteMapService.prototype.getTypeSummary = function(type, cb) {
+        var context = this.getProviderContext();
+        if (util.isFunction(this.summaryRegistry[type])) {
+            return this.summaryRegistry[type](context, cb);
+        }
+
+        this.siteMapRegistry[type](context, function(err, items) {
+            if (util.isError(err)) {
+                return cb(err);
+            }
+            cb(null, {
+                count: items.length,
+                last_modified: items.reduce(function(latest, item) {
+                    return item.last_modified instanceof Date && (!latest || item.last_modified > latest) ? item.last_modified : latest;
+                }, null)
+            });
+        });
+    };
+
+    /**
+     * Retrieves one page of the items of a type
+     * @method getPage
+     * @param {String} type
+     * @param {Integer} page The page number, starting at 1
+     * @param {Function} cb (Error, Array) Provides NULL when the type is not
+     * registered or the page is empty
+     */
+    SiteMapService.prototype.getPage = function(type, page, cb) {
+        if (!util.isFunction(this.siteMapRegistry[type]) || !(page >= 1)) {
+            return cb(null, null);
+        }
+
+        var pageSize = SiteMapService.getPageSize();
+        var offset = (page - 1) * pageSize;
+        var isPaged = util.isFunction(this.summaryRegistry[type]);
+        var context = this.getProviderContext(isPaged ? {offset: offset, limit: pageSize} : {});
+        this.siteMapRegistry[type](context, function(err, items) {
+            if (util.isError(err)) {
+                return cb(err);
+            }
+            if (!isPaged) {
+                items = items.slice(offset, offset + pageSize);
+            }
+            cb(null, items.length > 0 ? items : null);
+        });
+    };
+
+    /**
+     * Retrieves one page of the items of a type and serializes it as a sitemap
+     * @method getAndSerializePage
+     * @param {String} type
+     * @param {Integer} page The page number, starting at 1
+     * @param {Function} cb (Error, String) Provides NULL when the page does not
+     * exist
+     */
+    SiteMapService.prototype.getAndSerializePage = function(type, page, cb) {
+        var self = this;
+        this.getPage(type, page, function(err, items) {
+            if (util.isError(err) || items === null) {
+                return cb(err, null);
+            }
+            self.toXml(items, cb);
+        });
+    };
+
+    /**
+     * Retrieves the sitemap index and serializes it
+     * @method getAndSerializeIndex
+     * @param {Function} cb (Error, String)
+     */
+    SiteMapService.prototype.getAndSerializeIndex = function(cb) {
+        var self = this;
+        this.getIndex(function(err, entries) {
+            if (util.isError(err)) {
+                return cb(err);
+            }
+
+            var ts = self.ts.getChildInstance();
+            ts.registerModel({
+                sitemaps: function(flag, cb) {
+                    self._serializeEntries(entries, INDEX_ENTRY_TEMPLATE, function(entry) {
+                        return {
+                            url: entry.url,
+                            last_mod: entry.last_modified ? SiteMapService.getLastModDateStr(entry.last_modified) : ''
+                        };
+                    }, cb);
+                }
+            });
+            ts.load(INDEX_TEMPLATE, cb);
+        });
+    };
+
+    /**
+     * Retrieves the articles published within "config.sitemap.news.max_age"
+     * seconds, most recent first
+     * @method getNews
+     * @param {Function} cb (Error, Array)
+     */
+    SiteMapService.prototype.getNews = function(cb) {
+        var config = pb.config.sitemap.news;
+        var where = SiteMapService.getPublishedWhere();
+        where.publish_date.$gte = new Date(Date.now() - (config.max_age * util.TIME.MILLIS_PER_SEC));
+
+        var opts = {
+            select: {url: 1, headline: 1, publish_date: 1, last_modified: 1},
+            where: where,
+            order: [['publish_date', pb.DAO.DESC]],
+            limit: config.max_items
+        };
+        var options = {urlPrefix: '/article', weight: '1.0', localized: false, hostname: this.hostname};
+        this.dao.q('article', opts, SiteMapService.onPostLoad(options, cb));
+    };
+
+    /**
+     * Retrieves the recent articles and serializes them as a Google News
+     * sitemap
+     * @method getAndSerializeNews
+     * @param {Function} cb (Error, String)
+     */
+    SiteMapService.prototype.getAndSerializeNews = function(cb) {
+        var self = this;
+        this.getNews(function(err, items) {
+            if (util.isError(err)) {
+                return cb(err);
+            }
+
+            var language = SiteMapService.getNewsLanguage(self.ls.language);
+            var ts = self.ts.getChildInstance();
+            ts.registerModel({
+                urls: function(flag, cb) {
+                    self._serializeEntries(items, NEWS_URL_TEMPLATE, function(item) {
+                        return {
+                            url: item.url,
+                            publication_name: self.siteName,
+                            publication_language: language,
+                            publication_date: item.publish_date.toISOString(),
+                            title: item.headline
+                        };
+                    }, cb);
+                }
+            });
+            ts.load(NEWS_TEMPLATE, cb);
+        });
+    };
+
+    /**
+     * Provides the totals for the items of a type that are selected by the
+     * where clause
+     * @method getSummary
+     * @param {String} type
+     * @param {Object} where
+     * @param {Function} cb (Error, Object) Provides the "count" and the
+     * "last_modified" date
+     */
+    SiteMapService.prototype.getSummary = function(type, where, cb) {
+        var self = this;
+        var tasks = {
+
+            count: function(callback) {
+                self.dao.count(type, where, callback);
+            },
+
+            latest: function(callback) {
+                var opts = {
+                    select: {last_modified: 1},
+                    where: where,
+                    order: [['last_modified', pb.DAO.DESC]],
+                    limit: 1
+                };
+                self.dao.q(type, opts, callback);
+            }
+        };
+        async.parallel(tasks, function(err, results) {
+            if (util.isError(err)) {
+                return cb(err);
+            }
+            cb(null, {
+                count: results.count,
+                last_modified: results.latest.length > 0 ? results.latest[0].last_modified : null
+            });
+        });
+    };
+
+    /**
+     * Creates the context that is passed to the item providers
+     * @method getProviderContext
+     * @param {Object} [paging]
+     * @param {Integer} [paging.offset]
+     * @param {Integer} [paging.limit]
+     * @return {Object}
+     */
+    SiteMapService.prototype.getProviderContext = function(paging) {
+        paging = paging || {};
+        return Object.freeze({
+            service: this,
+            site: this.site,
+            onlyThisSite: this.onlyThisSite,
+            ts: this.ts,
+            hostname: this.hostname,
+            offset: paging.offset,
+            limit: paging.limit
+        });
+    };
+
     /**
      *
      * @method toXml
@@ -246,7 +583,8 @@ module.exports = function(pb) {
                     priority: item.priority || '1.0',
                     url: item.url,
                     last_mod: SiteMapService.getLastModDateStr(item.last_modified),
-                    alternate_links: new pb.TemplateValue(SiteMapService.createAlternateLinks(item, self.ls.language, self.supportedLocales, self.hostname), false)
+                    alternate_links: new pb.TemplateValue(SiteMapService.createAlternateLinks(item, self.ls.language, self.supportedLocales, self.hostname), false),
+                    images: new pb.TemplateValue(SiteMapService.serializeImages(item.images), false)
                 });
                 ts.load(self.urlTemplatePath, callback);
             };
@@ -259,6 +597,32 @@ module.exports = function(pb) {
         });
     };
 
+    /**
+     * Serializes items with a template that is loaded once per item
+     * @private
+     * @method _serializeEntries
+     * @param {Array} items
+     * @param {String} templatePath
+     * @param {Function} getModel (Object) Creates the model for an item
+     * @param {Function} cb (Error, TemplateValue)
+     */
+    SiteMapService.prototype._serializeEntries = function(items, templatePath, getModel, cb) {
+        var self = this;
+        var tasks = util.getTasks(items, function(items, i) {
+            return function(callback) {
+                var ts = self.ts.getChildInstance();
+                ts.registerModel(getModel(items[i]));
+                ts.load(templatePath, callback);
+            };
+        });
+        async.parallel(tasks, function(err, results) {
+            if (util.isError(err)) {
+                return cb(err);
+            }
+            cb(null, new pb.TemplateValue(results.join(''), false));
+        });
+    };
+
     /**
      *
      * @method getForArticles
@@ -266,14 +630,63 @@ module.exports = function(pb) {
      * @param {Function} cb
      */
     SiteMapService.prototype.getForArticles = function(context, cb) {
+        var self = this;
         var opts = {
-            service: this.articleService,
+            type: 'article',
             weight: '1.0',
             localized: true,
             urlPrefix: '/article',
-            hostname: this.hostname
+            hostname: this.hostname,
+            images: pb.config.sitemap.images
         };
-        this.getForContent(context, opts, cb);
+        this.getForContent(context, opts, function(err, items) {
+            if (util.isError(err) || !opts.images) {
+                return cb(err, items);
+            }
+            self.addImages(items, cb);
+        });
+    };
+
+    /**
+     * Sets the URLs of the images attached to articles as the "images" of each
+     * item
+     * @method addImages
+     * @param {Array} items Items that provide the "article_media"
+     * @param {Function} cb (Error, Array)
+     */
+    SiteMapService.prototype.addImages = function(items, cb) {
+        var mediaIds = items.reduce(function(ids, item) {
+            return util.isArray(item.article_media) ? ids.concat(item.article_media) : ids;
+        }, []);
+        if (mediaIds.length === 0) {
+            return cb(null, items);
+        }
+
+        var self = this;
+        var opts = {
+            select: {location: 1},
+            where: pb.DAO.getIdInWhere(mediaIds)
+        };
+        opts.where.media_type = 'image';
+        this.dao.q('media', opts, function(err, media) {
+            if (util.isError(err)) {
+                return cb(err);
+            }
+
+            var urls = {};
+            media.forEach(function(m) {
+                urls[m[pb.DAO.getIdField()].toString()] = SiteMapService.getImageUrl(m.location, self.hostname);
+            });
+            items.forEach(function(item) {
+                item.images = (item.article_media || []).map(function(id) {
+                    return urls[id];
+                }).filter(function(url) {
+                    return !!url;
+                });
+                delete item.article_media;
+            });
+            cb(null, items);
+        });
     };
 
     /**
@@ -284,7 +697,7 @@ module.exports = function(pb) {
      */
     SiteMapService.prototype.getForPages = function(context, cb) {
         var opts = {
-            service: this.pageService,
+            type: 'page',
             weight: '1.0',
             localized: true,
             urlPrefix: '/page',
@@ -294,17 +707,30 @@ module.exports = function(pb) {
     };
 
     /**
-     *
+     * Retrieves the published content of a type.  The content is ordered by
+     * creation so that the pages of a sitemap remain stable as content is
+     * added.
      * @method getForContent
      * @param {Object} context
+     * @param {Integer} [context.offset]
+     * @param {Integer} [context.limit]
      * @param {Object} options
+     * @param {String} options.type
+     * @param {Boolean} [options.images=false] When TRUE the "article_media" is selected
      * @param {Function} cb
      */
     SiteMapService.prototype.getForContent = function(context, options, cb) {
         var opts = {
-            select: { url: 1, last_modified: 1}
+            select: { url: 1, last_modified: 1},
+            where: SiteMapService.getPublishedWhere(),
+            order: [[pb.DAO.getIdField(), pb.DAO.ASC]],
+            offset: context.offset,
+            limit: context.limit
         };
-        options.service.getPublished(opts, SiteMapService.onPostLoad(options, cb));
+        if (options.images) {
+            opts.select.article_media = 1;
+        }
+        this.dao.q(options.type, opts, SiteMapService.onPostLoad(options, cb));
     };
 
     /**
@@ -316,7 +742,10 @@ module.exports = function(pb) {
     SiteMapService.prototype.getForSections = function(context, cb) {
         var opts = {
             select: { url: 1, last_modified: 1, type: 1, item: 1 },
-            where: {type: {$ne: 'container'}}
+            where: SiteMapService.getSectionWhere(),
+            order: [[pb.DAO.getIdField(), pb.DAO.ASC]],
+            offset: context.offset,
+            limit: context.limit
         };
         this.dao.q('section', opts, SiteMapService.onPostLoad({urlPrefix: '', weight: '0.5', localized: true, hostname: this.hostname}, cb));
     };
@@ -360,21 +789,36 @@ module.exports = function(pb) {
 
     /**
      * Registers an item provider.  The callback should take two parameters.
-     * The first is a context object. The second is callback function.
+     * The first is a context object. The second is callback function.  A
+     * provider for a type with a large number of items should also register a
+     * summary provider.  The summary provider takes the same parameters and
+     * provides an object with the "count" of items and the "last_modified"
+     * date of the most recent item.  The item provider is then expected to
+     * page the items using the "offset" and "limit" of the context.
      * @static
      * @method register
      * @param {String} type
      * @param {Function} callback
+     * @param {Function} [summary]
      * @return {Boolean}
      */
-    SiteMapService.register = function(type, callback) {
+    SiteMapService.register = function(type, callback, summary) {
         if (!pb.ValidationService.isNonEmptyStr(type, true)) {
             throw new Error('type parameter must be a string');
         }
         if (!util.isFunction(callback)) {
             throw new Error('callback parameter must be a function');
         }
+        if (!util.isNullOrUndefined(summary) && !util.isFunction(summary)) {
+            throw new Error('summary parameter must be a function');
+        }
         SITE_MAP_REGISTRY[type] = callback;
+        if (summary) {
+            SUMMARY_REGISTRY[type] = summary;
+        }
+        else {
+            delete SUMMARY_REGISTRY[type];
+        }
         return true;
     };
 
@@ -393,10 +837,101 @@ module.exports = function(pb) {
         var exists = util.isFunction(SITE_MAP_REGISTRY[type]);
         if (exists) {
             delete SITE_MAP_REGISTRY[type];
+            delete SUMMARY_REGISTRY[type];
         }
         return exists;
     };
 
+    /**
+     * Creates the where clause that selects published content
+     * @static
+     * @method getPublishedWhere
+     * @return {Object}
+     */
+    SiteMapService.getPublishedWhere = function() {
+        var where = {};
+        pb.ContentObjectService.setPublishedClause(where);
+        return where;
+    };
+
+    /**
+     * Creates the where clause that selects the navigation items that have a
+     * URL
+     * @static
+     * @method getSectionWhere
+     * @return {Object}
+     */
+    SiteMapService.getSectionWhere = function() {
+        return {type: {$ne: 'container'}};
+    };
+
+    /**
+     * @static
+     * @method getPageSize
+     * @return {Integer} The maximum number of URLs in a sitemap
+     */
+    SiteMapService.getPageSize = function() {
+        return Math.max(1, Math.min(pb.config.sitemap.page_size, SiteMapService.MAX_URLS));
+    };
+
+    /**
+     * Creates the path of a page of the sitemap for a type
+     * @static
+     * @method getPagePath
+     * @param {String} type
+     * @param {Integer} page
+     * @return {String}
+     */
+    SiteMapService.getPagePath = function(type, page) {
+        return pb.UrlService.urlJoin('/sitemap', encodeURIComponent(type), page + '.xml');
+    };
+
+    /**
+     * Converts a locale to the language code expected by the news sitemap.
+     * Chinese keeps its script (zh-cn or zh-tw) while other languages only
+     * keep the language.
+     * @static
+     * @method getNewsLanguage
+     * @param {String} locale
+     * @return {String}
+     */
+    SiteMapService.getNewsLanguage = function(locale) {
+        var parts = (locale || '').toLowerCase().split(/[-_]/);
+        return parts[0] === 'zh' && parts.length > 1 ? parts[0] + '-' + parts[1] : parts[0];
+    };
+
+    /**
+     * Creates the absolute URL of an image.  Uploaded images are located on the
+     * site while external images already provide an absolute URL.
+     * @static
+     * @method getImageUrl
+     * @param {String} location
+     * @param {String} hostname
+     * @return {String}
+     */
+    SiteMapService.getImageUrl = function(location, hostname) {
+        if (/^(https?:)?\/\//i.test(location)) {
+            return location;
+        }
+        return pb.UrlService.createSystemUrl(location, {hostname: hostname});
+    };
+
+    /**
+     * Creates the image elements for the URLs of the images of an item
+     * @static
+     * @method serializeImages
+     * @param {Array} [images]
+     * @return {String}
+     */
+    SiteMapService.serializeImages = function(images) {
+        if (!util.isArray(images)) {
+            return '';
+        }
+        return images.reduce(function(prev, curr) {
+            return prev + util.format('<image:image><image:loc>%s</image:loc></image:image>', HtmlEncoder.htmlEncode(curr)) + '\n';
+        }, '');
+    };
+
     /**
      * Formats date objects to a string in the format of: YYYY-MM-DD
      * @static
@@ -252,6 +252,24 @@ module.exports = function SiteQueryServiceModule(pb) {
     DAO.prototype.save.call(this, dbObj, options, callback);
   };
 
+  /**
+   * Wrapper for site-aware DAO.aggregate.  The site is added to the first
+   * stage of the pipeline when it is a $match stage.  Otherwise a $match
+   * stage is placed in front of the pipeline.
+   * @method aggregate
+   * @param {String} collection
+   * @param {Array} pipeline
+   * @param {Function} callback
+   */
+  SiteQueryService.prototype.aggregate = function (collection, pipeline, callback) {
+    if (util.isArray(pipeline) && pb.config.multisite.enabled) {
+      var first = pipeline[0] && pipeline[0].$match ? pipeline[0].$match : null;
+      var rest = first ? pipeline.slice(1) : pipeline;
+      pipeline = [{$match: modifyLoadWhere(this.siteUid, first || {})}].concat(rest);
+    }
+    DAO.prototype.aggregate.call(this, collection, pipeline, callback);
+  };
+
   /**
    * Gets all collection names
    * @method getCollections
@@ -50,6 +50,46 @@ module.exports = function(pb) {
     }
     util.inherits(TopicService, BaseObjectService);
 
+    /**
+     * The fields that topics can be filtered by mapped to their type.
+     * @private
+     * @static
+     * @readonly
+     * @property FILTER_FIELDS
+     * @type {Object}
+     */
+    var FILTER_FIELDS = Object.freeze({
+        name: pb.WhereParser.TYPES.STRING,
+        created: pb.WhereParser.TYPES.DATE,
+        last_modified: pb.WhereParser.TYPES.DATE
+    });
+
+    /**
+     * Provides the fields that topics can be filtered by with the "$where"
+     * query parameter
+     * @method getFilterFields
+     * @return {Object}
+     */
+    TopicService.prototype.getFilterFields = function() {
+        return FILTER_FIELDS;
+    };
+
+    /**
+     * Describes a topic as it is accepted by the validate listener
+     * @private
+     * @static
+     * @readonly
+     * @property SCHEMA
+     * @type {Object}
+     */
+    var SCHEMA = Object.freeze({
+        type: 'object',
+        properties: {
+            name: {type: 'string', minLength: 1}
+        },
+        required: ['name']
+    });
+
     /**
      *
      * @static
@@ -118,6 +158,7 @@ module.exports = function(pb) {
     BaseObjectService.on(TYPE + '.' + BaseObjectService.FORMAT, TopicService.format);
     BaseObjectService.on(TYPE + '.' + BaseObjectService.MERGE, TopicService.merge);
     BaseObjectService.on(TYPE + '.' + BaseObjectService.VALIDATE, TopicService.validate);
+    BaseObjectService.registerSchema(TYPE, SCHEMA);
 
     //exports
     return TopicService;
@@ -56,6 +56,59 @@ module.exports = function(pb) {
      */
     var TYPE = 'user';
 
+    /**
+     * The fields that users can be filtered by mapped to their type.
+     * Passwords and contact details are not exposed.
+     * @private
+     * @static
+     * @readonly
+     * @property FILTER_FIELDS
+     * @type {Object}
+     */
+    var FILTER_FIELDS = Object.freeze({
+        username: pb.WhereParser.TYPES.STRING,
+        first_name: pb.WhereParser.TYPES.STRING,
+        last_name: pb.WhereParser.TYPES.STRING,
+        admin: pb.WhereParser.TYPES.NUMBER,
+        locale: pb.WhereParser.TYPES.STRING,
+        created: pb.WhereParser.TYPES.DATE,
+        last_modified: pb.WhereParser.TYPES.DATE
+    });
+
+    /**
+     * Provides the fields that users can be filtered by with the "$where"
+     * query parameter
+     * @method getFilterFields
+     * @return {Object}
+     */
+    UserService.prototype.getFilterFields = function() {
+        return FILTER_FIELDS;
+    };
+
+    /**
+     * Describes a user as it is accepted by the validate listener
+     * @private
+     * @static
+     * @readonly
+     * @property SCHEMA
+     * @type {Object}
+     */
+    var SCHEMA = Object.freeze({
+        type: 'object',
+        properties: {
+            first_name: {type: 'string'},
+            last_name: {type: 'string'},
+            username: {type: 'string', minLength: 1},
+            email: {type: 'string', format: 'email'},
+            password: {type: 'string', minLength: 1, writeOnly: true},
+            admin: {type: 'integer', minimum: 0, maximum: 4},
+            locale: {type: 'string', minLength: 1},
+            photo: {type: 'string'},
+            position: {type: 'string'}
+        },
+        required: ['username', 'email', 'admin', 'locale']
+    });
+
     /**
      * @private
      * @static
@@ -722,6 +775,13 @@ module.exports = function(pb) {
         if (context.isCreate && dto.password) {
             obj.password = pb.security.encrypt(dto.password);
         }
+
+        //users provisioned by an external authentication provider keep a
+        //reference to their identity
+        if (context.isCreate && dto.auth_provider) {
+            obj.auth_provider = dto.auth_provider;
+            obj.auth_subject = dto.auth_subject;
+        }
         cb(null);
     };
 
@@ -740,8 +800,8 @@ module.exports = function(pb) {
     };
 
     /**
-     * Strips the password from one or more user objects when passed a valid
-     * base object service event context
+     * Strips the password and the second factor from one or more user objects
+     * when passed a valid base object service event context
      * @static
      * @method removePassword
      * @param {Object} context
@@ -755,10 +815,12 @@ module.exports = function(pb) {
         if (util.isArray(data)) {
             data.forEach(function(user) {
                 delete user.password;
+                delete user.two_factor;
             });
         }
         else if (util.isObject(data)) {
             delete data.password;
+            delete data.two_factor;
         }
         cb();
     };
@@ -770,6 +832,7 @@ module.exports = function(pb) {
     BaseObjectService.on(TYPE + '.' + BaseObjectService.FORMAT, UserService.format);
     BaseObjectService.on(TYPE + '.' + BaseObjectService.MERGE, UserService.merge);
     BaseObjectService.on(TYPE + '.' + BaseObjectService.VALIDATE, UserService.validate);
+    BaseObjectService.registerSchema(TYPE, SCHEMA);
 
     return UserService;
 };
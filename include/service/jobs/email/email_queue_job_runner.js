@@ -0,0 +1,109 @@
+/*
+    Copyright (C) 2016  PencilBlue, LLC
+
+    This program is free software: you can redistribute it and/or modify
+    it under the terms of the GNU General Public License as published by
+    the Free Software Foundation, either version 3 of the License, or
+    (at your option) any later version.
+
+    This program is distributed in the hope that it will be useful,
+    but WITHOUT ANY WARRANTY; without even the implied warranty of
+    MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+    GNU General Public License for more details.
+
+    You should have received a copy of the GNU General Public License
+    along with this program.  If not, see <http://www.gnu.org/licenses/>.
+*/
+'use strict';
+
+//dependencies
+var util = require('../../../util.js');
+
+module.exports = function EmailQueueJobRunnerModule(pb) {
+
+    /**
+     * Attempts to deliver the queued email messages that are due.  Messages are
+     * delivered one after another.  A failed delivery does not halt the job.
+     * Instead, the message is rescheduled by the EmailQueueService.
+     * @class EmailQueueJobRunner
+     * @constructor
+     * @extends AsyncJobRunner
+     */
+    function EmailQueueJobRunner() {
+        EmailQueueJobRunner.super_.call(this);
+
+        /**
+         * @property queueService
+         * @type {EmailQueueService}
+         */
+        this.queueService = new pb.EmailQueueService();
+    }
+    util.inherits(EmailQueueJobRunner, pb.AsyncJobRunner);
+
+    /**
+     * Provides a task for each message that is due
+     * @method getTasks
+     * @param {Function} cb A callback that takes two parameters: cb(Error, Array)
+     */
+    EmailQueueJobRunner.prototype.getTasks = function(cb) {
+        var self = this;
+        this.queueService.getDue(function(err, items) {
+            if (util.isError(err)) {
+                return cb(err);
+            }
+
+            cb(null, util.getTasks(items, function(items, i) {
+                return util.wrapTask(self, self.deliver, [items[i]]);
+            }));
+        });
+    };
+
+    /**
+     * Attempts to deliver a single queued message
+     * @method deliver
+     * @param {Object} item The queued message
+     * @param {Function} cb A callback that takes two parameters: cb(Error, Boolean)
+     * where the result indicates whether the message was delivered
+     */
+    EmailQueueJobRunner.prototype.deliver = function(item, cb) {
+        var self = this;
+        var emailService = new pb.EmailService({site: item.site, onlyThisSite: false});
+        emailService.deliver(item.message, function(err) {
+            if (util.isError(err)) {
+                pb.log.warn('EmailQueueJobRunner: Delivery attempt %s to %s failed: %s', item.attempts + 1, item.message.to, err.message);
+                return self.queueService.onFailed(item, err, function(updateErr) {
+                    cb(updateErr, false);
+                });
+            }
+            self.queueService.onDelivered(item, function(deleteErr) {
+                cb(deleteErr, true);
+            });
+        });
+    };
+
+    /**
+     * Summarizes the number of messages that were delivered and failed
+     * @method processResults
+     * @param {Error} err
+     * @param {Array} results
+     * @param {Function} cb A callback that takes two parameters: cb(Error, Object)
+     */
+    EmailQueueJobRunner.prototype.processResults = function(err, results, cb) {
+        results = results || [];
+
+        var delivered = results.filter(function(result) {
+            return result === true;
+        }).length;
+        var result = {
+            delivered: delivered,
+            failed: results.length - delivered
+        };
+        if (results.length > 0) {
+            pb.log.debug('EmailQueueJobRunner: Delivered %s queued message(s), %s failed', result.delivered, result.failed);
+        }
+        cb(err, result);
+    };
+
+    //exports
+    return EmailQueueJobRunner;
+};
@@ -0,0 +1,102 @@
+/*
+    Copyright (C) 2016  PencilBlue, LLC
+
+    This program is free software: you can redistribute it and/or modify
+    it under the terms of the GNU General Public License as published by
+    the Free Software Foundation, either version 3 of the License, or
+    (at your option) any later version.
+
+    This program is distributed in the hope that it will be useful,
+    but WITHOUT ANY WARRANTY; without even the implied warranty of
+    MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+    GNU General Public License for more details.
+
+    You should have received a copy of the GNU General Public License
+    along with this program.  If not, see <http://www.gnu.org/licenses/>.
+*/
+'use strict';
+
+//dependencies
+var util = require('../../../util.js');
+
+module.exports = function WebhookDeliveryJobRunnerModule(pb) {
+
+    /**
+     * Sends the queued webhook deliveries that are due.  Deliveries are sent
+     * one after another.  A failed delivery does not halt the job.  Instead,
+     * the delivery is rescheduled by the WebhookDeliveryService.
+     * @class WebhookDeliveryJobRunner
+     * @constructor
+     * @extends AsyncJobRunner
+     */
+    function WebhookDeliveryJobRunner() {
+        WebhookDeliveryJobRunner.super_.call(this);
+
+        /**
+         * @property deliveryService
+         * @type {WebhookDeliveryService}
+         */
+        this.deliveryService = new pb.WebhookDeliveryService();
+    }
+    util.inherits(WebhookDeliveryJobRunner, pb.AsyncJobRunner);
+
+    /**
+     * Provides a task for each delivery that is due
+     * @method getTasks
+     * @param {Function} cb A callback that takes two parameters: cb(Error, Array)
+     */
+    WebhookDeliveryJobRunner.prototype.getTasks = function(cb) {
+        var self = this;
+        this.deliveryService.getDue(function(err, items) {
+            if (util.isError(err)) {
+                return cb(err);
+            }
+
+            cb(null, util.getTasks(items, function(items, i) {
+                return util.wrapTask(self, self.deliver, [items[i]]);
+            }));
+        });
+    };
+
+    /**
+     * Attempts to send a single delivery
+     * @method deliver
+     * @param {Object} item The queued delivery
+     * @param {Function} cb A callback that takes two parameters: cb(Error, Boolean)
+     * where the result indicates whether the delivery was accepted
+     */
+    WebhookDeliveryJobRunner.prototype.deliver = function(item, cb) {
+        this.deliveryService.deliver(item, function(err, delivered) {
+            if (!delivered) {
+                pb.log.warn('WebhookDeliveryJobRunner: Delivery attempt %s of [%s] to webhook [%s] failed', (item.attempts || 0) + 1, item.event, item.webhook_id);
+            }
+            cb(err, delivered);
+        });
+    };
+
+    /**
+     * Summarizes the number of deliveries that were accepted and failed
+     * @method processResults
+     * @param {Error} err
+     * @param {Array} results
+     * @param {Function} cb A callback that takes two parameters: cb(Error, Object)
+     */
+    WebhookDeliveryJobRunner.prototype.processResults = function(err, results, cb) {
+        results = results || [];
+
+        var delivered = results.filter(function(result) {
+            return result === true;
+        }).length;
+        var result = {
+            delivered: delivered,
+            failed: results.length - delivered
+        };
+        if (results.length > 0) {
+            pb.log.debug('WebhookDeliveryJobRunner: Sent %s webhook deliveries, %s failed', result.delivered, result.failed);
+        }
+        cb(err, result);
+    };
+
+    //exports
+    return WebhookDeliveryJobRunner;
+};
@@ -45,13 +45,34 @@ module.exports = function(pb) {
     }
 
     /**
-     * Attempts to acquire a semaphore with the given name
+     * The timers that renew the locks held by this process keyed by the lock
+     * name and token
+     * @private
+     * @static
+     * @property HEARTBEATS
+     * @type {Object}
+     */
+    var HEARTBEATS = {};
+
+    /**
+     * Attempts to acquire a semaphore with the given name.  Each acquisition is
+     * identified by a token that must be provided to renew or release the lock
+     * so that one process cannot release a lock held by another.
      * @method acquire
      * @param {String} name
      * @param {Object} [options={}]
      * @param {Object} [options.payload]
-     * @param {Integer} [options.timeout]
-     * @param {Function} cb
+     * @param {Integer} [options.timeout] The number of seconds the lock is held
+     * for unless it is renewed
+     * @param {Integer} [options.wait=0] The number of milliseconds to wait for
+     * the lock when it is held by another process.  Waiting processes acquire
+     * the lock in the order that they started waiting.
+     * @param {Boolean} [options.heartbeat=false] When TRUE the lock is renewed
+     * periodically until it is released
+     * @param {Function} [options.onLost] Called when a heartbeat fails to renew
+     * the lock
+     * @param {Function} cb (Error, String|Boolean) Provides the token for the
+     * lock or FALSE when the lock was not acquired
      */
     LockService.prototype.acquire = function(name, options, cb) {
         if (util.isFunction(options)) {
@@ -59,8 +80,10 @@ module.exports = function(pb) {
             options = {};
         }
 
+        var self = this;
         var opts = {
             timeout: options.timeout || pb.config.locks.timeout,
+            token: util.uniqueId(),
             payload: options.payload || {
 
                 server: pb.ServerRegistration.generateServerKey(),
@@ -68,7 +91,172 @@ module.exports = function(pb) {
                 date: new Date()
             }
         };
-        this.provider.acquire(name, opts, cb);
+        var onDone = function(err, acquired) {
+            if (util.isError(err) || !acquired) {
+                return cb(err, false);
+            }
+            if (options.heartbeat) {
+                self.startHeartbeat(name, opts.token, {timeout: opts.timeout, onLost: options.onLost});
+            }
+            cb(null, opts.token);
+        };
+
+        if (options.wait > 0) {
+            return this.waitFor(name, opts, options.wait, onDone);
+        }
+        else if (!this.supportsQueue()) {
+            return this.provider.acquire(name, opts, onDone);
+        }
+
+        //a process that does not wait may not jump the queue
+        this.provider.peek(name, function(err, next) {
+            if (util.isError(err) || next !== null) {
+                return onDone(err, false);
+            }
+            self.provider.acquire(name, opts, onDone);
+        });
+    };
+
+    /**
+     * Retries the acquisition of the lock until it is acquired or the wait
+     * expires.  When the provider supports it, the process joins the queue of
+     * waiting processes and only attempts the acquisition when it is next.
+     * @private
+     * @method waitFor
+     * @param {String} name
+     * @param {Object} opts The options for the provider
+     * @param {Integer} wait The number of milliseconds to wait
+     * @param {Function} cb (Error, Boolean)
+     */
+    LockService.prototype.waitFor = function(name, opts, wait, cb) {
+        var self     = this;
+        var queued   = this.supportsQueue();
+        var deadline = Date.now() + wait;
+        var interval = pb.config.locks.retry_interval;
+
+        //the ticket must outlive the pause between attempts
+        var ticketTimeout = Math.ceil(interval * 3 / 1000);
+
+        var finish = function(err, acquired) {
+            if (!queued) {
+                return cb(err, acquired);
+            }
+            self.provider.dequeue(name, opts.token, function(dequeueErr) {
+                if (util.isError(dequeueErr)) {
+                    pb.log.error('LockService: Failed to leave the queue for lock %s: %s', name, dequeueErr.stack);
+                }
+                cb(err, acquired);
+            });
+        };
+        var retry = function() {
+            var remaining = deadline - Date.now();
+            if (remaining <= 0) {
+                return finish(null, false);
+            }
+            setTimeout(attempt, Math.min(interval, remaining));
+        };
+        var tryAcquire = function() {
+            self.provider.acquire(name, opts, function(err, acquired) {
+                return util.isError(err) || acquired ? finish(err, acquired) : retry();
+            });
+        };
+        var attempt = function() {
+            if (!queued) {
+                return tryAcquire();
+            }
+
+            self.provider.enqueue(name, opts.token, ticketTimeout, function(err) {
+                if (util.isError(err)) {
+                    return finish(err, false);
+                }
+                self.provider.peek(name, function(err, next) {
+                    if (util.isError(err)) {
+                        return finish(err, false);
+                    }
+                    return next === opts.token ? tryAcquire() : retry();
+                });
+            });
+        };
+        attempt();
+    };
+
+    /**
+     * Extends the time that a held lock expires
+     * @method renew
+     * @param {String} name
+     * @param {String} token The token provided when the lock was acquired
+     * @param {Object} [options={}]
+     * @param {Integer} [options.timeout] The number of seconds from now that the
+     * lock will expire
+     * @param {Function} cb (Error, Boolean) Provides FALSE when the lock is no
+     * longer held with the token
+     */
+    LockService.prototype.renew = function(name, token, options, cb) {
+        if (util.isFunction(options)) {
+            cb = options;
+            options = {};
+        }
+        if (!util.isFunction(this.provider.renew)) {
+            return cb(new Error('The lock provider does not support renewal'), false);
+        }
+
+        this.provider.renew(name, token, {timeout: options.timeout || pb.config.locks.timeout}, cb);
+    };
+
+    /**
+     * Periodically renews a held lock until it is released
+     * @method startHeartbeat
+     * @param {String} name
+     * @param {String} token
+     * @param {Object} [options={}]
+     * @param {Integer} [options.timeout] The number of seconds to renew the lock
+     * for each time
+     * @param {Integer} [options.interval] The number of milliseconds between
+     * renewals.  Defaults to a third of the timeout.
+     * @param {Function} [options.onLost] (Error) Called when the lock could not
+     * be renewed.  The heartbeat stops.
+     */
+    LockService.prototype.startHeartbeat = function(name, token, options) {
+        options = options || {};
+
+        var self     = this;
+        var key      = name + ':' + token;
+        var timeout  = options.timeout || pb.config.locks.timeout;
+        var interval = options.interval || Math.max(1000, Math.floor(timeout * 1000 / 3));
+        this.stopHeartbeat(name, token);
+
+        var handle = HEARTBEATS[key] = setInterval(function() {
+            self.renew(name, token, {timeout: timeout}, function(err, renewed) {
+                if (HEARTBEATS[key] !== handle || (!util.isError(err) && renewed)) {
+                    return;
+                }
+
+                self.stopHeartbeat(name, token);
+                pb.log.warn('LockService: The lock %s was lost: %s', name, err ? err.message : 'it is held by another process');
+                if (util.isFunction(options.onLost)) {
+                    options.onLost(err || new Error('The lock ' + name + ' is held by another process'));
+                }
+            });
+        }, interval);
+
+        //a heartbeat should never keep the process alive
+        if (util.isFunction(handle.unref)) {
+            handle.unref();
+        }
+    };
+
+    /**
+     * Stops renewing a lock
+     * @method stopHeartbeat
+     * @param {String} name
+     * @param {String} token
+     */
+    LockService.prototype.stopHeartbeat = function(name, token) {
+        var key = name + ':' + token;
+        if (HEARTBEATS[key]) {
+            clearInterval(HEARTBEATS[key]);
+            delete HEARTBEATS[key];
+        }
     };
 
     /**
@@ -82,16 +270,66 @@ module.exports = function(pb) {
     };
 
     /**
-     * Releases the lock
+     * Retrieves the locks that are held across the cluster
+     * @method getAll
+     * @param {Function} cb (Error, Array) Provides the "name", "payload" and
+     * "expires" of each lock along with the number of processes "waiting" for
+     * it, ordered by name
+     */
+    LockService.prototype.getAll = function(cb) {
+        if (!util.isFunction(this.provider.getAll)) {
+            return cb(new Error('The lock provider does not support listing locks'));
+        }
+
+        this.provider.getAll(function(err, locks) {
+            if (util.isArray(locks)) {
+                locks.sort(function(a, b) {
+                    return a.name < b.name ? -1 : (a.name > b.name ? 1 : 0);
+                });
+            }
+            cb(err, locks);
+        });
+    };
+
+    /**
+     * Releases the lock.  The lock is only released when it is held with the
+     * token.  For backward compatibility, a lock released without a token is
+     * released regardless of which process holds it.
      * @method release
      * @param {String} name
-     * @param {Object} [options={}]
-     * @param {Function} cb
+     * @param {Object|String} [options={}] The options or the token
+     * @param {String} [options.token] The token provided when the lock was
+     * acquired
+     * @param {Function} cb (Error, Boolean)
      */
     LockService.prototype.release = function(name, options, cb) {
+        if (util.isFunction(options)) {
+            cb = options;
+            options = {};
+        }
+        else if (util.isString(options)) {
+            options = {token: options};
+        }
+
+        if (options.token) {
+            this.stopHeartbeat(name, options.token);
+        }
         this.provider.release(name, options, cb);
     };
 
+    /**
+     * Indicates if the provider can keep the processes waiting for a lock in
+     * order
+     * @method supportsQueue
+     * @return {Boolean}
+     */
+    LockService.prototype.supportsQueue = function() {
+        var provider = this.provider;
+        return ['enqueue', 'dequeue', 'peek'].every(function(method) {
+            return util.isFunction(provider[method]);
+        });
+    };
+
     /**
      * Inspects the current PB configuration to determine what lock provider to
      * instantiate and return
@@ -17,7 +17,8 @@
 'use strict';
 
 //dependencies
-var util = require('../../../util.js');
+var async = require('async');
+var util  = require('../../../util.js');
 
 module.exports = function(pb) {
 
@@ -28,13 +29,83 @@ module.exports = function(pb) {
      */
     function CacheLockProvider() {}
 
+    /**
+     * The key of the set that holds the names of the locks that have been
+     * acquired so that they can be listed
+     * @private
+     * @static
+     * @readonly
+     * @property LOCK_SET_KEY
+     * @type {String}
+     */
+    var LOCK_SET_KEY = 'pb_locks';
+
+    /**
+     * The prefix of the sorted set that orders the processes waiting for a
+     * lock
+     * @private
+     * @static
+     * @readonly
+     * @property QUEUE_PREFIX
+     * @type {String}
+     */
+    var QUEUE_PREFIX = 'pb_lock_queue:';
+
+    /**
+     * The prefix of the key that indicates a waiting process is still alive
+     * @private
+     * @static
+     * @readonly
+     * @property TICKET_PREFIX
+     * @type {String}
+     */
+    var TICKET_PREFIX = 'pb_lock_ticket:';
+
+    /**
+     * Checks that the lock in KEYS[1] is held with the token in ARGV[1].  The
+     * value of a lock is JSON that holds the token.
+     * @private
+     * @static
+     * @readonly
+     * @property HELD_CHECK
+     * @type {String}
+     */
+    var HELD_CHECK = [
+        "local value = redis.call('get', KEYS[1])",
+        "if not value then return 0 end",
+        "local ok, lock = pcall(cjson.decode, value)",
+        "if not ok or type(lock) ~= 'table' or lock.token ~= ARGV[1] then return 0 end"
+    ].join('\n');
+
+    /**
+     * Deletes the lock when it is held with the token
+     * @private
+     * @static
+     * @readonly
+     * @property RELEASE_SCRIPT
+     * @type {String}
+     */
+    var RELEASE_SCRIPT = HELD_CHECK + "\nredis.call('srem', KEYS[2], KEYS[1])\nreturn redis.call('del', KEYS[1])";
+
+    /**
+     * Sets the expiration of the lock, ARGV[2] seconds, when it is held with
+     * the token
+     * @private
+     * @static
+     * @readonly
+     * @property RENEW_SCRIPT
+     * @type {String}
+     */
+    var RENEW_SCRIPT = HELD_CHECK + "\nreturn redis.call('expire', KEYS[1], ARGV[2])";
+
     /**
      * Attempts to acquire the lock with the given name.
      * @method acquire
      * @param {String} name
      * @param {Object} [options={}]
      * @param {Object} [options.payload]
-     * @param {Integer} [options.timeout]
+     * @param {Integer} [options.timeout] Lock timeout in seconds
+     * @param {String} [options.token] Identifies the holder of the lock
      * @param {Function} cb
      */
     CacheLockProvider.prototype.acquire = function(name, options, cb) {
@@ -43,15 +114,16 @@ module.exports = function(pb) {
             options = {};
         }
 
-        //try and acquire the lock
-        pb.cache.setnx(name, JSON.stringify(options.payload), function(err, reply) {
+        //try and acquire the lock.  The lock is created with its expiry so that
+        //it can never be left behind without one
+        var value = JSON.stringify({payload: options.payload, token: options.token || null});
+        pb.cache.set(name, value, 'NX', 'EX', options.timeout /*sec*/, function(err, reply) {
             if (util.isError(err) || !reply) {
                 return cb(err, false);
             }
 
-            //lock was created not ensure it will expire
-            pb.cache.expire(name, options.timeout /*sec*/, function(err, result) {
-                cb(err, result ? true : false);
+            pb.cache.sadd(LOCK_SET_KEY, name, function(err) {
+                cb(err, !util.isError(err));
             });
         });
     };
@@ -64,23 +136,54 @@ module.exports = function(pb) {
      */
     CacheLockProvider.prototype.get = function(name, cb) {
         pb.cache.get(name, function(err, result) {
-            if (result) {
-                try{
-                    result = JSON.parse(result);
-                }
-                catch(e) {
-                    pb.log.silly('CacheLockProvider: Failed to parse lock payload. ', e.stack);
-                }
+            cb(err, CacheLockProvider.parse(result).payload);
+        });
+    };
+
+    /**
+     * Retrieves the locks that have not expired
+     * @method getAll
+     * @param {Function} cb (Error, Array)
+     */
+    CacheLockProvider.prototype.getAll = function(cb) {
+        pb.cache.smembers(LOCK_SET_KEY, function(err, names) {
+            if (util.isError(err)) {
+                return cb(err);
             }
-            cb(err, result);
+
+            var tasks = util.getTasks(names || [], function(names, i) {
+                return function(callback) {
+                    CacheLockProvider.describe(names[i], callback);
+                };
+            });
+            async.series(tasks, function(err, locks) {
+                cb(err, util.isArray(locks) ? locks.filter(function(lock) { return lock !== null; }) : locks);
+            });
         });
     };
 
+    /**
+     * Extends the expiration of a lock that is held with the token
+     * @method renew
+     * @param {String} name
+     * @param {String} token
+     * @param {Object} options
+     * @param {Integer} options.timeout Lock timeout in seconds
+     * @param {Function} cb (Error, Boolean)
+     */
+    CacheLockProvider.prototype.renew = function(name, token, options, cb) {
+        CacheLockProvider.whenHeld(name, token, RENEW_SCRIPT, [options.timeout /*sec*/], function(callback) {
+            pb.cache.expire(name, options.timeout /*sec*/, callback);
+        }, cb);
+    };
+
     /**
      * Releases the lock
      * @method release
      * @param {String} name
      * @param {Object} [options={}]
+     * @param {String} [options.token] When provided the lock is only released
+     * when it is held with the token
      * @param {Function} cb
      */
     CacheLockProvider.prototype.release = function(name, options, cb) {
@@ -89,10 +192,189 @@ module.exports = function(pb) {
             options = {};
         }
 
-        pb.cache.del(name, function(err, result) {
-            cb(err, result ? true : false);
+        if (!options.token) {
+            return pb.cache.del(name, function(err, result) {
+                pb.cache.srem(LOCK_SET_KEY, name);
+                cb(err, result ? true : false);
+            });
+        }
+        CacheLockProvider.whenHeld(name, options.token, RELEASE_SCRIPT, [], function(callback) {
+            pb.cache.del(name, function(err, result) {
+                pb.cache.srem(LOCK_SET_KEY, name);
+                callback(err, result);
+            });
+        }, cb);
+    };
+
+    /**
+     * Adds a process to the queue of processes waiting for a lock or, when it
+     * is already waiting, extends the expiration of its place in the queue
+     * @method enqueue
+     * @param {String} name
+     * @param {String} token Identifies the waiting process
+     * @param {Integer} timeout The number of seconds until the place in the
+     * queue expires
+     * @param {Function} cb (Error)
+     */
+    CacheLockProvider.prototype.enqueue = function(name, token, timeout, cb) {
+        pb.cache.set(TICKET_PREFIX + token, name, 'EX', timeout, function(err) {
+            if (util.isError(err)) {
+                return cb(err);
+            }
+
+            //a process that is already waiting keeps its original place
+            var key = QUEUE_PREFIX + name;
+            pb.cache.zscore(key, token, function(err, score) {
+                if (util.isError(err) || score !== null) {
+                    return cb(err);
+                }
+                pb.cache.zadd(key, Date.now(), token, function(err) {
+                    cb(err);
+                });
+            });
+        });
+    };
+
+    /**
+     * Removes a process from the queue of processes waiting for a lock
+     * @method dequeue
+     * @param {String} name
+     * @param {String} token
+     * @param {Function} cb (Error)
+     */
+    CacheLockProvider.prototype.dequeue = function(name, token, cb) {
+        pb.cache.del(TICKET_PREFIX + token, function(err) {
+            if (util.isError(err)) {
+                return cb(err);
+            }
+            pb.cache.zrem(QUEUE_PREFIX + name, token, function(err) {
+                cb(err);
+            });
+        });
+    };
+
+    /**
+     * Retrieves the process that has waited the longest for a lock.  Processes
+     * that stopped waiting without leaving the queue are removed from it.
+     * @method peek
+     * @param {String} name
+     * @param {Function} cb (Error, String) Provides the token of the process or
+     * NULL when none are waiting
+     */
+    CacheLockProvider.prototype.peek = function(name, cb) {
+        var self = this;
+        var key = QUEUE_PREFIX + name;
+        pb.cache.zrange(key, 0, 0, function(err, tokens) {
+            if (util.isError(err) || !util.isArray(tokens) || tokens.length === 0) {
+                return cb(err, null);
+            }
+
+            var token = tokens[0];
+            pb.cache.exists(TICKET_PREFIX + token, function(err, exists) {
+                if (util.isError(err) || exists) {
+                    return cb(err, exists ? token : null);
+                }
+                pb.cache.zrem(key, token, function(err) {
+                    return util.isError(err) ? cb(err, null) : self.peek(name, cb);
+                });
+            });
+        });
+    };
+
+    /**
+     * Runs the script when the lock is held with the token.  Redis runs the
+     * script atomically so the lock cannot change hands between the check of
+     * the token and the commands that follow it.  The fake cache cannot run
+     * scripts.  It is local to the process so the check is made before the
+     * fallback is called instead.
+     * @private
+     * @static
+     * @method whenHeld
+     * @param {String} name
+     * @param {String} token
+     * @param {String} script The Lua script.  KEYS[1] is the lock, KEYS[2] the
+     * set of locks, ARGV[1] the token followed by the arguments
+     * @param {Array} args
+     * @param {Function} fallback (Function) Runs the commands against the fake
+     * cache
+     * @param {Function} cb (Error, Boolean) Provides TRUE when the commands
+     * were executed
+     */
+    CacheLockProvider.whenHeld = function(name, token, script, args, fallback, cb) {
+        var done = function(err, result) {
+            cb(err, !util.isError(err) && !!result);
+        };
+        if (!pb.config.cache.fake) {
+            return pb.cache.eval.apply(pb.cache, [script, 2, name, LOCK_SET_KEY, token].concat(args, done));
+        }
+
+        pb.cache.get(name, function(err, result) {
+            if (util.isError(err) || CacheLockProvider.parse(result).token !== token) {
+                return cb(err, false);
+            }
+            fallback(done);
         });
     };
 
+    /**
+     * Retrieves the description of a lock for the lock listing
+     * @private
+     * @static
+     * @method describe
+     * @param {String} name
+     * @param {Function} cb (Error, Object) Provides NULL when the lock has
+     * expired
+     */
+    CacheLockProvider.describe = function(name, cb) {
+        var tasks = {
+            value: util.wrapTask(pb.cache, pb.cache.get, [name]),
+            ttl: util.wrapTask(pb.cache, pb.cache.pttl, [name]),
+            waiting: util.wrapTask(pb.cache, pb.cache.zcard, [QUEUE_PREFIX + name])
+        };
+        async.parallel(tasks, function(err, results) {
+            if (util.isError(err)) {
+                return cb(err);
+            }
+            if (results.value === null || results.value === undefined) {
+
+                //the lock expired so it no longer needs to be tracked
+                return pb.cache.srem(LOCK_SET_KEY, name, function(err) {
+                    cb(err, null);
+                });
+            }
+            cb(null, {
+                name: name,
+                payload: CacheLockProvider.parse(results.value).payload,
+                expires: results.ttl >= 0 ? new Date(Date.now() + results.ttl) : null,
+                waiting: results.waiting || 0
+            });
+        });
+    };
+
+    /**
+     * Parses the value stored for a lock.  Locks created before tokens were
+     * introduced only stored the payload.
+     * @private
+     * @static
+     * @method parse
+     * @param {String} value
+     * @return {Object} The "payload" and the "token"
+     */
+    CacheLockProvider.parse = function(value) {
+        if (!value) {
+            return {payload: value, token: undefined};
+        }
+
+        var parsed;
+        try{
+            parsed = JSON.parse(value);
+        }
+        catch(e) {
+            pb.log.silly('CacheLockProvider: Failed to parse lock payload. ', e.stack);
+            return {payload: value, token: undefined};
+        }
+        return util.isObject(parsed) && parsed.hasOwnProperty('token') ? parsed : {payload: parsed, token: undefined};
+    };
+
     return CacheLockProvider;
 };
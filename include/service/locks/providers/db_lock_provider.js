@@ -17,7 +17,8 @@
 'use strict';
 
 //dependencies
-var util = require('../../../util.js');
+var async = require('async');
+var util  = require('../../../util.js');
 
 module.exports = function(pb) {
 
@@ -49,12 +50,24 @@ module.exports = function(pb) {
     var EXPECTED_ERROR_CODE = 11000;
 
     /**
-     * Attempts to acquire the lock with the given name.
+     * The collection that holds the processes waiting for a lock
+     * @private
+     * @static
+     * @readonly
+     * @property QUEUE_COLLECTION
+     * @type {String}
+     */
+    var QUEUE_COLLECTION = 'lock_queue';
+
+    /**
+     * Attempts to acquire the lock with the given name.  A lock that has
+     * expired but has not yet been removed by the TTL index is taken over.
      * @method acquire
      * @param {String} name
      * @param {Object} [options={}]
      * @param {Object} [options.payload]
      * @param {Integer} [options.timeout] Lock timeout in seconds
+     * @param {String} [options.token] Identifies the holder of the lock
      * @param {Function} cb
      */
     DbLockProvider.prototype.acquire = function(name, options, cb) {
@@ -71,17 +84,32 @@ module.exports = function(pb) {
             object_type: LOCK_COLLECTION,
             name: name,
             payload: options.payload,
+            token: options.token,
             timeout: timeout
         };
         var dao = new pb.DAO();
         dao.save(lock, function(err, result) {
-            if (util.isError(err)) {
-                pb.log.silly('DbLockProvider: Failed to insert lock document: CODE=%s\n%s', err.code, err.stack);
-                //when unique constraint error occurs send no error.  It means
-                //the lock exists
-                return cb(err.code === EXPECTED_ERROR_CODE ? null : err, false);
+            if (!util.isError(err)) {
+                return cb(null, true);
             }
-            cb(null, true);
+
+            pb.log.silly('DbLockProvider: Failed to insert lock document: CODE=%s\n%s', err.code, err.stack);
+            //when unique constraint error occurs send no error.  It means
+            //the lock exists
+            if (err.code !== EXPECTED_ERROR_CODE) {
+                return cb(err, false);
+            }
+
+            var where = {
+                name: name,
+                timeout: {$lt: new Date()}
+            };
+            var updates = {
+                $set: {payload: options.payload, token: options.token, timeout: timeout, last_modified: new Date()}
+            };
+            dao.updateFields(LOCK_COLLECTION, where, updates, function(err, result) {
+                cb(err, DbLockProvider.getAffectedCount(result) > 0);
+            });
         });
     };
 
@@ -95,17 +123,89 @@ module.exports = function(pb) {
         var dao = new pb.DAO();
         dao.loadByValue('name', name, LOCK_COLLECTION, function(err, result) {
             if (util.isObject(result)) {
-                result = result.payload;
+                result = result.timeout > new Date() ? result.payload : null;
             }
             cb(err, result);
         });
     };
 
+    /**
+     * Retrieves the locks that have not expired
+     * @method getAll
+     * @param {Function} cb (Error, Array)
+     */
+    DbLockProvider.prototype.getAll = function(cb) {
+        var dao = new pb.DAO();
+        var now = new Date();
+        var tasks = {
+
+            locks: function(callback) {
+                var opts = {
+                    select: {name: 1, payload: 1, timeout: 1},
+                    where: {timeout: {$gt: now}}
+                };
+                dao.q(LOCK_COLLECTION, opts, callback);
+            },
+
+            waiting: function(callback) {
+                var opts = {
+                    select: {name: 1},
+                    where: {expires: {$gt: now}}
+                };
+                dao.q(QUEUE_COLLECTION, opts, callback);
+            }
+        };
+        async.parallel(tasks, function(err, results) {
+            if (util.isError(err)) {
+                return cb(err);
+            }
+
+            var waiting = {};
+            results.waiting.forEach(function(ticket) {
+                waiting[ticket.name] = (waiting[ticket.name] || 0) + 1;
+            });
+            cb(null, results.locks.map(function(lock) {
+                return {
+                    name: lock.name,
+                    payload: lock.payload,
+                    expires: lock.timeout,
+                    waiting: waiting[lock.name] || 0
+                };
+            }));
+        });
+    };
+
+    /**
+     * Extends the expiration of a lock that is held with the token
+     * @method renew
+     * @param {String} name
+     * @param {String} token
+     * @param {Object} options
+     * @param {Integer} options.timeout Lock timeout in seconds
+     * @param {Function} cb (Error, Boolean)
+     */
+    DbLockProvider.prototype.renew = function(name, token, options, cb) {
+        var where = {
+            name: name,
+            token: token,
+            timeout: {$gt: new Date()}
+        };
+        var updates = {
+            $set: {timeout: new Date(Date.now() + (options.timeout * 1000)), last_modified: new Date()}
+        };
+        var dao = new pb.DAO();
+        dao.updateFields(LOCK_COLLECTION, where, updates, function(err, result) {
+            cb(err, DbLockProvider.getAffectedCount(result) > 0);
+        });
+    };
+
     /**
      * Releases the lock
      * @method release
      * @param {String} name
      * @param {Object} [options={}]
+     * @param {String} [options.token] When provided the lock is only released
+     * when it is held with the token
      * @param {Function} cb
      */
     DbLockProvider.prototype.release = function(name, options, cb) {
@@ -117,9 +217,82 @@ module.exports = function(pb) {
         var where = {
             name: name
         };
+        if (options.token) {
+            where.token = options.token;
+        }
         var dao = new pb.DAO();
         dao.delete(where, LOCK_COLLECTION, cb);
     };
 
+    /**
+     * Adds a process to the queue of processes waiting for a lock or, when it
+     * is already waiting, extends the expiration of its place in the queue
+     * @method enqueue
+     * @param {String} name
+     * @param {String} token Identifies the waiting process
+     * @param {Integer} timeout The number of seconds until the place in the
+     * queue expires
+     * @param {Function} cb (Error)
+     */
+    DbLockProvider.prototype.enqueue = function(name, token, timeout, cb) {
+        var where = {
+            name: name,
+            token: token
+        };
+        var updates = {
+            $set: {expires: new Date(Date.now() + (timeout * 1000))},
+            $setOnInsert: {object_type: QUEUE_COLLECTION, created: new Date()}
+        };
+        var dao = new pb.DAO();
+        dao.updateFields(QUEUE_COLLECTION, where, updates, {upsert: true}, function(err) {
+            cb(err);
+        });
+    };
+
+    /**
+     * Removes a process from the queue of processes waiting for a lock
+     * @method dequeue
+     * @param {String} name
+     * @param {String} token
+     * @param {Function} cb (Error)
+     */
+    DbLockProvider.prototype.dequeue = function(name, token, cb) {
+        var dao = new pb.DAO();
+        dao.delete({name: name, token: token}, QUEUE_COLLECTION, function(err) {
+            cb(err);
+        });
+    };
+
+    /**
+     * Retrieves the process that has waited the longest for a lock
+     * @method peek
+     * @param {String} name
+     * @param {Function} cb (Error, String) Provides the token of the process or
+     * NULL when none are waiting
+     */
+    DbLockProvider.prototype.peek = function(name, cb) {
+        var opts = {
+            select: {token: 1},
+            where: {name: name, expires: {$gt: new Date()}},
+            order: [['created', pb.DAO.ASC], ['_id', pb.DAO.ASC]],
+            limit: 1
+        };
+        var dao = new pb.DAO();
+        dao.q(QUEUE_COLLECTION, opts, function(err, tickets) {
+            cb(err, util.isArray(tickets) && tickets.length > 0 ? tickets[0].token : null);
+        });
+    };
+
+    /**
+     * Extracts the number of documents that matched an update
+     * @static
+     * @method getAffectedCount
+     * @param {Object} result The result of the update
+     * @return {Integer}
+     */
+    DbLockProvider.getAffectedCount = function(result) {
+        return result && result.result ? result.result.n : 0;
+    };
+
     return DbLockProvider;
 };
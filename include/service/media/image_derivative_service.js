@@ -0,0 +1,514 @@
+/*
+    Copyright (C) 2016  PencilBlue, LLC
+
+    This program is free software: you can redistribute it and/or modify
+    it under the terms of the GNU General Public License as published by
+    the Free Software Foundation, either version 3 of the License, or
+    (at your option) any later version.
+
+    This program is distributed in the hope that it will be useful,
+    but WITHOUT ANY WARRANTY; without even the implied warranty of
+    MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+    GNU General Public License for more details.
+
+    You should have received a copy of the GNU General Public License
+    along with this program.  If not, see <http://www.gnu.org/licenses/>.
+*/
+'use strict';
+
+//dependencies
+var async = require('async');
+var Jimp  = require('jimp');
+var util  = require('../../util.js');
+
+module.exports = function ImageDerivativeServiceModule(pb) {
+
+    //pb dependencies
+    var BaseObjectService = pb.BaseObjectService;
+
+    /**
+     * Creates resized and converted copies ("derivatives") of uploaded images
+     * for the named image sizes configured in a site's content settings.  A
+     * derivative is stored next to the original through the media provider
+     * under the path "/media/[size]/...".
+     * @class ImageDerivativeService
+     * @constructor
+     * @param {Object} [context]
+     * @param {String} [context.site]
+     * @param {Boolean} [context.onlyThisSite=false]
+     * @param {MediaProvider} [context.provider] Defaults to the configured
+     * media provider
+     */
+    function ImageDerivativeService(context) {
+        if (!util.isObject(context)) {
+            context = {};
+        }
+
+        /**
+         * @property site
+         * @type {String}
+         */
+        this.site = context.site || pb.SiteService.GLOBAL_SITE;
+
+        /**
+         * @property provider
+         * @type {MediaProvider}
+         */
+        this.provider = context.provider || pb.MediaServiceV2.loadMediaProvider({site: this.site});
+
+        /**
+         * @property contentService
+         * @type {ContentService}
+         */
+        this.contentService = new pb.ContentService({site: this.site, onlyThisSite: context.onlyThisSite || false});
+    }
+
+    /**
+     * The formats that derivatives can be created from and converted to mapped
+     * to their MIME types
+     * @private
+     * @static
+     * @readonly
+     * @property FORMATS
+     * @type {Object}
+     */
+    var FORMATS = Object.freeze({
+        jpeg: Jimp.MIME_JPEG,
+        png: Jimp.MIME_PNG,
+        bmp: Jimp.MIME_BMP
+    });
+
+    /**
+     * @private
+     * @static
+     * @readonly
+     * @property EXTENSIONS
+     * @type {Object}
+     */
+    var EXTENSIONS = Object.freeze({
+        jpg: 'jpeg',
+        jpeg: 'jpeg',
+        png: 'png',
+        bmp: 'bmp'
+    });
+
+    /**
+     * Size names are kept distinct from the year directories of media paths
+     * @private
+     * @static
+     * @readonly
+     * @property SIZE_NAME_PATTERN
+     * @type {RegExp}
+     */
+    var SIZE_NAME_PATTERN = /^[a-z][a-z0-9_-]*$/;
+
+    /**
+     * @private
+     * @static
+     * @readonly
+     * @property DERIVATIVE_PATH_PATTERN
+     * @type {RegExp}
+     */
+    var DERIVATIVE_PATH_PATTERN = /^\/media\/([a-z][a-z0-9_-]*)\/(.+)$/;
+
+    /**
+     * Callbacks waiting on derivatives that are being generated, keyed by
+     * site and path, so that concurrent requests only generate once
+     * @private
+     * @static
+     * @property PENDING
+     * @type {Object}
+     */
+    var PENDING = {};
+
+    /**
+     * Retrieves the site's image sizes keyed by name
+     * @method getSizes
+     * @param {Function} cb (Error, Object)
+     */
+    ImageDerivativeService.prototype.getSizes = function(cb) {
+        this.contentService.getSettings(function(err, settings) {
+            if (util.isError(err)) {
+                return cb(err);
+            }
+
+            var sizes = settings && util.isArray(settings.image_sizes) ?
+                settings.image_sizes : pb.ContentService.getDefaultSettings().image_sizes;
+            cb(null, ImageDerivativeService.getSizeMap(sizes));
+        });
+    };
+
+    /**
+     * Creates the derivatives of an image for all of the site's sizes
+     * @method generateAll
+     * @param {String} mediaPath The path of the original image
+     * @param {Function} cb (Error, Array) Provides the paths of the derivatives
+     */
+    ImageDerivativeService.prototype.generateAll = function(mediaPath, cb) {
+        var self = this;
+        if (!ImageDerivativeService.isSupported(mediaPath)) {
+            return cb(null, []);
+        }
+
+        this.getSizes(function(err, sizes) {
+            if (util.isError(err)) {
+                return cb(err);
+            }
+
+            var tasks = Object.keys(sizes).map(function(name) {
+                return function(callback) {
+                    self.generate(mediaPath, sizes[name], callback);
+                };
+            });
+            async.series(tasks, cb);
+        });
+    };
+
+    /**
+     * Creates a single derivative of an image and stores it
+     * @method generate
+     * @param {String} mediaPath The path of the original image
+     * @param {Object} size
+     * @param {Function} cb (Error, String) Provides the path of the derivative
+     */
+    ImageDerivativeService.prototype.generate = function(mediaPath, size, cb) {
+        var self = this;
+        var derivativePath = ImageDerivativeService.getDerivativePath(mediaPath, size);
+
+        this.provider.get(mediaPath, function(err, content) {
+            if (util.isError(err)) {
+                return cb(err);
+            }
+
+            ImageDerivativeService.resize(content, size, ImageDerivativeService.getOutputFormat(mediaPath, size), function(err, buffer) {
+                if (util.isError(err)) {
+                    return cb(err);
+                }
+
+                self.provider.set(buffer, derivativePath, function(err) {
+                    cb(err, derivativePath);
+                });
+            });
+        });
+    };
+
+    /**
+     * Ensures that the derivative at the path exists, creating it when it
+     * does not.
+     * @method ensure
+     * @param {String} derivativePath A path such as
+     * /media/thumbnail/2016/1/540a3ff0e30ddfb9e60000be-1409957872680.jpg
+     * @param {Function} cb (Error, Boolean) Provides FALSE when the path does
+     * not refer to one of the site's sizes.  A 404 error is provided when the
+     * original does not exist.
+     */
+    ImageDerivativeService.prototype.ensure = function(derivativePath, cb) {
+        var self = this;
+        this.getSizes(function(err, sizes) {
+            if (util.isError(err)) {
+                return cb(err);
+            }
+
+            var parsed = ImageDerivativeService.parseDerivativePath(derivativePath, sizes);
+            if (parsed === null) {
+                return cb(null, false);
+            }
+            else if (!ImageDerivativeService.isSupported(parsed.mediaPath)) {
+                return cb(BaseObjectService.notFound('Derivatives cannot be created for ' + parsed.mediaPath));
+            }
+
+            self.provider.exists(derivativePath, function(err, exists) {
+                if (util.isError(err) || exists) {
+                    return cb(err, !util.isError(err));
+                }
+
+                //the first request generates the derivative and the rest wait
+                var key = self.site + derivativePath;
+                if (PENDING[key]) {
+                    return PENDING[key].push(cb);
+                }
+                PENDING[key] = [cb];
+
+                self.provider.exists(parsed.mediaPath, function(err, exists) {
+                    if (util.isError(err) || !exists) {
+                        return done(key, err || BaseObjectService.notFound(parsed.mediaPath + ' was not found'));
+                    }
+
+                    self.generate(parsed.mediaPath, parsed.size, function(err) {
+                        if (util.isError(err)) {
+                            pb.log.error('ImageDerivativeService: Failed to create %s: %s', derivativePath, err.stack);
+                        }
+                        done(key, err);
+                    });
+                });
+            });
+        });
+    };
+
+    /**
+     * Removes the derivatives of an image for all of the site's sizes
+     * @method removeAll
+     * @param {String} mediaPath The path of the original image
+     * @param {Function} cb (Error)
+     */
+    ImageDerivativeService.prototype.removeAll = function(mediaPath, cb) {
+        var self = this;
+        if (!ImageDerivativeService.isSupported(mediaPath)) {
+            return cb(null);
+        }
+
+        this.getSizes(function(err, sizes) {
+            if (util.isError(err)) {
+                return cb(err);
+            }
+
+            var tasks = Object.keys(sizes).map(function(name) {
+                return function(callback) {
+                    var derivativePath = ImageDerivativeService.getDerivativePath(mediaPath, sizes[name]);
+                    self.provider.exists(derivativePath, function(err, exists) {
+                        if (util.isError(err) || !exists) {
+                            return callback(err);
+                        }
+                        self.provider.delete(derivativePath, function(err) {
+                            callback(err);
+                        });
+                    });
+                };
+            });
+            async.series(tasks, function(err) {
+                cb(err);
+            });
+        });
+    };
+
+    /**
+     * Provides the srcset entries for an image.  Only sizes that keep the
+     * aspect ratio of the original are included.
+     * @static
+     * @method getSrcSet
+     * @param {String} mediaPath
+     * @param {Object} sizes The site's sizes keyed by name
+     * @return {Array} Objects with the "path" and "width" of each derivative
+     */
+    ImageDerivativeService.getSrcSet = function(mediaPath, sizes) {
+        if (!ImageDerivativeService.isSupported(mediaPath) || !util.isObject(sizes)) {
+            return [];
+        }
+
+        return Object.keys(sizes).map(function(name) {
+            return sizes[name];
+        }).filter(function(size) {
+            return size.width > 0 && !size.crop;
+        }).sort(function(a, b) {
+            return a.width - b.width;
+        }).map(function(size) {
+            return {
+                path: ImageDerivativeService.getDerivativePath(mediaPath, size),
+                width: size.width
+            };
+        });
+    };
+
+    /**
+     * Normalizes a list of sizes in to a map keyed by name.  Invalid sizes
+     * are ignored.
+     * @static
+     * @method getSizeMap
+     * @param {Array} sizes
+     * @return {Object}
+     */
+    ImageDerivativeService.getSizeMap = function(sizes) {
+        var map = {};
+        (util.isArray(sizes) ? sizes : []).forEach(function(size) {
+            if (ImageDerivativeService.validateSize(size) !== null) {
+                return;
+            }
+            map[size.name] = {
+                name: size.name,
+                width: parseInt(size.width, 10) || 0,
+                height: parseInt(size.height, 10) || 0,
+                crop: !!size.crop,
+                format: size.format || null
+            };
+        });
+        return map;
+    };
+
+    /**
+     * Validates an image size
+     * @static
+     * @method validateSize
+     * @param {Object} size
+     * @param {String} size.name Must start with a letter and may only contain
+     * lowercase letters, numbers, dashes and underscores
+     * @param {Integer} [size.width]
+     * @param {Integer} [size.height] At least one of width or height is required
+     * @param {Boolean} [size.crop=false] Crops the image to fill both dimensions
+     * @param {String} [size.format] Converts the image to "jpeg", "png" or "bmp"
+     * @return {String} A description of the problem or NULL when valid
+     */
+    ImageDerivativeService.validateSize = function(size) {
+        if (!util.isObject(size)) {
+            return 'The size must be an object';
+        }
+        else if (!util.isString(size.name) || !SIZE_NAME_PATTERN.test(size.name)) {
+            return 'The name must start with a letter and only contain lowercase letters, numbers, dashes and underscores';
+        }
+
+        var width = parseInt(size.width, 10) || 0;
+        var height = parseInt(size.height, 10) || 0;
+        if (width < 0 || height < 0 || (width === 0 && height === 0)) {
+            return 'A positive width or height is required';
+        }
+        else if (size.crop && (width === 0 || height === 0)) {
+            return 'A width and height are required to crop';
+        }
+        else if (size.format && !FORMATS[size.format]) {
+            return 'The format must be one of: ' + Object.keys(FORMATS).join(', ');
+        }
+        return null;
+    };
+
+    /**
+     * Indicates if derivatives can be created for the media
+     * @static
+     * @method isSupported
+     * @param {String} mediaPath
+     * @return {Boolean}
+     */
+    ImageDerivativeService.isSupported = function(mediaPath) {
+        return util.isString(mediaPath) && mediaPath.indexOf('/media/') === 0 && !!getFormat(mediaPath);
+    };
+
+    /**
+     * Provides the format the derivative is stored in
+     * @static
+     * @method getOutputFormat
+     * @param {String} mediaPath
+     * @param {Object} size
+     * @return {String} The MIME type
+     */
+    ImageDerivativeService.getOutputFormat = function(mediaPath, size) {
+        return FORMATS[size.format || getFormat(mediaPath)];
+    };
+
+    /**
+     * Provides the path of a derivative.  When the size converts the image an
+     * extension for the new format is appended.
+     * @static
+     * @method getDerivativePath
+     * @param {String} mediaPath A path such as /media/2016/1/abc.png
+     * @param {Object} size
+     * @return {String} A path such as /media/thumbnail/2016/1/abc.png.jpg
+     */
+    ImageDerivativeService.getDerivativePath = function(mediaPath, size) {
+        var derivativePath = '/media/' + size.name + mediaPath.substring('/media'.length);
+        if (size.format && size.format !== getFormat(mediaPath)) {
+            derivativePath += '.' + (size.format === 'jpeg' ? 'jpg' : size.format);
+        }
+        return derivativePath;
+    };
+
+    /**
+     * Determines the size and original image of a derivative path
+     * @static
+     * @method parseDerivativePath
+     * @param {String} derivativePath
+     * @param {Object} sizes The site's sizes keyed by name
+     * @return {Object} The "size" and the "mediaPath" of the original or NULL
+     * when the path is not for one of the sizes or the original is a derivative
+     */
+    ImageDerivativeService.parseDerivativePath = function(derivativePath, sizes) {
+        var match = DERIVATIVE_PATH_PATTERN.exec(derivativePath || '');
+        if (!match || !util.isObject(sizes) || !Object.prototype.hasOwnProperty.call(sizes, match[1])) {
+            return null;
+        }
+
+        var segments = match[2].split('/');
+        if (segments.indexOf('..') >= 0) {
+
+            //derivatives are written so they must stay within the media directory
+            return null;
+        }
+        else if (Object.prototype.hasOwnProperty.call(sizes, segments[0])) {
+
+            //the original would itself be a derivative.  Derivatives of derivatives could be requested without end.
+            return null;
+        }
+
+        var size = sizes[match[1]];
+        var mediaPath = '/media/' + match[2];
+        if (size.format) {
+
+            //strip the extension appended for a conversion
+            var original = mediaPath.substring(0, mediaPath.lastIndexOf('.'));
+            if (getFormat(original)) {
+                mediaPath = original;
+            }
+        }
+        return {
+            size: size,
+            mediaPath: mediaPath
+        };
+    };
+
+    /**
+     * Resizes an image.  Images are only scaled down unless they are cropped.
+     * @static
+     * @method resize
+     * @param {Buffer} content The original image
+     * @param {Object} size
+     * @param {String} mime The MIME type of the result
+     * @param {Function} cb (Error, Buffer)
+     */
+    ImageDerivativeService.resize = function(content, size, mime, cb) {
+        Jimp.read(content, function(err, image) {
+            if (util.isError(err)) {
+                return cb(err);
+            }
+
+            var width  = image.bitmap.width;
+            var height = image.bitmap.height;
+            if (size.crop) {
+                image.cover(size.width, size.height);
+            }
+            else if ((size.width && width > size.width) || (size.height && height > size.height)) {
+                image.scaleToFit(size.width || Infinity, size.height || Infinity);
+            }
+
+            image.quality(pb.config.media.images.quality);
+            image.getBuffer(mime, cb);
+        });
+    };
+
+    /**
+     * @private
+     * @static
+     * @method getFormat
+     * @param {String} mediaPath
+     * @return {String} The format of the image or undefined when derivatives
+     * cannot be created from it
+     */
+    function getFormat(mediaPath) {
+        return EXTENSIONS[util.getExtension(mediaPath, {lower: true, sep: '/'})];
+    }
+
+    /**
+     * Calls back everything waiting on a derivative
+     * @private
+     * @static
+     * @method done
+     * @param {String} key
+     * @param {Error} err
+     */
+    function done(key, err) {
+        var callbacks = PENDING[key] || [];
+        delete PENDING[key];
+        callbacks.forEach(function(cb) {
+            cb(err || null, !err);
+        });
+    }
+
+    //exports
+    return ImageDerivativeService;
+};
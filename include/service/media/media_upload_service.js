@@ -0,0 +1,631 @@
+/*
+    Copyright (C) 2016  PencilBlue, LLC
+
+    This program is free software: you can redistribute it and/or modify
+    it under the terms of the GNU General Public License as published by
+    the Free Software Foundation, either version 3 of the License, or
+    (at your option) any later version.
+
+    This program is distributed in the hope that it will be useful,
+    but WITHOUT ANY WARRANTY; without even the implied warranty of
+    MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+    GNU General Public License for more details.
+
+    You should have received a copy of the GNU General Public License
+    along with this program.  If not, see <http://www.gnu.org/licenses/>.
+*/
+'use strict';
+
+//dependencies
+var fs              = require('fs');
+var os              = require('os');
+var path            = require('path');
+var async           = require('async');
+var crypto          = require('crypto');
+var mime            = require('mime');
+var HttpStatusCodes = require('http-status-codes');
+var ErrorUtils      = require('../../error/error_utils');
+var util            = require('../../util.js');
+
+module.exports = function MediaUploadServiceModule(pb) {
+
+    //pb dependencies
+    var DAO               = pb.DAO;
+    var ValidationService = pb.ValidationService;
+
+    /**
+     * Manages resumable uploads made through the tus protocol
+     * (http://tus.io/protocols/resumable-upload.html).  The state of each
+     * upload is persisted in the "media_upload" collection and the content is
+     * appended, one chunk at a time, to a temporary file.  A chunk that is
+     * interrupted keeps the bytes that were received so that the client can
+     * resume from the last offset.  Once all of the content has been received
+     * the file is handed to the media provider and the media descriptor is
+     * created.
+     * @class MediaUploadService
+     * @constructor
+     * @param {Object} [context]
+     * @param {String} [context.site]
+     * @param {Boolean} [context.onlyThisSite=false]
+     * @param {Object} [context.session] The session of the user that is
+     * uploading.  Uploads are only visible to the user that created them.
+     * @param {LockService} [context.lockService]
+     */
+    function MediaUploadService(context) {
+        if (!util.isObject(context)) {
+            context = {};
+        }
+
+        /**
+         * @property context
+         * @type {Object}
+         */
+        this.context = context;
+
+        /**
+         * @property site
+         * @type {String}
+         */
+        this.site = pb.SiteService.getCurrentSite(context.site);
+
+        /**
+         * The ID of the user that is uploading
+         * @property userId
+         * @type {String}
+         */
+        this.userId = context.session && context.session.authentication && context.session.authentication.user_id ?
+            context.session.authentication.user_id + '' : null;
+
+        /**
+         * @property dao
+         * @type {SiteQueryService}
+         */
+        this.dao = new pb.SiteQueryService({site: this.site, onlyThisSite: true});
+
+        /**
+         * Serializes the chunks written to an upload
+         * @property lockService
+         * @type {LockService}
+         */
+        this.lockService = context.lockService || new pb.LockService();
+    }
+
+    /**
+     * The collection that stores the state of the uploads
+     * @private
+     * @static
+     * @readonly
+     * @property TYPE
+     * @type {String}
+     */
+    var TYPE = 'media_upload';
+
+    /**
+     * @private
+     * @static
+     * @readonly
+     * @property LOCK_PREFIX
+     * @type {String}
+     */
+    var LOCK_PREFIX = 'media_upload_';
+
+    /**
+     * The version of the tus protocol that is supported
+     * @static
+     * @readonly
+     * @property TUS_VERSION
+     * @type {String}
+     */
+    MediaUploadService.TUS_VERSION = '1.0.0';
+
+    /**
+     * The extensions of the tus protocol that are supported
+     * @static
+     * @readonly
+     * @property TUS_EXTENSIONS
+     * @type {Array}
+     */
+    MediaUploadService.TUS_EXTENSIONS = Object.freeze(['creation', 'expiration', 'checksum', 'termination']);
+
+    /**
+     * The algorithms that may be used to verify the checksum of a chunk
+     * @static
+     * @readonly
+     * @property CHECKSUM_ALGORITHMS
+     * @type {Array}
+     */
+    MediaUploadService.CHECKSUM_ALGORITHMS = Object.freeze(['md5', 'sha1', 'sha256']);
+
+    /**
+     * The status code that the tus protocol specifies for a chunk that does not
+     * match its checksum
+     * @static
+     * @readonly
+     * @property CHECKSUM_MISMATCH
+     * @type {Integer}
+     */
+    MediaUploadService.CHECKSUM_MISMATCH = 460;
+
+    /**
+     * The metadata keys, provided when an upload is created, that are copied
+     * to the media descriptor
+     * @private
+     * @static
+     * @readonly
+     * @property MEDIA_FIELDS
+     * @type {Array}
+     */
+    var MEDIA_FIELDS = Object.freeze(['name', 'caption', 'media_topics', 'media_tags', 'media_folder']);
+
+    /**
+     * Creates an upload
+     * @method create
+     * @param {Object} options
+     * @param {Integer} options.length The size of the upload in bytes
+     * @param {Object} options.metadata The decoded "Upload-Metadata".  The
+     * "filename" is required.  The optional "filetype" is the MIME type and
+     * "name", "caption", "media_topics", "media_tags" and "media_folder" are
+     * provided to the media descriptor.
+     * @param {Function} cb (Error, Object) Provides the upload
+     */
+    MediaUploadService.prototype.create = function(options, cb) {
+        var length   = options.length;
+        var metadata = options.metadata || {};
+        if (!util.isNumber(length) || length % 1 !== 0 || length < 0) {
+            return cb(ErrorUtils.badRequest({message: 'Upload-Length must be a positive integer'}));
+        }
+        else if (length > MediaUploadService.getMaxSize()) {
+            return cb(ErrorUtils.custom('The upload exceeds the maximum size of ' + MediaUploadService.getMaxSize() + ' bytes', HttpStatusCodes.REQUEST_TOO_LONG));
+        }
+        else if (!ValidationService.isNonEmptyStr(metadata.filename, true)) {
+            return cb(ErrorUtils.badRequest({message: 'The filename must be provided in the Upload-Metadata'}));
+        }
+        else if (!pb.MediaServiceV2.getRenderer(metadata.filename, true)) {
+            return cb(ErrorUtils.custom('The type of file is not supported', HttpStatusCodes.UNSUPPORTED_MEDIA_TYPE));
+        }
+
+        var upload = {
+            object_type: TYPE,
+            length: length,
+            offset: 0,
+            filename: path.basename(metadata.filename),
+            mime: metadata.filetype || mime.lookup(metadata.filename),
+            media: {},
+            media_id: null,
+            author: this.userId,
+            expires: new Date(Date.now() + pb.config.media.uploads.expiry * 1000)
+        };
+        MEDIA_FIELDS.forEach(function(field) {
+            if (util.isString(metadata[field])) {
+                upload.media[field] = metadata[field];
+            }
+        });
+        if (!upload.media.name) {
+            upload.media.name = upload.filename;
+        }
+
+        var self = this;
+        this.dao.save(upload, function(err) {
+            if (util.isError(err)) {
+                return cb(err);
+            }
+
+            var tempPath = MediaUploadService.getTempPath(upload[DAO.getIdField()]);
+            util.mkdirs(tempPath, true, function(err) {
+                if (util.isError(err)) {
+                    return cb(err);
+                }
+                fs.writeFile(tempPath, '', function(err) {
+                    cb(err, err ? null : upload);
+
+                    //take the opportunity to clean up abandoned uploads
+                    self.removeExpired(function(err, count) {
+                        if (util.isError(err)) {
+                            pb.log.error('MediaUploadService: Failed to remove expired uploads: %s', err.stack);
+                        }
+                        else if (count > 0) {
+                            pb.log.debug('MediaUploadService: Removed %s expired upload(s)', count);
+                        }
+                    });
+                });
+            });
+        });
+    };
+
+    /**
+     * Retrieves an upload that has not expired
+     * @method get
+     * @param {String} id
+     * @param {Function} cb (Error, Object) Provides a not found error when the
+     * upload does not exist, has expired or belongs to another user
+     */
+    MediaUploadService.prototype.get = function(id, cb) {
+        if (!ValidationService.isIdStr(id, true)) {
+            return cb(ErrorUtils.notFound());
+        }
+
+        var self = this;
+        this.dao.loadById(id, TYPE, function(err, upload) {
+            if (util.isError(err)) {
+                return cb(err);
+            }
+            else if (!upload || upload.expires < new Date() || (upload.author && upload.author !== self.userId)) {
+                return cb(ErrorUtils.notFound());
+            }
+            cb(null, upload);
+        });
+    };
+
+    /**
+     * Appends a chunk to the upload.  Only one chunk may be written to an
+     * upload at a time.  When the last chunk is received the media descriptor
+     * is created.
+     * @method append
+     * @param {String} id
+     * @param {Object} options
+     * @param {Integer} options.offset The offset that the client expects the
+     * chunk to be written at
+     * @param {Stream} options.stream The content of the chunk
+     * @param {String} [options.checksum] The "Upload-Checksum" of the chunk
+     * @param {Function} cb (Error, Object, Object) Provides the upload and,
+     * when the upload is complete, the media descriptor
+     */
+    MediaUploadService.prototype.append = function(id, options, cb) {
+        var checksum = null;
+        if (!util.isNullOrUndefined(options.checksum)) {
+            checksum = MediaUploadService.parseChecksum(options.checksum);
+            if (checksum === null) {
+                return cb(ErrorUtils.badRequest({message: 'The Upload-Checksum is not supported'}));
+            }
+        }
+
+        var self     = this;
+        var lockName = LOCK_PREFIX + id;
+        var lockOpts = {timeout: pb.config.media.uploads.lock_timeout};
+        this.lockService.acquire(lockName, lockOpts, function(err, acquired) {
+            if (util.isError(err)) {
+                return cb(err);
+            }
+            else if (!acquired) {
+                return cb(ErrorUtils.custom('Another chunk is being written to the upload', HttpStatusCodes.LOCKED));
+            }
+
+            self._append(id, options.offset, options.stream, checksum, function(err, upload, media) {
+                self.lockService.release(lockName, acquired, function(lockErr) {
+                    if (util.isError(lockErr)) {
+                        pb.log.error('MediaUploadService: Failed to release the lock for upload %s: %s', id, lockErr.stack);
+                    }
+                    cb(err, upload, media);
+                });
+            });
+        });
+    };
+
+    /**
+     * Appends a chunk while the upload is locked
+     * @private
+     * @method _append
+     * @param {String} id
+     * @param {Integer} offset
+     * @param {Stream} stream
+     * @param {Object} checksum The parsed checksum or NULL
+     * @param {Function} cb (Error, Object, Object)
+     */
+    MediaUploadService.prototype._append = function(id, offset, stream, checksum, cb) {
+        var self = this;
+        this.get(id, function(err, upload) {
+            if (util.isError(err)) {
+                return cb(err);
+            }
+            else if (offset !== upload.offset) {
+                return cb(ErrorUtils.custom('Upload-Offset does not match the offset of the upload: ' + upload.offset, HttpStatusCodes.CONFLICT));
+            }
+            else if (upload.media_id) {
+                return cb(null, upload, null);
+            }
+
+            self.writeChunk(upload, stream, checksum, function(err, bytesWritten) {
+                if (util.isError(err) && !bytesWritten) {
+                    return cb(err);
+                }
+
+                upload.offset += bytesWritten;
+                self.dao.save(upload, function(saveErr) {
+                    if (util.isError(err) || util.isError(saveErr)) {
+                        return cb(err || saveErr);
+                    }
+                    else if (upload.offset < upload.length) {
+                        return cb(null, upload, null);
+                    }
+                    self.complete(upload, cb);
+                });
+            });
+        });
+    };
+
+    /**
+     * Writes a chunk to the end of the upload's temporary file.  When the
+     * chunk has a checksum the chunk is discarded unless it is received in
+     * full and matches.  Otherwise, the bytes received before the stream was
+     * interrupted are kept.
+     * @method writeChunk
+     * @param {Object} upload
+     * @param {Stream} stream
+     * @param {Object} [checksum] The parsed checksum
+     * @param {Function} cb (Error, Integer) Provides the number of bytes that
+     * were kept
+     */
+    MediaUploadService.prototype.writeChunk = function(upload, stream, checksum, cb) {
+        var tempPath = MediaUploadService.getTempPath(upload[DAO.getIdField()]);
+
+        //discard any bytes beyond the offset, left behind by an interrupted chunk
+        fs.truncate(tempPath, upload.offset, function(err) {
+            if (util.isError(err)) {
+                return cb(err.code === 'ENOENT' ? ErrorUtils.custom('The content of the upload is no longer available', HttpStatusCodes.GONE) : err, 0);
+            }
+
+            var out      = fs.createWriteStream(tempPath, {flags: 'r+', start: upload.offset});
+            var hash     = checksum ? crypto.createHash(checksum.algorithm) : null;
+            var received = 0;
+            var error    = null;
+            var done     = false;
+            var finish = function(interrupted) {
+                if (!error && interrupted && checksum) {
+                    error = ErrorUtils.badRequest({message: 'The chunk was interrupted before it could be verified'});
+                }
+                else if (!error && checksum && hash.digest('base64') !== checksum.digest) {
+                    error = ErrorUtils.custom('The chunk does not match the Upload-Checksum', MediaUploadService.CHECKSUM_MISMATCH);
+                }
+                if (!error) {
+                    return cb(interrupted ? ErrorUtils.badRequest({message: 'The chunk was interrupted'}) : null, received);
+                }
+
+                //nothing from this chunk can be kept
+                fs.truncate(tempPath, upload.offset, function() {
+                    cb(error, 0);
+                });
+            };
+            var onDone = function(interrupted, writeFailed) {
+                if (done) {
+                    return;
+                }
+                done = true;
+                stream.removeListener('data', onData);
+                if (writeFailed) {
+                    return finish(interrupted);
+                }
+                out.end(function() {
+                    finish(interrupted);
+                });
+            };
+            var onData = function(chunk) {
+                if (upload.offset + received + chunk.length > upload.length) {
+                    error = ErrorUtils.custom('The chunk exceeds the Upload-Length', HttpStatusCodes.REQUEST_TOO_LONG);
+                    return onDone(true);
+                }
+
+                received += chunk.length;
+                if (hash) {
+                    hash.update(chunk);
+                }
+                if (!out.write(chunk)) {
+                    stream.pause();
+                    out.once('drain', function() {
+                        stream.resume();
+                    });
+                }
+            };
+            out.on('error', function(err) {
+                error = err;
+                onDone(true, true);
+            });
+            stream.on('data', onData);
+            stream.on('end', function() {
+                onDone(false);
+            });
+            stream.on('aborted', function() {
+                onDone(true);
+            });
+            stream.on('error', function() {
+                onDone(true);
+            });
+        });
+    };
+
+    /**
+     * Hands the content of a complete upload to the media provider and creates
+     * the media descriptor.  When the media descriptor fails validation the
+     * upload is kept so that the creation can be retried by sending an empty
+     * chunk at the final offset.
+     * @method complete
+     * @param {Object} upload
+     * @param {Function} cb (Error, Object, Object) Provides the upload and the
+     * media descriptor
+     */
+    MediaUploadService.prototype.complete = function(upload, cb) {
+        var self     = this;
+        var tempPath = MediaUploadService.getTempPath(upload[DAO.getIdField()]);
+        var dto      = util.merge(upload.media, {});
+        dto.content  = {
+            path: tempPath,
+            name: upload.filename,
+            type: upload.mime,
+            size: upload.length
+        };
+
+        var mediaService = new pb.MediaServiceV2(util.merge(this.context, {site: this.site}));
+        mediaService.add(dto, function(err, media) {
+            if (util.isError(err)) {
+                return cb(err);
+            }
+
+            upload.media_id = media[DAO.getIdField()] + '';
+            self.dao.save(upload, function(err) {
+                if (util.isError(err)) {
+                    return cb(err);
+                }
+
+                fs.unlink(tempPath, function(err) {
+                    if (util.isError(err)) {
+                        pb.log.warn('MediaUploadService: Failed to remove the temporary file %s: %s', tempPath, err.message);
+                    }
+                    cb(null, upload, media);
+                });
+            });
+        });
+    };
+
+    /**
+     * Removes an upload and its content
+     * @method remove
+     * @param {String} id
+     * @param {Function} cb (Error)
+     */
+    MediaUploadService.prototype.remove = function(id, cb) {
+        var self = this;
+        this.get(id, function(err, upload) {
+            if (util.isError(err)) {
+                return cb(err);
+            }
+            self.dao.deleteById(id, TYPE, function(err) {
+                if (util.isError(err)) {
+                    return cb(err);
+                }
+                MediaUploadService.removeTempFile(id, cb);
+            });
+        });
+    };
+
+    /**
+     * Removes the uploads, and their content, that have expired
+     * @method removeExpired
+     * @param {Function} cb (Error, Integer) Provides the number of uploads that
+     * were removed
+     */
+    MediaUploadService.prototype.removeExpired = function(cb) {
+        var self = this;
+        var opts = {
+            select: {_id: 1},
+            where: {expires: {$lt: new Date()}}
+        };
+        this.dao.q(TYPE, opts, function(err, uploads) {
+            if (util.isError(err)) {
+                return cb(err);
+            }
+
+            async.eachSeries(uploads, function(upload, callback) {
+                var id = upload[DAO.getIdField()] + '';
+                self.dao.deleteById(id, TYPE, function(err) {
+                    if (util.isError(err)) {
+                        return callback(err);
+                    }
+                    MediaUploadService.removeTempFile(id, callback);
+                });
+            }, function(err) {
+                cb(err, uploads.length);
+            });
+        });
+    };
+
+    /**
+     * Provides the state of an upload that is safe to share with the client
+     * @static
+     * @method format
+     * @param {Object} upload
+     * @return {Object}
+     */
+    MediaUploadService.format = function(upload) {
+        return {
+            id: upload[DAO.getIdField()] + '',
+            filename: upload.filename,
+            length: upload.length,
+            offset: upload.offset,
+            expires: upload.expires,
+            media_id: upload.media_id,
+            complete: !!upload.media_id
+        };
+    };
+
+    /**
+     * Decodes the "Upload-Metadata" header.  The header is a comma separated
+     * list of keys, each followed by a space and the base64 encoded value.
+     * @static
+     * @method parseMetadata
+     * @param {String} header
+     * @return {Object} The decoded values keyed by name or NULL when the header
+     * is malformed
+     */
+    MediaUploadService.parseMetadata = function(header) {
+        var metadata = {};
+        if (!ValidationService.isNonEmptyStr(header, true)) {
+            return metadata;
+        }
+
+        var pairs = header.split(',');
+        for (var i = 0; i < pairs.length; i++) {
+            var parts = pairs[i].trim().split(' ');
+            if (parts.length > 2 || !/^[^\s,]+$/.test(parts[0]) || (parts.length === 2 && !/^[A-Za-z0-9+\/]*=*$/.test(parts[1]))) {
+                return null;
+            }
+            metadata[parts[0]] = parts.length === 2 ? new Buffer(parts[1], 'base64').toString('utf8') : '';
+        }
+        return metadata;
+    };
+
+    /**
+     * Parses the "Upload-Checksum" header: the algorithm followed by a space
+     * and the base64 encoded digest
+     * @static
+     * @method parseChecksum
+     * @param {String} header
+     * @return {Object} The "algorithm" and "digest" or NULL when the header is
+     * malformed or the algorithm is not supported
+     */
+    MediaUploadService.parseChecksum = function(header) {
+        var parts = util.isString(header) ? header.trim().split(' ') : [];
+        if (parts.length !== 2 || MediaUploadService.CHECKSUM_ALGORITHMS.indexOf(parts[0]) < 0 || !/^[A-Za-z0-9+\/]+=*$/.test(parts[1])) {
+            return null;
+        }
+        return {
+            algorithm: parts[0],
+            digest: parts[1]
+        };
+    };
+
+    /**
+     * @static
+     * @method getMaxSize
+     * @return {Integer} The maximum size of an upload in bytes
+     */
+    MediaUploadService.getMaxSize = function() {
+        return pb.config.media.uploads.max_size;
+    };
+
+    /**
+     * @static
+     * @method getTempPath
+     * @param {String} id The ID of the upload
+     * @return {String} The absolute path to the file that holds the content
+     * received so far
+     */
+    MediaUploadService.getTempPath = function(id) {
+        var dir = pb.config.media.uploads.temp_dir || path.join(os.tmpdir(), 'pencilblue-uploads');
+        return path.join(dir, (id + '').replace(/[^a-zA-Z0-9]/g, ''));
+    };
+
+    /**
+     * Removes the content of an upload, if it exists
+     * @static
+     * @method removeTempFile
+     * @param {String} id
+     * @param {Function} cb (Error)
+     */
+    MediaUploadService.removeTempFile = function(id, cb) {
+        fs.unlink(MediaUploadService.getTempPath(id), function(err) {
+            cb(util.isError(err) && err.code !== 'ENOENT' ? err : null);
+        });
+    };
+
+    //exports
+    return MediaUploadService;
+};
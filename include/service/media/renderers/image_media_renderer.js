@@ -203,6 +203,8 @@ module.exports = function ImageMediaRendererModule(pb) {
      * that will be applied to the element generated by the rendering
      * @param {Object} [options.style] A hash of all attributes that will be
      * applied to the style of the element generated by the rendering.
+     * @param {Object} [options.imageSizes] The image sizes keyed by name.  When
+     * provided a srcset of the image's derivatives is added to the element.
      * @param {Function} cb A callback where the first parameter is an Error if
      * occurred and the second is the rendering of the media resource as a HTML
      * formatted string
@@ -213,8 +215,30 @@ module.exports = function ImageMediaRendererModule(pb) {
             options = {};
         }
 
+        var attrs = options.attrs;
+        var srcSet = ImageMediaRenderer.getSrcSet(media.location, options.imageSizes);
+        if (srcSet) {
+            attrs = util.merge(attrs || {}, {srcset: srcSet});
+        }
+
         var embedUrl = ImageMediaRenderer.getEmbedUrl(media.location);
-        cb(null, BaseMediaRenderer.renderSingleElementEmbed('image', embedUrl, options.attrs, options.style));
+        cb(null, BaseMediaRenderer.renderSingleElementEmbed('image', embedUrl, attrs, options.style));
+    };
+
+    /**
+     * Creates the value of the srcset attribute from the derivatives of an
+     * uploaded image
+     * @static
+     * @method getSrcSet
+     * @param {String} mediaId
+     * @param {Object} [imageSizes] The image sizes keyed by name
+     * @return {String} The srcset or NULL when the image has no derivatives
+     */
+    ImageMediaRenderer.getSrcSet = function(mediaId, imageSizes) {
+        var entries = pb.ImageDerivativeService.getSrcSet(mediaId, imageSizes).map(function(entry) {
+            return ImageMediaRenderer.getEmbedUrl(entry.path) + ' ' + entry.width + 'w';
+        });
+        return entries.length > 0 ? entries.join(', ') : null;
     };
 
     /**
@@ -0,0 +1,821 @@
+/*
+    Copyright (C) 2016  PencilBlue, LLC
+
+    This program is free software: you can redistribute it and/or modify
+    it under the terms of the GNU General Public License as published by
+    the Free Software Foundation, either version 3 of the License, or
+    (at your option) any later version.
+
+    This program is distributed in the hope that it will be useful,
+    but WITHOUT ANY WARRANTY; without even the implied warranty of
+    MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+    GNU General Public License for more details.
+
+    You should have received a copy of the GNU General Public License
+    along with this program.  If not, see <http://www.gnu.org/licenses/>.
+*/
+'use strict';
+
+//dependencies
+var url    = require('url');
+var http   = require('http');
+var https  = require('https');
+var crypto = require('crypto');
+var stream = require('stream');
+var util   = require('../../util.js');
+
+module.exports = function S3MediaProviderModule(pb) {
+
+    /**
+     * A media provider that stores media in Amazon S3 or any other object
+     * store that is compatible with the S3 API.  Requests are signed with AWS
+     * Signature Version 4.
+     * @class S3MediaProvider
+     * @constructor
+     * @param {Object} context
+     * @param {String} context.site
+     * @param {Object} [context.settings=pb.config.media.s3]
+     */
+    function S3MediaProvider(context) {
+        if (!util.isObject(context)) {
+            context = {};
+        }
+
+        /**
+         * @property settings
+         * @type {Object}
+         */
+        this.settings = context.settings || pb.config.media.s3;
+    }
+
+    /**
+     * The hash of an empty payload
+     * @private
+     * @static
+     * @readonly
+     * @property EMPTY_HASH
+     * @type {String}
+     */
+    var EMPTY_HASH = crypto.createHash('sha256').update('').digest('hex');
+
+    /**
+     * The payload hash used when the body is streamed or not known when the
+     * request is signed
+     * @private
+     * @static
+     * @readonly
+     * @property UNSIGNED_PAYLOAD
+     * @type {String}
+     */
+    var UNSIGNED_PAYLOAD = 'UNSIGNED-PAYLOAD';
+
+    /**
+     * The number of bytes sent in each part of a multipart upload when no
+     * "part_size" is configured
+     * @private
+     * @static
+     * @readonly
+     * @property DEFAULT_PART_SIZE
+     * @type {Integer}
+     */
+    var DEFAULT_PART_SIZE = 8 * 1024 * 1024;
+
+    /**
+     * @private
+     * @static
+     * @readonly
+     * @property ALGORITHM
+     * @type {String}
+     */
+    var ALGORITHM = 'AWS4-HMAC-SHA256';
+
+    /**
+     * Retrieves the object as a stream.
+     * @method getStream
+     * @param {String} mediaPath The path/key to the media.  Typically this is a
+     * path such as: /media/2014/9/540a3ff0e30ddfb9e60000be-1409957872680.jpg
+     * @param {Function} cb A callback that provides two parameters: An Error, if
+     * occurred and a ReadableStream that contains the media content.
+     */
+    S3MediaProvider.prototype.getStream = function(mediaPath, cb) {
+        this.request({method: 'GET', mediaPath: mediaPath}, function(err, res) {
+            if (util.isError(err)) {
+                return cb(err);
+            }
+            else if (res.statusCode !== 200) {
+                res.resume();
+                return cb(S3MediaProvider.getResponseError(res, mediaPath));
+            }
+            cb(null, res);
+        });
+    };
+
+    /**
+     * Retrieves the content of the object as a Buffer.
+     * @method get
+     * @param {String} mediaPath The path/key to the media.  Typically this is a
+     * path such as: /media/2014/9/540a3ff0e30ddfb9e60000be-1409957872680.jpg
+     * @param {Function} cb A callback that provides two parameters: An Error, if
+     * occurred and an entity that contains the media content.
+     */
+    S3MediaProvider.prototype.get = function(mediaPath, cb) {
+        this.getStream(mediaPath, function(err, res) {
+            if (util.isError(err)) {
+                return cb(err);
+            }
+            readBody(res, cb);
+        });
+    };
+
+    /**
+     * Stores the content of the stream.  The content is sent as it is read.
+     * See createWriteStream.
+     * @method setStream
+     * @param {ReadableStream} stream The content stream
+     * @param {String} mediaPath The path/key to the media.  Typically this is a
+     * path such as: /media/2014/9/540a3ff0e30ddfb9e60000be-1409957872680.jpg
+     * @param {Function} cb A callback that provides two parameters: An Error, if
+     * occurred and the success of the operation.
+     */
+    S3MediaProvider.prototype.setStream = function(stream, mediaPath, cb) {
+        this.createWriteStream(mediaPath, function(err, writeStream) {
+            var called = false;
+            var done = function(err) {
+                if (!called) {
+                    called = true;
+                    cb(err || null, !err);
+                }
+            };
+            writeStream.on('error', done);
+            writeStream.on('finish', function() {
+                done(null);
+            });
+
+            //a failed read must not leave a partial upload behind
+            stream.on('error', function(err) {
+                stream.unpipe(writeStream);
+                writeStream.destroy(err);
+            });
+            stream.pipe(writeStream);
+        });
+    };
+
+    /**
+     * Stores the content.
+     * @method set
+     * @param {String|Buffer} fileDataStrOrBuff The content to persist
+     * @param {String} mediaPath The path/key to the media.  Typically this is a
+     * path such as: /media/2014/9/540a3ff0e30ddfb9e60000be-1409957872680.jpg
+     * @param {Function} cb A callback that provides two parameters: An Error, if
+     * occurred and the success of the operation.
+     */
+    S3MediaProvider.prototype.set = function(fileDataStrOrBuff, mediaPath, cb) {
+        var body = Buffer.isBuffer(fileDataStrOrBuff) ? fileDataStrOrBuff : Buffer.from(fileDataStrOrBuff + '');
+        var options = {
+            method: 'PUT',
+            mediaPath: mediaPath,
+            body: body,
+            headers: {
+                'Content-Type': pb.RequestHandler.getMimeFromPath(mediaPath) || 'application/octet-stream'
+            }
+        };
+        this.request(options, function(err, res) {
+            if (util.isError(err)) {
+                return cb(err);
+            }
+
+            res.resume();
+            if (res.statusCode !== 200) {
+                return cb(S3MediaProvider.getResponseError(res, mediaPath));
+            }
+            cb(null, true);
+        });
+    };
+
+    /**
+     * Creates a writable stream for the object.  The content is sent with a
+     * multipart upload in parts of "part_size" bytes so that no more than a
+     * part is held in memory.  Content that fits in a single part is stored
+     * with a single request.  The object is stored once the stream is ended.
+     * The stream emits "error" if the object could not be stored in which case
+     * the multipart upload is aborted.
+     * @method createWriteStream
+     * @param {String} mediaPath The path/key to the media.  Typically this is a
+     * path such as: /media/2014/9/540a3ff0e30ddfb9e60000be-1409957872680.jpg
+     * @param {Function} cb A callback that provides two parameters: An Error, if
+     * occurred and a WriteableStream.
+     */
+    S3MediaProvider.prototype.createWriteStream = function(mediaPath, cb) {
+        var self     = this;
+        var partSize = this.settings.part_size || DEFAULT_PART_SIZE;
+        var chunks   = [];
+        var buffered = 0;
+        var uploadId = null;
+        var etags    = [];
+        var aborted  = false;
+
+        var sendPart = function(callback) {
+            var body = Buffer.concat(chunks);
+            chunks   = [];
+            buffered = 0;
+
+            var upload = function() {
+                self.uploadPart(mediaPath, uploadId, etags.length + 1, body, function(err, etag) {
+                    if (!util.isError(err)) {
+                        etags.push(etag);
+                    }
+                    callback(err);
+                });
+            };
+            if (uploadId !== null) {
+                return upload();
+            }
+            self.initiateUpload(mediaPath, function(err, id) {
+                if (util.isError(err)) {
+                    return callback(err);
+                }
+
+                uploadId = id;
+                if (aborted) {
+
+                    //the stream was destroyed while the upload was being started
+                    return abort(null, callback);
+                }
+                upload();
+            });
+        };
+
+        var abort = function(err, callback) {
+            var id = uploadId;
+            aborted = true;
+            uploadId = null;
+            if (id === null) {
+                return callback(err);
+            }
+            self.abortUpload(mediaPath, id, function(abortErr) {
+                if (util.isError(abortErr)) {
+                    pb.log.warn('S3MediaProvider: Failed to abort the upload of %s: %s', mediaPath, abortErr.message);
+                }
+                callback(err);
+            });
+        };
+
+        var writeStream = new stream.Writable({
+            write: function(chunk, encoding, callback) {
+                chunks.push(chunk);
+                buffered += chunk.length;
+                if (buffered < partSize) {
+                    return callback();
+                }
+                sendPart(function(err) {
+                    return util.isError(err) ? abort(err, callback) : callback();
+                });
+            },
+            final: function(callback) {
+                if (uploadId === null) {
+                    return self.set(Buffer.concat(chunks), mediaPath, function(err) {
+                        callback(err);
+                    });
+                }
+
+                var complete = function(err) {
+                    if (util.isError(err)) {
+                        return abort(err, callback);
+                    }
+                    self.completeUpload(mediaPath, uploadId, etags, function(err) {
+                        return util.isError(err) ? abort(err, callback) : callback();
+                    });
+                };
+                return buffered > 0 ? sendPart(complete) : complete();
+            },
+            destroy: function(err, callback) {
+                abort(err, callback);
+            }
+        });
+        cb(null, writeStream);
+    };
+
+    /**
+     * Starts a multipart upload of the object
+     * @method initiateUpload
+     * @param {String} mediaPath
+     * @param {Function} cb (Error, String) Provides the ID of the upload
+     */
+    S3MediaProvider.prototype.initiateUpload = function(mediaPath, cb) {
+        var options = {
+            method: 'POST',
+            mediaPath: mediaPath,
+            query: {uploads: ''},
+            headers: {
+                'Content-Type': pb.RequestHandler.getMimeFromPath(mediaPath) || 'application/octet-stream'
+            }
+        };
+        this.requestXml(options, function(err, xml) {
+            var match = /<UploadId>([^<]+)<\/UploadId>/.exec(xml || '');
+            if (!util.isError(err) && !match) {
+                err = new Error('S3MediaProvider: No upload ID was provided for '+mediaPath);
+                err.code = 500;
+            }
+            cb(err, match ? match[1] : null);
+        });
+    };
+
+    /**
+     * Sends a part of a multipart upload
+     * @method uploadPart
+     * @param {String} mediaPath
+     * @param {String} uploadId
+     * @param {Integer} partNumber Starts at 1
+     * @param {Buffer} body
+     * @param {Function} cb (Error, String) Provides the ETag of the part
+     */
+    S3MediaProvider.prototype.uploadPart = function(mediaPath, uploadId, partNumber, body, cb) {
+        var options = {
+            method: 'PUT',
+            mediaPath: mediaPath,
+            query: {partNumber: partNumber + '', uploadId: uploadId},
+            body: body
+        };
+        this.request(options, function(err, res) {
+            if (util.isError(err)) {
+                return cb(err);
+            }
+
+            res.resume();
+            if (res.statusCode !== 200) {
+                return cb(S3MediaProvider.getResponseError(res, mediaPath));
+            }
+            cb(null, res.headers.etag);
+        });
+    };
+
+    /**
+     * Completes a multipart upload.  The object is assembled from the parts.
+     * @method completeUpload
+     * @param {String} mediaPath
+     * @param {String} uploadId
+     * @param {Array} etags The ETags of the parts in order
+     * @param {Function} cb (Error)
+     */
+    S3MediaProvider.prototype.completeUpload = function(mediaPath, uploadId, etags, cb) {
+        var parts = etags.map(function(etag, i) {
+            return '<Part><PartNumber>' + (i + 1) + '</PartNumber><ETag>' + etag + '</ETag></Part>';
+        });
+        var options = {
+            method: 'POST',
+            mediaPath: mediaPath,
+            query: {uploadId: uploadId},
+            body: Buffer.from('<CompleteMultipartUpload>' + parts.join('') + '</CompleteMultipartUpload>'),
+            headers: {
+                'Content-Type': 'application/xml'
+            }
+        };
+        this.requestXml(options, function(err) {
+            cb(err);
+        });
+    };
+
+    /**
+     * Aborts a multipart upload so that the parts that were sent are removed
+     * @method abortUpload
+     * @param {String} mediaPath
+     * @param {String} uploadId
+     * @param {Function} cb (Error)
+     */
+    S3MediaProvider.prototype.abortUpload = function(mediaPath, uploadId, cb) {
+        this.request({method: 'DELETE', mediaPath: mediaPath, query: {uploadId: uploadId}}, function(err, res) {
+            if (util.isError(err)) {
+                return cb(err);
+            }
+
+            res.resume();
+            if (res.statusCode !== 204 && res.statusCode !== 200) {
+                return cb(S3MediaProvider.getResponseError(res, mediaPath));
+            }
+            cb(null);
+        });
+    };
+
+    /**
+     * Makes a request that responds with an XML document.  An error document
+     * is an error even when it is sent with a 200 status.
+     * @method requestXml
+     * @param {Object} options See request
+     * @param {Function} cb (Error, String) Provides the document
+     */
+    S3MediaProvider.prototype.requestXml = function(options, cb) {
+        this.request(options, function(err, res) {
+            if (util.isError(err)) {
+                return cb(err);
+            }
+            readBody(res, function(err, body) {
+                var xml = body ? body.toString() : '';
+                if (!util.isError(err) && (res.statusCode !== 200 || xml.indexOf('<Error>') >= 0)) {
+                    err = S3MediaProvider.getResponseError(res, options.mediaPath);
+                }
+                cb(err, xml);
+            });
+        });
+    };
+
+    /**
+     * Checks to see if the object exists
+     * @method exists
+     * @param {String} mediaPath The path/key to the media.  Typically this is a
+     * path such as: /media/2014/9/540a3ff0e30ddfb9e60000be-1409957872680.jpg
+     * @param {Function} cb A callback that provides two parameters: An Error, if
+     * occurred and a Boolean.
+     */
+    S3MediaProvider.prototype.exists = function(mediaPath, cb) {
+        this.request({method: 'HEAD', mediaPath: mediaPath}, function(err, res) {
+            if (util.isError(err)) {
+                return cb(err);
+            }
+
+            res.resume();
+            if (res.statusCode === 404) {
+                return cb(null, false);
+            }
+            else if (res.statusCode !== 200) {
+                return cb(S3MediaProvider.getResponseError(res, mediaPath));
+            }
+            cb(null, true);
+        });
+    };
+
+    /**
+     * Deletes the object.  Deleting an object that does not exist is not an
+     * error.
+     * @method delete
+     * @param {String} mediaPath The path/key to the media.  Typically this is a
+     * path such as: /media/2014/9/540a3ff0e30ddfb9e60000be-1409957872680.jpg
+     * @param {Function} cb A callback that provides two parameters: An Error, if
+     * occurred and the success of the operation.
+     */
+    S3MediaProvider.prototype.delete = function(mediaPath, cb) {
+        this.request({method: 'DELETE', mediaPath: mediaPath}, function(err, res) {
+            if (util.isError(err)) {
+                return cb(err);
+            }
+
+            res.resume();
+            if (res.statusCode !== 204 && res.statusCode !== 200) {
+                return cb(S3MediaProvider.getResponseError(res, mediaPath));
+            }
+            cb(null, true);
+        });
+    };
+
+    /**
+     * Retrieve the stats on the object
+     * @method stat
+     * @param {String} mediaPath The path/key to the media.  Typically this is a
+     * path such as: /media/2014/9/540a3ff0e30ddfb9e60000be-1409957872680.jpg
+     * @param {Function} cb A callback that provides two parameters: An Error, if
+     * occurred and an object that contains the "length", "contentType",
+     * "mtime" and "etag" of the object
+     */
+    S3MediaProvider.prototype.stat = function(mediaPath, cb) {
+        this.request({method: 'HEAD', mediaPath: mediaPath}, function(err, res) {
+            if (util.isError(err)) {
+                return cb(err);
+            }
+
+            res.resume();
+            if (res.statusCode !== 200) {
+                return cb(S3MediaProvider.getResponseError(res, mediaPath));
+            }
+            cb(null, {
+                length: parseInt(res.headers['content-length'], 10),
+                contentType: res.headers['content-type'],
+                mtime: new Date(res.headers['last-modified']),
+                etag: res.headers.etag
+            });
+        });
+    };
+
+    /**
+     * Provides the URL that the media should be served from.  When the
+     * provider is configured to proxy media no URL is provided and the content
+     * should be streamed.
+     * @method getUrl
+     * @param {String} mediaPath The path/key to the media.  Typically this is a
+     * path such as: /media/2014/9/540a3ff0e30ddfb9e60000be-1409957872680.jpg
+     * @param {Function} cb A callback that provides two parameters: An Error, if
+     * occurred and the URL or NULL
+     */
+    S3MediaProvider.prototype.getUrl = function(mediaPath, cb) {
+        var settings = this.settings;
+        if (settings.url_mode === 'signed') {
+            return cb(null, this.getSignedUrl(mediaPath, settings.url_expiry));
+        }
+        else if (settings.url_mode === 'public') {
+            var publicUrl = settings.public_url ?
+                pb.UrlService.urlJoin(settings.public_url, S3MediaProvider.encodeKey(this.getKey(mediaPath))) :
+                this.getObjectUrl(mediaPath);
+            return cb(null, publicUrl);
+        }
+        cb(null, null);
+    };
+
+    /**
+     * Creates a pre-signed URL that allows the object to be read without
+     * credentials until it expires
+     * @method getSignedUrl
+     * @param {String} mediaPath
+     * @param {Integer} [expires=900] The number of seconds the URL is valid for
+     * @param {Date} [date=new Date()]
+     * @return {String}
+     */
+    S3MediaProvider.prototype.getSignedUrl = function(mediaPath, expires, date) {
+        var settings = this.settings;
+        var target   = url.parse(this.getObjectUrl(mediaPath));
+        var amzDate  = S3MediaProvider.getAmzDate(date || new Date());
+        var scope    = S3MediaProvider.getScope(amzDate, settings.region);
+
+        var query = {
+            'X-Amz-Algorithm': ALGORITHM,
+            'X-Amz-Credential': settings.access_key_id + '/' + scope,
+            'X-Amz-Date': amzDate,
+            'X-Amz-Expires': (expires || 900) + '',
+            'X-Amz-SignedHeaders': 'host'
+        };
+        var canonicalRequest = S3MediaProvider.getCanonicalRequest('GET', target.pathname, query, {host: target.host}, UNSIGNED_PAYLOAD);
+        var signature = S3MediaProvider.sign(settings.secret_access_key, amzDate, settings.region, canonicalRequest);
+
+        return target.protocol + '//' + target.host + target.pathname + '?' + S3MediaProvider.getCanonicalQuery(query) +
+            '&X-Amz-Signature=' + signature;
+    };
+
+    /**
+     * Provides the key of the object for the media path
+     * @method getKey
+     * @param {String} mediaPath
+     * @return {String}
+     */
+    S3MediaProvider.prototype.getKey = function(mediaPath) {
+        var key = mediaPath.replace(/^\/+/, '');
+        var prefix = (this.settings.prefix || '').replace(/^\/+|\/+$/g, '');
+        return prefix.length ? prefix + '/' + key : key;
+    };
+
+    /**
+     * Provides the URL of the object.  Path style URLs are used when
+     * configured otherwise the bucket is addressed as a sub-domain of the
+     * endpoint.
+     * @method getObjectUrl
+     * @param {String} mediaPath
+     * @return {String}
+     */
+    S3MediaProvider.prototype.getObjectUrl = function(mediaPath) {
+        var settings = this.settings;
+        var endpoint = url.parse(settings.endpoint || S3MediaProvider.getDefaultEndpoint(settings.region));
+        var key      = S3MediaProvider.encodeKey(this.getKey(mediaPath));
+        if (settings.path_style) {
+            return endpoint.protocol + '//' + endpoint.host + '/' + encodeURIComponent(settings.bucket) + '/' + key;
+        }
+        return endpoint.protocol + '//' + settings.bucket + '.' + endpoint.host + '/' + key;
+    };
+
+    /**
+     * Makes a signed request for an object
+     * @method request
+     * @param {Object} options
+     * @param {String} options.method
+     * @param {String} options.mediaPath
+     * @param {Object} [options.query]
+     * @param {Buffer} [options.body]
+     * @param {Object} [options.headers]
+     * @param {Function} cb (Error, IncomingMessage) The response body is not
+     * consumed
+     */
+    S3MediaProvider.prototype.request = function(options, cb) {
+        var settings = this.settings;
+        var target   = url.parse(this.getObjectUrl(options.mediaPath));
+        var query    = options.query || {};
+        var body     = options.body || null;
+        var amzDate  = S3MediaProvider.getAmzDate(new Date());
+
+        var headers = util.merge(options.headers || {}, {
+            host: target.host,
+            'x-amz-date': amzDate,
+            'x-amz-content-sha256': body === null ? EMPTY_HASH : crypto.createHash('sha256').update(body).digest('hex')
+        });
+        if (body !== null) {
+            headers['Content-Length'] = body.length;
+        }
+
+        var signedHeaders = {};
+        Object.keys(headers).forEach(function(name) {
+            if (name.toLowerCase() !== 'content-length') {
+                signedHeaders[name] = headers[name];
+            }
+        });
+        var canonicalRequest = S3MediaProvider.getCanonicalRequest(options.method, target.pathname, query, signedHeaders, headers['x-amz-content-sha256']);
+        var signature = S3MediaProvider.sign(settings.secret_access_key, amzDate, settings.region, canonicalRequest);
+        headers.Authorization = ALGORITHM + ' Credential=' + settings.access_key_id + '/' + S3MediaProvider.getScope(amzDate, settings.region) +
+            ', SignedHeaders=' + S3MediaProvider.getSignedHeaders(signedHeaders) + ', Signature=' + signature;
+
+        var called = false;
+        var done = function(err, res) {
+            if (!called) {
+                called = true;
+                cb(err, res);
+            }
+        };
+
+        var transport = target.protocol === 'https:' ? https : http;
+        var req = transport.request({
+            method: options.method,
+            hostname: target.hostname,
+            port: target.port,
+            path: target.pathname + (Object.keys(query).length ? '?' + S3MediaProvider.getCanonicalQuery(query) : ''),
+            headers: headers
+        }, function(res) {
+            done(null, res);
+        });
+        req.on('error', done);
+        req.setTimeout(settings.timeout || 30000, function() {
+            req.abort();
+            done(new Error('S3MediaProvider: The request for '+options.mediaPath+' timed out'));
+        });
+        req.end(body);
+    };
+
+    /**
+     * @static
+     * @method getDefaultEndpoint
+     * @param {String} region
+     * @return {String}
+     */
+    S3MediaProvider.getDefaultEndpoint = function(region) {
+        return !region || region === 'us-east-1' ? 'https://s3.amazonaws.com' : 'https://s3.' + region + '.amazonaws.com';
+    };
+
+    /**
+     * Encodes each segment of an object key
+     * @static
+     * @method encodeKey
+     * @param {String} key
+     * @return {String}
+     */
+    S3MediaProvider.encodeKey = function(key) {
+        return key.split('/').map(S3MediaProvider.uriEncode).join('/');
+    };
+
+    /**
+     * Encodes a value as described by RFC 3986
+     * @static
+     * @method uriEncode
+     * @param {String} value
+     * @return {String}
+     */
+    S3MediaProvider.uriEncode = function(value) {
+        return encodeURIComponent(value).replace(/[!'()*]/g, function(c) {
+            return '%' + c.charCodeAt(0).toString(16).toUpperCase();
+        });
+    };
+
+    /**
+     * Formats a date as the basic ISO 8601 format used by the signature
+     * @static
+     * @method getAmzDate
+     * @param {Date} date
+     * @return {String} The date in the form 20130524T000000Z
+     */
+    S3MediaProvider.getAmzDate = function(date) {
+        return date.toISOString().replace(/[:-]|\.\d{3}/g, '');
+    };
+
+    /**
+     * @static
+     * @method getScope
+     * @param {String} amzDate
+     * @param {String} region
+     * @return {String}
+     */
+    S3MediaProvider.getScope = function(amzDate, region) {
+        return amzDate.substring(0, 8) + '/' + region + '/s3/aws4_request';
+    };
+
+    /**
+     * @static
+     * @method getCanonicalQuery
+     * @param {Object} query
+     * @return {String}
+     */
+    S3MediaProvider.getCanonicalQuery = function(query) {
+        return Object.keys(query).sort().map(function(name) {
+            return S3MediaProvider.uriEncode(name) + '=' + S3MediaProvider.uriEncode(query[name]);
+        }).join('&');
+    };
+
+    /**
+     * @static
+     * @method getSignedHeaders
+     * @param {Object} headers
+     * @return {String}
+     */
+    S3MediaProvider.getSignedHeaders = function(headers) {
+        return Object.keys(headers).map(function(name) {
+            return name.toLowerCase();
+        }).sort().join(';');
+    };
+
+    /**
+     * Creates the canonical request as described by AWS Signature Version 4
+     * @static
+     * @method getCanonicalRequest
+     * @param {String} method
+     * @param {String} pathname The encoded path
+     * @param {Object} query
+     * @param {Object} headers The headers that are signed
+     * @param {String} payloadHash
+     * @return {String}
+     */
+    S3MediaProvider.getCanonicalRequest = function(method, pathname, query, headers, payloadHash) {
+        var canonicalHeaders = Object.keys(headers).map(function(name) {
+            return name.toLowerCase() + ':' + (headers[name] + '').trim().replace(/\s+/g, ' ') + '\n';
+        }).sort().join('');
+
+        return [
+            method,
+            pathname,
+            S3MediaProvider.getCanonicalQuery(query),
+            canonicalHeaders,
+            S3MediaProvider.getSignedHeaders(headers),
+            payloadHash
+        ].join('\n');
+    };
+
+    /**
+     * Signs a canonical request
+     * @static
+     * @method sign
+     * @param {String} secretAccessKey
+     * @param {String} amzDate
+     * @param {String} region
+     * @param {String} canonicalRequest
+     * @return {String} The hex encoded signature
+     */
+    S3MediaProvider.sign = function(secretAccessKey, amzDate, region, canonicalRequest) {
+        var scope = S3MediaProvider.getScope(amzDate, region);
+        var stringToSign = [
+            ALGORITHM,
+            amzDate,
+            scope,
+            crypto.createHash('sha256').update(canonicalRequest).digest('hex')
+        ].join('\n');
+
+        var key = ['AWS4' + secretAccessKey].concat(scope.split('/')).reduce(function(key, part) {
+            return crypto.createHmac('sha256', key).update(part).digest();
+        });
+        return crypto.createHmac('sha256', key).update(stringToSign).digest('hex');
+    };
+
+    /**
+     * Creates an error for an unexpected response.  A missing object results
+     * in an error with a 404 code.
+     * @static
+     * @method getResponseError
+     * @param {IncomingMessage} res
+     * @param {String} mediaPath
+     * @return {Error}
+     */
+    S3MediaProvider.getResponseError = function(res, mediaPath) {
+        var err = new Error('S3MediaProvider: The request for '+mediaPath+' failed with status '+res.statusCode);
+        err.code = res.statusCode === 404 ? 404 : 500;
+        return err;
+    };
+
+    /**
+     * Reads a stream in to a single buffer
+     * @private
+     * @static
+     * @method readBody
+     * @param {ReadableStream} stream
+     * @param {Function} cb (Error, Buffer)
+     */
+    function readBody(stream, cb) {
+        var chunks = [];
+        var called = false;
+        stream.on('data', function(chunk) {
+            chunks.push(Buffer.isBuffer(chunk) ? chunk : Buffer.from(chunk));
+        });
+        stream.on('end', function() {
+            if (!called) {
+                called = true;
+                cb(null, Buffer.concat(chunks));
+            }
+        });
+        stream.on('error', function(err) {
+            if (!called) {
+                called = true;
+                cb(err);
+            }
+        });
+    }
+
+    //exports
+    return S3MediaProvider;
+};
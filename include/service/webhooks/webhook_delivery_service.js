@@ -0,0 +1,679 @@
+/*
+    Copyright (C) 2016  PencilBlue, LLC
+
+    This program is free software: you can redistribute it and/or modify
+    it under the terms of the GNU General Public License as published by
+    the Free Software Foundation, either version 3 of the License, or
+    (at your option) any later version.
+
+    This program is distributed in the hope that it will be useful,
+    but WITHOUT ANY WARRANTY; without even the implied warranty of
+    MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+    GNU General Public License for more details.
+
+    You should have received a copy of the GNU General Public License
+    along with this program.  If not, see <http://www.gnu.org/licenses/>.
+*/
+'use strict';
+
+//dependencies
+var async  = require('async');
+var crypto = require('crypto');
+var dns    = require('dns');
+var http   = require('http');
+var https  = require('https');
+var net    = require('net');
+var url    = require('url');
+var util   = require('../../util.js');
+
+module.exports = function WebhookDeliveryServiceModule(pb) {
+
+    /**
+     * Queues, sends and logs the deliveries of events to webhooks.  A delivery
+     * is an HTTP POST of a JSON payload:
+     * <pre>
+     * {"event": "article.saved", "site": "...", "timestamp": "...", "data": {...}}
+     * </pre>
+     * The request carries the event in the X-PB-Event header, the ID of the
+     * delivery in the X-PB-Delivery header and the signature in the
+     * X-PB-Signature header.  The signature is "sha256=" followed by the hex
+     * encoded HMAC-SHA256 of the body keyed with the secret of the webhook.
+     * Any 2xx response marks the delivery as delivered.  Otherwise the next
+     * attempt is pushed out exponentially until the configured maximum number
+     * of attempts is reached and the delivery is marked as failed.  Deliveries
+     * are kept as the delivery log of the webhook.
+     * @class WebhookDeliveryService
+     * @constructor
+     */
+    function WebhookDeliveryService() {
+
+        /**
+         * @property dao
+         * @type {DAO}
+         */
+        this.dao = new pb.DAO();
+    }
+
+    /**
+     * The persistence entity that holds the deliveries
+     * @private
+     * @static
+     * @readonly
+     * @property TYPE
+     * @type {String}
+     */
+    var TYPE = 'webhook_delivery';
+
+    /**
+     * The name of the lock that ensures only one process sends the queued
+     * deliveries at a time
+     * @private
+     * @static
+     * @readonly
+     * @property LOCK_NAME
+     * @type {String}
+     */
+    var LOCK_NAME = 'WEBHOOK_DELIVERY_LOCK';
+
+    /**
+     * The handle to the timer that processes the queue
+     * @private
+     * @static
+     * @property TIMER_HANDLE
+     * @type {Object}
+     */
+    var TIMER_HANDLE = null;
+
+    /**
+     * The maximum number of characters of a response body that are kept in
+     * the delivery log
+     * @private
+     * @static
+     * @readonly
+     * @property MAX_RESPONSE_LENGTH
+     * @type {Integer}
+     */
+    var MAX_RESPONSE_LENGTH = 1024;
+
+    /**
+     * The IPv4 ranges that are private, loopback, link local, shared, multicast
+     * or otherwise not publicly routable.  Each range is the network address
+     * and the number of bits in the prefix.
+     * @private
+     * @static
+     * @readonly
+     * @property RESERVED_IPV4_RANGES
+     * @type {Array}
+     */
+    var RESERVED_IPV4_RANGES = Object.freeze([
+        ['0.0.0.0', 8],
+        ['10.0.0.0', 8],
+        ['100.64.0.0', 10],
+        ['127.0.0.0', 8],
+        ['169.254.0.0', 16],
+        ['172.16.0.0', 12],
+        ['192.0.0.0', 24],
+        ['192.0.2.0', 24],
+        ['192.168.0.0', 16],
+        ['198.18.0.0', 15],
+        ['198.51.100.0', 24],
+        ['203.0.113.0', 24],
+        ['224.0.0.0', 4],
+        ['240.0.0.0', 4]
+    ]);
+
+    /**
+     * The status of a delivery that is waiting to be sent
+     * @static
+     * @readonly
+     * @property STATUS_PENDING
+     * @type {String}
+     */
+    WebhookDeliveryService.STATUS_PENDING = 'pending';
+
+    /**
+     * The status of a delivery that the receiver accepted
+     * @static
+     * @readonly
+     * @property STATUS_DELIVERED
+     * @type {String}
+     */
+    WebhookDeliveryService.STATUS_DELIVERED = 'delivered';
+
+    /**
+     * The status of a delivery that exhausted its attempts
+     * @static
+     * @readonly
+     * @property STATUS_FAILED
+     * @type {String}
+     */
+    WebhookDeliveryService.STATUS_FAILED = 'failed';
+
+    /**
+     * The header that carries the signature of the payload
+     * @static
+     * @readonly
+     * @property SIGNATURE_HEADER
+     * @type {String}
+     */
+    WebhookDeliveryService.SIGNATURE_HEADER = 'X-PB-Signature';
+
+    /**
+     * Queues the delivery of an event to a webhook.  The payload is serialized
+     * once so that every attempt sends, and signs, the same body.
+     * @method enqueue
+     * @param {Object} webhook
+     * @param {String} event
+     * @param {Object} data The object that the event is about
+     * @param {Function} cb A callback that takes two parameters: cb(Error, Object)
+     */
+    WebhookDeliveryService.prototype.enqueue = function(webhook, event, data, cb) {
+        var now = new Date();
+        var item = {
+            object_type: TYPE,
+            site: webhook.site,
+            webhook_id: webhook[pb.DAO.getIdField()] + '',
+            event: event,
+            url: webhook.url,
+            payload: JSON.stringify({
+                event: event,
+                site: webhook.site,
+                timestamp: now.toISOString(),
+                data: data
+            }),
+            status: WebhookDeliveryService.STATUS_PENDING,
+            attempts: 0,
+            next_attempt: now,
+            response_code: null,
+            last_error: null
+        };
+        this.dao.save(item, cb);
+    };
+
+    /**
+     * Retrieves the pending deliveries whose next attempt is due
+     * @method getDue
+     * @param {Integer} [limit] The maximum number of deliveries to retrieve
+     * @param {Function} cb A callback that takes two parameters: cb(Error, Array)
+     */
+    WebhookDeliveryService.prototype.getDue = function(limit, cb) {
+        if (util.isFunction(limit)) {
+            cb = limit;
+            limit = pb.config.webhooks.batch_size;
+        }
+
+        var opts = {
+            where: {
+                status: WebhookDeliveryService.STATUS_PENDING,
+                next_attempt: {$lte: new Date()}
+            },
+            order: {next_attempt: pb.DAO.ASC},
+            limit: limit
+        };
+        this.dao.q(TYPE, opts, cb);
+    };
+
+    /**
+     * Retrieves the most recent deliveries to a webhook, newest first.  The
+     * payloads are not provided.
+     * @method getAllForWebhook
+     * @param {String} webhookId
+     * @param {Object} [options]
+     * @param {Integer} [options.limit]
+     * @param {Integer} [options.offset]
+     * @param {Function} cb A callback that takes three parameters: cb(Error, Array, Integer) where the last
+     * parameter is the total number of deliveries in the log
+     */
+    WebhookDeliveryService.prototype.getAllForWebhook = function(webhookId, options, cb) {
+        if (util.isFunction(options)) {
+            cb = options;
+            options = {};
+        }
+
+        var self = this;
+        var opts = {
+            select: {payload: 0},
+            where: {webhook_id: webhookId + ''},
+            order: [['created', pb.DAO.DESC]],
+            limit: options.limit || 50,
+            offset: options.offset
+        };
+        var tasks = {
+            deliveries: function(callback) {
+                self.dao.q(TYPE, opts, callback);
+            },
+            total: function(callback) {
+                self.dao.count(TYPE, opts.where, callback);
+            }
+        };
+        async.parallel(tasks, function(err, results) {
+            cb(err, results ? results.deliveries : null, results ? results.total : 0);
+        });
+    };
+
+    /**
+     * Sends a delivery to the current URL of its webhook and records the
+     * outcome.  A delivery whose webhook was deleted or deactivated in the
+     * meantime is marked as failed without being sent.
+     * @method deliver
+     * @param {Object} item The queued delivery
+     * @param {Function} cb A callback that takes two parameters: cb(Error, Boolean)
+     * where the result indicates whether the receiver accepted the delivery
+     */
+    WebhookDeliveryService.prototype.deliver = function(item, cb) {
+        var self = this;
+        this.dao.loadById(item.webhook_id, 'webhook', function(err, webhook) {
+            if (util.isError(err)) {
+                return cb(err, false);
+            }
+            if (!webhook || (!webhook.active && item.event !== pb.WebhookService.PING_EVENT)) {
+                var updates = {
+                    status: WebhookDeliveryService.STATUS_FAILED,
+                    last_error: webhook ? 'The webhook is not active' : 'The webhook no longer exists'
+                };
+                return self.dao.updateFields(TYPE, pb.DAO.getIdWhere(item[pb.DAO.getIdField()]), {$set: updates}, function(err) {
+                    cb(err, false);
+                });
+            }
+
+            var headers = WebhookDeliveryService.getHeaders(item, webhook.secret);
+            WebhookDeliveryService.send(webhook.url, item.payload, headers, function(err, response) {
+                var updates = err ?
+                    WebhookDeliveryService.getFailureUpdates(item, err) :
+                    WebhookDeliveryService.getSuccessUpdates(item, response);
+                updates.url = webhook.url;
+                self.dao.updateFields(TYPE, pb.DAO.getIdWhere(item[pb.DAO.getIdField()]), {$set: updates}, function(updateErr) {
+                    cb(updateErr, !err);
+                });
+            });
+        });
+    };
+
+    /**
+     * Provides the fields to update when the receiver accepts a delivery
+     * @static
+     * @method getSuccessUpdates
+     * @param {Object} item The queued delivery
+     * @param {Object} response
+     * @param {Integer} response.code
+     * @param {String} response.body
+     * @return {Object}
+     */
+    WebhookDeliveryService.getSuccessUpdates = function(item, response) {
+        return {
+            status: WebhookDeliveryService.STATUS_DELIVERED,
+            attempts: (item.attempts || 0) + 1,
+            delivered: new Date(),
+            response_code: response.code,
+            response_body: response.body,
+            last_error: null
+        };
+    };
+
+    /**
+     * Provides the fields to update when a delivery attempt fails
+     * @static
+     * @method getFailureUpdates
+     * @param {Object} item The queued delivery
+     * @param {Error} err The error that caused the delivery to fail.  The
+     * "code" and "body" of the response are provided by the error when the
+     * receiver responded.
+     * @return {Object}
+     */
+    WebhookDeliveryService.getFailureUpdates = function(item, err) {
+        var attempts = (item.attempts || 0) + 1;
+        var updates = {
+            attempts: attempts,
+            response_code: err && err.code > 0 ? err.code : null,
+            response_body: err && util.isString(err.body) ? err.body : null,
+            last_error: err ? err.message : null
+        };
+        if (attempts >= pb.config.webhooks.max_attempts) {
+            updates.status = WebhookDeliveryService.STATUS_FAILED;
+        }
+        else {
+            updates.next_attempt = WebhookDeliveryService.getNextAttempt(attempts);
+        }
+        return updates;
+    };
+
+    /**
+     * Calculates when the next delivery attempt should be made.  The delay
+     * doubles with each attempt.
+     * @static
+     * @method getNextAttempt
+     * @param {Integer} attempts The number of attempts made so far
+     * @param {Date} [date=new Date()] The date of the most recent attempt
+     * @return {Date}
+     */
+    WebhookDeliveryService.getNextAttempt = function(attempts, date) {
+        date = date || new Date();
+
+        var delay = pb.config.webhooks.backoff * Math.pow(2, Math.max(attempts - 1, 0));
+        return new Date(date.getTime() + delay);
+    };
+
+    /**
+     * Creates the headers that are sent with a delivery
+     * @static
+     * @method getHeaders
+     * @param {Object} item The queued delivery
+     * @param {String} secret The secret of the webhook
+     * @return {Object}
+     */
+    WebhookDeliveryService.getHeaders = function(item, secret) {
+        var headers = {
+            'Content-Type': 'application/json',
+            'User-Agent': 'PencilBlue-Webhook/' + pb.config.version,
+            'X-PB-Event': item.event,
+            'X-PB-Delivery': item[pb.DAO.getIdField()] + ''
+        };
+        headers[WebhookDeliveryService.SIGNATURE_HEADER] = WebhookDeliveryService.sign(item.payload, secret);
+        return headers;
+    };
+
+    /**
+     * Signs a payload
+     * @static
+     * @method sign
+     * @param {String} payload
+     * @param {String} secret
+     * @return {String} "sha256=" followed by the hex encoded HMAC-SHA256 of the payload
+     */
+    WebhookDeliveryService.sign = function(payload, secret) {
+        return 'sha256=' + crypto.createHmac('sha256', secret).update(payload, 'utf8').digest('hex');
+    };
+
+    /**
+     * Determines if an IP address is private, loopback, link local, multicast
+     * or otherwise reserved and so must not be the destination of a webhook
+     * @static
+     * @method isReservedAddress
+     * @param {String} address An IPv4 or IPv6 address
+     * @return {Boolean} TRUE when the address is reserved or is not an IP
+     * address
+     */
+    WebhookDeliveryService.isReservedAddress = function(address) {
+        address = util.isString(address) ? address.replace(/%.*$/, '') : '';
+        if (net.isIPv4(address)) {
+            var value = ipv4ToInt(address);
+            return RESERVED_IPV4_RANGES.some(function(range) {
+                var mask = range[1] === 0 ? 0 : (~0 << (32 - range[1])) >>> 0;
+                return ((value & mask) >>> 0) === ipv4ToInt(range[0]);
+            });
+        }
+        if (!net.isIPv6(address)) {
+            return true;
+        }
+
+        var words = ipv6ToWords(address);
+        var isPrefixZero = words.slice(0, 5).every(function(word) {
+            return word === 0;
+        });
+
+        //IPv4 mapped (::ffff:0:0/96) and translated (64:ff9b::/96) addresses
+        if ((isPrefixZero && words[5] === 0xffff) || (words[0] === 0x64 && words[1] === 0xff9b && words.slice(2, 6).every(function(word) { return word === 0; }))) {
+            return WebhookDeliveryService.isReservedAddress([words[6] >> 8, words[6] & 0xff, words[7] >> 8, words[7] & 0xff].join('.'));
+        }
+        return (isPrefixZero && words[5] === 0) || //unspecified, loopback and IPv4 compatible
+            (words[0] & 0xfe00) === 0xfc00 ||      //unique local
+            (words[0] & 0xffc0) === 0xfe80 ||      //link local
+            (words[0] & 0xff00) === 0xff00 ||      //multicast
+            (words[0] === 0x2001 && words[1] === 0x0db8); //documentation
+    };
+
+    /**
+     * Determines if webhooks may be sent to a host.  Host names and addresses
+     * listed by "config.webhooks.allowed_hosts" are always allowed.  Otherwise,
+     * reserved IP addresses and the "localhost" names are not.  Other host
+     * names are checked once they are resolved by WebhookDeliveryService.lookup.
+     * @static
+     * @method isAllowedHost
+     * @param {String} hostname
+     * @return {Boolean}
+     */
+    WebhookDeliveryService.isAllowedHost = function(hostname) {
+        hostname = util.isString(hostname) ? hostname.toLowerCase().replace(/^\[|\]$/g, '').replace(/\.$/, '') : '';
+        if (isListedHost(hostname)) {
+            return true;
+        }
+        if (net.isIP(hostname)) {
+            return !WebhookDeliveryService.isReservedAddress(hostname);
+        }
+        return hostname.length > 0 && hostname !== 'localhost' && !/\.localhost$/.test(hostname);
+    };
+
+    /**
+     * Resolves a host name the same way as dns.lookup but only provides the
+     * addresses that webhooks may be sent to.  It is given to the HTTP request
+     * so that the address that is checked is the address that is connected to.
+     * @static
+     * @method lookup
+     * @param {String} hostname
+     * @param {Object} options See dns.lookup
+     * @param {Function} cb See dns.lookup
+     */
+    WebhookDeliveryService.lookup = function(hostname, options, cb) {
+        if (util.isFunction(options)) {
+            cb = options;
+            options = {};
+        }
+
+        dns.lookup(hostname, options, function(err, address, family) {
+            if (util.isError(err)) {
+                return cb(err);
+            }
+
+            var isAllowed = function(resolved) {
+                return isListedHost(hostname.toLowerCase()) || isListedHost(resolved) || !WebhookDeliveryService.isReservedAddress(resolved);
+            };
+            var error = new Error('The webhook host ' + hostname + ' resolves to a private or reserved address');
+            if (util.isArray(address)) {
+                var allowed = address.filter(function(entry) {
+                    return isAllowed(entry.address);
+                });
+                return allowed.length > 0 ? cb(null, allowed) : cb(error);
+            }
+            return isAllowed(address) ? cb(null, address, family) : cb(error);
+        });
+    };
+
+    /**
+     * Posts a payload to a URL.  Responses other than 2xx are reported as an
+     * error that provides the "code" and "body" of the response.  The request
+     * is refused when the host is not allowed by
+     * WebhookDeliveryService.isAllowedHost or only resolves to reserved
+     * addresses.
+     * @static
+     * @method send
+     * @param {String} target The URL of the receiver
+     * @param {String} payload
+     * @param {Object} headers
+     * @param {Function} cb (Error, Object) Provides the "code" and the
+     * "body" of the response
+     */
+    WebhookDeliveryService.send = function(target, payload, headers, cb) {
+        var called = false;
+        var done = function(err, response) {
+            if (!called) {
+                called = true;
+                cb(err, response);
+            }
+        };
+
+        var body = Buffer.from(payload, 'utf8');
+        var options = url.parse(target);
+        if (!WebhookDeliveryService.isAllowedHost(options.hostname)) {
+            return done(new Error('Webhooks may not be sent to the private or reserved host ' + options.hostname));
+        }
+        options.method = 'POST';
+        options.headers = util.merge(headers, {'Content-Length': body.length});
+        options.lookup = WebhookDeliveryService.lookup;
+
+        var transport = options.protocol === 'https:' ? https : http;
+        var req = transport.request(options, function(res) {
+            var chunks = [];
+            var length = 0;
+            res.on('data', function(chunk) {
+                if (length < MAX_RESPONSE_LENGTH) {
+                    chunks.push(chunk);
+                    length += chunk.length;
+                }
+            });
+            res.on('end', function() {
+                var response = {
+                    code: res.statusCode,
+                    body: Buffer.concat(chunks).toString('utf8').substring(0, MAX_RESPONSE_LENGTH)
+                };
+                if (res.statusCode >= 200 && res.statusCode < 300) {
+                    return done(null, response);
+                }
+
+                var err = new Error('The receiver responded with status ' + res.statusCode);
+                err.code = response.code;
+                err.body = response.body;
+                done(err, response);
+            });
+        });
+        req.on('error', done);
+        req.setTimeout(pb.config.webhooks.timeout, function() {
+            req.abort();
+            done(new Error('The receiver did not respond within ' + pb.config.webhooks.timeout + 'ms'));
+        });
+        req.end(body);
+    };
+
+    /**
+     * Sends the queued deliveries that are due once.  A lock ensures that only
+     * one process in the cluster works the queue at a time.  A run can outlast
+     * the lock timeout so the lock is renewed until the run completes.
+     * @static
+     * @method process
+     * @param {Function} cb A callback that takes two parameters: cb(Error, Object)
+     */
+    WebhookDeliveryService.process = function(cb) {
+        var lockService = new pb.LockService();
+        var options = {
+            heartbeat: true,
+            onLost: function(err) {
+                pb.log.error('WebhookDeliveryService: Failed to renew the queue lock: %s', err.stack);
+            }
+        };
+        lockService.acquire(LOCK_NAME, options, function(err, acquired) {
+            if (util.isError(err) || !acquired) {
+                return cb(err, null);
+            }
+
+            var job = new pb.WebhookDeliveryJobRunner();
+            job.init();
+            job.run(function(err, result) {
+                lockService.release(LOCK_NAME, acquired, function(lockErr) {
+                    if (util.isError(lockErr)) {
+                        pb.log.error('WebhookDeliveryService: Failed to release the queue lock: %s', lockErr.stack);
+                    }
+                    cb(err, result);
+                });
+            });
+        });
+    };
+
+    /**
+     * Should only be called once at startup.  Schedules the processing of the
+     * queue when webhooks are enabled.
+     * @static
+     * @method init
+     * @param {Function} cb A callback that takes two parameters: cb(Error, Boolean)
+     */
+    WebhookDeliveryService.init = function(cb) {
+        if (!pb.WebhookService.isEnabled()) {
+            return cb(null, false);
+        }
+        else if (TIMER_HANDLE !== null) {
+            return cb(null, true);
+        }
+
+        TIMER_HANDLE = setInterval(function() {
+            WebhookDeliveryService.process(function(err) {
+                if (util.isError(err)) {
+                    pb.log.error('WebhookDeliveryService: Failed to process the queue: %s', err.stack);
+                }
+            });
+        }, pb.config.webhooks.interval);
+
+        pb.system.registerShutdownHook('WebhookDeliveryService', WebhookDeliveryService.shutdown);
+        cb(null, true);
+    };
+
+    /**
+     * Stops processing the queue
+     * @static
+     * @method shutdown
+     * @param {Function} cb A callback that takes two parameters: cb(Error, Boolean)
+     */
+    WebhookDeliveryService.shutdown = function(cb) {
+        if (TIMER_HANDLE !== null) {
+            clearInterval(TIMER_HANDLE);
+            TIMER_HANDLE = null;
+        }
+        cb(null, true);
+    };
+
+    /**
+     * @private
+     * @static
+     * @method isListedHost
+     * @param {String} host A lower case host name or an IP address
+     * @return {Boolean} TRUE when the host is listed by
+     * "config.webhooks.allowed_hosts"
+     */
+    function isListedHost(host) {
+        var allowedHosts = pb.config.webhooks.allowed_hosts;
+        return util.isArray(allowedHosts) && allowedHosts.some(function(allowed) {
+            return util.isString(allowed) && allowed.toLowerCase() === host;
+        });
+    }
+
+    /**
+     * @private
+     * @static
+     * @method ipv4ToInt
+     * @param {String} address
+     * @return {Integer} The unsigned 32 bit value of the address
+     */
+    function ipv4ToInt(address) {
+        return address.split('.').reduce(function(value, octet) {
+            return ((value << 8) | parseInt(octet, 10)) >>> 0;
+        }, 0);
+    }
+
+    /**
+     * @private
+     * @static
+     * @method ipv6ToWords
+     * @param {String} address A valid IPv6 address
+     * @return {Array} The eight 16 bit words of the address
+     */
+    function ipv6ToWords(address) {
+
+        //an embedded IPv4 address makes up the last two words
+        var ipv4 = address.match(/(\d+\.\d+\.\d+\.\d+)$/);
+        if (ipv4) {
+            var value = ipv4ToInt(ipv4[1]);
+            address = address.substr(0, address.length - ipv4[1].length) + (value >>> 16).toString(16) + ':' + (value & 0xffff).toString(16);
+        }
+
+        var halves = address.split('::');
+        var head = halves[0] ? halves[0].split(':') : [];
+        var tail = halves.length > 1 && halves[1] ? halves[1].split(':') : [];
+        var zeros = [];
+        for (var i = head.length + tail.length; i < 8; i++) {
+            zeros.push('0');
+        }
+        return head.concat(zeros, tail).map(function(word) {
+            return parseInt(word, 16);
+        });
+    }
+
+    //exports
+    return WebhookDeliveryService;
+};
@@ -0,0 +1,378 @@
+/*
+    Copyright (C) 2016  PencilBlue, LLC
+
+    This program is free software: you can redistribute it and/or modify
+    it under the terms of the GNU General Public License as published by
+    the Free Software Foundation, either version 3 of the License, or
+    (at your option) any later version.
+
+    This program is distributed in the hope that it will be useful,
+    but WITHOUT ANY WARRANTY; without even the implied warranty of
+    MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+    GNU General Public License for more details.
+
+    You should have received a copy of the GNU General Public License
+    along with this program.  If not, see <http://www.gnu.org/licenses/>.
+*/
+'use strict';
+
+//dependencies
+var crypto = require('crypto');
+var async  = require('async');
+var url    = require('url');
+var util   = require('../../util.js');
+
+module.exports = function WebhookServiceModule(pb) {
+
+    //pb dependencies
+    var DAO                 = pb.DAO;
+    var BaseObjectService   = pb.BaseObjectService;
+    var CustomObjectService = pb.CustomObjectService;
+    var ValidationService   = pb.ValidationService;
+
+    /**
+     * @private
+     * @static
+     * @readonly
+     * @property TYPE
+     * @type {String}
+     */
+    var TYPE = 'webhook';
+
+    /**
+     * The types of objects whose events can be subscribed to
+     * @private
+     * @static
+     * @readonly
+     * @property CONTENT_TYPES
+     * @type {Array}
+     */
+    var CONTENT_TYPES = Object.freeze(['article', 'page', 'media', 'topic', 'custom_object']);
+
+    /**
+     * The maximum length of the name of a webhook
+     * @private
+     * @static
+     * @readonly
+     * @property MAX_NAME_LENGTH
+     * @type {Integer}
+     */
+    var MAX_NAME_LENGTH = 100;
+
+    /**
+     * Describes a webhook as it is accepted by the validate listener
+     * @private
+     * @static
+     * @readonly
+     * @property SCHEMA
+     * @type {Object}
+     */
+    var SCHEMA = Object.freeze({
+        type: 'object',
+        properties: {
+            name: {type: 'string', minLength: 1, maxLength: MAX_NAME_LENGTH},
+            url: {type: 'string', format: 'uri'},
+            events: {type: 'array', items: {type: 'string'}, minItems: 1},
+            secret: {type: 'string'},
+            active: {type: 'boolean'}
+        },
+        required: ['name', 'url', 'events']
+    });
+
+    /**
+     * Provides the webhooks of a site.  A webhook subscribes a URL to content
+     * events such as "article.saved" or "media.deleted".  The wildcard event
+     * "*" subscribes to every event.  When an event occurs a delivery is
+     * queued for each active webhook that subscribes to it.  The deliveries
+     * are sent by the WebhookDeliveryService as JSON and are signed with the
+     * secret of the webhook.  A secret is generated when none is provided.
+     * @class WebhookService
+     * @extends BaseObjectService
+     * @constructor
+     * @param {Object} context
+     * @param {String} [context.site]
+     */
+    function WebhookService(context) {
+        if (!util.isObject(context)) {
+            context = {};
+        }
+
+        context.type = TYPE;
+        context.onlyThisSite = true;
+        WebhookService.super_.call(this, context);
+    }
+    util.inherits(WebhookService, BaseObjectService);
+
+    /**
+     * The event that subscribes a webhook to every event
+     * @static
+     * @readonly
+     * @property ALL_EVENTS
+     * @type {String}
+     */
+    WebhookService.ALL_EVENTS = '*';
+
+    /**
+     * The event that is sent to a webhook on demand to verify that the
+     * receiver is reachable.  Webhooks cannot subscribe to it.
+     * @static
+     * @readonly
+     * @property PING_EVENT
+     * @type {String}
+     */
+    WebhookService.PING_EVENT = 'ping';
+
+    /**
+     * The actions that trigger an event for each content type
+     * @static
+     * @readonly
+     * @property ACTIONS
+     * @type {Object}
+     */
+    WebhookService.ACTIONS = Object.freeze({
+        SAVED: 'saved',
+        DELETED: 'deleted'
+    });
+
+    /**
+     * Queues a delivery of the event to each active webhook that subscribes to
+     * it
+     * @method dispatch
+     * @param {String} event The name of the event.  For example: "article.saved"
+     * @param {Object} data The object that the event is about
+     * @param {Function} cb (Error, Integer) Provides the number of deliveries
+     * that were queued
+     */
+    WebhookService.prototype.dispatch = function(event, data, cb) {
+        var self = this;
+        var opts = {
+            where: {
+                active: true,
+                events: {$in: [event, WebhookService.ALL_EVENTS]}
+            }
+        };
+        this.getAll(opts, function(err, webhooks) {
+            if (util.isError(err) || webhooks.length === 0) {
+                return cb(err, 0);
+            }
+
+            var deliveryService = new pb.WebhookDeliveryService();
+            async.eachSeries(webhooks, function(webhook, callback) {
+                deliveryService.enqueue(webhook, event, data, callback);
+            }, function(err) {
+                cb(err, webhooks.length);
+            });
+        });
+    };
+
+    /**
+     * Queues a ping to a webhook regardless of the events it subscribes to and
+     * whether it is active
+     * @method ping
+     * @param {String} id The webhook ID
+     * @param {Function} cb (Error, Object) Provides the queued delivery or
+     * NULL when the webhook does not exist
+     */
+    WebhookService.prototype.ping = function(id, cb) {
+        this.get(id, function(err, webhook) {
+            if (util.isError(err) || util.isNullOrUndefined(webhook)) {
+                return cb(err, null);
+            }
+
+            var data = {
+                webhook_id: webhook[DAO.getIdField()] + '',
+                events: webhook.events
+            };
+            new pb.WebhookDeliveryService().enqueue(webhook, WebhookService.PING_EVENT, data, cb);
+        });
+    };
+
+    /**
+     * Provides the events that webhooks may subscribe to
+     * @static
+     * @method getEvents
+     * @return {Array}
+     */
+    WebhookService.getEvents = function() {
+        var events = [];
+        CONTENT_TYPES.forEach(function(type) {
+            Object.keys(WebhookService.ACTIONS).forEach(function(key) {
+                events.push(type + '.' + WebhookService.ACTIONS[key]);
+            });
+        });
+        return events;
+    };
+
+    /**
+     * Generates a secret for signing the deliveries of a webhook
+     * @static
+     * @method generateSecret
+     * @return {String}
+     */
+    WebhookService.generateSecret = function() {
+        return crypto.randomBytes(24).toString('hex');
+    };
+
+    /**
+     * @static
+     * @method isEnabled
+     * @return {Boolean} TRUE when content events are delivered to webhooks
+     */
+    WebhookService.isEnabled = function() {
+        return !!pb.config.webhooks.enabled;
+    };
+
+    /**
+     *
+     * @static
+     * @method format
+     * @param {Object} context
+     * @param {Object} context.data The incoming request body
+     * @param {WebhookService} context.service An instance of the service that triggered
+     * the event that called this handler
+     * @param {Function} cb A callback that takes a single parameter: an error if occurred
+     */
+    WebhookService.format = function(context, cb) {
+        var dto = context.data;
+        dto.name = BaseObjectService.sanitize(dto.name);
+        if (util.isString(dto.url)) {
+            dto.url = dto.url.trim();
+        }
+        if (util.isString(dto.events)) {
+            dto.events = dto.events.split(',');
+        }
+        if (util.isArray(dto.events)) {
+            dto.events = dto.events.map(function(event) {
+                return util.isString(event) ? event.trim() : event;
+            }).filter(function(event, i, events) {
+                return event !== '' && events.indexOf(event) === i;
+            });
+        }
+        if (util.isString(dto.secret)) {
+            dto.secret = dto.secret.trim();
+        }
+        dto.active = dto.active !== false && dto.active !== 'false';
+        cb(null);
+    };
+
+    /**
+     * The secret of a webhook is only replaced when a new one is provided
+     * @static
+     * @method merge
+     * @param {Object} context
+     * @param {Object} context.data The incoming request body
+     * @param {Object} context.object The object to be persisted
+     * @param {WebhookService} context.service An instance of the service that triggered
+     * the event that called this handler
+     * @param {Function} cb A callback that takes a single parameter: an error if occurred
+     */
+    WebhookService.merge = function(context, cb) {
+        var obj = context.object;
+        var dto = context.data;
+        obj.name = dto.name;
+        obj.url = dto.url;
+        obj.events = dto.events;
+        obj.active = dto.active;
+        if (ValidationService.isNonEmptyStr(dto.secret, true)) {
+            obj.secret = dto.secret;
+        }
+        else if (!ValidationService.isNonEmptyStr(obj.secret, true)) {
+            obj.secret = WebhookService.generateSecret();
+        }
+        cb(null);
+    };
+
+    /**
+     *
+     * @static
+     * @method validate
+     * @param {Object} context
+     * @param {Object} context.data The DTO that was provided for persistence
+     * @param {WebhookService} context.service An instance of the service that triggered
+     * the event that called this handler
+     * @param {Function} cb A callback that takes a single parameter: an error if occurred
+     */
+    WebhookService.validate = function(context, cb) {
+        var obj    = context.data;
+        var errors = context.validationErrors;
+
+        if (!ValidationService.isNonEmptyStr(obj.name, true)) {
+            errors.push(BaseObjectService.validationFailure('name', 'The name is required'));
+        }
+        else if (obj.name.length > MAX_NAME_LENGTH) {
+            errors.push(BaseObjectService.validationFailure('name', 'The name cannot be longer than ' + MAX_NAME_LENGTH + ' characters'));
+        }
+        if (!util.isString(obj.url) || !/^https?:\/\/[^\s\/?#]+\S*$/i.test(obj.url)) {
+            errors.push(BaseObjectService.validationFailure('url', 'The URL must be an absolute http or https URL'));
+        }
+        else if (!pb.WebhookDeliveryService.isAllowedHost(url.parse(obj.url).hostname)) {
+            errors.push(BaseObjectService.validationFailure('url', 'The URL may not point to a private or reserved address'));
+        }
+        if (!util.isArray(obj.events) || obj.events.length === 0) {
+            errors.push(BaseObjectService.validationFailure('events', 'At least one event is required'));
+        }
+        else {
+            var events = WebhookService.getEvents().concat(WebhookService.ALL_EVENTS);
+            obj.events.forEach(function(event, i) {
+                if (events.indexOf(event) < 0) {
+                    errors.push(BaseObjectService.validationFailure('events['+i+']', 'The event must be one of: ' + events.join(', ')));
+                }
+            });
+        }
+        if (!ValidationService.isNonEmptyStr(obj.secret, true)) {
+            errors.push(BaseObjectService.validationFailure('secret', 'The secret is required'));
+        }
+        cb(null);
+    };
+
+    /**
+     * Creates the handler that queues the deliveries of a content event.
+     * Failures are logged but do not interrupt the operation that triggered
+     * the event.
+     * @static
+     * @method getEventHandler
+     * @param {String} type The content type
+     * @param {String} action One of the ACTIONS
+     * @return {Function} (Object, Function)
+     */
+    WebhookService.getEventHandler = function(type, action) {
+        var event = type + '.' + action;
+        return function(context, cb) {
+            if (!WebhookService.isEnabled()) {
+                return cb();
+            }
+
+            //custom objects only provide the ID when they are deleted
+            var data = context.data || {id: context.id};
+            var site = data.site || context.site;
+            var service = new WebhookService({site: site});
+            service.dispatch(event, data, function(err, count) {
+                if (util.isError(err)) {
+                    pb.log.error('WebhookService: Failed to queue the deliveries of [%s] for site [%s]: %s', event, site, err.stack);
+                }
+                else if (count > 0) {
+                    pb.log.silly('WebhookService: Queued %s deliveries of [%s] for site [%s]', count, event, site);
+                }
+                cb();
+            });
+        };
+    };
+
+    //Event Registries
+    BaseObjectService.on(TYPE + '.' + BaseObjectService.FORMAT, WebhookService.format);
+    BaseObjectService.on(TYPE + '.' + BaseObjectService.MERGE, WebhookService.merge);
+    BaseObjectService.on(TYPE + '.' + BaseObjectService.VALIDATE, WebhookService.validate);
+    BaseObjectService.registerSchema(TYPE, SCHEMA);
+    CONTENT_TYPES.forEach(function(type) {
+        if (type === 'custom_object') {
+            CustomObjectService.on(CustomObjectService.AFTER_SAVE, WebhookService.getEventHandler(type, WebhookService.ACTIONS.SAVED));
+            CustomObjectService.on(CustomObjectService.AFTER_DELETE, WebhookService.getEventHandler(type, WebhookService.ACTIONS.DELETED));
+            return;
+        }
+        BaseObjectService.on(type + '.' + BaseObjectService.AFTER_SAVE, WebhookService.getEventHandler(type, WebhookService.ACTIONS.SAVED));
+        BaseObjectService.on(type + '.' + BaseObjectService.AFTER_DELETE, WebhookService.getEventHandler(type, WebhookService.ACTIONS.DELETED));
+    });
+
+    //exports
+    return WebhookService;
+};
@@ -152,7 +152,8 @@ module.exports = function SessionModule(pb) {
         }
 
         //update timeout
-        session[SessionHandler.TIMEOUT_KEY] = new Date().getTime() + pb.config.session.timeout;
+        session.last_seen = new Date().getTime();
+        session[SessionHandler.TIMEOUT_KEY] = session.last_seen + pb.config.session.timeout;
 
         //last active request using this session, persist it back to storage
         if (session.end) {
@@ -193,12 +194,75 @@ module.exports = function SessionModule(pb) {
                 admin_level: pb.SecurityService.ACCESS_USER
             },
             ip: request.connection.remoteAddress,
+            user_agent: request.headers['user-agent'] || null,
+            created: new Date().getTime(),
             client_id: SessionHandler.getClientId(request)
         };
         session[SessionHandler.SID_KEY] = util.uniqueId();
         return session;
     };
 
+    /**
+     * Indicates if the session is kept in the session cookie rather than in a
+     * store shared by the nodes
+     *
+     * @method isStateless
+     * @return {Boolean}
+     */
+    SessionHandler.prototype.isStateless = function() {
+        return util.isFunction(this.sessionStore.serialize);
+    };
+
+    /**
+     * Provides the value of the session cookie.  For stateless session stores
+     * the value is the serialized session.  Otherwise, it is the session ID.
+     *
+     * @method getCookieValue
+     * @param {Object} session
+     * @return {String}
+     */
+    SessionHandler.prototype.getCookieValue = function(session) {
+        return this.isStateless() ? this.sessionStore.serialize(session) : session[SessionHandler.SID_KEY];
+    };
+
+    /**
+     * Retrieves the active sessions of a user
+     *
+     * @method getUserSessions
+     * @param {String} userId
+     * @param {Function} cb (Error, Array) Provides the sessions
+     */
+    SessionHandler.prototype.getUserSessions = function(userId, cb) {
+        if (!util.isFunction(this.sessionStore.getAllForUser)) {
+            return cb(new Error('SessionHandler: The session store does not index sessions by user'));
+        }
+        this.sessionStore.getAllForUser(userId, cb);
+    };
+
+    /**
+     * Ends every session of a user so that the user must log in again
+     * everywhere.  Requests that are in flight for the user when the sessions
+     * are revoked may still complete.
+     *
+     * @method revokeUserSessions
+     * @param {String} userId
+     * @param {Object} [options={}]
+     * @param {String} [options.except] The identifier of a session to keep,
+     * typically the session of the request that triggered the revocation
+     * @param {Function} cb (Error, Integer) Provides the number of sessions
+     * revoked
+     */
+    SessionHandler.prototype.revokeUserSessions = function(userId, options, cb) {
+        if (util.isFunction(options)) {
+            cb = options;
+            options = {};
+        }
+        if (!util.isFunction(this.sessionStore.clearForUser)) {
+            return cb(new Error('SessionHandler: The session store does not index sessions by user'));
+        }
+        this.sessionStore.clearForUser(userId, options, cb);
+    };
+
     /**
      * Shuts down the sesison handler and the associated session store
      * @method shutdown
@@ -222,6 +286,26 @@ module.exports = function SessionModule(pb) {
         return whirlpool.digest('hex');
     };
 
+    /**
+     * Creates the description of a session that is safe to display.  The
+     * session identifier is omitted because it grants access to the session.
+     * @static
+     * @method describe
+     * @param {Object} session
+     * @param {String} [currentSessionId] The identifier of the session making
+     * the request
+     * @return {Object}
+     */
+    SessionHandler.describe = function(session, currentSessionId) {
+        return {
+            ip: session.ip || null,
+            user_agent: session.user_agent || null,
+            created: session.created ? new Date(session.created) : null,
+            last_seen: session.last_seen ? new Date(session.last_seen) : null,
+            current: session[SessionHandler.SID_KEY] === currentSessionId
+        };
+    };
+
     /**
      * Loads a session store prototype based on the system configuration
      * @static
@@ -0,0 +1,300 @@
+/*
+    Copyright (C) 2016  PencilBlue, LLC
+
+    This program is free software: you can redistribute it and/or modify
+    it under the terms of the GNU General Public License as published by
+    the Free Software Foundation, either version 3 of the License, or
+    (at your option) any later version.
+
+    This program is distributed in the hope that it will be useful,
+    but WITHOUT ANY WARRANTY; without even the implied warranty of
+    MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+    GNU General Public License for more details.
+
+    You should have received a copy of the GNU General Public License
+    along with this program.  If not, see <http://www.gnu.org/licenses/>.
+*/
+'use strict';
+
+//dependencies
+var zlib   = require('zlib');
+var crypto = require('crypto');
+var util   = require('../../util.js');
+
+/**
+ * @module Session
+ */
+module.exports = function CookieSessionStoreModule(pb) {
+
+    /**
+     * Stateless session storage.  The session is compressed, encrypted and
+     * authenticated with AES-256-GCM and sent to the client as the session
+     * cookie so no store has to be shared between nodes.  Sessions are sealed
+     * with the first key in "config.session.cookie.keys" and may be opened
+     * with any of them so that keys can be rotated by adding a new key to the
+     * front of the list.  Because nothing is stored on the server a session
+     * cannot be revoked before it expires.
+     *
+     * @class CookieSessionStore
+     * @constructor
+     */
+    function CookieSessionStore(){}
+
+    /**
+     * The cipher used to seal the sessions
+     * @static
+     * @readonly
+     * @property ALGORITHM
+     * @type {String}
+     */
+    CookieSessionStore.ALGORITHM = 'aes-256-gcm';
+
+    /**
+     * The number of bytes in the initialization vector
+     * @static
+     * @readonly
+     * @property IV_LENGTH
+     * @type {Integer}
+     */
+    CookieSessionStore.IV_LENGTH = 12;
+
+    /**
+     * The number of bytes in the authentication tag
+     * @static
+     * @readonly
+     * @property TAG_LENGTH
+     * @type {Integer}
+     */
+    CookieSessionStore.TAG_LENGTH = 16;
+
+    /**
+     * The minimum number of characters in a key
+     * @static
+     * @readonly
+     * @property MIN_KEY_LENGTH
+     * @type {Integer}
+     */
+    CookieSessionStore.MIN_KEY_LENGTH = 32;
+
+    /**
+     * The number of characters above which browsers may drop the cookie
+     * @static
+     * @readonly
+     * @property MAX_COOKIE_LENGTH
+     * @type {Integer}
+     */
+    CookieSessionStore.MAX_COOKIE_LENGTH = 4096;
+
+    /**
+     * The fields of the authenticated user, along with its ID, that are kept
+     * in the session cookie.  The permissions of the user are restored from
+     * its role when the session is opened.
+     * @static
+     * @readonly
+     * @property USER_FIELDS
+     * @type {Array}
+     */
+    CookieSessionStore.USER_FIELDS = Object.freeze([
+        'username', 'email', 'first_name', 'last_name', 'admin', 'photo', 'position', 'locale', 'site'
+    ]);
+
+    /**
+     * Opens the session sealed in the session cookie
+     *
+     * @method get
+     * @param {String} sessionId The value of the session cookie
+     * @param {Function} cb Callback of form cb(err, [Object]).  Provides NULL
+     * when the cookie was not sealed with one of the keys or has expired.
+     */
+    CookieSessionStore.prototype.get = function(sessionId, cb){
+        var data = CookieSessionStore.unseal(sessionId, CookieSessionStore.getKeys());
+        if (data === null || !util.isObject(data.session) || !(data.expires > Date.now())) {
+            return cb(null, null);
+        }
+
+        var user = util.isObject(data.session.authentication) ? data.session.authentication.user : null;
+        if (util.isObject(user)) {
+            user.permissions = pb.PluginService.getPermissionsForRole(user.admin);
+        }
+        cb(null, data.session);
+    };
+
+    /**
+     * The session is written to the cookie when the response is sent so there
+     * is nothing to persist
+     *
+     * @method set
+     * @param {Object} session
+     * @param {Function} cb Callback of form cb(err, 'OK')
+     */
+    CookieSessionStore.prototype.set = function(session, cb){
+        cb(null, 'OK');
+    };
+
+    /**
+     * The session ends when the cookie is removed by the client so there is
+     * nothing to clear
+     *
+     * @method clear
+     * @param {String} sessionId
+     * @param {Function} cb Callback of form cb(err, [int SESSIONS_CLEARED])
+     */
+    CookieSessionStore.prototype.clear = function(sessionId, cb){
+        cb(null, 0);
+    };
+
+    /**
+     * Seals the session so that it can be sent as the session cookie.  Only
+     * the USER_FIELDS of the authenticated user are kept.
+     *
+     * @method serialize
+     * @param {Object} session
+     * @return {String}
+     * @throws {Error} When the sealed session is longer than the
+     * MAX_COOKIE_LENGTH.  The cookie is not written so that the client keeps
+     * its previous session rather than a cookie that the browser may drop.
+     */
+    CookieSessionStore.prototype.serialize = function(session) {
+        var data = {
+            session: CookieSessionStore.trimSession(session),
+            expires: Date.now() + pb.config.session.timeout
+        };
+        var value = CookieSessionStore.seal(data, CookieSessionStore.getKeys()[0]);
+        if (value.length > CookieSessionStore.MAX_COOKIE_LENGTH) {
+            throw new Error('CookieSessionStore: The session cookie for session '+session.uid+' would be '+value.length+' characters long.  The session was not written.');
+        }
+        return value;
+    };
+
+    /**
+     * Ensures that the keys to seal the sessions are configured
+     * @method start
+     * @param {Function} cb
+     */
+    CookieSessionStore.prototype.start = function(cb){
+        var keys = CookieSessionStore.getKeys();
+        var isValid = keys.length > 0 && keys.every(function(key) {
+            return util.isString(key) && key.length >= CookieSessionStore.MIN_KEY_LENGTH;
+        });
+        if (!isValid) {
+            return cb(new Error('CookieSessionStore: At least one key of '+CookieSessionStore.MIN_KEY_LENGTH+' or more characters must be provided by config.session.cookie.keys'));
+        }
+
+        pb.log.debug("CookieSessionStore: Initialized");
+        cb(null, true);
+    };
+
+    /**
+     * @method shutdown
+     * @param {Function} cb
+     */
+    CookieSessionStore.prototype.shutdown = function(cb){
+        pb.log.debug("CookieSessionStore: Shutting down...");
+        cb(null, true);
+    };
+
+    /**
+     * Creates a shallow copy of the session whose authenticated user only
+     * has the USER_FIELDS and its ID
+     * @static
+     * @method trimSession
+     * @param {Object} session
+     * @return {Object}
+     */
+    CookieSessionStore.trimSession = function(session) {
+        var authentication = session.authentication;
+        if (!util.isObject(authentication) || !util.isObject(authentication.user)) {
+            return session;
+        }
+
+        var user = {};
+        [pb.DAO.getIdField()].concat(CookieSessionStore.USER_FIELDS).forEach(function(field) {
+            if (authentication.user[field] !== undefined) {
+                user[field] = authentication.user[field];
+            }
+        });
+
+        var trimmed = util.merge(session, {});
+        trimmed.authentication = util.merge(authentication, {});
+        trimmed.authentication.user = user;
+        return trimmed;
+    };
+
+    /**
+     * Compresses, encrypts and authenticates the data
+     * @static
+     * @method seal
+     * @param {Object} data
+     * @param {String} key
+     * @return {String} The URL safe base64 encoding of the initialization
+     * vector, the authentication tag and the cipher text
+     */
+    CookieSessionStore.seal = function(data, key) {
+        var iv = crypto.randomBytes(CookieSessionStore.IV_LENGTH);
+        var cipher = crypto.createCipheriv(CookieSessionStore.ALGORITHM, CookieSessionStore.deriveKey(key), iv);
+        var encrypted = Buffer.concat([cipher.update(zlib.deflateRawSync(Buffer.from(JSON.stringify(data)))), cipher.final()]);
+
+        var sealed = Buffer.concat([iv, cipher.getAuthTag(), encrypted]);
+        return sealed.toString('base64').replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+    };
+
+    /**
+     * Opens data sealed with one of the keys
+     * @static
+     * @method unseal
+     * @param {String} value
+     * @param {Array} keys
+     * @return {Object} The data or NULL when the value was not sealed with one
+     * of the keys or was tampered with
+     */
+    CookieSessionStore.unseal = function(value, keys) {
+        if (!util.isString(value) || !/^[A-Za-z0-9_-]+$/.test(value)) {
+            return null;
+        }
+
+        var sealed = Buffer.from(value.replace(/-/g, '+').replace(/_/g, '/'), 'base64');
+        var headerLength = CookieSessionStore.IV_LENGTH + CookieSessionStore.TAG_LENGTH;
+        if (sealed.length <= headerLength) {
+            return null;
+        }
+
+        var iv = sealed.slice(0, CookieSessionStore.IV_LENGTH);
+        var tag = sealed.slice(CookieSessionStore.IV_LENGTH, headerLength);
+        var encrypted = sealed.slice(headerLength);
+        for (var i = 0; i < keys.length; i++) {
+            try {
+                var decipher = crypto.createDecipheriv(CookieSessionStore.ALGORITHM, CookieSessionStore.deriveKey(keys[i]), iv);
+                decipher.setAuthTag(tag);
+                var decrypted = Buffer.concat([decipher.update(encrypted), decipher.final()]);
+                return JSON.parse(zlib.inflateRawSync(decrypted).toString());
+            }
+            catch(e) {
+                //not sealed with this key.  Try the next one.
+            }
+        }
+        return null;
+    };
+
+    /**
+     * Derives a 256 bit key from a configured key
+     * @static
+     * @method deriveKey
+     * @param {String} key
+     * @return {Buffer}
+     */
+    CookieSessionStore.deriveKey = function(key) {
+        return crypto.createHash('sha256').update(key).digest();
+    };
+
+    /**
+     * @static
+     * @method getKeys
+     * @return {Array} The configured keys, newest first
+     */
+    CookieSessionStore.getKeys = function() {
+        var config = pb.config.session.cookie;
+        return config && util.isArray(config.keys) ? config.keys : [];
+    };
+
+    return CookieSessionStore;
+};
@@ -0,0 +1,229 @@
+/*
+    Copyright (C) 2016  PencilBlue, LLC
+
+    This program is free software: you can redistribute it and/or modify
+    it under the terms of the GNU General Public License as published by
+    the Free Software Foundation, either version 3 of the License, or
+    (at your option) any later version.
+
+    This program is distributed in the hope that it will be useful,
+    but WITHOUT ANY WARRANTY; without even the implied warranty of
+    MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+    GNU General Public License for more details.
+
+    You should have received a copy of the GNU General Public License
+    along with this program.  If not, see <http://www.gnu.org/licenses/>.
+*/
+'use strict';
+
+//dependencies
+var util = require('../../util.js');
+
+/**
+ * @module Session
+ */
+module.exports = function MemorySessionStoreModule(pb) {
+
+    /**
+     * Session storage that keeps the sessions in the memory of the process.
+     * The sessions are not shared between processes so the store is only
+     * suitable for a single node running a single worker, and for testing.
+     *
+     * @class MemorySessionStore
+     * @constructor
+     */
+    function MemorySessionStore(){}
+
+    /**
+     * The serialized sessions and their expiration keyed by session ID.  They
+     * are shared by every instance of the store in the process.
+     * @private
+     * @static
+     * @property SESSIONS
+     * @type {Object}
+     */
+    var SESSIONS = {};
+
+    /**
+     * The handle of the timer that evicts the expired sessions
+     * @private
+     * @static
+     * @property SWEEP_HANDLE
+     * @type {Object}
+     */
+    var SWEEP_HANDLE = null;
+
+    /**
+     * The maximum number of milliseconds between sweeps for expired sessions
+     * @static
+     * @readonly
+     * @property MAX_SWEEP_INTERVAL
+     * @type {Integer}
+     */
+    MemorySessionStore.MAX_SWEEP_INTERVAL = 60000;
+
+    /**
+     * Responsable for retrieving the session for persistent storage.
+     *
+     * @method get
+     * @param {String} sessionId The identifier of the session to retrieve.
+     * @param {Function} cb Callback of form cb(err, [Object])
+     */
+    MemorySessionStore.prototype.get = function(sessionId, cb){
+        var entry = SESSIONS[sessionId];
+        if (entry && entry.expires <= Date.now()) {
+            delete SESSIONS[sessionId];
+            entry = null;
+        }
+        cb(null, entry ? JSON.parse(entry.value) : null);
+    };
+
+    /**
+     * Responsable for persisting the session object between user requests.
+     * The session is serialized so that changes made to the session after it
+     * is stored are not visible until it is stored again.
+     *
+     * @method set
+     * @param {Object} session The session object to store.  The session object must contain
+     * the following in addition to other data:
+     * <pre>
+     * {
+     * 	uid: [primitive]
+     * }
+     * </pre>
+     * @param {Function} cb Callback of form cb(err, 'OK')
+     */
+    MemorySessionStore.prototype.set = function(session, cb){
+
+        //a request that was in flight when the session was cleared must not restore it
+        if (session.persisted === true && !SESSIONS.hasOwnProperty(session.uid)) {
+            return cb(null, null);
+        }
+
+        session.persisted = true;
+        SESSIONS[session.uid] = {
+            value: JSON.stringify(session),
+            userId: session.authentication ? session.authentication.user_id : null,
+            expires: session.timeout
+        };
+        cb(null, 'OK');
+    };
+
+    /**
+     * Deletes a session if it exists.
+     *
+     * @method clear
+     * @param {String} sessionId
+     * @param {Function} cb Callback of form cb(err, [int SESSIONS_CLEARED])
+     */
+    MemorySessionStore.prototype.clear = function(sessionId, cb){
+        var exists = SESSIONS.hasOwnProperty(sessionId);
+        delete SESSIONS[sessionId];
+        cb(null, exists ? 1 : 0);
+    };
+
+    /**
+     * Retrieves the sessions that have not expired for a user
+     *
+     * @method getAllForUser
+     * @param {String} userId
+     * @param {Function} cb Callback of form cb(err, [Array])
+     */
+    MemorySessionStore.prototype.getAllForUser = function(userId, cb) {
+        var now = Date.now();
+        var sessions = Object.keys(SESSIONS).filter(function(sessionId) {
+            var entry = SESSIONS[sessionId];
+            return entry.userId === userId && entry.expires > now;
+        }).map(function(sessionId) {
+            return JSON.parse(SESSIONS[sessionId].value);
+        });
+        cb(null, sessions);
+    };
+
+    /**
+     * Deletes the sessions of a user
+     *
+     * @method clearForUser
+     * @param {String} userId
+     * @param {Object} [options={}]
+     * @param {String} [options.except] The identifier of a session to keep
+     * @param {Function} cb Callback of form cb(err, [int SESSIONS_CLEARED])
+     */
+    MemorySessionStore.prototype.clearForUser = function(userId, options, cb) {
+        if (util.isFunction(options)) {
+            cb = options;
+            options = {};
+        }
+
+        var count = 0;
+        Object.keys(SESSIONS).forEach(function(sessionId) {
+            if (SESSIONS[sessionId].userId === userId && sessionId !== options.except) {
+                delete SESSIONS[sessionId];
+                count++;
+            }
+        });
+        cb(null, count);
+    };
+
+    /**
+     * Repsonsible for ensuring that the mechanism that expires sessions becomes
+     * active.
+     * @method start
+     * @param {Function} cb
+     */
+    MemorySessionStore.prototype.start = function(cb){
+        if (pb.config.cluster.workers !== 1) {
+            pb.log.warn('MemorySessionStore: Sessions are not shared between workers. Users will be signed out when their requests are handled by another worker.');
+        }
+
+        if (SWEEP_HANDLE === null) {
+            var interval = Math.min(pb.config.session.timeout, MemorySessionStore.MAX_SWEEP_INTERVAL);
+            SWEEP_HANDLE = setInterval(MemorySessionStore.evictExpired, interval);
+
+            //the sweep should never keep the process alive
+            if (util.isFunction(SWEEP_HANDLE.unref)) {
+                SWEEP_HANDLE.unref();
+            }
+        }
+        pb.log.debug("MemorySessionStore: Initialized");
+        cb(null, true);
+    };
+
+    /**
+     * Responsable for shutting down the session store and any resources used for
+     * reaping expired sessions.
+     * @method shutdown
+     * @param {Function} cb
+     */
+    MemorySessionStore.prototype.shutdown = function(cb){
+        pb.log.debug("MemorySessionStore: Shutting down...");
+        if (SWEEP_HANDLE !== null) {
+            clearInterval(SWEEP_HANDLE);
+            SWEEP_HANDLE = null;
+        }
+        cb(null, true);
+    };
+
+    /**
+     * Removes the sessions that have expired
+     * @static
+     * @method evictExpired
+     * @return {Integer} The number of sessions removed
+     */
+    MemorySessionStore.evictExpired = function() {
+        var now = Date.now();
+        var count = 0;
+        Object.keys(SESSIONS).forEach(function(sessionId) {
+            if (SESSIONS[sessionId].expires <= now) {
+                delete SESSIONS[sessionId];
+                count++;
+            }
+        });
+        if (count > 0) {
+            pb.log.silly('MemorySessionStore: Evicted %s expired session(s)', count);
+        }
+        return count;
+    };
+
+    return MemorySessionStore;
+};
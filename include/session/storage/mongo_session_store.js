@@ -64,7 +64,10 @@ module.exports = function MongoSessionStoreModule(pb) {
     };
 
     /**
-     * Responsible for persisting the session object between user requests
+     * Responsible for persisting the session object between user requests.  A
+     * session that was loaded from storage is only updated when it still
+     * exists so that a request that was in flight when the session was
+     * cleared cannot restore it.
      * @param session The session object to store.  The session object must contain
      * the following in addition to other data:
      * <pre>
@@ -81,9 +84,20 @@ module.exports = function MongoSessionStoreModule(pb) {
         session.object_type = SESSION_COLLECTION_NAME;
         session.timeout = new Date(session.timeout);
 
-        //persist the session
+        //persist a new session
         var dao = new pb.DAO();
-        dao.save(session, cb);
+        if (!session._id) {
+            return dao.save(session, cb);
+        }
+
+        pb.DAO.updateChangeHistory(session);
+        var fields = {};
+        Object.keys(session).forEach(function(key) {
+            if (key !== '_id' && key !== 'id') {
+                fields[key] = session[key];
+            }
+        });
+        dao.updateFields(SESSION_COLLECTION_NAME, MongoSessionStore.getSessionQuery(session.uid), {$set: fields}, {upsert: false}, cb);
     };
 
     /**
@@ -98,6 +112,54 @@ module.exports = function MongoSessionStoreModule(pb) {
         dao.delete(MongoSessionStore.getSessionQuery(sessionId), SESSION_COLLECTION_NAME, cb);
     };
 
+    /**
+     * Retrieves the sessions that have not expired for a user
+     *
+     * @method getAllForUser
+     * @param {String} userId
+     * @param {Function} cb Callback of form cb(err, [Array])
+     */
+    MongoSessionStore.prototype.getAllForUser = function(userId, cb) {
+        var opts = {
+            where: MongoSessionStore.getUserQuery(userId),
+            order: [['last_seen', pb.DAO.DESC]]
+        };
+        opts.where.timeout = {$gt: new Date()};
+
+        var dao = new pb.DAO();
+        dao.q(SESSION_COLLECTION_NAME, opts, function(err, sessions) {
+            if (util.isError(err)) {
+                return cb(err);
+            }
+            async.map(sessions, function(session, callback) {
+                MongoSessionStore.getHandler(callback)(null, session);
+            }, cb);
+        });
+    };
+
+    /**
+     * Deletes the sessions of a user
+     *
+     * @method clearForUser
+     * @param {String} userId
+     * @param {Object} [options={}]
+     * @param {String} [options.except] The identifier of a session to keep
+     * @param {Function} cb Callback of form cb(err, [int SESSIONS_CLEARED])
+     */
+    MongoSessionStore.prototype.clearForUser = function(userId, options, cb) {
+        if (util.isFunction(options)) {
+            cb = options;
+            options = {};
+        }
+
+        var where = MongoSessionStore.getUserQuery(userId);
+        if (options.except) {
+            where.uid = {$ne: options.except};
+        }
+        var dao = new pb.DAO();
+        dao.delete(where, SESSION_COLLECTION_NAME, cb);
+    };
+
     /**
      * Responsable for shutting down the session store and any resources used for
      * reaping expired sessions.
@@ -148,6 +210,19 @@ module.exports = function MongoSessionStoreModule(pb) {
         };
     };
 
+    /**
+     * Constructs a query to find the sessions of a user in Mongo
+     * @static
+     * @method getUserQuery
+     * @param {String} userId
+     * @return {Object}
+     */
+    MongoSessionStore.getUserQuery = function(userId) {
+        return {
+            'authentication.user_id': userId
+        };
+    };
+
     /**
      * @static
      * @method getHandler
@@ -17,7 +17,8 @@
 'use strict';
 
 //dependencies
-var util = require('../../util.js');
+var util  = require('../../util.js');
+var async = require('async');
 
 /**
  * @module Session
@@ -41,6 +42,16 @@ module.exports = function RedisSessionStoreModule(pb) {
      */
     RedisSessionStore.SESSION_KEY_PREFIX = 'user-session-';
 
+    /**
+     * The prefix to prepend to the user ID in order to construct the key of the
+     * set that indexes the sessions of the user
+     * @static
+     * @readonly
+     * @property USER_SESSIONS_KEY_PREFIX
+     * @type {String}
+     */
+    RedisSessionStore.USER_SESSIONS_KEY_PREFIX = 'user-sessions-';
+
     /**
      * Responsable for retrieving the session for persistent storage.
      *
@@ -57,7 +68,10 @@ module.exports = function RedisSessionStoreModule(pb) {
     };
 
     /**
-     * Responsable for persisting the session object between user requests
+     * Responsable for persisting the session object between user requests.  A
+     * session that was persisted before is only updated when it still exists
+     * so that a request that was in flight when the session was cleared cannot
+     * restore it.
      *
      * @method set
      * @param {Object} session The session object to store.  The session object must contain
@@ -70,13 +84,114 @@ module.exports = function RedisSessionStoreModule(pb) {
      * @param {Function} cb Callback of form cb(err, 'OK')
      */
     RedisSessionStore.prototype.set = function(session, cb){
-        var sid  = RedisSessionStore.getSessionKey(session.uid);
+        var sid      = RedisSessionStore.getSessionKey(session.uid);
+        var existing = session.persisted === true;
+        session.persisted = true;
         var json = JSON.stringify(session);
 
         //in seconds
         var millisFromNow = session.timeout - new Date().getTime();
         var timeout       = Math.floor(millisFromNow / util.TIME.MILLIS_PER_SEC);
-        pb.cache.setex(sid, timeout, json, cb);
+        var userId        = session.authentication ? session.authentication.user_id : null;
+        var write = function(callback) {
+            if (!existing) {
+                return pb.cache.setex(sid, timeout, json, callback);
+            }
+            pb.cache.set(sid, json, 'EX', timeout, 'XX', callback);
+        };
+        write(function(err, reply) {
+            if (util.isError(err) || reply === null || !userId) {
+                return cb(err, reply);
+            }
+
+            //index the session by user.  The index lives as long as the most
+            //recently active session of the user.
+            var userKey = RedisSessionStore.getUserSessionsKey(userId);
+            pb.cache.multi()
+                .sadd(userKey, session.uid)
+                .expire(userKey, timeout)
+                .exec(function(err) {
+                    cb(err, reply);
+                });
+        });
+    };
+
+    /**
+     * Retrieves the sessions that have not expired for a user.  Sessions that
+     * have expired or were cleared are removed from the index of the user.
+     *
+     * @method getAllForUser
+     * @param {String} userId
+     * @param {Function} cb Callback of form cb(err, [Array])
+     */
+    RedisSessionStore.prototype.getAllForUser = function(userId, cb) {
+        var self    = this;
+        var userKey = RedisSessionStore.getUserSessionsKey(userId);
+        pb.cache.smembers(userKey, function(err, sessionIds) {
+            if (util.isError(err)) {
+                return cb(err);
+            }
+
+            var tasks = util.getTasks(sessionIds || [], function(sessionIds, i) {
+                return util.wrapTask(self, self.get, [sessionIds[i]]);
+            });
+            async.series(tasks, function(err, sessions) {
+                if (util.isError(err)) {
+                    return cb(err);
+                }
+
+                var stale = [];
+                var active = sessions.filter(function(session, i) {
+                    var isActive = session !== null && session.authentication && session.authentication.user_id === userId;
+                    if (!isActive) {
+                        stale.push(sessionIds[i]);
+                    }
+                    return isActive;
+                });
+                if (stale.length === 0) {
+                    return cb(null, active);
+                }
+                pb.cache.srem([userKey].concat(stale), function(err) {
+                    cb(err, active);
+                });
+            });
+        });
+    };
+
+    /**
+     * Deletes the sessions of a user
+     *
+     * @method clearForUser
+     * @param {String} userId
+     * @param {Object} [options={}]
+     * @param {String} [options.except] The identifier of a session to keep
+     * @param {Function} cb Callback of form cb(err, [int SESSIONS_CLEARED])
+     */
+    RedisSessionStore.prototype.clearForUser = function(userId, options, cb) {
+        if (util.isFunction(options)) {
+            cb = options;
+            options = {};
+        }
+
+        var userKey = RedisSessionStore.getUserSessionsKey(userId);
+        pb.cache.smembers(userKey, function(err, sessionIds) {
+            if (util.isError(err)) {
+                return cb(err);
+            }
+
+            sessionIds = (sessionIds || []).filter(function(sessionId) {
+                return sessionId !== options.except;
+            });
+            if (sessionIds.length === 0) {
+                return cb(null, 0);
+            }
+            pb.cache.multi()
+                .del(sessionIds.map(RedisSessionStore.getSessionKey))
+                .srem([userKey].concat(sessionIds))
+                .exec(function(err, replies) {
+                    cb(err, util.isArray(replies) ? replies[0] : 0);
+                });
+        });
     };
 
     /**
@@ -124,5 +239,16 @@ module.exports = function RedisSessionStoreModule(pb) {
         return RedisSessionStore.SESSION_KEY_PREFIX + sessionId;
     };
 
+    /**
+     * Constructs the key of the set that indexes the sessions of a user
+     * @static
+     * @method getUserSessionsKey
+     * @param {String} userId
+     * @return {String} [RedisSessionStore.USER_SESSIONS_KEY_PREFIX][userId]
+     */
+    RedisSessionStore.getUserSessionsKey = function(userId) {
+        return RedisSessionStore.USER_SESSIONS_KEY_PREFIX + userId;
+    };
+
     return RedisSessionStore;
 };
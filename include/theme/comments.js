@@ -84,6 +84,110 @@ module.exports = function CommentServiceModule(pb) {
      */
     var TYPE = 'comment';
 
+    /**
+     * The fields that comments can be filtered by mapped to their type.
+     * @private
+     * @static
+     * @readonly
+     * @property FILTER_FIELDS
+     * @type {Object}
+     */
+    var FILTER_FIELDS = Object.freeze({
+        article: pb.WhereParser.TYPES.ID,
+        parent: pb.WhereParser.TYPES.ID,
+        commenter: pb.WhereParser.TYPES.ID,
+        status: pb.WhereParser.TYPES.STRING,
+        created: pb.WhereParser.TYPES.DATE,
+        edited: pb.WhereParser.TYPES.DATE
+    });
+
+    /**
+     * Provides the fields that comments can be filtered by with the "$where"
+     * query parameter
+     * @method getFilterFields
+     * @return {Object}
+     */
+    CommentService.prototype.getFilterFields = function() {
+        return FILTER_FIELDS;
+    };
+
+    /**
+     * Describes a comment as it is accepted by the validate listener
+     * @private
+     * @static
+     * @readonly
+     * @property SCHEMA
+     * @type {Object}
+     */
+    var SCHEMA = Object.freeze({
+        type: 'object',
+        properties: {
+            content: {type: 'string', minLength: 1},
+            article: {type: 'string', pattern: '^[0-9a-fA-F]{24}$'},
+            parent: {type: 'string', pattern: '^[0-9a-fA-F]{24}$', nullable: true},
+            commenter: {type: 'string', pattern: '^[0-9a-fA-F]{24}$', readOnly: true},
+            status: {type: 'string', enum: ['pending', 'approved', 'spam', 'rejected'], readOnly: true}
+        },
+        required: ['content', 'article']
+    });
+
+    /**
+     * The spam checkers that inspect new comments, keyed by name
+     * @private
+     * @static
+     * @property SPAM_CHECKERS
+     * @type {Object}
+     */
+    var SPAM_CHECKERS = {
+        heuristic: pb.HeuristicCommentSpamChecker
+    };
+
+    /**
+     * The status of a comment that is awaiting moderation
+     * @static
+     * @readonly
+     * @property STATUS_PENDING
+     * @type {String}
+     */
+    CommentService.STATUS_PENDING = 'pending';
+
+    /**
+     * The status of a comment that is visible to readers
+     * @static
+     * @readonly
+     * @property STATUS_APPROVED
+     * @type {String}
+     */
+    CommentService.STATUS_APPROVED = 'approved';
+
+    /**
+     * The status of a comment that was identified as spam
+     * @static
+     * @readonly
+     * @property STATUS_SPAM
+     * @type {String}
+     */
+    CommentService.STATUS_SPAM = 'spam';
+
+    /**
+     * The status of a comment that a moderator rejected
+     * @static
+     * @readonly
+     * @property STATUS_REJECTED
+     * @type {String}
+     */
+    CommentService.STATUS_REJECTED = 'rejected';
+
+    /**
+     * The minimum access level at which comments skip pre-moderation
+     * @private
+     * @static
+     * @readonly
+     * @property MODERATOR_ACCESS
+     * @type {Integer}
+     */
+    var MODERATOR_ACCESS = pb.SecurityService.ACCESS_EDITOR;
+
     /**
      * Validates a comment
      * @method validate
@@ -124,6 +228,11 @@ module.exports = function CommentServiceModule(pb) {
                 //you can't edit a comment unless it is your comment or you are an admin
                 errors.push(BaseObjectService.validationFailure('commenter', 'Only admins can edit another user\'s comment'));
             }
+            else if (!isAdmin && !CommentService.isEditable(obj)) {
+
+                //commenters may only fix their comment for a short time after posting it
+                errors.push(BaseObjectService.validationFailure('content', 'The comment can no longer be edited'));
+            }
         }
         else if (context.isCreate) {
 
@@ -153,6 +262,17 @@ module.exports = function CommentServiceModule(pb) {
             },
 
 
+            //validate the comment being replied to
+            function(callback) {
+                if (!context.isCreate) {
+                    return callback();
+                }
+                self.validateParent(obj, errors, function(err, depth) {
+                    context.depth = depth;
+                    callback(err);
+                });
+            },
+
             //validate article exists
             function(callback) {
 
@@ -182,6 +302,153 @@ module.exports = function CommentServiceModule(pb) {
         async.parallel(tasks, cb);
     };
 
+    /**
+     * Determines the moderation status of a new comment.  Comments flagged by
+     * any spam checker are marked as spam.  Otherwise, comments from editors
+     * and above are approved while all others are held for moderation when the
+     * site requires it.
+     * @method getModerationStatus
+     * @param {Object} comment
+     * @param {Object} [session]
+     * @param {Function} cb A callback that takes two parameters: cb(Error, String)
+     */
+    CommentService.prototype.getModerationStatus = function(comment, session, cb) {
+        var self = this;
+        this.checkSpam(comment, function(err, result) {
+            if (util.isError(err)) {
+                return cb(err);
+            }
+            else if (result.spam) {
+                pb.log.info('CommentService: Comment from %s was marked as spam. REASON=[%s]', comment.ip, result.reason);
+                return cb(null, CommentService.STATUS_SPAM);
+            }
+            else if (session && pb.SecurityService.isAuthorized(session, {admin_level: MODERATOR_ACCESS})) {
+                return cb(null, CommentService.STATUS_APPROVED);
+            }
+
+            self.contentService.get(function(err, settings) {
+                var moderate = util.isObject(settings) && !!settings.moderate_comments;
+                cb(err, moderate ? CommentService.STATUS_PENDING : CommentService.STATUS_APPROVED);
+            });
+        });
+    };
+
+    /**
+     * Runs the comment through each registered spam checker.  The first checker
+     * to flag the comment wins.
+     * @method checkSpam
+     * @param {Object} comment
+     * @param {Function} cb A callback that takes two parameters: cb(Error, Object).
+     * The result provides a "spam" property and a "reason" property.
+     */
+    CommentService.prototype.checkSpam = function(comment, cb) {
+        var context = {site: this.context.site, onlyThisSite: this.context.onlyThisSite};
+        var tasks = Object.keys(SPAM_CHECKERS).map(function(name) {
+            return function(callback) {
+                var checker = new SPAM_CHECKERS[name](context);
+                checker.check(comment, function(err, result) {
+                    if (util.isError(err)) {
+                        pb.log.error('CommentService: Spam checker [%s] failed: %s', name, err.stack);
+                        return callback(null);
+                    }
+
+                    //an error is used to stop at the first checker to flag the comment
+                    callback(result && result.spam ? result : null);
+                });
+            };
+        });
+        async.series(tasks, function(result) {
+            cb(null, result || {spam: false, reason: null});
+        });
+    };
+
+    /**
+     * Sets the moderation status for a set of comments
+     * @method moderate
+     * @param {Array} ids The IDs of the comments to moderate
+     * @param {String} status The new status
+     * @param {Function} cb A callback that takes two parameters: cb(Error, Integer)
+     * where the result is the number of comments that were updated
+     */
+    CommentService.prototype.moderate = function(ids, status, cb) {
+        var errors = [];
+        if (!util.isArray(ids) || ids.length === 0 || !ids.every(function(id) { return ValidationService.isIdStr(id, true); })) {
+            errors.push(BaseObjectService.validationFailure('ids', 'An array of comment IDs is required'));
+        }
+        if (!CommentService.isStatus(status)) {
+            errors.push(BaseObjectService.validationFailure('status', 'An invalid status was provided'));
+        }
+        if (errors.length > 0) {
+            return cb(BaseObjectService.validationError(errors));
+        }
+
+        //only moderate comments that belong to the site
+        var self = this;
+        var opts = {
+            select: {},
+            where: pb.DAO.getIdInWhere(ids)
+        };
+        opts.select[pb.DAO.getIdField()] = 1;
+        this.dao.q(TYPE, opts, function(err, comments) {
+            if (util.isError(err) || comments.length === 0) {
+                return cb(err, 0);
+            }
+
+            var principal = pb.SecurityService.getPrincipal(self.context.session);
+            var updates = {
+                $set: {
+                    status: status,
+                    moderator: principal ? principal[pb.DAO.getIdField()] + '' : null,
+                    moderated: new Date()
+                }
+            };
+            self.dao.updateFields(TYPE, pb.DAO.getIdInWhere(comments, pb.DAO.getIdField()), updates, {multi: true}, function(err) {
+                if (util.isError(err)) {
+                    return cb(err, 0);
+                }
+
+                //the bulk update does not trigger the save events so the cached pages are flushed here
+                pb.ResponseCache.onContentChanged({site: self.context.site}, function() {
+                    cb(null, comments.length);
+                });
+            });
+        });
+    };
+
+    /**
+     * Validates the comment that a new comment replies to.  The parent must
+     * belong to the same article and replies may not be nested deeper than
+     * the configured "comments.max_depth".
+     * @method validateParent
+     * @param {Object} comment The new comment
+     * @param {Array} errors The array that validation failures are added to
+     * @param {Function} cb A callback that takes two parameters: cb(Error, Integer)
+     * where the result is the depth of the new comment
+     */
+    CommentService.prototype.validateParent = function(comment, errors, cb) {
+        if (util.isNullOrUndefined(comment.parent)) {
+            return cb(null, 0);
+        }
+        else if (!ValidationService.isIdStr(comment.parent, true)) {
+            errors.push(BaseObjectService.validationFailure('parent', 'An invalid parent comment ID was provided'));
+            return cb(null, 0);
+        }
+
+        this.dao.loadById(comment.parent, TYPE, function(err, parent) {
+            if (util.isError(err)) {
+                return cb(err, 0);
+            }
+            else if (!util.isObject(parent) || parent.article !== comment.article) {
+                errors.push(BaseObjectService.validationFailure('parent', 'The parent comment could not be found'));
+                return cb(null, 0);
+            }
+            else if (!CommentService.canReply(parent)) {
+                errors.push(BaseObjectService.validationFailure('parent', 'Replies cannot be nested any deeper'));
+            }
+            cb(null, CommentService.getDepth(parent) + 1);
+        });
+    };
+
     /**
      * Retrieves the template for comments
      *
@@ -232,6 +499,194 @@ module.exports = function CommentServiceModule(pb) {
         return service.getCommentingUser(user);
     };
 
+    /**
+     * @static
+     * @method getStatuses
+     * @return {Array} The moderation statuses
+     */
+    CommentService.getStatuses = function() {
+        return [
+            CommentService.STATUS_PENDING,
+            CommentService.STATUS_APPROVED,
+            CommentService.STATUS_SPAM,
+            CommentService.STATUS_REJECTED
+        ];
+    };
+
+    /**
+     * @static
+     * @method isStatus
+     * @param {String} status
+     * @return {Boolean} TRUE when the value is a moderation status
+     */
+    CommentService.isStatus = function(status) {
+        return CommentService.getStatuses().indexOf(status) >= 0;
+    };
+
+    /**
+     * Determines if a comment is visible to readers.  Comments created before
+     * moderation was introduced do not have a status and are considered
+     * approved.
+     * @static
+     * @method isApproved
+     * @param {Object} comment
+     * @return {Boolean}
+     */
+    CommentService.isApproved = function(comment) {
+        return util.isObject(comment) && (util.isNullOrUndefined(comment.status) || comment.status === CommentService.STATUS_APPROVED);
+    };
+
+    /**
+     * Restricts a where clause to comments that are visible to readers
+     * @static
+     * @method setApprovedClause
+     * @param {Object} where
+     * @return {Object} The where clause
+     */
+    CommentService.setApprovedClause = function(where) {
+        where.status = {$in: [CommentService.STATUS_APPROVED, null]};
+        return where;
+    };
+
+    /**
+     * @static
+     * @method getDepth
+     * @param {Object} comment
+     * @return {Integer} The nesting level of the comment.  Top level comments
+     * have a depth of 0.
+     */
+    CommentService.getDepth = function(comment) {
+        return util.isObject(comment) && comment.depth > 0 ? comment.depth : 0;
+    };
+
+    /**
+     * Determines if a comment may be replied to without exceeding the
+     * configured maximum depth
+     * @static
+     * @method canReply
+     * @param {Object} comment
+     * @return {Boolean}
+     */
+    CommentService.canReply = function(comment) {
+        return CommentService.getDepth(comment) + 1 < pb.config.comments.max_depth;
+    };
+
+    /**
+     * Determines if the commenter may still edit a comment.  Comments may be
+     * edited for "comments.edit_window" seconds after they are created.
+     * @static
+     * @method isEditable
+     * @param {Object} comment
+     * @param {Date} [date=new Date()]
+     * @return {Boolean}
+     */
+    CommentService.isEditable = function(comment, date) {
+        if (!util.isObject(comment) || !util.isDate(comment.created)) {
+            return false;
+        }
+        date = date || new Date();
+        return comment.created.getTime() + pb.config.comments.edit_window * 1000 > date.getTime();
+    };
+
+    /**
+     * Arranges a flat list of comments into threads.  Each comment is given a
+     * "replies" array that holds its direct replies.  The order of the provided
+     * comments is preserved within each level.  Replies whose parent is not in
+     * the list are treated as top level comments.
+     * @static
+     * @method buildTree
+     * @param {Array} comments
+     * @return {Array} The top level comments
+     */
+    CommentService.buildTree = function(comments) {
+        var lookup = {};
+        comments.forEach(function(comment) {
+            comment.replies = [];
+            lookup[comment[pb.DAO.getIdField()] + ''] = comment;
+        });
+
+        var roots = [];
+        comments.forEach(function(comment) {
+            var parent = comment.parent ? lookup[comment.parent + ''] : null;
+            if (parent && parent !== comment) {
+                parent.replies.push(comment);
+            }
+            else {
+                roots.push(comment);
+            }
+        });
+        return roots;
+    };
+
+    /**
+     * Renders a flat list of comments as threads.  The replies to each comment
+     * are rendered first and provided to the render function as the comment's
+     * "rendered_replies" property so that they can be nested within the
+     * comment's markup.
+     * @static
+     * @method renderThreads
+     * @param {Array} comments
+     * @param {Function} renderComment A function that takes two parameters:
+     * the comment and a callback: renderComment(comment, cb(Error, String))
+     * @param {Function} cb A callback that takes two parameters: cb(Error, String)
+     */
+    CommentService.renderThreads = function(comments, renderComment, cb) {
+        var renderLevel = function(level, callback) {
+            var tasks = util.getTasks(level, function(level, i) {
+                return function(taskCallback) {
+                    renderLevel(level[i].replies, function(err, replies) {
+                        if (util.isError(err)) {
+                            return taskCallback(err);
+                        }
+                        level[i].rendered_replies = replies;
+                        renderComment(level[i], taskCallback);
+                    });
+                };
+            });
+            async.series(tasks, function(err, results) {
+                callback(err, util.isArray(results) ? results.join('') : '');
+            });
+        };
+        renderLevel(CommentService.buildTree(comments), cb);
+    };
+
+    /**
+     * Registers a spam checker.  New comments are passed to every registered
+     * checker.  The prototype is instantiated with the service context (site,
+     * onlyThisSite) and must provide a "check" function that takes two
+     * parameters: the comment and a callback: check(comment, cb).  The callback
+     * takes an error and a result object with a "spam" property and a "reason"
+     * property.  Registering a checker with the name of an existing checker
+     * replaces it.
+     * @static
+     * @method registerSpamChecker
+     * @param {String} name
+     * @param {Function} SpamCheckerPrototype
+     * @return {Boolean} TRUE when registered
+     */
+    CommentService.registerSpamChecker = function(name, SpamCheckerPrototype) {
+        if (!util.isString(name) || !util.isFunction(SpamCheckerPrototype)) {
+            return false;
+        }
+        SPAM_CHECKERS[name] = SpamCheckerPrototype;
+        return true;
+    };
+
+    /**
+     * Removes a spam checker
+     * @static
+     * @method unregisterSpamChecker
+     * @param {String} name
+     * @return {Boolean} TRUE when the checker was registered
+     */
+    CommentService.unregisterSpamChecker = function(name) {
+        if (SPAM_CHECKERS[name] === undefined) {
+            return false;
+        }
+        delete SPAM_CHECKERS[name];
+        return true;
+    };
+
     /**
      *
      * @static
@@ -245,13 +700,17 @@ module.exports = function CommentServiceModule(pb) {
         var dto = context.data;
         dto.article = BaseObjectService.sanitize(dto.article);
         dto.content = BaseObjectService.sanitize(dto.content);
+        if (util.isString(dto.parent)) {
+            dto.parent = BaseObjectService.sanitize(dto.parent) || null;
+        }
         cb(null);
     };
 
     /**
-     *
+     * Merges an edit into the comment.  When someone other than a moderator
+     * changes the content the moderation status is determined again.
      * @static
-     * @method
+     * @method merge
      * @param {Object} context
      * @param {TopicService} service An instance of the service that triggered
      * the event that called this handler
@@ -260,10 +719,23 @@ module.exports = function CommentServiceModule(pb) {
     CommentService.merge = function(context, cb) {
         if (context.isCreate) {
             context.object.article = context.data.article;
+            context.object.parent = context.data.parent || null;
 
             var principal = pb.SecurityService.getPrincipal(context.session);
             context.object.commenter = principal === null ? null : principal[pb.DAO.getIdField()] + '';
         }
+        else if (context.object.content !== context.data.content) {
+            context.object.edited = new Date();
+            context.object.content = context.data.content;
+
+            //an edit has to pass moderation again so that approved content cannot be swapped for spam
+            if (!context.session || !pb.SecurityService.isAuthorized(context.session, {admin_level: MODERATOR_ACCESS})) {
+                return context.service.getModerationStatus(context.object, context.session, function(err, status) {
+                    context.object.status = status;
+                    cb(err);
+                });
+            }
+        }
         context.object.content = context.data.content;
         cb(null);
     };
@@ -282,10 +754,36 @@ module.exports = function CommentServiceModule(pb) {
         context.service.validate(context, cb);
     };
 
+    /**
+     * Records the address a new comment was submitted from, its depth within
+     * the thread and determines its moderation status
+     * @static
+     * @method beforeSave
+     * @param {Object} context
+     * @param {Object} context.data The comment being persisted
+     * @param {CommentService} context.service
+     * @param {Function} cb A callback that takes a single parameter: an error if occurred
+     */
+    CommentService.beforeSave = function(context, cb) {
+        if (!context.isCreate) {
+            return cb(null);
+        }
+
+        var comment = context.data;
+        comment.ip = pb.RequestHandler.getClientIp(context.req);
+        comment.depth = context.depth || 0;
+        context.service.getModerationStatus(comment, context.session, function(err, status) {
+            comment.status = status;
+            cb(err);
+        });
+    };
+
     //Event Registries
     BaseObjectService.on(TYPE + '.' + BaseObjectService.FORMAT, CommentService.format);
     BaseObjectService.on(TYPE + '.' + BaseObjectService.MERGE, CommentService.merge);
     BaseObjectService.on(TYPE + '.' + BaseObjectService.VALIDATE, CommentService.validate);
+    BaseObjectService.registerSchema(TYPE, SCHEMA);
+    BaseObjectService.on(TYPE + '.' + BaseObjectService.BEFORE_SAVE, CommentService.beforeSave);
 
     //exports
     return CommentService;
@@ -69,6 +69,8 @@ function PencilBlue(config){
             util.wrapTimedTask(this, this.initDBIndices, 'initDBIndices'),
             util.wrapTimedTask(this, this.initServerRegistration, 'initServerRegistration'),
             util.wrapTimedTask(this, this.initCommandService, 'initCommandService'),
+            util.wrapTimedTask(this, this.initEmailQueue, 'initEmailQueue'),
+            util.wrapTimedTask(this, this.initWebhooks, 'initWebhooks'),
             util.wrapTimedTask(this, this.initSiteMigration, 'initSiteMigration'),
             util.wrapTimedTask(this, this.initSessions, 'initSessions'),
             util.wrapTimedTask(this, this.initMiddleware, 'initMiddleware'),
@@ -144,6 +146,12 @@ function PencilBlue(config){
         pb.Middleware.getAll().forEach(function(middleware) {
             pb.Router.addMiddlewareAfterAll(middleware);
         });
+
+        //full page caching wraps the rendering of the controller
+        pb.ResponseCache.init();
+
+        //rate limiting runs ahead of the controller for the routes that declare a policy
+        pb.RateLimiter.init();
         cb(null, true);
     };
 
@@ -333,6 +341,26 @@ function PencilBlue(config){
         pb.CommandService.getInstance().init(cb);
     };
 
+    /**
+     * Schedules the delivery of queued email
+     * @static
+     * @method initEmailQueue
+     * @param {Function} cb A callback that provides two parameters: cb(Error, [RESULT])
+     */
+    this.initEmailQueue = function(cb) {
+        pb.EmailQueueService.init(cb);
+    };
+
+    /**
+     * Schedules the delivery of queued webhook notifications
+     * @static
+     * @method initWebhooks
+     * @param {Function} cb A callback that provides two parameters: cb(Error, [RESULT])
+     */
+    this.initWebhooks = function(cb) {
+        pb.WebhookDeliveryService.init(cb);
+    };
+
     /**
      * Initializes the libraries service
      * @static
@@ -58,8 +58,18 @@ module.exports = function(pb) {
                   post.author = article.author;
                 }
                 post = pb.DocumentCreator.formatIntegerItems(post, ['draft']);
+                var current = pb.WorkflowService.getState(article);
                 pb.DocumentCreator.update(post, article, ['meta_keywords']);
 
+                //the draft flag and state go through the workflow so writers cannot publish directly
+                var transition = pb.WorkflowService.applyTransition(current, article, self.session);
+                if (transition === null) {
+                    return cb({
+                        code: 403,
+                        content: pb.BaseController.apiResponse(pb.BaseController.API_FAILURE, self.ls.g('generic.INSUFFICIENT_CREDENTIALS'))
+                    });
+                }
+
                 pb.RequestHandler.urlExists(article.url, post.id, self.site, function(error, exists) {
                     var testError = (error !== null && typeof error !== 'undefined');
 
@@ -79,13 +89,34 @@ module.exports = function(pb) {
                         }
 
                         post.last_modified = new Date();
-                        cb({content: pb.BaseController.apiResponse(pb.BaseController.API_SUCCESS, article.headline + ' ' + self.ls.g('admin.EDITED'), post)});
+                        post.draft = article.draft;
+                        post.workflow_state = article.workflow_state;
+                        self.completeTransition(article, transition, function() {
+                            cb({content: pb.BaseController.apiResponse(pb.BaseController.API_SUCCESS, article.headline + ' ' + self.ls.g('admin.EDITED'), post)});
+                        });
                     });
                 });
             });
         });
     };
 
+    /**
+     * Records the workflow transition made by the save and notifies the
+     * interested users
+     * @method completeTransition
+     * @param {Object} article The article as it was persisted
+     * @param {Object} transition
+     * @param {Function} cb
+     */
+    EditArticle.prototype.completeTransition = function(article, transition, cb) {
+        var service = new pb.WorkflowService({
+            type: 'article',
+            site: this.site,
+            session: this.session
+        });
+        service.complete(article, transition, pb.RevisionService.getAuthor(this), cb);
+    };
+
     EditArticle.prototype.getRequiredFields = function() {
         return ['url', 'headline', 'article_layout', 'id'];
     };
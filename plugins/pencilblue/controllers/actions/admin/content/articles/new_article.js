@@ -49,6 +49,15 @@ module.exports = function(pb) {
 
             post = pb.DocumentCreator.formatIntegerItems(post, ['draft']);
             var articleDocument = pb.DocumentCreator.create('article', post, ['meta_keywords']);
+
+            //the draft flag and state go through the workflow so writers cannot publish directly
+            var transition = pb.WorkflowService.applyTransition(pb.WorkflowService.DRAFT, articleDocument, self.session);
+            if (transition === null) {
+                return cb({
+                    code: 403,
+                    content: pb.BaseController.apiResponse(pb.BaseController.API_FAILURE, self.ls.g('generic.INSUFFICIENT_CREDENTIALS'))
+                });
+            }
             pb.RequestHandler.isSystemSafeURL(articleDocument.url, null, self.site, function(err, isSafe) {
                 if(util.isError(err) || !isSafe)  {
                     cb({
@@ -66,12 +75,31 @@ module.exports = function(pb) {
                         });
                     }
 
-                    cb({content: pb.BaseController.apiResponse(pb.BaseController.API_SUCCESS, articleDocument.headline + ' ' + self.ls.g('admin.CREATED'), result)});
+                    self.completeTransition(result, transition, function() {
+                        cb({content: pb.BaseController.apiResponse(pb.BaseController.API_SUCCESS, articleDocument.headline + ' ' + self.ls.g('admin.CREATED'), result)});
+                    });
                 });
             });
         });
     };
 
+    /**
+     * Records the workflow transition made by the save and notifies the
+     * interested users
+     * @method completeTransition
+     * @param {Object} article The article as it was persisted
+     * @param {Object} transition
+     * @param {Function} cb
+     */
+    NewArticlePostController.prototype.completeTransition = function(article, transition, cb) {
+        var service = new pb.WorkflowService({
+            type: 'article',
+            site: this.site,
+            session: this.session
+        });
+        service.complete(article, transition, pb.RevisionService.getAuthor(this), cb);
+    };
+
     NewArticlePostController.prototype.getRequiredFields = function() {
         return ['url', 'headline', 'article_layout'];
     };
@@ -81,7 +81,15 @@ module.exports = function(pb) {
         if (!media.is_file) {
             return cb();
         }
-        mservice.deleteContentByPath(media.location, cb);
+        var self = this;
+        mservice.deleteContentByPath(media.location, function(err) {
+            if (util.isError(err)) {
+                return cb(err);
+            }
+
+            var derivativeService = new pb.ImageDerivativeService({site: self.site, onlyThisSite: true, provider: mservice.provider});
+            derivativeService.removeAll(media.location, cb);
+        });
     };
 
     //exports
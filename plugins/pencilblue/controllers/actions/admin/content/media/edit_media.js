@@ -62,6 +62,9 @@ module.exports = function(pb) {
             delete post.created;
             delete post.last_modified;
             delete post.object_type;
+            delete post.author;
+            post.media_tags = pb.MediaServiceV2.formatTags(post.media_tags);
+            post.media_folder = post.media_folder || null;
             pb.DocumentCreator.update(post, media);
             mediaService.save(media, function(err, result) {
                 if(util.isError(err) || util.isArray(result)) {
@@ -43,6 +43,10 @@ module.exports = function(pb) {
                 return;
             }
 
+            post.media_tags = pb.MediaServiceV2.formatTags(post.media_tags);
+            post.media_folder = post.media_folder || null;
+            post.author = self.session.authentication.user_id;
+
             var mediaDocument = pb.DocumentCreator.create('media', post);
             var mediaService = new pb.MediaService(null, self.site);
             mediaService.save(mediaDocument, function(err, result) {
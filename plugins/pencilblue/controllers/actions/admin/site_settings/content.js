@@ -40,6 +40,14 @@ module.exports = function(pb) {
                 return;
             }
 
+            message = Content.validateImageSizes(post, self.ls);
+            if (message) {
+                return cb({
+                    code: 400,
+                    content: pb.BaseController.apiResponse(pb.BaseController.API_FAILURE, message)
+                });
+            }
+
             self.settings.set('content_settings', post, function(data) {
                 if(util.isError(data)) {
                     cb({
@@ -54,6 +62,48 @@ module.exports = function(pb) {
         });
     };
 
+    /**
+     * Validates the image sizes and converts their dimensions to integers
+     * @static
+     * @method validateImageSizes
+     * @param {Object} post
+     * @param {Localization} ls
+     * @return {String} An error message or NULL when the sizes are valid
+     */
+    Content.validateImageSizes = function(post, ls) {
+        if (util.isNullOrUndefined(post.image_sizes)) {
+            post.image_sizes = pb.ContentService.getDefaultSettings().image_sizes;
+            return null;
+        }
+        else if (!util.isArray(post.image_sizes)) {
+            return ls.g('site_settings.INVALID_IMAGE_SIZE');
+        }
+
+        var names = {};
+        for (var i = 0; i < post.image_sizes.length; i++) {
+            var size = post.image_sizes[i];
+            var problem = pb.ImageDerivativeService.validateSize(size);
+            if (problem) {
+                return ls.g('site_settings.INVALID_IMAGE_SIZE') + ': ' + problem;
+            }
+            else if (names[size.name]) {
+                return ls.g('site_settings.DUPLICATE_IMAGE_SIZE');
+            }
+            names[size.name] = true;
+
+            post.image_sizes[i] = {
+                name: size.name,
+                width: parseInt(size.width, 10) || 0,
+                height: parseInt(size.height, 10) || 0,
+                crop: !!size.crop
+            };
+            if (size.format) {
+                post.image_sizes[i].format = size.format;
+            }
+        }
+        return null;
+    };
+
     //exports
     return Content;
 };
@@ -0,0 +1,55 @@
+/*
+    Copyright (C) 2016  PencilBlue, LLC
+
+    This program is free software: you can redistribute it and/or modify
+    it under the terms of the GNU General Public License as published by
+    the Free Software Foundation, either version 3 of the License, or
+    (at your option) any later version.
+
+    This program is distributed in the hope that it will be useful,
+    but WITHOUT ANY WARRANTY; without even the implied warranty of
+    MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+    GNU General Public License for more details.
+
+    You should have received a copy of the GNU General Public License
+    along with this program.  If not, see <http://www.gnu.org/licenses/>.
+*/
+'use strict';
+
+module.exports = function(pb) {
+
+    //pb dependencies
+    var util = pb.util;
+
+    /**
+     * Saves the site's security settings
+     */
+    function Security(){}
+    util.inherits(Security, pb.BaseController);
+
+    Security.prototype.render = function(cb) {
+        var self = this;
+
+        this.getJSONPostParams(function(err, post) {
+            var settings = {
+                require_two_factor: util.isObject(post) && post.require_two_factor === true
+            };
+
+            var settingService = pb.SettingServiceFactory.getServiceBySite(self.site, true);
+            settingService.set(pb.TwoFactorService.SETTINGS_KEY, settings, function(data) {
+                if(util.isError(data)) {
+                    cb({
+                        code: 500,
+                        content: pb.BaseController.apiResponse(pb.BaseController.API_FAILURE, self.ls.g('generic.ERROR_SAVING'), data)
+                    });
+                    return;
+                }
+
+                cb({content: pb.BaseController.apiResponse(pb.BaseController.API_SUCCESS, self.ls.g('site_settings.SECURITY_SETTINGS') + ' ' +  self.ls.g('admin.EDITED'))});
+            });
+        });
+    };
+
+    //exports
+    return Security;
+};
@@ -90,7 +90,13 @@ module.exports = function ChangePasswordModule(pb) {
                         });
                     }
 
-                    cb({content: pb.BaseController.apiResponse(pb.BaseController.API_SUCCESS, self.ls.g('users.PASSWORD_CHANGED'))});
+                    //sign the user out everywhere else in case the old password was compromised
+                    pb.session.revokeUserSessions(vars.id, {except: self.session.uid}, function(err/*, count*/) {
+                        if(util.isError(err)) {
+                            pb.log.error('ChangePassword: Failed to revoke the sessions of user %s: %s', user.username, err.stack);
+                        }
+                        cb({content: pb.BaseController.apiResponse(pb.BaseController.API_SUCCESS, self.ls.g('users.PASSWORD_CHANGED'))});
+                    });
                 });
             });
         });
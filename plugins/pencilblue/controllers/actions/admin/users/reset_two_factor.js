@@ -0,0 +1,71 @@
+/*
+    Copyright (C) 2016  PencilBlue, LLC
+
+    This program is free software: you can redistribute it and/or modify
+    it under the terms of the GNU General Public License as published by
+    the Free Software Foundation, either version 3 of the License, or
+    (at your option) any later version.
+
+    This program is distributed in the hope that it will be useful,
+    but WITHOUT ANY WARRANTY; without even the implied warranty of
+    MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+    GNU General Public License for more details.
+
+    You should have received a copy of the GNU General Public License
+    along with this program.  If not, see <http://www.gnu.org/licenses/>.
+*/
+'use strict';
+
+module.exports = function ResetTwoFactorModule(pb) {
+
+    //pb dependencies
+    var util = pb.util;
+
+    /**
+     * Removes a user's second factor so that they can sign in with their
+     * password and enroll again
+     * @class ResetTwoFactor
+     * @constructor
+     * @extends BaseController
+     */
+    function ResetTwoFactor(){}
+    util.inherits(ResetTwoFactor, pb.BaseController);
+
+    ResetTwoFactor.prototype.render = function(cb) {
+        var self = this;
+        var vars = this.pathVars;
+
+        var message = this.hasRequiredParams(vars, ['id']);
+        if(message) {
+            return this.formError(message, '/admin/users', cb);
+        }
+        else if(this.session.authentication.user_id === vars.id) {
+            return this.formError(this.ls.g('generic.INSUFFICIENT_CREDENTIALS'), '/admin/users/' + vars.id, cb);
+        }
+
+        //ensure the user belongs to the site
+        var userService = new pb.UserService(this.getServiceContext());
+        userService.get(vars.id, function(err, user) {
+            if(util.isError(err) || user === null) {
+                return self.formError(self.ls.g('generic.INVALID_UID'), '/admin/users', cb);
+            }
+            else if(!pb.security.isAuthorized(self.session, {admin_level: user.admin})) {
+                return self.formError(self.ls.g('generic.INSUFFICIENT_CREDENTIALS'), '/admin/users/' + vars.id, cb);
+            }
+
+            var service = new pb.TwoFactorService({site: self.site, onlyThisSite: false});
+            service.reset(vars.id, function(err) {
+                if(util.isError(err)) {
+                    return self.formError(self.ls.g('generic.ERROR_SAVING'), '/admin/users/' + vars.id, cb);
+                }
+
+                pb.log.info('ResetTwoFactor: User %s reset the second factor of user %s', self.session.authentication.user.username, user.username);
+                self.session.success = self.ls.g('users.TWO_FACTOR_RESET') + ' ' + user.username;
+                self.redirect('/admin/users/' + vars.id, cb);
+            });
+        });
+    };
+
+    //exports
+    return ResetTwoFactor;
+};
@@ -0,0 +1,69 @@
+/*
+    Copyright (C) 2016  PencilBlue, LLC
+
+    This program is free software: you can redistribute it and/or modify
+    it under the terms of the GNU General Public License as published by
+    the Free Software Foundation, either version 3 of the License, or
+    (at your option) any later version.
+
+    This program is distributed in the hope that it will be useful,
+    but WITHOUT ANY WARRANTY; without even the implied warranty of
+    MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+    GNU General Public License for more details.
+
+    You should have received a copy of the GNU General Public License
+    along with this program.  If not, see <http://www.gnu.org/licenses/>.
+*/
+'use strict';
+
+module.exports = function RevokeApiKeysModule(pb) {
+
+    //pb dependencies
+    var util = pb.util;
+
+    /**
+     * Deletes every API key of a user, for instance when a key has leaked or
+     * the user leaves the organization
+     * @class RevokeApiKeys
+     * @constructor
+     * @extends BaseController
+     */
+    function RevokeApiKeys(){}
+    util.inherits(RevokeApiKeys, pb.BaseController);
+
+    RevokeApiKeys.prototype.render = function(cb) {
+        var self = this;
+        var vars = this.pathVars;
+
+        var message = this.hasRequiredParams(vars, ['id']);
+        if(message) {
+            return this.formError(message, '/admin/users', cb);
+        }
+
+        //ensure the user belongs to the site
+        var userService = new pb.UserService(this.getServiceContext());
+        userService.get(vars.id, function(err, user) {
+            if(util.isError(err) || user === null) {
+                return self.formError(self.ls.g('generic.INVALID_UID'), '/admin/users', cb);
+            }
+            else if(!pb.security.isAuthorized(self.session, {admin_level: user.admin})) {
+                return self.formError(self.ls.g('generic.INSUFFICIENT_CREDENTIALS'), '/admin/users/' + vars.id, cb);
+            }
+
+            var service = new pb.ApiKeyService(self.getServiceContext());
+            service.revokeAllForUser(vars.id, function(err, count) {
+                if(util.isError(err)) {
+                    pb.log.error('RevokeApiKeys: Failed to revoke the API keys of user %s: %s', user.username, err.stack);
+                    return self.formError(self.ls.g('generic.ERROR_SAVING'), '/admin/users/' + vars.id, cb);
+                }
+
+                pb.log.info('RevokeApiKeys: User %s revoked %s API key(s) of user %s', self.session.authentication.user.username, count, user.username);
+                self.session.success = self.ls.g('users.API_KEYS_REVOKED') + ' ' + user.username;
+                self.redirect('/admin/users/' + vars.id, cb);
+            });
+        });
+    };
+
+    //exports
+    return RevokeApiKeys;
+};
@@ -22,6 +22,18 @@ module.exports = function LoginActionControllerModule(pb) {
     var util               = pb.util;
     var FormController     = pb.FormController;
     var FormAuthentication = pb.FormAuthentication;
+    var TwoFactorService   = pb.TwoFactorService;
+
+    /**
+     * The number of second factor codes that may be tried after a password
+     * has been accepted
+     * @private
+     * @static
+     * @readonly
+     * @property MAX_TWO_FACTOR_ATTEMPTS
+     * @type {Integer}
+     */
+    var MAX_TWO_FACTOR_ATTEMPTS = 5;
 
     /**
      * Authenticates a user
@@ -45,25 +57,104 @@ module.exports = function LoginActionControllerModule(pb) {
         var options = post;
         options.access_level = adminAttempt ? pb.SecurityService.ACCESS_WRITER : pb.SecurityService.ACCESS_USER;
         options.site = self.site;
-        pb.security.authenticateSession(this.session, options, new FormAuthentication(), function(err, user) {
-            if(util.isError(err) || user === null)  {
+        new FormAuthentication().authenticate(options, function(err, user) {
+            if(util.isError(err) || !util.isObject(user))  {
                 self.loginError(adminAttempt, cb);
                 return;
             }
 
-            //redirect
-            var location = '/';
-            if (self.session.on_login !== undefined) {
-                location = self.session.on_login;
-                delete self.session.on_login;
-            }
-            else if(adminAttempt) {
-                location = '/admin';
+            var service = new TwoFactorService({site: self.site, onlyThisSite: false});
+            service.getPendingLogin(user, adminAttempt, function(err, pending) {
+                if (util.isError(err)) {
+                    return self.loginError(adminAttempt, cb);
+                }
+
+                //the password was correct but the second factor must still be
+                //provided (or set up) before the session is authenticated
+                if (pending) {
+                    self.session.two_factor_login = pending;
+                    return self.redirect('/user/login/two_factor', cb);
+                }
+
+                pb.security.setAuthenticatedUser(self.session, user);
+                self.onLogin(adminAttempt, cb);
+            });
+        });
+    };
+
+    /**
+     * Verifies the second factor of a user whose password has already been
+     * accepted.  When the user must first enroll, the code is checked against
+     * the secret that was shown to them.
+     * @method twoFactor
+     * @param {Function} cb
+     */
+    LoginActionController.prototype.twoFactor = function(cb) {
+        var self    = this;
+        var pending = this.session.two_factor_login;
+        if (!util.isObject(pending) || !pending.user_id) {
+            return this.redirect('/user/login', cb);
+        }
+
+        //limit the number of guesses that can be made for a single password
+        pending.attempts = (pending.attempts || 0) + 1;
+        if (pending.attempts > MAX_TWO_FACTOR_ATTEMPTS) {
+            delete this.session.two_factor_login;
+            return this.loginError(pending.admin_attempt, cb);
+        }
+
+        this.getPostParams(function(err, post) {
+            if (util.isError(err)) {
+                return self.onPostParamsError(err, cb);
             }
-            self.redirect(location, cb);
+
+            var code = util.isString(post.code) ? post.code.trim() : '';
+            var service = new TwoFactorService({site: self.site, onlyThisSite: false});
+            new pb.DAO().loadById(pending.user_id, 'user', function(err, user) {
+                if (util.isError(err) || !util.isObject(user)) {
+                    delete self.session.two_factor_login;
+                    return self.loginError(pending.admin_attempt, cb);
+                }
+
+                if (pending.enrol) {
+                    return service.enrol(user, pending.secret, code, function(err, recoveryCodes) {
+                        if (util.isError(err)) {
+                            return self.twoFactorError(cb);
+                        }
+
+                        //the recovery codes are shown once before continuing
+                        self.session.two_factor_login = {
+                            recovery_codes: recoveryCodes,
+                            location: LoginActionController.getLoginLocation(self.session, pending.admin_attempt)
+                        };
+                        pb.security.setAuthenticatedUser(self.session, user);
+                        self.redirect('/user/login/two_factor', cb);
+                    });
+                }
+
+                service.verify(user, code, function(err, isValid) {
+                    if (util.isError(err) || !isValid) {
+                        return self.twoFactorError(cb);
+                    }
+
+                    delete self.session.two_factor_login;
+                    pb.security.setAuthenticatedUser(self.session, user);
+                    self.onLogin(pending.admin_attempt, cb);
+                });
+            });
         });
     };
 
+    /**
+     * Redirects a user that has just been authenticated
+     * @method onLogin
+     * @param {Boolean} adminAttempt
+     * @param {Function} cb
+     */
+    LoginActionController.prototype.onLogin = function(adminAttempt, cb) {
+        this.redirect(LoginActionController.getLoginLocation(this.session, adminAttempt), cb);
+    };
+
     LoginActionController.prototype.loginError = function(adminAttempt, cb) {
         this.session.error = this.ls.g('login.INVALID_LOGIN');
         if(adminAttempt){
@@ -74,6 +165,36 @@ module.exports = function LoginActionControllerModule(pb) {
         this.redirect('/user/login', cb);
     };
 
+    /**
+     * @method twoFactorError
+     * @param {Function} cb
+     */
+    LoginActionController.prototype.twoFactorError = function(cb) {
+        this.session.error = this.ls.g('login.INVALID_TWO_FACTOR_CODE');
+        this.redirect('/user/login/two_factor', cb);
+    };
+
+    /**
+     * Determines where a user is sent once they are authenticated.  A location
+     * that was requested before signing in is only used once.
+     * @static
+     * @method getLoginLocation
+     * @param {Object} session
+     * @param {Boolean} adminAttempt
+     * @return {String}
+     */
+    LoginActionController.getLoginLocation = function(session, adminAttempt) {
+        var location = '/';
+        if (session.on_login !== undefined) {
+            location = session.on_login;
+            delete session.on_login;
+        }
+        else if(adminAttempt) {
+            location = '/admin';
+        }
+        return location;
+    };
+
     //exports
     return LoginActionController;
 };
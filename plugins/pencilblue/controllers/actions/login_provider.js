@@ -0,0 +1,151 @@
+/*
+    Copyright (C) 2016  PencilBlue, LLC
+
+    This program is free software: you can redistribute it and/or modify
+    it under the terms of the GNU General Public License as published by
+    the Free Software Foundation, either version 3 of the License, or
+    (at your option) any later version.
+
+    This program is distributed in the hope that it will be useful,
+    but WITHOUT ANY WARRANTY; without even the implied warranty of
+    MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+    GNU General Public License for more details.
+
+    You should have received a copy of the GNU General Public License
+    along with this program.  If not, see <http://www.gnu.org/licenses/>.
+*/
+'use strict';
+
+module.exports = function LoginProviderActionControllerModule(pb) {
+
+    //dependencies
+    var util                          = pb.util;
+    var AuthenticationProviderService = pb.AuthenticationProviderService;
+    var TwoFactorService              = pb.TwoFactorService;
+    var LoginActionController         = require('./login.js')(pb);
+
+    /**
+     * Signs users in with an external authentication provider such as an
+     * OpenID Connect identity provider
+     * @class LoginProviderActionController
+     * @constructor
+     * @extends BaseController
+     */
+    function LoginProviderActionController(){}
+    util.inherits(LoginProviderActionController, pb.BaseController);
+
+    /**
+     * Sends the user to the identity provider specified by the "provider"
+     * path parameter
+     * @method authorize
+     * @param {Function} cb
+     */
+    LoginProviderActionController.prototype.authorize = function(cb) {
+        var self     = this;
+        var name     = this.pathVars.provider;
+        var provider = this.getProvider(name);
+        if (provider === null) {
+            return this.reqHandler.serve404();
+        }
+
+        var adminAttempt = this.query.admin_attempt ? true : false;
+        provider.createAuthorizationRequest({hostname: this.hostname}, function(err, result) {
+            if (util.isError(err)) {
+                pb.log.error('LoginProviderActionController: Failed to create the authorization request for %s: %s', name, err.stack);
+                return self.loginError(adminAttempt, cb);
+            }
+
+            self.session.authentication_request = util.merge(result.state, {
+                provider: name,
+                admin_attempt: adminAttempt
+            });
+            self.redirect(result.url, cb);
+        });
+    };
+
+    /**
+     * Completes the sign in when the identity provider redirects back
+     * @method callback
+     * @param {Function} cb
+     */
+    LoginProviderActionController.prototype.callback = function(cb) {
+        var self     = this;
+        var name     = this.pathVars.provider;
+        var provider = this.getProvider(name);
+        if (provider === null) {
+            return this.reqHandler.serve404();
+        }
+
+        //the authorization request may only be completed once
+        var request = this.session.authentication_request;
+        delete this.session.authentication_request;
+
+        if (!util.isObject(request) || request.provider !== name) {
+            return this.loginError(false, cb);
+        }
+        else if (this.query.error) {
+            pb.log.warn('LoginProviderActionController: %s refused the sign in: %s', name, this.query.error);
+            return this.loginError(request.admin_attempt, cb);
+        }
+
+        var credentials = {
+            code: this.query.code,
+            state: this.query.state,
+            request: request,
+            access_level: request.admin_attempt ? pb.SecurityService.ACCESS_WRITER : pb.SecurityService.ACCESS_USER
+        };
+        provider.authenticate(credentials, function(err, user) {
+            if (util.isError(err)) {
+                pb.log.error('LoginProviderActionController: Failed to sign in with %s: %s', name, err.stack);
+            }
+            if (util.isError(err) || !util.isObject(user)) {
+                return self.loginError(request.admin_attempt, cb);
+            }
+
+            //the provider only stands in for the password so the second
+            //factor is verified the same way as for a password sign in
+            var service = new TwoFactorService({site: self.site, onlyThisSite: false});
+            service.getPendingLogin(user, request.admin_attempt, function(err, pending) {
+                if (util.isError(err)) {
+                    pb.log.error('LoginProviderActionController: Failed to check the second factor of %s: %s', user.username, err.stack);
+                    return self.loginError(request.admin_attempt, cb);
+                }
+                if (pending) {
+                    self.session.two_factor_login = pending;
+                    return self.redirect('/user/login/two_factor', cb);
+                }
+
+                pb.security.setAuthenticatedUser(self.session, user);
+                self.redirect(LoginActionController.getLoginLocation(self.session, request.admin_attempt), cb);
+            });
+        });
+    };
+
+    /**
+     * Creates the external provider with the specified name
+     * @method getProvider
+     * @param {String} name
+     * @return {Object} The provider or NULL when no enabled external provider
+     * is registered with the name
+     */
+    LoginProviderActionController.prototype.getProvider = function(name) {
+        var provider = AuthenticationProviderService.getProvider(name, {site: this.site, onlyThisSite: false});
+        if (!AuthenticationProviderService.isExternal(provider) || !provider.isEnabled()) {
+            return null;
+        }
+        return provider;
+    };
+
+    /**
+     * @method loginError
+     * @param {Boolean} adminAttempt
+     * @param {Function} cb
+     */
+    LoginProviderActionController.prototype.loginError = function(adminAttempt, cb) {
+        this.session.error = this.ls.g('login.PROVIDER_LOGIN_FAILED');
+        this.redirect(adminAttempt ? '/admin/login' : '/user/login', cb);
+    };
+
+    //exports
+    return LoginProviderActionController;
+};
@@ -91,8 +91,16 @@ module.exports = function(pb) {
           }
 
           self.session.authentication.reset_password = false;
-          cb({
-            content: pb.BaseController.apiResponse(pb.BaseController.API_SUCCESS, self.ls.g('users.PASSWORD_CHANGED'))
+
+          //sign the user out everywhere else in case the old password was compromised
+          var opts = {except: self.session.uid};
+          pb.session.revokeUserSessions(user[pb.DAO.getIdField()].toString(), opts, function(err/*, count*/) {
+            if(util.isError(err)) {
+              pb.log.error('ChangePassword: Failed to revoke the sessions of user %s: %s', user.username, err.stack);
+            }
+            cb({
+              content: pb.BaseController.apiResponse(pb.BaseController.API_SUCCESS, self.ls.g('users.PASSWORD_CHANGED'))
+            });
           });
         });
       });
@@ -67,6 +67,11 @@ module.exports = function(pb) {
                     return;
                 }
 
+                //comments created before moderation was introduced are approved
+                comments.forEach(function(comment) {
+                    comment.status = comment.status || pb.CommentService.STATUS_APPROVED;
+                });
+
                 //retrieve any details
                 self.getCommentDetails(comments, function(commentsWithDetails) {
                     var pills = self.getAdminPills(SUB_NAV_KEY, self.ls, SUB_NAV_KEY);
@@ -41,7 +41,9 @@ module.exports = function(pb) {
                 caption: 1,
                 last_modified: 1,
                 media_type: 1,
-                location: 1
+                location: 1,
+                media_folder: 1,
+                media_tags: 1
             },
             order: {created: pb.DAO.DESC},
             format_media: true
@@ -73,17 +75,28 @@ module.exports = function(pb) {
                 pb.log.error("ManageMedia: AdminSubnavService.getWithSite callback error. ERROR[%s]", err.stack);
             }
 
-            var angularObjects = pb.ClientJs.getAngularObjects(
-                {
-                    navigation: pb.AdminNavigation.get(self.session, ['content', 'media'], self.ls, self.site),
-                    pills: pills,
-                    media: pb.MediaServiceV2.formatMedia(mediaData)
-                });
-            //TODO: err first arg for style. User experience error when no pills?
-            cb(angularObjects);
+            var folderService = new pb.MediaFolderService(self.getServiceContext());
+            folderService.getTree(function(err, tree) {
+                //Log error. Don't return
+                if (util.isError(err)) {
+                    tree = [];
+                    pb.log.error("ManageMedia: Failed to load the media folders. ERROR[%s]", err.stack);
+                }
+
+                var angularObjects = pb.ClientJs.getAngularObjects(
+                    {
+                        navigation: pb.AdminNavigation.get(self.session, ['content', 'media'], self.ls, self.site),
+                        pills: pills,
+                        media: pb.MediaServiceV2.formatMedia(mediaData),
+                        folders: pb.MediaFolderService.getFolderOptions(tree)
+                    });
+                //TODO: err first arg for style. User experience error when no pills?
+                cb(angularObjects);
+            });
         });
     };
 
+
     ManageMedia.getSubNavItems = function(key, ls, data) {
         return [{
             name: 'manage_media',
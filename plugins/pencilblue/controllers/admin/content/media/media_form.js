@@ -128,6 +128,8 @@ module.exports = function(pb) {
                 if(!vars.id) {
                     return callback(null, {
                         media_topics: [],
+                        media_tags: [],
+                        media_folder: null,
                         site: self.site
                     });
                 }
@@ -137,6 +139,13 @@ module.exports = function(pb) {
                 });
             },
 
+            folders: function(callback) {
+                var folderService = new pb.MediaFolderService(self.getServiceContext());
+                folderService.getTree(function(err, tree) {
+                    callback(err, util.isArray(tree) ? pb.MediaFolderService.getFolderOptions(tree) : []);
+                });
+            },
+
             topics: function(callback) {
                 if (!media) {
                     return callback(null, []);
@@ -0,0 +1,87 @@
+/*
+    Copyright (C) 2016  PencilBlue, LLC
+
+    This program is free software: you can redistribute it and/or modify
+    it under the terms of the GNU General Public License as published by
+    the Free Software Foundation, either version 3 of the License, or
+    (at your option) any later version.
+
+    This program is distributed in the hope that it will be useful,
+    but WITHOUT ANY WARRANTY; without even the implied warranty of
+    MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+    GNU General Public License for more details.
+
+    You should have received a copy of the GNU General Public License
+    along with this program.  If not, see <http://www.gnu.org/licenses/>.
+*/
+'use strict';
+
+module.exports = function(pb) {
+
+    //pb dependencies
+    var util = pb.util;
+
+    /**
+     * Interface for managing the redirects of a site.  The rules are listed,
+     * created and edited through the redirect API.
+     * @class ManageRedirects
+     * @constructor
+     * @extends BaseAdminController
+     */
+    function ManageRedirects() {}
+    util.inherits(ManageRedirects, pb.BaseAdminController);
+
+    var SUB_NAV_KEY = 'manage_redirects';
+
+    /**
+     * @method render
+     * @param {Function} cb
+     */
+    ManageRedirects.prototype.render = function(cb) {
+        var self = this;
+
+        var angularObjects = pb.ClientJs.getAngularObjects({
+            navigation: pb.AdminNavigation.get(self.session, ['content', 'redirects'], self.ls, self.site),
+            pills: self.getAdminPills(SUB_NAV_KEY, self.ls, SUB_NAV_KEY),
+            matchTypes: pb.RedirectService.getMatchTypes().map(function(type) {
+                return {value: type, name: self.ls.g('redirects.MATCH_' + type.toUpperCase())};
+            }),
+            codes: pb.RedirectService.CODES,
+            tableHeaders: [
+                {name: self.ls.g('redirects.SOURCE'), unsorted: true},
+                {name: self.ls.g('redirects.TARGET'), unsorted: true},
+                {name: self.ls.g('redirects.MATCH_TYPE'), unsorted: true},
+                {name: self.ls.g('redirects.CODE'), unsorted: true}
+            ]
+        });
+
+        self.setPageName(self.ls.g('redirects.MANAGE_REDIRECTS'));
+        self.ts.registerLocal('angular_objects', new pb.TemplateValue(angularObjects, false));
+        self.ts.load('admin/content/redirects/manage_redirects', function(err, data) {
+            cb({content: data});
+        });
+    };
+
+    /**
+     * @static
+     * @method getSubNavItems
+     * @param {String} key
+     * @param {Localization} ls
+     * @param {Object} data
+     * @return {Array}
+     */
+    ManageRedirects.getSubNavItems = function(key, ls, data) {
+        return [{
+            name: SUB_NAV_KEY,
+            title: ls.g('redirects.MANAGE_REDIRECTS'),
+            icon: 'refresh',
+            href: '/admin/content/redirects'
+        }];
+    };
+
+    //register admin sub-nav
+    pb.AdminSubnavService.registerFor(SUB_NAV_KEY, ManageRedirects.getSubNavItems);
+
+    //exports
+    return ManageRedirects;
+};
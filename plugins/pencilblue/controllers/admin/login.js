@@ -16,6 +16,9 @@
 */
 'use strict';
 
+//dependencies
+var HtmlEncoder = require('htmlencode');
+
 module.exports = function LoginViewControllerModule(pb) {
 
     //pb dependencies
@@ -48,11 +51,28 @@ module.exports = function LoginViewControllerModule(pb) {
         }
 
         this.setPageName(' ' + this.ls.g('generic.LOGIN'));
+        this.ts.registerLocal('login_providers', new pb.TemplateValue(this.getProvidersHtml(), false));
         this.ts.load('admin/login',  function(err, data) {
             cb({content: data});
         });
     };
 
+    /**
+     * Builds the sign in buttons for the enabled external authentication
+     * providers
+     * @method getProvidersHtml
+     * @return {String}
+     */
+    LoginViewController.prototype.getProvidersHtml = function() {
+        var self = this;
+        var providers = pb.AuthenticationProviderService.getExternalProviders({site: this.site, onlyThisSite: false});
+        return providers.map(function(provider) {
+            var href = '/actions/login/' + encodeURIComponent(provider.name) + '?admin_attempt=1';
+            return '<a class="btn btn-default btn-block" href="' + href + '">' +
+                HtmlEncoder.htmlEncode(self.ls.g('login.SIGN_IN_WITH') + ' ' + provider.display_name) + '</a>';
+        }).join('');
+    };
+
     //exports
     return LoginViewController;
 };
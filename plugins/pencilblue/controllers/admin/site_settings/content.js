@@ -55,11 +55,20 @@ module.exports = function(pb) {
                 href: '#comments',
                 icon: 'comment',
                 title: self.ls.g('generic.COMMENTS')
+            },
+            {
+                href: '#images',
+                icon: 'picture-o',
+                title: self.ls.g('site_settings.IMAGES')
             }
         ];
 
         var contentService = new pb.ContentService({site: this.site, onlyThisSite: true});
         contentService.getSettings(function(err, contentSettings) {
+            if (!util.isArray(contentSettings.image_sizes)) {
+                contentSettings.image_sizes = pb.ContentService.getDefaultSettings().image_sizes;
+            }
+
             var angularObjects = pb.ClientJs.getAngularObjects({
                 navigation: pb.AdminNavigation.get(self.session, ['settings', 'site_settings'], self.ls, self.site),
                 pills: self.getAdminPills(SUB_NAV_KEY, self.ls, 'content', {site:self.site}),
@@ -87,6 +96,16 @@ module.exports = function(pb) {
             title: ls.g('generic.EMAIL'),
             icon: 'envelope',
             href: '/admin/site_settings/email'
+        }, {
+            name: 'security',
+            title: ls.g('site_settings.SECURITY'),
+            icon: 'lock',
+            href: '/admin/site_settings/security'
+        }, {
+            name: 'webhooks',
+            title: ls.g('webhooks.WEBHOOKS'),
+            icon: 'bolt',
+            href: '/admin/site_settings/webhooks'
         }];
 
         if (data.site === pb.SiteService.GLOBAL_SITE) {
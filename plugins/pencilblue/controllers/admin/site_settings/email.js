@@ -82,6 +82,16 @@ module.exports = function(pb) {
             title: ls.g('generic.CONTENT'),
             icon: 'quote-right',
             href: '/admin/site_settings/content'
+        }, {
+            name: 'security',
+            title: ls.g('site_settings.SECURITY'),
+            icon: 'lock',
+            href: '/admin/site_settings/security'
+        }, {
+            name: 'webhooks',
+            title: ls.g('webhooks.WEBHOOKS'),
+            icon: 'bolt',
+            href: '/admin/site_settings/webhooks'
         }];
 
         if(data && data.site === SiteService.GLOBAL_SITE) {
@@ -84,6 +84,16 @@ module.exports = function(pb) {
             title: ls.g('generic.EMAIL'),
             icon: 'envelope',
             href: '/admin/site_settings/email'
+        }, {
+            name: 'security',
+            title: ls.g('site_settings.SECURITY'),
+            icon: 'lock',
+            href: '/admin/site_settings/security'
+        }, {
+            name: 'webhooks',
+            title: ls.g('webhooks.WEBHOOKS'),
+            icon: 'bolt',
+            href: '/admin/site_settings/webhooks'
         }];
     };
 
@@ -0,0 +1,108 @@
+/*
+    Copyright (C) 2016  PencilBlue, LLC
+
+    This program is free software: you can redistribute it and/or modify
+    it under the terms of the GNU General Public License as published by
+    the Free Software Foundation, either version 3 of the License, or
+    (at your option) any later version.
+
+    This program is distributed in the hope that it will be useful,
+    but WITHOUT ANY WARRANTY; without even the implied warranty of
+    MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+    GNU General Public License for more details.
+
+    You should have received a copy of the GNU General Public License
+    along with this program.  If not, see <http://www.gnu.org/licenses/>.
+*/
+'use strict';
+
+module.exports = function(pb) {
+
+    //pb dependencies
+    var util = pb.util;
+    var SiteService = pb.SiteService;
+
+    /**
+     * Interface for the site's security settings
+     */
+    function Security(){}
+    util.inherits(Security, pb.BaseAdminController);
+
+    //statics
+    var SUB_NAV_KEY = 'site_security_settings';
+
+    Security.prototype.render = function(cb) {
+        var self = this;
+        var tabs =
+        [
+            {
+                active: 'active',
+                href: '#two_factor',
+                icon: 'lock',
+                title: self.ls.g('users.TWO_FACTOR')
+            }
+        ];
+
+        var twoFactorService = new pb.TwoFactorService({site: this.site, onlyThisSite: true});
+        twoFactorService.getSettings(function(err, securitySettings) {
+            if (util.isError(err)) {
+                return self.reqHandler.serveError(err);
+            }
+
+            var angularObjects = pb.ClientJs.getAngularObjects({
+                navigation: pb.AdminNavigation.get(self.session, ['settings', 'site_settings'], self.ls, self.site),
+                pills: self.getAdminPills(SUB_NAV_KEY, self.ls, 'security', { site: self.site }),
+                tabs: tabs,
+                securitySettings: securitySettings
+            });
+
+            self.setPageName(self.ls.g('site_settings.SECURITY'));
+            self.ts.registerLocal('angular_objects', new pb.TemplateValue(angularObjects, false));
+            self.ts.load('admin/site_settings/security', function(err, result) {
+                cb({content: result});
+            });
+        });
+    };
+
+    Security.getSubNavItems = function(key, ls, data) {
+
+        var pills = [{
+            name: 'configuration',
+            title: ls.g('site_settings.SECURITY'),
+            icon: 'chevron-left',
+            href: '/admin/site_settings'
+        }, {
+            name: 'content',
+            title: ls.g('generic.CONTENT'),
+            icon: 'quote-right',
+            href: '/admin/site_settings/content'
+        }, {
+            name: 'email',
+            title: ls.g('generic.EMAIL'),
+            icon: 'envelope',
+            href: '/admin/site_settings/email'
+        }, {
+            name: 'webhooks',
+            title: ls.g('webhooks.WEBHOOKS'),
+            icon: 'bolt',
+            href: '/admin/site_settings/webhooks'
+        }];
+
+        if(data && data.site === SiteService.GLOBAL_SITE) {
+            pills.push({
+                name: 'libraries',
+                title: ls.g('site_settings.LIBRARIES'),
+                icon: 'book',
+                href: '/admin/site_settings/libraries'
+            });
+        }
+
+        return pills;
+    };
+
+    //register admin sub-nav
+    pb.AdminSubnavService.registerFor(SUB_NAV_KEY, Security.getSubNavItems);
+
+    //exports
+    return Security;
+};
@@ -0,0 +1,114 @@
+/*
+    Copyright (C) 2016  PencilBlue, LLC
+
+    This program is free software: you can redistribute it and/or modify
+    it under the terms of the GNU General Public License as published by
+    the Free Software Foundation, either version 3 of the License, or
+    (at your option) any later version.
+
+    This program is distributed in the hope that it will be useful,
+    but WITHOUT ANY WARRANTY; without even the implied warranty of
+    MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+    GNU General Public License for more details.
+
+    You should have received a copy of the GNU General Public License
+    along with this program.  If not, see <http://www.gnu.org/licenses/>.
+*/
+'use strict';
+
+module.exports = function(pb) {
+
+    //pb dependencies
+    var util = pb.util;
+    var SiteService = pb.SiteService;
+
+    /**
+     * Interface for managing the webhooks of a site.  The webhooks and their
+     * delivery log are managed through the webhook API.
+     * @class Webhooks
+     * @constructor
+     * @extends BaseAdminController
+     */
+    function Webhooks(){}
+    util.inherits(Webhooks, pb.BaseAdminController);
+
+    //statics
+    var SUB_NAV_KEY = 'site_webhook_settings';
+
+    /**
+     * @method render
+     * @param {Function} cb
+     */
+    Webhooks.prototype.render = function(cb) {
+        var self = this;
+
+        var angularObjects = pb.ClientJs.getAngularObjects({
+            navigation: pb.AdminNavigation.get(self.session, ['settings', 'webhook_settings'], self.ls, self.site),
+            pills: self.getAdminPills(SUB_NAV_KEY, self.ls, 'webhooks', { site: self.site }),
+            events: [pb.WebhookService.ALL_EVENTS].concat(pb.WebhookService.getEvents()),
+            enabled: pb.WebhookService.isEnabled(),
+            tableHeaders: [
+                {name: self.ls.g('generic.NAME'), unsorted: true},
+                {name: self.ls.g('webhooks.URL'), unsorted: true},
+                {name: self.ls.g('webhooks.EVENTS'), unsorted: true},
+                {name: self.ls.g('webhooks.ACTIVE'), unsorted: true}
+            ]
+        });
+
+        self.setPageName(self.ls.g('webhooks.WEBHOOKS'));
+        self.ts.registerLocal('angular_objects', new pb.TemplateValue(angularObjects, false));
+        self.ts.load('admin/site_settings/webhooks', function(err, result) {
+            cb({content: result});
+        });
+    };
+
+    /**
+     * @static
+     * @method getSubNavItems
+     * @param {String} key
+     * @param {Localization} ls
+     * @param {Object} data
+     * @return {Array}
+     */
+    Webhooks.getSubNavItems = function(key, ls, data) {
+
+        var pills = [{
+            name: 'configuration',
+            title: ls.g('webhooks.WEBHOOKS'),
+            icon: 'chevron-left',
+            href: '/admin/site_settings'
+        }, {
+            name: 'content',
+            title: ls.g('generic.CONTENT'),
+            icon: 'quote-right',
+            href: '/admin/site_settings/content'
+        }, {
+            name: 'email',
+            title: ls.g('generic.EMAIL'),
+            icon: 'envelope',
+            href: '/admin/site_settings/email'
+        }, {
+            name: 'security',
+            title: ls.g('site_settings.SECURITY'),
+            icon: 'lock',
+            href: '/admin/site_settings/security'
+        }];
+
+        if(data && data.site === SiteService.GLOBAL_SITE) {
+            pills.push({
+                name: 'libraries',
+                title: ls.g('site_settings.LIBRARIES'),
+                icon: 'book',
+                href: '/admin/site_settings/libraries'
+            });
+        }
+
+        return pills;
+    };
+
+    //register admin sub-nav
+    pb.AdminSubnavService.registerFor(SUB_NAV_KEY, Webhooks.getSubNavItems);
+
+    //exports
+    return Webhooks;
+};
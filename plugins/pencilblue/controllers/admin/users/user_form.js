@@ -79,6 +79,13 @@ module.exports = function(pb) {
                     icon: 'user',
                     title: self.ls.g('users.PERSONAL_INFO')
                 }];
+                if(vars.id) {
+                    tabs.push({
+                        href: '#api_keys',
+                        icon: 'code',
+                        title: self.ls.g('users.API_KEYS')
+                    });
+                }
                 callback(null, tabs);
             },
 
@@ -94,12 +101,25 @@ module.exports = function(pb) {
 
                 self.siteQueryService.loadById(vars.id, 'user', function(err, user) {
                     delete user.password;
+
+                    //only indicate whether a second factor has been set up
+                    user.two_factor_enabled = pb.TwoFactorService.isEnrolled(user);
+                    delete user.two_factor;
                     callback(err, user);
                 });
             },
 
             locales: function(callback) {
                 callback(null, pb.Localization.getSupportedWithDisplay());
+            },
+
+            apiKeys: function(callback) {
+                if(!vars.id) {
+                    return callback(null, []);
+                }
+
+                var service = new pb.ApiKeyService(self.getServiceContext());
+                service.getAllForUser(vars.id, callback);
             }
         };
         async.series(tasks, cb);
@@ -129,6 +149,29 @@ module.exports = function(pb) {
                     icon: 'key',
                     href: '/actions/admin/users/send_password_reset/' + data.user[pb.DAO.getIdField()].toString()
                 });
+
+                pills.push({
+                    name: 'revoke_sessions',
+                    title: ls.g('users.REVOKE_SESSIONS'),
+                    icon: 'sign-out',
+                    href: '/actions/admin/users/revoke_sessions/' + data.user[pb.DAO.getIdField()].toString()
+                });
+
+                pills.push({
+                    name: 'revoke_api_keys',
+                    title: ls.g('users.REVOKE_API_KEYS'),
+                    icon: 'code',
+                    href: '/actions/admin/users/revoke_api_keys/' + data.user[pb.DAO.getIdField()].toString()
+                });
+
+                if(data.user.two_factor_enabled) {
+                    pills.push({
+                        name: 'reset_two_factor',
+                        title: ls.g('users.RESET_TWO_FACTOR'),
+                        icon: 'unlock',
+                        href: '/actions/admin/users/reset_two_factor/' + data.user[pb.DAO.getIdField()].toString()
+                    });
+                }
             }
         }
 
@@ -99,6 +99,7 @@ module.exports = function(pb) {
                 if (util.isError(err)) {
                     return self.onDone(err, null, files, cb);
                 }
+                self.generateDerivatives(sresult.mediaPath);
 
                 //write the response
                 var content = {
@@ -112,6 +113,25 @@ module.exports = function(pb) {
         });
     };
 
+    /**
+     * Creates the image derivatives of an uploaded image in the background when
+     * they are configured to be generated on upload
+     * @method generateDerivatives
+     * @param {String} mediaPath
+     */
+    UploadMediaController.prototype.generateDerivatives = function(mediaPath) {
+        if (pb.config.media.images.generation !== 'upload' || !pb.ImageDerivativeService.isSupported(mediaPath)) {
+            return;
+        }
+
+        var service = new pb.ImageDerivativeService({site: this.site, onlyThisSite: true, provider: this.service.provider});
+        service.generateAll(mediaPath, function(err) {
+            if (util.isError(err)) {
+                pb.log.error('UploadMediaController: Failed to create the derivatives of %s: %s', mediaPath, err.stack);
+            }
+        });
+    };
+
     /**
      * Handles the cleanup after the incoming form data has been processed.  It
      * attempts to remove uploaded files or file partials after a failure or
@@ -42,7 +42,10 @@ module.exports = function(pb) {
             var options = {
                 to: post.email,
                 subject: 'Test email from PencilBlue',
-                layout: 'This is a successful test email from the PencilBlue system.'
+                layout: 'This is a successful test email from the PencilBlue system.',
+
+                //report failures so the settings can be corrected
+                queue: false
             };
             var emailService = new pb.EmailService({site: self.site});
             emailService.sendFromLayout(options, function(err, response) {
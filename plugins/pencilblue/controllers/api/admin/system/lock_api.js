@@ -0,0 +1,61 @@
+/*
+    Copyright (C) 2016  PencilBlue, LLC
+
+    This program is free software: you can redistribute it and/or modify
+    it under the terms of the GNU General Public License as published by
+    the Free Software Foundation, either version 3 of the License, or
+    (at your option) any later version.
+
+    This program is distributed in the hope that it will be useful,
+    but WITHOUT ANY WARRANTY; without even the implied warranty of
+    MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+    GNU General Public License for more details.
+
+    You should have received a copy of the GNU General Public License
+    along with this program.  If not, see <http://www.gnu.org/licenses/>.
+*/
+'use strict';
+
+module.exports = function(pb) {
+
+    //pb dependencies
+    var util              = pb.util;
+    var BaseApiController = pb.BaseApiController;
+    var LockService       = pb.LockService;
+
+    /**
+     * Provides insight into the locks that are held across the cluster
+     * @class LockApiController
+     * @constructor
+     */
+    function LockApiController() {}
+    util.inherits(LockApiController, BaseApiController);
+
+    /**
+     * Initializes the controller
+     * @method initSync
+     * @param {Object} context
+     */
+    LockApiController.prototype.initSync = function(/*context*/) {
+
+        /**
+         * @property service
+         * @type {LockService}
+         */
+        this.service = new LockService();
+    };
+
+    /**
+     * Retrieves the locks that are held across the cluster along with the
+     * number of processes waiting for each.  The tokens of the holders are
+     * never exposed so that the listing cannot be used to release a lock.
+     * @method getAll
+     * @param {Function} cb
+     */
+    LockApiController.prototype.getAll = function(cb) {
+        this.service.getAll(this.handleGet(cb));
+    };
+
+    //exports
+    return LockApiController;
+};
@@ -0,0 +1,106 @@
+/*
+    Copyright (C) 2016  PencilBlue, LLC
+
+    This program is free software: you can redistribute it and/or modify
+    it under the terms of the GNU General Public License as published by
+    the Free Software Foundation, either version 3 of the License, or
+    (at your option) any later version.
+
+    This program is distributed in the hope that it will be useful,
+    but WITHOUT ANY WARRANTY; without even the implied warranty of
+    MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+    GNU General Public License for more details.
+
+    You should have received a copy of the GNU General Public License
+    along with this program.  If not, see <http://www.gnu.org/licenses/>.
+*/
+'use strict';
+
+module.exports = function(pb) {
+
+    //PB dependencies
+    var util              = pb.util;
+    var WebhookService    = pb.WebhookService;
+    var BaseObjectService = pb.BaseObjectService;
+
+    /**
+     * Provides access to the webhooks of the site and their delivery log
+     * @class WebhookApiController
+     * @constructor
+     * @extends BaseApiController
+     */
+    function WebhookApiController(){}
+    util.inherits(WebhookApiController, pb.BaseApiController);
+
+    /**
+     * Initializes the controller
+     * @method initSync
+     * @param {Object} context
+     */
+    WebhookApiController.prototype.initSync = function(/*context*/) {
+
+        /**
+         * @property service
+         * @type {WebhookService}
+         */
+        this.service = new WebhookService(this.getServiceContext());
+    };
+
+    /**
+     * Provides the most recent deliveries to the webhook, newest first.  The
+     * $limit and $offset query parameters page through the log.
+     * @method getDeliveries
+     * @param {Function} cb
+     */
+    WebhookApiController.prototype.getDeliveries = function(cb) {
+        var self = this;
+        var options = this.processQuery();
+        this.service.get(this.pathVars.id, function(err, webhook) {
+            if (util.isError(err)) {
+                return cb(err);
+            }
+            else if (util.isNullOrUndefined(webhook)) {
+                return self.notFound(cb);
+            }
+
+            var opts = {
+                limit: options.limit,
+                offset: options.offset
+            };
+            new pb.WebhookDeliveryService().getAllForWebhook(self.pathVars.id, opts, function(err, deliveries, total) {
+                if (util.isError(err)) {
+                    return cb(err);
+                }
+                cb({
+                    content: BaseObjectService.getPagedResult(deliveries, total, opts.limit, opts.offset)
+                });
+            });
+        });
+    };
+
+    /**
+     * Queues a ping to the webhook so that the receiver can be verified
+     * @method ping
+     * @param {Function} cb
+     */
+    WebhookApiController.prototype.ping = function(cb) {
+        var self = this;
+        this.service.ping(this.pathVars.id, function(err, delivery) {
+            if (util.isError(err)) {
+                return cb(err);
+            }
+            else if (util.isNullOrUndefined(delivery)) {
+                return self.notFound(cb);
+            }
+
+            delete delivery.payload;
+            cb({
+                content: delivery,
+                code: pb.HttpStatus.ACCEPTED
+            });
+        });
+    };
+
+    //exports
+    return WebhookApiController;
+};
@@ -64,14 +64,35 @@ module.exports = function NewCommentModule(pb) {
 
                 var commentDocument       = pb.DocumentCreator.create('comment', post);
                 commentDocument.commenter = self.session.authentication.user_id;
+                commentDocument.ip        = pb.RequestHandler.getClientIp(self.req);
+                commentDocument.parent    = post.parent || null;
 
-                self.siteQueryService.save(commentDocument, function(err/*, data*/) {
+                var errors = [];
+                var commentService = new pb.CommentService({site: self.site, onlyThisSite: true});
+                commentService.validateParent(commentDocument, errors, function(err, depth) {
                     if (util.isError(err)) {
                         return cb({content: BaseController.apiResponse(BaseController.API_FAILURE, 'error saving'), code: 500});
                     }
+                    else if (errors.length > 0) {
+                        return cb({content: BaseController.apiResponse(BaseController.API_FAILURE, errors[0].message), code: 400});
+                    }
+
+                    commentDocument.depth = depth;
+                    commentService.getModerationStatus(commentDocument, self.session, function(err, status) {
+                        if (util.isError(err)) {
+                            return cb({content: BaseController.apiResponse(BaseController.API_FAILURE, 'error saving'), code: 500});
+                        }
+
+                        commentDocument.status = status;
+                        self.siteQueryService.save(commentDocument, function(err/*, data*/) {
+                            if (util.isError(err)) {
+                                return cb({content: BaseController.apiResponse(BaseController.API_FAILURE, 'error saving'), code: 500});
+                            }
 
-                    commentDocument.timestamp  = pb.ContentService.getTimestampTextFromSettings(commentDocument.created, contentSettings, self.ls);
-                    cb({content: BaseController.apiResponse(BaseController.API_SUCCESS, 'comment created' , commentDocument)});
+                            commentDocument.timestamp  = pb.ContentService.getTimestampTextFromSettings(commentDocument.created, contentSettings, self.ls);
+                            cb({content: BaseController.apiResponse(BaseController.API_SUCCESS, 'comment created' , commentDocument)});
+                        });
+                    });
                 });
             });
         });
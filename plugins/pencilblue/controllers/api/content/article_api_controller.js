@@ -22,6 +22,8 @@ module.exports = function(pb) {
     var ArticleServiceV2  = pb.ArticleServiceV2;
     var BaseObjectService = pb.BaseObjectService;
     var CommentService    = pb.CommentService;
+    var RevisionService   = pb.RevisionService;
+    var WorkflowService   = pb.WorkflowService;
 
     /**
      *
@@ -52,6 +54,20 @@ module.exports = function(pb) {
          * @type {CommentService}
          */
         this.commentService = new CommentService(this.getServiceContext());
+
+        /**
+         *
+         * @property revisionService
+         * @type {RevisionService}
+         */
+        this.revisionService = new RevisionService(util.merge(this.getServiceContext(), {type: 'article'}));
+
+        /**
+         *
+         * @property workflowService
+         * @type {WorkflowService}
+         */
+        this.workflowService = new WorkflowService(util.merge(this.getServiceContext(), {type: 'article'}));
     };
 
     /**
@@ -110,13 +126,17 @@ module.exports = function(pb) {
     };
 
     /**
-     * Retrieves comments for an article
+     * Retrieves comments for an article.  Only approved comments are provided
+     * unless the user is permitted to moderate comments.
      * @method getAllComments
      * @param {Function} cb
      */
     ArticleApiController.prototype.getAllComments = function(cb) {
         var options = this.processQuery();
         options.where.article = this.pathVars.articleId;
+        if (!pb.SecurityService.isAuthorized(this.session, {admin_level: pb.SecurityService.ACCESS_EDITOR})) {
+            CommentService.setApprovedClause(options.where);
+        }
         this.commentService.getAllWithCount(options, this.handleGet(cb));
     };
 
@@ -141,6 +161,76 @@ module.exports = function(pb) {
         this.commentService.deleteById(id, this.handleDelete(cb));
     };
 
+    /**
+     * Retrieves the revision history for the article with the ID specified by the
+     * ":id" path parameter
+     * @method getRevisions
+     * @param {Function} cb
+     */
+    ArticleApiController.prototype.getRevisions = function(cb) {
+        var options = this.processQuery();
+        this.revisionService.getAll(this.pathVars.id, options, this.handleGet(cb));
+    };
+
+    /**
+     * Retrieves a single revision of the article, including its snapshot
+     * @method getRevision
+     * @param {Function} cb
+     */
+    ArticleApiController.prototype.getRevision = function(cb) {
+        this.revisionService.get(this.pathVars.id, this.pathVars.revisionId, this.handleGet(cb));
+    };
+
+    /**
+     * Compares a revision of the article to the revision specified by the "to"
+     * query parameter or to the current article when none is specified
+     * @method diffRevision
+     * @param {Function} cb
+     */
+    ArticleApiController.prototype.diffRevision = function(cb) {
+        this.revisionService.diff(this.pathVars.id, this.pathVars.revisionId, this.query.to, this.handleGet(cb));
+    };
+
+    /**
+     * Restores the article to the state captured by a revision
+     * @method restoreRevision
+     * @param {Function} cb
+     */
+    ArticleApiController.prototype.restoreRevision = function(cb) {
+        this.revisionService.restore(this.pathVars.id, this.pathVars.revisionId, this.handleGet(cb));
+    };
+
+    /**
+     * Retrieves the workflow state of the article along with the states that
+     * the current user may move it to
+     * @method getWorkflow
+     * @param {Function} cb
+     */
+    ArticleApiController.prototype.getWorkflow = function(cb) {
+        this.workflowService.getStatus(this.pathVars.id, this.handleGet(cb));
+    };
+
+    /**
+     * Retrieves the audit trail of workflow transitions for the article
+     * @method getWorkflowHistory
+     * @param {Function} cb
+     */
+    ArticleApiController.prototype.getWorkflowHistory = function(cb) {
+        var options = this.processQuery();
+        this.workflowService.getHistory(this.pathVars.id, options, this.handleGet(cb));
+    };
+
+    /**
+     * Moves the article to the workflow state specified by the "state"
+     * property of the request body
+     * @method transitionWorkflow
+     * @param {Function} cb
+     */
+    ArticleApiController.prototype.transitionWorkflow = function(cb) {
+        var dto = this.getPostDto();
+        this.workflowService.transition(this.pathVars.id, dto.state, this.handleGet(cb));
+    };
+
     //exports
     return ArticleApiController;
 };
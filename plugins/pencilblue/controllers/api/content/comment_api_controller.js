@@ -59,12 +59,54 @@ module.exports = function(pb) {
             where.commenter = user;
         }
 
+        //filter by moderation status
+        var status = q.status;
+        if (CommentService.isStatus(status)) {
+            where.status = status;
+        }
+        else if (pb.ValidationService.isNonEmptyStr(status, true)) {
+            failures.push(pb.BaseObjectService.validationFailure('status', 'An invalid status was provided'));
+        }
+
         return {
             where: where,
             failures: failures
         };
     };
 
+    /**
+     * Updates the comment with the ID specified by the ":id" path parameter.
+     * Commenters may update their own comments during the edit window.
+     * @method put
+     * @param {Function} cb
+     */
+    CommentApiController.prototype.put = function(cb) {
+        var dto = this.body || {};
+        dto[pb.DAO.getIdField()] = this.pathVars.id;
+        this.service.update(dto, this.handleGet(cb));
+    };
+
+    /**
+     * Sets the moderation status for a set of comments.  The body is expected
+     * to provide an array of comment IDs, "ids", and the new "status".
+     * @method moderate
+     * @param {Function} cb
+     */
+    CommentApiController.prototype.moderate = function(cb) {
+        var dto = this.getPostDto();
+        this.service.moderate(dto.ids, dto.status, function(err, count) {
+            if (util.isError(err)) {
+                return cb(err);
+            }
+            cb({
+                content: {
+                    status: dto.status,
+                    count: count
+                }
+            });
+        });
+    };
+
     //exports
     return CommentApiController;
 };
@@ -63,13 +63,44 @@ module.exports = function (pb) {
     };
 
     /**
-     * Retrieves the collection of custom objects
+     * Retrieves the collection of custom objects.  When a $where expression is provided the custom object type is
+     * loaded first so that the custom objects can be filtered by its fields.
      * @method getAll
      * @param {function} cb (Error|object)
      */
     CustomObjectApiController.prototype.getAll = function(cb) {
+        var self = this;
+        if (!pb.ValidationService.isNonEmptyStr(this.query.$where, true)) {
+            return this.getAllOfType(cb);
+        }
+
+        this.service.loadTypeById(this.pathVars.customObjectTypeId, function(err, custObjType) {
+            if (util.isError(err)) {
+                return cb(err);
+            }
+            else if (!custObjType) {
+                return self.notFound(cb);
+            }
+
+            self.filterFields = CustomObjectService.getFilterFields(custObjType);
+            self.getAllOfType(cb);
+        });
+    };
+
+    /**
+     * Queries for the custom objects of the type specified by the ":customObjectTypeId" path parameter
+     * @method getAllOfType
+     * @param {function} cb (Error|object)
+     */
+    CustomObjectApiController.prototype.getAllOfType = function(cb) {
         var done = this.handleGet(cb);
-        var options = this.processQuery();
+        var options;
+        try {
+            options = this.processQuery();
+        }
+        catch(err) {
+            return cb(err);
+        }
 
         var tasks = {
 
@@ -85,6 +116,15 @@ module.exports = function (pb) {
         });
     };
 
+    /**
+     * Provides the fields of the custom object type that were loaded for the $where expression
+     * @method getFilterFields
+     * @return {Object}
+     */
+    CustomObjectApiController.prototype.getFilterFields = function() {
+        return this.filterFields || {};
+    };
+
     //exports
     return CustomObjectApiController;
 };
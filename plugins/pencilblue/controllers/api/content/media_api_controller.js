@@ -39,6 +39,43 @@ module.exports = function(pb) {
      */
     MediaApiController.prototype.initSync = function(/*context*/) {
         this.service = new MediaServiceV2(this.getServiceContext());
+
+        /**
+         * @property usageService
+         * @type {MediaUsageService}
+         */
+        this.usageService = new pb.MediaUsageService(this.getServiceContext());
+    };
+
+    /**
+     * Retrieves the content that references the media item with the ID specified by the ":id" path parameter.  This
+     * allows editors to be warned about the references before the media is deleted.
+     * @method getUsage
+     * @param {function} cb
+     */
+    MediaApiController.prototype.getUsage = function(cb) {
+        var self = this;
+        var id = this.pathVars.id;
+        this.service.get(id, function(err, media) {
+            if (util.isError(err) || !media) {
+                return self.handleGet(cb)(err, media);
+            }
+            self.usageService.getUsage(id, self.handleGet(cb));
+        });
+    };
+
+    /**
+     * Clears and rebuilds the index of the content that references media for the current site
+     * @method reindexUsage
+     * @param {function} cb
+     */
+    MediaApiController.prototype.reindexUsage = function(cb) {
+        this.usageService.rebuild(function(err, count) {
+            if (util.isError(err)) {
+                return cb(err);
+            }
+            cb({content: {indexed: count}});
+        });
     };
 
 
@@ -106,7 +143,18 @@ module.exports = function(pb) {
     };
 
     /**
-     * Processes the query string to develop the where clause for the query request
+     * Processes the query string to develop the where clause for the query request.  The following parameters are
+     * supported:
+     * <ul>
+     * <li>q - Searches the name and caption</li>
+     * <li>topic - The ID of a topic</li>
+     * <li>folder - The ID of a folder or "none" for media that is not in a folder</li>
+     * <li>tag - A comma separated list of tags that the media must all have</li>
+     * <li>mime - A MIME type such as "image/png" or a wildcard such as "image/*"</li>
+     * <li>type - The media type such as "image" or "youtube"</li>
+     * <li>author - The ID of the user that uploaded the media</li>
+     * <li>created_after, created_before - ISO 8601 dates</li>
+     * </ul>
      * @method processWhere
      * @param {Object} q The hash of all query parameters from the request
      * @return {Object}
@@ -135,6 +183,66 @@ module.exports = function(pb) {
             where.media_topics = topicId;
         }
 
+        //search by folder
+        var folderId = q.folder;
+        if (folderId === 'none') {
+            where = where || {};
+            where.media_folder = null;
+        }
+        else if (pb.ValidationService.isIdStr(folderId, true)) {
+            where = where || {};
+            where.media_folder = folderId;
+        }
+        else if (pb.ValidationService.isNonEmptyStr(folderId, true)) {
+            failures.push(BaseObjectService.validationFailure('folder', 'The folder must be a valid folder ID or "none"'));
+        }
+
+        //search by tags
+        var tags = MediaServiceV2.formatTags(q.tag);
+        if (tags.length > 0) {
+            where = where || {};
+            where.media_tags = {$all: tags};
+        }
+
+        //search by MIME type
+        var mime = q.mime;
+        if (pb.ValidationService.isNonEmptyStr(mime, true)) {
+            where = where || {};
+            where['meta.mime'] = /\/\*$/.test(mime) ?
+                new RegExp('^' + util.escapeRegExp(mime.substring(0, mime.length - 1)), 'i') : mime.toLowerCase();
+        }
+
+        //search by media type
+        if (pb.ValidationService.isNonEmptyStr(q.type, true)) {
+            where = where || {};
+            where.media_type = q.type;
+        }
+
+        //search by uploader
+        var authorId = q.author;
+        if (pb.ValidationService.isIdStr(authorId, true)) {
+            where = where || {};
+            where.author = authorId;
+        }
+
+        //search by the date the media was added
+        var created = {};
+        ['created_after', 'created_before'].forEach(function(param) {
+            if (!pb.ValidationService.isNonEmptyStr(q[param], true)) {
+                return;
+            }
+
+            var date = new Date(q[param]);
+            if (isNaN(date.getTime())) {
+                return failures.push(BaseObjectService.validationFailure(param, 'A valid date is required'));
+            }
+            created[param === 'created_after' ? '$gte' : '$lte'] = date;
+        });
+        if (Object.keys(created).length > 0) {
+            where = where || {};
+            where.created = created;
+        }
+
         return {
             where: where,
             failures: failures
@@ -0,0 +1,102 @@
+/*
+    Copyright (C) 2016  PencilBlue, LLC
+
+    This program is free software: you can redistribute it and/or modify
+    it under the terms of the GNU General Public License as published by
+    the Free Software Foundation, either version 3 of the License, or
+    (at your option) any later version.
+
+    This program is distributed in the hope that it will be useful,
+    but WITHOUT ANY WARRANTY; without even the implied warranty of
+    MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+    GNU General Public License for more details.
+
+    You should have received a copy of the GNU General Public License
+    along with this program.  If not, see <http://www.gnu.org/licenses/>.
+*/
+'use strict';
+
+module.exports = function(pb) {
+
+    //PB dependencies
+    var util               = pb.util;
+    var MediaFolderService = pb.MediaFolderService;
+    var BaseObjectService  = pb.BaseObjectService;
+
+    /**
+     * Provides access to the folders that organize the media library
+     * @class MediaFolderApiController
+     * @constructor
+     * @extends BaseApiController
+     */
+    function MediaFolderApiController(){}
+    util.inherits(MediaFolderApiController, pb.BaseApiController);
+
+    /**
+     * Initializes the controller
+     * @method initSync
+     * @param {Object} context
+     */
+    MediaFolderApiController.prototype.initSync = function(/*context*/) {
+
+        /**
+         * @property service
+         * @type {MediaFolderService}
+         */
+        this.service = new MediaFolderService(this.getServiceContext());
+    };
+
+    /**
+     * Retrieves all of the folders arranged as a tree
+     * @method getTree
+     * @param {Function} cb
+     */
+    MediaFolderApiController.prototype.getTree = function(cb) {
+        this.service.getTree(this.handleGet(cb));
+    };
+
+    /**
+     * Processes the query string to develop the where clause for the query request.  Folders can be searched by name
+     * with the "q" parameter.  The "parent" parameter provides the sub-folders of a folder or the top level folders
+     * when it is "none".
+     * @method processWhere
+     * @param {object} q
+     * @returns {object} Two properties, the where clause and the failures array
+     */
+    MediaFolderApiController.prototype.processWhere = function(q) {
+        var where = null;
+        var failures = [];
+
+        //build query & get results
+        var search = q.q;
+        if (pb.ValidationService.isNonEmptyStr(search, true)) {
+
+            var patternStr = ".*" + util.escapeRegExp(search) + ".*";
+            var pattern = new RegExp(patternStr, "i");
+            where = {
+                name: pattern
+            };
+        }
+
+        var parentId = q.parent;
+        if (parentId === 'none') {
+            where = where || {};
+            where.parent = null;
+        }
+        else if (pb.ValidationService.isIdStr(parentId, true)) {
+            where = where || {};
+            where.parent = parentId;
+        }
+        else if (pb.ValidationService.isNonEmptyStr(parentId, true)) {
+            failures.push(BaseObjectService.validationFailure('parent', 'The parent must be a valid folder ID or "none"'));
+        }
+
+        return {
+            where: where,
+            failures: failures
+        };
+    };
+
+    //exports
+    return MediaFolderApiController;
+};
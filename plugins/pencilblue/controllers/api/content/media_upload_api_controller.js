@@ -0,0 +1,289 @@
+/*
+    Copyright (C) 2016  PencilBlue, LLC
+
+    This program is free software: you can redistribute it and/or modify
+    it under the terms of the GNU General Public License as published by
+    the Free Software Foundation, either version 3 of the License, or
+    (at your option) any later version.
+
+    This program is distributed in the hope that it will be useful,
+    but WITHOUT ANY WARRANTY; without even the implied warranty of
+    MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+    GNU General Public License for more details.
+
+    You should have received a copy of the GNU General Public License
+    along with this program.  If not, see <http://www.gnu.org/licenses/>.
+*/
+'use strict';
+
+module.exports = function(pb) {
+
+    //PB dependencies
+    var util               = pb.util;
+    var HttpStatusCodes    = pb.HttpStatus;
+    var MediaUploadService = pb.MediaUploadService;
+
+    /**
+     * Implements the tus protocol (http://tus.io/protocols/resumable-upload.html) so that large media files can be
+     * uploaded in chunks and resumed after the connection is dropped.  An upload is created with a POST that provides
+     * the "Upload-Length" and the "Upload-Metadata", which must include the "filename".  The chunks are sent with
+     * PATCH requests and may be verified with the "Upload-Checksum" header.  The response to the final chunk provides
+     * the media descriptor that was created.
+     * @class MediaUploadApiController
+     * @constructor
+     * @extends BaseApiController
+     */
+    function MediaUploadApiController(){}
+    util.inherits(MediaUploadApiController, pb.BaseApiController);
+
+    /**
+     * The content type that chunks must be sent with
+     * @static
+     * @readonly
+     * @property CHUNK_CONTENT_TYPE
+     * @type {String}
+     */
+    MediaUploadApiController.CHUNK_CONTENT_TYPE = 'application/offset+octet-stream';
+
+    /**
+     * Initializes the controller
+     * @method initSync
+     * @param {Object} context
+     */
+    MediaUploadApiController.prototype.initSync = function(/*context*/) {
+
+        /**
+         * @property service
+         * @type {MediaUploadService}
+         */
+        this.service = new MediaUploadService(this.getServiceContext());
+    };
+
+    /**
+     * Describes the version, extensions and limits of the server
+     * @method options
+     * @param {Function} cb
+     */
+    MediaUploadApiController.prototype.options = function(cb) {
+        cb(this.getResult(HttpStatusCodes.NO_CONTENT, {
+            'Tus-Version': MediaUploadService.TUS_VERSION,
+            'Tus-Extension': MediaUploadService.TUS_EXTENSIONS.join(','),
+            'Tus-Max-Size': MediaUploadService.getMaxSize(),
+            'Tus-Checksum-Algorithm': MediaUploadService.CHECKSUM_ALGORITHMS.join(',')
+        }));
+    };
+
+    /**
+     * Creates an upload and provides its URL in the "Location" header
+     * @method create
+     * @param {Function} cb
+     */
+    MediaUploadApiController.prototype.create = function(cb) {
+        if (!this.isTusRequest()) {
+            return cb(this.getPreconditionFailedResult());
+        }
+
+        var self = this;
+        var headers = this.req.headers;
+        var metadata = MediaUploadService.parseMetadata(headers['upload-metadata']);
+        if (metadata === null) {
+            return cb(this.getFailureResult(HttpStatusCodes.BAD_REQUEST, 'The Upload-Metadata is malformed'));
+        }
+
+        var options = {
+            length: /^\d+$/.test(headers['upload-length']) ? parseInt(headers['upload-length']) : null,
+            metadata: metadata
+        };
+        this.service.create(options, function(err, upload) {
+            if (util.isError(err)) {
+                return cb(self.getErrorResult(err));
+            }
+            cb(self.getResult(HttpStatusCodes.CREATED, {
+                'Location': pb.UrlService.urlJoin('/api/content/media/uploads', upload[pb.DAO.getIdField()] + ''),
+                'Upload-Expires': upload.expires.toUTCString()
+            }));
+        });
+    };
+
+    /**
+     * Provides the offset of the upload in the "Upload-Offset" header so that the client knows where to resume
+     * @method head
+     * @param {Function} cb
+     */
+    MediaUploadApiController.prototype.head = function(cb) {
+        if (!this.isTusRequest()) {
+            return cb(this.getPreconditionFailedResult());
+        }
+
+        var self = this;
+        this.service.get(this.pathVars.id, function(err, upload) {
+            if (util.isError(err)) {
+                return cb(self.getErrorResult(err, true));
+            }
+            cb(self.getResult(HttpStatusCodes.OK, self.getUploadHeaders(upload), ''));
+        });
+    };
+
+    /**
+     * Provides the state of the upload as JSON.  Once the upload is complete the "media_id" identifies the media
+     * descriptor that was created.
+     * @method get
+     * @param {Function} cb
+     */
+    MediaUploadApiController.prototype.get = function(cb) {
+        var self = this;
+        this.service.get(this.pathVars.id, function(err, upload) {
+            if (util.isError(err)) {
+                return cb(err);
+            }
+            cb({
+                content: MediaUploadService.format(upload),
+                headers: self.getUploadHeaders(upload)
+            });
+        });
+    };
+
+    /**
+     * Appends the request body to the upload at the offset provided by the "Upload-Offset" header
+     * @method patch
+     * @param {Function} cb
+     */
+    MediaUploadApiController.prototype.patch = function(cb) {
+        if (!this.isTusRequest()) {
+            return cb(this.getPreconditionFailedResult());
+        }
+
+        var headers = this.req.headers;
+        var contentType = (headers['content-type'] || '').split(';')[0].trim();
+        if (contentType !== MediaUploadApiController.CHUNK_CONTENT_TYPE) {
+            var msg = 'The Content-Type must be ' + MediaUploadApiController.CHUNK_CONTENT_TYPE;
+            return cb(this.getFailureResult(HttpStatusCodes.UNSUPPORTED_MEDIA_TYPE, msg));
+        }
+        else if (!/^\d+$/.test(headers['upload-offset'])) {
+            return cb(this.getFailureResult(HttpStatusCodes.BAD_REQUEST, 'The Upload-Offset must be provided'));
+        }
+
+        var self = this;
+        var options = {
+            offset: parseInt(headers['upload-offset']),
+            checksum: headers['upload-checksum'],
+            stream: this.req
+        };
+        this.service.append(this.pathVars.id, options, function(err, upload, media) {
+            if (util.isError(err)) {
+                return cb(self.getErrorResult(err));
+            }
+            else if (!upload.media_id) {
+                return cb(self.getResult(HttpStatusCodes.NO_CONTENT, self.getUploadHeaders(upload)));
+            }
+
+            var result = self.getResult(HttpStatusCodes.OK, self.getUploadHeaders(upload), MediaUploadService.format(upload));
+            result.content.media = media || undefined;
+            cb(result);
+        });
+    };
+
+    /**
+     * Terminates the upload and removes the content received so far
+     * @method delete
+     * @param {Function} cb
+     */
+    MediaUploadApiController.prototype.delete = function(cb) {
+        if (!this.isTusRequest()) {
+            return cb(this.getPreconditionFailedResult());
+        }
+
+        var self = this;
+        this.service.remove(this.pathVars.id, function(err) {
+            cb(util.isError(err) ? self.getErrorResult(err) : self.getResult(HttpStatusCodes.NO_CONTENT));
+        });
+    };
+
+    /**
+     * Indicates if the client speaks the version of the tus protocol that is supported
+     * @method isTusRequest
+     * @return {Boolean}
+     */
+    MediaUploadApiController.prototype.isTusRequest = function() {
+        return this.req.headers['tus-resumable'] === MediaUploadService.TUS_VERSION;
+    };
+
+    /**
+     * Provides the headers that describe the progress of an upload
+     * @method getUploadHeaders
+     * @param {Object} upload
+     * @return {Object}
+     */
+    MediaUploadApiController.prototype.getUploadHeaders = function(upload) {
+        return {
+            'Upload-Offset': upload.offset,
+            'Upload-Length': upload.length,
+            'Upload-Expires': upload.expires.toUTCString(),
+            'Cache-Control': 'no-store'
+        };
+    };
+
+    /**
+     * Creates a result that includes the "Tus-Resumable" header required on all responses
+     * @method getResult
+     * @param {Integer} code
+     * @param {Object} [headers]
+     * @param {Object|String} [content='']
+     * @return {Object}
+     */
+    MediaUploadApiController.prototype.getResult = function(code, headers, content) {
+        headers = util.merge(headers || {}, {});
+        headers['Tus-Resumable'] = MediaUploadService.TUS_VERSION;
+        return {
+            code: code,
+            headers: headers,
+            content: util.isNullOrUndefined(content) ? '' : content
+        };
+    };
+
+    /**
+     * Creates the result for a failed request.  The tus protocol prohibits a body in the response to a HEAD request.
+     * @method getErrorResult
+     * @param {Error} err
+     * @param {Boolean} [noContent=false]
+     * @return {Object}
+     */
+    MediaUploadApiController.prototype.getErrorResult = function(err, noContent) {
+        var code = err.code >= 400 && err.code < 600 ? err.code : HttpStatusCodes.INTERNAL_SERVER_ERROR;
+        if (code === HttpStatusCodes.INTERNAL_SERVER_ERROR) {
+            pb.log.error('MediaUploadApiController: %s', err.stack);
+            return this.getFailureResult(code, HttpStatusCodes.getStatusText(code), null, noContent);
+        }
+        return this.getFailureResult(code, err.message, err.validationErrors, noContent);
+    };
+
+    /**
+     * @method getFailureResult
+     * @param {Integer} code
+     * @param {String} message
+     * @param {Array} [validationErrors]
+     * @param {Boolean} [noContent=false]
+     * @return {Object}
+     */
+    MediaUploadApiController.prototype.getFailureResult = function(code, message, validationErrors, noContent) {
+        var content = noContent ? '' : {
+            message: message,
+            validationErrors: validationErrors || undefined
+        };
+        return this.getResult(code, {}, content);
+    };
+
+    /**
+     * Creates the result for a request that does not speak the supported version of the tus protocol
+     * @method getPreconditionFailedResult
+     * @return {Object}
+     */
+    MediaUploadApiController.prototype.getPreconditionFailedResult = function() {
+        var result = this.getResult(HttpStatusCodes.PRECONDITION_FAILED, {'Tus-Version': MediaUploadService.TUS_VERSION});
+        delete result.headers['Tus-Resumable'];
+        return result;
+    };
+
+    //exports
+    return MediaUploadApiController;
+};
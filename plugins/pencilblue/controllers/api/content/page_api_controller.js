@@ -21,6 +21,7 @@ module.exports = function(pb) {
     //PB dependencies
     var util            = pb.util;
     var PageService     = pb.PageService;
+    var RevisionService = pb.RevisionService;
 
     /**
      *
@@ -44,6 +45,13 @@ module.exports = function(pb) {
          * @type {ArticleServiceV2}
          */
         this.service = new PageService(this.getServiceContext());
+
+        /**
+         *
+         * @property revisionService
+         * @type {RevisionService}
+         */
+        this.revisionService = new RevisionService(util.merge(this.getServiceContext(), {type: 'page'}));
     };
 
     /**
@@ -104,6 +112,45 @@ module.exports = function(pb) {
         };
     };
 
+    /**
+     * Retrieves the revision history for the page with the ID specified by the
+     * ":id" path parameter
+     * @method getRevisions
+     * @param {Function} cb
+     */
+    PageApiController.prototype.getRevisions = function(cb) {
+        var options = this.processQuery();
+        this.revisionService.getAll(this.pathVars.id, options, this.handleGet(cb));
+    };
+
+    /**
+     * Retrieves a single revision of the page, including its snapshot
+     * @method getRevision
+     * @param {Function} cb
+     */
+    PageApiController.prototype.getRevision = function(cb) {
+        this.revisionService.get(this.pathVars.id, this.pathVars.revisionId, this.handleGet(cb));
+    };
+
+    /**
+     * Compares a revision of the page to the revision specified by the "to"
+     * query parameter or to the current page when none is specified
+     * @method diffRevision
+     * @param {Function} cb
+     */
+    PageApiController.prototype.diffRevision = function(cb) {
+        this.revisionService.diff(this.pathVars.id, this.pathVars.revisionId, this.query.to, this.handleGet(cb));
+    };
+
+    /**
+     * Restores the page to the state captured by a revision
+     * @method restoreRevision
+     * @param {Function} cb
+     */
+    PageApiController.prototype.restoreRevision = function(cb) {
+        this.revisionService.restore(this.pathVars.id, this.pathVars.revisionId, this.handleGet(cb));
+    };
+
     //exports
     return PageApiController;
 };
@@ -0,0 +1,94 @@
+/*
+    Copyright (C) 2016  PencilBlue, LLC
+
+    This program is free software: you can redistribute it and/or modify
+    it under the terms of the GNU General Public License as published by
+    the Free Software Foundation, either version 3 of the License, or
+    (at your option) any later version.
+
+    This program is distributed in the hope that it will be useful,
+    but WITHOUT ANY WARRANTY; without even the implied warranty of
+    MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+    GNU General Public License for more details.
+
+    You should have received a copy of the GNU General Public License
+    along with this program.  If not, see <http://www.gnu.org/licenses/>.
+*/
+'use strict';
+
+module.exports = function(pb) {
+
+    //PB dependencies
+    var util              = pb.util;
+    var RedirectService   = pb.RedirectService;
+    var BaseObjectService = pb.BaseObjectService;
+
+    /**
+     * Provides access to the redirect table of the site
+     * @class RedirectApiController
+     * @constructor
+     * @extends BaseApiController
+     */
+    function RedirectApiController(){}
+    util.inherits(RedirectApiController, pb.BaseApiController);
+
+    /**
+     * Initializes the controller
+     * @method initSync
+     * @param {Object} context
+     */
+    RedirectApiController.prototype.initSync = function(/*context*/) {
+
+        /**
+         * @property service
+         * @type {RedirectService}
+         */
+        this.service = new RedirectService(this.getServiceContext());
+    };
+
+    /**
+     * Processes the query string to develop the where clause for the query request.  Redirects can be searched by
+     * source or target with the "q" parameter.  The "match_type" parameter limits the results to one type of rule.
+     * @method processWhere
+     * @param {object} q
+     * @returns {object} Two properties, the where clause and the failures array
+     */
+    RedirectApiController.prototype.processWhere = function(q) {
+        var where = null;
+        var failures = [];
+
+        //build query & get results
+        var search = q.q;
+        if (pb.ValidationService.isNonEmptyStr(search, true)) {
+
+            var patternStr = ".*" + util.escapeRegExp(search) + ".*";
+            var pattern = new RegExp(patternStr, "i");
+            where = {
+                $or: [
+                    {source: pattern},
+                    {target: pattern}
+                ]
+            };
+        }
+
+        var matchType = q.match_type;
+        if (pb.ValidationService.isNonEmptyStr(matchType, true)) {
+            var matchTypes = RedirectService.getMatchTypes();
+            if (matchTypes.indexOf(matchType) >= 0) {
+                where = where || {};
+                where.match_type = matchType;
+            }
+            else {
+                failures.push(BaseObjectService.validationFailure('match_type', 'The match type must be one of: ' + matchTypes.join(', ')));
+            }
+        }
+
+        return {
+            where: where,
+            failures: failures
+        };
+    };
+
+    //exports
+    return RedirectApiController;
+};
@@ -19,74 +19,118 @@
 module.exports = function(pb) {
 
     //pb dependencies
-    var util           = pb.util;
-    var BaseController = pb.BaseController;
+    var util              = pb.util;
+    var BaseController    = pb.BaseController;
+    var BaseObjectService = pb.BaseObjectService;
+    var SearchService     = pb.SearchService;
 
     /**
-     * Search for headline or subheading matching search term
+     * Searches the site's content and provides results ranked by relevance
+     * along with facets and highlighted snippets.
+     * @class ContentSearchController
+     * @constructor
+     * @extends BaseController
      */
     function ContentSearchController() {}
     util.inherits(ContentSearchController, BaseController);
 
     //constants
-    var VALID_CONTENT_TYPES = {
-        article: true,
-        page: true
-    };
+    var MIN_LENGTH  = 3;
 
-    var MAX_RESULTS = 100;
+    /**
+     * Initializes the controller
+     * @method initSync
+     * @param {Object} context
+     */
+    ContentSearchController.prototype.initSync = function(/*context*/) {
 
-    var MIN_LENGTH  = 3;
+        /**
+         * @property service
+         * @type {SearchService}
+         */
+        this.service = new SearchService(this.getServiceContext());
+    };
 
+    /**
+     * Executes the search.  The endpoint supports the following query string
+     * parameters:
+     * <ul>
+     * <li>q - The search term</li>
+     * <li>type - A comma separated list of the content types to search</li>
+     * <li>topic, section, author - IDs used to narrow the results</li>
+     * <li>published - When "true" only published content is returned</li>
+     * <li>$limit, $offset - Used to page the results</li>
+     * </ul>
+     * @method render
+     * @param {Function} cb
+     */
     ContentSearchController.prototype.render = function(cb) {
-        var type   = this.query.type;
+        var types  = pb.ValidationService.isNonEmptyStr(this.query.type, true) ? this.query.type.split(',') : undefined;
         var search = this.query.q;
 
         //perform validation
-        var errors = ContentSearchController.validate(type, search);
+        var errors = ContentSearchController.validate(types, search);
         if (errors.length > 0) {
             var content = BaseController.apiResponse(BaseController.API_FAILURE, '', errors);
             cb({content: content, code: 400});
             return;
         }
 
-        //build query & get results
-        var patternStr = ".*" + util.escapeRegExp(search) + ".*";
-        var pattern = new RegExp(patternStr, "i");
-        var opts = {
-            select: {
-                headline: 1
-            },
-            where: {
-                $or: [
-                    {headline: pattern},
-                    {subheading: pattern}
-                ]
-            },
-            order: pb.DAO.NATURAL_ORDER,
-            limit: MAX_RESULTS
+        var options = {
+            types: types,
+            topic: this.query.topic,
+            section: this.query.section,
+            author: this.query.author,
+            published: BaseObjectService.parseBoolean(this.query.published),
+            limit: parseInt(this.query.$limit),
+            offset: parseInt(this.query.$offset)
         };
-
-        var queryService = new pb.SiteQueryService({site: this.site, onlyThisSite: true});
-        queryService.q(type, opts, function(err, items) {
-            if (util.isError(err)) {
-                return cb({content: BaseController.apiResponse(BaseController.API_FAILURE, '', ''), code: 500});
+        this.service.search(search, options, function(err, result) {
+            if (util.isError(err) && util.isArray(err.validationErrors)) {
+                var failures = err.validationErrors.map(function(failure) {
+                    return failure.message;
+                });
+                return cb({content: BaseController.apiResponse(BaseController.API_FAILURE, '', failures), code: 400});
+            }
+            else if (util.isError(err)) {
+                return cb(err);
             }
 
-            //change to display
-            for (var i = 0; i < items.length; i++) {
-                items[i].display = items[i].headline;
-                delete items[i].headline;
+            cb({content: BaseController.apiResponse(BaseController.API_SUCCESS, '', result)});
+        });
+    };
+
+    /**
+     * Clears and rebuilds the search index for the current site
+     * @method reindex
+     * @param {Function} cb
+     */
+    ContentSearchController.prototype.reindex = function(cb) {
+        this.service.rebuild(function(err, count) {
+            if (util.isError(err)) {
+                return cb(err);
             }
 
-            cb({content: BaseController.apiResponse(BaseController.API_SUCCESS, '', items)});
+            cb({content: BaseController.apiResponse(BaseController.API_SUCCESS, '', {indexed: count})});
         });
     };
 
-    ContentSearchController.validate = function(type, search) {
+    /**
+     * Validates the search parameters
+     * @static
+     * @method validate
+     * @param {Array} [types]
+     * @param {String} search
+     * @return {Array} The error messages
+     */
+    ContentSearchController.validate = function(types, search) {
         var errors = [];
-        if (!VALID_CONTENT_TYPES[type]) {
-            errors.push('A valid content type is required');
+        if (util.isArray(types)) {
+            types.forEach(function(type) {
+                if (!SearchService.isSearchable(type)) {
+                    errors.push('A valid content type is required');
+                }
+            });
         }
         if (!pb.validation.validateNonEmptyStr(search, true) || search.length < MIN_LENGTH) {
             errors.push('The search term must be at least '+MIN_LENGTH+' characters long');
@@ -0,0 +1,52 @@
+/*
+    Copyright (C) 2016  PencilBlue, LLC
+
+    This program is free software: you can redistribute it and/or modify
+    it under the terms of the GNU General Public License as published by
+    the Free Software Foundation, either version 3 of the License, or
+    (at your option) any later version.
+
+    This program is distributed in the hope that it will be useful,
+    but WITHOUT ANY WARRANTY; without even the implied warranty of
+    MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+    GNU General Public License for more details.
+
+    You should have received a copy of the GNU General Public License
+    along with this program.  If not, see <http://www.gnu.org/licenses/>.
+*/
+'use strict';
+
+module.exports = function OpenApiControllerModule(pb) {
+
+    //pb dependencies
+    var util = pb.util;
+    var OpenApiService = pb.OpenApiService;
+
+    /**
+     * Serves the OpenAPI document that describes the API routes of the site
+     * @class OpenApiController
+     * @constructor
+     * @extends BaseController
+     */
+    function OpenApiController(){}
+    util.inherits(OpenApiController, pb.BaseController);
+
+    /**
+     * Generates the OpenAPI document for the current site
+     * @method render
+     * @param {Function} cb
+     */
+    OpenApiController.prototype.render = function(cb) {
+        var context = this.getServiceContext();
+        context.siteName = this.siteObj.displayName;
+
+        var service = new OpenApiService(context);
+        cb({
+            content: JSON.stringify(service.getDocument()),
+            content_type: 'application/json'
+        });
+    };
+
+    //exports
+    return OpenApiController;
+};
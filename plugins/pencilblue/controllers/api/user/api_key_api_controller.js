@@ -0,0 +1,116 @@
+/*
+    Copyright (C) 2016  PencilBlue, LLC
+
+    This program is free software: you can redistribute it and/or modify
+    it under the terms of the GNU General Public License as published by
+    the Free Software Foundation, either version 3 of the License, or
+    (at your option) any later version.
+
+    This program is distributed in the hope that it will be useful,
+    but WITHOUT ANY WARRANTY; without even the implied warranty of
+    MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+    GNU General Public License for more details.
+
+    You should have received a copy of the GNU General Public License
+    along with this program.  If not, see <http://www.gnu.org/licenses/>.
+*/
+'use strict';
+
+module.exports = function(pb) {
+
+    //PB dependencies
+    var util              = pb.util;
+    var BaseObjectService = pb.BaseObjectService;
+    var ApiKeyService     = pb.ApiKeyService;
+
+    /**
+     * Allows the signed in user to manage their own API keys.  Keys cannot be
+     * created or revoked by a request that was authenticated with a key.
+     * @class ApiKeyApiController
+     * @constructor
+     * @extends BaseApiController
+     */
+    function ApiKeyApiController(){}
+    util.inherits(ApiKeyApiController, pb.BaseApiController);
+
+    /**
+     * Initializes the controller
+     * @method initSync
+     * @param {object} context
+     */
+    ApiKeyApiController.prototype.initSync = function(/*context*/) {
+
+        /**
+         * @property service
+         * @type {ApiKeyService}
+         */
+        this.service = new ApiKeyService(this.getServiceContext());
+    };
+
+    /**
+     * Provides the keys of the user.  The keys themselves are never provided.
+     * @method getAll
+     * @param {Function} cb
+     */
+    ApiKeyApiController.prototype.getAll = function(cb) {
+        this.service.getAllForUser(this.session.authentication.user_id, function(err, keys) {
+            if (util.isError(err)) {
+                return cb(err);
+            }
+            cb({
+                content: BaseObjectService.getPagedResult(keys, keys.length)
+            });
+        });
+    };
+
+    /**
+     * Creates a key for the user.  The response is the only time that the key
+     * is provided.  It is found in the "secret" property.
+     * @method post
+     * @param {Function} cb
+     */
+    ApiKeyApiController.prototype.post = function(cb) {
+        if (this.session.api_key) {
+            return this.forbidden(cb);
+        }
+
+        this.service.create(this.session.authentication.user_id, this.getPostDto(), function(err, key, secret) {
+            if (util.isError(err)) {
+                return cb(err);
+            }
+
+            key.secret = secret;
+            cb({
+                content: key,
+                code: 201
+            });
+        });
+    };
+
+    /**
+     * Revokes a key of the user
+     * @method delete
+     * @param {Function} cb
+     */
+    ApiKeyApiController.prototype.delete = function(cb) {
+        if (this.session.api_key) {
+            return this.forbidden(cb);
+        }
+        this.service.revoke(this.session.authentication.user_id, this.pathVars.id, this.handleDelete(cb));
+    };
+
+    /**
+     * Calls back with a 403 for requests authenticated with an API key
+     * @method forbidden
+     * @param {Function} cb
+     */
+    ApiKeyApiController.prototype.forbidden = function(cb) {
+        cb({
+            code: pb.HttpStatus.FORBIDDEN,
+            content: pb.BaseController.apiResponse(pb.BaseController.API_FAILURE, 'API keys cannot be managed with an API key')
+        });
+    };
+
+    //exports
+    return ApiKeyApiController;
+};
@@ -0,0 +1,158 @@
+/*
+ Copyright (C) 2016  PencilBlue, LLC
+
+ This program is free software: you can redistribute it and/or modify
+ it under the terms of the GNU General Public License as published by
+ the Free Software Foundation, either version 3 of the License, or
+ (at your option) any later version.
+
+ This program is distributed in the hope that it will be useful,
+ but WITHOUT ANY WARRANTY; without even the implied warranty of
+ MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ GNU General Public License for more details.
+
+ You should have received a copy of the GNU General Public License
+ along with this program.  If not, see <http://www.gnu.org/licenses/>.
+ */
+'use strict';
+
+module.exports = function(pb) {
+
+    //PB dependencies
+    var util              = pb.util;
+    var BaseObjectService = pb.BaseObjectService;
+    var TwoFactorService  = pb.TwoFactorService;
+
+    /**
+     * Allows the signed in user to manage their own second factor
+     * @class TwoFactorApiController
+     * @constructor
+     * @extends BaseApiController
+     */
+    function TwoFactorApiController(){}
+    util.inherits(TwoFactorApiController, pb.BaseApiController);
+
+    /**
+     * Initializes the controller
+     * @method initSync
+     * @param {object} context
+     */
+    TwoFactorApiController.prototype.initSync = function(/*context*/) {
+
+        /**
+         * @property service
+         * @type {TwoFactorService}
+         */
+        this.service = new TwoFactorService({site: this.site, onlyThisSite: false});
+    };
+
+    /**
+     * Creates a new secret for the user to add to their authenticator app.
+     * The secret is kept in the session until it is confirmed.
+     * @method createEnrolment
+     * @param {Function} cb
+     */
+    TwoFactorApiController.prototype.createEnrolment = function(cb) {
+        var enrolment = this.service.createEnrolment(this.session.authentication.user);
+        this.session.two_factor_enrolment = enrolment.secret;
+        cb({
+            content: enrolment
+        });
+    };
+
+    /**
+     * Enables two-factor authentication for the user.  The body is expected
+     * to provide a "code" for the secret that was created by createEnrolment.
+     * Provides the recovery codes.
+     * @method enrol
+     * @param {Function} cb
+     */
+    TwoFactorApiController.prototype.enrol = function(cb) {
+        var self   = this;
+        var dto    = this.getPostDto();
+        var secret = this.session.two_factor_enrolment;
+        if (!util.isString(secret)) {
+            return cb(BaseObjectService.validationError([BaseObjectService.validationFailure('code', 'An enrolment has not been started')]));
+        }
+
+        this.loadUser(function(err, user) {
+            if (util.isError(err)) {
+                return cb(err);
+            }
+
+            self.service.enrol(user, secret, dto.code, function(err, recoveryCodes) {
+                if (util.isError(err)) {
+                    return cb(err);
+                }
+
+                delete self.session.two_factor_enrolment;
+                cb({
+                    content: recoveryCodes
+                });
+            });
+        });
+    };
+
+    /**
+     * Disables two-factor authentication for the user.  The body is expected
+     * to provide a valid "code".  Users that are required to use two-factor
+     * authentication by the site may not disable it.
+     * @method disable
+     * @param {Function} cb
+     */
+    TwoFactorApiController.prototype.disable = function(cb) {
+        var self = this;
+        var dto  = this.getPostDto();
+        this.loadUser(function(err, user) {
+            if (util.isError(err)) {
+                return cb(err);
+            }
+
+            self.service.getStatus(user, function(err, status) {
+                if (util.isError(err)) {
+                    return cb(err);
+                }
+                else if (status.required) {
+                    return cb(BaseObjectService.validationError([BaseObjectService.validationFailure('code', 'Two-factor authentication is required for this account')]));
+                }
+
+                self.service.verify(user, dto.code, function(err, isValid) {
+                    if (util.isError(err)) {
+                        return cb(err);
+                    }
+                    else if (!isValid) {
+                        return cb(BaseObjectService.validationError([BaseObjectService.validationFailure('code', 'The code is invalid')]));
+                    }
+
+                    self.service.reset(user[pb.DAO.getIdField()], function(err) {
+                        if (util.isError(err)) {
+                            return cb(err);
+                        }
+                        cb({
+                            content: {
+                                enrolled: false
+                            }
+                        });
+                    });
+                });
+            });
+        });
+    };
+
+    /**
+     * Loads the signed in user including their second factor
+     * @method loadUser
+     * @param {Function} cb (Error, Object)
+     */
+    TwoFactorApiController.prototype.loadUser = function(cb) {
+        new pb.DAO().loadById(this.session.authentication.user_id, 'user', function(err, user) {
+            if (util.isError(err)) {
+                return cb(err);
+            }
+            cb(util.isObject(user) ? null : BaseObjectService.notFound('The user was not found'), user);
+        });
+    };
+
+    //exports
+    return TwoFactorApiController;
+};
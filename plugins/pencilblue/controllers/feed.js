@@ -16,24 +16,95 @@
  */
 
 //dependencies
-var path           = require('path');
+var crypto         = require('crypto');
 var HtmlEncoder    = require('htmlencode');
 var async          = require('async');
 
 module.exports = function FeedModule(pb) {
 
     //pb dependencies
-    var util             = pb.util;
-    var ArticleServiceV2 = pb.ArticleServiceV2;
-    var MediaLoader      = pb.MediaLoader;
-    var UrlService       = pb.UrlService;
+    var util                 = pb.util;
+    var ArticleServiceV2     = pb.ArticleServiceV2;
+    var ContentObjectService = pb.ContentObjectService;
+    var UrlService           = pb.UrlService;
 
     /**
-     * RSS Feed
+     * Provides the article feeds in RSS 2.0, Atom 1.0 and JSON Feed 1.1
+     * formats.  The format is selected by the "format" query parameter or, when
+     * not provided, negotiated through the Accept header.  Feeds can be
+     * narrowed to a section, topic or author.
+     * @class ArticleFeed
+     * @constructor
+     * @extends BaseController
      */
     function ArticleFeed(){}
     util.inherits(ArticleFeed, pb.BaseController);
 
+    /**
+     * The maximum number of articles included in a feed
+     * @private
+     * @static
+     * @readonly
+     * @property MAX_ITEMS
+     * @type {Integer}
+     */
+    var MAX_ITEMS = 100;
+
+    /**
+     * The supported feed formats keyed by the value of the "format" query
+     * parameter
+     * @private
+     * @static
+     * @readonly
+     * @property FORMATS
+     * @type {Object}
+     */
+    var FORMATS = Object.freeze({
+        rss: {
+            contentType: 'application/rss+xml',
+            serialize: function(articles, feed, cb) {
+                this.renderRss(articles, feed, cb);
+            }
+        },
+        atom: {
+            contentType: 'application/atom+xml',
+            serialize: function(articles, feed, cb) {
+                this.renderAtom(articles, feed, cb);
+            }
+        },
+        json: {
+            contentType: 'application/feed+json',
+            serialize: function(articles, feed, cb) {
+                cb(null, JSON.stringify(ArticleFeed.toJsonFeed(articles, feed)));
+            }
+        }
+    });
+
+    /**
+     * Maps the media types that may appear in an Accept header to a format
+     * @private
+     * @static
+     * @readonly
+     * @property MEDIA_TYPES
+     * @type {Object}
+     */
+    var MEDIA_TYPES = Object.freeze({
+        'application/rss+xml': 'rss',
+        'application/atom+xml': 'atom',
+        'application/feed+json': 'json',
+        'application/json': 'json'
+    });
+
+    /**
+     * The format used when none is requested
+     * @private
+     * @static
+     * @readonly
+     * @property DEFAULT_FORMAT
+     * @type {String}
+     */
+    var DEFAULT_FORMAT = 'rss';
+
     /**
      * @private
      * @static
@@ -71,69 +142,261 @@ module.exports = function FeedModule(pb) {
     };
 
     /**
+     * Renders the feed of all published articles
      * @method render
      * @param {Function} cb
      */
     ArticleFeed.prototype.render = function(cb) {
+        this.renderFeed({title: this.siteName}, cb);
+    };
+
+    /**
+     * Renders the feed of the published articles in the section specified by
+     * the ":customUrl" path parameter
+     * @method renderSection
+     * @param {Function} cb
+     */
+    ArticleFeed.prototype.renderSection = function(cb) {
+        var self = this;
+        var dao  = new pb.SiteQueryService({site: this.site, onlyThisSite: true});
+        dao.loadByValue('url', this.pathVars.customUrl, 'section', function(err, section) {
+            if (util.isError(err)) {
+                return cb(err);
+            }
+            else if (!section) {
+                return self.reqHandler.serve404();
+            }
+
+            var feed = {
+                title: self.siteName + ' - ' + section.name,
+                section: section
+            };
+            self.renderFeed(feed, cb);
+        });
+    };
+
+    /**
+     * Renders the feed of the published articles for the topic specified, by
+     * ID or name, in the ":topic" path parameter
+     * @method renderTopic
+     * @param {Function} cb
+     */
+    ArticleFeed.prototype.renderTopic = function(cb) {
+        var self  = this;
+        var topic = this.pathVars.topic;
+        var where = pb.validation.isIdStr(topic, true) ? pb.DAO.getIdWhere(topic) : {name: topic};
+        var dao   = new pb.SiteQueryService({site: this.site, onlyThisSite: true});
+        dao.loadByValues(where, 'topic', function(err, topic) {
+            if (util.isError(err)) {
+                return cb(err);
+            }
+            else if (!topic) {
+                return self.reqHandler.serve404();
+            }
+
+            var feed = {
+                title: self.siteName + ' - ' + topic.name,
+                topic: topic
+            };
+            self.renderFeed(feed, cb);
+        });
+    };
+
+    /**
+     * Renders the feed of the published articles written by the user
+     * specified by the ":username" path parameter
+     * @method renderAuthor
+     * @param {Function} cb
+     */
+    ArticleFeed.prototype.renderAuthor = function(cb) {
         var self = this;
+        var dao  = new pb.SiteQueryService({site: this.site, onlyThisSite: false});
+        dao.loadByValue('username', this.pathVars.username, 'user', function(err, author) {
+            if (util.isError(err)) {
+                return cb(err);
+            }
+            else if (!author) {
+                return self.reqHandler.serve404();
+            }
+
+            var feed = {
+                title: self.siteName + ' - ' + new pb.UserService(self.getServiceContext()).getFormattedName(author),
+                author: author
+            };
+            self.renderFeed(feed, cb);
+        });
+    };
+
+    /**
+     * Retrieves the articles for the feed and serializes them in the
+     * requested format.  When the client already has the current version of
+     * the feed, as indicated by the If-None-Match or If-Modified-Since
+     * headers, a 304 is provided without content.
+     * @method renderFeed
+     * @param {Object} feed
+     * @param {String} feed.title
+     * @param {Object} [feed.section]
+     * @param {Object} [feed.topic]
+     * @param {Object} [feed.author]
+     * @param {Function} cb
+     */
+    ArticleFeed.prototype.renderFeed = function(feed, cb) {
+        var self   = this;
+        var format = ArticleFeed.getFormat(this.query.format, this.req.headers.accept);
+        if (!format) {
+            return cb({
+                content: 'The feed format must be one of: ' + Object.keys(FORMATS).join(', '),
+                content_type: 'text/plain',
+                code: 400
+            });
+        }
+
+        feed.url       = UrlService.createSystemUrl(this.req.url, {hostname: this.hostname});
+        feed.home      = UrlService.createSystemUrl('/', {hostname: this.hostname});
+        feed.language  = pb.config.defaultLanguage ? pb.config.defaultLanguage : 'en-us';
+        this.processItems(feed, function(err, articles) {
+            if (util.isError(err)) {
+                return cb(err);
+            }
+
+            var lastModified = ArticleFeed.getLastModified(articles);
+            var etag         = ArticleFeed.getETag(articles, format, self.req.url);
+            var headers      = {
+                'Access-Control-Allow-Origin': '*',
+                'ETag': etag,
+                'Vary': 'Accept'
+            };
+
+            //an empty feed has no modification date so clients can only
+            //revalidate it with the entity tag
+            if (lastModified !== null) {
+                headers['Last-Modified'] = lastModified.toUTCString();
+            }
+            feed.updated = lastModified || new Date();
+            if (ArticleFeed.isNotModified(self.req.headers, etag, lastModified)) {
+                return cb({
+                    content: '',
+                    code: 304,
+                    headers: headers
+                });
+            }
 
+            FORMATS[format].serialize.call(self, articles, feed, function(err, content) {
+                if (util.isError(err)) {
+                    return cb(err);
+                }
+                cb({
+                    content: content,
+                    content_type: FORMATS[format].contentType,
+                    headers: headers
+                });
+            });
+        });
+    };
+
+    /**
+     * Renders the feed as RSS 2.0
+     * @method renderRss
+     * @param {Array} articles
+     * @param {Object} feed
+     * @param {Function} cb
+     */
+    ArticleFeed.prototype.renderRss = function(articles, feed, cb) {
+        var self = this;
         this.ts.registerModel({
-            feed_url: UrlService.createSystemUrl(self.req.url),
-            language: pb.config.defaultLanguage ? pb.config.defaultLanguage : 'en-us',
-            last_build: ArticleFeed.getRSSDate(),
+            feed_title: feed.title,
+            feed_url: feed.url,
+            language: feed.language,
+            last_build: ArticleFeed.getRSSDate(feed.updated),
             items: function(flag, cb){
-                self.processItems(cb);
+                self.serializeArticles(articles, 'xml_feeds/rss/item', cb);
             }
         });
-        this.ts.load('xml_feeds/rss', function(err, content) {
-            var data = {
-                content: content,
-                headers: {
-                    'Access-Control-Allow-Origin': '*'
-                }
-            };
-            cb(data);
+        this.ts.load('xml_feeds/rss', cb);
+    };
+
+    /**
+     * Renders the feed as Atom 1.0
+     * @method renderAtom
+     * @param {Array} articles
+     * @param {Object} feed
+     * @param {Function} cb
+     */
+    ArticleFeed.prototype.renderAtom = function(articles, feed, cb) {
+        var self = this;
+        this.ts.registerModel({
+            feed_title: feed.title,
+            feed_url: feed.url,
+            feed_id: feed.url,
+            language: feed.language,
+            updated: feed.updated.toISOString(),
+            entries: function(flag, cb){
+                self.serializeArticles(articles, 'xml_feeds/atom/entry', cb);
+            }
         });
+        this.ts.load('xml_feeds/atom', cb);
     };
 
     /**
-     * Builds the content
+     * Retrieves the published articles for the feed along with the names of
+     * their sections
      * @method processItems
+     * @param {Object} feed
+     * @param {Function} cb
      */
-    ArticleFeed.prototype.processItems = function(cb) {
+    ArticleFeed.prototype.processItems = function(feed, cb) {
         var self = this;
 
         var tasks = [
 
             //retrieve articles
             function(callback) {
-                var opts = {
-                    render: true,
-                    order: [['publish_date', pb.DAO.DESC]],
-                    limit: 100
-                };
-                self.service.getPublished(opts, callback);
+                self.getArticles(feed, callback);
             },
 
             //get section names
             function(articles, callback) {
                 self.getSectionNames(articles, callback);
-            },
-
-            //serialize articles
-            function(articles, callback) {
-                self.serializeArticles(articles, callback);
             }
         ];
         async.waterfall(tasks, cb);
     };
 
+    /**
+     * Retrieves the published articles, newest first, narrowed by the
+     * section, topic or author of the feed
+     * @method getArticles
+     * @param {Object} feed
+     * @param {Function} cb
+     */
+    ArticleFeed.prototype.getArticles = function(feed, cb) {
+        var idField = pb.DAO.getIdField();
+        var opts = {
+            render: true,
+            where: {},
+            order: [['publish_date', pb.DAO.DESC]],
+            limit: MAX_ITEMS
+        };
+        if (feed.section) {
+            ContentObjectService.setPublishedClause(opts.where);
+            return this.service.getBySection(feed.section, opts, cb);
+        }
+        else if (feed.topic) {
+            ArticleServiceV2.setTopicClause(opts.where, feed.topic[idField]);
+        }
+        else if (feed.author) {
+            opts.where.author = feed.author[idField] + '';
+        }
+        this.service.getPublished(opts, cb);
+    };
+
     /**
      * @method serializeArticles
      * @param {Array} articles
+     * @param {String} template The template used to render each article
      * @param {Function} cb
      */
-    ArticleFeed.prototype.serializeArticles = function(articles, cb) {
+    ArticleFeed.prototype.serializeArticles = function(articles, template, cb) {
         var self = this;
 
         var urlOptions = {
@@ -147,6 +410,8 @@ module.exports = function FeedModule(pb) {
                 ts.registerLocal('url', url);
                 ts.registerLocal('title', articles[i].headline);
                 ts.registerLocal('pub_date', ArticleFeed.getRSSDate(articles[i].publish_date));
+                ts.registerLocal('published', articles[i].publish_date.toISOString());
+                ts.registerLocal('updated', (articles[i].last_modified || articles[i].publish_date).toISOString());
                 ts.registerLocal('author', articles[i].author_name);
                 ts.registerLocal('description', new pb.TemplateValue(articles[i].meta_desc ? articles[i].meta_desc : articles[i].subheading, false));
                 ts.registerLocal('content', new pb.TemplateValue(articles[i].layout, false));
@@ -156,9 +421,15 @@ module.exports = function FeedModule(pb) {
                     }, '');
                     onFlagProccessed(null, new pb.TemplateValue(categories, false));
                 });
+                ts.registerLocal('atom_categories', function(flag, onFlagProccessed) {
+                    var categories = articles[i].section_names.reduce(function(prev, curr) {
+                        return prev + '\n<category term="' + HtmlEncoder.htmlEncode(curr) + '"/>';
+                    }, '');
+                    onFlagProccessed(null, new pb.TemplateValue(categories, false));
+                });
 
                 process.nextTick(function() {
-                    ts.load('xml_feeds/rss/item', callback);
+                    ts.load(template, callback);
                 });
             };
         });
@@ -232,6 +503,141 @@ module.exports = function FeedModule(pb) {
         return Object.keys(sectionsHash);
     };
 
+    /**
+     * Determines the feed format.  An explicitly requested format takes
+     * precedence over the Accept header.
+     * @static
+     * @method getFormat
+     * @param {String} [requested] The value of the "format" query parameter
+     * @param {String} [accept] The value of the Accept header
+     * @return {String|null} The format or NULL when an unsupported format was
+     * explicitly requested
+     */
+    ArticleFeed.getFormat = function(requested, accept) {
+        if (pb.validation.isNonEmptyStr(requested, true)) {
+            requested = requested.toLowerCase();
+            return FORMATS[requested] ? requested : null;
+        }
+        if (!pb.validation.isNonEmptyStr(accept, true)) {
+            return DEFAULT_FORMAT;
+        }
+
+        var best = accept.split(',').reduce(function(best, part) {
+            var params = part.split(';');
+            var format = MEDIA_TYPES[params[0].trim().toLowerCase()];
+            var quality = 1;
+            params.slice(1).forEach(function(param) {
+                var pair = param.split('=');
+                if (pair[0].trim() === 'q') {
+                    quality = parseFloat(pair[1]);
+                }
+            });
+            return format && quality > best.quality ? {format: format, quality: quality} : best;
+        }, {format: DEFAULT_FORMAT, quality: 0});
+        return best.format;
+    };
+
+    /**
+     * Determines when the feed last changed based on its articles
+     * @static
+     * @method getLastModified
+     * @param {Array} articles
+     * @return {Date} NULL when none of the articles provide a date
+     */
+    ArticleFeed.getLastModified = function(articles) {
+        var latest = articles.reduce(function(latest, article) {
+            var date = article.last_modified || article.publish_date;
+            return util.isDate(date) && date.getTime() > latest ? date.getTime() : latest;
+        }, 0);
+        if (latest === 0) {
+            return null;
+        }
+
+        //HTTP dates do not carry milliseconds
+        return new Date(Math.floor(latest / 1000) * 1000);
+    };
+
+    /**
+     * Creates an entity tag that changes whenever an article enters, leaves
+     * or is modified in the feed
+     * @static
+     * @method getETag
+     * @param {Array} articles
+     * @param {String} format
+     * @param {String} url
+     * @return {String}
+     */
+    ArticleFeed.getETag = function(articles, format, url) {
+        var hash = crypto.createHash('md5').update(format + '|' + url);
+        articles.forEach(function(article) {
+            var date = article.last_modified || article.publish_date;
+            hash.update('|' + article[pb.DAO.getIdField()] + ':' + (util.isDate(date) ? date.getTime() : ''));
+        });
+        return '"' + hash.digest('hex') + '"';
+    };
+
+    /**
+     * Inspects the conditional request headers to determine if the client
+     * already has the current version of the feed.  The If-None-Match header
+     * takes precedence over If-Modified-Since.  HTTP dates only have a
+     * precision of seconds so the milliseconds of the last modified date are
+     * ignored.
+     * @static
+     * @method isNotModified
+     * @param {Object} headers The request headers
+     * @param {String} etag
+     * @param {Date} [lastModified] NULL when the feed has no modification date
+     * @return {Boolean}
+     */
+    ArticleFeed.isNotModified = function(headers, etag, lastModified) {
+        var ifNoneMatch = headers['if-none-match'];
+        if (pb.validation.isNonEmptyStr(ifNoneMatch, true)) {
+            return ifNoneMatch.split(',').some(function(tag) {
+                tag = tag.trim();
+                return tag === '*' || tag === etag || tag === 'W/' + etag;
+            });
+        }
+
+        var since = Date.parse(headers['if-modified-since']);
+        return !isNaN(since) && util.isDate(lastModified) && Math.floor(lastModified.getTime() / 1000) * 1000 <= since;
+    };
+
+    /**
+     * Converts the articles to a JSON Feed 1.1 document
+     * @static
+     * @method toJsonFeed
+     * @param {Array} articles
+     * @param {Object} feed
+     * @param {String} feed.title
+     * @param {String} feed.url
+     * @param {String} feed.home
+     * @param {String} feed.language
+     * @return {Object}
+     */
+    ArticleFeed.toJsonFeed = function(articles, feed) {
+        return {
+            version: 'https://jsonfeed.org/version/1.1',
+            title: feed.title,
+            home_page_url: feed.home,
+            feed_url: feed.url,
+            language: feed.language,
+            items: articles.map(function(article) {
+                var url = UrlService.urlJoin(feed.home, '/article', article.url);
+                return {
+                    id: url,
+                    url: url,
+                    title: article.headline,
+                    summary: article.meta_desc || article.subheading || undefined,
+                    content_html: article.layout,
+                    date_published: article.publish_date.toISOString(),
+                    date_modified: (article.last_modified || article.publish_date).toISOString(),
+                    authors: article.author_name ? [{name: article.author_name}] : undefined,
+                    tags: util.isArray(article.section_names) && article.section_names.length ? article.section_names : undefined
+                };
+            })
+        };
+    };
+
     /**
      * Ex: Thu, 03 Jul 2014 18:21:05 +0000
      * @method getRSSDate
@@ -53,16 +53,60 @@ module.exports = function (pb) {
     MediaContentController.prototype.render = function(cb) {
         var self = this;
 
-        var mime = pb.RequestHandler.getMimeFromPath(this.req.url);
+        //image derivatives are created the first time they are requested
+        var mediaPath = this.req.url.split('?')[0];
+        this.ensureDerivative(mediaPath, function(err) {
+            if (util.isError(err)) {
+                return err.code === 404 ? self.reqHandler.serve404() : self.reqHandler.serveError(err);
+            }
+
+            //providers that serve media directly redirect to the content
+            self.service.getContentUrlByPath(mediaPath, function(err, mediaUrl) {
+                if (util.isError(err)) {
+                    return self.reqHandler.serveError(err);
+                }
+                else if (mediaUrl) {
+                    return cb(pb.RequestHandler.generateRedirect(mediaUrl));
+                }
+                self.streamContent(mediaPath);
+            });
+        });
+    };
+
+    /**
+     * Creates the image derivative when the path refers to one of the site's
+     * image sizes and it does not exist yet.  Other paths are left untouched.
+     * @method ensureDerivative
+     * @param {String} mediaPath
+     * @param {Function} cb (Error)
+     */
+    MediaContentController.prototype.ensureDerivative = function(mediaPath, cb) {
+        var service = new pb.ImageDerivativeService({
+            site: this.site,
+            provider: this.service.provider
+        });
+        service.ensure(mediaPath, function(err) {
+            cb(err);
+        });
+    };
+
+    /**
+     * Streams the media content to the response
+     * @method streamContent
+     * @param {String} mediaPath
+     */
+    MediaContentController.prototype.streamContent = function(mediaPath) {
+        var self = this;
+
+        var mime = pb.RequestHandler.getMimeFromPath(mediaPath);
         if (mime) {
             this.res.setHeader('content-type', mime);
         }
 
         //load the media if available
-        var mediaPath = this.req.url;
         this.service.getContentStreamByPath(mediaPath, function(err, mstream) {
             if(util.isError(err)) {
-                return self.reqHandler.serveError(err);
+                return err.code === 404 ? self.reqHandler.serve404() : self.reqHandler.serveError(err);
             }
 
             mstream.once('end', function() {
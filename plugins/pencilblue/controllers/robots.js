@@ -29,6 +29,10 @@ module.exports = function SiteMapModule(pb) {
     RobotsTxt.prototype.render = function(cb) {
         var self = this;
 
+        this.ts.registerLocal('news_sitemap', function(flag, cb) {
+            var line = pb.config.sitemap.news.enabled ? 'Sitemap: ' + self.hostname + '/sitemap-news.xml\n' : '';
+            cb(null, new pb.TemplateValue(line, false));
+        });
         this.ts.load('robots', function(err, content) {
             var data = {
                 content: content,
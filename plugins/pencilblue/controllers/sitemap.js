@@ -66,8 +66,67 @@ module.exports = function(pb) {
         SiteMap.super_.prototype.init.apply(this, [context, init]);
     };
 
+    /**
+     * Serves every URL in a single sitemap.  Kept for sites that registered
+     * the sitemap before the sitemap index was introduced.
+     * @method render
+     * @param {Function} cb
+     */
     SiteMap.prototype.render = function(cb) {
-        this.service.getAndSerialize(function(err, xml) {
+        this.service.getAndSerialize(SiteMap.onSerialized(cb));
+    };
+
+    /**
+     * Serves the sitemap index that points to the paged sitemap of each type
+     * @method index
+     * @param {Function} cb
+     */
+    SiteMap.prototype.index = function(cb) {
+        this.service.getAndSerializeIndex(SiteMap.onSerialized(cb));
+    };
+
+    /**
+     * Serves one page of the sitemap of a type.  The page is provided as
+     * "[number].xml"
+     * @method page
+     * @param {Function} cb
+     */
+    SiteMap.prototype.page = function(cb) {
+        var self = this;
+        var match = /^(\d+)\.xml$/.exec(this.pathVars.page);
+        if (match === null) {
+            return this.reqHandler.serve404();
+        }
+
+        this.service.getAndSerializePage(this.pathVars.type, parseInt(match[1]), function(err, xml) {
+            if (!util.isError(err) && xml === null) {
+                return self.reqHandler.serve404();
+            }
+            SiteMap.onSerialized(cb)(err, xml);
+        });
+    };
+
+    /**
+     * Serves the Google News sitemap of the recently published articles
+     * @method news
+     * @param {Function} cb
+     */
+    SiteMap.prototype.news = function(cb) {
+        if (!pb.config.sitemap.news.enabled) {
+            return this.reqHandler.serve404();
+        }
+        this.service.getAndSerializeNews(SiteMap.onSerialized(cb));
+    };
+
+    /**
+     * Creates the callback that provides the serialized sitemap as the result
+     * @static
+     * @method onSerialized
+     * @param {Function} cb
+     * @return {Function}
+     */
+    SiteMap.onSerialized = function(cb) {
+        return function(err, xml) {
             if (util.isError(err)) {
                 return cb(err);
             }
@@ -77,7 +136,7 @@ module.exports = function(pb) {
                     'Access-Control-Allow-Origin': '*'
                 }
             });
-        });
+        };
     };
 
     //exports
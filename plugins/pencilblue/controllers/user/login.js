@@ -16,6 +16,9 @@
 */
 'use strict';
 
+//dependencies
+var HtmlEncoder = require('htmlencode');
+
 module.exports = function LoginViewControllerModule(pb) {
 
     //pb dependencies
@@ -40,6 +43,55 @@ module.exports = function LoginViewControllerModule(pb) {
         this.render('user/login', cb);
     };
 
+    /**
+     * Interface for the second step of logging in.  Depending on the state of
+     * the login the user is asked for a code, shown the key to add to their
+     * authenticator app or shown their new recovery codes.
+     * @method twoFactor
+     * @param {Function} cb
+     */
+    LoginViewController.prototype.twoFactor = function(cb) {
+        var self    = this;
+        var pending = this.session.two_factor_login;
+        if (!util.isObject(pending)) {
+            return this.redirect(pb.security.isAuthenticated(this.session) ? '/' : '/user/login', cb);
+        }
+
+        var view = 'user/elements/two_factor_verify';
+        if (util.isArray(pending.recovery_codes)) {
+
+            //recovery codes are only ever shown once
+            view = 'user/elements/two_factor_recovery_codes';
+            delete this.session.two_factor_login;
+            this.ts.registerLocal('continue_location', pending.location);
+            this.ts.registerLocal('recovery_codes', new pb.TemplateValue(pending.recovery_codes.map(function(code) {
+                return '<li><code>' + HtmlEncoder.htmlEncode(code) + '</code></li>';
+            }).join(''), false));
+        }
+        else if (pending.enrol) {
+            view = 'user/elements/two_factor_enrol';
+
+            //the secret is kept in the session until the user proves they have
+            //added it to their authenticator app
+            if (!pending.secret) {
+                var service = new pb.TwoFactorService({site: this.site, onlyThisSite: false});
+                var enrolment = service.createEnrolment({username: pending.username});
+                pending.secret = enrolment.secret;
+                pending.uri = enrolment.uri;
+            }
+            this.ts.registerLocal('two_factor_secret', pending.secret);
+            this.ts.registerLocal('two_factor_uri', pending.uri);
+        }
+
+        this.ts.registerLocal('two_factor_form', function(flag, cb) {
+            self.ts.load(view, function(err, content) {
+                cb(err, new pb.TemplateValue(content, false));
+            });
+        });
+        this.setPageName(this.ls.g('login.TWO_FACTOR'));
+        this.render('user/two_factor_login', cb);
+    };
+
     //exports
     return LoginViewController;
 };
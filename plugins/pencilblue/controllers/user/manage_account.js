@@ -103,6 +103,37 @@ module.exports = function(pb) {
 
             user: function(callback) {
                 self.service.get(self.session.authentication.user_id, callback);
+            },
+
+            twoFactor: function(callback) {
+                var service = new pb.TwoFactorService({site: self.site, onlyThisSite: false});
+                new pb.DAO().loadById(self.session.authentication.user_id, 'user', function(err, user) {
+                    if (util.isError(err) || !util.isObject(user)) {
+                        return callback(err, null);
+                    }
+                    service.getStatus(user, callback);
+                });
+            },
+
+            sessions: function(callback) {
+                pb.session.getUserSessions(self.session.authentication.user_id, function(err, sessions) {
+                    if (util.isError(err)) {
+                        pb.log.warn('ManageAccount: Failed to retrieve the active sessions: %s', err.message);
+                        return callback(null, []);
+                    }
+                    callback(null, sessions.map(function(session) {
+                        return pb.SessionHandler.describe(session, self.session.uid);
+                    }));
+                });
+            },
+
+            apiKeys: function(callback) {
+                var service = new pb.ApiKeyService(self.getServiceContext());
+                service.getAllForUser(self.session.authentication.user_id, callback);
+            },
+
+            apiKeyScopes: function(callback) {
+                callback(null, pb.ApiKeyService.getScopes());
             }
         };
         async.parallel(tasks, cb);
@@ -159,6 +190,21 @@ module.exports = function(pb) {
                 href: '#personal_info',
                 icon: 'user',
                 title: this.ls.g('users.PERSONAL_INFO')
+            },
+            {
+                href: '#two_factor',
+                icon: 'lock',
+                title: this.ls.g('users.TWO_FACTOR')
+            },
+            {
+                href: '#sessions',
+                icon: 'desktop',
+                title: this.ls.g('users.ACTIVE_SESSIONS')
+            },
+            {
+                href: '#api_keys',
+                icon: 'code',
+                title: this.ls.g('users.API_KEYS')
             }
         ];
     };
@@ -75,6 +75,38 @@ module.exports = function Routes(pb){
             auth_required: false,
             inactive_site_access: true,
             controller: path.join(pb.config.docRoot, 'plugins', 'pencilblue', 'controllers', 'actions', 'login.js'),
+            content_type: 'text/html',
+            rate_limit: 'login'
+        },
+        {
+            method: 'post',
+            path: "/actions/login/two_factor",
+            handler: 'twoFactor',
+            access_level: 0,
+            auth_required: false,
+            inactive_site_access: true,
+            controller: path.join(pb.config.docRoot, 'plugins', 'pencilblue', 'controllers', 'actions', 'login.js'),
+            content_type: 'text/html',
+            rate_limit: 'login'
+        },
+        {
+            method: 'get',
+            path: "/actions/login/:provider",
+            handler: 'authorize',
+            access_level: 0,
+            auth_required: false,
+            inactive_site_access: true,
+            controller: path.join(pb.config.docRoot, 'plugins', 'pencilblue', 'controllers', 'actions', 'login_provider.js'),
+            content_type: 'text/html'
+        },
+        {
+            method: 'get',
+            path: "/actions/login/:provider/callback",
+            handler: 'callback',
+            access_level: 0,
+            auth_required: false,
+            inactive_site_access: true,
+            controller: path.join(pb.config.docRoot, 'plugins', 'pencilblue', 'controllers', 'actions', 'login_provider.js'),
             content_type: 'text/html'
         },
         {
@@ -102,7 +134,8 @@ module.exports = function Routes(pb){
             inactive_site_access: true,
             controller: path.join(pb.config.docRoot, 'plugins', 'pencilblue', 'controllers', 'actions', 'forgot_password.js'),
             content_type: 'text/html',
-            request_body: ['application/x-www-form-urlencoded', 'application/json']
+            request_body: ['application/x-www-form-urlencoded', 'application/json'],
+            rate_limit: 'login'
         },
         {
             method: 'get',
@@ -137,7 +170,8 @@ module.exports = function Routes(pb){
             auth_required: false,
             controller: path.join(pb.config.docRoot, 'plugins', 'pencilblue', 'controllers', 'blog.js'),
             content_type: 'text/html',
-            localization: true
+            localization: true,
+            cache_ttl: 60
         },
         {
             method: 'get',
@@ -163,19 +197,73 @@ module.exports = function Routes(pb){
             content_type: 'application/json',
             request_body: ['application/json']
         },
+        {
+            method: 'post',
+            path: "/api/user/two_factor/enrolment",
+            handler: 'createEnrolment',
+            auth_required: true,
+            controller: path.join(pb.config.docRoot, 'plugins', 'pencilblue', 'controllers', 'api', 'user', 'two_factor_api_controller.js'),
+            content_type: 'application/json'
+        },
+        {
+            method: 'post',
+            path: "/api/user/two_factor",
+            handler: 'enrol',
+            auth_required: true,
+            controller: path.join(pb.config.docRoot, 'plugins', 'pencilblue', 'controllers', 'api', 'user', 'two_factor_api_controller.js'),
+            content_type: 'application/json',
+            request_body: ['application/json']
+        },
+        {
+            method: 'post',
+            path: "/api/user/two_factor/disable",
+            handler: 'disable',
+            auth_required: true,
+            controller: path.join(pb.config.docRoot, 'plugins', 'pencilblue', 'controllers', 'api', 'user', 'two_factor_api_controller.js'),
+            content_type: 'application/json',
+            request_body: ['application/json'],
+            rate_limit: 'two_factor'
+        },
+        {
+            method: 'get',
+            path: "/api/user/api_keys",
+            handler: 'getAll',
+            auth_required: true,
+            controller: path.join(pb.config.docRoot, 'plugins', 'pencilblue', 'controllers', 'api', 'user', 'api_key_api_controller.js'),
+            content_type: 'application/json'
+        },
+        {
+            method: 'post',
+            path: "/api/user/api_keys",
+            handler: 'post',
+            auth_required: true,
+            controller: path.join(pb.config.docRoot, 'plugins', 'pencilblue', 'controllers', 'api', 'user', 'api_key_api_controller.js'),
+            content_type: 'application/json',
+            request_body: ['application/json']
+        },
+        {
+            method: 'delete',
+            path: "/api/user/api_keys/:id",
+            handler: 'delete',
+            auth_required: true,
+            controller: path.join(pb.config.docRoot, 'plugins', 'pencilblue', 'controllers', 'api', 'user', 'api_key_api_controller.js'),
+            content_type: 'application/json'
+        },
         {
             method: 'post',
             path: "/actions/user/resend_verification",
             auth_required: false,
             controller: path.join(pb.config.docRoot, 'plugins', 'pencilblue', 'controllers', 'actions', 'user', 'resend_verification.js'),
-            request_body: "application/json"
+            request_body: "application/json",
+            rate_limit: 'form'
         },
         {
             method: 'post',
             path: "/actions/user/sign_up",
             auth_required: false,
             controller: path.join(pb.config.docRoot, 'plugins', 'pencilblue', 'controllers', 'actions', 'user', 'sign_up.js'),
-            request_body: ['application/x-www-form-urlencoded', 'application/json']
+            request_body: ['application/x-www-form-urlencoded', 'application/json'],
+            rate_limit: 'form'
         },
         {
             method: 'get',
@@ -190,6 +278,30 @@ module.exports = function Routes(pb){
             controller: path.join(pb.config.docRoot, 'plugins', 'pencilblue', 'controllers', 'sitemap.js'),
             content_type: 'application/xml'
         },
+        {
+            method: 'get',
+            path: "/sitemap.xml",
+            handler: 'index',
+            auth_required: false,
+            controller: path.join(pb.config.docRoot, 'plugins', 'pencilblue', 'controllers', 'sitemap.js'),
+            content_type: 'application/xml'
+        },
+        {
+            method: 'get',
+            path: "/sitemap/:type/:page",
+            handler: 'page',
+            auth_required: false,
+            controller: path.join(pb.config.docRoot, 'plugins', 'pencilblue', 'controllers', 'sitemap.js'),
+            content_type: 'application/xml'
+        },
+        {
+            method: 'get',
+            path: "/sitemap-news.xml",
+            handler: 'news',
+            auth_required: false,
+            controller: path.join(pb.config.docRoot, 'plugins', 'pencilblue', 'controllers', 'sitemap.js'),
+            content_type: 'application/xml'
+        },
         {
             method: 'get',
             path: "/robots.txt",
@@ -209,7 +321,8 @@ module.exports = function Routes(pb){
             auth_required: false,
             inactive_site_access: true,
             controller: path.join(pb.config.docRoot, 'plugins', 'pencilblue', 'controllers', 'api', 'user', 'get_username_available.js'),
-            content_type: 'application/json'
+            content_type: 'application/json',
+            rate_limit: 'lookup'
         },
         {
             method: 'get',
@@ -218,6 +331,14 @@ module.exports = function Routes(pb){
             auth_required: false,
             controller: path.join(pb.config.docRoot, 'plugins', 'pencilblue', 'controllers', 'user', 'login.js')
         },
+        {
+            method: 'get',
+            handler: 'twoFactor',
+            path: "/user/login/two_factor",
+            auth_required: false,
+            inactive_site_access: true,
+            controller: path.join(pb.config.docRoot, 'plugins', 'pencilblue', 'controllers', 'user', 'login.js')
+        },
         {
             method: 'get',
             path: "/feed",
@@ -225,6 +346,30 @@ module.exports = function Routes(pb){
             controller: path.join(pb.config.docRoot, 'plugins', 'pencilblue', 'controllers', 'feed.js'),
             content_type: 'application/rss+xml'
         },
+        {
+            method: 'get',
+            path: "/feed/section/:customUrl",
+            handler: "renderSection",
+            auth_required: false,
+            controller: path.join(pb.config.docRoot, 'plugins', 'pencilblue', 'controllers', 'feed.js'),
+            content_type: 'application/rss+xml'
+        },
+        {
+            method: 'get',
+            path: "/feed/topic/:topic",
+            handler: "renderTopic",
+            auth_required: false,
+            controller: path.join(pb.config.docRoot, 'plugins', 'pencilblue', 'controllers', 'feed.js'),
+            content_type: 'application/rss+xml'
+        },
+        {
+            method: 'get',
+            path: "/feed/author/:username",
+            handler: "renderAuthor",
+            auth_required: false,
+            controller: path.join(pb.config.docRoot, 'plugins', 'pencilblue', 'controllers', 'feed.js'),
+            content_type: 'application/rss+xml'
+        },
         {
             method: 'get',
             path: "/section/:customUrl",
@@ -239,7 +384,8 @@ module.exports = function Routes(pb){
             auth_required: false,
             controller: path.join(pb.config.docRoot, 'plugins', 'pencilblue', 'controllers', 'article.js'),
             content_type: 'text/html',
-            localization: true
+            localization: true,
+            cache_ttl: 300
         },
         {
             method: 'get',
@@ -247,14 +393,16 @@ module.exports = function Routes(pb){
             auth_required: false,
             controller: path.join(pb.config.docRoot, 'plugins', 'pencilblue', 'controllers', 'page.js'),
             content_type: 'text/html',
-            localization: true
+            localization: true,
+            cache_ttl: 300
         },
         {
             method: 'post',
             path: "/api/comments/new_comment",
             auth_required: true,
             controller: path.join(pb.config.docRoot, 'plugins', 'pencilblue', 'controllers', 'api', 'comments', 'new_comment.js'),
-            content_type: 'text/html'
+            content_type: 'text/html',
+            rate_limit: 'form'
         },
         {
             method: 'get',
@@ -316,6 +464,15 @@ module.exports = function Routes(pb){
             controller: path.join(pb.config.docRoot, 'plugins', 'pencilblue', 'controllers', 'api', 'content', 'search.js'),
             content_type: 'application/json'
         },
+        {
+            method: 'post',
+            handler: 'reindex',
+            path: "/api/content/search/reindex",
+            auth_required: true,
+            access_level: pb.SecurityService.ACCESS_ADMINISTRATOR,
+            controller: path.join(pb.config.docRoot, 'plugins', 'pencilblue', 'controllers', 'api', 'content', 'search.js'),
+            content_type: 'application/json'
+        },
         {
             method: 'post',
             handler: 'refresh',
@@ -335,6 +492,16 @@ module.exports = function Routes(pb){
             controller: path.join(pb.config.docRoot, 'plugins', 'pencilblue', 'controllers', 'api', 'admin', 'system', 'cluster_api.js'),
             content_type: 'application/json'
         },
+        {
+            method: 'get',
+            handler: 'getAll',
+            path: "/api/locks",
+            auth_required: true,
+            inactive_site_access: true,
+            access_level: pb.SecurityService.ACCESS_ADMINISTRATOR,
+            controller: path.join(pb.config.docRoot, 'plugins', 'pencilblue', 'controllers', 'api', 'admin', 'system', 'lock_api.js'),
+            content_type: 'application/json'
+        },
         {
             method: 'post',
             path: "/api/jobs/:action/:id",
@@ -424,6 +591,15 @@ module.exports = function Routes(pb){
         },
 
         // TOPICS
+        {
+            method: 'get',
+            path: "/admin/content/redirects",
+            access_level: pb.SecurityService.ACCESS_EDITOR,
+            auth_required: true,
+            inactive_site_access: true,
+            controller: path.join(pb.config.docRoot, 'plugins', 'pencilblue', 'controllers', 'admin', 'content', 'redirects', 'manage_redirects.js'),
+            content_type: 'text/html'
+        },
         {
             method: 'get',
             path: "/admin/content/topics",
@@ -1071,6 +1247,30 @@ module.exports = function Routes(pb){
             access_level: pb.SecurityService.ACCESS_MANAGING_EDITOR,
             controller: path.join(pb.config.docRoot, 'plugins', 'pencilblue', 'controllers', 'actions', 'admin', 'users', 'send_password_reset.js')
         },
+        {
+            method: 'get',
+            path: "/actions/admin/users/reset_two_factor/:id",
+            auth_required: true,
+            inactive_site_access: true,
+            access_level: pb.SecurityService.ACCESS_MANAGING_EDITOR,
+            controller: path.join(pb.config.docRoot, 'plugins', 'pencilblue', 'controllers', 'actions', 'admin', 'users', 'reset_two_factor.js')
+        },
+        {
+            method: 'get',
+            path: "/actions/admin/users/revoke_sessions/:id",
+            auth_required: true,
+            inactive_site_access: true,
+            access_level: pb.SecurityService.ACCESS_MANAGING_EDITOR,
+            controller: path.join(pb.config.docRoot, 'plugins', 'pencilblue', 'controllers', 'actions', 'admin', 'users', 'revoke_sessions.js')
+        },
+        {
+            method: 'get',
+            path: "/actions/admin/users/revoke_api_keys/:id",
+            auth_required: true,
+            inactive_site_access: true,
+            access_level: pb.SecurityService.ACCESS_MANAGING_EDITOR,
+            controller: path.join(pb.config.docRoot, 'plugins', 'pencilblue', 'controllers', 'actions', 'admin', 'users', 'revoke_api_keys.js')
+        },
 
         // SITE SETTINGS
         {
@@ -1145,6 +1345,33 @@ module.exports = function Routes(pb){
             controller: path.join(pb.config.docRoot, 'plugins', 'pencilblue', 'controllers', 'actions', 'admin', 'site_settings', 'libraries.js'),
             content_type: 'text/html'
         },
+        {
+            method: 'get',
+            path: "/admin/site_settings/security",
+            access_level: pb.SecurityService.ACCESS_ADMINISTRATOR,
+            auth_required: true,
+            inactive_site_access: true,
+            controller: path.join(pb.config.docRoot, 'plugins', 'pencilblue', 'controllers', 'admin', 'site_settings', 'security.js'),
+            content_type: 'text/html'
+        },
+        {
+            method: 'post',
+            path: "/actions/admin/site_settings/security",
+            access_level: pb.SecurityService.ACCESS_ADMINISTRATOR,
+            auth_required: true,
+            inactive_site_access: true,
+            controller: path.join(pb.config.docRoot, 'plugins', 'pencilblue', 'controllers', 'actions', 'admin', 'site_settings', 'security.js'),
+            content_type: 'text/html'
+        },
+        {
+            method: 'get',
+            path: "/admin/site_settings/webhooks",
+            access_level: pb.SecurityService.ACCESS_ADMINISTRATOR,
+            auth_required: true,
+            inactive_site_access: true,
+            controller: path.join(pb.config.docRoot, 'plugins', 'pencilblue', 'controllers', 'admin', 'site_settings', 'webhooks.js'),
+            content_type: 'text/html'
+        },
         {
             method: 'get',
             path: "/api/localization/script",
@@ -1154,6 +1381,13 @@ module.exports = function Routes(pb){
             controller: path.join(pb.config.docRoot, 'plugins', 'pencilblue', 'controllers', 'api', 'localization_controller.js'),
             content_type: 'text/javascript'
         },
+        {
+            method: 'get',
+            path: "/api/openapi.json",
+            auth_required: false,
+            controller: path.join(pb.config.docRoot, 'plugins', 'pencilblue', 'controllers', 'api', 'open_api_controller.js'),
+            content_type: 'application/json'
+        },
         {
             method: 'get',
             path: "/admin/sites",
@@ -1333,6 +1567,70 @@ module.exports = function Routes(pb){
             auth_required: true,
             controller: path.join(pb.config.docRoot, 'plugins/pencilblue/controllers/api/content/article_api_controller.js')
         },
+        {
+            method: 'get',
+            path: "/api/content/articles/:id/revisions",
+            handler: "getRevisions",
+            content_type: 'application/json',
+            auth_required: true,
+            access_level: pb.SecurityService.ACCESS_WRITER,
+            controller: path.join(pb.config.docRoot, 'plugins/pencilblue/controllers/api/content/article_api_controller.js')
+        },
+        {
+            method: 'get',
+            path: "/api/content/articles/:id/revisions/:revisionId",
+            handler: "getRevision",
+            content_type: 'application/json',
+            auth_required: true,
+            access_level: pb.SecurityService.ACCESS_WRITER,
+            controller: path.join(pb.config.docRoot, 'plugins/pencilblue/controllers/api/content/article_api_controller.js')
+        },
+        {
+            method: 'get',
+            path: "/api/content/articles/:id/revisions/:revisionId/diff",
+            handler: "diffRevision",
+            content_type: 'application/json',
+            auth_required: true,
+            access_level: pb.SecurityService.ACCESS_WRITER,
+            controller: path.join(pb.config.docRoot, 'plugins/pencilblue/controllers/api/content/article_api_controller.js')
+        },
+        {
+            method: 'post',
+            path: "/api/content/articles/:id/revisions/:revisionId/restore",
+            handler: "restoreRevision",
+            content_type: 'application/json',
+            auth_required: true,
+            access_level: pb.SecurityService.ACCESS_WRITER,
+            controller: path.join(pb.config.docRoot, 'plugins/pencilblue/controllers/api/content/article_api_controller.js')
+        },
+        {
+            method: 'get',
+            path: "/api/content/articles/:id/workflow",
+            handler: "getWorkflow",
+            content_type: 'application/json',
+            auth_required: true,
+            access_level: pb.SecurityService.ACCESS_WRITER,
+            controller: path.join(pb.config.docRoot, 'plugins/pencilblue/controllers/api/content/article_api_controller.js')
+        },
+        {
+            method: 'get',
+            path: "/api/content/articles/:id/workflow/history",
+            handler: "getWorkflowHistory",
+            content_type: 'application/json',
+            auth_required: true,
+            access_level: pb.SecurityService.ACCESS_WRITER,
+            controller: path.join(pb.config.docRoot, 'plugins/pencilblue/controllers/api/content/article_api_controller.js')
+        },
+        {
+            method: 'post',
+            path: "/api/content/articles/:id/workflow",
+            handler: "transitionWorkflow",
+            content_type: 'application/json',
+            auth_required: true,
+            access_level: pb.SecurityService.ACCESS_WRITER,
+            controller: path.join(pb.config.docRoot, 'plugins/pencilblue/controllers/api/content/article_api_controller.js'),
+            request_body: ['application/json']
+        },
 
         //settings
         {
@@ -1488,6 +1786,42 @@ module.exports = function Routes(pb){
             controller: path.join(pb.config.docRoot, 'plugins/pencilblue/controllers/api/content/page_api_controller.js'),
             request_body: ['application/json']
         },
+        {
+            method: 'get',
+            path: "/api/content/pages/:id/revisions",
+            handler: "getRevisions",
+            content_type: 'application/json',
+            auth_required: true,
+            access_level: pb.SecurityService.ACCESS_WRITER,
+            controller: path.join(pb.config.docRoot, 'plugins/pencilblue/controllers/api/content/page_api_controller.js')
+        },
+        {
+            method: 'get',
+            path: "/api/content/pages/:id/revisions/:revisionId",
+            handler: "getRevision",
+            content_type: 'application/json',
+            auth_required: true,
+            access_level: pb.SecurityService.ACCESS_WRITER,
+            controller: path.join(pb.config.docRoot, 'plugins/pencilblue/controllers/api/content/page_api_controller.js')
+        },
+        {
+            method: 'get',
+            path: "/api/content/pages/:id/revisions/:revisionId/diff",
+            handler: "diffRevision",
+            content_type: 'application/json',
+            auth_required: true,
+            access_level: pb.SecurityService.ACCESS_WRITER,
+            controller: path.join(pb.config.docRoot, 'plugins/pencilblue/controllers/api/content/page_api_controller.js')
+        },
+        {
+            method: 'post',
+            path: "/api/content/pages/:id/revisions/:revisionId/restore",
+            handler: "restoreRevision",
+            content_type: 'application/json',
+            auth_required: true,
+            access_level: pb.SecurityService.ACCESS_WRITER,
+            controller: path.join(pb.config.docRoot, 'plugins/pencilblue/controllers/api/content/page_api_controller.js')
+        },
 
         //media
         {
@@ -1571,6 +1905,275 @@ module.exports = function Routes(pb){
             controller: path.join(pb.config.docRoot, 'plugins/pencilblue/controllers/api/content/media_api_controller.js'),
             request_body: ['multipart/form-data']
         },
+        {
+            method: 'get',
+            path: "/api/content/media/:id/usage",
+            handler: "getUsage",
+            content_type: 'application/json',
+            auth_required: true,
+            inactive_site_access: true,
+            access_level: pb.SecurityService.ACCESS_WRITER,
+            controller: path.join(pb.config.docRoot, 'plugins/pencilblue/controllers/api/content/media_api_controller.js')
+        },
+        {
+            method: 'post',
+            path: "/api/content/media/usage/reindex",
+            handler: "reindexUsage",
+            content_type: 'application/json',
+            auth_required: true,
+            access_level: pb.SecurityService.ACCESS_ADMINISTRATOR,
+            controller: path.join(pb.config.docRoot, 'plugins/pencilblue/controllers/api/content/media_api_controller.js')
+        },
+
+        //resumable media uploads
+        {
+            method: 'options',
+            path: "/api/content/media/uploads",
+            handler: "options",
+            content_type: 'application/json',
+            auth_required: true,
+            inactive_site_access: true,
+            access_level: pb.SecurityService.ACCESS_WRITER,
+            controller: path.join(pb.config.docRoot, 'plugins/pencilblue/controllers/api/content/media_upload_api_controller.js')
+        },
+        {
+            method: 'post',
+            path: "/api/content/media/uploads",
+            handler: "create",
+            content_type: 'application/json',
+            auth_required: true,
+            inactive_site_access: true,
+            access_level: pb.SecurityService.ACCESS_WRITER,
+            controller: path.join(pb.config.docRoot, 'plugins/pencilblue/controllers/api/content/media_upload_api_controller.js')
+        },
+        {
+            method: 'head',
+            path: "/api/content/media/uploads/:id",
+            handler: "head",
+            content_type: 'application/json',
+            auth_required: true,
+            inactive_site_access: true,
+            access_level: pb.SecurityService.ACCESS_WRITER,
+            controller: path.join(pb.config.docRoot, 'plugins/pencilblue/controllers/api/content/media_upload_api_controller.js')
+        },
+        {
+            method: 'get',
+            path: "/api/content/media/uploads/:id",
+            handler: "get",
+            content_type: 'application/json',
+            auth_required: true,
+            inactive_site_access: true,
+            access_level: pb.SecurityService.ACCESS_WRITER,
+            controller: path.join(pb.config.docRoot, 'plugins/pencilblue/controllers/api/content/media_upload_api_controller.js')
+        },
+        {
+            method: 'patch',
+            path: "/api/content/media/uploads/:id",
+            handler: "patch",
+            content_type: 'application/json',
+            auth_required: true,
+            inactive_site_access: true,
+            access_level: pb.SecurityService.ACCESS_WRITER,
+            controller: path.join(pb.config.docRoot, 'plugins/pencilblue/controllers/api/content/media_upload_api_controller.js')
+        },
+        {
+            method: 'delete',
+            path: "/api/content/media/uploads/:id",
+            handler: "delete",
+            content_type: 'application/json',
+            auth_required: true,
+            inactive_site_access: true,
+            access_level: pb.SecurityService.ACCESS_WRITER,
+            controller: path.join(pb.config.docRoot, 'plugins/pencilblue/controllers/api/content/media_upload_api_controller.js')
+        },
+
+        //media folders
+        {
+            method: 'get',
+            path: "/api/content/media_folders/tree",
+            handler: "getTree",
+            content_type: 'application/json',
+            auth_required: true,
+            inactive_site_access: true,
+            access_level: pb.SecurityService.ACCESS_WRITER,
+            controller: path.join(pb.config.docRoot, 'plugins/pencilblue/controllers/api/content/media_folder_api_controller.js')
+        },
+        {
+            method: 'get',
+            path: "/api/content/media_folders/:id",
+            handler: "get",
+            content_type: 'application/json',
+            auth_required: true,
+            inactive_site_access: true,
+            access_level: pb.SecurityService.ACCESS_WRITER,
+            controller: path.join(pb.config.docRoot, 'plugins/pencilblue/controllers/api/content/media_folder_api_controller.js')
+        },
+        {
+            method: 'get',
+            path: "/api/content/media_folders",
+            handler: "getAll",
+            content_type: 'application/json',
+            auth_required: true,
+            inactive_site_access: true,
+            access_level: pb.SecurityService.ACCESS_WRITER,
+            controller: path.join(pb.config.docRoot, 'plugins/pencilblue/controllers/api/content/media_folder_api_controller.js')
+        },
+        {
+            method: 'delete',
+            path: "/api/content/media_folders/:id",
+            handler: "delete",
+            content_type: 'application/json',
+            auth_required: true,
+            inactive_site_access: true,
+            access_level: pb.SecurityService.ACCESS_EDITOR,
+            controller: path.join(pb.config.docRoot, 'plugins/pencilblue/controllers/api/content/media_folder_api_controller.js')
+        },
+        {
+            method: 'post',
+            path: "/api/content/media_folders",
+            handler: "post",
+            content_type: 'application/json',
+            auth_required: true,
+            inactive_site_access: true,
+            access_level: pb.SecurityService.ACCESS_WRITER,
+            controller: path.join(pb.config.docRoot, 'plugins/pencilblue/controllers/api/content/media_folder_api_controller.js'),
+            request_body: ['application/json']
+        },
+        {
+            method: 'put',
+            path: "/api/content/media_folders/:id",
+            handler: "put",
+            content_type: 'application/json',
+            auth_required: true,
+            inactive_site_access: true,
+            access_level: pb.SecurityService.ACCESS_WRITER,
+            controller: path.join(pb.config.docRoot, 'plugins/pencilblue/controllers/api/content/media_folder_api_controller.js'),
+            request_body: ['application/json']
+        },
+        {
+            method: 'get',
+            path: "/api/content/redirects/:id",
+            handler: "get",
+            content_type: 'application/json',
+            auth_required: true,
+            inactive_site_access: true,
+            access_level: pb.SecurityService.ACCESS_EDITOR,
+            controller: path.join(pb.config.docRoot, 'plugins/pencilblue/controllers/api/content/redirect_api_controller.js')
+        },
+        {
+            method: 'get',
+            path: "/api/content/redirects",
+            handler: "getAll",
+            content_type: 'application/json',
+            auth_required: true,
+            inactive_site_access: true,
+            access_level: pb.SecurityService.ACCESS_EDITOR,
+            controller: path.join(pb.config.docRoot, 'plugins/pencilblue/controllers/api/content/redirect_api_controller.js')
+        },
+        {
+            method: 'delete',
+            path: "/api/content/redirects/:id",
+            handler: "delete",
+            content_type: 'application/json',
+            auth_required: true,
+            inactive_site_access: true,
+            access_level: pb.SecurityService.ACCESS_EDITOR,
+            controller: path.join(pb.config.docRoot, 'plugins/pencilblue/controllers/api/content/redirect_api_controller.js')
+        },
+        {
+            method: 'post',
+            path: "/api/content/redirects",
+            handler: "post",
+            content_type: 'application/json',
+            auth_required: true,
+            inactive_site_access: true,
+            access_level: pb.SecurityService.ACCESS_EDITOR,
+            controller: path.join(pb.config.docRoot, 'plugins/pencilblue/controllers/api/content/redirect_api_controller.js'),
+            request_body: ['application/json']
+        },
+        {
+            method: 'put',
+            path: "/api/content/redirects/:id",
+            handler: "put",
+            content_type: 'application/json',
+            auth_required: true,
+            inactive_site_access: true,
+            access_level: pb.SecurityService.ACCESS_EDITOR,
+            controller: path.join(pb.config.docRoot, 'plugins/pencilblue/controllers/api/content/redirect_api_controller.js'),
+            request_body: ['application/json']
+        },
+        {
+            method: 'get',
+            path: "/api/admin/webhooks/:id/deliveries",
+            handler: "getDeliveries",
+            content_type: 'application/json',
+            auth_required: true,
+            inactive_site_access: true,
+            access_level: pb.SecurityService.ACCESS_ADMINISTRATOR,
+            controller: path.join(pb.config.docRoot, 'plugins/pencilblue/controllers/api/admin/webhook_api_controller.js')
+        },
+        {
+            method: 'post',
+            path: "/api/admin/webhooks/:id/ping",
+            handler: "ping",
+            content_type: 'application/json',
+            auth_required: true,
+            inactive_site_access: true,
+            access_level: pb.SecurityService.ACCESS_ADMINISTRATOR,
+            controller: path.join(pb.config.docRoot, 'plugins/pencilblue/controllers/api/admin/webhook_api_controller.js')
+        },
+        {
+            method: 'get',
+            path: "/api/admin/webhooks/:id",
+            handler: "get",
+            content_type: 'application/json',
+            auth_required: true,
+            inactive_site_access: true,
+            access_level: pb.SecurityService.ACCESS_ADMINISTRATOR,
+            controller: path.join(pb.config.docRoot, 'plugins/pencilblue/controllers/api/admin/webhook_api_controller.js')
+        },
+        {
+            method: 'get',
+            path: "/api/admin/webhooks",
+            handler: "getAll",
+            content_type: 'application/json',
+            auth_required: true,
+            inactive_site_access: true,
+            access_level: pb.SecurityService.ACCESS_ADMINISTRATOR,
+            controller: path.join(pb.config.docRoot, 'plugins/pencilblue/controllers/api/admin/webhook_api_controller.js')
+        },
+        {
+            method: 'delete',
+            path: "/api/admin/webhooks/:id",
+            handler: "delete",
+            content_type: 'application/json',
+            auth_required: true,
+            inactive_site_access: true,
+            access_level: pb.SecurityService.ACCESS_ADMINISTRATOR,
+            controller: path.join(pb.config.docRoot, 'plugins/pencilblue/controllers/api/admin/webhook_api_controller.js')
+        },
+        {
+            method: 'post',
+            path: "/api/admin/webhooks",
+            handler: "post",
+            content_type: 'application/json',
+            auth_required: true,
+            inactive_site_access: true,
+            access_level: pb.SecurityService.ACCESS_ADMINISTRATOR,
+            controller: path.join(pb.config.docRoot, 'plugins/pencilblue/controllers/api/admin/webhook_api_controller.js'),
+            request_body: ['application/json']
+        },
+        {
+            method: 'put',
+            path: "/api/admin/webhooks/:id",
+            handler: "put",
+            content_type: 'application/json',
+            auth_required: true,
+            inactive_site_access: true,
+            access_level: pb.SecurityService.ACCESS_ADMINISTRATOR,
+            controller: path.join(pb.config.docRoot, 'plugins/pencilblue/controllers/api/admin/webhook_api_controller.js'),
+            request_body: ['application/json']
+        },
 
         //users
         {
@@ -1634,6 +2237,27 @@ module.exports = function Routes(pb){
             access_level: pb.SecurityService.ACCESS_WRITER,
             controller: path.join(pb.config.docRoot, 'plugins/pencilblue/controllers/api/content/comment_api_controller.js')
         },
+        {
+            method: 'put',
+            path: "/api/content/comments/:id",
+            handler: "put",
+            content_type: 'application/json',
+            auth_required: true,
+            access_level: pb.SecurityService.ACCESS_USER,
+            controller: path.join(pb.config.docRoot, 'plugins/pencilblue/controllers/api/content/comment_api_controller.js'),
+            request_body: ['application/json']
+        },
+        {
+            method: 'post',
+            path: "/api/content/comments/moderate",
+            handler: "moderate",
+            content_type: 'application/json',
+            auth_required: true,
+            inactive_site_access: true,
+            access_level: pb.SecurityService.ACCESS_EDITOR,
+            controller: path.join(pb.config.docRoot, 'plugins/pencilblue/controllers/api/content/comment_api_controller.js'),
+            request_body: ['application/json']
+        },
         {
             method: 'delete',
             path: "/api/content/comments/:id",
@@ -362,28 +362,31 @@ module.exports = function BlogModule(pb) {
                 return;
             }
 
-            var tasks = util.getTasks(content.comments, function(comments, i) {
-                return function(callback) {
-                    self.renderComment(comments[i], callback);
-                };
-            });
-            async.parallel(tasks, function(err, results) {
-                cb(err, new pb.TemplateValue(results.join(''), false));
+            var renderComment = function(comment, callback) {
+                self.renderComment(comment, callback);
+            };
+            pb.CommentService.renderThreads(content.comments, renderComment, function(err, result) {
+                cb(err, new pb.TemplateValue(result, false));
             });
         });
         ts.load('elements/comments', cb);
     };
 
     Blog.prototype.renderComment = function(comment, cb) {
+        var canReply = pb.security.isAuthenticated(this.session) && pb.CommentService.canReply(comment);
 
         var cts = new pb.TemplateService(this.ls);
         cts.reprocess = false;
+        cts.registerLocal('comment_id', comment[pb.DAO.getIdField()] + '');
         cts.registerLocal('commenter_photo', comment.commenter_photo ? comment.commenter_photo : '');
         cts.registerLocal('display_photo', comment.commenter_photo ? 'block' : 'none');
         cts.registerLocal('commenter_name', comment.commenter_name);
         cts.registerLocal('commenter_position', comment.commenter_position ? ', ' + comment.commenter_position : '');
         cts.registerLocal('content', comment.content);
         cts.registerLocal('timestamp', comment.timestamp);
+        cts.registerLocal('display_edited', comment.edited ? 'inline' : 'none');
+        cts.registerLocal('display_reply', canReply ? 'inline' : 'none');
+        cts.registerLocal('comment_replies', new pb.TemplateValue(comment.rendered_replies || '', false));
         cts.load('elements/comments/comment', cb);
     };
 
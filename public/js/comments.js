@@ -37,7 +37,14 @@ function submitComment(button)
             var articleID = $(this).attr('id').split('article_').join('');
             $('#comment_submitting_' + articleIndex).show();
 
-            $.post('/api/comments/new_comment', {article: articleID, content: $('#comment_content_' + articleIndex).val()}, function(data)
+            var comment = {article: articleID, content: $('#comment_content_' + articleIndex).val()};
+            var parent = $('#comment_parent_' + articleIndex).val();
+            if(parent)
+            {
+                comment.parent = parent;
+            }
+
+            $.post('/api/comments/new_comment', comment, function(data)
             {
                 var response = $.parseJSON(data);
                 $('#comment_submitting_' + articleIndex).hide();
@@ -46,6 +53,13 @@ function submitComment(button)
                 {
                     $('#comment_error_' + articleIndex).show();
                 }
+                else if(response.data.status && response.data.status !== 'approved')
+                {
+                    $('#comment_error_' + articleIndex).hide();
+                    $('#comment_content_' + articleIndex).val('');
+                    $('#comment_pending_' + articleIndex).show();
+                    cancelReply(articleIndex);
+                }
                 else
                 {
                     $('#comment_error_' + articleIndex).hide();
@@ -55,13 +69,45 @@ function submitComment(button)
                     commentWell = commentWell.split('^content^').join(encodeHtml(response.data.content));
                     commentWell = commentWell.split('^timestamp^').join(response.data.timestamp);
 
-                    $('#comment_container_' + articleIndex).prepend(commentWell);
+                    if(parent)
+                    {
+                        $('#comment_replies_' + parent).append(commentWell);
+                    }
+                    else
+                    {
+                        $('#comment_container_' + articleIndex).prepend(commentWell);
+                    }
+                    cancelReply(articleIndex);
                 }
             });
         }
     });
 }
 
+function replyToComment(link, commentID)
+{
+    var container = link.closest('[id^="comment_container_"]');
+    if(!container.length)
+    {
+        return;
+    }
+
+    var articleIndex = container.attr('id').split('comment_container_').join('');
+    var commenter = $('#comment_' + commentID).find('.comment_commenter').first().text();
+
+    $('#comment_parent_' + articleIndex).val(commentID);
+    $('#comment_replying_' + articleIndex).find('.comment_replying_name').text(commenter);
+    $('#comment_replying_' + articleIndex).show();
+    $('#submit_comment_collapse_' + articleIndex).collapse('show');
+    $('#comment_content_' + articleIndex).focus();
+}
+
+function cancelReply(articleIndex)
+{
+    $('#comment_parent_' + articleIndex).val('');
+    $('#comment_replying_' + articleIndex).hide();
+}
+
 function encodeHtml(value) {
     if (value) {
         return jQuery('<div />').text(value).html();
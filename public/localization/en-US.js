@@ -47,6 +47,7 @@ module.exports = {
         SORT: 'Sort',
         NOW: 'Now',
         CONFIRM_DELETE: 'Are you sure you want to delete',
+        STILL_REFERENCED: 'It is still referenced by the following content:',
         LOAD_FILE: 'Load file',
         SELECT_FILE: 'Select file',
         NO_ARTICLES: 'No articles match the given criteria',
@@ -59,6 +60,10 @@ module.exports = {
         LOGIN_TO_COMMENT: 'Login to comment',
         COMMENT_SUBMITTED: 'Your comment was submitted',
         COMMENT_ERROR: 'There was an error submitting your comment',
+        COMMENT_PENDING: 'Your comment was submitted and is awaiting moderation',
+        COMMENT_EDITED: 'edited',
+        REPLY: 'Reply',
+        REPLYING_TO: 'Replying to',
         DATE_ADDED: 'Date added',
         LAST_MODIFIED: 'Last modified',
         CHECK: 'Check',
@@ -177,7 +182,8 @@ module.exports = {
     error: {
     	ERROR: 'Error',
         PAGE_NOT_FOUND: 'The page can not be found',
-        NOT_AUTHORIZED: 'Not Authorized'
+        NOT_AUTHORIZED: 'Not Authorized',
+        TOO_MANY_REQUESTS: 'Too many requests were made.  Please wait a moment and try again.'
     },
     timestamp: {
         JAN: 'January',
@@ -204,7 +210,19 @@ module.exports = {
         INVALID_LOGIN: 'Invalid username and password combination',
         READY_TO_USE: 'Your PencilBlue installation is ready to use',
         ACCOUNT_CREATED: 'Your account was successfully created, you may now login',
-        FORGOT_PASSWORD: 'I forgot my password'
+        FORGOT_PASSWORD: 'I forgot my password',
+        SIGN_IN_WITH: 'Sign in with',
+        PROVIDER_LOGIN_FAILED: 'Unable to sign in with the identity provider',
+        TWO_FACTOR: 'Two-factor authentication',
+        TWO_FACTOR_CODE: 'Authentication code',
+        TWO_FACTOR_CODE_HELP: 'Enter the code shown by your authenticator app or one of your recovery codes',
+        TWO_FACTOR_ENROL: 'Two-factor authentication is required for your account. Add the key below to your authenticator app and enter the code that it shows.',
+        TWO_FACTOR_KEY: 'Key',
+        OPEN_AUTHENTICATOR: 'Open in authenticator app',
+        INVALID_TWO_FACTOR_CODE: 'The authentication code is not valid',
+        RECOVERY_CODES_HELP: 'Store these recovery codes somewhere safe. Each can be used once to sign in if you lose access to your authenticator app. They will not be shown again.',
+        VERIFY: 'Verify',
+        CONTINUE: 'Continue'
     },
     admin: {
         DASHBOARD: 'Dashboard',
@@ -214,6 +232,7 @@ module.exports = {
         TOPICS: 'Topics',
         MEDIA: 'Media',
         CUSTOM_OBJECTS: 'Custom objects',
+        REDIRECTS: 'Redirects',
         PLUGINS: 'Plugins',
         THEMES: 'Themes',
         LAYOUT: 'Layout',
@@ -286,7 +305,15 @@ module.exports = {
         IMAGE_URL: 'Image URL',
         IMAGE_URL_PLACEHOLDER: '.jpg, .png, .gif, or .svg',
         FILE_TOO_BIG: 'The file is larger than the allowed limit',
-        DRAG_DROP_IMG_VID: 'Drop image and video files here'
+        DRAG_DROP_IMG_VID: 'Drop image and video files here',
+        FOLDER: 'Folder',
+        ALL_FOLDERS: 'All folders',
+        NO_FOLDER: 'Not in a folder',
+        NEW_FOLDER: 'New folder',
+        NEW_FOLDER_PLACEHOLDER: 'Created within the selected folder',
+        TAGS: 'Tags',
+        TAGS_PLACEHOLDER: 'Comma separated tags',
+        FILTER_BY_TAG: 'Filter by tag'
     },
     pages: {
         MANAGE_PAGES: 'Manage pages',
@@ -296,7 +323,8 @@ module.exports = {
         TEMPLATE: 'Template',
         HEADLINE: 'Headline',
         SUBHEADING: 'Subheading',
-        PUBLISH_DATE: 'Publish date'
+        PUBLISH_DATE: 'Publish date',
+        EXPIRY_DATE: 'Expiry date'
     },
     articles: {
         MANAGE_ARTICLES: 'Manage articles',
@@ -307,6 +335,7 @@ module.exports = {
         HEADLINE: 'Headline',
         SUBHEADING: 'Subheading',
         PUBLISH_DATE: 'Publish date',
+        EXPIRY_DATE: 'Expiry date',
         ACTIVE_SECTIONS: 'Drag associated sections here',
         INACTIVE_SECTIONS: 'Drag unassociated sections here',
         PUBLISHED: 'Published',
@@ -314,6 +343,7 @@ module.exports = {
         DRAFT: 'Draft',
         ALLOW_COMMENTS: 'Allow comments',
         INSERT_READ_MORE: 'Insert a read more break',
+        SUBMIT_FOR_REVIEW: 'Submit for review',
     },
     wysiwyg: {
         NORMAL_TEXT: 'Normal text',
@@ -356,7 +386,55 @@ module.exports = {
         MANAGE_COMMENTS: 'Manage comments',
         CONFIRM_DELETE_COMMENT: 'Are you sure you want to delete this comment by',
         COMMENTS_DISABLED: 'Comments are disabled',
-        ENABLE_HERE: 'Enable them here'
+        ENABLE_HERE: 'Enable them here',
+        STATUS: 'Status',
+        ALL: 'All',
+        PENDING: 'Pending',
+        APPROVED: 'Approved',
+        SPAM: 'Spam',
+        REJECTED: 'Rejected',
+        APPROVE: 'Approve',
+        REJECT: 'Reject',
+        MARK_SPAM: 'Mark as spam',
+        COMMENTS_MODERATED: 'The selected comments were moderated'
+    },
+    redirects: {
+        MANAGE_REDIRECTS: 'Manage redirects',
+        NEW_REDIRECT: 'New redirect',
+        EDIT_REDIRECT: 'Edit redirect',
+        SOURCE: 'Source',
+        TARGET: 'Target',
+        MATCH_TYPE: 'Match',
+        CODE: 'Status code',
+        MATCH_EXACT: 'Exact path',
+        MATCH_WILDCARD: 'Wildcard',
+        MATCH_REGEX: 'Regular expression',
+        MATCH_HELP: 'Redirects are only used when nothing else is found at the source. A * in a wildcard source matches any characters. The characters matched by each * or by each group of a regular expression can be placed in the target with $1, $2, etc.',
+        AUTOMATIC: 'Automatic',
+        REDIRECT_SAVED: 'The redirect was saved',
+        REDIRECT_DELETED: 'The redirect was deleted'
+    },
+    webhooks: {
+        WEBHOOKS: 'Webhooks',
+        NEW_WEBHOOK: 'New webhook',
+        EDIT_WEBHOOK: 'Edit webhook',
+        URL: 'URL',
+        EVENTS: 'Events',
+        ALL_EVENTS: 'All events',
+        SECRET: 'Secret',
+        SECRET_HELP: 'Each delivery is signed with the secret in the X-PB-Signature header. A secret is generated when left blank.',
+        ACTIVE: 'Active',
+        DELIVERIES: 'Deliveries',
+        NO_DELIVERIES: 'Nothing has been delivered to this webhook yet',
+        EVENT: 'Event',
+        STATUS: 'Status',
+        ATTEMPTS: 'Attempts',
+        RESPONSE: 'Response',
+        PING: 'Send a ping',
+        PING_QUEUED: 'A ping was queued for delivery',
+        WEBHOOK_SAVED: 'The webhook was saved',
+        WEBHOOK_DELETED: 'The webhook was deleted',
+        DISABLED: 'Webhooks are disabled in the configuration. Events are not delivered.'
     },
     custom_objects: {
         MANAGE_OBJECT_TYPES: 'Manage object types',
@@ -396,6 +474,34 @@ module.exports = {
         PASSWORD: 'Password',
         CHANGE_PASSWORD: 'Change password',
         RESET_PASSWORD: 'Reset password',
+        TWO_FACTOR: 'Two-factor authentication',
+        TWO_FACTOR_ENABLED: 'Two-factor authentication is enabled for your account.',
+        TWO_FACTOR_DISABLED: 'Protect your account by requiring a code from an authenticator app when signing in.',
+        ENABLE_TWO_FACTOR: 'Enable two-factor authentication',
+        DISABLE_TWO_FACTOR: 'Disable two-factor authentication',
+        RESET_TWO_FACTOR: 'Reset two-factor authentication',
+        TWO_FACTOR_RESET: 'Two-factor authentication was reset for',
+        ACTIVE_SESSIONS: 'Active sessions',
+        ACTIVE_SESSIONS_HELP: 'The devices that are signed in to your account. Changing your password signs out every other device.',
+        IP_ADDRESS: 'IP address',
+        USER_AGENT: 'Browser',
+        LAST_SEEN: 'Last seen',
+        CURRENT_SESSION: 'This device',
+        REVOKE_SESSIONS: 'Sign out everywhere',
+        SESSIONS_REVOKED: 'All sessions were signed out for',
+        API_KEYS: 'API keys',
+        API_KEYS_HELP: 'API keys let scripts and applications call the API as you. Send the key in an "Authorization: Bearer" header.',
+        API_KEY: 'Key',
+        API_KEY_CREATED: 'Copy the new key now. It will not be shown again.',
+        API_KEY_SCOPES: 'Scopes',
+        API_KEY_SCOPES_HELP: 'A key limited to "read" can only retrieve data. A key without scopes can do everything that you can.',
+        API_KEY_ALL_SCOPES: 'All',
+        API_KEY_EXPIRES: 'Expires',
+        CREATE_API_KEY: 'Create API key',
+        LAST_USED: 'Last used',
+        REVOKE: 'Revoke',
+        REVOKE_API_KEYS: 'Revoke API keys',
+        API_KEYS_REVOKED: 'All API keys were revoked for',
         CURRENT_PASSWORD: 'Current password',
         CONFIRM_PASSWORD: 'Confirm password',
         GENERATE: 'Generate',
@@ -507,7 +613,19 @@ module.exports = {
         ALLOW_COMMENTS: 'Allow users to comment',
         COMMENTS_ON: 'Allow comments on articles by default',
         REQUIRE_ACCOUNT: 'Require an account to comment',
+        MODERATE_COMMENTS: 'Hold comments for moderation before they are published',
         REQUIRE_VERIFICATION: 'Require new users to verify their email address',
+        IMAGES: 'Images',
+        IMAGE_SIZES: 'Image sizes',
+        IMAGE_SIZES_HELP: 'Resized copies of uploaded images are served from /media/[name]/... and added to the srcset of images. Leave the width or height at 0 to scale by the other dimension.',
+        WIDTH: 'Width',
+        HEIGHT: 'Height',
+        CROP: 'Crop',
+        FORMAT: 'Format',
+        ORIGINAL_FORMAT: 'Original',
+        ADD_IMAGE_SIZE: 'Add an image size',
+        INVALID_IMAGE_SIZE: 'The image size is invalid',
+        DUPLICATE_IMAGE_SIZE: 'The image size names must be unique',
         SMTP: 'SMTP',
         TEST: 'Test',
         FROM_NAME: 'From name',
@@ -519,6 +637,10 @@ module.exports = {
         HOST: 'Host',
         SECURE_CONNECTION: 'Secure connection (SSL)',
         EMAIL_SETTINGS: 'Email settings',
+        SECURITY: 'Security',
+        SECURITY_SETTINGS: 'Security settings',
+        REQUIRE_TWO_FACTOR: 'Require two-factor authentication',
+        REQUIRE_TWO_FACTOR_HELP: 'Editors and administrators must set up two-factor authentication the next time they sign in',
         EMAIL_DIRECTIVES_DESCRIPTION: 'Directives: ^verification_url^, ^first_name^, ^last_name^',
         SEND_TEST_EMAIL: 'Send test email',
         SEND: 'Send',
@@ -47,4 +47,28 @@ describe('BaseApiController', function() {
             result.failures.should.eql([]);
         });
     });
+
+    describe('BaseApiController.processQuery', function() {
+
+        it('should combine the where clause of the controller with the $where expression', function() {
+            var instance = new BaseApiController({});
+            instance.query = {$where: "headline contains 'news'"};
+            instance.service = new pb.ArticleServiceV2({});
+            instance.processWhere = function() {
+                return {where: {author: 'a'}, failures: []};
+            };
+            var options = instance.processQuery();
+            options.where.$and[0].should.eql({author: 'a'});
+            options.where.$and[1].headline.should.be.instanceOf(RegExp);
+        });
+
+        it('should throw a validation error when a field cannot be filtered', function() {
+            var instance = new BaseApiController({});
+            instance.query = {$where: "password eq 'abc'"};
+            instance.service = new pb.UserService({});
+            (function() {
+                instance.processQuery();
+            }).should.throw({code: 400});
+        });
+    });
 });
@@ -27,6 +27,16 @@ describe('DAO', function() {
         });
     });
 
+    describe('aggregate', function() {
+
+        it('should provide an error when the pipeline is not an array', function(next) {
+            new this.pb.DAO().aggregate('search_index', {$match: {}}, function(err) {
+                err.should.be.instanceof(Error);
+                next();
+            });
+        });
+    });
+
     describe('getIdField', function() {
 
         it('should return _id', function() {
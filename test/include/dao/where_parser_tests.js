@@ -0,0 +1,117 @@
+//dependencies
+var should      = require('should');
+var TestHelpers = require('../../test_helpers');
+
+describe('WhereParser', function() {
+
+    TestHelpers.registerReset();
+
+    var ID = '507f1f77bcf86cd799439011';
+
+    var getParser = function(pb) {
+        var TYPES = pb.WhereParser.TYPES;
+        return new pb.WhereParser({
+            headline: TYPES.STRING,
+            views: TYPES.NUMBER,
+            featured: TYPES.BOOLEAN,
+            publish_date: TYPES.DATE,
+            author: TYPES.ID,
+            _id: TYPES.OBJECT_ID
+        });
+    };
+
+    describe('WhereParser.parse', function() {
+
+        [null, undefined, '', '   '].forEach(function(expression) {
+
+            it('should provide no clause for an empty expression: ' + expression, function() {
+                var result = getParser(this.pb).parse(expression);
+                should(result.where).eql(null);
+                result.failures.should.eql([]);
+            });
+        });
+
+        [
+            ["headline eq 'It''s news'", {headline: 'It\'s news'}],
+            ['views gt 10', {views: {$gt: 10}}],
+            ['views le -2.5', {views: {$lte: -2.5}}],
+            ['featured ne true', {featured: {$ne: true}}],
+            ["author in ('" + ID + "')", {author: {$in: [ID]}}],
+            ['headline exists false', {headline: {$exists: false}}],
+            ['author eq null', {author: null}],
+            ['views GT 1 AND featured EQ false', {$and: [{views: {$gt: 1}}, {featured: false}]}],
+            ['views eq 1 or views eq 2 and featured eq true', {$or: [{views: 1}, {$and: [{views: 2}, {featured: true}]}]}],
+            ['(views eq 1 or views eq 2) and featured eq true', {$and: [{$or: [{views: 1}, {views: 2}]}, {featured: true}]}]
+        ].forEach(function(testCase) {
+
+            it('should translate the expression: ' + testCase[0], function() {
+                var result = getParser(this.pb).parse(testCase[0]);
+                result.failures.should.eql([]);
+                result.where.should.eql(testCase[1]);
+            });
+        });
+
+        it('should convert dates, object IDs and contains', function() {
+            var result = getParser(this.pb).parse("publish_date ge '2016-01-02T00:00:00Z' and _id eq '" + ID + "' and headline contains 'a.b'");
+            var clauses = result.where.$and;
+            clauses[0].publish_date.$gte.getTime().should.eql(Date.UTC(2016, 0, 2));
+            clauses[1]._id.toString().should.eql(ID);
+            clauses[2].headline.test('xA.By').should.be.true();
+            clauses[2].headline.test('aXb').should.be.false();
+        });
+
+        [
+            "password eq 'abc'",
+            "views eq '10'",
+            'featured contains true',
+            "author eq 'abc'",
+            "publish_date gt 'not a date'",
+            'views gt null'
+        ].forEach(function(expression) {
+
+            it('should report a field or value that is not allowed: ' + expression, function() {
+                var result = getParser(this.pb).parse(expression);
+                should(result.where).eql(null);
+                result.failures.length.should.eql(1);
+                result.failures[0].field.should.eql('$where');
+            });
+        });
+
+        [
+            'views',
+            'views eq',
+            'views between 1',
+            'views eq 1 views eq 2',
+            '(views eq 1',
+            "headline eq 'unterminated",
+            'and eq 1',
+            "author in '" + ID + "'",
+            '$where eq 1'
+        ].forEach(function(expression) {
+
+            it('should report a syntax error: ' + expression, function() {
+                var result = getParser(this.pb).parse(expression);
+                should(result.where).eql(null);
+                result.failures.length.should.eql(1);
+                result.failures[0].field.should.eql('$where');
+            });
+        });
+
+        it('should report every invalid condition', function() {
+            var result = getParser(this.pb).parse("password eq 'a' or views eq 'b'");
+            result.failures.length.should.eql(2);
+        });
+
+        it('should limit the number of conditions and the depth of groups', function() {
+            var pb = this.pb;
+            var conditions = [];
+            for (var i = 0; i <= pb.WhereParser.MAX_CONDITIONS; i++) {
+                conditions.push('views eq ' + i);
+            }
+            getParser(pb).parse(conditions.join(' or ')).failures[0].message.should.match(/more than/);
+
+            var nested = new Array(pb.WhereParser.MAX_DEPTH + 2).join('(') + 'views eq 1' + new Array(pb.WhereParser.MAX_DEPTH + 2).join(')');
+            getParser(pb).parse(nested).failures[0].message.should.match(/nested/);
+        });
+    });
+});
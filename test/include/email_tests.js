@@ -1,5 +1,9 @@
 //dependencies
 var should        = require('should');
+var fs            = require('fs');
+var os            = require('os');
+var path          = require('path');
+var sinon         = require('sinon');
 var Configuration = require('../../include/config.js');
 var Lib           = require('../../lib');
 
@@ -35,4 +39,105 @@ describe('Email', function() {
             });
         });
     });
+
+    describe('EmailService.getTransport', function() {
+
+        it('should provide the configured transport by default', function() {
+            EmailService.getTransport({}).should.be.instanceof(pb.SmtpEmailTransport);
+        });
+
+        it('should allow the settings to override the configured transport', function() {
+            EmailService.getTransport({transport: 'sendmail'}).should.be.instanceof(pb.SendmailEmailTransport);
+            EmailService.getTransport({transport: 'file'}).should.be.instanceof(pb.FileEmailTransport);
+        });
+
+        it('should provide null when the transport is not registered', function() {
+            should(EmailService.getTransport({transport: 'carrier_pigeon'})).eql(null);
+        });
+    });
+
+    describe('EmailService.registerTransport', function() {
+
+        afterEach(function() {
+            EmailService.unregisterTransport('custom_test');
+        });
+
+        it('should reject an invalid transport', function() {
+            EmailService.registerTransport('custom_test', null).should.be.false();
+            EmailService.registerTransport(null, function() {}).should.be.false();
+        });
+
+        it('should make a custom transport available by name', function() {
+            var CustomTransport = function(settings) {
+                this.settings = settings;
+            };
+            EmailService.registerTransport('custom_test', CustomTransport).should.be.true();
+
+            var settings = {transport: 'custom_test'};
+            var transport = EmailService.getTransport(settings);
+            transport.should.be.instanceof(CustomTransport);
+            transport.settings.should.equal(settings);
+
+            EmailService.unregisterTransport('custom_test').should.be.true();
+            should(EmailService.getTransport(settings)).eql(null);
+        });
+    });
+
+    describe('EmailService.send', function() {
+
+        var sandbox = sinon.sandbox.create();
+        afterEach(function() {
+            sandbox.restore();
+        });
+
+        it('should queue a message when delivery fails', function(next) {
+            var error = new Error('connection refused');
+            var enqueue = sandbox.stub(pb.EmailQueueService.prototype, 'enqueue').callsArgWith(3, null, {_id: 'abc'});
+
+            var service = new EmailService({site: pb.SiteService.GLOBAL_SITE});
+            sandbox.stub(service, 'deliver').callsArgWith(1, error);
+            service.send('a@test.com', 'b@test.com', 'Hello', '<p>Hi</p>', function(err, result) {
+                should(err).eql(null);
+                result.should.eql({queued: true, id: 'abc'});
+                enqueue.calledOnce.should.be.true();
+                enqueue.firstCall.args[0].should.eql({from: 'a@test.com', to: 'b@test.com', subject: 'Hello', html: '<p>Hi</p>'});
+                enqueue.firstCall.args[2].should.equal(error);
+                next();
+            });
+        });
+
+        it('should report the error when queueing is declined', function(next) {
+            var error = new Error('connection refused');
+            var enqueue = sandbox.stub(pb.EmailQueueService.prototype, 'enqueue');
+
+            var service = new EmailService({site: pb.SiteService.GLOBAL_SITE});
+            sandbox.stub(service, 'deliver').callsArgWith(1, error);
+            service.send('a@test.com', 'b@test.com', 'Hello', '<p>Hi</p>', {queue: false}, function(err) {
+                err.should.equal(error);
+                enqueue.called.should.be.false();
+                next();
+            });
+        });
+    });
+
+    describe('FileEmailTransport', function() {
+
+        it('should write the message to the outbox directory', function(next) {
+            var directory = path.join(os.tmpdir(), 'pb_outbox_' + Date.now());
+            var transport = new pb.FileEmailTransport({outbox: directory});
+            var message = {from: 'a@test.com', to: 'b@test.com', subject: 'Hello', html: '<p>Hi</p>'};
+            transport.send(message, function(err) {
+                should(err).eql(null);
+
+                var files = fs.readdirSync(directory);
+                files.length.should.eql(1);
+
+                var filePath = path.join(directory, files[0]);
+                fs.readFileSync(filePath).toString().should.containEql('Subject: Hello');
+                fs.unlinkSync(filePath);
+                fs.rmdirSync(directory);
+                next();
+            });
+        });
+    });
 });
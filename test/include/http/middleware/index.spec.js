@@ -159,6 +159,67 @@ describe('Middleware', function() {
                 done();
             });
         });
+
+        describe('with an API key', function() {
+
+            var apiKey = 'pbk_' + new Array(49).join('a');
+            beforeEach(function() {
+                req.headers.authorization = 'Bearer ' + apiKey;
+                req.handler.url = Url.parse('https://test1.localhost:8080/api/content/articles', true);
+            });
+
+            it('should create a session for the user of the key', function(done) {
+                var pb = this.pb;
+                var user = {_id: 'user1', username: 'bot', admin: pb.SecurityService.ACCESS_WRITER};
+                var authenticate = sandbox.stub(pb.ApiKeyService.prototype, 'authenticate').callsArgWith(2, null, {key: {_id: 'key1'}, user: user});
+                var open = sandbox.stub(pb.session, 'open');
+                sandbox.stub(pb.SessionHandler, 'getClientId').returns('client1');
+                pb.Middleware.principal(req, res, function(err) {
+                    should(err).eql(undefined);
+                    authenticate.firstCall.args[0].should.eql(apiKey);
+                    open.called.should.be.false();
+                    req.session.api_key.should.eql('key1');
+                    req.session.authentication.user_id.should.eql('user1');
+                    req.session.authentication.admin_level.should.eql(pb.SecurityService.ACCESS_WRITER);
+                    req.setSessionCookie.should.be.false();
+                    done();
+                });
+            });
+
+            it('should call back with a not authorized error when the key is not accepted', function(done) {
+                sandbox.stub(this.pb.ApiKeyService.prototype, 'authenticate').callsArgWith(2, null, null);
+                this.pb.Middleware.principal(req, res, function(err) {
+                    err.code.should.eql(HttpStatusCodes.UNAUTHORIZED);
+                    should(req.session).eql(undefined);
+                    done();
+                });
+            });
+
+            it('should ignore the header outside of the API', function(done) {
+                req.handler.url = Url.parse('https://test1.localhost:8080/admin', true);
+                var authenticate = sandbox.stub(this.pb.ApiKeyService.prototype, 'authenticate');
+                var expectedSession = {id: 'abc123'};
+                sandbox.stub(this.pb.session, 'open').callsArgWith(1, null, expectedSession);
+                this.pb.Middleware.principal(req, res, function(err) {
+                    should(err).eql(undefined);
+                    authenticate.called.should.be.false();
+                    req.session.should.eql(expectedSession);
+                    done();
+                });
+            });
+
+            it('should ignore the header when API keys are disabled', function(done) {
+                sandbox.stub(this.pb.config.authentication.api_keys, 'enabled', false);
+                var authenticate = sandbox.stub(this.pb.ApiKeyService.prototype, 'authenticate');
+                var open = sandbox.stub(this.pb.session, 'open').callsArgWith(1, null, {id: 'abc123'});
+                this.pb.Middleware.principal(req, res, function(err) {
+                    should(err).eql(undefined);
+                    authenticate.called.should.be.false();
+                    open.calledOnce.should.be.true();
+                    done();
+                });
+            });
+        });
     });
 
     describe('deriveSite', function() {
@@ -923,6 +984,16 @@ describe('Middleware', function() {
                 done();
             });
         });
+
+        it('should not persist a session created for an API key', function(done) {
+            req.session = { uid: 'abc', api_key: 'key1' };
+            var close = sandbox.stub(this.pb.session, 'close');
+            this.pb.Middleware.principalClose(req, res, function(err) {
+                should(err).eql(undefined);
+                close.called.should.eql(false);
+                done();
+            });
+        });
     });
 
     describe('getAll', function() {
@@ -0,0 +1,197 @@
+'use strict';
+
+//dependencies
+var async = require('async');
+var should = require('should');
+var TestHelpers = require('../../../test_helpers.js');
+
+describe('RateLimiter', function() {
+
+    TestHelpers.registerReset();
+    var sandbox = TestHelpers.registerSandbox();
+
+    var site = 'rate-limit-test';
+    var policy = {max: 2, window: 60, key: 'ip'};
+    var getRequest = function(path, override) {
+        return Object.assign({
+            method: 'POST',
+            url: path,
+            site: site,
+            session: {},
+            headers: {},
+            connection: {remoteAddress: '10.0.0.1'},
+            themeRoute: {method: 'POST', path: path, rate_limit: policy}
+        }, override);
+    };
+    var getResponse = function() {
+        var headers = {};
+        return {
+            headers: headers,
+            setHeader: function(name, value) {
+                headers[name] = value;
+            }
+        };
+    };
+
+    describe('RateLimiter.getPolicy', function() {
+
+        it('should resolve a named policy', function() {
+            var result = this.pb.RateLimiter.getPolicy({rate_limit: 'login'});
+            result.should.eql({max: 5, window: 300, key: 'ip'});
+        });
+
+        it('should limit the second factor codes that a user may try', function() {
+            var result = this.pb.RateLimiter.getPolicy({rate_limit: 'two_factor'});
+            result.should.eql({max: 5, window: 300, key: 'user'});
+        });
+
+        it('should fall back to the default policy', function() {
+            var pb = this.pb;
+            sandbox.stub(pb.config.rate_limit, 'default_policy', {max: '100', window: 60, key: 'user'});
+            pb.RateLimiter.getPolicy({}).should.eql({max: 100, window: 60, key: 'user'});
+            should(pb.RateLimiter.getPolicy({rate_limit: false})).eql(null);
+        });
+
+        [
+            undefined,
+            {},
+            {rate_limit: 'unknown'},
+            {rate_limit: {max: 0, window: 60}},
+            {rate_limit: {max: 5}}
+        ].forEach(function(themeRoute) {
+
+            it('should not limit the route ' + JSON.stringify(themeRoute), function() {
+                should(this.pb.RateLimiter.getPolicy(themeRoute)).eql(null);
+            });
+        });
+
+        it('should not limit any route when disabled', function() {
+            sandbox.stub(this.pb.config.rate_limit, 'enabled', false);
+            should(this.pb.RateLimiter.getPolicy({rate_limit: 'login'})).eql(null);
+        });
+    });
+
+    describe('RateLimiter.getKey', function() {
+
+        it('should key the counters by site, route and IP', function() {
+            var req = getRequest('/actions/login', {headers: {'x-forwarded-for': '1.2.3.4'}});
+            this.pb.RateLimiter.getKey(req, policy).should.eql('pb_rate_limit:' + site + ':POST /actions/login:ip=10.0.0.1');
+        });
+
+        it('should use the address appended by the trusted proxy', function() {
+            sandbox.stub(this.pb.config.server, 'trusted_proxies', 1);
+            var req = getRequest('/actions/login', {headers: {'x-forwarded-for': '6.6.6.6, 1.2.3.4'}});
+            this.pb.RateLimiter.getKey(req, policy).should.match(/:ip=1\.2\.3\.4$/);
+        });
+
+        it('should key the counters by user when the policy asks for it', function() {
+            var req = getRequest('/api/comments/new_comment', {session: {authentication: {user_id: 'user1'}}});
+            this.pb.RateLimiter.getKey(req, {key: 'user'}).should.match(/:user=user1$/);
+            this.pb.RateLimiter.getKey(getRequest('/api/comments/new_comment'), {key: 'user'}).should.match(/:ip=10\.0\.0\.1$/);
+        });
+    });
+
+    describe('RateLimiter.consume', function() {
+
+        it('should allow only the maximum of concurrent requests', function(next) {
+            var pb = this.pb;
+            var key = 'pb_rate_limit:consume-test-' + Date.now();
+            var now = Date.now();
+            var tasks = [];
+            for (var i = 0; i < 10; i++) {
+                tasks.push(function(callback) {
+                    pb.RateLimiter.consume(key, policy, now, callback);
+                });
+            }
+            async.parallel(tasks, function(err, results) {
+                should(err).eql(null);
+                results.filter(function(result) {
+                    return result.allowed;
+                }).length.should.eql(policy.max);
+                next();
+            });
+        });
+
+        it('should weigh the requests of the previous window', function(next) {
+            var pb = this.pb;
+            var key = 'pb_rate_limit:window-test-' + Date.now();
+            var start = 1000 * 60 * 60;
+
+            //fill the first window, then move to the middle of the next one
+            pb.RateLimiter.consume(key, policy, start, function() {
+                pb.RateLimiter.consume(key, policy, start, function() {
+                    pb.RateLimiter.consume(key, policy, start + 90000, function(err, result) {
+                        result.allowed.should.be.true();
+                        result.remaining.should.eql(0);
+
+                        pb.RateLimiter.consume(key, policy, start + 90000, function(err, result) {
+                            result.allowed.should.be.false();
+                            result.retryAfter.should.eql(30);
+                            next();
+                        });
+                    });
+                });
+            });
+        });
+    });
+
+    describe('RateLimiter.getRetryAfter', function() {
+
+        it('should wait until enough of the previous window slid out', function() {
+            this.pb.RateLimiter.getRetryAfter(0, 4, 0.25, policy).should.eql(30);
+        });
+
+        it('should wait for the next window when the current one is full', function() {
+            this.pb.RateLimiter.getRetryAfter(2, 0, 0.5, policy).should.eql(60);
+        });
+    });
+
+    describe('RateLimiter.check', function() {
+
+        it('should reject requests once the limit is reached', function(next) {
+            var pb = this.pb;
+            var path = '/check-test-' + Date.now();
+            var res = getResponse();
+            pb.RateLimiter.check(getRequest(path), res, function(err) {
+                should(err).eql(undefined);
+                res.headers['X-RateLimit-Limit'].should.eql(2);
+                res.headers['X-RateLimit-Remaining'].should.eql(1);
+
+                pb.RateLimiter.check(getRequest(path), res, function(err) {
+                    should(err).eql(undefined);
+                    res.headers['X-RateLimit-Remaining'].should.eql(0);
+
+                    pb.RateLimiter.check(getRequest(path), res, function(err) {
+                        err.code.should.eql(429);
+                        res.headers['Retry-After'].should.be.within(1, 90);
+
+                        //another client has its own counters
+                        var other = getRequest(path, {connection: {remoteAddress: '10.0.0.2'}});
+                        pb.RateLimiter.check(other, getResponse(), function(err) {
+                            should(err).eql(undefined);
+                            next();
+                        });
+                    });
+                });
+            });
+        });
+
+        it('should let the request through when the route is not limited', function(next) {
+            var res = getResponse();
+            this.pb.RateLimiter.check(getRequest('/', {themeRoute: {}}), res, function(err) {
+                should(err).eql(undefined);
+                res.headers.should.eql({});
+                next();
+            });
+        });
+
+        it('should let the request through when the cache fails', function(next) {
+            var pb = this.pb;
+            sandbox.stub(pb.RateLimiter, 'consume').callsArgWith(3, new Error('connection lost'));
+            pb.RateLimiter.check(getRequest('/cache-failure'), getResponse(), function(err) {
+                should(err).eql(undefined);
+                next();
+            });
+        });
+    });
+});
@@ -0,0 +1,166 @@
+'use strict';
+
+//dependencies
+var url = require('url');
+var should = require('should');
+var TestHelpers = require('../../../test_helpers.js');
+
+describe('ResponseCache', function() {
+
+    TestHelpers.registerReset(function(pb) {
+        pb.config.response_cache.enabled = true;
+    });
+    var sandbox = TestHelpers.registerSandbox();
+
+    var site = 'response-cache-test';
+    var getRequest = function(pb, path) {
+        return {
+            method: 'GET',
+            site: site,
+            session: {},
+            themeRoute: {cache_ttl: 60},
+            localizationService: {language: 'en-US'},
+            handler: {url: url.parse(path, true)},
+            router: {continueAfter: sandbox.spy()}
+        };
+    };
+
+    describe('ResponseCache.isCacheable', function() {
+
+        it('should allow an anonymous GET request to a route with a ttl', function() {
+            this.pb.ResponseCache.isCacheable(getRequest(this.pb, '/')).should.be.true();
+        });
+
+        [
+            {method: 'POST'},
+            {session: {authentication: {user_id: 'user1'}}},
+            {themeRoute: {}},
+            {themeRoute: {cache_ttl: 0}}
+        ].forEach(function(override) {
+
+            it('should not allow the request: ' + JSON.stringify(override), function() {
+                var req = Object.assign(getRequest(this.pb, '/'), override);
+                this.pb.ResponseCache.isCacheable(req).should.be.false();
+            });
+        });
+
+        it('should not allow a request with a query parameter that the route does not vary by', function() {
+            var req = getRequest(this.pb, '/article/a?x=' + Math.random());
+            this.pb.ResponseCache.isCacheable(req).should.be.false();
+
+            req.themeRoute.cache_query = ['page'];
+            this.pb.ResponseCache.isCacheable(req).should.be.false();
+            this.pb.ResponseCache.isCacheable(getRequest(this.pb, '/article/a?page=2')).should.be.false();
+
+            var paged = getRequest(this.pb, '/article/a?page=2');
+            paged.themeRoute.cache_query = ['page'];
+            this.pb.ResponseCache.isCacheable(paged).should.be.true();
+        });
+
+        it('should not allow any request when the cache is disabled', function() {
+            sandbox.stub(this.pb.config, 'response_cache', {enabled: false});
+            this.pb.ResponseCache.isCacheable(getRequest(this.pb, '/')).should.be.false();
+        });
+    });
+
+    describe('ResponseCache.getKey', function() {
+
+        it('should key the response by site, locale and path', function() {
+            var req = getRequest(this.pb, '/article/a');
+            this.pb.ResponseCache.getKey(req).should.eql('pb_response_cache:' + site + ':en-US:/article/a');
+        });
+
+        it('should key the response by the query parameters that the route varies by in order', function() {
+            var req = getRequest(this.pb, '/article/a?page=2&sort=new');
+            req.themeRoute.cache_query = ['sort', 'page'];
+            this.pb.ResponseCache.getKey(req).should.eql('pb_response_cache:' + site + ':en-US:/article/a?page=2&sort=new');
+        });
+    });
+
+    describe('ResponseCache.check', function() {
+
+        it('should store the rendered response and serve it to the next request', function(next) {
+            var pb = this.pb;
+            var req = getRequest(pb, '/check-test');
+            pb.ResponseCache.check(req, {}, function() {
+                req.responseCacheKey.should.eql(pb.ResponseCache.getKey(req));
+
+                req.controllerResult = {content: '<p>hello</p>', content_type: 'text/html'};
+                pb.ResponseCache.store(req, {}, function() {
+                    req.controllerResult.headers[pb.ResponseCache.HEADER].should.eql('MISS');
+
+                    setTimeout(function() {
+                        var cached = getRequest(pb, '/check-test');
+                        cached.router.continueAfter = function(name) {
+                            name.should.eql('render');
+                            cached.controllerResult.content.should.eql('<p>hello</p>');
+                            cached.controllerResult.content_type.should.eql('text/html');
+                            cached.controllerResult.headers[pb.ResponseCache.HEADER].should.eql('HIT');
+                            next();
+                        };
+                        pb.ResponseCache.check(cached, {}, function() {
+                            next(new Error('The cached response was not served'));
+                        });
+                    }, 10);
+                });
+            });
+        });
+
+        it('should not look up the response of an authenticated session', function(next) {
+            var req = getRequest(this.pb, '/auth-test');
+            req.session.authentication = {user_id: 'user1'};
+            var get = sandbox.spy(this.pb.cache, 'get');
+            this.pb.ResponseCache.check(req, {}, function() {
+                get.called.should.be.false();
+                should(req.responseCacheKey).eql(undefined);
+                next();
+            });
+        });
+    });
+
+    describe('ResponseCache.store', function() {
+
+        [
+            {code: 404, content: 'Not found'},
+            {redirect: '/elsewhere'},
+            {content: new Buffer('binary')}
+        ].forEach(function(result) {
+
+            it('should not store the result: ' + JSON.stringify(result), function(next) {
+                var req = getRequest(this.pb, '/store-test');
+                req.responseCacheKey = 'pb_response_cache:store-test';
+                req.controllerResult = result;
+                var multi = sandbox.spy(this.pb.cache, 'multi');
+                this.pb.ResponseCache.store(req, {}, function() {
+                    multi.called.should.be.false();
+                    next();
+                });
+            });
+        });
+    });
+
+    describe('ResponseCache.onContentChanged', function() {
+
+        it('should flush the responses of the site and notify the other processes', function(next) {
+            var pb = this.pb;
+            var send = sandbox.stub(pb.CommandService.prototype, 'sendCommandToAllGetResponses').callsArgWith(2, null, []);
+
+            var req = getRequest(pb, '/flush-test');
+            req.responseCacheKey = pb.ResponseCache.getKey(req);
+            req.controllerResult = {content: 'cached'};
+            pb.ResponseCache.store(req, {}, function() {
+                setTimeout(function() {
+                    pb.ResponseCache.onContentChanged({data: {site: site}}, function() {
+                        send.firstCall.args[0].should.eql(pb.ResponseCache.FLUSH_COMMAND);
+                        send.firstCall.args[1].should.eql({site: site, ignoreme: true});
+
+                        pb.cache.get(req.responseCacheKey, function(err, json) {
+                            should(json).eql(null);
+                            next();
+                        });
+                    });
+                }, 10);
+            });
+        });
+    });
+});
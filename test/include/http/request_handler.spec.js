@@ -8,6 +8,7 @@ var TestHelpers = require('../../test_helpers');
 describe('RequestHandler', function() {
 
     TestHelpers.registerReset();
+    var sandbox = TestHelpers.registerSandbox();
 
     describe('RequestHandler.getBodyParsers', function() {
 
@@ -55,6 +56,37 @@ describe('RequestHandler', function() {
         });
     });
 
+    describe('RequestHandler.getClientIp', function() {
+
+        var getRequest = function(forwardedFor) {
+            return {
+                headers: forwardedFor ? {'x-forwarded-for': forwardedFor} : {},
+                connection: {remoteAddress: '10.0.0.1'}
+            };
+        };
+
+        it('should ignore the X-Forwarded-For header when no proxy is trusted', function() {
+            this.pb.RequestHandler.getClientIp(getRequest('1.2.3.4')).should.eql('10.0.0.1');
+        });
+
+        it('should take the address appended by the trusted proxy', function() {
+            sandbox.stub(this.pb.config.server, 'trusted_proxies', 1);
+            this.pb.RequestHandler.getClientIp(getRequest('6.6.6.6, 1.2.3.4')).should.eql('1.2.3.4');
+        });
+
+        it('should count back by the number of trusted proxies', function() {
+            sandbox.stub(this.pb.config.server, 'trusted_proxies', 2);
+            this.pb.RequestHandler.getClientIp(getRequest('6.6.6.6, 1.2.3.4, 10.0.0.2')).should.eql('1.2.3.4');
+            this.pb.RequestHandler.getClientIp(getRequest('10.0.0.2')).should.eql('10.0.0.2');
+        });
+
+        it('should fall back to the peer when there is no header', function() {
+            sandbox.stub(this.pb.config.server, 'trusted_proxies', 1);
+            this.pb.RequestHandler.getClientIp(getRequest()).should.eql('10.0.0.1');
+            should(this.pb.RequestHandler.getClientIp(null)).eql(null);
+        });
+    });
+
     describe('RequestHandler.emitThemeRouteRetieved', function() {
 
         it('should emit the theme route retrieved to the listener and provide the proper context', function(done) {
@@ -80,6 +112,44 @@ describe('RequestHandler', function() {
         });
     });
 
+    describe('RequestHandler.serveError', function() {
+
+        var getHandler = function(pb, method, path) {
+            var reqHandler = new pb.RequestHandler(null, {method: method, url: path, headers: {}}, {});
+            reqHandler.url = url.parse(path, true);
+            reqHandler.siteObj = {uid: 'global', supportedLocales: {'en-US': true}};
+            return reqHandler;
+        };
+
+        var getNotFound = function() {
+            var err = new Error('NOT FOUND');
+            err.code = HttpStatusCodes.NOT_FOUND;
+            return err;
+        };
+
+        it('should redirect a request that is not found when it matches a redirect', function(done) {
+            var resolve = sandbox.stub(this.pb.RedirectService.prototype, 'resolve').callsArgWith(2, null, {location: '/article/new', code: 301});
+
+            var reqHandler = getHandler(this.pb, 'GET', '/en-US/article/old%20url?ref=home');
+            reqHandler.serveError(getNotFound(), {handler: function(data) {
+                resolve.firstCall.args[0].should.eql('/en-US/article/old url');
+                resolve.firstCall.args[1].locales.should.eql(['en-US']);
+                data.redirect.should.eql('/article/new?ref=home');
+                data.code.should.eql(301);
+                done();
+            }});
+        });
+
+        it('should not consult the redirects for a request that changes state', function() {
+            var resolve = sandbox.stub(this.pb.RedirectService.prototype, 'resolve');
+            sandbox.stub(this.pb.SettingServiceFactory, 'getService').returns({get: function(){}});
+
+            var reqHandler = getHandler(this.pb, 'POST', '/article/old');
+            reqHandler.serveError(getNotFound(), {handler: function(){}});
+            resolve.called.should.be.false();
+        });
+    });
+
     describe('buildControllerContext', function() {
 
         it('should build out the controller context and merge in any extra properties', function() {
@@ -0,0 +1,190 @@
+'use strict';
+
+//dependencies
+var should = require('should');
+var TestHelpers = require('../../test_helpers');
+
+describe('ApiKeyService', function() {
+
+    TestHelpers.registerReset();
+    var sandbox = TestHelpers.registerSandbox();
+
+    var site = 'api-key-test';
+    var userId = '507f1f77bcf86cd799439011';
+
+    /**
+     * Keeps the saved keys in memory
+     */
+    var stubSave = function(pb, keys) {
+        sandbox.stub(pb.DAO.prototype, 'count', function(type, where, cb) {
+            cb(null, keys.length);
+        });
+        sandbox.stub(pb.SiteQueryService.prototype, 'save', function(key, options, cb) {
+            key._id = 'k' + (keys.length + 1);
+            key.site = site;
+            keys.push(key);
+            cb(null, key);
+        });
+    };
+
+    describe('ApiKeyService.isValidSecret', function() {
+
+        it('should accept a generated key', function() {
+            var ApiKeyService = this.pb.ApiKeyService;
+            var secret = ApiKeyService.generateSecret();
+            secret.indexOf(ApiKeyService.KEY_PREFIX).should.eql(0);
+            ApiKeyService.isValidSecret(secret).should.be.true();
+            ApiKeyService.generateSecret().should.not.eql(secret);
+        });
+
+        [null, '', 'abc', 'pbk_', 'pbk_' + new Array(49).join('g'), 'xyz_' + new Array(49).join('a')].forEach(function(secret) {
+
+            it('should not accept ' + secret, function() {
+                this.pb.ApiKeyService.isValidSecret(secret).should.be.false();
+            });
+        });
+    });
+
+    describe('ApiKeyService.allowsMethod', function() {
+
+        [
+            [[], 'DELETE', true],
+            [['write'], 'POST', true],
+            [['read'], 'get', true],
+            [['read'], 'HEAD', true],
+            [['read'], 'POST', false],
+            [['read'], 'DELETE', false],
+            [['read', 'write'], 'PUT', true]
+        ].forEach(function(testCase) {
+
+            it('should ' + (testCase[2] ? '' : 'not ') + 'allow ' + testCase[1] + ' with the scopes ' + JSON.stringify(testCase[0]), function() {
+                this.pb.ApiKeyService.allowsMethod({scopes: testCase[0]}, testCase[1]).should.eql(testCase[2]);
+            });
+        });
+    });
+
+    describe('ApiKeyService.create', function() {
+
+        it('should store a hash of the key and provide the key once', function(next) {
+            var pb = this.pb;
+            var keys = [];
+            stubSave(pb, keys);
+
+            var service = new pb.ApiKeyService({site: site});
+            service.create(userId, {name: ' CI ', scopes: 'read', expires: '2999-01-01'}, function(err, key, secret) {
+                should(err).eql(null);
+                pb.ApiKeyService.isValidSecret(secret).should.be.true();
+                should(key.key_hash).eql(undefined);
+                key.name.should.eql('CI');
+                key.scopes.should.eql(['read']);
+                key.expires.getTime().should.eql(Date.parse('2999-01-01'));
+                secret.indexOf(key.prefix).should.eql(0);
+
+                keys[0].key_hash.should.eql(pb.ApiKeyService.hash(secret));
+                keys[0].user_id.should.eql(userId);
+                next();
+            });
+        });
+
+        [
+            {scopes: ['admin']},
+            {expires: '2001-01-01'},
+            {expires: 'not a date'},
+            {name: ''},
+            {name: new Array(102).join('a')}
+        ].forEach(function(override) {
+
+            it('should not create a key with ' + JSON.stringify(override), function(next) {
+                var pb = this.pb;
+                stubSave(pb, []);
+
+                var dto = Object.assign({name: 'CI'}, override);
+                new pb.ApiKeyService({site: site}).create(userId, dto, function(err) {
+                    err.code.should.eql(400);
+                    err.validationErrors.length.should.eql(1);
+                    next();
+                });
+            });
+        });
+
+        it('should limit the number of keys of a user', function(next) {
+            var pb = this.pb;
+            var keys = [];
+            stubSave(pb, keys);
+            sandbox.stub(pb.config.authentication, 'api_keys', {max_per_user: 1});
+
+            var service = new pb.ApiKeyService({site: site});
+            service.create(userId, {name: 'first'}, function(err) {
+                should(err).eql(null);
+                service.create(userId, {name: 'second'}, function(err) {
+                    err.validationErrors[0].message.should.match(/more than 1/);
+                    keys.length.should.eql(1);
+                    next();
+                });
+            });
+        });
+    });
+
+    describe('ApiKeyService.authenticate', function() {
+
+        var secret = 'pbk_' + new Array(49).join('b');
+        var stubLookup = function(pb, key) {
+            key = Object.assign({_id: 'k1', site: site, user_id: userId, scopes: [], expires: null, key_hash: pb.ApiKeyService.hash(secret)}, key);
+            sandbox.stub(pb.DAO.prototype, 'loadByValue', function(field, value, type, cb) {
+                cb(null, field === 'key_hash' && value === key.key_hash ? key : null);
+            });
+            sandbox.stub(pb.DAO.prototype, 'loadById').callsArgWith(2, null, {_id: userId, username: 'bot'});
+            return sandbox.stub(pb.DAO.prototype, 'updateFields').callsArgWith(3, null);
+        };
+
+        it('should provide the user of the key and record its use', function(next) {
+            var pb = this.pb;
+            var updateFields = stubLookup(pb, {});
+            new pb.ApiKeyService({site: site}).authenticate(secret, {method: 'POST', ip: '10.0.0.1'}, function(err, result) {
+                should(err).eql(null);
+                result.user.username.should.eql('bot');
+                should(result.key.key_hash).eql(undefined);
+                updateFields.calledOnce.should.be.true();
+                updateFields.firstCall.args[2].$set.last_used_ip.should.eql('10.0.0.1');
+                next();
+            });
+        });
+
+        it('should not record the use of a key that was used recently', function(next) {
+            var pb = this.pb;
+            var updateFields = stubLookup(pb, {last_used: new Date(), last_used_ip: '10.0.0.1'});
+            new pb.ApiKeyService({site: site}).authenticate(secret, {ip: '10.0.0.1'}, function(err, result) {
+                should(result).not.eql(null);
+                updateFields.called.should.be.false();
+                next();
+            });
+        });
+
+        [
+            ['an unknown key', {key_hash: 'other'}, {}],
+            ['an expired key', {expires: new Date(Date.now() - 1000)}, {}],
+            ['a key of another site', {site: 'another-site'}, {}],
+            ['a read only key', {scopes: ['read']}, {method: 'DELETE'}]
+        ].forEach(function(testCase) {
+
+            it('should not accept ' + testCase[0], function(next) {
+                var pb = this.pb;
+                stubLookup(pb, testCase[1]);
+                new pb.ApiKeyService({site: site}).authenticate(secret, testCase[2], function(err, result) {
+                    should(err).eql(null);
+                    should(result).eql(null);
+                    next();
+                });
+            });
+        });
+
+        it('should accept a key of the global site', function(next) {
+            var pb = this.pb;
+            stubLookup(pb, {site: pb.SiteService.GLOBAL_SITE});
+            new pb.ApiKeyService({site: site}).authenticate(secret, function(err, result) {
+                result.key._id.should.eql('k1');
+                next();
+            });
+        });
+    });
+});
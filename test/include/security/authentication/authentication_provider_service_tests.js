@@ -0,0 +1,70 @@
+'use strict';
+
+//dependencies
+var should = require('should');
+var TestHelpers = require('../../../test_helpers');
+
+describe('AuthenticationProviderService', function() {
+
+    TestHelpers.registerReset();
+
+    var ExternalProvider = function(options) {
+        this.options = options;
+    };
+    ExternalProvider.prototype.authenticate = function(credentials, cb) {
+        cb(null, null);
+    };
+    ExternalProvider.prototype.isEnabled = function() {
+        return true;
+    };
+    ExternalProvider.prototype.getDisplayName = function() {
+        return 'External';
+    };
+    ExternalProvider.prototype.createAuthorizationRequest = function(options, cb) {
+        cb(null, {url: 'https://idp.example.com', state: {}});
+    };
+
+    afterEach(function() {
+        this.pb.AuthenticationProviderService.unregisterProvider('external');
+    });
+
+    describe('AuthenticationProviderService.registerProvider', function() {
+
+        it('should reject a provider that cannot authenticate', function() {
+            this.pb.AuthenticationProviderService.registerProvider('external', function() {}).should.be.false();
+        });
+
+        it('should create an instance of the registered provider with the context', function() {
+            var AuthenticationProviderService = this.pb.AuthenticationProviderService;
+            AuthenticationProviderService.registerProvider('external', ExternalProvider).should.be.true();
+
+            var provider = AuthenticationProviderService.getProvider('external', {site: 'abc'});
+            provider.should.be.instanceOf(ExternalProvider);
+            provider.options.should.eql({site: 'abc', name: 'external'});
+        });
+    });
+
+    describe('AuthenticationProviderService.getProvider', function() {
+
+        it('should provide the built in providers', function() {
+            var pb = this.pb;
+            pb.AuthenticationProviderService.getProvider('form').should.be.instanceOf(pb.FormAuthentication);
+            pb.AuthenticationProviderService.getProvider('oidc').should.be.instanceOf(pb.OpenIdConnectAuthentication);
+        });
+
+        it('should provide null when the provider is not registered', function() {
+            should(this.pb.AuthenticationProviderService.getProvider('external')).eql(null);
+        });
+    });
+
+    describe('AuthenticationProviderService.getExternalProviders', function() {
+
+        it('should provide the enabled external providers', function() {
+            var AuthenticationProviderService = this.pb.AuthenticationProviderService;
+            AuthenticationProviderService.registerProvider('external', ExternalProvider);
+
+            //the OpenID Connect provider is disabled by default
+            AuthenticationProviderService.getExternalProviders({}).should.eql([{name: 'external', display_name: 'External'}]);
+        });
+    });
+});
@@ -0,0 +1,272 @@
+'use strict';
+
+//dependencies
+var url = require('url');
+var should = require('should');
+var TestHelpers = require('../../../test_helpers');
+var StubIdentityProvider = require('../../../stubs/stub_identity_provider');
+
+describe('OpenIdConnectAuthentication', function() {
+
+    TestHelpers.registerReset();
+    var sandbox = TestHelpers.registerSandbox();
+
+    var idp = new StubIdentityProvider();
+    before('Start the stub identity provider', function(next) {
+        idp.start(next);
+    });
+
+    after('Stop the stub identity provider', function(next) {
+        idp.stop(next);
+    });
+
+    afterEach(function() {
+        this.pb.OpenIdConnectAuthentication.clearCache();
+    });
+
+    describe('OpenIdConnectAuthentication.getCodeChallenge', function() {
+
+        it('should create the S256 code challenge', function() {
+            var verifier = 'dBjftJeZ4CVP-mB92K27uhbUJU1p1r_wW1gFWFOEjXk';
+            this.pb.OpenIdConnectAuthentication.getCodeChallenge(verifier).should.eql('E9Melhoa2OwvFrEMTJguCHaoeK1t8URWbuGJSstw-cM');
+        });
+    });
+
+    describe('OpenIdConnectAuthentication.decodeIdToken', function() {
+
+        it('should provide the claims of the token', function() {
+            var token = idp.createIdToken({sub: 'abc', name: 'Zoë'});
+            this.pb.OpenIdConnectAuthentication.decodeIdToken(token).should.eql({sub: 'abc', name: 'Zoë'});
+        });
+
+        [null, '', 'abc', 'a.b', 'a.b.c'].forEach(function(token) {
+
+            it('should provide null for a malformed token: ' + token, function() {
+                should(this.pb.OpenIdConnectAuthentication.decodeIdToken(token)).eql(null);
+            });
+        });
+    });
+
+    describe('OpenIdConnectAuthentication.validateClaims', function() {
+
+        var settings = {issuer: 'https://idp.example.com', client_id: 'pencilblue'};
+        var date = new Date(Date.UTC(2016, 0, 1));
+        var getClaims = function(overrides) {
+            var claims = {iss: settings.issuer, aud: 'pencilblue', sub: 'abc', exp: date.getTime() / 1000 + 60, nonce: 'n'};
+            Object.keys(overrides || {}).forEach(function(key) {
+                claims[key] = overrides[key];
+            });
+            return claims;
+        };
+
+        it('should accept valid claims', function() {
+            var OpenIdConnectAuthentication = this.pb.OpenIdConnectAuthentication;
+            should(OpenIdConnectAuthentication.validateClaims(getClaims(), settings, 'n', date)).eql(null);
+            should(OpenIdConnectAuthentication.validateClaims(getClaims({aud: ['other', 'pencilblue']}), settings, 'n', date)).eql(null);
+        });
+
+        [
+            {iss: 'https://evil.example.com'},
+            {aud: 'other'},
+            {exp: Date.UTC(2016, 0, 1) / 1000},
+            {nonce: 'x'},
+            {sub: ''}
+        ].forEach(function(overrides) {
+
+            it('should reject invalid claims: ' + JSON.stringify(overrides), function() {
+                this.pb.OpenIdConnectAuthentication.validateClaims(getClaims(overrides), settings, 'n', date).should.be.type('string');
+            });
+        });
+    });
+
+    describe('OpenIdConnectAuthentication.getAccessLevel', function() {
+
+        var settings = {roles_claim: 'groups', roles: {staff: 1, editors: 2, admins: 4}, default_access_level: null};
+
+        it('should provide the highest access level of the mapped roles', function() {
+            this.pb.OpenIdConnectAuthentication.getAccessLevel({groups: ['staff', 'admins', 'editors']}, settings).should.eql(4);
+            this.pb.OpenIdConnectAuthentication.getAccessLevel({groups: 'editors'}, settings).should.eql(2);
+        });
+
+        it('should provide null when the user has no mapped role and there is no default', function() {
+            should(this.pb.OpenIdConnectAuthentication.getAccessLevel({groups: ['others']}, settings)).eql(null);
+            should(this.pb.OpenIdConnectAuthentication.getAccessLevel({}, settings)).eql(null);
+        });
+
+        it('should provide the default access level when the user has no mapped role', function() {
+            var defaults = {roles_claim: 'groups', roles: {}, default_access_level: 0};
+            this.pb.OpenIdConnectAuthentication.getAccessLevel({groups: ['others']}, defaults).should.eql(0);
+        });
+    });
+
+    describe('OpenIdConnectAuthentication.getUsername', function() {
+
+        it('should prefer the preferred username then the email address', function() {
+            var OpenIdConnectAuthentication = this.pb.OpenIdConnectAuthentication;
+            OpenIdConnectAuthentication.getUsername({sub: 'abc', preferred_username: 'jdoe', email: 'jane@example.com'}).should.eql('jdoe');
+            OpenIdConnectAuthentication.getUsername({sub: 'abc', email: 'jane@example.com'}).should.eql('jane');
+            OpenIdConnectAuthentication.getUsername({sub: 'abc'}).should.eql('abc');
+        });
+    });
+
+    describe('OpenIdConnectAuthentication.createAuthorizationRequest', function() {
+
+        it('should create a PKCE authorization request from the discovered configuration', function(next) {
+            var OpenIdConnectAuthentication = this.pb.OpenIdConnectAuthentication;
+            var provider = new OpenIdConnectAuthentication({settings: idp.getSettings({redirect_uri: null})});
+            provider.createAuthorizationRequest({hostname: 'http://localhost:8080'}, function(err, result) {
+                should(err).eql(null);
+
+                var target = url.parse(result.url, true);
+                (target.protocol + '//' + target.host + target.pathname).should.eql(idp.issuer + '/authorize');
+                target.query.client_id.should.eql('pencilblue');
+                target.query.response_type.should.eql('code');
+                target.query.redirect_uri.should.eql('http://localhost:8080/actions/login/oidc/callback');
+                target.query.state.should.eql(result.state.state);
+                target.query.nonce.should.eql(result.state.nonce);
+                target.query.code_challenge_method.should.eql('S256');
+                target.query.code_challenge.should.eql(OpenIdConnectAuthentication.getCodeChallenge(result.state.code_verifier));
+                next();
+            });
+        });
+
+        it('should callback with an error when the issuer does not match', function(next) {
+            var provider = new this.pb.OpenIdConnectAuthentication({settings: idp.getSettings({issuer: idp.issuer + '/'})});
+            provider.createAuthorizationRequest({}, function(err) {
+                err.should.be.instanceOf(Error);
+                next();
+            });
+        });
+    });
+
+    describe('OpenIdConnectAuthentication.authenticate', function() {
+
+        var signIn = function(provider, accessLevel, cb) {
+            provider.createAuthorizationRequest({}, function(err, result) {
+                var params = idp.authorize(result.url);
+                provider.authenticate({code: params.code, state: params.state, request: result.state, access_level: accessLevel}, cb);
+            });
+        };
+
+        it('should exchange the code and map the claims onto a user', function(next) {
+            var provider = new this.pb.OpenIdConnectAuthentication({settings: idp.getSettings()});
+            var findUser = sandbox.stub(provider, 'findUser').callsArgWith(2, null, {username: 'jdoe'});
+
+            signIn(provider, this.pb.SecurityService.ACCESS_WRITER, function(err, user) {
+                should(err).eql(null);
+                user.should.eql({username: 'jdoe'});
+                findUser.calledOnce.should.be.true();
+                findUser.firstCall.args[0].sub.should.eql('user-1');
+                findUser.firstCall.args[0].email.should.eql('jane.doe@example.com');
+                findUser.firstCall.args[1].should.eql(1);
+                next();
+            });
+        });
+
+        it('should refuse users without the required access level', function(next) {
+            var provider = new this.pb.OpenIdConnectAuthentication({settings: idp.getSettings()});
+            var findUser = sandbox.stub(provider, 'findUser');
+
+            signIn(provider, this.pb.SecurityService.ACCESS_EDITOR, function(err, user) {
+                should(err).eql(null);
+                should(user).eql(null);
+                findUser.called.should.be.false();
+                next();
+            });
+        });
+
+        it('should callback with an error when the state does not match', function(next) {
+            var provider = new this.pb.OpenIdConnectAuthentication({settings: idp.getSettings()});
+            provider.authenticate({code: 'abc', state: 'forged', request: {state: 'expected'}}, function(err, user) {
+                err.should.be.instanceOf(Error);
+                should(user).eql(null);
+                next();
+            });
+        });
+
+        it('should callback with an error when the code verifier does not match', function(next) {
+            var provider = new this.pb.OpenIdConnectAuthentication({settings: idp.getSettings()});
+            provider.createAuthorizationRequest({}, function(err, result) {
+                var params = idp.authorize(result.url);
+                result.state.code_verifier = 'tampered';
+                provider.authenticate({code: params.code, state: params.state, request: result.state}, function(err) {
+                    err.should.be.instanceOf(Error);
+                    next();
+                });
+            });
+        });
+    });
+
+    describe('OpenIdConnectAuthentication.findUser', function() {
+
+        var claims = {sub: 'user-1', email: 'Jane.Doe@example.com', email_verified: true, preferred_username: 'jdoe'};
+
+        it('should sync the access level of a user that signed in before', function(next) {
+            var pb = this.pb;
+            var user = {_id: 'abc', username: 'jdoe', admin: 1, auth_provider: 'oidc', auth_subject: 'user-1'};
+            var loadByValues = sandbox.stub(pb.SiteQueryService.prototype, 'loadByValues').callsArgWith(2, null, user);
+            var updateFields = sandbox.stub(pb.DAO.prototype, 'updateFields').callsArgWith(3, null);
+
+            var provider = new pb.OpenIdConnectAuthentication({settings: idp.getSettings()});
+            provider.findUser(claims, 2, function(err, result) {
+                should(err).eql(null);
+                loadByValues.firstCall.args[0].should.eql({auth_provider: 'oidc', auth_subject: 'user-1'});
+                updateFields.firstCall.args[2].should.eql({$set: {admin: 2}});
+                result.admin.should.eql(2);
+                next();
+            });
+        });
+
+        it('should link a user with the same verified email address', function(next) {
+            var pb = this.pb;
+            var user = {_id: 'abc', username: 'jane', email: 'jane.doe@example.com', admin: 1};
+            var loadByValues = sandbox.stub(pb.SiteQueryService.prototype, 'loadByValues');
+            loadByValues.onFirstCall().callsArgWith(2, null, null);
+            loadByValues.onSecondCall().callsArgWith(2, null, user);
+            var updateFields = sandbox.stub(pb.DAO.prototype, 'updateFields').callsArgWith(3, null);
+
+            var provider = new pb.OpenIdConnectAuthentication({settings: idp.getSettings()});
+            provider.findUser(claims, 1, function(err, result) {
+                loadByValues.secondCall.args[0].should.eql({email: 'jane.doe@example.com'});
+                updateFields.firstCall.args[2].should.eql({$set: {admin: 1, auth_provider: 'oidc', auth_subject: 'user-1'}});
+                result.auth_subject.should.eql('user-1');
+                next();
+            });
+        });
+
+        it('should provision a user that has not signed in before', function(next) {
+            var pb = this.pb;
+            sandbox.stub(pb.SiteQueryService.prototype, 'loadByValues').callsArgWith(2, null, null);
+            sandbox.stub(pb.UserService.prototype, 'isUsernameInUse').callsArgWith(2, null, true);
+            var add = sandbox.stub(pb.UserService.prototype, 'add', function(dto, cb) {
+                cb(null, dto);
+            });
+
+            var provider = new pb.OpenIdConnectAuthentication({settings: idp.getSettings({link_by_email: false})});
+            provider.findUser(claims, 4, function(err, user) {
+                should(err).eql(null);
+                add.calledOnce.should.be.true();
+                add.firstCall.thisValue.context.site.should.eql(pb.SiteService.GLOBAL_SITE);
+                user.username.should.match(/^jdoe-[0-9a-f]{6}$/);
+                user.admin.should.eql(4);
+                user.auth_provider.should.eql('oidc');
+                user.auth_subject.should.eql('user-1');
+                user.password.should.be.type('string');
+                next();
+            });
+        });
+
+        it('should not provision users when provisioning is disabled', function(next) {
+            var pb = this.pb;
+            sandbox.stub(pb.SiteQueryService.prototype, 'loadByValues').callsArgWith(2, null, null);
+            var add = sandbox.stub(pb.UserService.prototype, 'add');
+
+            var provider = new pb.OpenIdConnectAuthentication({settings: idp.getSettings({provision: false})});
+            provider.findUser(claims, 1, function(err, user) {
+                should(user).eql(null);
+                add.called.should.be.false();
+                next();
+            });
+        });
+    });
+});
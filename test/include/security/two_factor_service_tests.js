@@ -0,0 +1,275 @@
+'use strict';
+
+//dependencies
+var should = require('should');
+var TestHelpers = require('../../test_helpers');
+
+describe('TwoFactorService', function() {
+
+    TestHelpers.registerReset();
+    var sandbox = TestHelpers.registerSandbox();
+
+    //the ASCII string "12345678901234567890" used by the RFC 6238 test vectors
+    var SECRET = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ';
+
+    describe('TwoFactorService.base32Encode', function() {
+
+        it('should encode the RFC 4648 test vectors', function() {
+            var TwoFactorService = this.pb.TwoFactorService;
+            TwoFactorService.base32Encode(Buffer.from('foobar')).should.eql('MZXW6YTBOI');
+            TwoFactorService.base32Encode(Buffer.from('12345678901234567890')).should.eql(SECRET);
+        });
+
+        it('should round trip through base32Decode', function() {
+            var TwoFactorService = this.pb.TwoFactorService;
+            var secret = TwoFactorService.generateSecret();
+            TwoFactorService.base32Encode(TwoFactorService.base32Decode(secret)).should.eql(secret);
+            TwoFactorService.base32Decode(secret.toLowerCase()).length.should.eql(20);
+        });
+    });
+
+    describe('TwoFactorService.generateCode', function() {
+
+        [
+            {time: 59, code: '287082'},
+            {time: 1111111109, code: '081804'},
+            {time: 1234567890, code: '005924'},
+            {time: 20000000000, code: '353130'}
+        ].forEach(function(vector) {
+
+            it('should generate the RFC 6238 code for ' + vector.time, function() {
+                var TwoFactorService = this.pb.TwoFactorService;
+                var counter = TwoFactorService.getCounter(new Date(vector.time * 1000));
+                TwoFactorService.generateCode(SECRET, counter).should.eql(vector.code);
+            });
+        });
+    });
+
+    describe('TwoFactorService.verifyCode', function() {
+
+        var date = new Date(1111111109 * 1000);
+
+        it('should provide the time step of a valid code', function() {
+            var TwoFactorService = this.pb.TwoFactorService;
+            TwoFactorService.verifyCode(SECRET, '081804', date).should.eql(37037036);
+            TwoFactorService.verifyCode(SECRET, '081 804', date).should.eql(37037036);
+        });
+
+        it('should accept the codes of adjacent time steps within the window', function() {
+            var TwoFactorService = this.pb.TwoFactorService;
+            var previous = TwoFactorService.generateCode(SECRET, 37037035);
+            var tooOld = TwoFactorService.generateCode(SECRET, 37037034);
+            TwoFactorService.verifyCode(SECRET, previous, date).should.eql(37037035);
+            should(TwoFactorService.verifyCode(SECRET, tooOld, date)).eql(null);
+        });
+
+        it('should reject codes for time steps that were already used', function() {
+            should(this.pb.TwoFactorService.verifyCode(SECRET, '081804', date, 37037036)).eql(null);
+        });
+
+        [null, '', '12345', '1234567', 'abcdef'].forEach(function(code) {
+
+            it('should reject an invalid code: ' + code, function() {
+                should(this.pb.TwoFactorService.verifyCode(SECRET, code, date)).eql(null);
+            });
+        });
+    });
+
+    describe('TwoFactorService.hashRecoveryCode', function() {
+
+        it('should ignore case, whitespace and dashes', function() {
+            var TwoFactorService = this.pb.TwoFactorService;
+            var hash = TwoFactorService.hashRecoveryCode('abcde-12345');
+            TwoFactorService.hashRecoveryCode(' ABCDE 12345 ').should.eql(hash);
+            TwoFactorService.hashRecoveryCode('abcde12345').should.eql(hash);
+            TwoFactorService.hashRecoveryCode('abcde-12346').should.not.eql(hash);
+        });
+    });
+
+    describe('TwoFactorService.generateRecoveryCodes', function() {
+
+        it('should generate the requested number of codes', function() {
+            var codes = this.pb.TwoFactorService.generateRecoveryCodes(10);
+            codes.length.should.eql(10);
+            codes.forEach(function(code) {
+                code.should.match(/^[0-9a-f]{5}-[0-9a-f]{5}$/);
+            });
+        });
+    });
+
+    describe('TwoFactorService.getOtpAuthUri', function() {
+
+        it('should create the URI understood by authenticator apps', function() {
+            this.pb.TwoFactorService.getOtpAuthUri(SECRET, 'jane doe', 'My Site').should.eql(
+                'otpauth://totp/My%20Site:jane%20doe?secret=' + SECRET + '&issuer=My%20Site&algorithm=SHA1&digits=6&period=30'
+            );
+        });
+    });
+
+    describe('TwoFactorService.isRequired', function() {
+
+        it('should only require editors and above when the site requires it', function() {
+            var pb = this.pb;
+            var settings = {require_two_factor: true};
+            pb.TwoFactorService.isRequired({admin: pb.SecurityService.ACCESS_EDITOR}, settings).should.be.true();
+            pb.TwoFactorService.isRequired({admin: pb.SecurityService.ACCESS_ADMINISTRATOR}, settings).should.be.true();
+            pb.TwoFactorService.isRequired({admin: pb.SecurityService.ACCESS_WRITER}, settings).should.be.false();
+            pb.TwoFactorService.isRequired({admin: pb.SecurityService.ACCESS_ADMINISTRATOR}, {require_two_factor: false}).should.be.false();
+        });
+    });
+
+    describe('TwoFactorService.getPendingLogin', function() {
+
+        it('should hold back the sign in of an enrolled user', function(next) {
+            var service = new this.pb.TwoFactorService();
+            sandbox.stub(service, 'getSettings').callsArgWith(0, null, {require_two_factor: false});
+
+            var user = {_id: 'abc', username: 'jane', two_factor: {enabled: true}};
+            service.getPendingLogin(user, true, function(err, pending) {
+                should(err).eql(null);
+                pending.should.eql({user_id: 'abc', username: 'jane', admin_attempt: true, enrol: false, attempts: 0});
+                next();
+            });
+        });
+
+        it('should ask an editor to enrol when the site requires it', function(next) {
+            var pb = this.pb;
+            var service = new pb.TwoFactorService();
+            sandbox.stub(service, 'getSettings').callsArgWith(0, null, {require_two_factor: true});
+
+            service.getPendingLogin({_id: 'abc', admin: pb.SecurityService.ACCESS_EDITOR}, false, function(err, pending) {
+                pending.enrol.should.be.true();
+                next();
+            });
+        });
+
+        it('should provide null when no second factor is needed', function(next) {
+            var service = new this.pb.TwoFactorService();
+            sandbox.stub(service, 'getSettings').callsArgWith(0, null, {require_two_factor: false});
+
+            service.getPendingLogin({_id: 'abc'}, false, function(err, pending) {
+                should(pending).eql(null);
+                next();
+            });
+        });
+    });
+
+    describe('TwoFactorService.enrol', function() {
+
+        it('should store the secret and the hashed recovery codes', function(next) {
+            var pb = this.pb;
+            var service = new pb.TwoFactorService();
+            var updateFields = sandbox.stub(service.dao, 'updateFields').callsArgWith(3, null);
+            var user = {_id: 'abc', username: 'jane'};
+            var code = pb.TwoFactorService.generateCode(SECRET, pb.TwoFactorService.getCounter());
+
+            service.enrol(user, SECRET, code, function(err, recoveryCodes) {
+                should(err).eql(null);
+                recoveryCodes.length.should.eql(pb.config.authentication.two_factor.recovery_codes);
+
+                var twoFactor = updateFields.firstCall.args[2].$set.two_factor;
+                twoFactor.enabled.should.be.true();
+                twoFactor.secret.should.eql(SECRET);
+                twoFactor.recovery_codes.should.eql(recoveryCodes.map(pb.TwoFactorService.hashRecoveryCode));
+                pb.TwoFactorService.isEnrolled(user).should.be.true();
+                next();
+            });
+        });
+
+        it('should callback with a validation error when the code is invalid', function(next) {
+            var service = new this.pb.TwoFactorService();
+            var updateFields = sandbox.stub(service.dao, 'updateFields');
+
+            service.enrol({_id: 'abc'}, SECRET, '000000x', function(err) {
+                err.code.should.eql(400);
+                updateFields.called.should.be.false();
+                next();
+            });
+        });
+    });
+
+    describe('TwoFactorService.verify', function() {
+
+        var getUser = function(pb) {
+            return {
+                _id: 'abc',
+                username: 'jane',
+                two_factor: {
+                    enabled: true,
+                    secret: SECRET,
+                    recovery_codes: [pb.TwoFactorService.hashRecoveryCode('abcde-12345')],
+                    last_counter: 0
+                }
+            };
+        };
+
+        it('should move the last used time step forward for a valid code', function(next) {
+            var pb = this.pb;
+            var service = new pb.TwoFactorService();
+            var updateFields = sandbox.stub(service.dao, 'updateFields').callsArgWith(3, null, {result: {nModified: 1}});
+            var counter = pb.TwoFactorService.getCounter();
+
+            service.verify(getUser(pb), pb.TwoFactorService.generateCode(SECRET, counter), function(err, isValid) {
+                should(err).eql(null);
+                isValid.should.be.true();
+                updateFields.firstCall.args[1]['two_factor.last_counter'].should.eql({$lt: counter});
+                updateFields.firstCall.args[2].should.eql({$set: {'two_factor.last_counter': counter}});
+                next();
+            });
+        });
+
+        it('should reject a code that was used concurrently', function(next) {
+            var pb = this.pb;
+            var service = new pb.TwoFactorService();
+            sandbox.stub(service.dao, 'updateFields').callsArgWith(3, null, {result: {nModified: 0}});
+
+            service.verify(getUser(pb), pb.TwoFactorService.generateCode(SECRET, pb.TwoFactorService.getCounter()), function(err, isValid) {
+                isValid.should.be.false();
+                next();
+            });
+        });
+
+        it('should remove a recovery code once it is used', function(next) {
+            var pb = this.pb;
+            var service = new pb.TwoFactorService();
+            var updateFields = sandbox.stub(service.dao, 'updateFields').callsArgWith(3, null, {result: {nModified: 1}});
+            var hash = pb.TwoFactorService.hashRecoveryCode('abcde-12345');
+
+            service.verify(getUser(pb), 'ABCDE-12345', function(err, isValid) {
+                isValid.should.be.true();
+                updateFields.firstCall.args[2].should.eql({$pull: {'two_factor.recovery_codes': hash}});
+                next();
+            });
+        });
+
+        it('should reject unknown codes and users that are not enrolled', function(next) {
+            var pb = this.pb;
+            var service = new pb.TwoFactorService();
+            var updateFields = sandbox.stub(service.dao, 'updateFields');
+
+            service.verify(getUser(pb), 'fffff-fffff', function(err, isValid) {
+                isValid.should.be.false();
+
+                service.verify({_id: 'abc'}, '123456', function(err, isValid) {
+                    isValid.should.be.false();
+                    updateFields.called.should.be.false();
+                    next();
+                });
+            });
+        });
+    });
+
+    describe('TwoFactorService.reset', function() {
+
+        it('should remove the second factor from the user', function(next) {
+            var service = new this.pb.TwoFactorService();
+            var updateFields = sandbox.stub(service.dao, 'updateFields').callsArgWith(3, null);
+
+            service.reset('abc', function(err) {
+                should(err).eql(null);
+                updateFields.firstCall.args[2].should.eql({$unset: {two_factor: ''}});
+                next();
+            });
+        });
+    });
+});
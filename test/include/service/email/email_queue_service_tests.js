@@ -0,0 +1,99 @@
+'use strict';
+
+//dependencies
+var should = require('should');
+var TestHelpers = require('../../../test_helpers');
+
+describe('EmailQueueService', function() {
+
+    TestHelpers.registerReset();
+    var sandbox = TestHelpers.registerSandbox();
+
+    describe('EmailQueueService.getNextAttempt', function() {
+
+        it('should double the delay with each attempt', function() {
+            var backoff = this.pb.config.email.queue.backoff;
+            var date = new Date(0);
+
+            this.pb.EmailQueueService.getNextAttempt(1, date).getTime().should.eql(backoff);
+            this.pb.EmailQueueService.getNextAttempt(2, date).getTime().should.eql(backoff * 2);
+            this.pb.EmailQueueService.getNextAttempt(4, date).getTime().should.eql(backoff * 8);
+        });
+    });
+
+    describe('EmailQueueService.getFailureUpdates', function() {
+
+        it('should schedule the next attempt', function() {
+            var updates = this.pb.EmailQueueService.getFailureUpdates({attempts: 1}, new Error('timeout'));
+            updates.attempts.should.eql(2);
+            updates.last_error.should.eql('timeout');
+            updates.next_attempt.should.be.instanceof(Date);
+            should(updates.status).eql(undefined);
+        });
+
+        it('should mark the message as failed once the attempts are exhausted', function() {
+            var maxAttempts = this.pb.config.email.queue.max_attempts;
+            var updates = this.pb.EmailQueueService.getFailureUpdates({attempts: maxAttempts - 1}, new Error('timeout'));
+            updates.attempts.should.eql(maxAttempts);
+            updates.status.should.eql(this.pb.EmailQueueService.STATUS_FAILED);
+            should(updates.next_attempt).eql(undefined);
+        });
+    });
+
+    describe('EmailQueueJobRunner.deliver', function() {
+
+        it('should remove a message once it is delivered', function(next) {
+            var pb = this.pb;
+            sandbox.stub(pb.EmailService.prototype, 'deliver').callsArgWith(1, null, {});
+
+            var job = new pb.EmailQueueJobRunner();
+            var removed = null;
+            job.queueService = {
+                onDelivered: function(item, cb) {
+                    removed = item;
+                    cb(null, true);
+                }
+            };
+
+            var item = {site: 'global', attempts: 1, message: {to: 'b@test.com'}};
+            job.deliver(item, function(err, result) {
+                should(err).eql(null);
+                result.should.be.true();
+                removed.should.equal(item);
+                next();
+            });
+        });
+
+        it('should reschedule a message when delivery fails', function(next) {
+            var pb = this.pb;
+            sandbox.stub(pb.EmailService.prototype, 'deliver').callsArgWith(1, new Error('connection refused'));
+
+            var job = new pb.EmailQueueJobRunner();
+            var failed = null;
+            job.queueService = {
+                onFailed: function(item, err, cb) {
+                    failed = err;
+                    cb(null, true);
+                }
+            };
+
+            job.deliver({site: 'global', attempts: 1, message: {to: 'b@test.com'}}, function(err, result) {
+                should(err).eql(null);
+                result.should.be.false();
+                failed.message.should.eql('connection refused');
+                next();
+            });
+        });
+    });
+
+    describe('EmailQueueJobRunner.processResults', function() {
+
+        it('should count the delivered and failed messages', function(next) {
+            var job = new this.pb.EmailQueueJobRunner();
+            job.processResults(null, [true, false, true], function(err, result) {
+                result.should.eql({delivered: 2, failed: 1});
+                next();
+            });
+        });
+    });
+});
@@ -4,6 +4,7 @@
 var should = require('should');
 var pb = {};
 pb.DAO = require('../../../../../include/dao/dao.js')(pb);
+pb.WhereParser = require('../../../../../include/dao/where_parser.js')(pb);
 pb.BaseObjectService = require('../../../../../include/service/base_object_service.js')(pb);
 pb.ValidationService = require('../../../../../include/validation/validation_service.js')(pb);
 pb.ContentObjectService = require('../../../../../include/service/entities/content/content_object_service.js')(pb);
@@ -93,6 +94,44 @@ describe('ArticleServiceV2', function () {
 
 
         });
+
+        it('should allow an expiry date after the publish date', function (next) {
+            var article = getArticle();
+            article.publish_date = pb.BaseObjectService.getDate(article.publish_date);
+            article.expiry_date = new Date(article.publish_date.getTime() + 1000);
+
+            var context = getValidationContext(article);
+            ArticleServiceV2.validate(context, function () {
+                context.validationErrors.length.should.eql(0);
+                next();
+            });
+        });
+
+        it('should find an error when the expiry date is not after the publish date', function (next) {
+            var article = getArticle();
+            article.publish_date = pb.BaseObjectService.getDate(article.publish_date);
+            article.expiry_date = new Date(article.publish_date.getTime());
+
+            var context = getValidationContext(article);
+            ArticleServiceV2.validate(context, function () {
+                context.validationErrors.length.should.eql(1);
+                context.validationErrors[0].field.should.eql("expiry_date");
+                next();
+            });
+        });
+
+        it('should find an error when the expiry date is not a date', function (next) {
+            var article = getArticle();
+            article.publish_date = pb.BaseObjectService.getDate(article.publish_date);
+            article.expiry_date = "tomorrow";
+
+            var context = getValidationContext(article);
+            ArticleServiceV2.validate(context, function () {
+                context.validationErrors.length.should.eql(1);
+                context.validationErrors[0].field.should.eql("expiry_date");
+                next();
+            });
+        });
     });
 });
 
@@ -114,6 +153,19 @@ var getArticle = function () {
         meta_desc: "This is a test article",
         url: "http://test-size.com/article/test-article",
         publish_date: "2015-09-08T01:55:28+00:00", // ISO Format
+        expiry_date: null,
         meta_keywords: ["Keyword One", "Keyword Two", "Keyword Three"]
     };
 };
+
+var getValidationContext = function (article) {
+    return {
+        validationErrors: [],
+        data: article,
+        service: {
+            validateHeadline: function(context, cb) {
+                cb();
+            }
+        }
+    };
+};
@@ -115,4 +115,64 @@ describe('ContentObjectService', function() {
             });
         });
     });
+
+    describe('ContentObjectService.setPublishedClause', function() {
+
+        it('should exclude drafts, future content and expired content', function() {
+            var where = {};
+            this.pb.ContentObjectService.setPublishedClause(where);
+
+            where.draft.should.eql({$nin: [1, true]});
+            where.publish_date.$lte.should.be.instanceOf(Date);
+            where.$or.length.should.eql(2);
+            should(where.$or[0]).eql({expiry_date: null});
+            where.$or[1].expiry_date.$gt.should.eql(where.publish_date.$lte);
+        });
+    });
+
+    describe('ContentObjectService.setExpiryClause', function() {
+
+        it('should add an $or condition when one does not exist', function() {
+            var date = new Date();
+            var where = {};
+            this.pb.ContentObjectService.setExpiryClause(where, date);
+            where.should.eql({$or: [{expiry_date: null}, {expiry_date: {$gt: date}}]});
+        });
+
+        it('should combine with an existing $or condition', function() {
+            var date = new Date();
+            var existing = [{url: 'abc'}, {_id: 'abc'}];
+            var where = {$or: existing, $and: [{draft: 0}]};
+            this.pb.ContentObjectService.setExpiryClause(where, date);
+
+            should(where.$or).eql(undefined);
+            where.$and.should.eql([
+                {draft: 0},
+                {$or: existing},
+                {$or: [{expiry_date: null}, {expiry_date: {$gt: date}}]}
+            ]);
+        });
+    });
+
+    describe('ContentObjectService.isExpired', function() {
+
+        [null, undefined, {}, {expiry_date: null}, {expiry_date: '2015-01-01'}].forEach(function(content) {
+
+            it('should not consider content expired when no valid expiry date is set: ' + JSON.stringify(content), function() {
+                this.pb.ContentObjectService.isExpired(content).should.be.false();
+            });
+        });
+
+        it('should consider content expired once the expiry date has passed', function() {
+            var now = new Date();
+            var content = {expiry_date: new Date(now.getTime() - 1)};
+            this.pb.ContentObjectService.isExpired(content, now).should.be.true();
+
+            content.expiry_date = now;
+            this.pb.ContentObjectService.isExpired(content, now).should.be.true();
+
+            content.expiry_date = new Date(now.getTime() + 1);
+            this.pb.ContentObjectService.isExpired(content, now).should.be.false();
+        });
+    });
 });
@@ -0,0 +1,62 @@
+'use strict';
+
+//dependencies
+var should = require('should');
+var TestHelpers = require('../../../../test_helpers');
+
+describe('HeuristicCommentSpamChecker', function() {
+
+    TestHelpers.registerReset();
+
+    describe('HeuristicCommentSpamChecker.checkContent', function() {
+
+        it('should allow ordinary content', function() {
+            should(this.pb.HeuristicCommentSpamChecker.checkContent('Great article, see http://example.com')).eql(null);
+        });
+
+        it('should flag content with too many links', function() {
+            var content = 'http://a.com https://b.com www.c.com';
+            this.pb.HeuristicCommentSpamChecker.checkContent(content).should.eql('Too many links');
+        });
+
+        it('should flag content that contains a blacklisted word', function() {
+            this.pb.config.comments.spam.blacklist = ['cheap pills'];
+            this.pb.HeuristicCommentSpamChecker.checkContent('Buy CHEAP Pills now').should.eql('Contains the blacklisted word: cheap pills');
+            this.pb.config.comments.spam.blacklist = [];
+        });
+    });
+
+    describe('HeuristicCommentSpamChecker.check', function() {
+
+        it('should flag an address that has exceeded the rate limit', function(next) {
+            var max = this.pb.config.comments.spam.rate_limit.max;
+            var checker = new this.pb.HeuristicCommentSpamChecker({});
+            checker.dao = {
+                count: function(type, where, cb) {
+                    type.should.eql('comment');
+                    where.ip.should.eql('10.0.0.1');
+                    where.created.$gte.should.be.instanceof(Date);
+                    cb(null, max);
+                }
+            };
+            checker.check({content: 'Hello', ip: '10.0.0.1'}, function(err, result) {
+                should(err).eql(null);
+                result.spam.should.be.true();
+                next();
+            });
+        });
+
+        it('should skip the rate limit when the address is unknown', function(next) {
+            var checker = new this.pb.HeuristicCommentSpamChecker({});
+            checker.dao = {
+                count: function() {
+                    throw new Error('The comments should not be counted');
+                }
+            };
+            checker.check({content: 'Hello', ip: null}, function(err, result) {
+                result.should.eql({spam: false, reason: null});
+                next();
+            });
+        });
+    });
+});
@@ -0,0 +1,137 @@
+'use strict';
+
+//dependencies
+var should = require('should');
+var TestHelpers = require('../../../../test_helpers');
+
+describe('MediaFolderService', function() {
+
+    TestHelpers.registerReset();
+    var sandbox = TestHelpers.registerSandbox();
+
+    var getFolders = function() {
+        return [
+            {_id: 'c', name: 'Gamma', parent: 'a'},
+            {_id: 'a', name: 'Alpha', parent: null},
+            {_id: 'b', name: 'Beta', parent: null},
+            {_id: 'd', name: 'Delta', parent: 'c'},
+            {_id: 'e', name: 'Orphan', parent: 'missing'}
+        ];
+    };
+
+    describe('MediaFolderService.buildTree', function() {
+
+        it('should nest folders beneath their parent', function() {
+            var tree = this.pb.MediaFolderService.buildTree(getFolders());
+            tree.map(function(folder) { return folder._id; }).should.eql(['a', 'b', 'e']);
+            tree[0].children[0]._id.should.eql('c');
+            tree[0].children[0].children[0]._id.should.eql('d');
+            tree[1].children.should.eql([]);
+        });
+    });
+
+    describe('MediaFolderService.getFolderOptions', function() {
+
+        it('should order the folders depth first and indent sub-folders', function() {
+            var MediaFolderService = this.pb.MediaFolderService;
+            var options = MediaFolderService.getFolderOptions(MediaFolderService.buildTree(getFolders()));
+            options.should.eql([
+                {_id: 'a', name: 'Alpha'},
+                {_id: 'c', name: '— Gamma'},
+                {_id: 'd', name: '— — Delta'},
+                {_id: 'b', name: 'Beta'},
+                {_id: 'e', name: 'Orphan'}
+            ]);
+        });
+    });
+
+    describe('MediaFolderService.validate', function() {
+
+        var folders = {
+            '507f1f77bcf86cd799439011': {name: 'Alpha', parent: null},
+            '507f1f77bcf86cd799439012': {name: 'Gamma', parent: '507f1f77bcf86cd799439011'}
+        };
+
+        var validate = function(pb, data, cb) {
+            var service = new pb.MediaFolderService({});
+            var context = {data: data, service: service, validationErrors: []};
+            pb.MediaFolderService.validate(context, cb);
+        };
+
+        beforeEach(function() {
+            sandbox.stub(this.pb.SiteQueryService.prototype, 'loadById', function(id, type, cb) {
+                cb(null, folders[id] || null);
+            });
+        });
+
+        it('should accept a folder with a valid parent and a unique name', function(next) {
+            sandbox.stub(this.pb.SiteQueryService.prototype, 'exists').callsArgWith(2, null, false);
+            validate(this.pb, {name: 'Delta', parent: '507f1f77bcf86cd799439012'}, function(err, errors) {
+                should(err).eql(null);
+                errors.should.eql([]);
+                next();
+            });
+        });
+
+        it('should reject a name that is used by a sibling', function(next) {
+            var exists = sandbox.stub(this.pb.SiteQueryService.prototype, 'exists').callsArgWith(2, null, true);
+            validate(this.pb, {name: 'alpha', parent: null}, function(err, errors) {
+                errors.length.should.eql(1);
+                errors[0].field.should.eql('name');
+                exists.firstCall.args[1].name.test('ALPHA').should.be.true();
+                next();
+            });
+        });
+
+        it('should reject a parent that does not exist', function(next) {
+            validate(this.pb, {name: 'Delta', parent: '507f1f77bcf86cd799439099'}, function(err, errors) {
+                errors.length.should.eql(1);
+                errors[0].field.should.eql('parent');
+                next();
+            });
+        });
+
+        it('should reject a folder that is placed within itself', function(next) {
+            var data = {_id: '507f1f77bcf86cd799439011', name: 'Alpha', parent: '507f1f77bcf86cd799439012'};
+            validate(this.pb, data, function(err, errors) {
+                errors.length.should.eql(1);
+                errors[0].field.should.eql('parent');
+                next();
+            });
+        });
+
+        it('should require a name', function(next) {
+            validate(this.pb, {name: '', parent: null}, function(err, errors) {
+                errors.length.should.eql(1);
+                errors[0].field.should.eql('name');
+                next();
+            });
+        });
+    });
+
+    describe('MediaFolderService.beforeDelete', function() {
+
+        it('should refuse to delete a folder that contains media', function(next) {
+            var exists = sandbox.stub(this.pb.SiteQueryService.prototype, 'exists');
+            exists.onFirstCall().callsArgWith(2, null, false);
+            exists.onSecondCall().callsArgWith(2, null, true);
+
+            var service = new this.pb.MediaFolderService({});
+            this.pb.MediaFolderService.beforeDelete({data: {_id: 'a'}, service: service}, function(err) {
+                err.code.should.eql(400);
+                exists.secondCall.args.slice(0, 2).should.eql(['media', {media_folder: 'a'}]);
+                next();
+            });
+        });
+
+        it('should allow an empty folder to be deleted', function(next) {
+            sandbox.stub(this.pb.SiteQueryService.prototype, 'exists').callsArgWith(2, null, false);
+
+            var service = new this.pb.MediaFolderService({});
+            this.pb.MediaFolderService.beforeDelete({data: {_id: 'a'}, service: service}, function(err) {
+                should(err).eql(null);
+                next();
+            });
+        });
+    });
+});
@@ -281,6 +281,24 @@ describe('MediaServiceV2', function() {
         });
     });
 
+    describe('MediaServiceV2.formatTags', function() {
+
+        it('should provide an empty array when no tags are provided', function() {
+            MediaServiceV2.formatTags(null).should.eql([]);
+            MediaServiceV2.formatTags(undefined).should.eql([]);
+        });
+
+        it('should split, trim, lower case and remove duplicate tags', function() {
+            MediaServiceV2.formatTags(' Beach, sunset,,beach ').should.eql(['beach', 'sunset']);
+            MediaServiceV2.formatTags(['Beach', ' ', 'SUNSET']).should.eql(['beach', 'sunset']);
+        });
+
+        it('should leave values that are not tags for validation', function() {
+            MediaServiceV2.formatTags(5).should.eql(5);
+            MediaServiceV2.formatTags(['a', 1]).should.eql(['a', 1]);
+        });
+    });
+
     describe('MediaService Renderer Registration', function() {
 
         it('should successfully register and unregister a provider', function() {
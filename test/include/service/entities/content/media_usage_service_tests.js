@@ -0,0 +1,145 @@
+'use strict';
+
+//dependencies
+var should = require('should');
+var TestHelpers = require('../../../../test_helpers');
+
+describe('MediaUsageService', function() {
+
+    TestHelpers.registerReset();
+    var sandbox = TestHelpers.registerSandbox();
+
+    var getArticle = function() {
+        return {
+            _id: 'abc123',
+            object_type: 'article',
+            headline: 'Growing Tomatoes',
+            url: 'growing-tomatoes',
+            subheading: 'With ^media_display_m2/position:left^',
+            article_layout: '<p>^media_display_m1/position:center,maxWidth:100px^</p><p>^media_display_m2^</p>',
+            article_media: ['m3', 'm1']
+        };
+    };
+
+    describe('MediaUsageService.getMediaIds', function() {
+
+        it('should find the related media and the media flags in every field', function() {
+            this.pb.MediaUsageService.getMediaIds('article', getArticle()).sort().should.eql(['m1', 'm2', 'm3']);
+        });
+
+        it('should scan the fields of custom objects', function() {
+            var obj = {name: 'Team', bio: '^media_display_m4^', title: 'Ms'};
+            this.pb.MediaUsageService.getMediaIds('custom_object', obj).should.eql(['m4']);
+        });
+    });
+
+    describe('MediaUsageService.buildEntry', function() {
+
+        it('should describe the content that references the media', function() {
+            this.pb.MediaUsageService.buildEntry('page', {_id: 'p1', headline: 'About', url: 'about', page_media: ['m1']}).should.eql({
+                content_id: 'p1',
+                content_type: 'page',
+                custom_object_type: undefined,
+                headline: 'About',
+                url: 'about',
+                media: ['m1']
+            });
+        });
+
+        it('should provide null when no media is referenced', function() {
+            should(this.pb.MediaUsageService.buildEntry('page', {_id: 'p1', headline: 'About'})).eql(null);
+        });
+    });
+
+    describe('MediaUsageService.indexObject', function() {
+
+        it('should replace the existing entry of the content', function(next) {
+            sandbox.stub(this.pb.SiteQueryService.prototype, 'loadByValues').callsArgWith(2, null, {_id: 'e1', created: 'then'});
+            var save = sandbox.stub(this.pb.SiteQueryService.prototype, 'save', function(entry, cb) {
+                cb(null, entry);
+            });
+
+            var service = new this.pb.MediaUsageService({});
+            service.indexObject('article', getArticle(), function(err, entry) {
+                should(err).eql(null);
+                save.calledOnce.should.be.true();
+                entry._id.should.eql('e1');
+                entry.created.should.eql('then');
+                entry.object_type.should.eql('media_usage');
+                entry.media.length.should.eql(3);
+                next();
+            });
+        });
+
+        it('should remove the entry when the content no longer references media', function(next) {
+            var remove = sandbox.stub(this.pb.SiteQueryService.prototype, 'delete').callsArgWith(2, null, 1);
+            var save = sandbox.stub(this.pb.SiteQueryService.prototype, 'save');
+
+            var service = new this.pb.MediaUsageService({});
+            service.indexObject('article', {_id: 'abc123', headline: 'Nothing'}, function(err, entry) {
+                should(entry).eql(null);
+                remove.firstCall.args.slice(0, 2).should.eql([{content_id: 'abc123'}, 'media_usage']);
+                save.called.should.be.false();
+                next();
+            });
+        });
+
+        it('should ignore content that is not tracked', function(next) {
+            var save = sandbox.stub(this.pb.SiteQueryService.prototype, 'save');
+
+            var service = new this.pb.MediaUsageService({});
+            service.indexObject('topic', {_id: 't1', name: '^media_display_m1^'}, function(err, entry) {
+                should(entry).eql(null);
+                save.called.should.be.false();
+                next();
+            });
+        });
+    });
+
+    describe('MediaUsageService.indexAll', function() {
+
+        it('should load the objects in batches ordered by ID', function(next) {
+            var pb = this.pb;
+            var objects = [];
+            for (var i = 0; i < 150; i++) {
+                objects.push({_id: 1000 + i, headline: 'Article ' + i, article_media: i % 2 === 0 ? ['m1'] : []});
+            }
+            var q = sandbox.stub(pb.SiteQueryService.prototype, 'q', function(type, opts, cb) {
+                var lastId = opts.where._id ? opts.where._id.$gt : 0;
+                cb(null, objects.filter(function(obj) {
+                    return obj._id > lastId;
+                }).slice(0, opts.limit));
+            });
+            var index = sandbox.stub(pb.MediaUsageService.prototype, 'indexObject', function(type, obj, cb) {
+                cb(null, obj.article_media.length ? {} : null);
+            });
+
+            new pb.MediaUsageService({}).indexAll('article', function(err, count) {
+                should(err).eql(null);
+                count.should.eql(75);
+                index.callCount.should.eql(150);
+                q.callCount.should.eql(2);
+                q.firstCall.args[1].should.eql({where: {}, order: [['_id', pb.DAO.ASC]], limit: 100});
+                q.secondCall.args[1].where.should.eql({_id: {$gt: 1099}});
+                next();
+            });
+        });
+    });
+
+    describe('MediaUsageService.getUsage', function() {
+
+        it('should look up the entries that reference the media', function(next) {
+            var q = sandbox.stub(this.pb.SiteQueryService.prototype, 'q').callsArgWith(2, null, [
+                {_id: 'e1', content_id: 'abc123', content_type: 'article', headline: 'Growing Tomatoes', url: 'growing-tomatoes'}
+            ]);
+
+            var service = new this.pb.MediaUsageService({});
+            service.getUsage('m1', function(err, usage) {
+                should(err).eql(null);
+                q.firstCall.args[1].where.should.eql({media: 'm1'});
+                usage.should.eql([{content_id: 'abc123', content_type: 'article', headline: 'Growing Tomatoes', url: 'growing-tomatoes'}]);
+                next();
+            });
+        });
+    });
+});
@@ -4,6 +4,7 @@
 var should = require('should');
 var pb = {};
 pb.DAO = require('../../../../../include/dao/dao.js')(pb);
+pb.WhereParser = require('../../../../../include/dao/where_parser.js')(pb);
 pb.BaseObjectService = require('../../../../../include/service/base_object_service.js')(pb);
 pb.ValidationService = require('../../../../../include/validation/validation_service.js')(pb);
 pb.ContentObjectService = require('../../../../../include/service/entities/content/content_object_service.js')(pb);
@@ -92,6 +93,44 @@ describe('PageService', function () {
                 next();
             });
         });
+
+        it('should allow an expiry date after the publish date', function (next) {
+            var page = getPage();
+            page.publish_date = pb.BaseObjectService.getDate(page.publish_date);
+            page.expiry_date = new Date(page.publish_date.getTime() + 1000);
+
+            var context = getValidationContext(page);
+            PageService.validate(context, function () {
+                context.validationErrors.length.should.eql(0);
+                next();
+            });
+        });
+
+        it('should find an error when the expiry date is not after the publish date', function (next) {
+            var page = getPage();
+            page.publish_date = pb.BaseObjectService.getDate(page.publish_date);
+            page.expiry_date = new Date(page.publish_date.getTime());
+
+            var context = getValidationContext(page);
+            PageService.validate(context, function () {
+                context.validationErrors.length.should.eql(1);
+                context.validationErrors[0].field.should.eql("expiry_date");
+                next();
+            });
+        });
+
+        it('should find an error when the expiry date is not a date', function (next) {
+            var page = getPage();
+            page.publish_date = pb.BaseObjectService.getDate(page.publish_date);
+            page.expiry_date = "tomorrow";
+
+            var context = getValidationContext(page);
+            PageService.validate(context, function () {
+                context.validationErrors.length.should.eql(1);
+                context.validationErrors[0].field.should.eql("expiry_date");
+                next();
+            });
+        });
     });
 });
 
@@ -112,6 +151,19 @@ var getPage = function () {
         meta_desc: "This is a test page",
         url: "http://test-size.com/page/test-page",
         publish_date: "2015-09-08T01:55:28+00:00", // ISO Format
+        expiry_date: null,
         meta_keywords: ["Keyword One", "Keyword Two", "Keyword Three"]
     };
 };
+
+var getValidationContext = function (page) {
+    return {
+        validationErrors: [],
+        data: page,
+        service: {
+            validateHeadline: function(context, cb) {
+                cb();
+            }
+        }
+    };
+};
@@ -0,0 +1,166 @@
+'use strict';
+
+//dependencies
+var should = require('should');
+var TestHelpers = require('../../../../test_helpers');
+
+describe('RevisionService', function() {
+
+    TestHelpers.registerReset();
+
+    describe('RevisionService constructor', function() {
+
+        it('should throw when the type is not tracked', function() {
+            var RevisionService = this.pb.RevisionService;
+            (function() {
+                new RevisionService({type: 'not_tracked'});
+            }).should.throwError();
+        });
+
+        it('should track articles and pages', function() {
+            this.pb.RevisionService.isTracked('article').should.be.true();
+            this.pb.RevisionService.isTracked('page').should.be.true();
+        });
+    });
+
+    describe('RevisionService.createSnapshot', function() {
+
+        it('should exclude the fields managed by the persistence layer', function() {
+            var obj = {
+                _id: 'abc',
+                id: 'abc',
+                object_type: 'article',
+                site: 'global',
+                created: new Date(),
+                last_modified: new Date(),
+                headline: 'Hello',
+                draft: 0
+            };
+            this.pb.RevisionService.createSnapshot(obj).should.eql({headline: 'Hello', draft: 0});
+        });
+    });
+
+    describe('RevisionService.compare', function() {
+
+        it('should provide an empty array when the snapshots are equal', function() {
+            var date = new Date();
+            var a = {headline: 'Hello', article_topics: ['1', '2'], publish_date: date};
+            var b = {headline: 'Hello', article_topics: ['1', '2'], publish_date: new Date(date.getTime())};
+            this.pb.RevisionService.compare(a, b).should.eql([]);
+        });
+
+        it('should describe changed, added and removed fields', function() {
+            var a = {headline: 'Hello', subheading: 'World'};
+            var b = {headline: 'Goodbye', seo_title: 'Bye'};
+            this.pb.RevisionService.compare(a, b).should.eql([
+                {field: 'headline', from: 'Hello', to: 'Goodbye'},
+                {field: 'seo_title', from: null, to: 'Bye'},
+                {field: 'subheading', from: 'World', to: null}
+            ]);
+        });
+    });
+
+    describe('RevisionService.getAuthor', function() {
+
+        [null, undefined, {}, {session: {}}, {session: {authentication: {}}}].forEach(function(context) {
+
+            it('should provide null when no user is authenticated: ' + JSON.stringify(context), function() {
+                should(this.pb.RevisionService.getAuthor(context)).eql(null);
+            });
+        });
+
+        it('should provide the ID of the authenticated user', function() {
+            var context = {session: {authentication: {user_id: '123'}}};
+            this.pb.RevisionService.getAuthor(context).should.eql('123');
+        });
+    });
+
+    describe('RevisionService.record', function() {
+
+        it('should increment the revision number and capture the author and snapshot', function(next) {
+            var service = new this.pb.RevisionService({type: 'article'});
+            service.dao = {
+                q: function(type, opts, cb) {
+                    type.should.eql('content_revision');
+                    opts.where.should.eql({content_type: 'article', content_id: 'abc'});
+                    cb(null, [{revision: 4}]);
+                },
+                save: function(revision, cb) {
+                    cb(null, revision);
+                }
+            };
+            service.record({_id: 'abc', headline: 'Hello'}, '123', function(err, revision) {
+                should(err).eql(null);
+                revision.revision.should.eql(5);
+                revision.author.should.eql('123');
+                revision.content_id.should.eql('abc');
+                revision.snapshot.should.eql({headline: 'Hello'});
+                next();
+            });
+        });
+
+        it('should start with revision 1', function(next) {
+            var service = new this.pb.RevisionService({type: 'page'});
+            service.dao = {
+                q: function(type, opts, cb) {
+                    cb(null, []);
+                },
+                save: function(revision, cb) {
+                    cb(null, revision);
+                }
+            };
+            service.record({_id: 'abc'}, null, function(err, revision) {
+                revision.revision.should.eql(1);
+                should(revision.author).eql(null);
+                next();
+            });
+        });
+
+        it('should allocate the next number when a concurrent save took the revision number', function(next) {
+            var latest = 4;
+            var service = new this.pb.RevisionService({type: 'article'});
+            service.dao = {
+                q: function(type, opts, cb) {
+                    cb(null, [{revision: latest}]);
+                },
+                save: function(revision, cb) {
+                    if (revision.revision === 5) {
+
+                        //the concurrent save records revision 5 first
+                        latest = 5;
+                        var err = new Error('E11000 duplicate key error');
+                        err.code = 11000;
+                        return cb(err);
+                    }
+                    cb(null, revision);
+                }
+            };
+            service.record({_id: 'abc'}, null, function(err, revision) {
+                should(err).eql(null);
+                revision.revision.should.eql(6);
+                next();
+            });
+        });
+
+        it('should give up when the revision number cannot be allocated', function(next) {
+            var saves = 0;
+            var service = new this.pb.RevisionService({type: 'article'});
+            service.dao = {
+                q: function(type, opts, cb) {
+                    cb(null, []);
+                },
+                save: function(revision, cb) {
+                    saves++;
+                    var err = new Error('E11000 duplicate key error');
+                    err.code = 11000;
+                    cb(err);
+                }
+            };
+            service.record({_id: 'abc'}, null, function(err) {
+                err.code.should.eql(11000);
+                saves.should.eql(5);
+                next();
+            });
+        });
+    });
+});
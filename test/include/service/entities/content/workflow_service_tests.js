@@ -0,0 +1,227 @@
+'use strict';
+
+//dependencies
+var should = require('should');
+var TestHelpers = require('../../../../test_helpers');
+
+describe('WorkflowService', function() {
+
+    TestHelpers.registerReset();
+
+    describe('WorkflowService constructor', function() {
+
+        it('should throw when the workflow is not managed for the type', function() {
+            var WorkflowService = this.pb.WorkflowService;
+            (function() {
+                new WorkflowService({type: 'not_managed'});
+            }).should.throwError();
+        });
+
+        it('should manage articles', function() {
+            this.pb.WorkflowService.isManaged('article').should.be.true();
+        });
+    });
+
+    describe('WorkflowService.getStates', function() {
+
+        it('should provide the configured states', function() {
+            this.pb.WorkflowService.getStates().should.eql(['draft', 'published', 'in_review', 'approved']);
+        });
+    });
+
+    describe('WorkflowService.isAllowed', function() {
+
+        it('should allow writers to submit content for review', function() {
+            var session = getSession(this.pb.SecurityService.ACCESS_WRITER);
+            this.pb.WorkflowService.isAllowed('draft', 'in_review', session).should.be.true();
+        });
+
+        it('should not allow writers to approve or publish content', function() {
+            var session = getSession(this.pb.SecurityService.ACCESS_WRITER);
+            this.pb.WorkflowService.isAllowed('in_review', 'approved', session).should.be.false();
+            this.pb.WorkflowService.isAllowed('approved', 'published', session).should.be.false();
+            this.pb.WorkflowService.isAllowed('draft', 'published', session).should.be.false();
+        });
+
+        it('should allow editors to approve content', function() {
+            var session = getSession(this.pb.SecurityService.ACCESS_EDITOR);
+            this.pb.WorkflowService.isAllowed('in_review', 'approved', session).should.be.true();
+        });
+
+        it('should not allow transitions that are not configured', function() {
+            var session = getSession(this.pb.SecurityService.ACCESS_ADMINISTRATOR);
+            this.pb.WorkflowService.isAllowed('published', 'approved', session).should.be.false();
+            this.pb.WorkflowService.isAllowed('published', 'approved').should.be.false();
+        });
+
+        it('should not allow any transition when there is no authenticated session', function() {
+            this.pb.WorkflowService.isAllowed('in_review', 'approved').should.be.false();
+            this.pb.WorkflowService.isAllowed('draft', 'in_review', {}).should.be.false();
+        });
+    });
+
+    describe('WorkflowService.applyTransition', function() {
+
+        it('should move the content and sync the draft flag when the session is permitted', function() {
+            var content = {draft: 0};
+            var result = this.pb.WorkflowService.applyTransition('draft', content, getSession(this.pb.SecurityService.ACCESS_EDITOR));
+            result.should.eql({from: 'draft', to: 'published'});
+            content.workflow_state.should.eql('published');
+            content.draft.should.eql(0);
+        });
+
+        it('should refuse to let a writer publish by clearing the draft flag', function() {
+            var content = {draft: 0};
+            var result = this.pb.WorkflowService.applyTransition('draft', content, getSession(this.pb.SecurityService.ACCESS_WRITER));
+            (result === null).should.be.true();
+            (content.workflow_state === undefined).should.be.true();
+        });
+
+        it('should allow a save that does not change the state', function() {
+            var content = {draft: 1};
+            var result = this.pb.WorkflowService.applyTransition('draft', content, getSession(this.pb.SecurityService.ACCESS_WRITER));
+            result.should.eql({from: 'draft', to: 'draft'});
+            content.draft.should.eql(1);
+        });
+    });
+
+    describe('WorkflowService.getAvailableStates', function() {
+
+        it('should provide the states the session may move content to', function() {
+            var WorkflowService = this.pb.WorkflowService;
+            WorkflowService.getAvailableStates('in_review', getSession(this.pb.SecurityService.ACCESS_WRITER)).should.eql(['draft']);
+            WorkflowService.getAvailableStates('in_review', getSession(this.pb.SecurityService.ACCESS_EDITOR)).should.eql(['draft', 'approved']);
+        });
+    });
+
+    describe('WorkflowService.getReviewerAccess', function() {
+
+        it('should provide the access level required to move content out of review', function() {
+            this.pb.WorkflowService.getReviewerAccess().should.eql(this.pb.SecurityService.ACCESS_EDITOR);
+        });
+    });
+
+    describe('WorkflowService.getState', function() {
+
+        it('should derive the state from the draft flag when no state is set', function() {
+            this.pb.WorkflowService.getState({draft: 1}).should.eql('draft');
+            this.pb.WorkflowService.getState({draft: 0}).should.eql('published');
+        });
+
+        it('should provide the state of the content', function() {
+            this.pb.WorkflowService.getState({draft: 1, workflow_state: 'approved'}).should.eql('approved');
+        });
+    });
+
+    describe('WorkflowService.getNextState', function() {
+
+        it('should provide the requested state', function() {
+            this.pb.WorkflowService.getNextState('draft', {draft: 1, workflow_state: 'in_review'}).should.eql('in_review');
+        });
+
+        it('should publish content when the draft flag is cleared', function() {
+            this.pb.WorkflowService.getNextState('approved', {draft: 0, workflow_state: 'approved'}).should.eql('published');
+        });
+
+        it('should return published content to draft when the draft flag is set', function() {
+            this.pb.WorkflowService.getNextState('published', {draft: 1, workflow_state: 'published'}).should.eql('draft');
+        });
+
+        it('should keep the state when content is saved as a draft', function() {
+            this.pb.WorkflowService.getNextState('in_review', {draft: 1, workflow_state: 'in_review'}).should.eql('in_review');
+        });
+    });
+
+    describe('WorkflowService.onValidate', function() {
+
+        it('should reject a transition the user is not permitted to make', function(next) {
+            var context = getValidationContext({_id: 'abc', draft: 0, workflow_state: 'in_review'}, {draft: 1, workflow_state: 'in_review'});
+            context.session = getSession(this.pb.SecurityService.ACCESS_WRITER);
+
+            this.pb.WorkflowService.onValidate(context, function(err) {
+                should(err).eql(undefined);
+                context.validationErrors.length.should.eql(1);
+                context.validationErrors[0].field.should.eql('workflow_state');
+                should(context.workflow).eql(undefined);
+                next();
+            });
+        });
+
+        it('should capture a permitted transition', function(next) {
+            var context = getValidationContext({_id: 'abc', draft: 1, workflow_state: 'approved'}, {draft: 1, workflow_state: 'in_review'});
+            context.session = getSession(this.pb.SecurityService.ACCESS_EDITOR);
+
+            this.pb.WorkflowService.onValidate(context, function() {
+                context.validationErrors.length.should.eql(0);
+                context.workflow.should.eql({from: 'in_review', to: 'approved'});
+                next();
+            });
+        });
+
+        it('should start new content as a draft', function(next) {
+            var context = getValidationContext({draft: 1, workflow_state: 'in_review'});
+            context.isCreate = true;
+            context.session = getSession(this.pb.SecurityService.ACCESS_WRITER);
+
+            this.pb.WorkflowService.onValidate(context, function() {
+                context.validationErrors.length.should.eql(0);
+                context.workflow.should.eql({from: 'draft', to: 'in_review'});
+                next();
+            });
+        });
+
+        it('should reject an unknown state', function(next) {
+            var context = getValidationContext({_id: 'abc', draft: 1, workflow_state: 'unknown'});
+
+            this.pb.WorkflowService.onValidate(context, function() {
+                context.validationErrors.length.should.eql(1);
+                context.validationErrors[0].field.should.eql('workflow_state');
+                next();
+            });
+        });
+    });
+
+    describe('WorkflowService.onBeforeSave', function() {
+
+        it('should keep the draft flag in sync with the state', function(next) {
+            var WorkflowService = this.pb.WorkflowService;
+            var context = {data: {draft: 1}, workflow: {from: 'approved', to: 'published'}};
+            WorkflowService.onBeforeSave(context, function() {
+                context.data.should.eql({draft: 0, workflow_state: 'published'});
+
+                context.workflow = {from: 'published', to: 'draft'};
+                WorkflowService.onBeforeSave(context, function() {
+                    context.data.should.eql({draft: 1, workflow_state: 'draft'});
+                    next();
+                });
+            });
+        });
+    });
+
+    function getSession(adminLevel) {
+        return {
+            authentication: {
+                user_id: '123',
+                admin_level: adminLevel
+            }
+        };
+    }
+
+    function getValidationContext(obj, persisted) {
+        return {
+            data: obj,
+            isCreate: false,
+            validationErrors: [],
+            service: {
+                getType: function() {
+                    return 'article';
+                },
+                dao: {
+                    loadById: function(id, type, cb) {
+                        cb(null, persisted || null);
+                    }
+                }
+            }
+        };
+    }
+});
@@ -0,0 +1,145 @@
+'use strict';
+
+//dependencies
+var path = require('path');
+var should = require('should');
+var TestHelpers = require('../../../test_helpers');
+
+describe('OpenApiService', function() {
+
+    TestHelpers.registerReset();
+
+    var site = 'open-api-test';
+    var getController = function(pb, name) {
+        return path.join(pb.config.docRoot, 'plugins', 'pencilblue', 'controllers', 'api', 'content', name);
+    };
+    var registerRoutes = function(pb) {
+        var ACCESS_WRITER = pb.SecurityService.ACCESS_WRITER;
+        [
+            {method: 'get', path: '/api/content/articles', handler: 'getAll', content_type: 'application/json', controller: getController(pb, 'article_api_controller.js')},
+            {method: 'get', path: '/api/content/articles/:id', handler: 'get', content_type: 'application/json', controller: getController(pb, 'article_api_controller.js')},
+            {method: 'post', path: '/api/content/articles', handler: 'post', access_level: ACCESS_WRITER, auth_required: true, request_body: ['application/json'], content_type: 'application/json', controller: getController(pb, 'article_api_controller.js')},
+            {method: 'delete', path: '/api/content/articles/:id', handler: 'delete', access_level: ACCESS_WRITER, auth_required: true, content_type: 'application/json', controller: getController(pb, 'article_api_controller.js')},
+            {method: 'get', path: '/article/:customUrl', localization: true, controller: path.join(pb.config.docRoot, 'plugins', 'pencilblue', 'controllers', 'index.js')}
+        ].forEach(function(descriptor) {
+            pb.RequestHandler.registerRoute(descriptor, pb.RequestHandler.DEFAULT_THEME, site).should.be.true();
+        });
+    };
+
+    describe('OpenApiService.getPath', function() {
+
+        [
+            ['/api/content/articles', '/api/content/articles'],
+            ['/api/content/articles/:id', '/api/content/articles/{id}'],
+            ['/api/content/articles/:id/revisions/:revisionId', '/api/content/articles/{id}/revisions/{revisionId}']
+        ].forEach(function(testCase) {
+
+            it('should convert the path variables of ' + testCase[0], function() {
+                this.pb.OpenApiService.getPath(testCase[0]).should.eql(testCase[1]);
+            });
+        });
+    });
+
+    describe('OpenApiService.getDocument', function() {
+
+        before(function() {
+            registerRoutes(this.pb);
+        });
+
+        var getSession = function(adminLevel) {
+            return {
+                authentication: {
+                    user_id: '123',
+                    admin_level: adminLevel
+                }
+            };
+        };
+
+        var getDocument = function(pb, session) {
+            if (session === undefined) {
+                session = getSession(pb.SecurityService.ACCESS_WRITER);
+            }
+            var service = new pb.OpenApiService({site: site, siteName: 'Test', hostname: 'http://localhost:8080', session: session});
+            return service.getDocument();
+        };
+
+        it('should describe the document and the server', function() {
+            var doc = getDocument(this.pb);
+            doc.openapi.should.eql('3.0.0');
+            doc.info.should.eql({title: 'Test API', version: this.pb.config.version});
+            doc.servers.should.eql([{url: 'http://localhost:8080'}]);
+            doc.components.securitySchemes.session.name.should.eql(this.pb.SessionHandler.COOKIE_NAME);
+        });
+
+        it('should only describe the API routes', function() {
+            var doc = getDocument(this.pb);
+            should(doc.paths['/article/{customUrl}']).eql(undefined);
+            should(doc.paths['/:locale/article/{customUrl}']).eql(undefined);
+            Object.keys(doc.paths['/api/content/articles']).sort().should.eql(['get', 'post']);
+            Object.keys(doc.paths['/api/content/articles/{id}']).sort().should.eql(['delete', 'get']);
+        });
+
+        it('should only describe the operations that the caller is permitted to use', function() {
+            var pb = this.pb;
+            [null, {authentication: {user_id: null, admin_level: pb.SecurityService.ACCESS_USER}}, getSession(pb.SecurityService.ACCESS_USER)].forEach(function(session) {
+                var doc = getDocument(pb, session);
+                Object.keys(doc.paths['/api/content/articles']).should.eql(['get']);
+                Object.keys(doc.paths['/api/content/articles/{id}']).should.eql(['get']);
+            });
+        });
+
+        it('should describe the path and query parameters', function() {
+            var doc = getDocument(this.pb);
+            doc.paths['/api/content/articles/{id}'].get.parameters.should.eql([
+                {name: 'id', in: 'path', required: true, schema: {type: 'string'}},
+                {$ref: '#/components/parameters/select'}
+            ]);
+            doc.paths['/api/content/articles'].get.parameters.map(function(param) {
+                return param.$ref;
+            }).should.eql(['select', 'order', 'limit', 'offset', 'where'].map(function(name) {
+                return '#/components/parameters/' + name;
+            }));
+            doc.components.parameters.limit.name.should.eql('$limit');
+        });
+
+        it('should describe the authentication requirements', function() {
+            var doc = getDocument(this.pb);
+            should(doc.paths['/api/content/articles'].get.security).eql(undefined);
+
+            var post = doc.paths['/api/content/articles'].post;
+            post.security.should.eql([{session: []}, {apiKey: []}]);
+            post['x-access-level'].should.eql('ACCESS_WRITER');
+            post.responses.should.have.properties('201', '400', '401', '403');
+        });
+
+        it('should reference the schema registered for the type of object', function() {
+            var doc = getDocument(this.pb);
+            doc.components.schemas.article.should.eql(this.pb.BaseObjectService.getSchema('article'));
+            doc.paths['/api/content/articles'].post.requestBody.content['application/json'].schema.should.eql({$ref: '#/components/schemas/article'});
+            doc.paths['/api/content/articles/{id}'].get.responses['200'].content['application/json'].schema.should.eql({$ref: '#/components/schemas/article'});
+            doc.paths['/api/content/articles'].get.responses['200'].content['application/json'].schema.properties.data.items.should.eql({$ref: '#/components/schemas/article'});
+            doc.paths['/api/content/articles/{id}'].delete.responses.should.have.property('204');
+        });
+
+        it('should not describe the routes of other sites', function() {
+            var service = new this.pb.OpenApiService({site: 'another-site'});
+            should(service.getDocument().paths['/api/content/articles']).eql(undefined);
+        });
+    });
+
+    describe('BaseObjectService.registerSchema', function() {
+
+        it('should merge the properties contributed for a type', function() {
+            var BaseObjectService = this.pb.BaseObjectService;
+            BaseObjectService.registerSchema('open_api_test', {type: 'object', properties: {name: {type: 'string'}}, required: ['name']});
+            BaseObjectService.registerSchema('open_api_test', {properties: {rank: {type: 'integer'}}, required: ['rank']});
+
+            var schema = BaseObjectService.getSchema('open_api_test');
+            schema.properties.should.have.properties('name', 'rank');
+            schema.required.should.eql(['name', 'rank']);
+
+            schema.properties.name.type = 'number';
+            BaseObjectService.getSchema('open_api_test').properties.name.type.should.eql('string');
+        });
+    });
+});
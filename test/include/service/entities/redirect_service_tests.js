@@ -0,0 +1,248 @@
+'use strict';
+
+//dependencies
+var should = require('should');
+var TestHelpers = require('../../../test_helpers');
+
+describe('RedirectService', function() {
+
+    TestHelpers.registerReset();
+    var sandbox = TestHelpers.registerSandbox();
+
+    /**
+     * Keeps the rules in memory.  Only supports where clauses that compare
+     * properties for equality or inequality.
+     */
+    var stubDao = function(pb, rules) {
+        var matches = function(where) {
+            return function(rule) {
+                return Object.keys(where).every(function(key) {
+                    if (where[key] && where[key].$ne !== undefined) {
+                        return rule[key] !== where[key].$ne;
+                    }
+                    return rule[key] === where[key];
+                });
+            };
+        };
+        sandbox.stub(pb.SiteQueryService.prototype, 'q', function(type, opts, cb) {
+            cb(null, rules.filter(matches(opts.where || {})));
+        });
+        sandbox.stub(pb.SiteQueryService.prototype, 'loadByValues', function(where, type, cb) {
+            cb(null, rules.filter(matches(where))[0] || null);
+        });
+        sandbox.stub(pb.SiteQueryService.prototype, 'exists').callsArgWith(2, null, false);
+        sandbox.stub(pb.SiteQueryService.prototype, 'save', function(rule, options, cb) {
+            cb = cb || options;
+            if (!rule._id) {
+                rule._id = 'r' + (rules.length + 1);
+                rules.push(rule);
+            }
+            cb(null, rule);
+        });
+        sandbox.stub(pb.SiteQueryService.prototype, 'delete', function(where, type, cb) {
+            var ids = where._id.$in.map(String);
+            for (var i = rules.length - 1; i >= 0; i--) {
+                if (ids.indexOf(rules[i]._id + '') >= 0) {
+                    rules.splice(i, 1);
+                }
+            }
+            cb(null, ids.length);
+        });
+        sandbox.stub(pb.DAO, 'getIdInWhere', function(ids) {
+            return {_id: {$in: ids}};
+        });
+    };
+
+    describe('RedirectService.getLocation', function() {
+
+        it('should place the characters matched by a wildcard in the target', function() {
+            var rule = {source: '/blog/*/*', target: '/article/$2?year=$1', match_type: 'wildcard'};
+            this.pb.RedirectService.getLocation(rule, '/blog/2015/growing tomatoes').should.eql('/article/growing%20tomatoes?year=2015');
+        });
+
+        it('should place the groups of a regular expression in the target', function() {
+            var rule = {source: '^/news/(\\d+)$', target: 'https://news.example.com/$1', match_type: 'regex'};
+            this.pb.RedirectService.getLocation(rule, '/news/42').should.eql('https://news.example.com/42');
+        });
+
+        it('should only match the whole path of an exact rule', function() {
+            var rule = {source: '/about', target: '/page/about', match_type: 'exact'};
+            should(this.pb.RedirectService.getLocation(rule, '/about-us')).eql(null);
+        });
+
+        it('should not match a rule with an invalid regular expression', function() {
+            var rule = {source: '/news/(', target: '/', match_type: 'regex'};
+            should(this.pb.RedirectService.getLocation(rule, '/news/(')).eql(null);
+        });
+    });
+
+    describe('RedirectService.getContentPath', function() {
+
+        it('should create the path of an article', function() {
+            this.pb.RedirectService.getContentPath('article', 'growing-tomatoes/').should.eql('/article/growing-tomatoes');
+        });
+
+        it('should provide null for a type that is not tracked', function() {
+            should(this.pb.RedirectService.getContentPath('topic', 'tomatoes')).eql(null);
+        });
+    });
+
+    describe('RedirectService.resolve', function() {
+
+        it('should keep the locale of the path in the location', function(next) {
+            var find = sandbox.stub(this.pb.RedirectService.prototype, 'find');
+            find.withArgs('/en-US/article/old').callsArgWith(1, null, null);
+            find.withArgs('/article/old').callsArgWith(1, null, {location: '/article/new', code: 301});
+
+            var service = new this.pb.RedirectService({site: 'global'});
+            service.resolve('/en-US/article/old/', {locales: ['en-US']}, function(err, result) {
+                should(err).eql(null);
+                result.should.eql({location: '/en-US/article/new', code: 301});
+                next();
+            });
+        });
+
+        it('should prefer an exact rule over a pattern', function(next) {
+            stubDao(this.pb, [
+                {_id: 'r1', source: '/old/*', target: '/pattern', match_type: 'wildcard', code: 302},
+                {_id: 'r2', source: '/old/page', target: '/exact', match_type: 'exact', code: 301}
+            ]);
+
+            var service = new this.pb.RedirectService({site: 'global'});
+            service.resolve('/old/page', function(err, result) {
+                result.should.eql({location: '/exact', code: 301});
+                next();
+            });
+        });
+
+        it('should only load the pattern rules again after a rule is saved', function(next) {
+            var rules = [{_id: 'r1', source: '/old/*', target: '/new/$1', match_type: 'wildcard', code: 301, site: 'redirect-test'}];
+            stubDao(this.pb, rules);
+            var q = this.pb.SiteQueryService.prototype.q;
+
+            var service = new this.pb.RedirectService({site: 'redirect-test'});
+            service.resolve('/old/a', function(err, result) {
+                result.location.should.eql('/new/a');
+
+                service.resolve('/old/b', function(err, result) {
+                    result.location.should.eql('/new/b');
+                    q.callCount.should.eql(1);
+
+                    service.add({source: '/older/*', target: '/newer/$1', match_type: 'wildcard'}, function(err) {
+                        should(err).eql(null);
+
+                        service.resolve('/older/c', function(err, result) {
+                            result.location.should.eql('/newer/c');
+                            q.callCount.should.eql(2);
+                            next();
+                        });
+                    });
+                });
+            });
+        });
+    });
+
+    describe('RedirectService.isSafePattern', function() {
+
+        [
+            '^/news/(\\d+)$',
+            '^/(en|fr)/docs/([a-z+]+)$',
+            '^/(tag/[^/]+)?/?page-(\\d+)$'
+        ].forEach(function(source) {
+
+            it('should accept ' + source, function() {
+                this.pb.RedirectService.isSafePattern({source: source, match_type: 'regex'}).should.be.true();
+            });
+        });
+
+        [
+            {source: '^/(a+)+$', match_type: 'regex'},
+            {source: '^/((ab)*c)*$', match_type: 'regex'},
+            {source: '^/(a|ab)*$', match_type: 'regex'},
+            {source: '^/(\\w+)/\\1$', match_type: 'regex'},
+            {source: '^/(.*)(.*)(.*)(.*)$', match_type: 'regex'},
+            {source: '/a/*/*/*/*', match_type: 'wildcard'},
+            {source: '/' + new Array(202).join('a') + '*', match_type: 'wildcard'}
+        ].forEach(function(rule) {
+
+            it('should reject ' + rule.source.substr(0, 30), function() {
+                this.pb.RedirectService.isSafePattern(rule).should.be.false();
+            });
+        });
+    });
+
+    describe('RedirectService.addAutomatic', function() {
+
+        it('should point existing redirects at the new path and remove the redirects from it', function(next) {
+            var rules = [
+                {_id: 'r1', source: '/article/first', target: '/article/second', match_type: 'exact', code: 301},
+                {_id: 'r2', source: '/article/third', target: '/article/elsewhere', match_type: 'exact', code: 301}
+            ];
+            stubDao(this.pb, rules);
+
+            var service = new this.pb.RedirectService({site: 'global'});
+            service.addAutomatic('/article/second', '/article/third', function(err, rule) {
+                should(err).eql(null);
+                rule.source.should.eql('/article/second');
+                rule.target.should.eql('/article/third');
+                rule.automatic.should.be.true();
+                rules.map(function(r) {
+                    return r.source + ' > ' + r.target;
+                }).should.eql(['/article/first > /article/third', '/article/second > /article/third']);
+                next();
+            });
+        });
+    });
+
+    describe('RedirectService.validate', function() {
+
+        [
+            {dto: {source: '/a', target: '/a'}, field: 'target'},
+            {dto: {source: '/a', target: 'ftp://example.com'}, field: 'target'},
+            {dto: {source: '/a', target: '/b', code: 307}, field: 'code'},
+            {dto: {source: '(', target: '/b', match_type: 'regex'}, field: 'source'},
+            {dto: {source: '^/(a+)+$', target: '/b', match_type: 'regex'}, field: 'source'},
+            {dto: {source: '/a', target: '/b', match_type: 'fuzzy'}, field: 'match_type'}
+        ].forEach(function(test) {
+
+            it('should reject the rule '+JSON.stringify(test.dto), function(next) {
+                stubDao(this.pb, []);
+
+                var service = new this.pb.RedirectService({site: 'global'});
+                service.add(test.dto, function(err) {
+                    err.validationErrors.map(function(failure) {
+                        return failure.field;
+                    }).should.eql([test.field]);
+                    next();
+                });
+            });
+        });
+    });
+
+    describe('RedirectService.onAfterContentSave', function() {
+
+        it('should redirect the previous URL of the content', function(next) {
+            var addAutomatic = sandbox.stub(this.pb.RedirectService.prototype, 'addAutomatic').callsArgWith(2, null, {});
+
+            var context = {
+                data: {_id: 'a1', object_type: 'article', url: 'new-url'},
+                previousUrl: 'old-url',
+                site: 'global'
+            };
+            this.pb.RedirectService.onAfterContentSave(context, function() {
+                addAutomatic.firstCall.args.slice(0, 2).should.eql(['/article/old-url', '/article/new-url']);
+                next();
+            });
+        });
+
+        it('should do nothing when the URL has not changed', function(next) {
+            var addAutomatic = sandbox.stub(this.pb.RedirectService.prototype, 'addAutomatic');
+
+            var context = {data: {object_type: 'page', url: 'same'}, previousUrl: 'same'};
+            this.pb.RedirectService.onAfterContentSave(context, function() {
+                addAutomatic.called.should.be.false();
+                next();
+            });
+        });
+    });
+});
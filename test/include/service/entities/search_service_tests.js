@@ -0,0 +1,162 @@
+
+//dependencies
+var should        = require('should');
+var Configuration = require('../../../../include/config.js');
+var Lib           = require('../../../../lib');
+
+describe('SearchService', function() {
+
+    var pb = null;
+    var SearchService = null;
+    before('Initialize the Environment with the default configuration', function() {
+        this.timeout(10000);
+
+        pb = new Lib(Configuration.getBaseConfig());
+        SearchService = pb.SearchService;
+    });
+
+    describe('SearchService.tokenize', function() {
+
+        [null, undefined, 1, true, {}].forEach(function(val) {
+
+            it('should provide an empty array when provided '+val, function() {
+                SearchService.tokenize(val).should.eql([]);
+            });
+        });
+
+        it('should lower case terms and remove punctuation, stop words, and single characters', function() {
+            var result = SearchService.tokenize('The Quick, brown fox & a DOG!');
+            result.should.eql(['quick', 'brown', 'fox', 'dog']);
+        });
+
+        it('should join arrays before tokenizing', function() {
+            SearchService.tokenize(['Node.js', 'CMS']).should.eql(['node', 'js', 'cms']);
+        });
+    });
+
+    describe('SearchService.stripHtml', function() {
+
+        it('should remove tags and decode entities', function() {
+            SearchService.stripHtml('<p>Fish &amp; <b>chips</b></p>').should.eql('Fish & chips');
+        });
+    });
+
+    describe('SearchService.buildEntry', function() {
+
+        it('should provide null when the type is not searchable', function() {
+            should(SearchService.buildEntry('not_a_type', {})).eql(null);
+        });
+
+        it('should provide the text of each weighted field', function() {
+            var article = getArticle();
+            var entry = SearchService.buildEntry('article', article, ['Gardening']);
+
+            entry.content_type.should.eql('article');
+            entry.content_id.should.eql('abc123');
+            entry.headline.should.eql('Growing Tomatoes');
+            entry.draft.should.eql(0);
+            entry.topic_names.should.eql('Gardening');
+            entry.keywords.should.containEql('summer');
+            entry.text.should.containEql('soil');
+            entry.sections.should.eql(['section1']);
+            Object.keys(SearchService.FIELD_WEIGHTS).forEach(function(field) {
+                entry.should.have.property(field);
+            });
+        });
+    });
+
+    describe('SearchService.highlight', function() {
+
+        it('should wrap matches in a mark element', function() {
+            var result = SearchService.highlight('Tomatoes need sun', ['tomatoes']);
+            result.should.eql('<mark>Tomatoes</mark> need sun');
+        });
+
+        it('should encode the text', function() {
+            var result = SearchService.highlight('<script> tomatoes', ['tomatoes']);
+            result.indexOf('<script>').should.eql(-1);
+        });
+
+        it('should center the snippet around the first match when it is far into the text', function() {
+            var text = new Array(100).join('filler ') + 'tomatoes';
+            var result = SearchService.highlight(text, ['tomatoes'], 40);
+            result.indexOf('&hellip;').should.eql(0);
+            result.should.containEql('<mark>tomatoes</mark>');
+        });
+    });
+
+    describe('SearchService.formatFacet', function() {
+
+        it('should order the values by count and leave out empty values', function() {
+            var groups = [{_id: 't2', count: 1}, {_id: null, count: 5}, {_id: 't1', count: 2}];
+            SearchService.formatFacet(groups).should.eql([{value: 't1', count: 2}, {value: 't2', count: 1}]);
+        });
+    });
+
+    describe('SearchService.search', function() {
+
+        it('should rank, page and count the matches in the database', function(next) {
+            var service = new SearchService({site: 'search-test'});
+            var queries = {};
+            service.dao.count = function(type, where, cb) {
+                queries.count = where;
+                cb(null, 1500);
+            };
+            service.dao.q = function(type, opts, cb) {
+                queries.q = opts;
+                cb(null, [{content_id: 'a1', content_type: 'article', headline: 'Tomatoes', text: 'Tomatoes need sun', score: 2.5}]);
+            };
+            service.dao.aggregate = function(type, pipeline, cb) {
+                pipeline[0].$match.$text.should.eql({$search: 'growing tomatoes'});
+                cb(null, [{_id: 't1', count: 1500}]);
+            };
+
+            service.search('Growing the tomatoes!', {limit: 5, offset: 10}, function(err, result) {
+                should(err).eql(null);
+                queries.count.$text.should.eql({$search: 'growing tomatoes'});
+                queries.q.where.should.equal(queries.count);
+                queries.q.order.should.eql({score: {$meta: 'textScore'}, publish_date: -1});
+                queries.q.limit.should.eql(5);
+                queries.q.offset.should.eql(10);
+
+                result.count.should.eql(1);
+                result.total.should.eql(1500);
+                result.data[0].score.should.eql(2.5);
+                result.data[0].snippet.should.eql('<mark>Tomatoes</mark> need sun');
+                result.facets.topics.should.eql([{value: 't1', count: 1500}]);
+                next();
+            });
+        });
+    });
+
+    describe('SearchService.registerType', function() {
+
+        it('should not register an invalid extractor', function() {
+            SearchService.registerType('gallery', null).should.be.false();
+            SearchService.isSearchable('gallery').should.be.false();
+        });
+
+        it('should make the type searchable', function() {
+            SearchService.registerType('gallery', function(obj) { return {headline: obj.title}; }).should.be.true();
+            SearchService.isSearchable('gallery').should.be.true();
+            SearchService.unregisterType('gallery').should.be.true();
+            SearchService.isSearchable('gallery').should.be.false();
+        });
+    });
+
+    function getArticle() {
+        return {
+            _id: 'abc123',
+            headline: 'Growing Tomatoes',
+            subheading: 'A primer',
+            article_layout: '<p>Tomatoes love rich soil.</p>',
+            meta_keywords: ['summer'],
+            article_topics: ['topic1'],
+            article_sections: ['section1'],
+            author: 'author1',
+            url: 'growing-tomatoes',
+            publish_date: new Date(),
+            draft: 0
+        };
+    }
+});
@@ -125,6 +125,13 @@ describe('SiteMapService', function() {
             });
         });
 
+        [1, 'hello', {}].forEach(function(val) {
+
+            it('should throw when provided the value '+util.inspect(val)+' as the summary parameter', function() {
+                SiteMapService.register.bind(null, 'extra-items', function(){}, val).should.throwError();
+            });
+        });
+
         it('should return true when a valid registration is made', function() {
             var result = SiteMapService.register('extra-items', function(context, cb){cb(null, true);});
             result.should.be.true();
@@ -153,6 +160,138 @@ describe('SiteMapService', function() {
         });
     });
 
+    describe('SiteMapService.getIndex', function() {
+
+        it('should split each type into pages of at most the page size', function(done) {
+            pb.config.sitemap.page_size = 2;
+            var lastModified = new Date(Date.parse('2015-11-28T10:16:42+00:00'));
+            var service = new SiteMapService({site: 'global', hostname: 'http://localhost:8080'});
+            service.siteMapRegistry = {
+                article: function(){},
+                extra: function(context, cb) {
+                    cb(null, [{url: 'a'}]);
+                }
+            };
+            service.summaryRegistry = {
+                article: function(context, cb) {
+                    cb(null, {count: 3, last_modified: lastModified});
+                }
+            };
+
+            service.getIndex(function(err, entries) {
+                pb.config.sitemap.page_size = 50000;
+                should(err).eql(null);
+                entries.should.eql([
+                    {type: 'article', page: 1, url: 'http://localhost:8080/sitemap/article/1.xml', last_modified: lastModified},
+                    {type: 'article', page: 2, url: 'http://localhost:8080/sitemap/article/2.xml', last_modified: lastModified},
+                    {type: 'extra', page: 1, url: 'http://localhost:8080/sitemap/extra/1.xml', last_modified: null}
+                ]);
+                done();
+            });
+        });
+    });
+
+    describe('SiteMapService.getPage', function() {
+
+        it('should page the items of a type without a summary provider', function(done) {
+            pb.config.sitemap.page_size = 2;
+            var service = new SiteMapService({site: 'global'});
+            service.siteMapRegistry = {
+                extra: function(context, cb) {
+                    should(context.limit).eql(undefined);
+                    cb(null, [{url: 'a'}, {url: 'b'}, {url: 'c'}]);
+                }
+            };
+            service.summaryRegistry = {};
+
+            service.getPage('extra', 2, function(err, items) {
+                items.should.eql([{url: 'c'}]);
+
+                service.getPage('extra', 3, function(err, items) {
+                    pb.config.sitemap.page_size = 50000;
+                    should(items).eql(null);
+                    done();
+                });
+            });
+        });
+
+        it('should provide the offset and limit to a type with a summary provider', function(done) {
+            pb.config.sitemap.page_size = 10;
+            var service = new SiteMapService({site: 'global'});
+            service.siteMapRegistry = {
+                article: function(context, cb) {
+                    cb(null, [{offset: context.offset, limit: context.limit}]);
+                }
+            };
+
+            service.getPage('article', 3, function(err, items) {
+                pb.config.sitemap.page_size = 50000;
+                items.should.eql([{offset: 20, limit: 10}]);
+                done();
+            });
+        });
+
+        it('should provide null for a type that is not registered', function(done) {
+            var service = new SiteMapService({site: 'global'});
+            service.getPage('unknown', 1, function(err, items) {
+                should(items).eql(null);
+                done();
+            });
+        });
+    });
+
+    describe('SiteMapService.addImages', function() {
+
+        it('should replace the article media with the URLs of the images', function(done) {
+            var ids = ['507f1f77bcf86cd799439011', '507f1f77bcf86cd799439012', '507f1f77bcf86cd799439013'];
+            var service = new SiteMapService({site: 'global', hostname: 'http://localhost:8080'});
+            service.dao = {
+                q: function(type, opts, cb) {
+                    type.should.eql('media');
+                    opts.where.media_type.should.eql('image');
+                    opts.where._id.$in.length.should.eql(3);
+                    cb(null, [
+                        {_id: ids[0], location: '/media/2015/11/tomato.png'},
+                        {_id: ids[2], location: 'https://cdn.example.com/basil.jpg'}
+                    ]);
+                }
+            };
+
+            var items = [{url: 'a', article_media: [ids[0], ids[1]]}, {url: 'b', article_media: [ids[2]]}, {url: 'c'}];
+            service.addImages(items, function(err, result) {
+                should(err).eql(null);
+                result.should.eql([
+                    {url: 'a', images: ['http://localhost:8080/media/2015/11/tomato.png']},
+                    {url: 'b', images: ['https://cdn.example.com/basil.jpg']},
+                    {url: 'c', images: []}
+                ]);
+                done();
+            });
+        });
+    });
+
+    describe('SiteMapService.serializeImages', function() {
+
+        it('should create an image element for each URL', function() {
+            var result = SiteMapService.serializeImages(['http://pencilblue.org/media/a&b.png']);
+            result.should.eql('<image:image><image:loc>http://pencilblue.org/media/a&amp;b.png</image:loc></image:image>\n');
+        });
+
+        it('should provide an empty string when there are no images', function() {
+            SiteMapService.serializeImages(undefined).should.eql('');
+        });
+    });
+
+    describe('SiteMapService.getNewsLanguage', function() {
+
+        [['en-US', 'en'], ['zh-TW', 'zh-tw'], ['pt_BR', 'pt'], ['de', 'de']].forEach(function(pair) {
+
+            it('should convert '+pair[0]+' to '+pair[1], function() {
+                SiteMapService.getNewsLanguage(pair[0]).should.eql(pair[1]);
+            });
+        });
+    });
+
     describe('SiteMapService.onPostLoad', function() {
 
         it('should return a function when called', function() {
@@ -0,0 +1,236 @@
+'use strict';
+
+//dependencies
+var should = require('should');
+var TestHelpers = require('../../../test_helpers');
+
+describe('LockService', function() {
+
+    TestHelpers.registerReset(function(pb) {
+        pb.config.locks.retry_interval = 20;
+    });
+    var sandbox = TestHelpers.registerSandbox();
+
+    var getService = function(pb) {
+        return new pb.LockService(new pb.locks.providers.CacheLockProvider());
+    };
+
+    describe('LockService.acquire', function() {
+
+        it('should provide a token when the lock is acquired and false when it is held', function(next) {
+            var service = getService(this.pb);
+            service.acquire('acquire-test', {payload: {server: 'a'}}, function(err, token) {
+                should(err).eql(null);
+                token.should.be.type('string');
+
+                service.acquire('acquire-test', function(err, reply) {
+                    reply.should.eql(false);
+
+                    service.get('acquire-test', function(err, payload) {
+                        payload.should.eql({server: 'a'});
+                        next();
+                    });
+                });
+            });
+        });
+
+        it('should wait for the lock to be released', function(next) {
+            var service = getService(this.pb);
+            service.acquire('wait-test', function(err, token) {
+                setTimeout(function() {
+                    service.release('wait-test', token, function() {});
+                }, 50);
+
+                service.acquire('wait-test', {wait: 1000}, function(err, reply) {
+                    should(err).eql(null);
+                    reply.should.be.type('string');
+                    next();
+                });
+            });
+        });
+
+        it('should give up when the lock is not released before the wait expires', function(next) {
+            var service = getService(this.pb);
+            service.acquire('timeout-test', function() {
+                service.acquire('timeout-test', {wait: 60}, function(err, reply) {
+                    reply.should.eql(false);
+                    next();
+                });
+            });
+        });
+
+        it('should grant the lock to waiting processes in the order they started waiting', function(next) {
+            var service = getService(this.pb);
+            var order = [];
+            var onAcquired = function(id) {
+                return function(err, token) {
+                    order.push(id);
+                    if (order.length === 2) {
+                        order.should.eql(['first', 'second']);
+                        return next();
+                    }
+                    service.release('queue-test', token, function() {});
+                };
+            };
+
+            service.acquire('queue-test', function(err, token) {
+                service.acquire('queue-test', {wait: 2000}, onAcquired('first'));
+                setTimeout(function() {
+                    service.acquire('queue-test', {wait: 2000}, onAcquired('second'));
+                    service.release('queue-test', token, function() {});
+                }, 100);
+            });
+        });
+
+        it('should not allow a process that does not wait to jump the queue', function(next) {
+            var service = getService(this.pb);
+            sandbox.stub(service.provider, 'peek').callsArgWith(1, null, 'other');
+
+            service.acquire('jump-test', function(err, reply) {
+                reply.should.eql(false);
+                next();
+            });
+        });
+    });
+
+    describe('LockService.release', function() {
+
+        it('should not release a lock held with another token', function(next) {
+            var service = getService(this.pb);
+            service.acquire('release-test', function(err, token) {
+                service.release('release-test', 'not-the-token', function(err, released) {
+                    released.should.eql(false);
+
+                    service.release('release-test', token, function(err, released) {
+                        released.should.eql(true);
+                        next();
+                    });
+                });
+            });
+        });
+    });
+
+    describe('LockService.renew', function() {
+
+        it('should only extend a lock held with the token', function(next) {
+            var pb = this.pb;
+            var service = getService(pb);
+            service.acquire('renew-test', {timeout: 5}, function(err, token) {
+                service.renew('renew-test', token, {timeout: 60}, function(err, renewed) {
+                    renewed.should.eql(true);
+
+                    pb.cache.ttl('renew-test', function(err, ttl) {
+                        ttl.should.be.above(5);
+
+                        service.renew('renew-test', 'not-the-token', {timeout: 60}, function(err, renewed) {
+                            renewed.should.eql(false);
+                            next();
+                        });
+                    });
+                });
+            });
+        });
+    });
+
+    describe('LockService.startHeartbeat', function() {
+
+        it('should report the loss of the lock', function(next) {
+            var service = getService(this.pb);
+            service.startHeartbeat('heartbeat-test', 'lost-token', {
+                interval: 10,
+                onLost: function(err) {
+                    err.message.should.match(/held by another process/);
+                    next();
+                }
+            });
+        });
+    });
+
+    describe('LockService.getAll', function() {
+
+        it('should list the held locks without their tokens', function(next) {
+            var service = getService(this.pb);
+            service.acquire('list-test-b', {payload: {server: 'b'}}, function() {
+                service.acquire('list-test-a', {payload: {server: 'a'}}, function() {
+                    service.getAll(function(err, locks) {
+                        should(err).eql(null);
+                        locks = locks.filter(function(lock) {
+                            return lock.name.indexOf('list-test') === 0;
+                        });
+                        locks.map(function(lock) { return lock.name; }).should.eql(['list-test-a', 'list-test-b']);
+                        locks[0].payload.should.eql({server: 'a'});
+                        locks[0].expires.should.be.instanceOf(Date);
+                        locks[0].waiting.should.eql(0);
+                        should(locks[0].token).eql(undefined);
+                        next();
+                    });
+                });
+            });
+        });
+    });
+
+    describe('CacheLockProvider', function() {
+
+        it('should check the token and release the lock in a single script on redis', function(next) {
+            var pb = this.pb;
+            sandbox.stub(pb.config.cache, 'fake', false);
+            var evaluate = sandbox.stub(pb.cache, 'eval').yields(null, 1);
+
+            var provider = new pb.locks.providers.CacheLockProvider();
+            provider.release('script-test', {token: 'token1'}, function(err, released) {
+                released.should.eql(true);
+                var args = evaluate.firstCall.args;
+                args[0].should.match(/lock\.token ~= ARGV\[1\]/);
+                args[0].should.match(/redis\.call\('del', KEYS\[1\]\)/);
+                args.slice(1, 5).should.eql([2, 'script-test', 'pb_locks', 'token1']);
+                next();
+            });
+        });
+
+        it('should check the token and renew the lock in a single script on redis', function(next) {
+            var pb = this.pb;
+            sandbox.stub(pb.config.cache, 'fake', false);
+            var evaluate = sandbox.stub(pb.cache, 'eval').yields(null, 0);
+
+            var provider = new pb.locks.providers.CacheLockProvider();
+            provider.renew('script-test', 'token1', {timeout: 30}, function(err, renewed) {
+                renewed.should.eql(false);
+                var args = evaluate.firstCall.args;
+                args[0].should.match(/redis\.call\('expire', KEYS\[1\], ARGV\[2\]\)/);
+                args.slice(1, 6).should.eql([2, 'script-test', 'pb_locks', 'token1', 30]);
+                next();
+            });
+        });
+    });
+
+    describe('DbLockProvider', function() {
+
+        it('should take over a lock that has expired', function(next) {
+            var pb = this.pb;
+            var err = new Error('E11000 duplicate key error');
+            err.code = 11000;
+            sandbox.stub(pb.DAO.prototype, 'save').callsArgWith(1, err);
+            var updateFields = sandbox.stub(pb.DAO.prototype, 'updateFields').callsArgWith(3, null, {result: {n: 1}});
+
+            var provider = new pb.locks.providers.DbLockProvider();
+            provider.acquire('db-test', {timeout: 30, token: 'token1'}, function(err, acquired) {
+                acquired.should.eql(true);
+                updateFields.firstCall.args[1].timeout.$lt.should.be.instanceOf(Date);
+                updateFields.firstCall.args[2].$set.token.should.eql('token1');
+                next();
+            });
+        });
+
+        it('should only release the lock held with the token', function(next) {
+            var pb = this.pb;
+            var remove = sandbox.stub(pb.DAO.prototype, 'delete').callsArgWith(2, null, 0);
+
+            var provider = new pb.locks.providers.DbLockProvider();
+            provider.release('db-test', {token: 'token1'}, function(err, released) {
+                released.should.eql(0);
+                remove.firstCall.args[0].should.eql({name: 'db-test', token: 'token1'});
+                next();
+            });
+        });
+    });
+});
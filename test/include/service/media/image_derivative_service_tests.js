@@ -0,0 +1,281 @@
+'use strict';
+
+//dependencies
+var Jimp = require('jimp');
+var should = require('should');
+var TestHelpers = require('../../../test_helpers');
+
+describe('ImageDerivativeService', function() {
+
+    TestHelpers.registerReset();
+    var sandbox = TestHelpers.registerSandbox();
+
+    var SIZES = {
+        thumbnail: {name: 'thumbnail', width: 150, height: 150, crop: true, format: null},
+        medium: {name: 'medium', width: 640, height: 0, crop: false, format: null},
+        small: {name: 'small', width: 320, height: 0, crop: false, format: 'jpeg'}
+    };
+
+    /**
+     * Keeps media in memory
+     */
+    var MemoryProvider = function(content) {
+        this.content = content || {};
+    };
+    MemoryProvider.prototype.get = function(mediaPath, cb) {
+        var content = this.content[mediaPath];
+        cb(content ? null : new Error('ENOENT'), content);
+    };
+    MemoryProvider.prototype.set = function(content, mediaPath, cb) {
+        this.content[mediaPath] = content;
+        cb(null, true);
+    };
+    MemoryProvider.prototype.exists = function(mediaPath, cb) {
+        cb(null, !!this.content[mediaPath]);
+    };
+    MemoryProvider.prototype.delete = function(mediaPath, cb) {
+        delete this.content[mediaPath];
+        cb(null, true);
+    };
+
+    var createImage = function(width, height, mime, cb) {
+        new Jimp(width, height, 0xff0000ff, function(err, image) {
+            image.getBuffer(mime, cb);
+        });
+    };
+
+    describe('ImageDerivativeService.validateSize', function() {
+
+        [
+            {name: 'thumbnail', width: 150, height: 150, crop: true},
+            {name: 'medium', width: 640},
+            {name: 'tall-2', height: '480', format: 'png'}
+        ].forEach(function(size) {
+
+            it('should accept a valid size: ' + JSON.stringify(size), function() {
+                should(this.pb.ImageDerivativeService.validateSize(size)).eql(null);
+            });
+        });
+
+        [
+            null,
+            {width: 100},
+            {name: '2016', width: 100},
+            {name: 'Large', width: 100},
+            {name: 'large', width: 0, height: 0},
+            {name: 'large', width: -1, height: 100},
+            {name: 'large', width: 100, crop: true},
+            {name: 'large', width: 100, format: 'gif'}
+        ].forEach(function(size) {
+
+            it('should reject an invalid size: ' + JSON.stringify(size), function() {
+                this.pb.ImageDerivativeService.validateSize(size).should.be.type('string');
+            });
+        });
+    });
+
+    describe('ImageDerivativeService.getDerivativePath', function() {
+
+        it('should place the derivative under the size name', function() {
+            var ImageDerivativeService = this.pb.ImageDerivativeService;
+            ImageDerivativeService.getDerivativePath('/media/2016/1/abc.png', SIZES.medium).should.eql('/media/medium/2016/1/abc.png');
+        });
+
+        it('should append the extension of a converted format', function() {
+            var ImageDerivativeService = this.pb.ImageDerivativeService;
+            ImageDerivativeService.getDerivativePath('/media/2016/1/abc.png', SIZES.small).should.eql('/media/small/2016/1/abc.png.jpg');
+            ImageDerivativeService.getDerivativePath('/media/2016/1/abc.jpg', SIZES.small).should.eql('/media/small/2016/1/abc.jpg');
+        });
+    });
+
+    describe('ImageDerivativeService.parseDerivativePath', function() {
+
+        it('should provide the size and the original image', function() {
+            var ImageDerivativeService = this.pb.ImageDerivativeService;
+            ImageDerivativeService.parseDerivativePath('/media/medium/2016/1/abc.png', SIZES).should.eql({
+                size: SIZES.medium,
+                mediaPath: '/media/2016/1/abc.png'
+            });
+            ImageDerivativeService.parseDerivativePath('/media/small/2016/1/abc.png.jpg', SIZES).mediaPath.should.eql('/media/2016/1/abc.png');
+            ImageDerivativeService.parseDerivativePath('/media/small/2016/1/abc.jpg', SIZES).mediaPath.should.eql('/media/2016/1/abc.jpg');
+        });
+
+        [
+            '/media/2016/1/abc.png',
+            '/media/large/2016/1/abc.png',
+            '/media/constructor/2016/1/abc.png',
+            '/media/medium/../../config.json',
+            '/media/medium/medium/2016/1/abc.png',
+            '/media/small/thumbnail/2016/1/abc.png',
+            '/public/medium/abc.png'
+        ].forEach(function(derivativePath) {
+
+            it('should provide null when the path is not a derivative: ' + derivativePath, function() {
+                should(this.pb.ImageDerivativeService.parseDerivativePath(derivativePath, SIZES)).eql(null);
+            });
+        });
+    });
+
+    describe('ImageDerivativeService.getSrcSet', function() {
+
+        it('should provide the derivatives that keep the aspect ratio ordered by width', function() {
+            this.pb.ImageDerivativeService.getSrcSet('/media/2016/1/abc.png', SIZES).should.eql([
+                {path: '/media/small/2016/1/abc.png.jpg', width: 320},
+                {path: '/media/medium/2016/1/abc.png', width: 640}
+            ]);
+        });
+
+        it('should not provide derivatives for unsupported media', function() {
+            this.pb.ImageDerivativeService.getSrcSet('/media/2016/1/abc.svg', SIZES).should.eql([]);
+            this.pb.ImageDerivativeService.getSrcSet('http://example.com/abc.png', SIZES).should.eql([]);
+        });
+    });
+
+    describe('ImageDerivativeService.resize', function() {
+
+        it('should scale an image down to fit the size', function(next) {
+            var pb = this.pb;
+            createImage(1280, 640, Jimp.MIME_PNG, function(err, content) {
+                pb.ImageDerivativeService.resize(content, SIZES.medium, Jimp.MIME_PNG, function(err, buffer) {
+                    should(err).eql(null);
+                    Jimp.read(buffer, function(err, image) {
+                        image.bitmap.width.should.eql(640);
+                        image.bitmap.height.should.eql(320);
+                        next();
+                    });
+                });
+            });
+        });
+
+        it('should not scale an image up', function(next) {
+            var pb = this.pb;
+            createImage(200, 100, Jimp.MIME_PNG, function(err, content) {
+                pb.ImageDerivativeService.resize(content, SIZES.medium, Jimp.MIME_PNG, function(err, buffer) {
+                    Jimp.read(buffer, function(err, image) {
+                        image.bitmap.width.should.eql(200);
+                        image.bitmap.height.should.eql(100);
+                        next();
+                    });
+                });
+            });
+        });
+
+        it('should crop an image to fill the size', function(next) {
+            var pb = this.pb;
+            createImage(400, 200, Jimp.MIME_PNG, function(err, content) {
+                pb.ImageDerivativeService.resize(content, SIZES.thumbnail, Jimp.MIME_JPEG, function(err, buffer) {
+                    Jimp.read(buffer, function(err, image) {
+                        image.bitmap.width.should.eql(150);
+                        image.bitmap.height.should.eql(150);
+                        image.getMIME().should.eql(Jimp.MIME_JPEG);
+                        next();
+                    });
+                });
+            });
+        });
+    });
+
+    describe('ImageDerivativeService.ensure', function() {
+
+        beforeEach(function(next) {
+            var self = this;
+            sandbox.stub(this.pb.ContentService.prototype, 'getSettings').callsArgWith(0, null, {
+                image_sizes: [SIZES.thumbnail, SIZES.small]
+            });
+            createImage(640, 480, Jimp.MIME_PNG, function(err, content) {
+                self.provider = new MemoryProvider({'/media/2016/1/abc.png': content});
+                next();
+            });
+        });
+
+        it('should create a derivative that does not exist', function(next) {
+            var provider = this.provider;
+            var service = new this.pb.ImageDerivativeService({provider: provider});
+            service.ensure('/media/small/2016/1/abc.png.jpg', function(err, isDerivative) {
+                should(err).eql(null);
+                isDerivative.should.be.true();
+                Jimp.read(provider.content['/media/small/2016/1/abc.png.jpg'], function(err, image) {
+                    image.bitmap.width.should.eql(320);
+                    image.getMIME().should.eql(Jimp.MIME_JPEG);
+                    next();
+                });
+            });
+        });
+
+        it('should only create a derivative once for concurrent requests', function(next) {
+            var set = sandbox.spy(this.provider, 'set');
+            var service = new this.pb.ImageDerivativeService({provider: this.provider});
+
+            var remaining = 2;
+            var onEnsured = function(err, isDerivative) {
+                should(err).eql(null);
+                isDerivative.should.be.true();
+                if (--remaining === 0) {
+                    set.calledOnce.should.be.true();
+                    next();
+                }
+            };
+            service.ensure('/media/thumbnail/2016/1/abc.png', onEnsured);
+            service.ensure('/media/thumbnail/2016/1/abc.png', onEnsured);
+        });
+
+        it('should provide false when the path is not for one of the sizes', function(next) {
+            var set = sandbox.spy(this.provider, 'set');
+            var service = new this.pb.ImageDerivativeService({provider: this.provider});
+            service.ensure('/media/2016/1/abc.png', function(err, isDerivative) {
+                should(err).eql(null);
+                isDerivative.should.be.false();
+                set.called.should.be.false();
+                next();
+            });
+        });
+
+        it('should callback with a not found error when the original does not exist', function(next) {
+            var service = new this.pb.ImageDerivativeService({provider: this.provider});
+            service.ensure('/media/thumbnail/2016/1/missing.png', function(err) {
+                err.code.should.eql(404);
+                next();
+            });
+        });
+    });
+
+    describe('ImageDerivativeService.removeAll', function() {
+
+        it('should remove the derivatives of an image', function(next) {
+            sandbox.stub(this.pb.ContentService.prototype, 'getSettings').callsArgWith(0, null, {
+                image_sizes: [SIZES.thumbnail, SIZES.small]
+            });
+            var provider = new MemoryProvider({
+                '/media/2016/1/abc.png': 'original',
+                '/media/thumbnail/2016/1/abc.png': 'thumbnail',
+                '/media/small/2016/1/abc.png.jpg': 'small'
+            });
+
+            var service = new this.pb.ImageDerivativeService({provider: provider});
+            service.removeAll('/media/2016/1/abc.png', function(err) {
+                should(err).eql(null);
+                Object.keys(provider.content).should.eql(['/media/2016/1/abc.png']);
+                next();
+            });
+        });
+    });
+
+    describe('ImageMediaRenderer.render', function() {
+
+        it('should add a srcset of the derivatives when the image sizes are provided', function(next) {
+            var options = {imageSizes: SIZES, attrs: {alt: 'abc'}};
+            this.pb.media.renderers.ImageMediaRenderer.render({location: '/media/2016/1/abc.png'}, options, function(err, html) {
+                html.should.containEql('srcset="/media/small/2016/1/abc.png.jpg 320w, /media/medium/2016/1/abc.png 640w"');
+                html.should.containEql('alt="abc"');
+                next();
+            });
+        });
+
+        it('should not add a srcset without image sizes', function(next) {
+            this.pb.media.renderers.ImageMediaRenderer.render({location: '/media/2016/1/abc.png'}, {}, function(err, html) {
+                html.should.not.containEql('srcset');
+                next();
+            });
+        });
+    });
+});
@@ -0,0 +1,269 @@
+'use strict';
+
+//dependencies
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+var crypto = require('crypto');
+var stream = require('stream');
+var should = require('should');
+var TestHelpers = require('../../../test_helpers');
+
+describe('MediaUploadService', function() {
+
+    TestHelpers.registerReset(function(pb) {
+        pb.config.media.uploads.temp_dir = path.join(os.tmpdir(), 'pb-media-upload-tests-' + process.pid);
+    });
+    var sandbox = TestHelpers.registerSandbox();
+
+    after('Remove the temporary files', function() {
+        var dir = this.pb.config.media.uploads.temp_dir;
+        if (fs.existsSync(dir)) {
+            fs.readdirSync(dir).forEach(function(file) {
+                fs.unlinkSync(path.join(dir, file));
+            });
+            fs.rmdirSync(dir);
+        }
+    });
+
+    var ID = '507f1f77bcf86cd799439011';
+
+    /**
+     * Keeps the uploads in memory
+     */
+    var stubDao = function(pb, uploads) {
+        sandbox.stub(pb.SiteQueryService.prototype, 'save', function(obj, cb) {
+            obj._id = obj._id || ID;
+            uploads[obj._id] = obj;
+            cb(null, obj);
+        });
+        sandbox.stub(pb.SiteQueryService.prototype, 'loadById', function(id, type, cb) {
+            cb(null, uploads[id] || null);
+        });
+        sandbox.stub(pb.SiteQueryService.prototype, 'deleteById', function(id, type, cb) {
+            delete uploads[id];
+            cb(null, 1);
+        });
+        sandbox.stub(pb.SiteQueryService.prototype, 'q').callsArgWith(2, null, []);
+    };
+
+    var getLockService = function(acquired) {
+        return {
+            acquire: sandbox.spy(function(name, options, cb) {
+                cb(null, acquired ? 'token1' : false);
+            }),
+            release: sandbox.spy(function(name, token, cb) {
+                cb(null);
+            })
+        };
+    };
+
+    var getChunk = function(content) {
+        var chunk = new stream.PassThrough();
+        chunk.end(content);
+        return chunk;
+    };
+
+    var getChecksum = function(algorithm, content) {
+        return algorithm + ' ' + crypto.createHash(algorithm).update(content).digest('base64');
+    };
+
+    describe('MediaUploadService.parseMetadata', function() {
+
+        it('should decode the values', function() {
+            var header = 'filename ' + new Buffer('clip.mp4').toString('base64') + ',caption ' + new Buffer('Zoë').toString('base64') + ',draft';
+            this.pb.MediaUploadService.parseMetadata(header).should.eql({filename: 'clip.mp4', caption: 'Zoë', draft: ''});
+        });
+
+        it('should provide an empty object when there is no header', function() {
+            this.pb.MediaUploadService.parseMetadata(undefined).should.eql({});
+        });
+
+        ['filename a b', 'filename $$$'].forEach(function(header) {
+
+            it('should provide null for a malformed header: ' + header, function() {
+                should(this.pb.MediaUploadService.parseMetadata(header)).eql(null);
+            });
+        });
+    });
+
+    describe('MediaUploadService.parseChecksum', function() {
+
+        it('should provide the algorithm and the digest', function() {
+            this.pb.MediaUploadService.parseChecksum('sha1 Kq5sNclPz7QV2+lfQIuc6R7oRu0=').should.eql({
+                algorithm: 'sha1',
+                digest: 'Kq5sNclPz7QV2+lfQIuc6R7oRu0='
+            });
+        });
+
+        [null, '', 'sha1', 'crc32 AAAA', 'sha1 !!!'].forEach(function(header) {
+
+            it('should provide null for an unsupported header: ' + header, function() {
+                should(this.pb.MediaUploadService.parseChecksum(header)).eql(null);
+            });
+        });
+    });
+
+    describe('MediaUploadService.create', function() {
+
+        [
+            {length: null, metadata: {filename: 'clip.mp4'}, code: 400},
+            {length: -1, metadata: {filename: 'clip.mp4'}, code: 400},
+            {length: Number.MAX_VALUE, metadata: {filename: 'clip.mp4'}, code: 413},
+            {length: 10, metadata: {}, code: 400},
+            {length: 10, metadata: {filename: 'script.exe'}, code: 415}
+        ].forEach(function(options) {
+
+            it('should reject an invalid upload: ' + JSON.stringify(options), function(next) {
+                var service = new this.pb.MediaUploadService({lockService: getLockService(true)});
+                service.create(options, function(err, upload) {
+                    err.code.should.eql(options.code);
+                    should(upload).eql(undefined);
+                    next();
+                });
+            });
+        });
+
+        it('should persist the upload and create an empty file for its content', function(next) {
+            var pb = this.pb;
+            var uploads = {};
+            stubDao(pb, uploads);
+
+            var context = {lockService: getLockService(true), session: {authentication: {user_id: 'user1'}}};
+            var service = new pb.MediaUploadService(context);
+            service.create({length: 10, metadata: {filename: 'clip.mp4', caption: 'A clip'}}, function(err, upload) {
+                should(err).eql(null);
+                upload.offset.should.eql(0);
+                upload.mime.should.eql('video/mp4');
+                upload.author.should.eql('user1');
+                upload.media.should.eql({name: 'clip.mp4', caption: 'A clip'});
+                fs.readFileSync(pb.MediaUploadService.getTempPath(ID)).length.should.eql(0);
+                next();
+            });
+        });
+    });
+
+    describe('MediaUploadService.append', function() {
+
+        var content = new Buffer('0123456789');
+
+        beforeEach(function(next) {
+            this.uploads = {};
+            stubDao(this.pb, this.uploads);
+
+            var service = new this.pb.MediaUploadService({lockService: getLockService(true)});
+            service.create({length: content.length, metadata: {filename: 'clip.mp4'}}, next);
+        });
+
+        it('should append the chunks and create the media when the upload is complete', function(next) {
+            var pb = this.pb;
+            var add = sandbox.stub(pb.MediaServiceV2.prototype, 'add', function(dto, cb) {
+                fs.readFileSync(dto.content.path).toString().should.eql('0123456789');
+                cb(null, {_id: 'media1', name: dto.name});
+            });
+
+            var service = new pb.MediaUploadService({lockService: getLockService(true)});
+            service.append(ID, {offset: 0, stream: getChunk(content.slice(0, 4))}, function(err, upload, media) {
+                should(err).eql(null);
+                upload.offset.should.eql(4);
+                should(media).eql(null);
+
+                var options = {offset: 4, stream: getChunk(content.slice(4)), checksum: getChecksum('sha256', content.slice(4))};
+                service.append(ID, options, function(err, upload, media) {
+                    should(err).eql(null);
+                    upload.offset.should.eql(10);
+                    upload.media_id.should.eql('media1');
+                    media.name.should.eql('clip.mp4');
+                    add.firstCall.args[0].content.size.should.eql(10);
+                    fs.existsSync(pb.MediaUploadService.getTempPath(ID)).should.be.false();
+                    next();
+                });
+            });
+        });
+
+        it('should reject a chunk at the wrong offset', function(next) {
+            var service = new this.pb.MediaUploadService({lockService: getLockService(true)});
+            service.append(ID, {offset: 3, stream: getChunk(content)}, function(err) {
+                err.code.should.eql(409);
+                next();
+            });
+        });
+
+        it('should discard a chunk that does not match its checksum', function(next) {
+            var pb = this.pb;
+            var uploads = this.uploads;
+            var service = new pb.MediaUploadService({lockService: getLockService(true)});
+            var options = {offset: 0, stream: getChunk(content.slice(0, 4)), checksum: getChecksum('md5', 'other')};
+            service.append(ID, options, function(err) {
+                err.code.should.eql(460);
+                uploads[ID].offset.should.eql(0);
+                fs.readFileSync(pb.MediaUploadService.getTempPath(ID)).length.should.eql(0);
+                next();
+            });
+        });
+
+        it('should keep the bytes received before a chunk is interrupted', function(next) {
+            var uploads = this.uploads;
+            var chunk = new stream.PassThrough();
+            chunk.write(content.slice(0, 6));
+            setTimeout(function() {
+                chunk.emit('aborted');
+            }, 10);
+
+            var service = new this.pb.MediaUploadService({lockService: getLockService(true)});
+            service.append(ID, {offset: 0, stream: chunk}, function(err, upload) {
+                err.code.should.eql(400);
+                should(upload).eql(undefined);
+                uploads[ID].offset.should.eql(6);
+                next();
+            });
+        });
+
+        it('should reject a chunk that exceeds the length of the upload', function(next) {
+            var uploads = this.uploads;
+            var service = new this.pb.MediaUploadService({lockService: getLockService(true)});
+            service.append(ID, {offset: 0, stream: getChunk('01234567890123')}, function(err) {
+                err.code.should.eql(413);
+                uploads[ID].offset.should.eql(0);
+                next();
+            });
+        });
+
+        it('should reject a chunk while another chunk is being written', function(next) {
+            var lockService = getLockService(false);
+            var service = new this.pb.MediaUploadService({lockService: lockService});
+            service.append(ID, {offset: 0, stream: getChunk(content)}, function(err) {
+                err.code.should.eql(423);
+                lockService.release.called.should.be.false();
+                next();
+            });
+        });
+    });
+
+    describe('MediaUploadService.get', function() {
+
+        it('should not provide the uploads of other users', function(next) {
+            var uploads = {};
+            uploads[ID] = {_id: ID, author: 'user1', expires: new Date(Date.now() + 60000)};
+            stubDao(this.pb, uploads);
+
+            var service = new this.pb.MediaUploadService({lockService: getLockService(true), session: {authentication: {user_id: 'user2'}}});
+            service.get(ID, function(err) {
+                err.code.should.eql(404);
+                next();
+            });
+        });
+
+        it('should not provide an upload that has expired', function(next) {
+            var uploads = {};
+            uploads[ID] = {_id: ID, author: null, expires: new Date(Date.now() - 1000)};
+            stubDao(this.pb, uploads);
+
+            var service = new this.pb.MediaUploadService({lockService: getLockService(true)});
+            service.get(ID, function(err) {
+                err.code.should.eql(404);
+                next();
+            });
+        });
+    });
+});
@@ -0,0 +1,260 @@
+'use strict';
+
+//dependencies
+var http = require('http');
+var crypto = require('crypto');
+var should = require('should');
+var TestHelpers = require('../../../test_helpers');
+
+describe('WebhookDeliveryService', function() {
+
+    TestHelpers.registerReset();
+    var sandbox = TestHelpers.registerSandbox();
+
+    var webhook = {_id: 'w1', site: 'webhook-test', url: 'https://example.com/hook', secret: 'shh', active: true};
+
+    describe('WebhookDeliveryService.sign', function() {
+
+        it('should sign the payload with an HMAC of the secret', function() {
+            var expected = crypto.createHmac('sha256', 'shh').update('{"a":1}').digest('hex');
+            this.pb.WebhookDeliveryService.sign('{"a":1}', 'shh').should.eql('sha256=' + expected);
+        });
+    });
+
+    describe('WebhookDeliveryService.getHeaders', function() {
+
+        it('should identify the event and the delivery', function() {
+            var pb = this.pb;
+            var item = {_id: 'd1', event: 'article.saved', payload: '{}'};
+            var headers = pb.WebhookDeliveryService.getHeaders(item, 'shh');
+            headers['X-PB-Event'].should.eql('article.saved');
+            headers['X-PB-Delivery'].should.eql('d1');
+            headers['X-PB-Signature'].should.eql(pb.WebhookDeliveryService.sign('{}', 'shh'));
+        });
+    });
+
+    describe('WebhookDeliveryService.getFailureUpdates', function() {
+
+        it('should record the response and schedule the next attempt', function() {
+            var err = new Error('The receiver responded with status 503');
+            err.code = 503;
+            err.body = 'busy';
+
+            var updates = this.pb.WebhookDeliveryService.getFailureUpdates({attempts: 1}, err);
+            updates.attempts.should.eql(2);
+            updates.response_code.should.eql(503);
+            updates.response_body.should.eql('busy');
+            updates.next_attempt.getTime().should.be.above(Date.now());
+            should(updates.status).eql(undefined);
+        });
+
+        it('should mark the delivery as failed once the attempts are exhausted', function() {
+            var maxAttempts = this.pb.config.webhooks.max_attempts;
+            var updates = this.pb.WebhookDeliveryService.getFailureUpdates({attempts: maxAttempts - 1}, new Error('ECONNREFUSED'));
+            updates.status.should.eql(this.pb.WebhookDeliveryService.STATUS_FAILED);
+            should(updates.response_code).eql(null);
+            should(updates.next_attempt).eql(undefined);
+        });
+    });
+
+    describe('WebhookDeliveryService.isReservedAddress', function() {
+
+        ['127.0.0.1', '10.1.2.3', '172.16.0.1', '172.31.255.255', '192.168.1.1', '169.254.169.254', '100.64.0.1', '0.0.0.0', '224.0.0.1',
+            '::', '::1', 'fd00::1', 'fe80::1%eth0', 'ff02::1', '::ffff:127.0.0.1', '::ffff:7f00:1', '64:ff9b::a9fe:a9fe', 'not an address'
+        ].forEach(function(address) {
+
+            it('should reserve ' + address, function() {
+                this.pb.WebhookDeliveryService.isReservedAddress(address).should.be.true();
+            });
+        });
+
+        ['8.8.8.8', '172.32.0.1', '192.169.0.1', '2606:4700::1111', '::ffff:8.8.8.8'].forEach(function(address) {
+
+            it('should not reserve ' + address, function() {
+                this.pb.WebhookDeliveryService.isReservedAddress(address).should.be.false();
+            });
+        });
+    });
+
+    describe('WebhookDeliveryService.isAllowedHost', function() {
+
+        it('should not allow the local host names or reserved addresses', function() {
+            var WebhookDeliveryService = this.pb.WebhookDeliveryService;
+            WebhookDeliveryService.isAllowedHost('localhost').should.be.false();
+            WebhookDeliveryService.isAllowedHost('api.LOCALHOST.').should.be.false();
+            WebhookDeliveryService.isAllowedHost('[::1]').should.be.false();
+            WebhookDeliveryService.isAllowedHost('10.0.0.5').should.be.false();
+            WebhookDeliveryService.isAllowedHost('example.com').should.be.true();
+        });
+
+        it('should allow the hosts listed by the configuration', function() {
+            var pb = this.pb;
+            sandbox.stub(pb.config.webhooks, 'allowed_hosts', ['10.0.0.5', 'Hooks.Internal']);
+            pb.WebhookDeliveryService.isAllowedHost('10.0.0.5').should.be.true();
+            pb.WebhookDeliveryService.isAllowedHost('hooks.internal').should.be.true();
+            pb.WebhookDeliveryService.isAllowedHost('10.0.0.6').should.be.false();
+        });
+    });
+
+    describe('WebhookDeliveryService.enqueue', function() {
+
+        it('should queue the serialized payload for immediate delivery', function(next) {
+            var pb = this.pb;
+            sandbox.stub(pb.DAO.prototype, 'save', function(item, cb) {
+                cb(null, item);
+            });
+
+            new pb.WebhookDeliveryService().enqueue(webhook, 'page.deleted', {_id: 'p1'}, function(err, item) {
+                should(err).eql(null);
+                item.webhook_id.should.eql('w1');
+                item.site.should.eql('webhook-test');
+                item.status.should.eql(pb.WebhookDeliveryService.STATUS_PENDING);
+                item.next_attempt.getTime().should.not.be.above(Date.now());
+
+                var payload = JSON.parse(item.payload);
+                payload.event.should.eql('page.deleted');
+                payload.data.should.eql({_id: 'p1'});
+                next();
+            });
+        });
+    });
+
+    describe('WebhookDeliveryService.deliver', function() {
+
+        it('should send the delivery to the webhook and record the response', function(next) {
+            var pb = this.pb;
+            sandbox.stub(pb.DAO.prototype, 'loadById').callsArgWith(2, null, webhook);
+            var send = sandbox.stub(pb.WebhookDeliveryService, 'send').callsArgWith(3, null, {code: 204, body: ''});
+            var updateFields = sandbox.stub(pb.DAO.prototype, 'updateFields').callsArgWith(3, null);
+
+            var item = {_id: 'd1', webhook_id: 'w1', event: 'article.saved', payload: '{}', attempts: 0};
+            new pb.WebhookDeliveryService().deliver(item, function(err, delivered) {
+                should(err).eql(null);
+                delivered.should.be.true();
+                send.firstCall.args[0].should.eql(webhook.url);
+                send.firstCall.args[2]['X-PB-Signature'].should.eql(pb.WebhookDeliveryService.sign('{}', 'shh'));
+
+                var updates = updateFields.firstCall.args[2].$set;
+                updates.status.should.eql(pb.WebhookDeliveryService.STATUS_DELIVERED);
+                updates.response_code.should.eql(204);
+                updates.attempts.should.eql(1);
+                next();
+            });
+        });
+
+        it('should not send the delivery when the webhook no longer exists', function(next) {
+            var pb = this.pb;
+            sandbox.stub(pb.DAO.prototype, 'loadById').callsArgWith(2, null, null);
+            var send = sandbox.stub(pb.WebhookDeliveryService, 'send');
+            var updateFields = sandbox.stub(pb.DAO.prototype, 'updateFields').callsArgWith(3, null);
+
+            new pb.WebhookDeliveryService().deliver({_id: 'd1', webhook_id: 'w1', event: 'article.saved'}, function(err, delivered) {
+                delivered.should.be.false();
+                send.called.should.be.false();
+                updateFields.firstCall.args[2].$set.status.should.eql(pb.WebhookDeliveryService.STATUS_FAILED);
+                next();
+            });
+        });
+    });
+
+    describe('WebhookDeliveryService.send', function() {
+
+        var server = null;
+        var received = null;
+        var status = 200;
+
+        before(function(next) {
+            server = http.createServer(function(req, res) {
+                var body = '';
+                req.on('data', function(chunk) {
+                    body += chunk;
+                });
+                req.on('end', function() {
+                    received = {method: req.method, headers: req.headers, body: body};
+                    res.writeHead(status);
+                    res.end('thanks');
+                });
+            });
+            server.listen(0, '127.0.0.1', next);
+        });
+
+        after(function(next) {
+            server.close(next);
+        });
+
+        beforeEach(function() {
+            received = null;
+            sandbox.stub(this.pb.config.webhooks, 'allowed_hosts', ['127.0.0.1']);
+        });
+
+        var getUrl = function(host) {
+            return 'http://' + (host || '127.0.0.1') + ':' + server.address().port + '/hook';
+        };
+
+        it('should post the payload with the headers', function(next) {
+            status = 200;
+            this.pb.WebhookDeliveryService.send(getUrl(), '{"event":"ping"}', {'X-PB-Event': 'ping'}, function(err, response) {
+                should(err).eql(null);
+                response.should.eql({code: 200, body: 'thanks'});
+                received.method.should.eql('POST');
+                received.body.should.eql('{"event":"ping"}');
+                received.headers['x-pb-event'].should.eql('ping');
+                next();
+            });
+        });
+
+        it('should report a response other than 2xx as an error', function(next) {
+            status = 500;
+            this.pb.WebhookDeliveryService.send(getUrl(), '{}', {}, function(err) {
+                err.code.should.eql(500);
+                err.body.should.eql('thanks');
+                next();
+            });
+        });
+
+        it('should not send to a reserved address that is not allowed', function(next) {
+            this.pb.config.webhooks.allowed_hosts = [];
+            this.pb.WebhookDeliveryService.send(getUrl(), '{}', {}, function(err) {
+                err.message.should.match(/private or reserved/);
+                should(received).eql(null);
+                next();
+            });
+        });
+
+        it('should not send to a host name that resolves to a reserved address', function(next) {
+            this.pb.config.webhooks.allowed_hosts = [];
+            this.pb.WebhookDeliveryService.lookup('localhost', {}, function(err) {
+                err.message.should.match(/resolves to a private or reserved address/);
+                next();
+            });
+        });
+    });
+
+    describe('WebhookDeliveryService.process', function() {
+
+        it('should renew the queue lock until the run completes', function(next) {
+            var pb = this.pb;
+            var acquire = sandbox.stub(pb.LockService.prototype, 'acquire').callsArgWith(2, null, 'token1');
+            var release = sandbox.stub(pb.LockService.prototype, 'release').callsArgWith(2, null, true);
+            sandbox.stub(pb.WebhookDeliveryJobRunner.prototype, 'run').callsArgWith(0, null, []);
+
+            pb.WebhookDeliveryService.process(function(err) {
+                should(err).eql(null);
+                acquire.firstCall.args[1].heartbeat.should.be.true();
+                release.firstCall.args[1].should.eql('token1');
+                next();
+            });
+        });
+    });
+
+    describe('WebhookDeliveryJobRunner.processResults', function() {
+
+        it('should count the accepted and failed deliveries', function(next) {
+            var job = new this.pb.WebhookDeliveryJobRunner();
+            job.processResults(null, [true, false, false], function(err, result) {
+                result.should.eql({delivered: 1, failed: 2});
+                next();
+            });
+        });
+    });
+});
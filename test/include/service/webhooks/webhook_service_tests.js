@@ -0,0 +1,153 @@
+'use strict';
+
+//dependencies
+var should = require('should');
+var TestHelpers = require('../../../test_helpers');
+
+describe('WebhookService', function() {
+
+    TestHelpers.registerReset();
+    var sandbox = TestHelpers.registerSandbox();
+
+    var site = 'webhook-test';
+
+    /**
+     * Keeps the saved webhooks in memory
+     */
+    var stubSave = function(pb, webhooks) {
+        sandbox.stub(pb.SiteQueryService.prototype, 'save', function(webhook, options, cb) {
+            webhook._id = 'w' + (webhooks.length + 1);
+            webhook.site = site;
+            webhooks.push(webhook);
+            cb(null, webhook);
+        });
+    };
+
+    describe('WebhookService.getEvents', function() {
+
+        it('should provide a saved and a deleted event for each content type', function() {
+            var events = this.pb.WebhookService.getEvents();
+            events.should.containEql('article.saved');
+            events.should.containEql('media.deleted');
+            events.should.containEql('custom_object.deleted');
+            events.should.not.containEql('ping');
+        });
+    });
+
+    describe('WebhookService.save', function() {
+
+        it('should generate a secret and clean up the events', function(next) {
+            var pb = this.pb;
+            var webhooks = [];
+            stubSave(pb, webhooks);
+
+            var dto = {name: 'Builder', url: ' https://example.com/hook ', events: ['article.saved', 'page.saved', 'article.saved']};
+            new pb.WebhookService({site: site}).add(dto, function(err, webhook) {
+                should(err).eql(null);
+                webhook.url.should.eql('https://example.com/hook');
+                webhook.events.should.eql(['article.saved', 'page.saved']);
+                webhook.secret.should.match(/^[0-9a-f]{48}$/);
+                webhook.active.should.be.true();
+                webhooks.length.should.eql(1);
+                next();
+            });
+        });
+
+        [
+            {url: 'ftp://example.com/hook'},
+            {url: '/relative'},
+            {events: []},
+            {events: ['article.published']},
+            {name: ''},
+            {url: 'http://127.0.0.1:8080/hook'},
+            {url: 'http://[::1]/hook'},
+            {url: 'https://localhost/hook'},
+            {url: 'http://169.254.169.254/latest/meta-data'}
+        ].forEach(function(override) {
+
+            it('should not save a webhook with ' + JSON.stringify(override), function(next) {
+                var pb = this.pb;
+                stubSave(pb, []);
+
+                var dto = Object.assign({name: 'Builder', url: 'https://example.com/hook', events: ['*']}, override);
+                new pb.WebhookService({site: site}).add(dto, function(err) {
+                    err.code.should.eql(400);
+                    err.validationErrors.length.should.eql(1);
+                    next();
+                });
+            });
+        });
+    });
+
+    describe('WebhookService.validate', function() {
+
+        it('should accept a reserved address that is allowed by the configuration', function(next) {
+            var pb = this.pb;
+            stubSave(pb, []);
+            sandbox.stub(pb.config.webhooks, 'allowed_hosts', ['10.0.0.5']);
+
+            new pb.WebhookService({site: site}).add({name: 'Internal', url: 'http://10.0.0.5/hook', events: ['*']}, function(err) {
+                should(err).eql(null);
+                next();
+            });
+        });
+    });
+
+    describe('WebhookService.dispatch', function() {
+
+        it('should queue a delivery for each active webhook that subscribes to the event', function(next) {
+            var pb = this.pb;
+            var getAll = sandbox.stub(pb.WebhookService.prototype, 'getAll').callsArgWith(1, null, [{_id: 'w1'}, {_id: 'w2'}]);
+            var enqueue = sandbox.stub(pb.WebhookDeliveryService.prototype, 'enqueue').callsArgWith(3, null, {});
+
+            var data = {_id: 'a1', headline: 'Hello'};
+            new pb.WebhookService({site: site}).dispatch('article.saved', data, function(err, count) {
+                should(err).eql(null);
+                count.should.eql(2);
+                getAll.firstCall.args[0].where.should.eql({active: true, events: {$in: ['article.saved', '*']}});
+                enqueue.callCount.should.eql(2);
+                enqueue.firstCall.args[1].should.eql('article.saved');
+                enqueue.firstCall.args[2].should.equal(data);
+                next();
+            });
+        });
+    });
+
+    describe('WebhookService.getEventHandler', function() {
+
+        it('should dispatch the event to the webhooks of the site of the object', function(next) {
+            var pb = this.pb;
+            var dispatch = sandbox.stub(pb.WebhookService.prototype, 'dispatch').callsArgWith(2, null, 1);
+
+            var handler = pb.WebhookService.getEventHandler('custom_object', pb.WebhookService.ACTIONS.DELETED);
+            handler({id: 'c1', site: site}, function() {
+                dispatch.calledOnce.should.be.true();
+                dispatch.firstCall.thisValue.context.site.should.eql(site);
+                dispatch.firstCall.args[0].should.eql('custom_object.deleted');
+                dispatch.firstCall.args[1].should.eql({id: 'c1'});
+                next();
+            });
+        });
+
+        it('should not fail the operation when the deliveries cannot be queued', function(next) {
+            var pb = this.pb;
+            sandbox.stub(pb.WebhookService.prototype, 'dispatch').callsArgWith(2, new Error('db down'));
+
+            pb.WebhookService.getEventHandler('article', 'saved')({data: {site: site}}, function(err) {
+                should(err).eql(undefined);
+                next();
+            });
+        });
+
+        it('should do nothing when webhooks are disabled', function(next) {
+            var pb = this.pb;
+            sandbox.stub(pb.config.webhooks, 'enabled', false);
+            var dispatch = sandbox.stub(pb.WebhookService.prototype, 'dispatch');
+
+            pb.WebhookService.getEventHandler('page', 'saved')({data: {site: site}}, function() {
+                dispatch.called.should.be.false();
+                next();
+            });
+        });
+    });
+});
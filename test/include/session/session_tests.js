@@ -0,0 +1,70 @@
+'use strict';
+
+//dependencies
+var should = require('should');
+var TestHelpers = require('../../test_helpers');
+
+describe('SessionHandler', function() {
+
+    TestHelpers.registerReset();
+
+    describe('SessionHandler.describe', function() {
+
+        it('should not expose the session identifier', function() {
+            var session = {uid: 'abc', ip: '10.0.0.1', user_agent: 'Mozilla/5.0', created: 1000, last_seen: 2000, authentication: {}};
+            this.pb.SessionHandler.describe(session, 'abc').should.eql({
+                ip: '10.0.0.1',
+                user_agent: 'Mozilla/5.0',
+                created: new Date(1000),
+                last_seen: new Date(2000),
+                current: true
+            });
+        });
+    });
+
+    describe('SessionHandler.getCookieValue', function() {
+
+        it('should provide the session ID for stores that keep the session', function() {
+            var handler = new this.pb.SessionHandler({});
+            handler.isStateless().should.be.false();
+            handler.getCookieValue({uid: 'abc'}).should.eql('abc');
+        });
+
+        it('should provide the serialized session for stateless stores', function() {
+            var handler = new this.pb.SessionHandler({
+                serialize: function(session) {
+                    return 'sealed-' + session.uid;
+                }
+            });
+            handler.isStateless().should.be.true();
+            handler.getCookieValue({uid: 'abc'}).should.eql('sealed-abc');
+        });
+    });
+
+    describe('SessionHandler.revokeUserSessions', function() {
+
+        it('should keep the excepted session', function(next) {
+            var store = {
+                clearForUser: function(userId, options, cb) {
+                    userId.should.eql('user1');
+                    options.should.eql({except: 'abc'});
+                    cb(null, 2);
+                }
+            };
+            var handler = new this.pb.SessionHandler(store);
+            handler.revokeUserSessions('user1', {except: 'abc'}, function(err, count) {
+                should(err).eql(null);
+                count.should.eql(2);
+                next();
+            });
+        });
+
+        it('should callback with an error when the store does not index sessions by user', function(next) {
+            var handler = new this.pb.SessionHandler({});
+            handler.revokeUserSessions('user1', function(err) {
+                err.should.be.instanceOf(Error);
+                next();
+            });
+        });
+    });
+});
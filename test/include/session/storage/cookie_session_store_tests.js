@@ -0,0 +1,132 @@
+'use strict';
+
+//dependencies
+var crypto = require('crypto');
+var should = require('should');
+var TestHelpers = require('../../../test_helpers');
+
+describe('CookieSessionStore', function() {
+
+    var OLD_KEY = 'an old key that is at least 32 characters long';
+    var NEW_KEY = 'a new key that is at least 32 characters long';
+
+    TestHelpers.registerReset(function(pb) {
+        pb.config.session.cookie.keys = [NEW_KEY, OLD_KEY];
+    });
+
+    var getStore = function(pb) {
+        var CookieSessionStore = require('../../../../include/session/storage/cookie_session_store.js')(pb);
+        return new CookieSessionStore();
+    };
+
+    var getSession = function() {
+        return {
+            uid: 'abc123',
+            authentication: {user_id: 'user1', admin_level: 4}
+        };
+    };
+
+    describe('CookieSessionStore.get', function() {
+
+        it('should open a session sealed by the store', function(next) {
+            var store = getStore(this.pb);
+            var value = store.serialize(getSession());
+            value.should.match(/^[A-Za-z0-9_-]+$/);
+
+            store.get(value, function(err, session) {
+                should(err).eql(null);
+                session.should.eql(getSession());
+                next();
+            });
+        });
+
+        it('should open a session sealed with a key that is being rotated out', function(next) {
+            var store = getStore(this.pb);
+            var value = store.constructor.seal({session: getSession(), expires: Date.now() + 60000}, OLD_KEY);
+
+            store.get(value, function(err, session) {
+                session.uid.should.eql('abc123');
+                next();
+            });
+        });
+
+        it('should not open a session that was tampered with', function(next) {
+            var store = getStore(this.pb);
+            var value = store.serialize(getSession());
+            var tampered = value.substr(0, value.length - 2) + (value.substr(-2) === 'AA' ? 'BB' : 'AA');
+
+            store.get(tampered, function(err, session) {
+                should(session).eql(null);
+                next();
+            });
+        });
+
+        it('should not open a session sealed with an unknown key', function(next) {
+            var store = getStore(this.pb);
+            var value = store.constructor.seal({session: getSession(), expires: Date.now() + 60000}, 'a retired key that is at least 32 characters long');
+
+            store.get(value, function(err, session) {
+                should(session).eql(null);
+                next();
+            });
+        });
+
+        it('should not open a session that has expired', function(next) {
+            var store = getStore(this.pb);
+            var value = store.constructor.seal({session: getSession(), expires: Date.now() - 1}, NEW_KEY);
+
+            store.get(value, function(err, session) {
+                should(session).eql(null);
+                next();
+            });
+        });
+    });
+
+    describe('CookieSessionStore.serialize', function() {
+
+        it('should only keep the fields of the user that the session needs', function(next) {
+            var pb = this.pb;
+            var store = getStore(pb);
+            var session = getSession();
+            session.authentication.user = {
+                _id: 'user1',
+                username: 'jane',
+                admin: pb.SecurityService.ACCESS_EDITOR,
+                permissions: {a: true},
+                bio: new Array(1000).join('long biography ')
+            };
+
+            store.get(store.serialize(session), function(err, opened) {
+                var user = opened.authentication.user;
+                user._id.should.eql('user1');
+                user.username.should.eql('jane');
+                should(user.bio).eql(undefined);
+                user.permissions.should.eql(pb.PluginService.getPermissionsForRole(pb.SecurityService.ACCESS_EDITOR));
+                session.authentication.user.bio.length.should.be.above(0);
+                next();
+            });
+        });
+
+        it('should not write a session that does not fit in a cookie', function() {
+            var store = getStore(this.pb);
+            var session = getSession();
+            session.on_login = crypto.randomBytes(4096).toString('hex');
+
+            store.serialize.bind(store, session).should.throwError(/was not written/);
+        });
+    });
+
+    describe('CookieSessionStore.start', function() {
+
+        it('should require the keys to be long enough', function(next) {
+            var pb = this.pb;
+            pb.config.session.cookie.keys = ['short'];
+
+            getStore(pb).start(function(err) {
+                pb.config.session.cookie.keys = [NEW_KEY, OLD_KEY];
+                err.should.be.instanceOf(Error);
+                next();
+            });
+        });
+    });
+});
@@ -0,0 +1,106 @@
+'use strict';
+
+//dependencies
+var should = require('should');
+var TestHelpers = require('../../../test_helpers');
+
+describe('MemorySessionStore', function() {
+
+    TestHelpers.registerReset();
+
+    var getStore = function(pb) {
+        var MemorySessionStore = require('../../../../include/session/storage/memory_session_store.js')(pb);
+        return new MemorySessionStore();
+    };
+
+    var getSession = function(uid, userId, timeout) {
+        return {
+            uid: uid,
+            timeout: timeout || Date.now() + 60000,
+            authentication: {user_id: userId}
+        };
+    };
+
+    describe('MemorySessionStore.get', function() {
+
+        it('should provide a copy of the stored session', function(next) {
+            var store = getStore(this.pb);
+            var session = getSession('memory-1', null);
+            store.set(session, function() {
+                session.changed = true;
+
+                store.get('memory-1', function(err, result) {
+                    should(err).eql(null);
+                    result.uid.should.eql('memory-1');
+                    should(result.changed).eql(undefined);
+                    next();
+                });
+            });
+        });
+
+        it('should not provide a session that has expired', function(next) {
+            var store = getStore(this.pb);
+            store.set(getSession('memory-2', null, Date.now() - 1), function() {
+                store.get('memory-2', function(err, result) {
+                    should(result).eql(null);
+                    next();
+                });
+            });
+        });
+    });
+
+    describe('MemorySessionStore.evictExpired', function() {
+
+        it('should remove only the sessions that have expired', function(next) {
+            var pb = this.pb;
+            var store = getStore(pb);
+            store.set(getSession('memory-3', null, Date.now() - 1), function() {
+                store.set(getSession('memory-4', null), function() {
+                    store.constructor.evictExpired().should.be.above(0);
+
+                    store.get('memory-4', function(err, result) {
+                        result.uid.should.eql('memory-4');
+                        next();
+                    });
+                });
+            });
+        });
+    });
+
+    describe('MemorySessionStore.clearForUser', function() {
+
+        it('should clear every session of the user except the one to keep', function(next) {
+            var store = getStore(this.pb);
+            store.set(getSession('memory-5', 'user1'), function() {
+                store.set(getSession('memory-6', 'user1'), function() {
+                    store.clearForUser('user1', {except: 'memory-6'}, function(err, count) {
+                        count.should.eql(1);
+
+                        store.getAllForUser('user1', function(err, sessions) {
+                            sessions.map(function(session) { return session.uid; }).should.eql(['memory-6']);
+                            next();
+                        });
+                    });
+                });
+            });
+        });
+
+        it('should not restore a session that is closed after the sessions of the user were cleared', function(next) {
+            var store = getStore(this.pb);
+            store.set(getSession('memory-7', 'user2'), function() {
+                store.get('memory-7', function(err, opened) {
+                    store.clearForUser('user2', function() {
+                        store.set(opened, function(err, reply) {
+                            should(reply).eql(null);
+
+                            store.get('memory-7', function(err, result) {
+                                should(result).eql(null);
+                                next();
+                            });
+                        });
+                    });
+                });
+            });
+        });
+    });
+});
@@ -0,0 +1,76 @@
+'use strict';
+
+//dependencies
+var should = require('should');
+var TestHelpers = require('../../../test_helpers');
+
+describe('MongoSessionStore', function() {
+
+    TestHelpers.registerReset();
+    var sandbox = TestHelpers.registerSandbox();
+
+    var getStore = function(pb) {
+        var MongoSessionStore = require('../../../../include/session/storage/mongo_session_store.js')(pb);
+        return new MongoSessionStore();
+    };
+
+    describe('MongoSessionStore.getAllForUser', function() {
+
+        it('should query the sessions of the user that have not expired', function(next) {
+            var timeout = new Date(Date.now() + 60000);
+            var q = sandbox.stub(this.pb.DAO.prototype, 'q').callsArgWith(2, null, [{uid: 'abc', timeout: timeout}]);
+
+            getStore(this.pb).getAllForUser('user1', function(err, sessions) {
+                should(err).eql(null);
+                q.firstCall.args[1].where['authentication.user_id'].should.eql('user1');
+                q.firstCall.args[1].where.timeout.$gt.should.be.instanceOf(Date);
+                sessions.should.eql([{uid: 'abc', timeout: timeout.getTime()}]);
+                next();
+            });
+        });
+    });
+
+    describe('MongoSessionStore.set', function() {
+
+        it('should insert a new session', function(next) {
+            var save = sandbox.stub(this.pb.DAO.prototype, 'save').callsArgWith(1, null, {});
+
+            getStore(this.pb).set({uid: 'abc', timeout: Date.now() + 60000}, function(err) {
+                should(err).eql(null);
+                save.firstCall.args[0].object_type.should.eql('session');
+                next();
+            });
+        });
+
+        it('should only update a stored session so that a cleared session is not restored', function(next) {
+            var save = sandbox.stub(this.pb.DAO.prototype, 'save');
+            var updateFields = sandbox.stub(this.pb.DAO.prototype, 'updateFields').callsArgWith(4, null, {result: {n: 0}});
+
+            var opened = {_id: 'id1', id: 'id1', uid: 'abc', timeout: Date.now() + 60000, authentication: {user_id: 'user1'}};
+            getStore(this.pb).set(opened, function(err) {
+                should(err).eql(null);
+                save.called.should.be.false();
+
+                var args = updateFields.firstCall.args;
+                args.slice(0, 2).should.eql(['session', {uid: 'abc'}]);
+                should(args[2].$set._id).eql(undefined);
+                args[2].$set.authentication.should.eql({user_id: 'user1'});
+                args[3].should.eql({upsert: false});
+                next();
+            });
+        });
+    });
+
+    describe('MongoSessionStore.clearForUser', function() {
+
+        it('should delete the sessions of the user except the one to keep', function(next) {
+            var remove = sandbox.stub(this.pb.DAO.prototype, 'delete').callsArgWith(2, null, 3);
+
+            getStore(this.pb).clearForUser('user1', {except: 'abc'}, function(err, count) {
+                count.should.eql(3);
+                remove.firstCall.args.slice(0, 2).should.eql([{'authentication.user_id': 'user1', uid: {$ne: 'abc'}}, 'session']);
+                next();
+            });
+        });
+    });
+});
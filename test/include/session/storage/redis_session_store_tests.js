@@ -0,0 +1,116 @@
+'use strict';
+
+//dependencies
+var should = require('should');
+var TestHelpers = require('../../../test_helpers');
+
+describe('RedisSessionStore', function() {
+
+    TestHelpers.registerReset();
+
+    var getSession = function(uid, userId) {
+        return {
+            uid: uid,
+            timeout: Date.now() + 60000,
+            authentication: {user_id: userId}
+        };
+    };
+
+    var setSessions = function(store, sessions, cb) {
+        if (sessions.length === 0) {
+            return cb();
+        }
+        store.set(sessions[0], function(err) {
+            should(err).eql(null);
+            setSessions(store, sessions.slice(1), cb);
+        });
+    };
+
+    var getStore = function(pb) {
+        var RedisSessionStore = require('../../../../include/session/storage/redis_session_store.js')(pb);
+        return new RedisSessionStore();
+    };
+
+    describe('RedisSessionStore.getAllForUser', function() {
+
+        it('should provide the sessions of the user and drop the ones that were cleared', function(next) {
+            var pb = this.pb;
+            var store = getStore(pb);
+            var sessions = [getSession('list-1', 'user1'), getSession('list-2', 'user1'), getSession('list-3', 'user2')];
+            setSessions(store, sessions, function() {
+                store.clear('list-2', function() {
+                    store.getAllForUser('user1', function(err, result) {
+                        should(err).eql(null);
+                        result.map(function(session) { return session.uid; }).should.eql(['list-1']);
+
+                        pb.cache.smembers('user-sessions-user1', function(err, members) {
+                            members.should.eql(['list-1']);
+                            next();
+                        });
+                    });
+                });
+            });
+        });
+    });
+
+    describe('RedisSessionStore.clearForUser', function() {
+
+        it('should clear every session of the user except the one to keep', function(next) {
+            var store = getStore(this.pb);
+            var sessions = [getSession('clear-1', 'user3'), getSession('clear-2', 'user3'), getSession('clear-3', 'user3')];
+            setSessions(store, sessions, function() {
+                store.clearForUser('user3', {except: 'clear-2'}, function(err, count) {
+                    should(err).eql(null);
+                    count.should.eql(2);
+
+                    store.getAllForUser('user3', function(err, result) {
+                        result.map(function(session) { return session.uid; }).should.eql(['clear-2']);
+                        next();
+                    });
+                });
+            });
+        });
+
+        it('should not restore a session that is closed after the sessions of the user were cleared', function(next) {
+            var store = getStore(this.pb);
+            setSessions(store, [getSession('clear-4', 'user4')], function() {
+
+                //a request in flight opened the session before it was cleared
+                store.get('clear-4', function(err, opened) {
+                    store.clearForUser('user4', function(err, count) {
+                        count.should.eql(1);
+
+                        store.set(opened, function(err, reply) {
+                            should(err).eql(null);
+                            should(reply).eql(null);
+
+                            store.get('clear-4', function(err, result) {
+                                should(result).eql(null);
+                                next();
+                            });
+                        });
+                    });
+                });
+            });
+        });
+
+        it('should keep updating a session that was not cleared', function(next) {
+            var store = getStore(this.pb);
+            setSessions(store, [getSession('clear-5', 'user5')], function() {
+                store.get('clear-5', function(err, opened) {
+                    opened.changed = true;
+
+                    store.set(opened, function(err, reply) {
+                        should(err).eql(null);
+                        reply.should.eql('OK');
+
+                        store.get('clear-5', function(err, result) {
+                            result.changed.should.be.true();
+                            next();
+                        });
+                    });
+                });
+            });
+        });
+    });
+});
@@ -0,0 +1,331 @@
+'use strict';
+
+//dependencies
+var should = require('should');
+var TestHelpers = require('../../test_helpers');
+
+describe('CommentService', function() {
+
+    TestHelpers.registerReset();
+    var sandbox = TestHelpers.registerSandbox();
+
+    describe('CommentService.isApproved', function() {
+
+        it('should treat comments without a status as approved', function() {
+            this.pb.CommentService.isApproved({content: 'Hello'}).should.be.true();
+        });
+
+        it('should only approve comments with the approved status', function() {
+            var CommentService = this.pb.CommentService;
+            CommentService.isApproved({status: CommentService.STATUS_APPROVED}).should.be.true();
+            CommentService.isApproved({status: CommentService.STATUS_PENDING}).should.be.false();
+            CommentService.isApproved({status: CommentService.STATUS_SPAM}).should.be.false();
+            CommentService.isApproved({status: CommentService.STATUS_REJECTED}).should.be.false();
+        });
+    });
+
+    describe('CommentService.setApprovedClause', function() {
+
+        it('should restrict the where clause to approved comments', function() {
+            var where = this.pb.CommentService.setApprovedClause({article: 'abc'});
+            where.should.eql({article: 'abc', status: {$in: ['approved', null]}});
+        });
+    });
+
+    describe('CommentService.registerSpamChecker', function() {
+
+        afterEach(function() {
+            this.pb.CommentService.unregisterSpamChecker('always');
+        });
+
+        it('should reject an invalid checker', function() {
+            this.pb.CommentService.registerSpamChecker('always', {}).should.be.false();
+        });
+
+        it('should mark a comment flagged by a registered checker as spam', function(next) {
+            var CommentService = this.pb.CommentService;
+            var AlwaysSpam = function() {};
+            AlwaysSpam.prototype.check = function(comment, cb) {
+                cb(null, {spam: true, reason: 'Always'});
+            };
+            CommentService.registerSpamChecker('always', AlwaysSpam).should.be.true();
+
+            var service = new CommentService({site: 'global', onlyThisSite: false});
+            service.getModerationStatus({content: 'Hello'}, null, function(err, status) {
+                should(err).eql(null);
+                status.should.eql(CommentService.STATUS_SPAM);
+                next();
+            });
+        });
+    });
+
+    describe('CommentService.getModerationStatus', function() {
+
+        it('should hold comments for moderation when the site requires it', function(next) {
+            var CommentService = this.pb.CommentService;
+            var service = new CommentService({site: 'global', onlyThisSite: false});
+            sandbox.stub(service, 'checkSpam').callsArgWith(1, null, {spam: false});
+            sandbox.stub(service.contentService, 'get').callsArgWith(0, null, {moderate_comments: 1});
+
+            service.getModerationStatus({content: 'Hello'}, getSession(this.pb.SecurityService.ACCESS_USER), function(err, status) {
+                status.should.eql(CommentService.STATUS_PENDING);
+                next();
+            });
+        });
+
+        it('should approve comments when the site does not require moderation', function(next) {
+            var CommentService = this.pb.CommentService;
+            var service = new CommentService({site: 'global', onlyThisSite: false});
+            sandbox.stub(service, 'checkSpam').callsArgWith(1, null, {spam: false});
+            sandbox.stub(service.contentService, 'get').callsArgWith(0, null, {moderate_comments: 0});
+
+            service.getModerationStatus({content: 'Hello'}, null, function(err, status) {
+                status.should.eql(CommentService.STATUS_APPROVED);
+                next();
+            });
+        });
+
+        it('should approve comments from editors', function(next) {
+            var CommentService = this.pb.CommentService;
+            var service = new CommentService({site: 'global', onlyThisSite: false});
+            sandbox.stub(service, 'checkSpam').callsArgWith(1, null, {spam: false});
+            var get = sandbox.stub(service.contentService, 'get');
+
+            service.getModerationStatus({content: 'Hello'}, getSession(this.pb.SecurityService.ACCESS_EDITOR), function(err, status) {
+                status.should.eql(CommentService.STATUS_APPROVED);
+                get.called.should.be.false();
+                next();
+            });
+        });
+    });
+
+    describe('CommentService.moderate', function() {
+
+        it('should reject an invalid status', function(next) {
+            var service = new this.pb.CommentService({site: 'global', onlyThisSite: false});
+            service.moderate(['507f1f77bcf86cd799439011'], 'deleted', function(err) {
+                err.code.should.eql(400);
+                err.validationErrors[0].field.should.eql('status');
+                next();
+            });
+        });
+
+        it('should require comment IDs', function(next) {
+            var service = new this.pb.CommentService({site: 'global', onlyThisSite: false});
+            service.moderate([], 'approved', function(err) {
+                err.validationErrors[0].field.should.eql('ids');
+                next();
+            });
+        });
+
+        it('should flush the cached pages of the site', function(next) {
+            var pb = this.pb;
+            var ids = ['507f1f77bcf86cd799439011', '507f1f77bcf86cd799439012'];
+            sandbox.stub(pb.config.response_cache, 'enabled', true);
+            sandbox.stub(pb.DAO.prototype, 'q').callsArgWith(2, null, [{_id: ids[0]}, {_id: ids[1]}]);
+            var updateFields = sandbox.stub(pb.DAO.prototype, 'updateFields').callsArgWith(4, null);
+            var invalidate = sandbox.stub(pb.ResponseCache, 'invalidate').callsArgWith(1, null, 1);
+
+            var service = new pb.CommentService({site: 'moderate-test', onlyThisSite: true});
+            service.moderate(ids, pb.CommentService.STATUS_APPROVED, function(err, count) {
+                should(err).eql(null);
+                count.should.eql(2);
+                updateFields.firstCall.args[2].$set.status.should.eql(pb.CommentService.STATUS_APPROVED);
+                invalidate.firstCall.args[0].should.eql('moderate-test');
+                next();
+            });
+        });
+    });
+
+    describe('CommentService.canReply', function() {
+
+        it('should allow replies until the maximum depth is reached', function() {
+            var CommentService = this.pb.CommentService;
+            var maxDepth = this.pb.config.comments.max_depth;
+            CommentService.canReply({}).should.be.true();
+            CommentService.canReply({depth: maxDepth - 2}).should.be.true();
+            CommentService.canReply({depth: maxDepth - 1}).should.be.false();
+        });
+    });
+
+    describe('CommentService.isEditable', function() {
+
+        it('should allow edits within the edit window', function() {
+            var created = new Date(Date.UTC(2016, 0, 1));
+            var within = new Date(created.getTime() + 1000);
+            this.pb.CommentService.isEditable({created: created}, within).should.be.true();
+        });
+
+        it('should not allow edits once the edit window has passed', function() {
+            var created = new Date(Date.UTC(2016, 0, 1));
+            var after = new Date(created.getTime() + this.pb.config.comments.edit_window * 1000);
+            this.pb.CommentService.isEditable({created: created}, after).should.be.false();
+            this.pb.CommentService.isEditable({}).should.be.false();
+        });
+    });
+
+    describe('CommentService.buildTree', function() {
+
+        it('should nest replies under their parent', function() {
+            var comments = [
+                {_id: 'a'},
+                {_id: 'b', parent: 'a'},
+                {_id: 'c'},
+                {_id: 'd', parent: 'b'},
+                {_id: 'e', parent: 'missing'}
+            ];
+            var roots = this.pb.CommentService.buildTree(comments);
+            roots.map(function(c) { return c._id; }).should.eql(['a', 'c', 'e']);
+            roots[0].replies[0]._id.should.eql('b');
+            roots[0].replies[0].replies[0]._id.should.eql('d');
+            roots[1].replies.should.eql([]);
+        });
+    });
+
+    describe('CommentService.renderThreads', function() {
+
+        it('should render replies within their parent', function(next) {
+            var comments = [{_id: 'a'}, {_id: 'b', parent: 'a'}, {_id: 'c'}];
+            var renderComment = function(comment, cb) {
+                cb(null, '[' + comment._id + comment.rendered_replies + ']');
+            };
+            this.pb.CommentService.renderThreads(comments, renderComment, function(err, content) {
+                should(err).eql(null);
+                content.should.eql('[a[b]][c]');
+                next();
+            });
+        });
+    });
+
+    describe('CommentService.validateParent', function() {
+
+        it('should provide a depth of 0 for top level comments', function(next) {
+            var service = new this.pb.CommentService({site: 'global', onlyThisSite: false});
+            var errors = [];
+            service.validateParent({article: 'abc'}, errors, function(err, depth) {
+                depth.should.eql(0);
+                errors.length.should.eql(0);
+                next();
+            });
+        });
+
+        it('should provide the depth below the parent', function(next) {
+            var service = new this.pb.CommentService({site: 'global', onlyThisSite: false});
+            sandbox.stub(service.dao, 'loadById').callsArgWith(2, null, {article: 'abc', depth: 0});
+
+            var errors = [];
+            service.validateParent({article: 'abc', parent: '507f1f77bcf86cd799439011'}, errors, function(err, depth) {
+                depth.should.eql(1);
+                errors.length.should.eql(0);
+                next();
+            });
+        });
+
+        it('should reject a parent on another article', function(next) {
+            var service = new this.pb.CommentService({site: 'global', onlyThisSite: false});
+            sandbox.stub(service.dao, 'loadById').callsArgWith(2, null, {article: 'xyz'});
+
+            var errors = [];
+            service.validateParent({article: 'abc', parent: '507f1f77bcf86cd799439011'}, errors, function() {
+                errors.length.should.eql(1);
+                errors[0].field.should.eql('parent');
+                next();
+            });
+        });
+
+        it('should reject replies beyond the maximum depth', function(next) {
+            var service = new this.pb.CommentService({site: 'global', onlyThisSite: false});
+            var parent = {article: 'abc', depth: this.pb.config.comments.max_depth - 1};
+            sandbox.stub(service.dao, 'loadById').callsArgWith(2, null, parent);
+
+            var errors = [];
+            service.validateParent({article: 'abc', parent: '507f1f77bcf86cd799439011'}, errors, function() {
+                errors.length.should.eql(1);
+                errors[0].field.should.eql('parent');
+                next();
+            });
+        });
+    });
+
+    describe('CommentService.merge', function() {
+
+        it('should mark a comment as edited when the content changes', function(next) {
+            var CommentService = this.pb.CommentService;
+            var service = new CommentService({site: 'global', onlyThisSite: false});
+            sandbox.stub(service, 'getModerationStatus').callsArgWith(2, null, CommentService.STATUS_APPROVED);
+
+            var context = {isCreate: false, service: service, data: {content: 'Goodbye'}, object: {content: 'Hello'}};
+            CommentService.merge(context, function() {
+                context.object.content.should.eql('Goodbye');
+                context.object.edited.should.be.instanceOf(Date);
+                next();
+            });
+        });
+
+        it('should moderate the comment again when the commenter changes the content', function(next) {
+            var CommentService = this.pb.CommentService;
+            var service = new CommentService({site: 'global', onlyThisSite: false});
+            var getModerationStatus = sandbox.stub(service, 'getModerationStatus').callsArgWith(2, null, CommentService.STATUS_SPAM);
+
+            var session = getSession(this.pb.SecurityService.ACCESS_USER);
+            var object = {content: 'Hello', status: CommentService.STATUS_APPROVED};
+            var context = {isCreate: false, service: service, session: session, data: {content: 'Buy now http://spam.example'}, object: object};
+            CommentService.merge(context, function(err) {
+                should(err).eql(null);
+                getModerationStatus.firstCall.args[0].content.should.eql('Buy now http://spam.example');
+                getModerationStatus.firstCall.args[1].should.equal(session);
+                object.status.should.eql(CommentService.STATUS_SPAM);
+                next();
+            });
+        });
+
+        it('should keep the status when a moderator changes the content', function(next) {
+            var CommentService = this.pb.CommentService;
+            var service = new CommentService({site: 'global', onlyThisSite: false});
+            var getModerationStatus = sandbox.stub(service, 'getModerationStatus');
+
+            var object = {content: 'Hello', status: CommentService.STATUS_PENDING};
+            var context = {isCreate: false, service: service, session: getSession(this.pb.SecurityService.ACCESS_EDITOR), data: {content: 'Hi'}, object: object};
+            CommentService.merge(context, function() {
+                getModerationStatus.called.should.be.false();
+                object.status.should.eql(CommentService.STATUS_PENDING);
+                next();
+            });
+        });
+
+        it('should not mark a comment as edited when the content is unchanged', function(next) {
+            var context = {isCreate: false, data: {content: 'Hello'}, object: {content: 'Hello'}};
+            this.pb.CommentService.merge(context, function() {
+                should(context.object.edited).eql(undefined);
+                next();
+            });
+        });
+    });
+
+    describe('CommentService.beforeSave', function() {
+
+        it('should record the address of the client behind a trusted proxy', function(next) {
+            var pb = this.pb;
+            sandbox.stub(pb.config.server, 'trusted_proxies', 1);
+            var service = new pb.CommentService({site: 'global', onlyThisSite: false});
+            sandbox.stub(service, 'getModerationStatus').callsArgWith(2, null, pb.CommentService.STATUS_APPROVED);
+
+            var req = {connection: {remoteAddress: '10.0.0.1'}, headers: {'x-forwarded-for': '6.6.6.6, 1.2.3.4'}};
+            var context = {isCreate: true, service: service, req: req, data: {content: 'Hello'}};
+            pb.CommentService.beforeSave(context, function(err) {
+                should(err).eql(null);
+                context.data.ip.should.eql('1.2.3.4');
+                next();
+            });
+        });
+    });
+
+    function getSession(adminLevel) {
+        return {
+            authentication: {
+                user_id: '123',
+                admin_level: adminLevel
+            }
+        };
+    }
+});
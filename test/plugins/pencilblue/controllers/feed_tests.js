@@ -0,0 +1,134 @@
+
+//dependencies
+var should        = require('should');
+var path          = require('path');
+var Configuration = require('../../../../include/config.js');
+var Lib           = require('../../../../lib');
+
+describe('ArticleFeed', function() {
+
+    var pb = null;
+    var ArticleFeed = null;
+    before('Initialize the Environment with the default configuration', function() {
+        this.timeout(10000);
+
+        pb = new Lib(Configuration.getBaseConfig());
+        ArticleFeed = require(path.join(pb.config.docRoot, 'plugins/pencilblue/controllers/feed.js'))(pb);
+    });
+
+    describe('ArticleFeed.getFormat', function() {
+
+        it('should default to RSS', function() {
+            ArticleFeed.getFormat().should.eql('rss');
+            ArticleFeed.getFormat(null, 'text/html,*/*').should.eql('rss');
+        });
+
+        it('should prefer the requested format over the Accept header', function() {
+            ArticleFeed.getFormat('ATOM', 'application/feed+json').should.eql('atom');
+        });
+
+        it('should provide null when an unsupported format is requested', function() {
+            should(ArticleFeed.getFormat('csv')).eql(null);
+        });
+
+        it('should negotiate the format with the highest quality', function() {
+            ArticleFeed.getFormat(null, 'application/atom+xml;q=0.5, application/feed+json').should.eql('json');
+            ArticleFeed.getFormat(null, 'application/rss+xml;q=0.2, application/atom+xml;q=0.9').should.eql('atom');
+        });
+    });
+
+    describe('ArticleFeed.getLastModified', function() {
+
+        it('should provide the most recent modification without milliseconds', function() {
+            var articles = [
+                {publish_date: new Date(1000), last_modified: new Date(5500)},
+                {publish_date: new Date(9900)}
+            ];
+            ArticleFeed.getLastModified(articles).getTime().should.eql(9000);
+        });
+
+        it('should provide null when there are no articles', function() {
+            should(ArticleFeed.getLastModified([])).eql(null);
+        });
+    });
+
+    describe('ArticleFeed.getETag', function() {
+
+        it('should change when an article is modified', function() {
+            var articles = [{_id: 'a', last_modified: new Date(1000)}];
+            var before = ArticleFeed.getETag(articles, 'rss', '/feed');
+
+            articles[0].last_modified = new Date(2000);
+            ArticleFeed.getETag(articles, 'rss', '/feed').should.not.eql(before);
+        });
+
+        it('should differ between formats', function() {
+            var articles = [{_id: 'a', last_modified: new Date(1000)}];
+            ArticleFeed.getETag(articles, 'rss', '/feed').should.not.eql(ArticleFeed.getETag(articles, 'atom', '/feed'));
+        });
+    });
+
+    describe('ArticleFeed.isNotModified', function() {
+
+        var etag = '"abc"';
+        var lastModified = new Date(Date.UTC(2016, 0, 1));
+
+        it('should match the entity tag', function() {
+            ArticleFeed.isNotModified({'if-none-match': '"xyz", "abc"'}, etag, lastModified).should.be.true();
+            ArticleFeed.isNotModified({'if-none-match': 'W/"abc"'}, etag, lastModified).should.be.true();
+            ArticleFeed.isNotModified({'if-none-match': '"xyz"'}, etag, lastModified).should.be.false();
+        });
+
+        it('should prefer the entity tag over the modified date', function() {
+            var headers = {'if-none-match': '"xyz"', 'if-modified-since': lastModified.toUTCString()};
+            ArticleFeed.isNotModified(headers, etag, lastModified).should.be.false();
+        });
+
+        it('should compare the modified date', function() {
+            ArticleFeed.isNotModified({'if-modified-since': lastModified.toUTCString()}, etag, lastModified).should.be.true();
+            ArticleFeed.isNotModified({'if-modified-since': new Date(Date.UTC(2015, 0, 1)).toUTCString()}, etag, lastModified).should.be.false();
+            ArticleFeed.isNotModified({'if-modified-since': 'not a date'}, etag, lastModified).should.be.false();
+        });
+
+        it('should ignore the milliseconds of the modified date', function() {
+            var modified = new Date(Date.UTC(2016, 0, 1, 12, 30, 15, 250));
+            ArticleFeed.isNotModified({'if-modified-since': modified.toUTCString()}, etag, modified).should.be.true();
+            ArticleFeed.isNotModified({'if-modified-since': new Date(modified.getTime() - 1000).toUTCString()}, etag, modified).should.be.false();
+        });
+
+        it('should not use the modified date when the feed does not have one', function() {
+            ArticleFeed.isNotModified({'if-modified-since': new Date().toUTCString()}, etag, null).should.be.false();
+            ArticleFeed.isNotModified({'if-none-match': etag}, etag, null).should.be.true();
+        });
+    });
+
+    describe('ArticleFeed.toJsonFeed', function() {
+
+        it('should convert articles to JSON Feed items', function() {
+            var feed = {title: 'My Site', url: 'http://localhost/feed', home: 'http://localhost', language: 'en-us'};
+            var articles = [{
+                _id: 'a',
+                url: 'hello-world',
+                headline: 'Hello World',
+                subheading: 'A greeting',
+                layout: '<p>Hi</p>',
+                author_name: 'Jane Doe',
+                section_names: ['News'],
+                publish_date: new Date(Date.UTC(2016, 0, 1))
+            }];
+            var result = ArticleFeed.toJsonFeed(articles, feed);
+
+            result.version.should.eql('https://jsonfeed.org/version/1.1');
+            result.title.should.eql('My Site');
+            result.feed_url.should.eql('http://localhost/feed');
+            result.items.length.should.eql(1);
+            result.items[0].url.should.eql('http://localhost/article/hello-world');
+            result.items[0].summary.should.eql('A greeting');
+            result.items[0].content_html.should.eql('<p>Hi</p>');
+            result.items[0].date_published.should.eql('2016-01-01T00:00:00.000Z');
+            result.items[0].date_modified.should.eql('2016-01-01T00:00:00.000Z');
+            result.items[0].authors.should.eql([{name: 'Jane Doe'}]);
+            result.items[0].tags.should.eql(['News']);
+        });
+    });
+});
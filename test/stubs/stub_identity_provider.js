@@ -0,0 +1,225 @@
+'use strict';
+
+//dependencies
+var url         = require('url');
+var http        = require('http');
+var crypto      = require('crypto');
+var querystring = require('querystring');
+
+/**
+ * A minimal OpenID Connect identity provider that runs locally so that the
+ * authorization code flow can be exercised in tests without a real identity
+ * provider.  It serves the discovery document, the authorization, token and
+ * user info endpoints.  The authorization endpoint signs the user in
+ * immediately with the configured claims.
+ * @class StubIdentityProvider
+ * @constructor
+ * @param {Object} [options]
+ * @param {String} [options.client_id='pencilblue']
+ * @param {String} [options.client_secret='secret']
+ * @param {Object} [options.claims] The claims of the user that signs in
+ */
+class StubIdentityProvider {
+
+    constructor(options) {
+        options = options || {};
+        this.clientId = options.client_id || 'pencilblue';
+        this.clientSecret = options.client_secret || 'secret';
+        this.claims = options.claims || {
+            sub: 'user-1',
+            email: 'jane.doe@example.com',
+            email_verified: true,
+            given_name: 'Jane',
+            family_name: 'Doe',
+            preferred_username: 'jdoe',
+            groups: ['staff']
+        };
+        this.issuer = null;
+        this.codes = {};
+        this.tokens = {};
+        this.server = null;
+    }
+
+    /**
+     * Starts listening on a random local port
+     * @method start
+     * @param {Function} cb (Error, String) Provides the issuer
+     */
+    start(cb) {
+        var self = this;
+        this.server = http.createServer(function(req, res) {
+            self.handle(req, res);
+        });
+        this.server.listen(0, '127.0.0.1', function() {
+            self.issuer = 'http://127.0.0.1:' + self.server.address().port;
+            cb(null, self.issuer);
+        });
+    }
+
+    /**
+     * @method stop
+     * @param {Function} cb
+     */
+    stop(cb) {
+        this.server.close(function() {
+            cb();
+        });
+    }
+
+    /**
+     * Provides the settings that point the OpenID Connect provider at the stub
+     * @method getSettings
+     * @param {Object} [overrides]
+     * @return {Object}
+     */
+    getSettings(overrides) {
+        var settings = {
+            enabled: true,
+            name: 'Stub',
+            issuer: this.issuer,
+            client_id: this.clientId,
+            client_secret: this.clientSecret,
+            scope: 'openid email profile',
+            redirect_uri: 'http://localhost:8080/actions/login/oidc/callback',
+            roles_claim: 'groups',
+            roles: {staff: 1, admins: 4},
+            default_access_level: null,
+            provision: true,
+            link_by_email: true,
+            timeout: 2000
+        };
+        Object.keys(overrides || {}).forEach(function(key) {
+            settings[key] = overrides[key];
+        });
+        return settings;
+    }
+
+    /**
+     * Signs the user in for an authorization request as if they had
+     * completed the sign in at the identity provider
+     * @method authorize
+     * @param {String} authorizationUrl
+     * @return {Object} The query parameters of the redirect back to the client
+     */
+    authorize(authorizationUrl) {
+        var params = url.parse(authorizationUrl, true).query;
+        if (params.client_id !== this.clientId || params.response_type !== 'code') {
+            return {error: 'unauthorized_client', state: params.state};
+        }
+
+        var code = crypto.randomBytes(16).toString('hex');
+        this.codes[code] = {
+            redirect_uri: params.redirect_uri,
+            code_challenge: params.code_challenge,
+            nonce: params.nonce
+        };
+        return {code: code, state: params.state};
+    }
+
+    /**
+     * @method handle
+     * @param {Request} req
+     * @param {Response} res
+     */
+    handle(req, res) {
+        var self = this;
+        var target = url.parse(req.url, true);
+
+        if (target.pathname === '/.well-known/openid-configuration') {
+            return send(res, 200, {
+                issuer: this.issuer,
+                authorization_endpoint: this.issuer + '/authorize',
+                token_endpoint: this.issuer + '/token',
+                userinfo_endpoint: this.issuer + '/userinfo'
+            });
+        }
+        else if (target.pathname === '/authorize') {
+            var result = this.authorize(req.url);
+            var params = url.parse(req.url, true).query;
+            res.writeHead(302, {Location: params.redirect_uri + '?' + querystring.stringify(result)});
+            return res.end();
+        }
+        else if (target.pathname === '/userinfo') {
+            var token = (req.headers.authorization || '').replace(/^Bearer /, '');
+            return this.tokens[token] ? send(res, 200, this.claims) : send(res, 401, {error: 'invalid_token'});
+        }
+        else if (target.pathname !== '/token' || req.method !== 'POST') {
+            return send(res, 404, {error: 'not_found'});
+        }
+
+        var body = '';
+        req.on('data', function(chunk) {
+            body += chunk;
+        });
+        req.on('end', function() {
+            self.exchange(req.headers, querystring.parse(body), res);
+        });
+    }
+
+    /**
+     * Exchanges an authorization code for tokens
+     * @method exchange
+     * @param {Object} headers
+     * @param {Object} params
+     * @param {Response} res
+     */
+    exchange(headers, params, res) {
+        var expected = 'Basic ' + Buffer.from(this.clientId + ':' + this.clientSecret).toString('base64');
+        if (headers.authorization !== expected) {
+            return send(res, 401, {error: 'invalid_client'});
+        }
+
+        var grant = this.codes[params.code];
+        delete this.codes[params.code];
+        if (!grant || grant.redirect_uri !== params.redirect_uri) {
+            return send(res, 400, {error: 'invalid_grant'});
+        }
+
+        var challenge = toBase64Url(crypto.createHash('sha256').update(params.code_verifier || '').digest());
+        if (challenge !== grant.code_challenge) {
+            return send(res, 400, {error: 'invalid_grant'});
+        }
+
+        var accessToken = crypto.randomBytes(16).toString('hex');
+        this.tokens[accessToken] = true;
+
+        var now = Math.floor(Date.now() / 1000);
+        var claims = {
+            iss: this.issuer,
+            aud: this.clientId,
+            sub: this.claims.sub,
+            iat: now,
+            exp: now + 300,
+            nonce: grant.nonce
+        };
+        send(res, 200, {
+            access_token: accessToken,
+            token_type: 'Bearer',
+            id_token: this.createIdToken(claims)
+        });
+    }
+
+    /**
+     * Creates an ID token signed with the client secret
+     * @method createIdToken
+     * @param {Object} claims
+     * @return {String}
+     */
+    createIdToken(claims) {
+        var header = toBase64Url(Buffer.from(JSON.stringify({alg: 'HS256', typ: 'JWT'})));
+        var payload = toBase64Url(Buffer.from(JSON.stringify(claims)));
+        var signature = toBase64Url(crypto.createHmac('sha256', this.clientSecret).update(header + '.' + payload).digest());
+        return header + '.' + payload + '.' + signature;
+    }
+}
+
+function toBase64Url(buffer) {
+    return buffer.toString('base64').replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function send(res, statusCode, body) {
+    res.writeHead(statusCode, {'Content-Type': 'application/json'});
+    res.end(JSON.stringify(body));
+}
+
+module.exports = StubIdentityProvider;
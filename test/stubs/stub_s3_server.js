@@ -0,0 +1,300 @@
+'use strict';
+
+//dependencies
+var url    = require('url');
+var http   = require('http');
+var crypto = require('crypto');
+
+/**
+ * A minimal S3 compatible object store that runs locally so that media
+ * providers can be exercised in tests without a real object store.  Objects
+ * are kept in memory and addressed with path style URLs.  Requests must be
+ * signed with AWS Signature Version 4, either in the Authorization header or
+ * as a pre-signed URL.
+ * @class StubS3Server
+ * @constructor
+ * @param {Object} [options]
+ * @param {String} [options.bucket='media']
+ * @param {String} [options.access_key_id='AKIDEXAMPLE']
+ * @param {String} [options.secret_access_key='secret']
+ * @param {String} [options.region='us-east-1']
+ */
+class StubS3Server {
+
+    constructor(options) {
+        options = options || {};
+        this.bucket = options.bucket || 'media';
+        this.accessKeyId = options.access_key_id || 'AKIDEXAMPLE';
+        this.secretAccessKey = options.secret_access_key || 'secret';
+        this.region = options.region || 'us-east-1';
+        this.objects = {};
+        this.uploads = {};
+        this.requests = [];
+        this.endpoint = null;
+        this.server = null;
+    }
+
+    /**
+     * Starts listening on a random local port
+     * @method start
+     * @param {Function} cb (Error, String) Provides the endpoint
+     */
+    start(cb) {
+        var self = this;
+        this.server = http.createServer(function(req, res) {
+            self.handle(req, res);
+        });
+        this.server.listen(0, '127.0.0.1', function() {
+            self.endpoint = 'http://127.0.0.1:' + self.server.address().port;
+            cb(null, self.endpoint);
+        });
+    }
+
+    /**
+     * @method stop
+     * @param {Function} cb
+     */
+    stop(cb) {
+        this.server.close(function() {
+            cb();
+        });
+    }
+
+    /**
+     * Removes all objects and recorded requests
+     * @method reset
+     */
+    reset() {
+        this.objects = {};
+        this.uploads = {};
+        this.requests = [];
+    }
+
+    /**
+     * Provides the settings that point the S3 media provider at the stub
+     * @method getSettings
+     * @param {Object} [overrides]
+     * @return {Object}
+     */
+    getSettings(overrides) {
+        var settings = {
+            bucket: this.bucket,
+            prefix: '',
+            region: this.region,
+            endpoint: this.endpoint,
+            path_style: true,
+            access_key_id: this.accessKeyId,
+            secret_access_key: this.secretAccessKey,
+            url_mode: 'proxy',
+            url_expiry: 900,
+            public_url: null,
+            timeout: 5000
+        };
+        Object.keys(overrides || {}).forEach(function(key) {
+            settings[key] = overrides[key];
+        });
+        return settings;
+    }
+
+    /**
+     * @method handle
+     * @param {IncomingMessage} req
+     * @param {ServerResponse} res
+     */
+    handle(req, res) {
+        var self = this;
+        var chunks = [];
+        req.on('data', function(chunk) {
+            chunks.push(chunk);
+        });
+        req.on('end', function() {
+            var body = Buffer.concat(chunks);
+            var target = url.parse(req.url, true);
+            var prefix = '/' + self.bucket + '/';
+            self.requests.push({method: req.method, url: req.url, headers: req.headers});
+
+            if (target.pathname.indexOf(prefix) !== 0) {
+                return self.send(res, 404, 'NoSuchBucket');
+            }
+            else if (!self.isAuthorized(req, target, body)) {
+                return self.send(res, 403, 'SignatureDoesNotMatch');
+            }
+
+            var key = decodeURIComponent(target.pathname.substring(prefix.length));
+            if (target.query.uploads !== undefined || target.query.uploadId !== undefined) {
+                return self.handleUpload(req, res, key, target.query, body);
+            }
+
+            var obj = self.objects[key];
+            switch (req.method) {
+                case 'PUT':
+                    self.objects[key] = {
+                        body: body,
+                        contentType: req.headers['content-type'] || 'application/octet-stream',
+                        lastModified: new Date(),
+                        etag: '"' + crypto.createHash('md5').update(body).digest('hex') + '"'
+                    };
+                    return self.send(res, 200);
+                case 'GET':
+                case 'HEAD':
+                    if (!obj) {
+                        return self.send(res, 404, req.method === 'GET' ? 'NoSuchKey' : null);
+                    }
+                    res.writeHead(200, {
+                        'Content-Type': obj.contentType,
+                        'Content-Length': obj.body.length,
+                        'Last-Modified': obj.lastModified.toUTCString(),
+                        ETag: obj.etag
+                    });
+                    return res.end(req.method === 'GET' ? obj.body : undefined);
+                case 'DELETE':
+                    delete self.objects[key];
+                    return self.send(res, 204);
+                default:
+                    self.send(res, 405, 'MethodNotAllowed');
+            }
+        });
+    }
+
+    /**
+     * Handles the requests of a multipart upload
+     * @method handleUpload
+     * @param {IncomingMessage} req
+     * @param {ServerResponse} res
+     * @param {String} key
+     * @param {Object} query
+     * @param {Buffer} body
+     */
+    handleUpload(req, res, key, query, body) {
+        if (req.method === 'POST' && query.uploads !== undefined) {
+            var uploadId = crypto.randomBytes(8).toString('hex');
+            this.uploads[uploadId] = {key: key, contentType: req.headers['content-type'], parts: {}};
+            res.writeHead(200, {'Content-Type': 'application/xml'});
+            return res.end('<InitiateMultipartUploadResult><UploadId>' + uploadId + '</UploadId></InitiateMultipartUploadResult>');
+        }
+
+        var upload = this.uploads[query.uploadId];
+        if (!upload || upload.key !== key) {
+            return this.send(res, 404, 'NoSuchUpload');
+        }
+        switch (req.method) {
+            case 'PUT':
+                upload.parts[query.partNumber] = body;
+                res.writeHead(200, {ETag: '"' + crypto.createHash('md5').update(body).digest('hex') + '"'});
+                return res.end();
+            case 'POST':
+                var partNumbers = (body.toString().match(/<PartNumber>\d+<\/PartNumber>/g) || []).map(function(element) {
+                    return element.replace(/\D/g, '');
+                });
+                var content = Buffer.concat(partNumbers.map(function(partNumber) {
+                    return upload.parts[partNumber];
+                }));
+                this.objects[key] = {
+                    body: content,
+                    contentType: upload.contentType || 'application/octet-stream',
+                    lastModified: new Date(),
+                    etag: '"' + crypto.createHash('md5').update(content).digest('hex') + '-' + partNumbers.length + '"'
+                };
+                delete this.uploads[query.uploadId];
+                res.writeHead(200, {'Content-Type': 'application/xml'});
+                return res.end('<CompleteMultipartUploadResult><Key>' + key + '</Key></CompleteMultipartUploadResult>');
+            case 'DELETE':
+                delete this.uploads[query.uploadId];
+                return this.send(res, 204);
+            default:
+                this.send(res, 405, 'MethodNotAllowed');
+        }
+    }
+
+    /**
+     * @method send
+     * @param {ServerResponse} res
+     * @param {Integer} code
+     * @param {String} [errorCode]
+     */
+    send(res, code, errorCode) {
+        if (!errorCode) {
+            res.writeHead(code);
+            return res.end();
+        }
+        var body = '<?xml version="1.0" encoding="UTF-8"?><Error><Code>' + errorCode + '</Code></Error>';
+        res.writeHead(code, {'Content-Type': 'application/xml'});
+        res.end(body);
+    }
+
+    /**
+     * Verifies the signature of the request
+     * @method isAuthorized
+     * @param {IncomingMessage} req
+     * @param {Object} target The parsed URL
+     * @param {Buffer} body
+     * @return {Boolean}
+     */
+    isAuthorized(req, target, body) {
+        var query = target.query;
+        var params, amzDate, payloadHash;
+        if (query['X-Amz-Signature']) {
+            amzDate = query['X-Amz-Date'];
+            var expires = new Date(Date.UTC(+amzDate.substr(0, 4), +amzDate.substr(4, 2) - 1, +amzDate.substr(6, 2),
+                +amzDate.substr(9, 2), +amzDate.substr(11, 2), +amzDate.substr(13, 2)) + query['X-Amz-Expires'] * 1000);
+            if (expires < new Date()) {
+                return false;
+            }
+            params = {
+                credential: query['X-Amz-Credential'],
+                signedHeaders: query['X-Amz-SignedHeaders'],
+                signature: query['X-Amz-Signature']
+            };
+            payloadHash = 'UNSIGNED-PAYLOAD';
+        }
+        else {
+            var match = /^AWS4-HMAC-SHA256 Credential=([^,]+), SignedHeaders=([^,]+), Signature=([0-9a-f]+)$/.exec(req.headers.authorization || '');
+            if (!match) {
+                return false;
+            }
+            params = {credential: match[1], signedHeaders: match[2], signature: match[3]};
+            amzDate = req.headers['x-amz-date'];
+            payloadHash = req.headers['x-amz-content-sha256'];
+            if (payloadHash !== 'UNSIGNED-PAYLOAD' && payloadHash !== crypto.createHash('sha256').update(body).digest('hex')) {
+                return false;
+            }
+        }
+
+        var credential = params.credential.split('/');
+        if (credential[0] !== this.accessKeyId || credential[2] !== this.region) {
+            return false;
+        }
+
+        var canonicalQuery = Object.keys(query).filter(function(name) {
+            return name !== 'X-Amz-Signature';
+        }).sort().map(function(name) {
+            return encode(name) + '=' + encode(query[name]);
+        }).join('&');
+        var canonicalHeaders = params.signedHeaders.split(';').map(function(name) {
+            return name + ':' + (req.headers[name] || '').trim() + '\n';
+        }).join('');
+        var canonicalRequest = [req.method, target.pathname, canonicalQuery, canonicalHeaders, params.signedHeaders, payloadHash].join('\n');
+
+        var scope = credential.slice(1).join('/');
+        var stringToSign = ['AWS4-HMAC-SHA256', amzDate, scope, crypto.createHash('sha256').update(canonicalRequest).digest('hex')].join('\n');
+        var key = 'AWS4' + this.secretAccessKey;
+        credential.slice(1).forEach(function(part) {
+            key = crypto.createHmac('sha256', key).update(part).digest();
+        });
+        return crypto.createHmac('sha256', key).update(stringToSign).digest('hex') === params.signature;
+    }
+}
+
+/**
+ * @private
+ * @method encode
+ * @param {String} value
+ * @return {String}
+ */
+function encode(value) {
+    return encodeURIComponent(value).replace(/[!'()*]/g, function(c) {
+        return '%' + c.charCodeAt(0).toString(16).toUpperCase();
+    });
+}
+
+module.exports = StubS3Server;